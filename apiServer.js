@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * HTTP JSON API for Mini Cactpot Calculator
+ * Serves the solver to other programs (bots, spreadsheets) using only Node's http module.
+ * The endpoints are described in openapi.json.
+ *
+ * Usage:
+ *   node apiServer.js [--port <n>] [--host <address>] [--payouts <file>] [--verbose]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Validation = require('./validation.js');
+const BoardNotation = require('./boardNotation.js');
+const PayoutTables = require('./payoutTables.js');
+const { OBJECTIVES, createObjective, setDebugLogging } = require('./gameLogic.js');
+const { solveBoard } = require('./cactpot.js');
+
+const USAGE = `Usage: node apiServer.js [options]
+
+Options:
+  --port <n>           Port to listen on (default: 8080)
+  --host <address>     Address to listen on (default: 127.0.0.1, this machine only)
+  --payouts <file>     Load payout tables from a JSON file, so requests can name them
+  --verbose            Log calculation details
+  --help               Show this message`;
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 16 * 1024;
+
+// The OpenAPI description, served as is
+const OPENAPI_PATH = path.join(__dirname, 'openapi.json');
+
+/**
+ * Creates an error that is sent to the client as a JSON error response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable description
+ * @param {Array} [details] - Individual problems, e.g. each validation error
+ * @returns {Error} Error carrying status, code and details
+ */
+function createApiError(status, code, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - The response to write
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Value to send as JSON
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  response.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Sends an error as { error: { code, message, details } }
+ * @param {http.ServerResponse} response - The response to write
+ * @param {Error} error - Error from createApiError; any other error is an internal error
+ */
+function sendError(response, error) {
+  if (!error.status) {
+    console.error('Error while handling request:', error);
+    error = createApiError(500, 'internal_error', 'The request could not be completed');
+  }
+
+  const body = { error: { code: error.code, message: error.message } };
+  if (error.details) {
+    body.error.details = error.details;
+  }
+  sendJson(response, error.status, body, error.allow ? { Allow: error.allow } : {});
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} request - The request to read
+ * @returns {Promise} Resolves with the parsed body; rejects with an API error if it is too
+ *   large or not JSON
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // The rest is read and dropped, so the error response still reaches the client
+        reject(createApiError(413, 'body_too_large', `Request body must be at most ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(createApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Reads the board from a solve request
+ * @param {string|Array} value - Board notation, or an array of 9 values (null for hidden cells)
+ * @returns {Array} Array of 9 values (null for hidden cells)
+ * @throws {Error} API error if the board is malformed or not a valid ticket
+ */
+function readBoard(value) {
+  let board;
+  if (typeof value === 'string') {
+    try {
+      board = BoardNotation.parse(value);
+    } catch (error) {
+      throw createApiError(400, 'invalid_board', error.message);
+    }
+  } else if (Array.isArray(value) && value.length === 9 &&
+    value.every(cell => cell === null || Number.isInteger(cell))) {
+    board = value;
+  } else {
+    throw createApiError(400, 'invalid_board',
+      'board must be board notation such as "1..|.5.|..9", or an array of 9 integers or nulls');
+  }
+
+  // From the starting number alone up to the 4 numbers a real ticket can show
+  const validation = Validation.validateGameConstraints(board, 1);
+  if (!validation.isValid) {
+    throw createApiError(400, 'invalid_board', validation.errors.join('; '), validation.errors);
+  }
+  return board;
+}
+
+/**
+ * Solves the board in a solve request body
+ * @param {Object} body - Object containing board, and optionally objective, threshold and
+ *   payoutTable (the name of a loaded table)
+ * @returns {Object} Solution from solveBoard
+ * @throws {Error} API error if any field is invalid
+ */
+function handleSolve(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createApiError(400, 'invalid_request', 'Request body must be a JSON object');
+  }
+  if (body.board === undefined) {
+    throw createApiError(400, 'invalid_request', 'board is required');
+  }
+  const board = readBoard(body.board);
+
+  const objectiveId = body.objective === undefined ? 'ev' : body.objective;
+  if (!Object.prototype.hasOwnProperty.call(OBJECTIVES, objectiveId)) {
+    throw createApiError(400, 'unknown_objective',
+      `objective must be one of ${Object.keys(OBJECTIVES).join(', ')}`);
+  }
+  let payoutTable = PayoutTables.getDefaultTable();
+  if (body.payoutTable !== undefined) {
+    payoutTable = typeof body.payoutTable === 'string' ? PayoutTables.getTable(body.payoutTable) : null;
+    if (!payoutTable) {
+      throw createApiError(400, 'unknown_payout_table',
+        `payoutTable must be one of ${PayoutTables.listTables().map(table => table.name).join(', ')}`);
+    }
+  }
+
+  // createObjective checks the threshold and clamps it to the table's payouts
+  let objective;
+  try {
+    objective = createObjective(objectiveId, { threshold: body.threshold, payoutTable });
+  } catch (error) {
+    throw createApiError(400, 'invalid_request', error.message);
+  }
+
+  return solveBoard(board, objective, payoutTable);
+}
+
+/**
+ * Creates the API server
+ * @returns {http.Server} Server that is not yet listening
+ */
+function createServer() {
+  const routes = {
+    '/solve': {
+      POST: request => readJsonBody(request).then(handleSolve)
+    },
+    '/payouts': {
+      GET: () => ({ tables: PayoutTables.listTables() })
+    },
+    '/openapi.json': {
+      GET: () => JSON.parse(fs.readFileSync(OPENAPI_PATH, 'utf8'))
+    }
+  };
+
+  return http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const route = routes[pathname];
+
+    Promise.resolve()
+      .then(() => {
+        if (!route) {
+          throw createApiError(404, 'not_found', `No endpoint at ${pathname}`);
+        }
+        if (!route[request.method]) {
+          const error = createApiError(405, 'method_not_allowed', `${pathname} only accepts ${Object.keys(route).join(', ')}`);
+          error.allow = Object.keys(route).join(', ');
+          throw error;
+        }
+        return route[request.method](request);
+      })
+      .then(body => sendJson(response, 200, body))
+      .catch(error => sendError(response, error));
+  });
+}
+
+/**
+ * Parses command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Object containing port, host, payouts, verbose and help
+ * @throws {Error} If an option is unknown, missing its value, or the port is not a number
+ */
+function parseArguments(args) {
+  const parsed = { port: 8080, host: '127.0.0.1', payouts: null, verbose: false, help: false };
+  const valueOptions = { '--port': 'port', '--host': 'host', '--payouts': 'payouts' };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--verbose') {
+      parsed.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (valueOptions[arg]) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      parsed[valueOptions[arg]] = args[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  parsed.port = parseInt(parsed.port, 10);
+  if (isNaN(parsed.port) || parsed.port < 0 || parsed.port > 65535) {
+    throw new Error('--port must be a number from 0 to 65535');
+  }
+  return parsed;
+}
+
+/**
+ * Starts the server from the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {number|null} Process exit code, or null while the server runs
+ */
+function main(args) {
+  let options;
+  try {
+    options = parseArguments(args);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (options.payouts) {
+      PayoutTables.loadTables(fs.readFileSync(options.payouts, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  setDebugLogging(options.verbose);
+  const server = createServer();
+  server.on('error', error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    console.log(`Mini Cactpot API listening on http://${options.host}:${port}`);
+  });
+  return null;
+}
+
+if (require.main === module) {
+  const exitCode = main(process.argv.slice(2));
+  if (exitCode !== null) {
+    process.exitCode = exitCode;
+  }
+}
+
+// Export for use in other modules
+module.exports = { createServer, handleSolve, main };
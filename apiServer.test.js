@@ -0,0 +1,121 @@
+/**
+ * Checks for the HTTP API, against a server on a free local port
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { setDebugLogging } = require('./gameLogic.js');
+const { createServer, handleSolve } = require('./apiServer.js');
+
+setDebugLogging(false);
+
+/**
+ * Sends a request to the server
+ * @param {http.Server} server - Listening server
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {string} [body] - Request body
+ * @returns {Promise} Resolves with an object containing status, headers and body (parsed JSON)
+ */
+function request(server, method, pathname, body) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const outgoing = http.request({ host: '127.0.0.1', port, method, path: pathname }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      }));
+    });
+    outgoing.on('error', reject);
+    outgoing.end(body);
+  });
+}
+
+test('the server answers over HTTP', async t => {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  await t.test('POST /solve suggests cells to scratch', async () => {
+    const response = await request(server, 'POST', '/solve', JSON.stringify({ board: '....5....' }));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.phase, 'scratch');
+    assert.deepStrictEqual(response.body.suggestedCells.map(cell => cell.index), [0, 2, 6, 8]);
+  });
+
+  await t.test('POST /solve ranks the lines once 4 numbers are revealed', async () => {
+    const body = { board: [1, null, null, null, 5, null, 2, null, 9], objective: 'jackpot' };
+    const response = await request(server, 'POST', '/solve', JSON.stringify(body));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.phase, 'pick-line');
+    assert.strictEqual(response.body.lines.length, 8);
+  });
+
+  await t.test('a board with more than 4 numbers is a 400', async () => {
+    const response = await request(server, 'POST', '/solve', JSON.stringify({ board: '12345....' }));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.code, 'invalid_board');
+    assert.deepStrictEqual(response.body.error.details, ['At most 4 numbers can be revealed']);
+  });
+
+  await t.test('malformed requests are 400s with an error code', async () => {
+    const cases = [
+      ['{', 'invalid_json'],
+      ['[]', 'invalid_request'],
+      ['{}', 'invalid_request'],
+      ['{"board": "........."}', 'invalid_board'],
+      ['{"board": "1.1......"}', 'invalid_board'],
+      ['{"board": "1........", "objective": "constructor"}', 'unknown_objective'],
+      ['{"board": "1........", "objective": "threshold", "threshold": -1}', 'invalid_request'],
+      ['{"board": "1........", "objective": "threshold", "threshold": 1.5}', 'invalid_request'],
+      ['{"board": "1........", "payoutTable": "missing"}', 'unknown_payout_table']
+    ];
+    for (const [body, code] of cases) {
+      const response = await request(server, 'POST', '/solve', body);
+      assert.strictEqual(response.status, 400, body);
+      assert.strictEqual(response.body.error.code, code, body);
+    }
+  });
+
+  await t.test('oversized bodies, unknown paths and wrong methods are rejected', async () => {
+    const large = await request(server, 'POST', '/solve', JSON.stringify({ board: '1........', padding: 'x'.repeat(20000) }));
+    assert.strictEqual(large.status, 413);
+    assert.strictEqual(large.body.error.code, 'body_too_large');
+
+    const missing = await request(server, 'GET', '/missing');
+    assert.strictEqual(missing.status, 404);
+
+    const wrongMethod = await request(server, 'GET', '/solve');
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual(wrongMethod.headers.allow, 'POST');
+  });
+
+  await t.test('GET /payouts and GET /openapi.json', async () => {
+    const payouts = await request(server, 'GET', '/payouts');
+    assert.strictEqual(payouts.body.tables[0].name, 'standard');
+
+    const openapi = await request(server, 'GET', '/openapi.json');
+    assert.strictEqual(openapi.body.openapi, '3.0.3');
+  });
+});
+
+test('threshold is clamped to the payout range without changing the result', () => {
+  const board = '1..5...9.';
+  const solve = threshold => handleSolve({ board, objective: 'threshold', threshold });
+
+  const unreachable = solve(1e15);
+  assert.strictEqual(unreachable.objective.threshold, 10001);
+  assert.strictEqual(unreachable.expectedScore, 0);
+
+  const certain = solve(0);
+  assert.strictEqual(certain.objective.threshold, 36);
+  assert.strictEqual(certain.expectedScore, 1);
+
+  assert.strictEqual(solve(10000).objective.threshold, 10000);
+  assert.strictEqual(solve(1001).expectedScore, solve(1080).expectedScore);
+});
@@ -0,0 +1,76 @@
+/**
+ * Board Notation Module for Mini Cactpot Calculator
+ * Reads and writes boards as compact text, e.g. "1..5...9." or "1..|5..|.9."
+ *
+ * Cells are listed row by row. A digit 1-9 is a revealed number and "." is a hidden
+ * cell ("0", "-", "_" and "x" are read as hidden too). Rows may be separated by
+ * "|", "/", spaces or line breaks.
+ */
+
+/**
+ * Board notation utility class
+ */
+class BoardNotation {
+  /**
+   * Parses a board from text
+   * @param {string} text - Board text
+   * @returns {Array} Array of 9 values (null for hidden cells)
+   * @throws {Error} If the text does not describe exactly 9 cells
+   */
+  static parse(text) {
+    const cells = String(text).replace(/[|/\s]/g, '');
+    if (!/^[1-9.0_xX-]{9}$/.test(cells)) {
+      throw new Error(`Board must have 9 cells of 1-9 or ".", got "${text}"`);
+    }
+    return cells.split('').map(cell => (/[1-9]/.test(cell) ? parseInt(cell, 10) : null));
+  }
+
+  /**
+   * Serializes a board to text
+   * @param {Array} board - Array of 9 values (null for hidden cells)
+   * @param {Object} [options] - Serialization options
+   * @param {boolean} [options.rows=false] - Separate the three rows with "|"
+   * @returns {string} Board text
+   */
+  static serialize(board, options = {}) {
+    const cells = board.map(value => (value === null ? '.' : String(value)));
+    if (!options.rows) {
+      return cells.join('');
+    }
+    return [0, 3, 6].map(start => cells.slice(start, start + 3).join('')).join('|');
+  }
+
+  /**
+   * Reads a board from a URL hash such as "#board=1..5...9."
+   * @param {string} hash - The location hash, with or without the leading "#"
+   * @returns {Array|null} The board, or null if the hash holds no valid board
+   */
+  static fromHash(hash) {
+    const match = /^#?(?:board=)?([^&]*)/.exec(hash || '');
+    if (!match || match[1] === '') {
+      return null;
+    }
+    try {
+      return this.parse(decodeURIComponent(match[1]));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Builds the URL hash for a board
+   * @param {Array} board - Array of 9 values (null for hidden cells)
+   * @returns {string} The hash, or an empty string for an empty board
+   */
+  static toHash(board) {
+    if (board.every(value => value === null)) {
+      return '';
+    }
+    return `#board=${this.serialize(board)}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BoardNotation;
+}
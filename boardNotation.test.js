@@ -0,0 +1,41 @@
+/**
+ * Checks for the board notation and URL hash helpers
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BoardNotation = require('./boardNotation.js');
+
+const BOARD = [1, null, null, 5, null, null, null, 9, null];
+
+test('parse reads every accepted form of the same board', () => {
+  ['1..5...9.', '1..|5..|.9.', '1../5../.9.', '1.. 5.. .9.', '1..\n5..\n.9.', '100500090', '1xX5-_-9.']
+    .forEach(text => assert.deepStrictEqual(BoardNotation.parse(text), BOARD, text));
+});
+
+test('parse rejects boards without exactly 9 cells of 1-9 or "."', () => {
+  ['', '1..5...9', '1..5...9..', '1..5...9a', 'a........'].forEach(text => {
+    assert.throws(() => BoardNotation.parse(text), /Board must have 9 cells/, text);
+  });
+});
+
+test('serialize writes the compact and three-row forms', () => {
+  assert.strictEqual(BoardNotation.serialize(BOARD), '1..5...9.');
+  assert.strictEqual(BoardNotation.serialize(BOARD, { rows: true }), '1..|5..|.9.');
+  assert.deepStrictEqual(BoardNotation.parse(BoardNotation.serialize(BOARD, { rows: true })), BOARD);
+});
+
+test('toHash and fromHash round-trip a board', () => {
+  assert.strictEqual(BoardNotation.toHash(BOARD), '#board=1..5...9.');
+  assert.deepStrictEqual(BoardNotation.fromHash('#board=1..5...9.'), BOARD);
+  assert.deepStrictEqual(BoardNotation.fromHash('board=1..%7C5..%7C.9.'), BOARD);
+  assert.deepStrictEqual(BoardNotation.fromHash('#1..5...9.&lang=en'), BOARD);
+});
+
+test('an empty board has no hash, and a hash without a valid board gives null', () => {
+  assert.strictEqual(BoardNotation.toHash(new Array(9).fill(null)), '');
+  [undefined, '', '#', '#board=', '#board=123', '#board=%E0%A4%A'].forEach(hash => {
+    assert.strictEqual(BoardNotation.fromHash(hash), null, String(hash));
+  });
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Embed Builder for Mini Cactpot Calculator
+ * Bundles miniCactpotElement.js and the scripts it needs into miniCactpotEmbed.js: one file
+ * that defines <mini-cactpot> and keeps everything else inside a closure, so embedding sites
+ * get no other globals
+ *
+ * Usage:
+ *   node buildEmbed.js           Regenerate miniCactpotEmbed.js
+ *   node buildEmbed.js --verify  Check that miniCactpotEmbed.js matches the current sources
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The element's dependencies in load order, followed by the element itself
+const SOURCE_FILES = [
+  'i18n.js',
+  'validation.js',
+  'payoutTables.js',
+  'boardNotation.js',
+  'strategyTableData.js',
+  'strategyTable.js',
+  'gameLogic.js',
+  'solverClient.js',
+  'miniCactpotElement.js'
+];
+
+const OUTPUT_FILE = path.join(__dirname, 'miniCactpotEmbed.js');
+
+/**
+ * Builds the bundle source
+ * @returns {string} Contents of miniCactpotEmbed.js
+ */
+function build() {
+  const sections = SOURCE_FILES.map(file => {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8').trimEnd();
+    return `// ---- ${file} ----\n\n${source}\n`;
+  });
+
+  // Keep the solver quiet on the host page, before any element starts a worker (elements
+  // already on the page connect as soon as miniCactpotElement.js defines them)
+  const elementIndex = SOURCE_FILES.indexOf('miniCactpotElement.js');
+  sections.splice(elementIndex, 0, '// ---- Embed settings ----\n\nsetDebugLogging(false);\n');
+
+  // The module parameter is always undefined, so the Node export branches never run even if
+  // the embedding page defines a global of that name
+  return `/**
+ * Mini Cactpot Embed for Mini Cactpot Calculator
+ * Defines <mini-cactpot> from a single script; nothing else is added to the page's globals.
+ * Images and solverWorker.js are still loaded from next to this file.
+ * Generated by buildEmbed.js from ${SOURCE_FILES.join(', ')} - do not edit by hand
+ */
+(function (module) {
+${sections.join('\n')}
+})();
+`;
+}
+
+if (process.argv.includes('--verify')) {
+  const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+  if (current === build()) {
+    console.log(`${path.basename(OUTPUT_FILE)} is up to date`);
+  } else {
+    console.error(`${path.basename(OUTPUT_FILE)} is out of date: run node buildEmbed.js`);
+    process.exitCode = 1;
+  }
+} else {
+  fs.writeFileSync(OUTPUT_FILE, build());
+  console.log(`Wrote ${path.basename(OUTPUT_FILE)} from ${SOURCE_FILES.length} scripts`);
+}
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * Command-line solver for Mini Cactpot Calculator
+ * Prints the suggested cells to scratch, or the ranked lines once 4 numbers are revealed
+ *
+ * Usage:
+ *   node cactpot.js solve "1..|.5.|..9" [--json] [--objective <id>] [--threshold <mgp>] [--payouts <file>]
+ *   node cactpot.js simulate [--policy <id>] [--games <n>] [--seed <n>] [--json]
+ */
+
+const fs = require('fs');
+const Validation = require('./validation.js');
+const BoardNotation = require('./boardNotation.js');
+const PayoutTables = require('./payoutTables.js');
+const { SIMULATOR_POLICIES, simulate } = require('./simulator.js');
+const {
+  OBJECTIVES,
+  createObjective,
+  calculateBestOptions,
+  findBestCellsToReveal,
+  formatObjectiveScore,
+  setDebugLogging
+} = require('./gameLogic.js');
+
+const USAGE = `Usage: node cactpot.js solve <board> [options]
+       node cactpot.js simulate [options]
+
+Board: 9 cells, row by row. Digits 1-9 are revealed numbers, "." (or "0", "-", "_", "x")
+is a hidden cell. "|", "/" and spaces may separate rows, e.g. "1..|.5.|..9".
+
+Options:
+  --json               Print the result as JSON
+  --objective <id>     ${Object.keys(OBJECTIVES).join(', ')} (default: ev)
+  --threshold <mgp>    Target MGP for the threshold objective
+  --payouts <file>     Load payout tables from a JSON file and use the first one
+  --policy <id>        Policy to simulate: ${Object.keys(SIMULATOR_POLICIES).join(', ')} (default: solver)
+  --games <n>          Number of simulated tickets (default: 1000)
+  --seed <n>           Random seed for reproducible simulations (default: 1)
+  --verbose            Log calculation details
+  --help               Show this message`;
+
+/**
+ * Parses command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Object containing command, positional arguments and options
+ * @throws {Error} If an option is unknown or missing its value
+ */
+function parseArguments(args) {
+  const parsed = { command: null, positional: [], json: false, verbose: false, help: false };
+  const valueOptions = {
+    '--objective': 'objective',
+    '--threshold': 'threshold',
+    '--payouts': 'payouts',
+    '--policy': 'policy',
+    '--games': 'games',
+    '--seed': 'seed'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') {
+      parsed.json = true;
+    } else if (arg === '--verbose') {
+      parsed.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (valueOptions[arg]) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      parsed[valueOptions[arg]] = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (parsed.command === null) {
+      parsed.command = arg;
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Describes a cell by its position on the grid
+ * @param {number} cellIndex - Index of the cell (0-8)
+ * @returns {Object} Object containing index, row and column (1-based)
+ */
+function describeCell(cellIndex) {
+  return { index: cellIndex, row: Math.floor(cellIndex / 3) + 1, column: (cellIndex % 3) + 1 };
+}
+
+/**
+ * Solves a board
+ * @param {Array} board - Array of 9 values (null for hidden cells)
+ * @param {Object} objective - Objective from createObjective
+ * @param {Object} payoutTable - Payout table
+ * @returns {Object} Solution with the phase and either suggested cells or ranked lines
+ * @throws {Error} If the board is not a ticket the game can show (1-4 distinct numbers)
+ */
+function solveBoard(board, objective, payoutTable) {
+  const validation = Validation.validateGameConstraints(board, 1);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join('; '));
+  }
+
+  const solution = { board, objective, payoutTable: { name: payoutTable.name, label: payoutTable.label } };
+  if (validation.filledCount < 4) {
+    const suggestion = findBestCellsToReveal(board, objective, payoutTable);
+    solution.phase = 'scratch';
+    solution.suggestedCells = suggestion.bestCells.map(describeCell);
+    solution.expectedScore = suggestion.maxEV;
+  } else {
+    const result = calculateBestOptions(board, objective, payoutTable);
+    solution.phase = 'pick-line';
+    solution.bestLines = result.rankedOptions.slice(0, result.bestOptions.length).map(option => option.name);
+    solution.expectedScore = result.maxScore;
+    solution.expectedValue = result.maxEV;
+    solution.lines = result.rankedOptions;
+  }
+  return solution;
+}
+
+/**
+ * Formats a solution as human-readable text
+ * @param {Object} solution - Solution from solveBoard
+ * @returns {string} The text to print
+ */
+function formatSolution(solution) {
+  const rows = BoardNotation.serialize(solution.board, { rows: true })
+    .split('|')
+    .map(row => `  ${row.split('').join(' ')}`);
+  const lines = [...rows, '', `Objective: ${solution.objective.label}`, `Payouts: ${solution.payoutTable.label}`, ''];
+
+  if (solution.phase === 'scratch') {
+    const cells = solution.suggestedCells.map(cell => `row ${cell.row}, column ${cell.column}`);
+    lines.push(`Scratch next: ${cells.join(' or ')}`);
+    lines.push(`Expected: ${formatObjectiveScore(solution.expectedScore, solution.objective)}`);
+  } else {
+    lines.push(`Best line: ${solution.bestLines.join(', ')}`);
+    lines.push('');
+    const nameWidth = Math.max(...solution.lines.map(line => line.name.length));
+    solution.lines.forEach(line => {
+      const score = formatObjectiveScore(line.score, solution.objective).padStart(8);
+      const ev = `${line.ev.toFixed(0)} MGP`.padStart(10);
+      const gap = line.gap > 0 ? `  -${formatObjectiveScore(line.gap, solution.objective)}` : '';
+      lines.push(`  ${line.name.padEnd(nameWidth)} ${score} ${solution.objective.id === 'ev' ? '' : ev}${gap}`.trimEnd());
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats a simulation summary as human-readable text
+ * @param {Object} summary - Summary from simulate
+ * @returns {string} The text to print
+ */
+function formatSimulation(summary) {
+  const [low, high] = summary.confidenceInterval;
+  return [
+    `Policy: ${summary.label}`,
+    `Games: ${summary.games} (seed ${summary.seed})`,
+    `Objective: ${summary.objective.label}`,
+    `Payouts: ${summary.payoutTable.label}`,
+    '',
+    `Mean: ${summary.mean.toFixed(1)} MGP`,
+    `Standard deviation: ${summary.standardDeviation.toFixed(1)} MGP`,
+    `95% confidence interval: ${low.toFixed(1)} - ${high.toFixed(1)} MGP`,
+    `Range: ${summary.min} - ${summary.max} MGP`,
+    `Jackpot rate: ${(summary.jackpotRate * 100).toFixed(2)}%`
+  ].join('\n');
+}
+
+/**
+ * Parses an integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for the error message
+ * @param {number} [min] - Smallest value allowed
+ * @returns {number|undefined} The integer, or undefined if the option was not given
+ * @throws {Error} If the value is not a whole integer, or below min
+ */
+function parseIntegerOption(value, name, min = -Infinity) {
+  if (value === undefined) {
+    return undefined;
+  }
+  // parseInt alone would read "12abc" as 12
+  if (!/^-?\d+$/.test(value)) {
+    throw new Error(`${name} must be an integer, got "${value}"`);
+  }
+  const parsed = parseInt(value, 10);
+  if (parsed < min) {
+    throw new Error(`${name} must be at least ${min}, got ${parsed}`);
+  }
+  return parsed;
+}
+
+/**
+ * Runs the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} Process exit code
+ */
+function main(args) {
+  let options;
+  try {
+    options = parseArguments(args);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (options.help || options.command === null) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  setDebugLogging(options.verbose);
+
+  try {
+    if (options.command !== 'solve' && options.command !== 'simulate') {
+      throw new Error(`Unknown command: ${options.command}`);
+    }
+
+    let payoutTable = PayoutTables.getDefaultTable();
+    if (options.payouts) {
+      [payoutTable] = PayoutTables.loadTables(fs.readFileSync(options.payouts, 'utf8'));
+    }
+
+    const threshold = parseIntegerOption(options.threshold, '--threshold', 0);
+    const objective = createObjective(options.objective || 'ev', { threshold, payoutTable });
+
+    if (options.command === 'simulate') {
+      if (options.positional.length !== 0) {
+        throw new Error('simulate takes no board');
+      }
+      const summary = simulate({
+        policy: options.policy,
+        games: parseIntegerOption(options.games, '--games', 1),
+        seed: parseIntegerOption(options.seed, '--seed'),
+        objective,
+        payoutTable
+      });
+      summary.objective = objective;
+      summary.payoutTable = { name: payoutTable.name, label: payoutTable.label };
+      console.log(options.json ? JSON.stringify(summary, null, 2) : formatSimulation(summary));
+      return 0;
+    }
+
+    if (options.positional.length !== 1) {
+      throw new Error('solve needs exactly one board');
+    }
+
+    const solution = solveBoard(BoardNotation.parse(options.positional[0]), objective, payoutTable);
+    console.log(options.json ? JSON.stringify(solution, null, 2) : formatSolution(solution));
+    return 0;
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+// Export for use in other modules
+module.exports = { solveBoard, formatSolution, formatSimulation, main };
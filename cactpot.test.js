@@ -0,0 +1,52 @@
+/**
+ * Checks for the command line
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { main } = require('./cactpot.js');
+
+/**
+ * Runs the command line with its output captured
+ * @param {Object} t - The test context, for mocking the console
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Object containing code (exit code), output and errors (joined lines)
+ */
+function run(t, args) {
+  const log = t.mock.method(console, 'log', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+  const code = main(args);
+  const lines = mock => mock.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  const result = { code, output: lines(log), errors: lines(error) };
+  log.mock.restore();
+  error.mock.restore();
+  return result;
+}
+
+test('solve prints the suggestion as JSON', t => {
+  const result = run(t, ['solve', '....5....', '--json']);
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(JSON.parse(result.output).suggestedCells.map(cell => cell.index), [0, 2, 6, 8]);
+});
+
+test('integer options must be whole integers', t => {
+  [
+    [['simulate', '--games', '12abc'], '--games must be an integer, got "12abc"'],
+    [['simulate', '--games', '1.5'], '--games must be an integer, got "1.5"'],
+    [['simulate', '--games', '-3'], '--games must be at least 1, got -3'],
+    [['simulate', '--seed', '7x'], '--seed must be an integer, got "7x"'],
+    [['solve', '1........', '--objective', 'threshold', '--threshold', '12abc'], '--threshold must be an integer, got "12abc"'],
+    [['solve', '1........', '--objective', 'threshold', '--threshold', '-5'], '--threshold must be at least 0, got -5']
+  ].forEach(([args, message]) => {
+    const result = run(t, args);
+    assert.notStrictEqual(result.code, 0, args.join(' '));
+    assert.ok(result.errors.includes(message), result.errors);
+  });
+});
+
+test('a negative seed is allowed', t => {
+  const result = run(t, ['simulate', '--policy', 'random', '--games', '5', '--seed', '-7', '--json']);
+  assert.strictEqual(result.code, 0);
+  assert.strictEqual(JSON.parse(result.output).seed, -7);
+});
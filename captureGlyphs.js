@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * Glyph Capture for Mini Cactpot Calculator
+ * Rebuilds ticketGlyphs.js from labelled screenshots of real tickets, or checks that
+ * TicketReader reads every screenshot as labelled
+ *
+ * Screenshots are PNG files in fixtures/tickets, listed in fixtures/tickets/tickets.json as
+ * [{ "file": "ticket-1.png", "board": "1..5...9." }, ...] with the board the screenshot shows.
+ *
+ * Usage:
+ *   node captureGlyphs.js           Regenerate ticketGlyphs.js from the screenshots
+ *   node captureGlyphs.js --check   Read every screenshot and compare it with its board
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const BoardNotation = require('./boardNotation.js');
+const TicketReader = require('./ticketReader.js');
+const TICKET_GLYPHS = require('./ticketGlyphs.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'tickets');
+const MANIFEST_FILE = path.join(FIXTURE_DIR, 'tickets.json');
+const OUTPUT_FILE = path.join(__dirname, 'ticketGlyphs.js');
+
+// Size of the glyphs TicketReader works with
+const GLYPH_WIDTH = 10;
+const GLYPH_HEIGHT = 14;
+
+/**
+ * Decodes a PNG file to RGBA pixels
+ * Screenshots are 8-bit and not interlaced; other PNGs should be re-saved first
+ * @param {Buffer} buffer - Contents of the PNG file
+ * @returns {Object} ImageData-like object containing width, height and data (RGBA bytes)
+ * @throws {Error} If the file is not a PNG this decoder supports
+ */
+function decodePng(buffer) {
+  const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+  if (buffer.length < 8 || signature.some((byte, i) => buffer[i] !== byte)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  let palette = null;
+  const chunks = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'IDAT') {
+      chunks.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  // Channels per pixel for grayscale, RGB, palette, grayscale with alpha and RGBA
+  const channelCounts = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !channelCounts[header.colorType] ||
+    (header.colorType === 3 && !palette)) {
+    throw new Error('Only 8-bit, non-interlaced PNGs are supported; re-save the screenshot as a plain PNG');
+  }
+
+  const { width, height, colorType } = header;
+  const channels = channelCounts[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  const pixels = Buffer.alloc(stride * height);
+
+  // Undo each row's filter, which predicts bytes from the left, upper and upper-left bytes
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+      let prediction = 0;
+      if (filter === 1) {
+        prediction = left;
+      } else if (filter === 2) {
+        prediction = up;
+      } else if (filter === 3) {
+        prediction = (left + up) >> 1;
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        prediction = distances[0] <= distances[1] && distances[0] <= distances[2]
+          ? left
+          : (distances[1] <= distances[2] ? up : upLeft);
+      }
+      pixels[y * stride + x] = (value + prediction) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = pixels.subarray(i * channels, (i + 1) * channels);
+    let rgba;
+    if (colorType === 0) {
+      rgba = [source[0], source[0], source[0], 255];
+    } else if (colorType === 2) {
+      rgba = [source[0], source[1], source[2], 255];
+    } else if (colorType === 3) {
+      rgba = [palette[source[0] * 3], palette[source[0] * 3 + 1], palette[source[0] * 3 + 2], 255];
+    } else if (colorType === 4) {
+      rgba = [source[0], source[0], source[0], source[1]];
+    } else {
+      rgba = [source[0], source[1], source[2], source[3]];
+    }
+    data.set(rgba, i * 4);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Loads the labelled screenshots
+ * @returns {Array} Array of objects containing file, board (9 values) and imageData
+ * @throws {Error} If there is no manifest or an entry is invalid
+ */
+function loadFixtures() {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    throw new Error(`No labelled screenshots: add PNGs and ${path.relative(__dirname, MANIFEST_FILE)} first`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  if (!Array.isArray(manifest) || manifest.length === 0) {
+    throw new Error(`${path.basename(MANIFEST_FILE)} must be a non-empty array of { file, board }`);
+  }
+  return manifest.map(entry => ({
+    file: entry.file,
+    board: BoardNotation.parse(entry.board),
+    imageData: decodePng(fs.readFileSync(path.join(FIXTURE_DIR, entry.file)))
+  }));
+}
+
+/**
+ * Regenerates ticketGlyphs.js from the average of every captured digit
+ * Digits no screenshot shows keep their current glyph
+ * @returns {boolean} True if every screenshot could be used
+ */
+function capture() {
+  const sums = {};
+  let usable = true;
+  loadFixtures().forEach(fixture => {
+    const result = TicketReader.read(fixture.imageData);
+    fixture.board.forEach((digit, index) => {
+      const cell = result.cells[index];
+      if (digit === null) {
+        return;
+      }
+      if (!cell.glyph) {
+        console.error(`${fixture.file}: no digit found in cell ${index + 1}`);
+        usable = false;
+        return;
+      }
+      sums[digit] = sums[digit] || { total: new Float32Array(GLYPH_WIDTH * GLYPH_HEIGHT), count: 0 };
+      cell.glyph.forEach((value, i) => {
+        sums[digit].total[i] += value;
+      });
+      sums[digit].count++;
+    });
+  });
+  if (!usable) {
+    return false;
+  }
+
+  const glyphs = {};
+  for (let digit = 1; digit <= 9; digit++) {
+    if (!sums[digit]) {
+      console.log(`Digit ${digit}: not in any screenshot, keeping the current glyph`);
+      glyphs[digit] = TICKET_GLYPHS[digit];
+      continue;
+    }
+    const { total, count } = sums[digit];
+    glyphs[digit] = [];
+    for (let y = 0; y < GLYPH_HEIGHT; y++) {
+      let row = '';
+      for (let x = 0; x < GLYPH_WIDTH; x++) {
+        row += total[y * GLYPH_WIDTH + x] / count > 0.5 ? '#' : '.';
+      }
+      glyphs[digit].push(row);
+    }
+    console.log(`Digit ${digit}: averaged ${count} captures`);
+  }
+
+  const entries = Object.entries(glyphs)
+    .map(([digit, rows]) => `  ${digit}: [\n${rows.map(row => `    '${row}'`).join(',\n')}\n  ]`)
+    .join(',\n');
+  const source = `/**
+ * Reference Glyphs for Mini Cactpot Calculator
+ * Bitmaps of the digits 1-9 as drawn on revealed ticket cells, used by TicketReader.
+ * "#" is ink and "." is background. Every glyph is ${GLYPH_WIDTH} columns by ${GLYPH_HEIGHT} rows.
+ * Generated by captureGlyphs.js from the screenshots in fixtures/tickets - do not edit by hand
+ */
+
+const TICKET_GLYPHS = {
+${entries}
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TICKET_GLYPHS;
+}
+`;
+  fs.writeFileSync(OUTPUT_FILE, source);
+  console.log(`Wrote ${path.basename(OUTPUT_FILE)}`);
+  return true;
+}
+
+/**
+ * Reads every screenshot and compares the result with its board
+ * @returns {boolean} True if every screenshot reads as labelled
+ */
+function check() {
+  const fixtures = loadFixtures();
+  let mismatches = 0;
+  fixtures.forEach(fixture => {
+    let board;
+    try {
+      board = TicketReader.read(fixture.imageData).board;
+    } catch (error) {
+      board = null;
+      console.error(`${fixture.file}: ${error.message}`);
+    }
+    const expected = BoardNotation.serialize(fixture.board);
+    if (!board || BoardNotation.serialize(board) !== expected) {
+      mismatches++;
+      console.error(`${fixture.file}: read ${board ? BoardNotation.serialize(board) : 'nothing'}, expected ${expected}`);
+    }
+  });
+
+  console.log(`Checked ${fixtures.length} screenshots: ${mismatches} misread`);
+  return mismatches === 0;
+}
+
+if (require.main === module) {
+  try {
+    const succeeded = process.argv.includes('--check') ? check() : capture();
+    process.exitCode = succeeded ? 0 : 1;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+module.exports = { decodePng, loadFixtures, check };
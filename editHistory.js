@@ -0,0 +1,101 @@
+/**
+ * Edit History Module for Mini Cactpot Calculator
+ * Keeps the sequence of board states so edits can be undone and redone
+ */
+
+/**
+ * Undo/redo stack of board states
+ */
+class EditHistory {
+  /**
+   * @param {number} [limit] - Maximum number of states kept
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.states = [new Array(9).fill(null)];
+    this.position = 0;
+  }
+
+  /**
+   * Starts a fresh history from a board
+   * @param {Array} board - Array of 9 values (null for hidden cells)
+   */
+  reset(board) {
+    this.states = [[...board]];
+    this.position = 0;
+  }
+
+  /**
+   * Gets the board at the current position
+   * @returns {Array} Copy of the current board
+   */
+  getCurrent() {
+    return [...this.states[this.position]];
+  }
+
+  /**
+   * Records a board as the newest state, dropping any states that were undone
+   * Boards equal to the current state are ignored, so restoring a state does not record it again
+   * @param {Array} board - Array of 9 values (null for hidden cells)
+   * @returns {boolean} True if the board was recorded
+   */
+  push(board) {
+    const current = this.states[this.position];
+    if (board.every((value, index) => value === current[index])) {
+      return false;
+    }
+
+    this.states = this.states.slice(0, this.position + 1);
+    this.states.push([...board]);
+    if (this.states.length > this.limit) {
+      this.states.shift();
+    }
+    this.position = this.states.length - 1;
+    return true;
+  }
+
+  /**
+   * Checks whether there is a state to go back to
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.position > 0;
+  }
+
+  /**
+   * Checks whether there is an undone state to go forward to
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.position < this.states.length - 1;
+  }
+
+  /**
+   * Steps back one state
+   * @returns {Array|null} The previous board, or null if there is none
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+    this.position--;
+    return this.getCurrent();
+  }
+
+  /**
+   * Steps forward one state
+   * @returns {Array|null} The next board, or null if there is none
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return null;
+    }
+    this.position++;
+    return this.getCurrent();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditHistory;
+}
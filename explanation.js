@@ -0,0 +1,203 @@
+/**
+ * Explanation Module for Mini Cactpot Calculator
+ * Turns the figures from describeRecommendation into short sentences saying why a cell or
+ * line is recommended
+ */
+
+// Message translations (loaded as a global script in the browser)
+const ExplanationI18n = (typeof module !== 'undefined' && module.exports)
+  ? require('./i18n.js')
+  : I18n;
+
+/**
+ * Recommendation explanation utility class
+ */
+class Explanation {
+  /**
+   * Explains a recommendation
+   * @param {Object} description - Result object from describeRecommendation
+   * @returns {Array} Sentences in the active language, most important first
+   */
+  static describe(description) {
+    return description.stage === 'line'
+      ? this.describeLines(description.lines, description.objective)
+      : this.describeCells(description.cells, description.objective);
+  }
+
+  /**
+   * Explains the line choice: the best line, what it can pay, the runner-up, and any line
+   * that could pay more but averages less
+   * @param {Array} lines - Lines from describeRecommendation, best first
+   * @param {Object} objective - Objective from createObjective
+   * @returns {Array} Sentences
+   */
+  static describeLines(lines, objective) {
+    const t = ExplanationI18n.t.bind(ExplanationI18n);
+    const sentences = [];
+    const bestLines = lines.filter(line => line.best);
+    const others = lines.filter(line => !line.best);
+    if (bestLines.length === 0) {
+      return sentences;
+    }
+
+    const best = bestLines[0];
+    const params = {
+      line: ExplanationI18n.getLineName(best.index),
+      lines: this.listLines(bestLines.map(line => line.index)),
+      mgp: ExplanationI18n.formatMgp(best.ev),
+      goal: ExplanationI18n.getObjectiveLabel(objective),
+      score: ExplanationI18n.formatObjectiveScore(best.score, objective)
+    };
+    const tied = bestLines.length > 1 ? 'Tied' : '';
+    sentences.push(objective.id === 'ev' ? t(`explain.lineBest${tied}`, params) : t(`explain.lineBestGoal${tied}`, params));
+
+    sentences.push(best.hiddenCount === 0
+      ? t('explain.lineFixed', {
+        total: best.topOutcome.total,
+        payout: ExplanationI18n.formatMgp(best.topOutcome.payout)
+      })
+      : t('explain.lineTop', {
+        total: best.topOutcome.total,
+        payout: ExplanationI18n.formatMgp(best.topOutcome.payout),
+        fraction: this.formatChance(best.topOutcome.probability)
+      }));
+
+    if (others.length > 0) {
+      const next = others[0];
+      const key = objective.id === 'ev' ? `explain.lineNext${this.isCloseGap(next.gap) ? 'Close' : ''}` : 'explain.lineNextGoal';
+      sentences.push(t(key, {
+        line: ExplanationI18n.getLineName(next.index),
+        mgp: ExplanationI18n.formatMgp(next.ev),
+        gap: this.formatGap(next.gap),
+        score: ExplanationI18n.formatObjectiveScore(next.score, objective)
+      }));
+    }
+
+    // A line that could pay more than the best one shows why the average matters
+    const longShot = others
+      .filter(line => line.topOutcome.payout > best.topOutcome.payout)
+      .sort((a, b) => b.topOutcome.payout - a.topOutcome.payout || b.topOutcome.probability - a.topOutcome.probability)[0];
+    if (longShot) {
+      sentences.push(t(longShot.lowPayoutChance > 0 ? 'explain.lineLongShotLow' : 'explain.lineLongShot', {
+        line: ExplanationI18n.getLineName(longShot.index),
+        total: longShot.topOutcome.total,
+        payout: ExplanationI18n.formatMgp(longShot.topOutcome.payout),
+        fraction: this.formatChance(longShot.topOutcome.probability),
+        mgp: ExplanationI18n.formatMgp(longShot.ev),
+        lowest: ExplanationI18n.formatMgp(longShot.lowestPayout),
+        chance: ExplanationI18n.formatPercent(longShot.lowPayoutChance)
+      }));
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Explains the cell suggestion: the best cells, the lines they lie on, the runner-up
+   * and the worst cell
+   * @param {Array} cells - Cells from describeRecommendation, best first
+   * @param {Object} objective - Objective from createObjective
+   * @returns {Array} Sentences
+   */
+  static describeCells(cells, objective) {
+    const t = ExplanationI18n.t.bind(ExplanationI18n);
+    const sentences = [];
+    const bestCells = cells.filter(cell => cell.best);
+    const others = cells.filter(cell => !cell.best);
+    if (bestCells.length === 0) {
+      return sentences;
+    }
+
+    const isEv = objective.id === 'ev';
+    const best = bestCells[0];
+    const tied = bestCells.length > 1 ? 'Tied' : '';
+    sentences.push(t(isEv ? `explain.cellBest${tied}` : `explain.cellBestGoal${tied}`, {
+      cells: bestCells.map(cell => this.getCellName(cell.index)).join(ExplanationI18n.t('announce.separator')),
+      mgp: ExplanationI18n.formatMgp(best.score),
+      goal: ExplanationI18n.getObjectiveLabel(objective),
+      score: ExplanationI18n.formatObjectiveScore(best.score, objective)
+    }));
+
+    sentences.push(t('explain.cellLines', {
+      cell: this.getCellName(best.index),
+      count: best.lines.length,
+      lines: this.listLines(best.lines)
+    }));
+
+    const describeOther = (cell, key) => t(isEv ? key : `${key}Goal`, {
+      cell: this.getCellName(cell.index),
+      mgp: ExplanationI18n.formatMgp(cell.score),
+      gap: this.formatGap(best.score - cell.score),
+      score: ExplanationI18n.formatObjectiveScore(cell.score, objective)
+    });
+    if (others.length > 0) {
+      const close = this.isCloseGap(best.score - others[0].score);
+      sentences.push(describeOther(others[0], close && isEv ? 'explain.cellNextClose' : 'explain.cellNext'));
+    }
+    if (others.length > 1 && others[others.length - 1].score < others[0].score) {
+      sentences.push(describeOther(others[others.length - 1], 'explain.cellWorst'));
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Checks whether an MGP gap is too small to show in whole MGP
+   * @param {number} gap - Expected MGP given up
+   * @returns {boolean} True if the gap rounds to 0 MGP
+   */
+  static isCloseGap(gap) {
+    return Math.round(gap) === 0;
+  }
+
+  /**
+   * Formats an MGP gap, with two decimals when it rounds to 0 MGP, e.g. "0.25 MGP"
+   * @param {number} gap - Expected MGP given up
+   * @returns {string} Formatted amount with its unit
+   */
+  static formatGap(gap) {
+    return this.isCloseGap(gap)
+      ? ExplanationI18n.t('mgp.amount', { amount: ExplanationI18n.formatNumber(gap, 2) })
+      : ExplanationI18n.formatMgp(gap);
+  }
+
+  /**
+   * Formats a probability as a fraction with its percentage, e.g. "1/21 (4.8%)"
+   * Probabilities that are not a fraction with a small denominator are shown as a percentage only
+   * @param {number} probability - Probability from 0 to 1
+   * @returns {string} Formatted chance
+   */
+  static formatChance(probability) {
+    const percent = ExplanationI18n.formatPercent(probability);
+    for (let denominator = 1; denominator <= 1000; denominator++) {
+      const numerator = Math.round(probability * denominator);
+      if (Math.abs(probability * denominator - numerator) < 1e-9) {
+        return `${numerator}/${denominator} (${percent})`;
+      }
+    }
+    return percent;
+  }
+
+  /**
+   * Gets the name of a cell
+   * @param {number} index - Cell index (0-8)
+   * @returns {string} Translated cell name
+   */
+  static getCellName(index) {
+    return ExplanationI18n.t('cell.label', { row: Math.floor(index / 3) + 1, column: (index % 3) + 1 });
+  }
+
+  /**
+   * Lists line names
+   * @param {Array} indices - Line indices (0-7)
+   * @returns {string} Translated names joined with the list separator
+   */
+  static listLines(indices) {
+    return ExplanationI18n.formatList(indices.map(index => ExplanationI18n.getLineName(index)));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Explanation;
+}
@@ -0,0 +1,27 @@
+/**
+ * Checks for the recommendation explanations
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const I18n = require('./i18n.js');
+const Explanation = require('./explanation.js');
+const { setDebugLogging, describeRecommendation } = require('./gameLogic.js');
+
+setDebugLogging(false);
+I18n.setLanguage('en');
+
+test('a runner-up less than 1 MGP behind is called practically tied, with the exact gap', () => {
+  const sentences = Explanation.describe(describeRecommendation([1, null, null, null, null, null, null, null, null]));
+  assert.ok(sentences.includes('The next best cell, Row 2, column 2, is practically tied: it leads to 1,678 MGP, 0.25 MGP less.'),
+    sentences.join('\n'));
+});
+
+test('larger gaps are shown in whole MGP', () => {
+  const cells = Explanation.describe(describeRecommendation([null, null, null, null, 5, null, null, null, null]));
+  assert.ok(cells.includes('The next best cell, Row 1, column 2, leads to 1,150 MGP, 26 MGP less.'), cells.join('\n'));
+
+  const lines = Explanation.describe(describeRecommendation([1, 2, null, null, 5, null, null, null, 9]));
+  assert.ok(lines.includes('Next best is Row 3 at 750 MGP, 1,396 MGP less.'), lines.join('\n'));
+});
@@ -3,51 +3,158 @@
  * Contains all the core calculation functions for determining optimal strategies
  */
 
+// Precomputed strategy lookups (loaded as a global script in the browser)
+const StrategyTable = (typeof module !== 'undefined' && module.exports)
+  ? require('./strategyTable.js')
+  : (typeof lookupStrategy === 'function' ? { lookupStrategy } : null);
+
+// Verbose calculation logging to the console, on by default
+let debugLoggingEnabled = true;
+
+/**
+ * Turns verbose calculation logging on or off
+ * @param {boolean} enabled - Whether to log
+ */
+function setDebugLogging(enabled) {
+  debugLoggingEnabled = enabled;
+}
+
+/**
+ * Checks whether verbose calculation logging is on
+ * @returns {boolean} True if calculations are logged
+ */
+function isDebugLogging() {
+  return debugLoggingEnabled;
+}
+
+/**
+ * Logs calculation details when debug logging is enabled
+ * @param {...*} args - Values to log
+ */
+function debugLog(...args) {
+  if (debugLoggingEnabled) {
+    console.log(...args);
+  }
+}
+
+// Payout table helpers (loaded as a global script in the browser)
+const Payouts = (typeof module !== 'undefined' && module.exports)
+  ? require('./payoutTables.js')
+  : PayoutTables;
+
+// Payout table used when none is given
+const DEFAULT_PAYOUT_TABLE = Payouts.getDefaultTable();
+
+// Default target for the threshold objective
+const DEFAULT_THRESHOLD_MGP = 1000;
+
+/**
+ * Objectives that the cell suggestions and line choice can optimize for.
+ * Each objective scores a final payout; the solver maximizes the expected score.
+ * Tolerance is the gap under which two cells count as tied.
+ */
+const OBJECTIVES = {
+  ev: { label: 'Maximize expected MGP', tolerance: 0.01 },
+  jackpot: { label: 'Maximize jackpot chance', tolerance: 1e-9 },
+  threshold: { label: 'Maximize chance of reaching a target', tolerance: 1e-9 },
+  utility: { label: 'Risk-averse (square-root utility)', tolerance: 1e-6 }
+};
+
+/**
+ * Creates an objective description
+ * A threshold up to the lowest payout is always reached and one above the jackpot never is, so
+ * it is clamped to that range; the results are the same and fewer targets need caching
+ * @param {string} [id='ev'] - One of the keys of OBJECTIVES
+ * @param {Object} [options] - Objective settings
+ * @param {number} [options.threshold] - Target MGP for the threshold objective
+ * @param {Object} [options.payoutTable] - Payout table the threshold is clamped to (the in-game
+ *   table by default)
+ * @returns {Object} Objective with id, label and (for threshold) threshold
+ * @throws {Error} If the objective is unknown or the threshold is not a non-negative integer
+ */
+function createObjective(id = 'ev', options = {}) {
+  if (!OBJECTIVES[id]) {
+    throw new Error(`Unknown objective: ${id}`);
+  }
+
+  const objective = { id, label: OBJECTIVES[id].label };
+  if (id === 'threshold') {
+    const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD_MGP;
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      throw new Error(`Threshold must be a non-negative integer, got ${threshold}`);
+    }
+    const payoutTable = options.payoutTable || DEFAULT_PAYOUT_TABLE;
+    objective.threshold = Math.min(Math.max(threshold, Payouts.getLowestPayout(payoutTable)),
+      Payouts.getJackpotPayout(payoutTable) + 1);
+    objective.label = `Maximize chance of at least ${objective.threshold} MGP`;
+  }
+  return objective;
+}
+
+// Objective used when none is given
+const DEFAULT_OBJECTIVE = createObjective('ev');
+
+/**
+ * Scores a final payout under an objective
+ * @param {number} payout - MGP paid by the chosen line
+ * @param {Object} objective - Objective from createObjective
+ * @param {Object} [payoutTable] - Payout table the jackpot is taken from
+ * @returns {number} The score to be maximized in expectation
+ */
+function scoreOutcome(payout, objective, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  switch (objective.id) {
+    case 'jackpot':
+      return payout === Payouts.getJackpotPayout(payoutTable) ? 1 : 0;
+    case 'threshold':
+      return payout >= objective.threshold ? 1 : 0;
+    case 'utility':
+      return Math.sqrt(payout);
+    default:
+      return payout;
+  }
+}
+
+/**
+ * Builds a cache key that identifies an objective, its settings and the payout table
+ * @param {Object} objective - Objective from createObjective
+ * @param {Object} payoutTable - Payout table
+ * @returns {string} The cache key
+ */
+function getObjectiveKey(objective, payoutTable) {
+  let objectiveKey = objective.id;
+  if (objective.id === 'threshold') {
+    // Thresholds between two payouts are reached by exactly the same lines, so they share a key
+    const reachable = Object.values(payoutTable.payouts).filter(payout => payout >= objective.threshold);
+    objectiveKey = `threshold:${reachable.length > 0 ? Math.min(...reachable) : 'unreachable'}`;
+  }
+  return `${objectiveKey}|${Payouts.getTableKey(payoutTable)}`;
+}
+
 /**
  * Returns the MGP value for a given total
  * @param {number} total - The sum of three numbers
+ * @param {Object} [payoutTable] - Payout table to read (the in-game table by default)
  * @returns {number} The MGP reward for that total
  */
-function gilValue(total) {
-  const valueToGil = {
-    6: 10000,
-    7: 36,
-    8: 720,
-    9: 360,
-    10: 80,
-    11: 252,
-    12: 108,
-    13: 72,
-    14: 54,
-    15: 180,
-    16: 72,
-    17: 180,
-    18: 119,
-    19: 36,
-    20: 306,
-    21: 1080,
-    22: 144,
-    23: 1800,
-    24: 3600
-  };
-
-  return valueToGil[total] || 0;
+function gilValue(total, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  return payoutTable.payouts[total] || 0;
 }
 
 /**
  * Calculates the expected value (EV) for a given option with available numbers
  * @param {Array} optionValues - Array of three values (some may be null)
  * @param {Array} availableNumbers - Array of numbers that can fill null positions
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
  * @returns {number} The expected value for this option
  */
-function calculateOptionEV(optionValues, availableNumbers) {
+function calculateOptionEV(optionValues, availableNumbers, payoutTable = DEFAULT_PAYOUT_TABLE) {
   // Find the null values in the optionValues set
   const nullCount = optionValues.filter(item => item === null).length;
 
   // If no null values exist, simply return the sole gilValue as the EV
   if (nullCount === 0) {
     const total = optionValues.reduce((sum, val) => sum + val, 0);
-    return gilValue(total);
+    return gilValue(total, payoutTable);
   }
 
   // If null values exist, we need to calculate the EV across all possible combinations
@@ -65,7 +172,7 @@ function calculateOptionEV(optionValues, availableNumbers) {
       const newAvailableNumbers = availableNumbers.filter((_, index) => index !== i);
       
       // Recursively calculate the EV for this new set of option values
-      const ev = calculateOptionEV(newOptionValues, newAvailableNumbers);
+      const ev = calculateOptionEV(newOptionValues, newAvailableNumbers, payoutTable);
       evTotal += ev;
       combinationCount++;
     }
@@ -74,11 +181,105 @@ function calculateOptionEV(optionValues, availableNumbers) {
 }
 
 /**
- * Calculates the best options and expected value for the current board state
+ * Calculates the expected objective score for a given option with available numbers
+ * @param {Array} optionValues - Array of three values (some may be null)
+ * @param {Array} availableNumbers - Array of numbers that can fill null positions
+ * @param {Object} objective - Objective from createObjective
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {number} The expected score for this option
+ */
+function calculateOptionScore(optionValues, availableNumbers, objective, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  if (objective.id === 'ev') {
+    return calculateOptionEV(optionValues, availableNumbers, payoutTable);
+  }
+
+  return calculateOptionDistribution(optionValues, availableNumbers, payoutTable).outcomes
+    .reduce((sum, outcome) => sum + outcome.probability * scoreOutcome(outcome.payout, objective, payoutTable), 0);
+}
+
+/**
+ * Calculates the full payout distribution for a given option with available numbers
+ * @param {Array} optionValues - Array of three values (some may be null)
+ * @param {Array} availableNumbers - Array of numbers that can fill null positions
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing outcomes (each reachable total with its probability
+ *   and payout), mean, variance, standardDeviation, jackpotChance, lowPayoutChance,
+ *   jackpotPayout and lowestPayout
+ */
+function calculateOptionDistribution(optionValues, availableNumbers, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const knownTotal = optionValues.reduce((sum, val) => sum + (val === null ? 0 : val), 0);
+  const nullCount = optionValues.filter(item => item === null).length;
+
+  // Count how many orderings of the available numbers produce each total
+  const totalCounts = {};
+  let combinationCount = 0;
+  const countTotals = (remaining, total, used) => {
+    if (remaining === 0) {
+      totalCounts[total] = (totalCounts[total] || 0) + 1;
+      combinationCount++;
+      return;
+    }
+    availableNumbers.forEach((number, index) => {
+      if (!used.includes(index)) {
+        countTotals(remaining - 1, total + number, [...used, index]);
+      }
+    });
+  };
+  countTotals(nullCount, knownTotal, []);
+
+  const outcomes = Object.keys(totalCounts)
+    .map(total => parseInt(total, 10))
+    .sort((a, b) => a - b)
+    .map(total => ({
+      total,
+      probability: totalCounts[total] / combinationCount,
+      payout: gilValue(total, payoutTable)
+    }));
+
+  const mean = outcomes.reduce((sum, outcome) => sum + outcome.probability * outcome.payout, 0);
+  const variance = outcomes.reduce(
+    (sum, outcome) => sum + outcome.probability * (outcome.payout - mean) ** 2, 0);
+  const jackpotPayout = Payouts.getJackpotPayout(payoutTable);
+  const lowestPayout = Payouts.getLowestPayout(payoutTable);
+  const chanceOf = predicate => outcomes
+    .filter(predicate)
+    .reduce((sum, outcome) => sum + outcome.probability, 0);
+
+  return {
+    outcomes,
+    mean,
+    variance,
+    standardDeviation: Math.sqrt(variance),
+    jackpotChance: chanceOf(outcome => outcome.payout === jackpotPayout),
+    lowPayoutChance: chanceOf(outcome => outcome.payout <= lowestPayout),
+    jackpotPayout,
+    lowestPayout
+  };
+}
+
+/**
+ * Calculates the payout distribution of a line on the current board
  * @param {Array} board - Array of 9 values representing the current board state
- * @returns {Object} Object containing bestOptions and maxEV
+ * @param {Array} line - Array of three cell indices, as found in bestOptions
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Distribution object from calculateOptionDistribution
  */
-function calculateBestOptions(board) {
+function calculateLineDistribution(board, line, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const takenNumbers = board.filter(element => element !== null);
+  const allNumbers = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+  const availableNumbers = allNumbers.filter(item => !takenNumbers.includes(item));
+
+  return calculateOptionDistribution(line.map(i => board[i]), availableNumbers, payoutTable);
+}
+
+/**
+ * Calculates the expected value of all 8 lines for the current board state
+ * Always computed live, without consulting the strategy table
+ * @param {Array} board - Array of 9 values representing the current board state
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Array} Array of 8 expected values, in the same order as the options
+ */
+function calculateLineEVs(board, payoutTable = DEFAULT_PAYOUT_TABLE) {
   // Set the options for all possible combinations
   const options = [
     [0, 1, 2], // row 1
@@ -99,90 +300,232 @@ function calculateBestOptions(board) {
   const allNumbers = [1, 2, 3, 4, 5, 6, 7, 8, 9];
   const availableNumbers = allNumbers.filter(item => !takenNumbers.includes(item));
 
-  const evs = optionValues.map(option => calculateOptionEV(option, availableNumbers));
-  const maxEV = Math.max(...evs);
-  const bestOptions = evs
-    .map((ev, index) => ({ ev, index }))
-    .filter(item => item.ev === maxEV)
-    .map(item => options[item.index]);
+  return optionValues.map(option => calculateOptionEV(option, availableNumbers, payoutTable));
+}
+
+/**
+ * Calculates the expected objective score of all 8 lines for the current board state
+ * @param {Array} board - Array of 9 values representing the current board state
+ * @param {Object} objective - Objective from createObjective
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Array} Array of 8 expected scores, in the same order as calculateLineEVs
+ */
+function calculateLineScores(board, objective, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  if (objective.id === 'ev') {
+    return calculateLineEVs(board, payoutTable);
+  }
+
+  const options = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6]
+  ];
+  const takenNumbers = board.filter(element => element !== null);
+  const allNumbers = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+  const availableNumbers = allNumbers.filter(item => !takenNumbers.includes(item));
+
+  return options.map(line =>
+    calculateOptionScore(line.map(i => board[i]), availableNumbers, objective, payoutTable));
+}
+
+/**
+ * Calculates the best options and expected value for the current board state
+ * Reads the precomputed strategy table when it covers the board, the objective is expected MGP
+ * and the payout table is the in-game one
+ * @param {Array} board - Array of 9 values representing the current board state
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing bestOptions, maxEV (expected MGP of the best line),
+ *   maxScore, objective, optionNames and rankedOptions (every line with its name, index,
+ *   cells, ev, score and gap to the best score, best first)
+ */
+function calculateBestOptions(board, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const options = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6]
+  ];
+  const optionNames = [
+    'Row 1', 'Row 2', 'Row 3',
+    'Column 1', 'Column 2', 'Column 3',
+    'Diagonal (Top-Left)', 'Diagonal (Top-Right)'
+  ];
+
+  const evs = calculateLineEVs(board, payoutTable);
+  const scores = objective.id === 'ev' ? evs : calculateLineScores(board, objective, payoutTable);
+  let bestIndices;
+  let maxScore;
+  const strategy = lookupPrecomputedStrategy(board, objective, payoutTable);
+  if (strategy) {
+    // Prefer the table's exact values for the winners so ties stay ties
+    bestIndices = strategy.bestLines;
+    maxScore = strategy.maxLineEV;
+    bestIndices.forEach(index => {
+      evs[index] = maxScore;
+    });
+  } else {
+    maxScore = Math.max(...scores);
+    const tolerance = OBJECTIVES[objective.id].tolerance;
+    bestIndices = scores
+      .map((score, index) => ({ score, index }))
+      .filter(item => maxScore - item.score < tolerance)
+      .map(item => item.index);
+  }
+
+  const rankedOptions = evs
+    .map((ev, index) => ({
+      name: optionNames[index],
+      index,
+      cells: options[index],
+      ev,
+      score: scores[index],
+      gap: maxScore - scores[index]
+    }))
+    .sort((a, b) => b.score - a.score || b.ev - a.ev || a.index - b.index);
 
   return {
-    bestOptions,
-    maxEV,
-    optionNames: [
-      'Row 1', 'Row 2', 'Row 3',
-      'Column 1', 'Column 2', 'Column 3',
-      'Diagonal (Top-Left)', 'Diagonal (Top-Right)'
-    ]
+    bestOptions: bestIndices.map(index => options[index]),
+    maxEV: evs[bestIndices[0]],
+    maxScore,
+    objective,
+    optionNames,
+    rankedOptions
   };
 }
 
 /**
- * Calculates the expected value for revealing a specific cell
+ * Looks a board up in the precomputed strategy table
+ * The table only holds expected MGP under the in-game payouts
+ * @param {Array} board - Array of 9 values representing the current board state
+ * @param {Object} objective - Objective from createObjective
+ * @param {Object} payoutTable - Payout table
+ * @returns {Object|null} Table entry from lookupStrategy, or null if the table does not apply
+ */
+function lookupPrecomputedStrategy(board, objective, payoutTable) {
+  if (!StrategyTable || objective.id !== 'ev' || !Payouts.isStandardTable(payoutTable)) {
+    return null;
+  }
+  return StrategyTable.lookupStrategy(board);
+}
+
+/**
+ * Cache of optimal expected scores, one map per objective keyed by encoded board state
+ * Boards are immutable game positions, so results never go stale; only the most recently
+ * used objectives are kept, since each full map takes about 1 MB
+ */
+const expectimaxCache = new Map();
+
+// Objectives (with their settings and payout table) kept in expectimaxCache
+const EXPECTIMAX_CACHE_OBJECTIVES = 4;
+
+/**
+ * Gets the cache map for an objective, evicting the least recently used objective if needed
+ * @param {string} objectiveKey - Key from getObjectiveKey
+ * @returns {Map} Map of encoded boards to optimal expected scores
+ */
+function getExpectimaxCache(objectiveKey) {
+  let cache = expectimaxCache.get(objectiveKey);
+  if (cache) {
+    // Maps keep insertion order, so re-inserting marks the objective as most recently used
+    expectimaxCache.delete(objectiveKey);
+  } else {
+    cache = new Map();
+  }
+  expectimaxCache.set(objectiveKey, cache);
+
+  while (expectimaxCache.size > EXPECTIMAX_CACHE_OBJECTIVES) {
+    expectimaxCache.delete(expectimaxCache.keys().next().value);
+  }
+  return cache;
+}
+
+/**
+ * Encodes a board as a single integer for use as a cache key
+ * @param {Array} board - Array of 9 values representing the board state
+ * @returns {number} Integer with one digit per cell (0 for hidden cells)
+ */
+function encodeBoard(board) {
+  return board.reduce((key, value) => key * 10 + (value === null ? 0 : value), 0);
+}
+
+/**
+ * Calculates the expected MGP of a board under optimal play
+ * Keeps scratching the best cell until 4 numbers are revealed, then picks the best line
  * @param {Array} board - Current board state
- * @param {number} cellIndex - Index of the cell to reveal (0-8)
- * @returns {number} Expected value of revealing this cell
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {number} Expected MGP (or objective score) of the board with optimal play from here on
  */
-function calculateCellEV(board, cellIndex) {
-  // If cell is already filled, return 0 (can't reveal it)
-  if (board[cellIndex] !== null) {
-    return 0;
+function calculateOptimalEV(board, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const cache = getExpectimaxCache(getObjectiveKey(objective, payoutTable));
+
+  const key = encodeBoard(board);
+  if (cache.has(key)) {
+    return cache.get(key);
   }
 
-  // Calculate baseline expected value
-  const baseline = calculateBestOptions(board).maxEV;
+  let ev;
+  const filledCount = board.filter(element => element !== null).length;
 
-  // Get available numbers
+  // With 4 numbers revealed no scratches remain, so only the line pick is left
+  if (filledCount >= 4) {
+    ev = Math.max(...calculateLineScores(board, objective, payoutTable));
+  } else {
+    ev = -Infinity;
+    for (let i = 0; i < 9; i++) {
+      if (board[i] === null) {
+        ev = Math.max(ev, calculateRevealEV(board, i, objective, payoutTable));
+      }
+    }
+  }
+
+  cache.set(key, ev);
+  return ev;
+}
+
+/**
+ * Averages the optimal expected value over every number a cell could reveal
+ * @param {Array} board - Current board state
+ * @param {number} cellIndex - Index of an empty cell (0-8)
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {number} Expected MGP (or objective score) of scratching this cell and playing optimally afterwards
+ */
+function calculateRevealEV(board, cellIndex, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
   const takenNumbers = board.filter(element => element !== null);
   const allNumbers = [1, 2, 3, 4, 5, 6, 7, 8, 9];
   const availableNumbers = allNumbers.filter(item => !takenNumbers.includes(item));
 
-  // Define which lines each cell participates in
-  const cellLines = {
-    0: [0, 3, 6], // row 1, col 1, diag top-left
-    1: [0, 4],    // row 1, col 2
-    2: [0, 5, 7], // row 1, col 3, diag top-right
-    3: [1, 3],    // row 2, col 1
-    4: [1, 4, 6, 7], // row 2, col 2, both diagonals
-    5: [1, 5],    // row 2, col 3
-    6: [2, 3, 7], // row 3, col 1, diag top-right
-    7: [2, 4],    // row 3, col 2
-    8: [2, 5, 6]  // row 3, col 3, diag top-left
-  };
+  let evTotal = 0;
+  for (const number of availableNumbers) {
+    const newBoard = [...board];
+    newBoard[cellIndex] = number;
+    evTotal += calculateOptimalEV(newBoard, objective, payoutTable);
+  }
 
-  const options = [
-    [0, 1, 2], // row 1
-    [3, 4, 5], // row 2
-    [6, 7, 8], // row 3
-    [0, 3, 6], // col 1
-    [1, 4, 7], // col 2
-    [2, 5, 8], // col 3
-    [0, 4, 8], // diag top-left
-    [2, 4, 6]  // diag top-right
-  ];
+  return evTotal / availableNumbers.length;
+}
 
-  // Calculate EV for all lines upfront
-  const lineEVs = [];
-  for (let i = 0; i < options.length; i++) {
-    const line = options[i];
-    const lineValues = line.map(cellIdx => board[cellIdx]);
-    const lineEV = calculateOptionEV(lineValues, availableNumbers);
-    lineEVs.push(lineEV);
+/**
+ * Calculates the expected value for revealing a specific cell
+ * Performs an exact expectimax search over the remaining scratches and the final line pick
+ * @param {Array} board - Current board state
+ * @param {number} cellIndex - Index of the cell to reveal (0-8)
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {number} Expected MGP (or objective score) of revealing this cell under optimal play afterwards
+ */
+function calculateCellEV(board, cellIndex, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  // If cell is already filled, return 0 (can't reveal it)
+  if (board[cellIndex] !== null) {
+    return 0;
   }
 
-  // Sum the EV of all lines this cell participates in
-  const linesForThisCell = cellLines[cellIndex];
-  let cellScore = 0;
-  for (const lineIndex of linesForThisCell) {
-    cellScore += lineEVs[lineIndex];
-  }
+  const expectedValue = calculateRevealEV(board, cellIndex, objective, payoutTable);
 
-  // Calculate expected gain by comparing to baseline
-  const expectedGain = cellScore - baseline;
-  
-  console.log(`calculateCellEV for cell ${cellIndex}: baseline=${baseline.toFixed(2)}, cellScore=${cellScore.toFixed(2)}, gain=${expectedGain.toFixed(2)}`);
-  return expectedGain;
-} 
+  debugLog(`calculateCellEV for cell ${cellIndex} (${objective.id}): expected score=${expectedValue.toFixed(4)}`);
+  return expectedValue;
+}
 
 /**
  * Gets the position priority for tie-breaking (higher number = higher priority)
@@ -204,57 +547,278 @@ function getPositionPriority(cellIndex) {
 
 /**
  * Finds the best cells to reveal next based on expected value
+ * Cells are ranked by their expected objective score under optimal play
  * @param {Array} board - Current board state
- * @returns {Object} Object containing best cells and their expected values
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing bestCells, maxEV (the best expected score, in MGP for
+ *   the default objective), objective and rankedCells (every empty cell with its index and
+ *   expected score, best first)
  */
-function findBestCellsToReveal(board) {
+function findBestCellsToReveal(board, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
   const filledCount = board.filter(element => element !== null).length;
-  console.log('findBestCellsToReveal called with board:', board, 'filledCount:', filledCount);
+  debugLog('findBestCellsToReveal called with board:', board, 'filledCount:', filledCount);
   
   // Only suggest cells if we have 1-3 numbers revealed (not 4, as that's the final state)
   if (filledCount >= 4) {
-    console.log('4 or more cells filled, no suggestions');
-    return { bestCells: [], maxEV: 0 };
+    debugLog('4 or more cells filled, no suggestions');
+    return { bestCells: [], maxEV: 0, objective, rankedCells: [] };
   }
 
   const cellEVs = [];
-  
+  const strategy = lookupPrecomputedStrategy(board, objective, payoutTable);
+
   // Calculate EV for each empty cell
   for (let i = 0; i < 9; i++) {
     if (board[i] === null) {
-      const ev = calculateCellEV(board, i);
+      const ev = strategy ? strategy.cellEVs[i] : calculateCellEV(board, i, objective, payoutTable);
       cellEVs.push({ index: i, ev });
-      console.log(`Cell ${i} EV: ${ev.toFixed(2)}`);
+      debugLog(`Cell ${i} EV: ${ev.toFixed(2)}`);
     }
   }
 
   // If no empty cells, return empty result
   if (cellEVs.length === 0) {
-    console.log('No empty cells found');
-    return { bestCells: [], maxEV: 0 };
+    debugLog('No empty cells found');
+    return { bestCells: [], maxEV: 0, objective, rankedCells: [] };
   }
 
   // Find the maximum EV
   const maxEV = Math.max(...cellEVs.map(cell => cell.ev));
   
   // Get all cells with the maximum EV (within a small epsilon for floating point comparison)
-  const epsilon = 0.01;
+  const epsilon = OBJECTIVES[objective.id].tolerance;
   const bestCells = cellEVs
     .filter(cell => Math.abs(cell.ev - maxEV) < epsilon)
     .sort((a, b) => getPositionPriority(b.index) - getPositionPriority(a.index)) // Sort by position priority
     .map(cell => cell.index);
 
-  console.log('Best cells to reveal:', bestCells, 'Max EV:', maxEV.toFixed(2));
-  return { bestCells, maxEV };
+  const rankedCells = cellEVs
+    .map(cell => ({ index: cell.index, score: cell.ev }))
+    .sort((a, b) => b.score - a.score || getPositionPriority(b.index) - getPositionPriority(a.index) || a.index - b.index);
+
+  debugLog('Best cells to reveal:', bestCells, 'Max EV:', maxEV.toFixed(2));
+  return { bestCells, maxEV, objective, rankedCells };
+}
+
+/**
+ * Previews every number an empty cell could reveal, with what the calculator would advise next
+ * Each remaining number is equally likely. Boards that reach 4 revealed numbers get their best
+ * lines from calculateBestOptions; earlier boards get their next cells from findBestCellsToReveal.
+ * @param {Array} board - Current board state
+ * @param {number} cellIndex - Index of an empty cell (0-8)
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing cellIndex, objective, expectedScore (the average over all
+ *   outcomes) and outcomes (number, probability, board, bestCells, bestOptions and maxScore for
+ *   each number, lowest number first)
+ * @throws {Error} If the cell is already revealed
+ */
+function previewReveal(board, cellIndex, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  if (board[cellIndex] !== null) {
+    throw new Error(`Cell ${cellIndex} is already revealed`);
+  }
+
+  const takenNumbers = board.filter(element => element !== null);
+  const availableNumbers = [1, 2, 3, 4, 5, 6, 7, 8, 9].filter(item => !takenNumbers.includes(item));
+  const probability = 1 / availableNumbers.length;
+  const picksLine = takenNumbers.length + 1 >= 4;
+
+  const outcomes = availableNumbers.map(number => {
+    const newBoard = [...board];
+    newBoard[cellIndex] = number;
+
+    if (picksLine) {
+      const result = calculateBestOptions(newBoard, objective, payoutTable);
+      return { number, probability, board: newBoard, bestCells: [], bestOptions: result.bestOptions, maxScore: result.maxScore };
+    }
+    const suggestion = findBestCellsToReveal(newBoard, objective, payoutTable);
+    return { number, probability, board: newBoard, bestCells: suggestion.bestCells, bestOptions: [], maxScore: suggestion.maxEV };
+  });
+
+  const expectedScore = outcomes.reduce((total, outcome) => total + outcome.maxScore * probability, 0);
+  return { cellIndex, objective, expectedScore, outcomes };
+}
+
+/**
+ * Gathers the figures behind the current recommendation, for explaining it in words
+ * Boards with 4 revealed numbers describe every line: its scores, whether it is among the best,
+ * how many of its cells are hidden, its highest-paying sum and how often it pays the least.
+ * Earlier boards describe every empty cell: its expected score, whether it is among the best
+ * and the lines it lies on.
+ * @param {Array} board - Current board state
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing stage ('line' or 'cell'), objective, and lines or cells
+ *   (best first)
+ */
+function describeRecommendation(board, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const options = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6]
+  ];
+  const filledCount = board.filter(element => element !== null).length;
+
+  if (filledCount >= 4) {
+    const result = calculateBestOptions(board, objective, payoutTable);
+    const bestKeys = result.bestOptions.map(line => line.join());
+    const lines = result.rankedOptions.map(option => {
+      const distribution = calculateLineDistribution(board, option.cells, payoutTable);
+      // Highest payout first, then the likelier sum
+      const topOutcome = distribution.outcomes
+        .reduce((top, outcome) => (outcome.payout > top.payout
+          || (outcome.payout === top.payout && outcome.probability > top.probability) ? outcome : top));
+
+      return {
+        index: option.index,
+        cells: option.cells,
+        ev: option.ev,
+        score: option.score,
+        gap: option.gap,
+        best: bestKeys.includes(option.cells.join()),
+        hiddenCount: option.cells.filter(cell => board[cell] === null).length,
+        topOutcome,
+        lowPayoutChance: distribution.lowPayoutChance,
+        lowestPayout: distribution.lowestPayout
+      };
+    });
+    return { stage: 'line', objective, lines };
+  }
+
+  const suggestion = findBestCellsToReveal(board, objective, payoutTable);
+  const cells = suggestion.rankedCells.map(cell => ({
+    index: cell.index,
+    score: cell.score,
+    best: suggestion.bestCells.includes(cell.index),
+    lines: options
+      .map((line, index) => (line.includes(cell.index) ? index : -1))
+      .filter(index => index !== -1)
+  }));
+  return { stage: 'cell', objective, cells };
+}
+
+/**
+ * Grades a scratch against the best cells to reveal
+ * @param {Array} board - Board before the scratch
+ * @param {number} cellIndex - Index of the scratched cell (0-8)
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing cellIndex, bestCells, score (of the scratched cell),
+ *   bestScore and lost (the score given up, 0 for a best cell)
+ * @throws {Error} If the cell is already revealed or no scratch is left
+ */
+function gradeScratch(board, cellIndex, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  if (board[cellIndex] !== null) {
+    throw new Error(`Cell ${cellIndex} is already revealed`);
+  }
+
+  const suggestion = findBestCellsToReveal(board, objective, payoutTable);
+  const chosen = suggestion.rankedCells.find(cell => cell.index === cellIndex);
+  if (!chosen) {
+    throw new Error('No scratch is left on this board');
+  }
+
+  return {
+    cellIndex,
+    bestCells: suggestion.bestCells,
+    score: chosen.score,
+    bestScore: suggestion.maxEV,
+    lost: suggestion.bestCells.includes(cellIndex) ? 0 : Math.max(0, suggestion.maxEV - chosen.score)
+  };
+}
+
+/**
+ * Grades a line pick against the best lines
+ * @param {Array} board - Board the line was picked on
+ * @param {number} lineIndex - Index of the picked line, as used by calculateBestOptions (0-7)
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing lineIndex, cells, bestLines, score (of the picked line),
+ *   bestScore and lost (the score given up, 0 for a best line)
+ * @throws {Error} If the line index is not 0-7
+ */
+function gradeLinePick(board, lineIndex, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const result = calculateBestOptions(board, objective, payoutTable);
+  const chosen = result.rankedOptions.find(option => option.index === lineIndex);
+  if (!chosen) {
+    throw new Error(`Unknown line: ${lineIndex}`);
+  }
+
+  const bestKeys = result.bestOptions.map(line => line.join());
+  const bestLines = result.rankedOptions
+    .filter(option => bestKeys.includes(option.cells.join()))
+    .map(option => option.index);
+
+  return {
+    lineIndex,
+    cells: chosen.cells,
+    bestLines,
+    score: chosen.score,
+    bestScore: result.maxScore,
+    lost: bestLines.includes(lineIndex) ? 0 : Math.max(0, result.maxScore - chosen.score)
+  };
+}
+
+/**
+ * Replays a finished ticket, grading each scratch and the line pick against the solver
+ * @param {Array} numbers - The whole ticket: the numbers 1-9 in cell order
+ * @param {Array} order - Indices of the revealed cells in reveal order: the starting cell, then
+ *   the three scratched cells
+ * @param {number} lineIndex - Index of the picked line, as used by calculateBestOptions (0-7)
+ * @param {Object} [objective] - Objective from createObjective (expected MGP by default)
+ * @param {Object} [payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing steps (gradeScratch and gradeLinePick results, each with
+ *   type and the board the choice was made on), lines (every line's cells, total and payout),
+ *   payout (of the picked line) and totalLost
+ * @throws {Error} If the ticket, reveal order or line is invalid
+ */
+function reviewTicket(numbers, order, lineIndex, objective = DEFAULT_OBJECTIVE, payoutTable = DEFAULT_PAYOUT_TABLE) {
+  const options = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6]
+  ];
+  if (numbers.length !== 9 || [...numbers].sort().join('') !== '123456789') {
+    throw new Error('A finished ticket holds each number from 1 to 9 once');
+  }
+  if (order.length !== 4 || new Set(order).size !== 4 || !order.every(cell => cell >= 0 && cell <= 8)) {
+    throw new Error('The reveal order needs the starting cell and three scratched cells');
+  }
+  if (!options[lineIndex]) {
+    throw new Error(`Unknown line: ${lineIndex}`);
+  }
+
+  const board = new Array(9).fill(null);
+  board[order[0]] = numbers[order[0]];
+  const steps = order.slice(1).map(cellIndex => {
+    const step = { type: 'scratch', board: [...board], ...gradeScratch(board, cellIndex, objective, payoutTable) };
+    board[cellIndex] = numbers[cellIndex];
+    return step;
+  });
+  steps.push({ type: 'line', board: [...board], ...gradeLinePick(board, lineIndex, objective, payoutTable) });
+
+  const lines = options.map((cells, index) => {
+    const total = cells.reduce((sum, cellIndex) => sum + numbers[cellIndex], 0);
+    return { index, cells, total, payout: gilValue(total, payoutTable) };
+  });
+
+  return {
+    steps,
+    lines,
+    payout: lines[lineIndex].payout,
+    totalLost: steps.reduce((sum, step) => sum + step.lost, 0)
+  };
 }
 
 /**
  * Formats the best options for display
  * @param {Array} bestOptions - Array of best option indices
  * @param {Array} optionNames - Array of option names
+ * @param {string} [separator=', '] - Text placed between the names
  * @returns {string} Formatted string of best options
  */
-function formatBestOptions(bestOptions, optionNames) {
+function formatBestOptions(bestOptions, optionNames, separator = ', ') {
   if (bestOptions.length === 0) {
     return 'No valid options';
   }
@@ -270,18 +834,54 @@ function formatBestOptions(bestOptions, optionNames) {
     return optionNames[optionIndex];
   });
   
-  return optionStrings.join(', ');
+  return optionStrings.join(separator);
+}
+
+/**
+ * Formats an objective score for display
+ * @param {number} score - Expected score from calculateBestOptions or findBestCellsToReveal
+ * @param {Object} objective - Objective from createObjective
+ * @returns {string} MGP for expected value, a percentage for chances, or the utility value
+ */
+function formatObjectiveScore(score, objective) {
+  switch (objective.id) {
+    case 'jackpot':
+    case 'threshold':
+      return `${(score * 100).toFixed(1)}%`;
+    case 'utility':
+      return score.toFixed(1);
+    default:
+      return score.toFixed(0);
+  }
 }
 
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     gilValue,
+    OBJECTIVES,
+    createObjective,
+    scoreOutcome,
     calculateOptionEV,
+    calculateOptionScore,
+    calculateOptionDistribution,
+    calculateLineDistribution,
+    calculateLineEVs,
+    calculateLineScores,
     calculateBestOptions,
     formatBestOptions,
+    formatObjectiveScore,
     calculateCellEV,
+    calculateOptimalEV,
+    calculateRevealEV,
     findBestCellsToReveal,
-    getPositionPriority
+    previewReveal,
+    describeRecommendation,
+    gradeScratch,
+    gradeLinePick,
+    reviewTicket,
+    getPositionPriority,
+    setDebugLogging,
+    isDebugLogging
   };
 }
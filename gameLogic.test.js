@@ -0,0 +1,103 @@
+/**
+ * Checks for the game logic: objectives, and the post-game review that grades each scratch and
+ * the line pick of a finished ticket
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Validation = require('./validation.js');
+const PayoutTables = require('./payoutTables.js');
+const {
+  setDebugLogging, createObjective, gradeScratch, gradeLinePick, reviewTicket
+} = require('./gameLogic.js');
+
+setDebugLogging(false);
+
+// A finished ticket, row by row: 2 5 8 / 9 4 7 / 3 1 6
+const NUMBERS = [2, 5, 8, 9, 4, 7, 3, 1, 6];
+
+test('createObjective clamps the threshold to the payout range', () => {
+  assert.strictEqual(createObjective('threshold').threshold, 1000);
+  assert.strictEqual(createObjective('threshold', { threshold: 0 }).threshold, 36);
+  assert.strictEqual(createObjective('threshold', { threshold: 500 }).threshold, 500);
+  assert.strictEqual(createObjective('threshold', { threshold: 1e12 }).threshold, 10001);
+
+  const [double] = PayoutTables.parseTables(JSON.stringify({
+    name: 'double',
+    payouts: Object.fromEntries(Object.entries(PayoutTables.getDefaultTable().payouts)
+      .map(([total, payout]) => [total, payout * 2]))
+  }));
+  assert.strictEqual(createObjective('threshold', { threshold: 1e12, payoutTable: double }).threshold, 20001);
+  assert.strictEqual(createObjective('threshold', { threshold: 0, payoutTable: double }).threshold, 72);
+});
+
+test('createObjective rejects unknown objectives and invalid thresholds', () => {
+  assert.throws(() => createObjective('missing'), /Unknown objective: missing/);
+  [-5, 1.5, NaN, '100'].forEach(threshold => {
+    assert.throws(() => createObjective('threshold', { threshold }), /non-negative integer/, String(threshold));
+  });
+  assert.strictEqual(createObjective('ev', { threshold: -5 }).threshold, undefined);
+});
+
+test('gradeScratch gives up nothing for a best cell', () => {
+  const grade = gradeScratch([null, null, null, null, 5, null, null, null, null], 0);
+  assert.deepStrictEqual(grade.bestCells, [0, 2, 6, 8]);
+  assert.strictEqual(grade.score, grade.bestScore);
+  assert.strictEqual(grade.lost, 0);
+});
+
+test('gradeScratch rejects a revealed cell and a board with no scratch left', () => {
+  assert.throws(() => gradeScratch([1, null, null, null, null, null, null, null, null], 0), /already revealed/);
+  assert.throws(() => gradeScratch([1, 2, 3, 4, null, null, null, null, null], 4), /No scratch is left/);
+});
+
+test('gradeLinePick scores the picked line against the best line', () => {
+  const board = [2, 5, null, null, 4, null, null, null, 6];
+  const grade = gradeLinePick(board, 4);
+  assert.deepStrictEqual(grade.cells, [1, 4, 7]);
+  assert.deepStrictEqual(grade.bestLines, [3]);
+  assert.ok(Math.abs(grade.lost - (grade.bestScore - grade.score)) < 1e-9);
+  assert.strictEqual(gradeLinePick(board, 3).lost, 0);
+});
+
+test('gradeLinePick rejects a line outside 0-7', () => {
+  const board = [2, 5, null, null, 4, null, null, null, 6];
+  [-1, 8, 1.5, undefined].forEach(lineIndex => {
+    assert.throws(() => gradeLinePick(board, lineIndex), /Unknown line/, String(lineIndex));
+  });
+});
+
+test('reviewTicket replays every choice and adds up the MGP given up', () => {
+  const review = reviewTicket(NUMBERS, [8, 0, 4, 1], 4);
+  assert.deepStrictEqual(review.steps.map(step => step.type), ['scratch', 'scratch', 'scratch', 'line']);
+  assert.deepStrictEqual(review.steps.map(step => Math.round(step.lost)), [37, 260, 0, 989]);
+  assert.strictEqual(Math.round(review.totalLost), 1286);
+
+  // Each step is graded on the board as it was when the choice was made
+  assert.deepStrictEqual(review.steps[0].board, [null, null, null, null, null, null, null, null, 6]);
+  assert.deepStrictEqual(review.steps[3].board, [2, 5, null, null, 4, null, null, null, 6]);
+
+  // What every line would have paid, and the picked line's payout
+  assert.deepStrictEqual(review.lines.map(line => line.payout), [180, 306, 80, 54, 80, 1080, 108, 180]);
+  assert.strictEqual(review.payout, 80);
+});
+
+test('reviewTicket rejects invalid tickets, reveal orders and lines', () => {
+  assert.throws(() => reviewTicket([1, 1, 3, 4, 5, 6, 7, 8, 9], [0, 1, 2, 3], 0), /each number from 1 to 9 once/);
+  assert.throws(() => reviewTicket(NUMBERS, [0, 1, 2], 0), /starting cell and three scratched cells/);
+  assert.throws(() => reviewTicket(NUMBERS, [0, 1, 1, 2], 0), /starting cell and three scratched cells/);
+  assert.throws(() => reviewTicket(NUMBERS, [0, 1, 2, 9], 0), /starting cell and three scratched cells/);
+  assert.throws(() => reviewTicket(NUMBERS, [0, 1, 2, 3], 8), /Unknown line: 8/);
+});
+
+test('validateFinishedTicket needs all 9 numbers and 4 different revealed numbers', () => {
+  assert.strictEqual(Validation.validateFinishedTicket(NUMBERS, [6, 2, 4, 5]).isValid, true);
+
+  const incomplete = [...NUMBERS];
+  incomplete[0] = null;
+  assert.strictEqual(Validation.validateFinishedTicket(incomplete, [6, 2, 4, 5]).errors.length, 1);
+  assert.strictEqual(Validation.validateFinishedTicket(NUMBERS, [6, 2, 4]).errors.length, 1);
+  assert.strictEqual(Validation.validateFinishedTicket(NUMBERS, [6, 2, 4, 4]).errors.length, 1);
+  assert.strictEqual(Validation.validateFinishedTicket([...NUMBERS.slice(0, 8), 2], [6, 2, 4, 5]).isValid, false);
+});
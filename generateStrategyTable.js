@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Strategy Table Generator for Mini Cactpot Calculator
+ * Rebuilds strategyTableData.js from the live calculator, or verifies the existing table against it
+ *
+ * Usage:
+ *   node generateStrategyTable.js           Regenerate strategyTableData.js
+ *   node generateStrategyTable.js --verify  Check the checksum and every entry against the live calculator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateLineEVs, calculateRevealEV } = require('./gameLogic.js');
+const {
+  getStrategyScale,
+  encodeStrategyBoard,
+  enumerateCanonicalBoards,
+  computeStrategyChecksum,
+  isStrategyTableIntact,
+  encodeStrategyRecord,
+  lookupStrategy
+} = require('./strategyTable.js');
+
+const OUTPUT_FILE = path.join(__dirname, 'strategyTableData.js');
+
+/**
+ * Converts an expected value to its exact scaled integer
+ * @param {number} ev - Expected value
+ * @param {number} scale - Scale factor for the board
+ * @param {Array} board - Board the value belongs to, for error reporting
+ * @returns {number} The scaled integer
+ */
+function toScaledInteger(ev, scale, board) {
+  const scaled = Math.round(ev * scale);
+  if (Math.abs(scaled - ev * scale) > 1e-6) {
+    throw new Error(`Value ${ev} for board ${encodeStrategyBoard(board)} is not a multiple of 1/${scale}`);
+  }
+  return scaled;
+}
+
+/**
+ * Computes the table entry for one canonical board using the live calculator
+ * @param {Array} board - Canonical board
+ * @returns {Object} Object containing lineMask, lineEV and cellEVs as scaled integers
+ */
+function computeEntry(board) {
+  const filledCount = board.filter(value => value !== null).length;
+  const scale = getStrategyScale(filledCount);
+
+  const lineEVs = calculateLineEVs(board).map(ev => toScaledInteger(ev, scale, board));
+  const lineEV = Math.max(...lineEVs);
+  const lineMask = lineEVs.reduce((mask, ev, index) => (ev === lineEV ? mask | (1 << index) : mask), 0);
+
+  const cellEVs = [];
+  if (filledCount < 4) {
+    board.forEach((value, cellIndex) => {
+      if (value === null) {
+        cellEVs.push(toScaledInteger(calculateRevealEV(board, cellIndex), scale, board));
+      }
+    });
+  }
+
+  return { lineMask, lineEV, cellEVs };
+}
+
+/**
+ * Lists every canonical board covered by the table, in storage order
+ * @returns {Array} Array of canonical boards
+ */
+function listTableBoards() {
+  const boards = [];
+  for (let filledCount = 1; filledCount <= 4; filledCount++) {
+    boards.push(...enumerateCanonicalBoards(filledCount));
+  }
+  return boards;
+}
+
+/**
+ * Regenerates strategyTableData.js
+ */
+function generate() {
+  const boards = listTableBoards();
+  const records = boards.map(board => encodeStrategyRecord(computeEntry(board))).join(';');
+  const checksum = computeStrategyChecksum(records);
+
+  const source = `/**
+ * Strategy Table Data for Mini Cactpot Calculator
+ * Generated by generateStrategyTable.js - do not edit by hand
+ */
+const STRATEGY_TABLE_DATA = {
+  version: 1,
+  boardCount: ${boards.length},
+  checksum: '${checksum}',
+  records: '${records}'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = STRATEGY_TABLE_DATA;
+}
+`;
+
+  fs.writeFileSync(OUTPUT_FILE, source);
+  console.log(`Wrote ${boards.length} canonical boards to ${path.basename(OUTPUT_FILE)} (checksum ${checksum})`);
+}
+
+/**
+ * Verifies the existing table against its checksum and the live calculator
+ * @returns {boolean} True if the table is intact and every entry matches
+ */
+function verify() {
+  if (!isStrategyTableIntact()) {
+    console.error('Strategy table is missing or fails its checksum');
+    return false;
+  }
+
+  const tolerance = 1e-9;
+  let mismatches = 0;
+  const boards = listTableBoards();
+  boards.forEach(board => {
+    const filledCount = board.filter(value => value !== null).length;
+    const scale = getStrategyScale(filledCount);
+    const expected = computeEntry(board);
+    const actual = lookupStrategy(board);
+
+    const expectedLines = [];
+    for (let i = 0; i < 8; i++) {
+      if (expected.lineMask & (1 << i)) {
+        expectedLines.push(i);
+      }
+    }
+    const expectedCells = board
+      .map((value, cellIndex) => (value === null ? cellIndex : -1))
+      .filter(cellIndex => cellIndex !== -1);
+
+    const linesMatch = expectedLines.join() === actual.bestLines.join() &&
+      Math.abs(actual.maxLineEV - expected.lineEV / scale) < tolerance;
+    const cellsMatch = filledCount === 4 || expectedCells.every((cellIndex, i) =>
+      Math.abs(actual.cellEVs[cellIndex] - expected.cellEVs[i] / scale) < tolerance);
+
+    if (!linesMatch || !cellsMatch) {
+      mismatches++;
+      console.error(`Mismatch for board ${encodeStrategyBoard(board)}`);
+    }
+  });
+
+  console.log(`Verified ${boards.length} canonical boards: ${mismatches} mismatches`);
+  return mismatches === 0;
+}
+
+if (process.argv.includes('--verify')) {
+  process.exitCode = verify() ? 0 : 1;
+} else {
+  generate();
+}
@@ -0,0 +1,78 @@
+/**
+ * Guided Flow Module for Mini Cactpot Calculator
+ * Models the phases of a real ticket: the starting number, three scratches, then a line
+ */
+
+// Message translations (loaded as a global script in the browser)
+const GuidedI18n = (typeof module !== 'undefined' && module.exports)
+  ? require('./i18n.js')
+  : I18n;
+
+/**
+ * Phases of a ticket, indexed by the number of revealed cells, with the message keys
+ * of their labels and instructions
+ */
+const GUIDED_PHASES = [
+  { id: 'start', label: ['guided.start'], instruction: 'guided.startInstruction' },
+  { id: 'scratch-1', label: ['guided.scratch', { number: 1 }], instruction: 'guided.scratchInstruction' },
+  { id: 'scratch-2', label: ['guided.scratch', { number: 2 }], instruction: 'guided.scratchInstruction' },
+  { id: 'scratch-3', label: ['guided.scratch', { number: 3 }], instruction: 'guided.scratchInstruction' },
+  { id: 'pick-line', label: ['guided.pickLine'], instruction: 'guided.pickLineInstruction' }
+];
+
+/**
+ * Guided flow utility class
+ */
+class GuidedFlow {
+  /**
+   * Gets every phase in order
+   * @returns {Array} Array of phase objects containing id, label and instruction (translated)
+   */
+  static getPhases() {
+    return GUIDED_PHASES.map(phase => ({
+      id: phase.id,
+      label: GuidedI18n.t(...phase.label),
+      instruction: GuidedI18n.t(phase.instruction)
+    }));
+  }
+
+  /**
+   * Gets the phase a board is in
+   * @param {Array} board - Array of 9 values (null for hidden cells)
+   * @returns {Object} Phase object containing index, id, label and instruction
+   */
+  static getPhase(board) {
+    const filledCount = board.filter(value => value !== null).length;
+    const index = Math.min(filledCount, GUIDED_PHASES.length - 1);
+    return { index, ...this.getPhases()[index] };
+  }
+
+  /**
+   * Gets the hidden cells that may be revealed next
+   * The starting number can be anywhere; each scratch must be a suggested cell unless overridden,
+   * and nothing more can be scratched once a line is due
+   * @param {Array} board - Array of 9 values (null for hidden cells)
+   * @param {Array} suggestedCells - Cell indices the calculator suggests scratching
+   * @param {boolean} [override=false] - Allow any hidden cell for this scratch
+   * @returns {Array} Indices of the cells that may be revealed
+   */
+  static getAllowedCells(board, suggestedCells, override = false) {
+    const phase = this.getPhase(board);
+    const hiddenCells = board
+      .map((value, index) => (value === null ? index : -1))
+      .filter(index => index !== -1);
+
+    if (phase.id === 'pick-line') {
+      return [];
+    }
+    if (phase.id === 'start' || override) {
+      return hiddenCells;
+    }
+    return hiddenCells.filter(index => suggestedCells.includes(index));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GuidedFlow;
+}
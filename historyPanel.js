@@ -0,0 +1,153 @@
+/**
+ * History Panel Module for Mini Cactpot Calculator
+ * Renders the ticket history view: totals, a cumulative chart, recent tickets and exports
+ */
+
+/**
+ * History panel class to display a TicketHistory
+ */
+class HistoryPanel {
+  /**
+   * @param {TicketHistory} history - The history to display
+   */
+  constructor(history) {
+    this.history = history;
+    this.recentLimit = 10;
+    this.initializeElements();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.summaryDiv = document.getElementById('history-summary');
+    this.chart = document.getElementById('history-chart');
+    this.tableBody = document.querySelector('#history-table tbody');
+    this.exportCsvButton = document.getElementById('export-csv-btn');
+    this.exportJsonButton = document.getElementById('export-json-btn');
+    this.clearButton = document.getElementById('clear-history-btn');
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.exportCsvButton.addEventListener('click', () =>
+      this.download('cactpot-history.csv', 'text/csv', this.history.exportCSV()));
+    this.exportJsonButton.addEventListener('click', () =>
+      this.download('cactpot-history.json', 'application/json', this.history.exportJSON()));
+    this.clearButton.addEventListener('click', () => this.handleClear());
+  }
+
+  /**
+   * Redraw the whole panel from the stored history
+   */
+  render() {
+    const summary = this.history.getSummary();
+    if (summary.count === 0) {
+      this.summaryDiv.textContent = I18n.t('history.empty');
+    } else {
+      const sign = summary.difference >= 0 ? '+' : '';
+      this.summaryDiv.textContent = I18n.t('history.summary', {
+        count: I18n.formatNumber(summary.count),
+        actual: I18n.formatMgp(summary.totalActual),
+        expected: I18n.formatMgp(summary.totalExpected),
+        difference: sign + I18n.formatMgp(summary.difference)
+      });
+    }
+
+    this.renderChart(this.history.getCumulative());
+    this.renderTable(this.history.getEntries());
+  }
+
+  /**
+   * Draw cumulative actual and expected MGP as two lines
+   * @param {Array} points - Running totals from TicketHistory.getCumulative
+   */
+  renderChart(points) {
+    const width = 300;
+    const height = 120;
+    const padding = 4;
+    this.chart.innerHTML = '';
+
+    if (points.length === 0) {
+      return;
+    }
+
+    // Start both lines from zero before the first ticket
+    const series = [{ actual: 0, expected: 0 }, ...points];
+    const maxValue = Math.max(1, ...series.map(point => Math.max(point.actual, point.expected)));
+    const x = index => padding + (index / (series.length - 1)) * (width - 2 * padding);
+    const y = value => height - padding - (value / maxValue) * (height - 2 * padding);
+
+    ['expected', 'actual'].forEach(key => {
+      const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+      line.setAttribute('class', `history-line-${key}`);
+      line.setAttribute('points', series.map((point, index) => `${x(index)},${y(point[key])}`).join(' '));
+      this.chart.appendChild(line);
+    });
+  }
+
+  /**
+   * List the most recent tickets, newest first
+   * @param {Array} entries - History entries
+   */
+  renderTable(entries) {
+    this.tableBody.innerHTML = '';
+    entries.slice(-this.recentLimit).reverse().forEach(entry => {
+      const row = document.createElement('tr');
+      [
+        new Date(entry.timestamp).toLocaleDateString(I18n.getLocale()),
+        entry.board,
+        I18n.getLineName(entry.line),
+        I18n.formatNumber(entry.expectedValue),
+        I18n.formatNumber(entry.payout)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      this.tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Offer text content as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   * @param {string} content - File content
+   */
+  download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Clear the history after confirmation
+   */
+  handleClear() {
+    if (!window.confirm(I18n.t('history.confirmClear'))) {
+      return;
+    }
+
+    try {
+      this.history.clear();
+    } catch (error) {
+      console.error('Failed to clear ticket history:', error);
+    }
+    this.render();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryPanel;
+}
@@ -0,0 +1,1033 @@
+/**
+ * I18n Module for Mini Cactpot Calculator
+ * Message catalogs for the FFXIV client languages, language detection and number formatting
+ *
+ * Messages are looked up by key and may contain {name} placeholders. A key missing from a
+ * catalog falls back to English. The game logic keeps English names (the command line and
+ * saved history use them); the interface translates them when it shows them.
+ */
+
+/**
+ * Message catalogs, one per supported language
+ */
+const I18N_CATALOGS = {
+  en: {
+    'language.name': 'English',
+    'language.auto': 'Automatic',
+    'page.heading': 'Mini Cactpot Calculator',
+    'page.intro': 'Instruction on how to use the calculator will go here',
+    'settings.language': 'Language',
+    'settings.goal': 'Goal',
+    'settings.targetMgp': 'Target MGP',
+    'settings.payouts': 'Payouts',
+    'objective.ev.option': 'Maximize expected MGP',
+    'objective.jackpot.option': 'Maximize jackpot chance',
+    'objective.threshold.option': 'Maximize chance of reaching a target',
+    'objective.utility.option': 'Risk-averse',
+    'objective.ev.label': 'Maximize expected MGP',
+    'objective.jackpot.label': 'Maximize jackpot chance',
+    'objective.threshold.label': 'Maximize chance of at least {mgp}',
+    'objective.utility.label': 'Risk-averse (square-root utility)',
+    'guided.mode': 'Guided mode',
+    'guided.override': 'Scratch a different cell',
+    'guided.keepRevealed': 'Revealed numbers stay on the ticket. Type over a wrong number, or use Undo if it went into the wrong cell.',
+    'guided.start': 'Starting number',
+    'guided.startInstruction': 'Enter the number already revealed on your ticket.',
+    'guided.scratch': 'Scratch {number}',
+    'guided.scratchInstruction': 'Scratch the highlighted cell and enter its number.',
+    'guided.pickLine': 'Pick a line',
+    'guided.pickLineInstruction': 'Pick the highlighted line.',
+    'button.reset': 'Reset',
+    'button.undo': 'Undo',
+    'button.undoTitle': 'Undo (Ctrl+Z)',
+    'button.redo': 'Redo',
+    'button.redoTitle': 'Redo (Ctrl+Y)',
+    'button.copyLink': 'Copy Link',
+    'button.copied': 'Copied!',
+    'button.loadJson': 'Load JSON',
+    'button.readScreenshot': 'Read Screenshot',
+    'button.readScreenshotTitle': 'Or paste or drop a screenshot onto the page',
+    'button.record': 'Record',
+    'button.exportCsv': 'Export CSV',
+    'button.exportJson': 'Export JSON',
+    'button.clear': 'Clear',
+    'read.use': 'Use These Numbers',
+    'read.cancel': 'Cancel',
+    'read.uncertainOne': '1 cell could not be read clearly. Check the highlighted cell and correct it if needed.',
+    'read.uncertainMany': '{count} cells could not be read clearly. Check the highlighted cells and correct them if needed.',
+    'read.onlyImages': 'Only image files can be read as a ticket.',
+    'read.openFailed': 'The image could not be opened.',
+    'read.noGrid': 'No Mini Cactpot grid was found in the image',
+    'cell.label': 'Row {row}, column {column}',
+    'aria.cellEmpty': 'Row {row}, column {column}, empty',
+    'aria.cellSuggested': 'Row {row}, column {column}, empty, suggested',
+    'aria.cellValue': 'Row {row}, column {column}, {value}',
+    'aria.lineRecommended': '{label}, recommended',
+    'aria.lineSelected': '{label}, selected',
+    'announce.suggestions': 'Suggested cells: {cells}',
+    'announce.result': 'Best line: {lines}, {mgp} expected',
+    'announce.separator': '; ',
+    'result.calculating': 'Calculating…',
+    'result.bestOptions': 'Best Options: {lines}',
+    'result.noOptions': 'No valid options',
+    'result.expectedValue': 'Expected Value: {value}',
+    'result.objective': 'Objective: {label}',
+    'result.objectiveScore': 'Objective: {label} ({score})',
+    'distribution.standardDeviation': 'Std. Dev: ±{value}',
+    'distribution.jackpot': 'Jackpot: {chance}',
+    'distribution.low': '{mgp} or less: {chance}',
+    'arrow.best': '{line}: {mgp} (best)',
+    'arrow.belowBest': '{line}: {mgp} ({gap} below best)',
+    'lineChoice.placeholder': 'MGP won',
+    'lineChoice.ariaLabel': 'Actual payout in MGP',
+    'lineChoice.expected': '{line}: {mgp} expected',
+    'lineChoice.enterPayout': 'Enter the MGP that {line} paid.',
+    'lineChoice.saveFailed': 'The ticket could not be saved.',
+    'lineChoice.recorded': 'Recorded {line}: {mgp}',
+    'history.title': 'Ticket History',
+    'history.chartLabel': 'Cumulative actual and expected MGP',
+    'history.date': 'Date',
+    'history.board': 'Board',
+    'history.line': 'Line',
+    'history.expected': 'Expected',
+    'history.actual': 'Actual',
+    'history.empty': 'No tickets recorded yet. Click a line after calculating to record it.',
+    'history.summary': 'Tickets: {count} · Actual: {actual} · Expected: {expected} · Difference: {difference}',
+    'history.confirmClear': 'Delete every recorded ticket?',
+    'error.duplicates': 'Duplicate numbers: {numbers}\nPlease remove duplicates.',
+    'error.calculation': 'An error occurred during calculation. Please try again.',
+    'error.invalidLink': 'The link does not contain a valid board.',
+    'error.linkTooMany': 'The linked board has {count} numbers; at most {max} can be entered.',
+    'error.screenshotEmpty': 'No revealed numbers were found in the screenshot.',
+    'error.screenshotTooMany': 'The screenshot shows {count} numbers; at most {max} can be entered.',
+    'error.tooMany': 'At most {max} numbers can be revealed.',
+    'error.threshold': 'The target must be a whole number of MGP, 0 or more.',
+    'error.init': 'Failed to initialize calculator. Please refresh the page.',
+    'validation.invalidValue': 'Position {position} has invalid value: {value}',
+    'validation.duplicates': 'Duplicate values found: {values}',
+    'validation.tooFew': 'Reveal at least {count} of the numbers',
+    'validation.tooMany': 'At most {max} numbers can be revealed',
+    'line.0': 'Row 1',
+    'line.1': 'Row 2',
+    'line.2': 'Row 3',
+    'line.3': 'Column 1',
+    'line.4': 'Column 2',
+    'line.5': 'Column 3',
+    'line.6': 'Diagonal (Top-Left)',
+    'line.7': 'Diagonal (Top-Right)',
+    'update.available': 'A new version of the calculator is available.',
+    'update.reload': 'Reload',
+    'update.later': 'Later',
+    'preview.title': 'If {cell} shows…',
+    'preview.number': 'Number',
+    'preview.chance': 'Chance',
+    'preview.then': 'Then',
+    'preview.expected': 'Expected',
+    'preview.scratch': 'Scratch {cells}',
+    'preview.pick': 'Pick {lines}',
+    'preview.average': 'Average: {value}',
+    'explain.summary': 'Why?',
+    'explain.lineBest': '{line} averages {mgp}, more than any other line.',
+    'explain.lineBestTied': '{lines} are tied for the best average, {mgp}.',
+    'explain.lineBestGoal': '{line} scores best for your goal ({goal}): {score}, averaging {mgp}.',
+    'explain.lineBestGoalTied': '{lines} are tied for your goal ({goal}) at {score}, averaging {mgp}.',
+    'explain.lineFixed': 'Its numbers are all revealed: they add up to {total}, which pays {payout}.',
+    'explain.lineTop': 'Its best possible sum is {total}, paying {payout}, with probability {fraction}.',
+    'explain.lineNext': 'Next best is {line} at {mgp}, {gap} less.',
+    'explain.lineNextClose': 'Next best is {line} at {mgp}, practically tied ({gap} less).',
+    'explain.lineNextGoal': 'Next best for your goal is {line} at {score}.',
+    'explain.lineLongShot': '{line} can still make {total} ({payout}) with probability {fraction}, but it averages only {mgp}.',
+    'explain.lineLongShotLow': '{line} can still make {total} ({payout}) with probability {fraction}, but it averages only {mgp} because it pays just {lowest} {chance} of the time.',
+    'explain.cellBest': 'Scratching {cells} leads to {mgp} on average if you keep playing the best moves.',
+    'explain.cellBestTied': 'Scratching any of {cells} leads to {mgp} on average if you keep playing the best moves.',
+    'explain.cellBestGoal': 'Scratching {cells} scores best for your goal ({goal}): {score}, if you keep playing the best moves.',
+    'explain.cellBestGoalTied': 'Scratching any of {cells} scores best for your goal ({goal}): {score}, if you keep playing the best moves.',
+    'explain.cellLines': '{cell} lies on {count} lines ({lines}), so its number tells you something about each of them.',
+    'explain.cellNext': 'The next best cell, {cell}, leads to {mgp}, {gap} less.',
+    'explain.cellNextClose': 'The next best cell, {cell}, is practically tied: it leads to {mgp}, {gap} less.',
+    'explain.cellNextGoal': 'The next best cell, {cell}, scores {score}.',
+    'explain.cellWorst': 'The worst choice, {cell}, leads to {mgp}.',
+    'explain.cellWorstGoal': 'The worst choice, {cell}, scores {score}.',
+    'practice.mode': 'Practice mode',
+    'practice.newTicket': 'New Ticket',
+    'practice.resetScore': 'Reset Score',
+    'practice.confirmReset': 'Reset your practice score?',
+    'practice.scratchPrompt': 'Scratch a cell ({number} of {total}).',
+    'practice.linePrompt': 'Pick a line by clicking its arrow.',
+    'practice.result': '{line} adds up to {total} and pays {payout}. Expected MGP lost on this ticket: {lost}.',
+    'practice.resultPerfect': '{line} adds up to {total} and pays {payout}. Every choice was the best one!',
+    'practice.best': 'best choice',
+    'practice.lost': '{mgp} expected lost (best: {best})',
+    'practice.scratchStep': 'Scratched {choice}: {grade}',
+    'practice.lineStep': 'Picked {choice}: {grade}',
+    'practice.score': 'Practice score: {tickets} tickets, {perfect} perfect, {lost} lost per ticket on average, {payout} won.',
+    'practice.noScore': 'No practice tickets finished yet.',
+    'review.title': 'Review a Finished Ticket',
+    'review.help': 'Enter all nine numbers, the numbers in the order they were revealed (starting number first) and the line you picked.',
+    'review.order': 'Revealed in order',
+    'review.orderPlaceholder': 'e.g. 5 1 9 3',
+    'review.line': 'Line picked',
+    'review.run': 'Review',
+    'review.step': 'Step',
+    'review.yourMove': 'Your move',
+    'review.bestMove': 'Best move',
+    'review.lost': 'Expected MGP lost',
+    'review.scratchStep': 'Scratch {number}',
+    'review.lineStep': 'Line',
+    'review.cellMove': '{cell} ({number})',
+    'review.move': '{move}: {mgp}',
+    'review.noLoss': 'None',
+    'review.summary': 'You started from {start}, picked {line} and won {payout}. Expected MGP lost over the ticket: {lost}.',
+    'review.lines': 'What each line paid',
+    'review.lineName': 'Line',
+    'review.sum': 'Sum',
+    'review.payout': 'Payout',
+    'workspace.title': 'Ticket Workspace',
+    'workspace.help': 'Keep a board for each ticket you play in a row, labeled for example by character name. Each ticket is calculated on its own by expected MGP with the selected payout table.',
+    'workspace.empty': 'No tickets open. Add one for each ticket you are about to play.',
+    'workspace.add': 'Add Ticket',
+    'workspace.remove': 'Remove',
+    'workspace.label': 'Ticket label',
+    'workspace.labelPlaceholder': 'Character name',
+    'workspace.waiting': 'Enter the starting number',
+    'workspace.total': 'Combined expected MGP: {mgp} ({counted} of {count} tickets)',
+    'workspace.totalNone': 'The combined expected MGP appears once a ticket has its starting number.',
+    'validation.ticketIncomplete': 'Enter all nine numbers of the finished ticket',
+    'validation.revealOrder': 'Enter the starting number and the three scratched numbers in the order they were revealed, each once',
+    'mgp.amount': '{amount} MGP',
+    'list.separator': ', '
+  },
+  ja: {
+    'language.name': '日本語',
+    'language.auto': '自動',
+    'page.heading': 'ミニくじテンダー計算機',
+    'page.intro': '計算機の使い方の説明はここに表示されます',
+    'settings.language': '言語',
+    'settings.goal': '目標',
+    'settings.targetMgp': '目標MGP',
+    'settings.payouts': '配当',
+    'objective.ev.option': '期待MGPを最大化',
+    'objective.jackpot.option': '最高配当の確率を最大化',
+    'objective.threshold.option': '目標額に届く確率を最大化',
+    'objective.utility.option': 'リスク回避',
+    'objective.ev.label': '期待MGPを最大化',
+    'objective.jackpot.label': '最高配当の確率を最大化',
+    'objective.threshold.label': '{mgp}以上になる確率を最大化',
+    'objective.utility.label': 'リスク回避（平方根効用）',
+    'guided.mode': 'ガイドモード',
+    'guided.override': '別のマスを削る',
+    'guided.keepRevealed': '公開された数字は消せません。数字を間違えた場合は上書きし、違うマスに入力した場合は「元に戻す」を使ってください。',
+    'guided.start': '最初の数字',
+    'guided.startInstruction': 'くじに最初から表示されている数字を入力してください。',
+    'guided.scratch': '{number}回目',
+    'guided.scratchInstruction': 'ハイライトされたマスを削り、その数字を入力してください。',
+    'guided.pickLine': 'ラインを選ぶ',
+    'guided.pickLineInstruction': 'ハイライトされたラインを選んでください。',
+    'button.reset': 'リセット',
+    'button.undo': '元に戻す',
+    'button.undoTitle': '元に戻す (Ctrl+Z)',
+    'button.redo': 'やり直す',
+    'button.redoTitle': 'やり直す (Ctrl+Y)',
+    'button.copyLink': 'リンクをコピー',
+    'button.copied': 'コピーしました！',
+    'button.loadJson': 'JSONを読み込む',
+    'button.readScreenshot': 'スクリーンショットを読み取る',
+    'button.readScreenshotTitle': 'ページにスクリーンショットを貼り付けるかドロップすることもできます',
+    'button.record': '記録',
+    'button.exportCsv': 'CSVを書き出す',
+    'button.exportJson': 'JSONを書き出す',
+    'button.clear': '消去',
+    'read.use': 'この数字を使う',
+    'read.cancel': 'キャンセル',
+    'read.uncertainOne': '1マスをはっきり読み取れませんでした。ハイライトされたマスを確認し、必要なら修正してください。',
+    'read.uncertainMany': '{count}マスをはっきり読み取れませんでした。ハイライトされたマスを確認し、必要なら修正してください。',
+    'read.onlyImages': 'くじとして読み取れるのは画像ファイルだけです。',
+    'read.openFailed': '画像を開けませんでした。',
+    'read.noGrid': '画像にミニくじテンダーのマスが見つかりませんでした',
+    'cell.label': '{row}行{column}列',
+    'aria.cellEmpty': '{row}行{column}列、未公開',
+    'aria.cellSuggested': '{row}行{column}列、未公開、おすすめ',
+    'aria.cellValue': '{row}行{column}列、{value}',
+    'aria.lineRecommended': '{label}、おすすめ',
+    'aria.lineSelected': '{label}、選択中',
+    'announce.suggestions': 'おすすめのマス: {cells}',
+    'announce.result': '最善のライン: {lines}、期待値 {mgp}',
+    'announce.separator': '、',
+    'result.calculating': '計算中…',
+    'result.bestOptions': 'おすすめ: {lines}',
+    'result.noOptions': '有効な選択肢がありません',
+    'result.expectedValue': '期待値: {value}',
+    'result.objective': '目標: {label}',
+    'result.objectiveScore': '目標: {label}（{score}）',
+    'distribution.standardDeviation': '標準偏差: ±{value}',
+    'distribution.jackpot': '最高配当: {chance}',
+    'distribution.low': '{mgp}以下: {chance}',
+    'arrow.best': '{line}: {mgp}（最善）',
+    'arrow.belowBest': '{line}: {mgp}（最善より{gap}低い）',
+    'lineChoice.placeholder': '獲得MGP',
+    'lineChoice.ariaLabel': '実際の獲得MGP',
+    'lineChoice.expected': '{line}: 期待値 {mgp}',
+    'lineChoice.enterPayout': '{line}で獲得したMGPを入力してください。',
+    'lineChoice.saveFailed': 'くじを保存できませんでした。',
+    'lineChoice.recorded': '{line}を記録しました: {mgp}',
+    'history.title': 'くじの履歴',
+    'history.chartLabel': '実際と期待値の累計MGP',
+    'history.date': '日付',
+    'history.board': '盤面',
+    'history.line': 'ライン',
+    'history.expected': '期待値',
+    'history.actual': '実際',
+    'history.empty': 'まだ記録はありません。計算後にラインをクリックすると記録できます。',
+    'history.summary': 'くじ: {count}枚 · 実際: {actual} · 期待値: {expected} · 差: {difference}',
+    'history.confirmClear': '記録したくじをすべて削除しますか？',
+    'error.duplicates': '数字が重複しています: {numbers}\n重複を取り除いてください。',
+    'error.calculation': '計算中にエラーが発生しました。もう一度お試しください。',
+    'error.invalidLink': 'リンクに有効な盤面が含まれていません。',
+    'error.linkTooMany': 'リンクの盤面には数字が{count}個あります。入力できるのは{max}個までです。',
+    'error.screenshotEmpty': 'スクリーンショットに公開された数字が見つかりませんでした。',
+    'error.screenshotTooMany': 'スクリーンショットには数字が{count}個あります。入力できるのは{max}個までです。',
+    'error.tooMany': '公開できる数字は{max}個までです。',
+    'error.threshold': '目標額は0以上の整数のMGPで入力してください。',
+    'error.init': '計算機を初期化できませんでした。ページを再読み込みしてください。',
+    'validation.invalidValue': '{position}番目のマスの値が無効です: {value}',
+    'validation.duplicates': '重複した値があります: {values}',
+    'validation.tooFew': '少なくとも{count}個の数字を公開してください',
+    'validation.tooMany': '公開できる数字は{max}個までです',
+    'line.0': '横1列目',
+    'line.1': '横2列目',
+    'line.2': '横3列目',
+    'line.3': '縦1列目',
+    'line.4': '縦2列目',
+    'line.5': '縦3列目',
+    'line.6': '斜め（左上から）',
+    'line.7': '斜め（右上から）',
+    'update.available': '計算機の新しいバージョンがあります。',
+    'update.reload': '再読み込み',
+    'update.later': 'あとで',
+    'preview.title': '{cell}に出る数字ごとの結果',
+    'preview.number': '数字',
+    'preview.chance': '確率',
+    'preview.then': '次の手',
+    'preview.expected': '期待値',
+    'preview.scratch': '{cells}を削る',
+    'preview.pick': '{lines}を選ぶ',
+    'preview.average': '平均: {value}',
+    'explain.summary': '理由',
+    'explain.lineBest': '{line}の期待値は{mgp}で、どのラインよりも高くなります。',
+    'explain.lineBestTied': '{lines}が同じ最高期待値{mgp}で並んでいます。',
+    'explain.lineBestGoal': '目標（{goal}）に最も適しているのは{line}です: {score}、期待値{mgp}。',
+    'explain.lineBestGoalTied': '目標（{goal}）では{lines}が{score}で並んでいます（期待値{mgp}）。',
+    'explain.lineFixed': '数字はすべて公開済みで、合計{total}の配当は{payout}です。',
+    'explain.lineTop': '最も良い合計は{total}（{payout}）で、確率は{fraction}です。',
+    'explain.lineNext': '次点は{line}で{mgp}、{gap}低くなります。',
+    'explain.lineNextClose': '次点は{line}で{mgp}、差は{gap}でほぼ同じです。',
+    'explain.lineNextGoal': '目標での次点は{line}で{score}です。',
+    'explain.lineLongShot': '{line}はまだ{total}（{payout}）の可能性が{fraction}ありますが、期待値は{mgp}にとどまります。',
+    'explain.lineLongShotLow': '{line}はまだ{total}（{payout}）の可能性が{fraction}ありますが、{chance}の確率で{lowest}しか出ないため、期待値は{mgp}にとどまります。',
+    'explain.cellBest': '最善手を続ければ、{cells}を削ったときの期待値は{mgp}です。',
+    'explain.cellBestTied': '最善手を続ければ、{cells}のどれを削っても期待値は{mgp}です。',
+    'explain.cellBestGoal': '最善手を続ければ、目標（{goal}）に最も適しているのは{cells}を削ることです: {score}。',
+    'explain.cellBestGoalTied': '最善手を続ければ、目標（{goal}）では{cells}のどれを削っても{score}です。',
+    'explain.cellLines': '{cell}は{count}本のライン（{lines}）に含まれるため、その数字はそれぞれのラインの手がかりになります。',
+    'explain.cellNext': '次に良いマスは{cell}で、期待値{mgp}（{gap}低い）です。',
+    'explain.cellNextClose': '次に良いマスは{cell}で、期待値{mgp}（差は{gap}でほぼ同じ）です。',
+    'explain.cellNextGoal': '次に良いマスは{cell}で、{score}です。',
+    'explain.cellWorst': '最も悪い選択は{cell}で、期待値{mgp}です。',
+    'explain.cellWorstGoal': '最も悪い選択は{cell}で、{score}です。',
+    'practice.mode': '練習モード',
+    'practice.newTicket': '新しいくじ',
+    'practice.resetScore': 'スコアをリセット',
+    'practice.confirmReset': '練習スコアをリセットしますか？',
+    'practice.scratchPrompt': 'マスを削ってください（{number}/{total}）。',
+    'practice.linePrompt': '矢印をクリックしてラインを選んでください。',
+    'practice.result': '{line}の合計は{total}で、配当は{payout}です。このくじで失った期待MGP: {lost}。',
+    'practice.resultPerfect': '{line}の合計は{total}で、配当は{payout}です。すべて最善の選択でした！',
+    'practice.best': '最善の選択',
+    'practice.lost': '期待値{mgp}の損失（最善: {best}）',
+    'practice.scratchStep': '{choice}を削った: {grade}',
+    'practice.lineStep': '{choice}を選んだ: {grade}',
+    'practice.score': '練習スコア: {tickets}枚、完璧{perfect}枚、1枚あたり平均{lost}の損失、獲得{payout}。',
+    'practice.noScore': 'まだ練習したくじはありません。',
+    'review.title': '終わったくじを振り返る',
+    'review.help': '9つの数字すべて、公開した順番の数字（最初の数字から）、選んだラインを入力してください。',
+    'review.order': '公開した順番',
+    'review.orderPlaceholder': '例: 5 1 9 3',
+    'review.line': '選んだライン',
+    'review.run': '振り返る',
+    'review.step': '手順',
+    'review.yourMove': 'あなたの手',
+    'review.bestMove': '最善手',
+    'review.lost': '失った期待MGP',
+    'review.scratchStep': '{number}回目の削り',
+    'review.lineStep': 'ライン',
+    'review.cellMove': '{cell}（{number}）',
+    'review.move': '{move}: {mgp}',
+    'review.noLoss': 'なし',
+    'review.summary': '{start}から始めて{line}を選び、{payout}を獲得しました。このくじで失った期待MGP: {lost}。',
+    'review.lines': '各ラインの配当',
+    'review.lineName': 'ライン',
+    'review.sum': '合計',
+    'review.payout': '配当',
+    'workspace.title': 'くじの作業台',
+    'workspace.help': '続けて遊ぶくじごとに盤面を用意し、キャラクター名などで名前を付けられます。各くじは選択中の配当を使い、期待MGPで個別に計算されます。',
+    'workspace.empty': '開いているくじはありません。これから遊ぶくじごとに追加してください。',
+    'workspace.add': 'くじを追加',
+    'workspace.remove': '削除',
+    'workspace.label': 'くじの名前',
+    'workspace.labelPlaceholder': 'キャラクター名',
+    'workspace.waiting': '最初の数字を入力してください',
+    'workspace.total': '合計期待MGP: {mgp}（{count}枚中{counted}枚）',
+    'workspace.totalNone': '最初の数字が入力されたくじがあると、合計期待MGPが表示されます。',
+    'validation.ticketIncomplete': '終わったくじの9つの数字をすべて入力してください',
+    'validation.revealOrder': '最初の数字と削った3つの数字を、公開した順番に1回ずつ入力してください',
+    'mgp.amount': '{amount} MGP',
+    'list.separator': '、'
+  },
+  de: {
+    'language.name': 'Deutsch',
+    'language.auto': 'Automatisch',
+    'page.heading': 'Mini-Cactpot-Rechner',
+    'page.intro': 'Hier folgt eine Anleitung zum Rechner',
+    'settings.language': 'Sprache',
+    'settings.goal': 'Ziel',
+    'settings.targetMgp': 'Ziel-MGP',
+    'settings.payouts': 'Gewinne',
+    'objective.ev.option': 'Erwartete MGP maximieren',
+    'objective.jackpot.option': 'Jackpot-Chance maximieren',
+    'objective.threshold.option': 'Chance auf ein Ziel maximieren',
+    'objective.utility.option': 'Risikoscheu',
+    'objective.ev.label': 'Erwartete MGP maximieren',
+    'objective.jackpot.label': 'Jackpot-Chance maximieren',
+    'objective.threshold.label': 'Chance auf mindestens {mgp} maximieren',
+    'objective.utility.label': 'Risikoscheu (Wurzelnutzen)',
+    'guided.mode': 'Geführter Modus',
+    'guided.override': 'Anderes Feld freirubbeln',
+    'guided.keepRevealed': 'Aufgedeckte Zahlen bleiben auf dem Los. Überschreibe eine falsche Zahl oder nutze Rückgängig, wenn sie im falschen Feld steht.',
+    'guided.start': 'Startzahl',
+    'guided.startInstruction': 'Gib die Zahl ein, die auf deinem Los bereits aufgedeckt ist.',
+    'guided.scratch': '{number}. Feld',
+    'guided.scratchInstruction': 'Rubble das hervorgehobene Feld frei und gib seine Zahl ein.',
+    'guided.pickLine': 'Linie wählen',
+    'guided.pickLineInstruction': 'Wähle die hervorgehobene Linie.',
+    'button.reset': 'Zurücksetzen',
+    'button.undo': 'Rückgängig',
+    'button.undoTitle': 'Rückgängig (Strg+Z)',
+    'button.redo': 'Wiederholen',
+    'button.redoTitle': 'Wiederholen (Strg+Y)',
+    'button.copyLink': 'Link kopieren',
+    'button.copied': 'Kopiert!',
+    'button.loadJson': 'JSON laden',
+    'button.readScreenshot': 'Screenshot lesen',
+    'button.readScreenshotTitle': 'Oder einen Screenshot in die Seite einfügen oder hineinziehen',
+    'button.record': 'Speichern',
+    'button.exportCsv': 'CSV exportieren',
+    'button.exportJson': 'JSON exportieren',
+    'button.clear': 'Leeren',
+    'read.use': 'Diese Zahlen verwenden',
+    'read.cancel': 'Abbrechen',
+    'read.uncertainOne': '1 Feld war nicht eindeutig lesbar. Prüfe das hervorgehobene Feld und korrigiere es bei Bedarf.',
+    'read.uncertainMany': '{count} Felder waren nicht eindeutig lesbar. Prüfe die hervorgehobenen Felder und korrigiere sie bei Bedarf.',
+    'read.onlyImages': 'Nur Bilddateien können als Los gelesen werden.',
+    'read.openFailed': 'Das Bild konnte nicht geöffnet werden.',
+    'read.noGrid': 'Im Bild wurde kein Mini-Cactpot-Raster gefunden',
+    'cell.label': 'Zeile {row}, Spalte {column}',
+    'aria.cellEmpty': 'Zeile {row}, Spalte {column}, leer',
+    'aria.cellSuggested': 'Zeile {row}, Spalte {column}, leer, empfohlen',
+    'aria.cellValue': 'Zeile {row}, Spalte {column}, {value}',
+    'aria.lineRecommended': '{label}, empfohlen',
+    'aria.lineSelected': '{label}, ausgewählt',
+    'announce.suggestions': 'Empfohlene Felder: {cells}',
+    'announce.result': 'Beste Linie: {lines}, {mgp} erwartet',
+    'announce.separator': '; ',
+    'result.calculating': 'Wird berechnet…',
+    'result.bestOptions': 'Beste Wahl: {lines}',
+    'result.noOptions': 'Keine gültigen Optionen',
+    'result.expectedValue': 'Erwartungswert: {value}',
+    'result.objective': 'Ziel: {label}',
+    'result.objectiveScore': 'Ziel: {label} ({score})',
+    'distribution.standardDeviation': 'Std.-Abw.: ±{value}',
+    'distribution.jackpot': 'Jackpot: {chance}',
+    'distribution.low': '{mgp} oder weniger: {chance}',
+    'arrow.best': '{line}: {mgp} (beste)',
+    'arrow.belowBest': '{line}: {mgp} ({gap} unter der besten)',
+    'lineChoice.placeholder': 'Gewonnene MGP',
+    'lineChoice.ariaLabel': 'Tatsächlicher Gewinn in MGP',
+    'lineChoice.expected': '{line}: {mgp} erwartet',
+    'lineChoice.enterPayout': 'Gib die MGP ein, die {line} ausgezahlt hat.',
+    'lineChoice.saveFailed': 'Das Los konnte nicht gespeichert werden.',
+    'lineChoice.recorded': '{line} gespeichert: {mgp}',
+    'history.title': 'Losverlauf',
+    'history.chartLabel': 'Kumulierte tatsächliche und erwartete MGP',
+    'history.date': 'Datum',
+    'history.board': 'Los',
+    'history.line': 'Linie',
+    'history.expected': 'Erwartet',
+    'history.actual': 'Tatsächlich',
+    'history.empty': 'Noch keine Lose gespeichert. Klicke nach der Berechnung auf eine Linie, um sie zu speichern.',
+    'history.summary': 'Lose: {count} · Tatsächlich: {actual} · Erwartet: {expected} · Differenz: {difference}',
+    'history.confirmClear': 'Alle gespeicherten Lose löschen?',
+    'error.duplicates': 'Doppelte Zahlen: {numbers}\nBitte entferne die Duplikate.',
+    'error.calculation': 'Bei der Berechnung ist ein Fehler aufgetreten. Bitte versuche es erneut.',
+    'error.invalidLink': 'Der Link enthält kein gültiges Los.',
+    'error.linkTooMany': 'Das verlinkte Los hat {count} Zahlen; höchstens {max} können eingegeben werden.',
+    'error.screenshotEmpty': 'Im Screenshot wurden keine aufgedeckten Zahlen gefunden.',
+    'error.screenshotTooMany': 'Der Screenshot zeigt {count} Zahlen; höchstens {max} können eingegeben werden.',
+    'error.tooMany': 'Höchstens {max} Zahlen können aufgedeckt werden.',
+    'error.threshold': 'Das Ziel muss eine ganze Zahl an MGP sein, 0 oder mehr.',
+    'error.init': 'Der Rechner konnte nicht gestartet werden. Bitte lade die Seite neu.',
+    'validation.invalidValue': 'Feld {position} hat einen ungültigen Wert: {value}',
+    'validation.duplicates': 'Doppelte Werte gefunden: {values}',
+    'validation.tooFew': 'Decke mindestens {count} der Zahlen auf',
+    'validation.tooMany': 'Höchstens {max} Zahlen können aufgedeckt werden',
+    'line.0': 'Zeile 1',
+    'line.1': 'Zeile 2',
+    'line.2': 'Zeile 3',
+    'line.3': 'Spalte 1',
+    'line.4': 'Spalte 2',
+    'line.5': 'Spalte 3',
+    'line.6': 'Diagonale (oben links)',
+    'line.7': 'Diagonale (oben rechts)',
+    'update.available': 'Eine neue Version des Rechners ist verfügbar.',
+    'update.reload': 'Neu laden',
+    'update.later': 'Später',
+    'preview.title': 'Wenn {cell} zeigt …',
+    'preview.number': 'Zahl',
+    'preview.chance': 'Chance',
+    'preview.then': 'Dann',
+    'preview.expected': 'Erwartet',
+    'preview.scratch': '{cells} freirubbeln',
+    'preview.pick': '{lines} wählen',
+    'preview.average': 'Durchschnitt: {value}',
+    'explain.summary': 'Warum?',
+    'explain.lineBest': '{line} bringt im Schnitt {mgp}, mehr als jede andere Linie.',
+    'explain.lineBestTied': '{lines} liegen mit dem besten Schnitt gleichauf: {mgp}.',
+    'explain.lineBestGoal': '{line} passt am besten zu deinem Ziel ({goal}): {score}, im Schnitt {mgp}.',
+    'explain.lineBestGoalTied': '{lines} liegen für dein Ziel ({goal}) gleichauf bei {score}, im Schnitt {mgp}.',
+    'explain.lineFixed': 'Alle ihre Zahlen sind aufgedeckt: Sie ergeben {total}, was {payout} bringt.',
+    'explain.lineTop': 'Ihre bestmögliche Summe ist {total} für {payout}, mit Wahrscheinlichkeit {fraction}.',
+    'explain.lineNext': 'Zweitbeste ist {line} mit {mgp}, {gap} weniger.',
+    'explain.lineNextClose': 'Zweitbeste ist {line} mit {mgp}, praktisch gleichauf ({gap} weniger).',
+    'explain.lineNextGoal': 'Zweitbeste für dein Ziel ist {line} mit {score}.',
+    'explain.lineLongShot': '{line} kann noch {total} ({payout}) erreichen, mit Wahrscheinlichkeit {fraction}, bringt im Schnitt aber nur {mgp}.',
+    'explain.lineLongShotLow': '{line} kann noch {total} ({payout}) erreichen, mit Wahrscheinlichkeit {fraction}, bringt im Schnitt aber nur {mgp}, weil sie in {chance} der Fälle nur {lowest} zahlt.',
+    'explain.cellBest': '{cells} freizurubbeln bringt im Schnitt {mgp}, wenn du weiter die besten Züge spielst.',
+    'explain.cellBestTied': 'Jedes der Felder {cells} freizurubbeln bringt im Schnitt {mgp}, wenn du weiter die besten Züge spielst.',
+    'explain.cellBestGoal': '{cells} freizurubbeln passt am besten zu deinem Ziel ({goal}): {score}, wenn du weiter die besten Züge spielst.',
+    'explain.cellBestGoalTied': 'Jedes der Felder {cells} passt am besten zu deinem Ziel ({goal}): {score}, wenn du weiter die besten Züge spielst.',
+    'explain.cellLines': '{cell} liegt auf {count} Linien ({lines}), daher verrät seine Zahl etwas über jede davon.',
+    'explain.cellNext': 'Das zweitbeste Feld, {cell}, bringt {mgp}, {gap} weniger.',
+    'explain.cellNextClose': 'Das zweitbeste Feld, {cell}, liegt praktisch gleichauf: Es bringt {mgp}, {gap} weniger.',
+    'explain.cellNextGoal': 'Das zweitbeste Feld, {cell}, erreicht {score}.',
+    'explain.cellWorst': 'Die schlechteste Wahl, {cell}, bringt {mgp}.',
+    'explain.cellWorstGoal': 'Die schlechteste Wahl, {cell}, erreicht {score}.',
+    'practice.mode': 'Übungsmodus',
+    'practice.newTicket': 'Neues Los',
+    'practice.resetScore': 'Punktestand zurücksetzen',
+    'practice.confirmReset': 'Übungspunktestand zurücksetzen?',
+    'practice.scratchPrompt': 'Rubble ein Feld frei ({number} von {total}).',
+    'practice.linePrompt': 'Wähle eine Linie, indem du auf ihren Pfeil klickst.',
+    'practice.result': '{line} ergibt {total} und zahlt {payout}. Erwartete MGP verloren bei diesem Los: {lost}.',
+    'practice.resultPerfect': '{line} ergibt {total} und zahlt {payout}. Jede Entscheidung war die beste!',
+    'practice.best': 'beste Wahl',
+    'practice.lost': '{mgp} erwartet verloren (beste: {best})',
+    'practice.scratchStep': '{choice} freigerubbelt: {grade}',
+    'practice.lineStep': '{choice} gewählt: {grade}',
+    'practice.score': 'Übungspunktestand: {tickets} Lose, {perfect} perfekt, im Schnitt {lost} pro Los verloren, {payout} gewonnen.',
+    'practice.noScore': 'Noch keine Übungslose beendet.',
+    'review.title': 'Beendetes Los auswerten',
+    'review.help': 'Gib alle neun Zahlen ein, die Zahlen in der Reihenfolge, in der sie aufgedeckt wurden (Startzahl zuerst), und die gewählte Linie.',
+    'review.order': 'Aufgedeckt in Reihenfolge',
+    'review.orderPlaceholder': 'z. B. 5 1 9 3',
+    'review.line': 'Gewählte Linie',
+    'review.run': 'Auswerten',
+    'review.step': 'Schritt',
+    'review.yourMove': 'Dein Zug',
+    'review.bestMove': 'Bester Zug',
+    'review.lost': 'Erwartete MGP verloren',
+    'review.scratchStep': '{number}. Feld',
+    'review.lineStep': 'Linie',
+    'review.cellMove': '{cell} ({number})',
+    'review.move': '{move}: {mgp}',
+    'review.noLoss': 'Keine',
+    'review.summary': 'Du hast bei {start} begonnen, {line} gewählt und {payout} gewonnen. Erwartete MGP verloren bei diesem Los: {lost}.',
+    'review.lines': 'Was jede Linie gezahlt hätte',
+    'review.lineName': 'Linie',
+    'review.sum': 'Summe',
+    'review.payout': 'Auszahlung',
+    'workspace.title': 'Los-Arbeitsbereich',
+    'workspace.help': 'Ein Spielfeld für jedes Los, das du nacheinander spielst, z. B. nach Charaktername benannt. Jedes Los wird einzeln nach erwarteten MGP mit den gewählten Gewinnen berechnet.',
+    'workspace.empty': 'Keine Lose geöffnet. Füge eines für jedes Los hinzu, das du gleich spielst.',
+    'workspace.add': 'Los hinzufügen',
+    'workspace.remove': 'Entfernen',
+    'workspace.label': 'Name des Loses',
+    'workspace.labelPlaceholder': 'Charaktername',
+    'workspace.waiting': 'Gib die Startzahl ein',
+    'workspace.total': 'Erwartete MGP zusammen: {mgp} ({counted} von {count} Losen)',
+    'workspace.totalNone': 'Die erwarteten MGP zusammen erscheinen, sobald ein Los seine Startzahl hat.',
+    'validation.ticketIncomplete': 'Gib alle neun Zahlen des beendeten Loses ein',
+    'validation.revealOrder': 'Gib die Startzahl und die drei freigerubbelten Zahlen in der Reihenfolge ein, in der sie aufgedeckt wurden, jede einmal',
+    'mgp.amount': '{amount} MGP',
+    'list.separator': ', '
+  },
+  fr: {
+    'language.name': 'Français',
+    'language.auto': 'Automatique',
+    'page.heading': 'Calculateur de Mini-Cactpot',
+    'page.intro': 'Le mode d’emploi du calculateur figurera ici',
+    'settings.language': 'Langue',
+    'settings.goal': 'Objectif',
+    'settings.targetMgp': 'MGP visés',
+    'settings.payouts': 'Gains',
+    'objective.ev.option': 'Maximiser les MGP espérés',
+    'objective.jackpot.option': 'Maximiser la chance de jackpot',
+    'objective.threshold.option': 'Maximiser la chance d’atteindre un objectif',
+    'objective.utility.option': 'Prudent',
+    'objective.ev.label': 'Maximiser les MGP espérés',
+    'objective.jackpot.label': 'Maximiser la chance de jackpot',
+    'objective.threshold.label': 'Maximiser la chance d’obtenir au moins {mgp}',
+    'objective.utility.label': 'Prudent (utilité en racine carrée)',
+    'guided.mode': 'Mode guidé',
+    'guided.override': 'Gratter une autre case',
+    'guided.keepRevealed': 'Les numéros révélés restent sur le ticket. Remplacez un mauvais numéro, ou utilisez Annuler s’il est dans la mauvaise case.',
+    'guided.start': 'Numéro de départ',
+    'guided.startInstruction': 'Saisissez le numéro déjà révélé sur votre ticket.',
+    'guided.scratch': 'Grattage {number}',
+    'guided.scratchInstruction': 'Grattez la case mise en évidence et saisissez son numéro.',
+    'guided.pickLine': 'Choisir une ligne',
+    'guided.pickLineInstruction': 'Choisissez la ligne mise en évidence.',
+    'button.reset': 'Réinitialiser',
+    'button.undo': 'Annuler',
+    'button.undoTitle': 'Annuler (Ctrl+Z)',
+    'button.redo': 'Rétablir',
+    'button.redoTitle': 'Rétablir (Ctrl+Y)',
+    'button.copyLink': 'Copier le lien',
+    'button.copied': 'Copié !',
+    'button.loadJson': 'Charger un JSON',
+    'button.readScreenshot': 'Lire une capture',
+    'button.readScreenshotTitle': 'Ou collez ou déposez une capture d’écran sur la page',
+    'button.record': 'Enregistrer',
+    'button.exportCsv': 'Exporter en CSV',
+    'button.exportJson': 'Exporter en JSON',
+    'button.clear': 'Effacer',
+    'read.use': 'Utiliser ces numéros',
+    'read.cancel': 'Annuler',
+    'read.uncertainOne': '1 case n’a pas pu être lue clairement. Vérifiez la case mise en évidence et corrigez-la si besoin.',
+    'read.uncertainMany': '{count} cases n’ont pas pu être lues clairement. Vérifiez les cases mises en évidence et corrigez-les si besoin.',
+    'read.onlyImages': 'Seuls les fichiers image peuvent être lus comme ticket.',
+    'read.openFailed': 'L’image n’a pas pu être ouverte.',
+    'read.noGrid': 'Aucune grille de Mini-Cactpot n’a été trouvée dans l’image',
+    'cell.label': 'Ligne {row}, colonne {column}',
+    'aria.cellEmpty': 'Ligne {row}, colonne {column}, vide',
+    'aria.cellSuggested': 'Ligne {row}, colonne {column}, vide, conseillée',
+    'aria.cellValue': 'Ligne {row}, colonne {column}, {value}',
+    'aria.lineRecommended': '{label}, recommandée',
+    'aria.lineSelected': '{label}, sélectionnée',
+    'announce.suggestions': 'Cases conseillées : {cells}',
+    'announce.result': 'Meilleure ligne : {lines}, {mgp} espérés',
+    'announce.separator': ' ; ',
+    'result.calculating': 'Calcul en cours…',
+    'result.bestOptions': 'Meilleurs choix : {lines}',
+    'result.noOptions': 'Aucun choix valide',
+    'result.expectedValue': 'Espérance : {value}',
+    'result.objective': 'Objectif : {label}',
+    'result.objectiveScore': 'Objectif : {label} ({score})',
+    'distribution.standardDeviation': 'Écart type : ±{value}',
+    'distribution.jackpot': 'Jackpot : {chance}',
+    'distribution.low': '{mgp} ou moins : {chance}',
+    'arrow.best': '{line} : {mgp} (meilleure)',
+    'arrow.belowBest': '{line} : {mgp} ({gap} sous la meilleure)',
+    'lineChoice.placeholder': 'MGP gagnés',
+    'lineChoice.ariaLabel': 'Gain réel en MGP',
+    'lineChoice.expected': '{line} : {mgp} espérés',
+    'lineChoice.enterPayout': 'Saisissez les MGP rapportés par {line}.',
+    'lineChoice.saveFailed': 'Le ticket n’a pas pu être enregistré.',
+    'lineChoice.recorded': '{line} enregistrée : {mgp}',
+    'history.title': 'Historique des tickets',
+    'history.chartLabel': 'MGP réels et espérés cumulés',
+    'history.date': 'Date',
+    'history.board': 'Grille',
+    'history.line': 'Ligne',
+    'history.expected': 'Espérés',
+    'history.actual': 'Réels',
+    'history.empty': 'Aucun ticket enregistré. Cliquez sur une ligne après le calcul pour l’enregistrer.',
+    'history.summary': 'Tickets : {count} · Réels : {actual} · Espérés : {expected} · Écart : {difference}',
+    'history.confirmClear': 'Supprimer tous les tickets enregistrés ?',
+    'error.duplicates': 'Numéros en double : {numbers}\nVeuillez retirer les doublons.',
+    'error.calculation': 'Une erreur est survenue pendant le calcul. Veuillez réessayer.',
+    'error.invalidLink': 'Le lien ne contient pas de grille valide.',
+    'error.linkTooMany': 'La grille du lien a {count} numéros ; {max} au maximum peuvent être saisis.',
+    'error.screenshotEmpty': 'Aucun numéro révélé n’a été trouvé sur la capture.',
+    'error.screenshotTooMany': 'La capture montre {count} numéros ; {max} au maximum peuvent être saisis.',
+    'error.tooMany': '{max} numéros au maximum peuvent être révélés.',
+    'error.threshold': 'L’objectif doit être un nombre entier de MGP, 0 ou plus.',
+    'error.init': 'Le calculateur n’a pas pu démarrer. Veuillez recharger la page.',
+    'validation.invalidValue': 'La case {position} a une valeur invalide : {value}',
+    'validation.duplicates': 'Valeurs en double : {values}',
+    'validation.tooFew': 'Révélez au moins {count} des numéros',
+    'validation.tooMany': '{max} numéros au maximum peuvent être révélés',
+    'line.0': 'Ligne 1',
+    'line.1': 'Ligne 2',
+    'line.2': 'Ligne 3',
+    'line.3': 'Colonne 1',
+    'line.4': 'Colonne 2',
+    'line.5': 'Colonne 3',
+    'line.6': 'Diagonale (haut gauche)',
+    'line.7': 'Diagonale (haut droite)',
+    'update.available': 'Une nouvelle version du calculateur est disponible.',
+    'update.reload': 'Recharger',
+    'update.later': 'Plus tard',
+    'preview.title': 'Si {cell} révèle…',
+    'preview.number': 'Numéro',
+    'preview.chance': 'Probabilité',
+    'preview.then': 'Ensuite',
+    'preview.expected': 'Espérance',
+    'preview.scratch': 'Gratter {cells}',
+    'preview.pick': 'Choisir {lines}',
+    'preview.average': 'Moyenne : {value}',
+    'explain.summary': 'Pourquoi ?',
+    'explain.lineBest': '{line} rapporte en moyenne {mgp}, plus que toute autre ligne.',
+    'explain.lineBestTied': '{lines} sont à égalité avec la meilleure moyenne, {mgp}.',
+    'explain.lineBestGoal': '{line} est la meilleure pour votre objectif ({goal}) : {score}, pour une moyenne de {mgp}.',
+    'explain.lineBestGoalTied': '{lines} sont à égalité pour votre objectif ({goal}) à {score}, pour une moyenne de {mgp}.',
+    'explain.lineFixed': 'Tous ses numéros sont révélés : leur somme fait {total}, ce qui rapporte {payout}.',
+    'explain.lineTop': 'Sa meilleure somme possible est {total}, qui rapporte {payout}, avec une probabilité de {fraction}.',
+    'explain.lineNext': 'Vient ensuite {line} avec {mgp}, soit {gap} de moins.',
+    'explain.lineNextClose': 'Vient ensuite {line} avec {mgp}, pratiquement à égalité ({gap} de moins).',
+    'explain.lineNextGoal': 'Vient ensuite pour votre objectif {line} avec {score}.',
+    'explain.lineLongShot': '{line} peut encore faire {total} ({payout}) avec une probabilité de {fraction}, mais ne rapporte en moyenne que {mgp}.',
+    'explain.lineLongShotLow': '{line} peut encore faire {total} ({payout}) avec une probabilité de {fraction}, mais ne rapporte en moyenne que {mgp} car elle ne paie que {lowest} dans {chance} des cas.',
+    'explain.cellBest': 'Gratter {cells} rapporte en moyenne {mgp} si vous continuez à jouer les meilleurs coups.',
+    'explain.cellBestTied': 'Gratter n’importe laquelle des cases {cells} rapporte en moyenne {mgp} si vous continuez à jouer les meilleurs coups.',
+    'explain.cellBestGoal': 'Gratter {cells} est le meilleur choix pour votre objectif ({goal}) : {score}, si vous continuez à jouer les meilleurs coups.',
+    'explain.cellBestGoalTied': 'Gratter n’importe laquelle des cases {cells} est le meilleur choix pour votre objectif ({goal}) : {score}, si vous continuez à jouer les meilleurs coups.',
+    'explain.cellLines': '{cell} se trouve sur {count} lignes ({lines}), donc son numéro renseigne sur chacune d’elles.',
+    'explain.cellNext': 'La case suivante, {cell}, rapporte {mgp}, soit {gap} de moins.',
+    'explain.cellNextClose': 'La case suivante, {cell}, est pratiquement à égalité : elle rapporte {mgp}, soit {gap} de moins.',
+    'explain.cellNextGoal': 'La case suivante, {cell}, obtient {score}.',
+    'explain.cellWorst': 'Le pire choix, {cell}, rapporte {mgp}.',
+    'explain.cellWorstGoal': 'Le pire choix, {cell}, obtient {score}.',
+    'practice.mode': 'Mode entraînement',
+    'practice.newTicket': 'Nouveau ticket',
+    'practice.resetScore': 'Réinitialiser le score',
+    'practice.confirmReset': 'Réinitialiser votre score d’entraînement ?',
+    'practice.scratchPrompt': 'Grattez une case ({number} sur {total}).',
+    'practice.linePrompt': 'Choisissez une ligne en cliquant sur sa flèche.',
+    'practice.result': '{line} fait {total} et rapporte {payout}. MGP espérés perdus sur ce ticket : {lost}.',
+    'practice.resultPerfect': '{line} fait {total} et rapporte {payout}. Chaque choix était le meilleur !',
+    'practice.best': 'meilleur choix',
+    'practice.lost': '{mgp} espérés perdus (meilleur : {best})',
+    'practice.scratchStep': '{choice} grattée : {grade}',
+    'practice.lineStep': '{choice} choisie : {grade}',
+    'practice.score': 'Score d’entraînement : {tickets} tickets, {perfect} parfaits, {lost} perdus par ticket en moyenne, {payout} gagnés.',
+    'practice.noScore': 'Aucun ticket d’entraînement terminé pour l’instant.',
+    'review.title': 'Analyser un ticket terminé',
+    'review.help': 'Saisissez les neuf numéros, les numéros dans l’ordre où ils ont été révélés (numéro de départ en premier) et la ligne choisie.',
+    'review.order': 'Ordre de révélation',
+    'review.orderPlaceholder': 'ex. 5 1 9 3',
+    'review.line': 'Ligne choisie',
+    'review.run': 'Analyser',
+    'review.step': 'Étape',
+    'review.yourMove': 'Votre coup',
+    'review.bestMove': 'Meilleur coup',
+    'review.lost': 'MGP espérés perdus',
+    'review.scratchStep': 'Case {number}',
+    'review.lineStep': 'Ligne',
+    'review.cellMove': '{cell} ({number})',
+    'review.move': '{move} : {mgp}',
+    'review.noLoss': 'Aucun',
+    'review.summary': 'Vous avez commencé par {start}, choisi {line} et gagné {payout}. MGP espérés perdus sur le ticket : {lost}.',
+    'review.lines': 'Gain de chaque ligne',
+    'review.lineName': 'Ligne',
+    'review.sum': 'Somme',
+    'review.payout': 'Gain',
+    'workspace.title': 'Espace de tickets',
+    'workspace.help': 'Gardez une grille pour chaque ticket joué à la suite, nommée par exemple d’après le personnage. Chaque ticket est calculé séparément selon les MGP espérés avec les gains choisis.',
+    'workspace.empty': 'Aucun ticket ouvert. Ajoutez-en un pour chaque ticket que vous allez jouer.',
+    'workspace.add': 'Ajouter un ticket',
+    'workspace.remove': 'Retirer',
+    'workspace.label': 'Nom du ticket',
+    'workspace.labelPlaceholder': 'Nom du personnage',
+    'workspace.waiting': 'Saisissez le numéro de départ',
+    'workspace.total': 'MGP espérés au total : {mgp} ({counted} tickets sur {count})',
+    'workspace.totalNone': 'Le total des MGP espérés apparaît dès qu’un ticket a son numéro de départ.',
+    'validation.ticketIncomplete': 'Saisissez les neuf numéros du ticket terminé',
+    'validation.revealOrder': 'Saisissez le numéro de départ et les trois numéros grattés dans l’ordre de révélation, chacun une fois',
+    'mgp.amount': '{amount} MGP',
+    'list.separator': ', '
+  }
+};
+
+// Language used when the browser prefers none of the supported ones
+const I18N_DEFAULT_LANGUAGE = 'en';
+
+// Where the manually chosen language is remembered
+const I18N_STORAGE_KEY = 'miniCactpot.language';
+
+// Active language; resolved on first use
+let currentLanguage = null;
+
+// Callbacks run after the language changes
+const languageChangeListeners = new Set();
+
+/**
+ * Localization utility class
+ */
+class I18n {
+  /**
+   * Gets the supported languages
+   * @returns {Array} Array of objects containing code and name (in that language)
+   */
+  static getLanguages() {
+    return Object.keys(I18N_CATALOGS).map(code => ({ code, name: I18N_CATALOGS[code]['language.name'] }));
+  }
+
+  /**
+   * Checks whether a language has a catalog
+   * @param {string} code - Language code, e.g. "ja"
+   * @returns {boolean} True if the language is supported
+   */
+  static isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(I18N_CATALOGS, code);
+  }
+
+  /**
+   * Picks the first supported language from the browser's preferences
+   * Only browsers are asked; the command line stays in English
+   * @param {Array} [preferred] - Language tags in order of preference (navigator.languages by default)
+   * @returns {string} Supported language code
+   */
+  static detectLanguage(preferred) {
+    if (!preferred) {
+      const browser = typeof window !== 'undefined' && window.navigator;
+      preferred = browser ? (browser.languages || [browser.language]) : [];
+    }
+
+    const match = preferred
+      .filter(Boolean)
+      .map(tag => tag.toLowerCase().split('-')[0])
+      .find(code => this.isSupported(code));
+    return match || I18N_DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Gets the manually chosen language
+   * @returns {string|null} Language code, or null to follow the browser
+   */
+  static getPreference() {
+    try {
+      const code = window.localStorage.getItem(I18N_STORAGE_KEY);
+      return code && this.isSupported(code) ? code : null;
+    } catch (error) {
+      // No window (Node) or storage blocked
+      return null;
+    }
+  }
+
+  /**
+   * Remembers a manually chosen language and switches to it
+   * @param {string|null} code - Language code, or null to follow the browser again
+   */
+  static setPreference(code) {
+    try {
+      if (code) {
+        window.localStorage.setItem(I18N_STORAGE_KEY, code);
+      } else {
+        window.localStorage.removeItem(I18N_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not save the language choice:', error.message);
+    }
+    this.setLanguage(code || this.detectLanguage());
+  }
+
+  /**
+   * Gets the active language, from the saved choice or the browser
+   * @returns {string} Language code
+   */
+  static getLanguage() {
+    if (currentLanguage === null) {
+      currentLanguage = this.getPreference() || this.detectLanguage();
+    }
+    return currentLanguage;
+  }
+
+  /**
+   * Switches the active language for this page without saving it
+   * @param {string} code - Language code
+   * @throws {Error} If the language is not supported
+   */
+  static setLanguage(code) {
+    if (!this.isSupported(code)) {
+      throw new Error(`Unsupported language: ${code}`);
+    }
+    if (code === currentLanguage) {
+      return;
+    }
+
+    currentLanguage = code;
+    languageChangeListeners.forEach(listener => listener(code));
+  }
+
+  /**
+   * Runs a callback whenever the language changes
+   * @param {Function} listener - Called with the new language code
+   */
+  static addChangeListener(listener) {
+    languageChangeListeners.add(listener);
+  }
+
+  /**
+   * Stops running a callback added with addChangeListener
+   * @param {Function} listener - The callback
+   */
+  static removeChangeListener(listener) {
+    languageChangeListeners.delete(listener);
+  }
+
+  /**
+   * Gets the locale numbers and dates are formatted for
+   * The browser's regional variant is kept when it matches the active language (e.g. fr-CA)
+   * @returns {string} BCP 47 locale tag
+   */
+  static getLocale() {
+    const language = this.getLanguage();
+    const browser = typeof window !== 'undefined' && window.navigator;
+    const tag = browser && browser.language;
+    return tag && tag.toLowerCase().split('-')[0] === language ? tag : language;
+  }
+
+  /**
+   * Translates a message
+   * @param {string} key - Message key
+   * @param {Object} [params] - Values for the message's {name} placeholders
+   * @returns {string} The message in the active language, English if it has none, or the key
+   */
+  static t(key, params = {}) {
+    const catalog = I18N_CATALOGS[this.getLanguage()];
+    const message = catalog[key] !== undefined ? catalog[key] : I18N_CATALOGS[I18N_DEFAULT_LANGUAGE][key];
+    if (message === undefined) {
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      (params[name] !== undefined ? String(params[name]) : placeholder));
+  }
+
+  /**
+   * Formats a number with the active locale's separators
+   * @param {number} value - The number
+   * @param {number} [fractionDigits=0] - Digits after the decimal point
+   * @returns {string} Formatted number
+   */
+  static formatNumber(value, fractionDigits = 0) {
+    return new Intl.NumberFormat(this.getLocale(), {
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+  }
+
+  /**
+   * Formats an MGP amount, e.g. "1,234 MGP" or "1.234 MGP"
+   * @param {number} value - Amount in MGP
+   * @returns {string} Formatted amount with its unit
+   */
+  static formatMgp(value) {
+    return this.t('mgp.amount', { amount: this.formatNumber(value) });
+  }
+
+  /**
+   * Formats a probability as a percentage
+   * @param {number} probability - Probability from 0 to 1
+   * @param {number} [fractionDigits=1] - Digits after the decimal point
+   * @returns {string} Formatted percentage
+   */
+  static formatPercent(probability, fractionDigits = 1) {
+    return new Intl.NumberFormat(this.getLocale(), {
+      style: 'percent',
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(probability);
+  }
+
+  /**
+   * Formats an objective score the way formatObjectiveScore does, in the active locale
+   * @param {number} score - Expected score from calculateBestOptions or findBestCellsToReveal
+   * @param {Object} objective - Objective from createObjective
+   * @returns {string} MGP for expected value, a percentage for chances, or the utility value
+   */
+  static formatObjectiveScore(score, objective) {
+    switch (objective.id) {
+      case 'jackpot':
+      case 'threshold':
+        return this.formatPercent(score);
+      case 'utility':
+        return this.formatNumber(score, 1);
+      default:
+        return this.formatNumber(score);
+    }
+  }
+
+  /**
+   * Gets the name of a line
+   * @param {number} index - Line index as used by calculateBestOptions (0-7)
+   * @returns {string} Translated line name
+   */
+  static getLineName(index) {
+    return this.t(`line.${index}`);
+  }
+
+  /**
+   * Gets every line name, in the order of calculateBestOptions().optionNames
+   * @returns {Array} Translated line names
+   */
+  static getLineNames() {
+    return [0, 1, 2, 3, 4, 5, 6, 7].map(index => this.getLineName(index));
+  }
+
+  /**
+   * Gets the label of an objective
+   * @param {Object} objective - Objective from createObjective
+   * @returns {string} Translated label
+   */
+  static getObjectiveLabel(objective) {
+    const params = objective.threshold !== undefined ? { mgp: this.formatMgp(objective.threshold) } : {};
+    return this.t(`objective.${objective.id}.label`, params);
+  }
+
+  /**
+   * Joins items into a list with the active language's separator
+   * @param {Array} items - Strings to join
+   * @returns {string} The list
+   */
+  static formatList(items) {
+    return items.join(this.t('list.separator'));
+  }
+
+  /**
+   * Translates marked-up elements: data-i18n sets the text, and data-i18n-title,
+   * data-i18n-aria-label and data-i18n-placeholder set those attributes.
+   * Placeholders are filled from a JSON data-i18n-params attribute.
+   * @param {Document|ShadowRoot|Element} root - Where to look for marked-up elements
+   */
+  static translatePage(root) {
+    const attributes = { 'data-i18n-title': 'title', 'data-i18n-aria-label': 'aria-label', 'data-i18n-placeholder': 'placeholder' };
+    const selector = ['[data-i18n]', ...Object.keys(attributes).map(name => `[${name}]`)].join(',');
+
+    root.querySelectorAll(selector).forEach(element => {
+      const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+      if (element.dataset.i18n) {
+        element.textContent = this.t(element.dataset.i18n, params);
+      }
+      Object.entries(attributes).forEach(([source, target]) => {
+        const key = element.getAttribute(source);
+        if (key) {
+          element.setAttribute(target, this.t(key, params));
+        }
+      });
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
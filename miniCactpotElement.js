@@ -0,0 +1,576 @@
+/**
+ * Mini Cactpot Element Module for Mini Cactpot Calculator
+ * Defines <mini-cactpot>, a self-contained calculator in shadow DOM for embedding on other pages.
+ * Any number of them can appear on one page; each keeps its own board and solver.
+ *
+ * Needs i18n.js, validation.js, payoutTables.js, boardNotation.js, strategyTableData.js,
+ * strategyTable.js, gameLogic.js and solverClient.js loaded first; other sites embed
+ * miniCactpotEmbed.js instead, which bundles them (see buildEmbed.js). Text follows the
+ * language chosen through I18n. Images and
+ * solverWorker.js are found next to this script.
+ *
+ * Attributes: board (board notation, e.g. "1..5...9."), objective (ev, jackpot, threshold
+ * or utility), threshold (target MGP for the threshold objective), theme (light or dark)
+ * Events: board-change, suggestion-change and result-change
+ */
+
+// Directory this script was loaded from, for its images and the solver worker
+const MINI_CACTPOT_BASE_URL = (typeof document !== 'undefined' && document.currentScript)
+  ? document.currentScript.src
+  : (typeof location !== 'undefined' ? location.href : '');
+
+// Numbers revealed before the line is chosen
+const MINI_CACTPOT_MAX_INPUTS = 4;
+
+// Line indices as used by calculateBestOptions, laid out as their arrows appear
+const MINI_CACTPOT_TOP_ARROWS = [
+  { line: 6, className: 'diag-left-arrow' },
+  { line: 3, className: 'down-arrow' },
+  { line: 4, className: 'down-arrow' },
+  { line: 5, className: 'down-arrow' },
+  { line: 7, className: 'diag-right-arrow' }
+];
+
+/**
+ * Builds the shadow DOM markup
+ * @param {string} baseUrl - URL the asset paths are resolved against
+ * @returns {string} Style and markup for the shadow root
+ */
+function buildMiniCactpotTemplate(baseUrl) {
+  const asset = name => new URL(`assets/${name}`, baseUrl).href;
+
+  const topArrows = MINI_CACTPOT_TOP_ARROWS
+    .map(arrow => `<td class="arrow ${arrow.className}" data-line="${arrow.line}" part="arrow"></td>`)
+    .join('');
+  const rows = [0, 1, 2].map(row => {
+    const cells = [0, 1, 2].map(column => {
+      const index = row * 3 + column;
+      return `<td><input type="text" inputmode="numeric" data-index="${index}" part="cell"
+        data-i18n-aria-label="cell.label" data-i18n-params='{"row":${row + 1},"column":${column + 1}}'></td>`;
+    }).join('');
+    return `<tr><td class="arrow right-arrow" data-line="${row}" part="arrow"></td>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <style>
+      :host {
+        --mini-cactpot-text: #2d2d2d;
+        --mini-cactpot-number: #863030;
+        --mini-cactpot-highlight: #68aec5;
+        --mini-cactpot-ticket: rgba(0, 0, 0, 0.5);
+        display: inline-flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 8px;
+        font-family: "Oswald", sans-serif;
+        color: var(--mini-cactpot-text);
+      }
+      :host([theme="dark"]) {
+        --mini-cactpot-text: #e6e6e6;
+        --mini-cactpot-ticket: rgba(0, 0, 0, 0.8);
+      }
+      :host([hidden]) {
+        display: none;
+      }
+      .ticket {
+        padding: 8px 16px;
+        background-color: var(--mini-cactpot-ticket);
+        border-radius: 10px;
+        box-shadow: 0 0 10px 0 rgba(0, 0, 0, 0.668);
+      }
+      .arrow {
+        width: 32px;
+        height: 32px;
+        padding: 0;
+        text-align: center;
+        background-size: contain;
+        background-repeat: no-repeat;
+        background-position: center;
+      }
+      .down-arrow { background-image: url('${asset('cacpot_arrow_down.png')}'); }
+      .right-arrow { background-image: url('${asset('cacpot_arrow_right.png')}'); }
+      .diag-left-arrow { background-image: url('${asset('cacpot_arrow_diag_left.png')}'); }
+      .diag-right-arrow { background-image: url('${asset('cacpot_arrow_diag_right.png')}'); }
+      .arrow.suggested {
+        border-radius: 50%;
+        box-shadow: inset 0 0 10px 2px var(--mini-cactpot-highlight);
+      }
+      .arrow-ev {
+        font-size: 11px;
+        color: white;
+        text-shadow: 0 0 3px black, 0 0 3px black;
+      }
+      input {
+        width: 56px;
+        height: 56px;
+        padding: 0;
+        text-align: center;
+        font-family: inherit;
+        font-size: 30px;
+        color: var(--mini-cactpot-number);
+        background: transparent url('${asset('hidden_cactpot_node.png')}') center / contain no-repeat;
+        border: none;
+        border-radius: 50%;
+        caret-color: transparent;
+      }
+      input:focus {
+        outline: none;
+        box-shadow: inset 0 0 0 3px var(--mini-cactpot-number);
+      }
+      input.filled {
+        background-image: url('${asset('shown_cactpot_node.png')}');
+      }
+      input.suggested {
+        box-shadow: inset 0 0 10px 2px var(--mini-cactpot-highlight), inset 0 0 20px 5px rgba(104, 174, 197, 0.8);
+      }
+      input:disabled {
+        cursor: not-allowed;
+      }
+      .result {
+        min-height: 3em;
+        text-align: center;
+        font-size: 16px;
+      }
+      .result.calculating {
+        opacity: 0.5;
+      }
+      .error {
+        color: var(--mini-cactpot-number);
+      }
+      button {
+        font-family: inherit;
+        font-size: 14px;
+        padding: 2px 16px;
+        border-radius: 100px;
+        cursor: pointer;
+      }
+    </style>
+    <div class="ticket" part="ticket">
+      <table>
+        <tr>${topArrows}</tr>
+        ${rows}
+      </table>
+    </div>
+    <button type="button" class="reset" part="reset" data-i18n="button.reset"></button>
+    <div class="result" part="result" aria-live="polite">
+      <div class="error"></div>
+      <div class="best-options"></div>
+      <div class="expected-value"></div>
+    </div>
+  `;
+}
+
+// Custom elements only exist in browsers; in Node the class is still exported for reuse
+const MiniCactpotBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+/**
+ * <mini-cactpot> custom element class
+ */
+class MiniCactpotElement extends MiniCactpotBase {
+  static get observedAttributes() {
+    return ['board', 'objective', 'threshold', 'theme'];
+  }
+
+  constructor() {
+    super();
+    this.currentBoard = Array(9).fill(null);
+    this.objectiveSettings = createObjective('ev');
+    this.currentPayoutTable = PayoutTables.getDefaultTable();
+    this.solverClient = null;
+    this.lastResult = null;
+    this.lastSuggestion = null;
+    this.boardError = null;
+    this.languageListener = () => {
+      I18n.translatePage(this.shadowRoot);
+      this.update();
+    };
+
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = buildMiniCactpotTemplate(MINI_CACTPOT_BASE_URL);
+    this.initializeElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Initialize shadow DOM element references
+   */
+  initializeElements() {
+    this.inputs = Array.from(this.shadowRoot.querySelectorAll('input'));
+    this.arrows = {};
+    this.shadowRoot.querySelectorAll('.arrow').forEach(arrow => {
+      this.arrows[arrow.dataset.line] = arrow;
+    });
+    this.resetButton = this.shadowRoot.querySelector('.reset');
+    this.resultDiv = this.shadowRoot.querySelector('.result');
+    this.errorDiv = this.shadowRoot.querySelector('.error');
+    this.bestOptionsDiv = this.shadowRoot.querySelector('.best-options');
+    this.expectedValueDiv = this.shadowRoot.querySelector('.expected-value');
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.resetButton.addEventListener('click', () => {
+      this.reset();
+      this.emit('board-change', { board: this.board });
+    });
+
+    this.inputs.forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (!Validation.isAllowedKey(e)) {
+          e.preventDefault();
+        }
+      });
+      input.addEventListener('input', () => this.handleInput(input));
+    });
+  }
+
+  connectedCallback() {
+    I18n.translatePage(this.shadowRoot);
+    I18n.addChangeListener(this.languageListener);
+    if (!this.solverClient) {
+      this.solverClient = new SolverClient(new URL('solverWorker.js', MINI_CACTPOT_BASE_URL).href);
+    }
+    this.update();
+  }
+
+  disconnectedCallback() {
+    I18n.removeChangeListener(this.languageListener);
+    if (this.solverClient) {
+      this.solverClient.terminate();
+      this.solverClient = null;
+    }
+  }
+
+  /**
+   * @param {string} name - Name of the changed attribute
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
+    }
+
+    if (name === 'board') {
+      try {
+        this.currentBoard = newValue ? BoardNotation.parse(newValue) : Array(9).fill(null);
+        this.boardError = null;
+      } catch (error) {
+        // Shown in place of results until a valid board is set
+        this.currentBoard = Array(9).fill(null);
+        this.boardError = error.message;
+      }
+      this.renderBoard();
+    } else if (name === 'objective' || name === 'threshold') {
+      this.objectiveSettings = this.readObjective();
+    } else {
+      // The theme is applied by the :host([theme]) styles
+      return;
+    }
+
+    if (this.isConnected) {
+      this.update();
+    }
+  }
+
+  /**
+   * Current board as an array of 9 values (null for hidden cells)
+   * @returns {Array} Copy of the board
+   */
+  get board() {
+    return this.currentBoard.slice();
+  }
+
+  /**
+   * Replace the board
+   * @param {Array|string} value - Array of 9 values (null for hidden cells) or board notation
+   * @throws {Error} If the value does not describe a board
+   */
+  set board(value) {
+    const board = typeof value === 'string' ? BoardNotation.parse(value) : value;
+    if (!Array.isArray(board) || board.length !== 9 ||
+      board.some(cell => cell !== null && !Validation.isValidNumber(cell))) {
+      throw new Error('Board must be an array of 9 values, each 1-9 or null');
+    }
+
+    this.currentBoard = board.map(cell => (cell === null ? null : parseInt(cell, 10)));
+    this.boardError = null;
+    this.renderBoard();
+    if (this.isConnected) {
+      this.update();
+    }
+  }
+
+  /**
+   * @returns {string} Id of the objective the calculator optimizes for
+   */
+  get objective() {
+    return this.objectiveSettings.id;
+  }
+
+  /**
+   * @param {string} value - One of ev, jackpot, threshold or utility
+   */
+  set objective(value) {
+    this.setAttribute('objective', value);
+  }
+
+  /**
+   * @returns {string} Colour theme, light or dark
+   */
+  get theme() {
+    return this.getAttribute('theme') === 'dark' ? 'dark' : 'light';
+  }
+
+  /**
+   * @param {string} value - Colour theme, light or dark
+   */
+  set theme(value) {
+    this.setAttribute('theme', value);
+  }
+
+  /**
+   * @returns {Object} Payout table the calculator pays out by
+   */
+  get payoutTable() {
+    return this.currentPayoutTable;
+  }
+
+  /**
+   * @param {Object} value - Payout table from PayoutTables
+   * @throws {Error} If the value is not a payout table
+   */
+  set payoutTable(value) {
+    const validation = PayoutTables.validateTable(value);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    this.currentPayoutTable = value;
+    // The threshold is clamped to the table's payouts
+    this.objectiveSettings = this.readObjective();
+    if (this.isConnected) {
+      this.update();
+    }
+  }
+
+  /**
+   * @returns {Object|null} Last result of calculateBestOptions, or null while there is none
+   */
+  get result() {
+    return this.lastResult;
+  }
+
+  /**
+   * @returns {Object|null} Last result of findBestCellsToReveal, or null while there is none
+   */
+  get suggestion() {
+    return this.lastSuggestion;
+  }
+
+  /**
+   * Clear the board
+   */
+  reset() {
+    this.board = Array(9).fill(null);
+  }
+
+  /**
+   * Build the objective from the objective and threshold attributes
+   * @returns {Object} Objective from createObjective; expected MGP if the attribute is unknown
+   */
+  readObjective() {
+    const id = this.getAttribute('objective') || 'ev';
+    const threshold = parseInt(this.getAttribute('threshold'), 10);
+    try {
+      return createObjective(id, isNaN(threshold)
+        ? { payoutTable: this.currentPayoutTable }
+        : { threshold, payoutTable: this.currentPayoutTable });
+    } catch (error) {
+      console.error('Invalid objective attribute:', error);
+      return createObjective('ev');
+    }
+  }
+
+  /**
+   * Clean a typed value and apply it to the board
+   * @param {HTMLInputElement} input - The edited cell
+   */
+  handleInput(input) {
+    // Keep only the last digit typed, so a number can be replaced by typing over it
+    const lastDigit = input.value.replace(/[^1-9]/g, '').slice(-1);
+    input.value = lastDigit;
+
+    const index = parseInt(input.dataset.index, 10);
+    this.currentBoard[index] = lastDigit === '' ? null : parseInt(lastDigit, 10);
+    this.boardError = null;
+    this.renderBoard();
+    this.update();
+    this.emit('board-change', { board: this.board });
+  }
+
+  /**
+   * Show the board in the cells, disabling empty cells once all numbers are revealed
+   */
+  renderBoard() {
+    const filledCount = this.currentBoard.filter(value => value !== null).length;
+    this.inputs.forEach((input, index) => {
+      const value = this.currentBoard[index];
+      input.value = value === null ? '' : String(value);
+      input.classList.toggle('filled', value !== null);
+      input.disabled = value === null && filledCount >= MINI_CACTPOT_MAX_INPUTS;
+    });
+  }
+
+  /**
+   * Recalculate suggestions or results for the current board
+   */
+  update() {
+    if (!this.solverClient) {
+      return;
+    }
+    this.solverClient.cancelAll();
+    this.clearResults();
+    if (this.boardError) {
+      this.errorDiv.textContent = this.boardError;
+      return;
+    }
+
+    const board = this.board;
+    const validation = Validation.validateBoard(board);
+    if (!validation.isValid) {
+      this.errorDiv.textContent = validation.errors.join('. ');
+      return;
+    }
+    if (validation.filledCount > MINI_CACTPOT_MAX_INPUTS) {
+      this.errorDiv.textContent = I18n.t('error.tooMany', { max: MINI_CACTPOT_MAX_INPUTS });
+      return;
+    }
+
+    if (validation.filledCount === MINI_CACTPOT_MAX_INPUTS) {
+      this.solve('calculateBestOptions', board, this.objectiveSettings, this.currentPayoutTable)
+        .then(result => {
+          this.lastResult = result;
+          this.displayResult(result);
+          this.emit('result-change', result);
+        })
+        .catch(error => this.handleSolverError(error));
+    } else if (validation.filledCount > 0) {
+      this.solve('findBestCellsToReveal', board, this.objectiveSettings, this.currentPayoutTable)
+        .then(suggestion => {
+          this.lastSuggestion = suggestion;
+          suggestion.bestCells.forEach(index => this.inputs[index].classList.add('suggested'));
+          this.emit('suggestion-change', suggestion);
+        })
+        .catch(error => this.handleSolverError(error));
+    }
+  }
+
+  /**
+   * Run a game logic calculation, dimming the result meanwhile
+   * @param {string} method - Name of the gameLogic function
+   * @param {...*} args - Arguments for the function
+   * @returns {Promise} Resolves with the function's result
+   */
+  solve(method, ...args) {
+    this.resultDiv.classList.add('calculating');
+    const settle = () => {
+      if (this.solverClient && !this.solverClient.hasPending()) {
+        this.resultDiv.classList.remove('calculating');
+      }
+    };
+
+    return this.solverClient.request(method, ...args).then(
+      result => {
+        settle();
+        return result;
+      },
+      error => {
+        settle();
+        throw error;
+      });
+  }
+
+  /**
+   * Report a failed calculation; cancelled requests were superseded and are ignored
+   * @param {Error} error - Error the request was rejected with
+   */
+  handleSolverError(error) {
+    if (SolverClient.isCancelled(error)) {
+      return;
+    }
+    console.error('Error during calculation:', error);
+    this.errorDiv.textContent = I18n.t('error.calculation');
+  }
+
+  /**
+   * Show the best lines, expected value and every line's score on its arrow
+   * @param {Object} result - Result object from calculateBestOptions
+   */
+  displayResult(result) {
+    const lines = formatBestOptions(result.bestOptions, I18n.getLineNames(), I18n.t('list.separator'));
+    const expectedValue = I18n.t('result.expectedValue', { value: I18n.formatMgp(result.maxEV) });
+    this.bestOptionsDiv.textContent = I18n.t('result.bestOptions', { lines });
+    this.expectedValueDiv.textContent = result.objective.id === 'ev'
+      ? expectedValue
+      : `${expectedValue} · ${I18n.formatObjectiveScore(result.maxScore, result.objective)}`;
+
+    const bestKeys = result.bestOptions.map(cells => cells.join(','));
+    result.rankedOptions.forEach(option => {
+      const arrow = this.arrows[option.index];
+      const label = document.createElement('span');
+      label.className = 'arrow-ev';
+      label.textContent = I18n.formatObjectiveScore(option.score, result.objective);
+      arrow.appendChild(label);
+      arrow.title = I18n.t('lineChoice.expected', {
+        line: I18n.getLineName(option.index),
+        mgp: I18n.formatMgp(option.ev)
+      });
+      arrow.classList.toggle('suggested', bestKeys.includes(option.cells.join(',')));
+    });
+  }
+
+  /**
+   * Clear results, suggestions and errors, telling listeners that earlier ones no longer apply
+   */
+  clearResults() {
+    this.errorDiv.textContent = '';
+    this.bestOptionsDiv.textContent = '';
+    this.expectedValueDiv.textContent = '';
+    this.inputs.forEach(input => input.classList.remove('suggested'));
+    Object.values(this.arrows).forEach(arrow => {
+      arrow.textContent = '';
+      arrow.removeAttribute('title');
+      arrow.classList.remove('suggested');
+    });
+
+    if (this.lastResult) {
+      this.lastResult = null;
+      this.emit('result-change', null);
+    }
+    if (this.lastSuggestion) {
+      this.lastSuggestion = null;
+      this.emit('suggestion-change', null);
+    }
+  }
+
+  /**
+   * Fire an event that crosses the shadow boundary
+   * @param {string} type - Event name
+   * @param {*} detail - Event detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('mini-cactpot')) {
+  customElements.define('mini-cactpot', MiniCactpotElement);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MiniCactpotElement;
+}
@@ -0,0 +1,111 @@
+/**
+ * Offline Support Module for Mini Cactpot Calculator
+ * Registers serviceWorker.js so the app works offline, and offers to reload
+ * when a new version has been downloaded
+ */
+
+/**
+ * Offline support and update prompt class
+ */
+class OfflineSupport {
+  /**
+   * @param {string} [workerUrl] - Service worker script URL
+   */
+  constructor(workerUrl = 'serviceWorker.js') {
+    this.workerUrl = workerUrl;
+    this.waitingWorker = null;
+    this.reloading = false;
+    this.initializeElements();
+    this.setupEventListeners();
+    this.register();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.promptDiv = document.getElementById('update-prompt');
+    this.reloadButton = document.getElementById('update-reload-btn');
+    this.dismissButton = document.getElementById('update-dismiss-btn');
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.reloadButton.addEventListener('click', () => this.applyUpdate());
+    this.dismissButton.addEventListener('click', () => {
+      this.promptDiv.hidden = true;
+    });
+  }
+
+  /**
+   * Register the service worker where the browser supports it
+   * Pages opened from file:// cannot use service workers and simply stay online-only
+   */
+  register() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+      return;
+    }
+
+    // The new worker took over after the user accepted the update: load the new version
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.reloading) {
+        return;
+      }
+      this.reloading = true;
+      window.location.reload();
+    });
+
+    navigator.serviceWorker.register(this.workerUrl)
+      .then(registration => {
+        // An update may have finished downloading during an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          this.showPrompt(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => this.trackInstall(registration.installing));
+      })
+      .catch(error => console.error('Service worker registration failed:', error));
+  }
+
+  /**
+   * Watch a newly found worker and prompt once it is installed
+   * The first install is not an update, since no worker controls the page yet
+   * @param {ServiceWorker} worker - The installing worker
+   */
+  trackInstall(worker) {
+    if (!worker) {
+      return;
+    }
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        this.showPrompt(worker);
+      }
+    });
+  }
+
+  /**
+   * Show the update prompt for a waiting worker
+   * @param {ServiceWorker} worker - The installed worker waiting to take over
+   */
+  showPrompt(worker) {
+    this.waitingWorker = worker;
+    this.promptDiv.hidden = false;
+  }
+
+  /**
+   * Let the waiting worker take over; the page reloads on controllerchange
+   */
+  applyUpdate() {
+    this.promptDiv.hidden = true;
+    if (this.waitingWorker) {
+      this.waitingWorker.postMessage({ type: 'skip-waiting' });
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineSupport;
+}
@@ -0,0 +1,225 @@
+/**
+ * Payout Tables Module for Mini Cactpot Calculator
+ * Holds the sum-to-MGP payout tables used by the calculations
+ */
+
+/**
+ * The in-game payout table
+ */
+const STANDARD_PAYOUT_TABLE = Object.freeze({
+  name: 'standard',
+  label: 'Standard',
+  payouts: Object.freeze({
+    6: 10000,
+    7: 36,
+    8: 720,
+    9: 360,
+    10: 80,
+    11: 252,
+    12: 108,
+    13: 72,
+    14: 54,
+    15: 180,
+    16: 72,
+    17: 180,
+    18: 119,
+    19: 36,
+    20: 306,
+    21: 1080,
+    22: 144,
+    23: 1800,
+    24: 3600
+  })
+});
+
+// Registered tables by name, in registration order
+const registeredPayoutTables = new Map([[STANDARD_PAYOUT_TABLE.name, STANDARD_PAYOUT_TABLE]]);
+
+/**
+ * Payout table utility class
+ */
+class PayoutTables {
+  /**
+   * Gets the in-game payout table
+   * @returns {Object} The standard table
+   */
+  static getDefaultTable() {
+    return STANDARD_PAYOUT_TABLE;
+  }
+
+  /**
+   * Validates the shape of a payout table
+   * @param {Object} table - Table with name, optional label, and payouts for every sum from 6 to 24
+   * @returns {Object} Validation result with isValid and errors
+   */
+  static validateTable(table) {
+    const errors = [];
+
+    if (!table || typeof table !== 'object') {
+      return { isValid: false, errors: ['Payout table must be an object'] };
+    }
+
+    if (typeof table.name !== 'string' || table.name.trim() === '') {
+      errors.push('Payout table needs a non-empty name');
+    }
+
+    if (table.label !== undefined && typeof table.label !== 'string') {
+      errors.push('Payout table label must be a string');
+    }
+
+    if (!table.payouts || typeof table.payouts !== 'object') {
+      errors.push('Payout table needs a payouts object');
+    } else {
+      // Every sum from 6 to 24 needs a payout, and nothing else is allowed
+      for (let total = 6; total <= 24; total++) {
+        const payout = table.payouts[total];
+        if (payout === undefined) {
+          errors.push(`Missing payout for sum ${total}`);
+        } else if (typeof payout !== 'number' || !Number.isFinite(payout) || payout < 0) {
+          errors.push(`Payout for sum ${total} must be a non-negative number`);
+        }
+      }
+
+      const extraKeys = Object.keys(table.payouts).filter(key => {
+        const total = Number(key);
+        return !Number.isInteger(total) || total < 6 || total > 24;
+      });
+      if (extraKeys.length > 0) {
+        errors.push(`Unexpected payout keys: ${extraKeys.join(', ')}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Parses named payout tables from JSON
+   * Accepts a single table, an array of tables, or an object with a tables array
+   * @param {string} json - JSON text
+   * @returns {Array} Array of validated, frozen tables
+   * @throws {Error} If the JSON is malformed or any table is invalid
+   */
+  static parseTables(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid payout table JSON: ${error.message}`);
+    }
+
+    let tables;
+    if (Array.isArray(parsed)) {
+      tables = parsed;
+    } else if (parsed && Array.isArray(parsed.tables)) {
+      tables = parsed.tables;
+    } else {
+      tables = [parsed];
+    }
+
+    return tables.map((table, index) => {
+      const validation = this.validateTable(table);
+      if (!validation.isValid) {
+        const name = table && typeof table.name === 'string' ? table.name : `#${index + 1}`;
+        throw new Error(`Payout table ${name}: ${validation.errors.join('; ')}`);
+      }
+
+      const payouts = {};
+      for (let total = 6; total <= 24; total++) {
+        payouts[total] = table.payouts[total];
+      }
+      return Object.freeze({
+        name: table.name,
+        label: table.label || table.name,
+        payouts: Object.freeze(payouts)
+      });
+    });
+  }
+
+  /**
+   * Registers a table so it can be looked up by name
+   * @param {Object} table - A validated table
+   * @throws {Error} If the table would replace the standard table
+   */
+  static registerTable(table) {
+    if (table.name === STANDARD_PAYOUT_TABLE.name) {
+      throw new Error(`The ${STANDARD_PAYOUT_TABLE.name} payout table cannot be replaced`);
+    }
+    registeredPayoutTables.set(table.name, table);
+  }
+
+  /**
+   * Parses and registers every table in a JSON document
+   * @param {string} json - JSON text
+   * @returns {Array} Array of the registered tables
+   */
+  static loadTables(json) {
+    const tables = this.parseTables(json);
+    tables.forEach(table => this.registerTable(table));
+    return tables;
+  }
+
+  /**
+   * Gets a registered table by name
+   * @param {string} name - Table name
+   * @returns {Object|null} The table, or null if no table has that name
+   */
+  static getTable(name) {
+    return registeredPayoutTables.get(name) || null;
+  }
+
+  /**
+   * Lists every registered table
+   * @returns {Array} Array of tables, standard table first
+   */
+  static listTables() {
+    return Array.from(registeredPayoutTables.values());
+  }
+
+  /**
+   * Gets the highest payout in a table (the jackpot)
+   * @param {Object} table - Payout table
+   * @returns {number} The jackpot payout
+   */
+  static getJackpotPayout(table) {
+    return Math.max(...Object.values(table.payouts));
+  }
+
+  /**
+   * Gets the lowest payout in a table
+   * @param {Object} table - Payout table
+   * @returns {number} The lowest payout
+   */
+  static getLowestPayout(table) {
+    return Math.min(...Object.values(table.payouts));
+  }
+
+  /**
+   * Builds a key that identifies a table by its payouts, for caching results
+   * @param {Object} table - Payout table
+   * @returns {string} The cache key
+   */
+  static getTableKey(table) {
+    const payouts = [];
+    for (let total = 6; total <= 24; total++) {
+      payouts.push(table.payouts[total]);
+    }
+    return payouts.join(',');
+  }
+
+  /**
+   * Checks whether a table pays the same as the in-game table
+   * @param {Object} table - Payout table
+   * @returns {boolean} True if every payout matches the standard table
+   */
+  static isStandardTable(table) {
+    return table === STANDARD_PAYOUT_TABLE || this.getTableKey(table) === this.getTableKey(STANDARD_PAYOUT_TABLE);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PayoutTables;
+}
@@ -0,0 +1,84 @@
+/**
+ * Checks for the payout tables and the calculations that take them
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PayoutTables = require('./payoutTables.js');
+const { setDebugLogging, gilValue, calculateLineEVs } = require('./gameLogic.js');
+
+setDebugLogging(false);
+
+/**
+ * Builds a table paying the standard payouts times a factor
+ * @param {string} name - Table name
+ * @param {number} factor - Multiplier for every payout
+ * @returns {Object} Payout table as it would appear in a JSON file
+ */
+function scaledTable(name, factor) {
+  const payouts = {};
+  Object.entries(PayoutTables.getDefaultTable().payouts).forEach(([total, payout]) => {
+    payouts[total] = payout * factor;
+  });
+  return { name, payouts };
+}
+
+test('the default table is the in-game table', () => {
+  const table = PayoutTables.getDefaultTable();
+  assert.strictEqual(table.name, 'standard');
+  assert.strictEqual(PayoutTables.getJackpotPayout(table), 10000);
+  assert.strictEqual(PayoutTables.getLowestPayout(table), 36);
+  assert.ok(PayoutTables.isStandardTable(table));
+});
+
+test('validateTable reports missing, negative and extra payouts', () => {
+  const table = scaledTable('broken', 1);
+  delete table.payouts[6];
+  table.payouts[7] = -1;
+  table.payouts[25] = 5;
+
+  const validation = PayoutTables.validateTable(table);
+  assert.strictEqual(validation.isValid, false);
+  assert.deepStrictEqual(validation.errors, [
+    'Missing payout for sum 6',
+    'Payout for sum 7 must be a non-negative number',
+    'Unexpected payout keys: 25'
+  ]);
+});
+
+test('parseTables accepts a table, an array or { tables } and labels by name', () => {
+  const table = scaledTable('double', 2);
+  [table, [table], { tables: [table] }].forEach(document => {
+    const [parsed] = PayoutTables.parseTables(JSON.stringify(document));
+    assert.strictEqual(parsed.label, 'double');
+    assert.strictEqual(parsed.payouts[6], 20000);
+    assert.ok(Object.isFrozen(parsed.payouts));
+  });
+});
+
+test('parseTables rejects malformed JSON and invalid tables', () => {
+  assert.throws(() => PayoutTables.parseTables('{'), /Invalid payout table JSON/);
+  assert.throws(() => PayoutTables.parseTables(JSON.stringify({ name: 'empty', payouts: {} })),
+    /Payout table empty: Missing payout for sum 6/);
+});
+
+test('loaded tables can be looked up but cannot replace the standard table', () => {
+  PayoutTables.loadTables(JSON.stringify(scaledTable('triple', 3)));
+  assert.strictEqual(PayoutTables.getTable('triple').payouts[24], 10800);
+  assert.deepStrictEqual(PayoutTables.listTables().map(table => table.name).slice(0, 1), ['standard']);
+  assert.strictEqual(PayoutTables.getTable('missing'), null);
+  assert.throws(() => PayoutTables.loadTables(JSON.stringify(scaledTable('standard', 2))), /cannot be replaced/);
+});
+
+test('calculations pay out by the table they are given', () => {
+  const [double] = PayoutTables.parseTables(JSON.stringify(scaledTable('double', 2)));
+  assert.strictEqual(gilValue(6), 10000);
+  assert.strictEqual(gilValue(6, double), 20000);
+
+  const board = [1, null, null, null, 5, null, null, null, 9];
+  const standardEVs = calculateLineEVs(board);
+  calculateLineEVs(board, double).forEach((ev, index) => {
+    assert.ok(Math.abs(ev - standardEVs[index] * 2) < 1e-9);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Practice Panel Module for Mini Cactpot Calculator
+ * Runs practice tickets on the main grid: grades every scratch and the line pick against the
+ * solver's best choice and shows the expected MGP lost, the payout and the running score
+ */
+
+// Grading is by expected MGP whatever goal is selected
+const PRACTICE_OBJECTIVE = createObjective('ev');
+
+/**
+ * Practice mode panel class
+ */
+class PracticePanel {
+  /**
+   * @param {PracticeSession} session - The practice session to play
+   * @param {SolverChannel} solverClient - Solver used to grade choices
+   * @param {Function} getPayoutTable - Returns the payout table new tickets use
+   * @param {Function} showBoard - Called with the board and line highlights to paint the grid
+   */
+  constructor(session, solverClient, getPayoutTable, showBoard) {
+    this.session = session;
+    this.solverClient = solverClient;
+    this.getPayoutTable = getPayoutTable;
+    this.showBoard = showBoard;
+    this.active = false;
+    this.grading = false;
+    this.initializeElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.panel = document.getElementById('practice-panel');
+    this.statusDiv = document.getElementById('practice-status');
+    this.stepsList = document.getElementById('practice-steps');
+    this.scoreDiv = document.getElementById('practice-score');
+    this.newTicketButton = document.getElementById('practice-new-btn');
+    this.resetScoreButton = document.getElementById('practice-reset-btn');
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.newTicketButton.addEventListener('click', () => this.start());
+    this.resetScoreButton.addEventListener('click', () => this.handleResetScore());
+    I18n.addChangeListener(() => {
+      if (this.active) {
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Deal a new ticket and show the panel
+   */
+  start() {
+    this.active = true;
+    this.grading = false;
+    this.session.start(this.getPayoutTable());
+    this.panel.hidden = false;
+    this.render();
+  }
+
+  /**
+   * Leave practice mode
+   */
+  stop() {
+    this.active = false;
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Scratch a cell of the practice ticket, grading the choice
+   * @param {number} cellIndex - Index of the clicked cell (0-8)
+   */
+  handleCellClick(cellIndex) {
+    const board = this.session.getBoard();
+    if (this.grading || this.session.getPhase() !== 'scratch' || board[cellIndex] !== null) {
+      return;
+    }
+
+    this.grade('gradeScratch', board, cellIndex, grade => this.session.scratch(cellIndex, grade));
+  }
+
+  /**
+   * Pick the final line of the practice ticket, grading the choice
+   * @param {number} lineIndex - Index of the clicked line (0-7)
+   */
+  handleLineClick(lineIndex) {
+    if (this.grading || this.session.getPhase() !== 'line') {
+      return;
+    }
+
+    this.grade('gradeLinePick', this.session.getBoard(), lineIndex,
+      grade => this.session.pickLine(lineIndex, grade.cells, grade));
+  }
+
+  /**
+   * Have the solver grade the player's choice, then make the move
+   * @param {string} method - gradeScratch or gradeLinePick
+   * @param {Array} board - Board the choice is made on
+   * @param {number} choice - Index of the chosen cell or line
+   * @param {Function} applyMove - Called with the grade to make the move
+   */
+  grade(method, board, choice, applyMove) {
+    this.grading = true;
+    const ticket = this.session.ticket;
+    this.solverClient.request(method, board, choice, PRACTICE_OBJECTIVE, this.session.payoutTable)
+      .then(result => {
+        // Practice may have ended, or a new ticket been dealt, while the solver worked
+        if (!this.active || this.session.ticket !== ticket) {
+          return;
+        }
+        applyMove(result);
+        this.render();
+      })
+      .catch(error => {
+        if (SolverClient.isCancelled(error)) {
+          return;
+        }
+        console.error('Error while grading practice move:', error);
+        this.statusDiv.textContent = I18n.t('error.calculation');
+      })
+      .finally(() => {
+        this.grading = false;
+      });
+  }
+
+  /**
+   * Redraw the grid, the instructions, the graded steps and the running score
+   */
+  render() {
+    const phase = this.session.getPhase();
+    const result = this.session.result;
+    this.showBoard(this.session.getBoard(), {
+      selectable: phase === 'line',
+      chosenLine: result ? result.line : null,
+      bestLines: result ? this.session.steps[this.session.steps.length - 1].best : []
+    });
+
+    if (phase === 'scratch') {
+      const scratches = this.session.steps.length;
+      this.statusDiv.textContent = I18n.t('practice.scratchPrompt', {
+        number: scratches + 1,
+        total: PRACTICE_SCRATCHES
+      });
+    } else if (phase === 'line') {
+      this.statusDiv.textContent = I18n.t('practice.linePrompt');
+    } else if (result) {
+      this.statusDiv.textContent = I18n.t(result.lost < 0.01 ? 'practice.resultPerfect' : 'practice.result', {
+        line: I18n.getLineName(result.line),
+        total: result.total,
+        payout: I18n.formatMgp(result.payout),
+        lost: I18n.formatMgp(result.lost)
+      });
+    }
+
+    this.stepsList.innerHTML = '';
+    this.session.steps.forEach(step => {
+      const item = document.createElement('li');
+      item.textContent = this.describeStep(step);
+      if (step.lost < 0.01) {
+        item.classList.add('best');
+      }
+      this.stepsList.appendChild(item);
+    });
+
+    this.renderScore();
+  }
+
+  /**
+   * Describe a graded step
+   * @param {Object} step - Step from the practice session
+   * @returns {string} Translated description
+   */
+  describeStep(step) {
+    const isScratch = step.type === 'scratch';
+    const choice = isScratch ? Explanation.getCellName(step.choice) : I18n.getLineName(step.choice);
+    const grade = step.lost < 0.01
+      ? I18n.t('practice.best')
+      : I18n.t('practice.lost', {
+        mgp: I18n.formatMgp(step.lost),
+        best: isScratch
+          ? step.best.map(index => Explanation.getCellName(index)).join(I18n.t('announce.separator'))
+          : I18n.formatList(step.best.map(index => I18n.getLineName(index)))
+      });
+    return I18n.t(isScratch ? 'practice.scratchStep' : 'practice.lineStep', { choice, grade });
+  }
+
+  /**
+   * Show the running score over every finished practice ticket
+   */
+  renderScore() {
+    const score = this.session.getScore();
+    if (score.tickets === 0) {
+      this.scoreDiv.textContent = I18n.t('practice.noScore');
+      return;
+    }
+
+    this.scoreDiv.textContent = I18n.t('practice.score', {
+      tickets: I18n.formatNumber(score.tickets),
+      perfect: I18n.formatNumber(score.perfectTickets),
+      lost: I18n.formatMgp(score.totalLost / score.tickets),
+      payout: I18n.formatMgp(score.totalPayout)
+    });
+  }
+
+  /**
+   * Clear the running score after confirmation
+   */
+  handleResetScore() {
+    if (!window.confirm(I18n.t('practice.confirmReset'))) {
+      return;
+    }
+
+    try {
+      this.session.resetScore();
+    } catch (error) {
+      console.error('Failed to reset practice score:', error);
+    }
+    this.renderScore();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PracticePanel;
+}
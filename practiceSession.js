@@ -0,0 +1,177 @@
+/**
+ * Practice Session Module for Mini Cactpot Calculator
+ * Plays simulated tickets: deals a hidden ticket, records each scratch and the line pick with
+ * the expected MGP it lost against the best choice, and keeps a running score in localStorage
+ */
+
+// Ticket dealing (loaded as a global script in the browser)
+const PracticeSimulator = (typeof module !== 'undefined' && module.exports)
+  ? require('./simulator.js')
+  : { dealTicket };
+
+// Payouts (loaded as a global script in the browser)
+const PracticeLogic = (typeof module !== 'undefined' && module.exports)
+  ? require('./gameLogic.js')
+  : { gilValue };
+
+// Number of cells scratched after the starting number
+const PRACTICE_SCRATCHES = 3;
+
+/**
+ * Practice session class backed by a Storage object (localStorage by default)
+ */
+class PracticeSession {
+  /**
+   * @param {Storage} [storage] - Where the running score is kept (localStorage if omitted)
+   * @param {string} [storageKey] - Key the score is stored under
+   * @param {Function} [rng] - Random number generator returning a float in [0, 1)
+   */
+  constructor(storage = null, storageKey = 'miniCactpot.practiceScore', rng = Math.random) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.rng = rng;
+    this.ticket = null;
+    this.board = null;
+    this.steps = [];
+    this.payoutTable = null;
+    this.result = null;
+  }
+
+  /**
+   * Gets the backing storage
+   * localStorage is only touched on use, since some browsers throw when it is unavailable
+   * @returns {Storage} The storage object
+   */
+  getStorage() {
+    return this.storage || window.localStorage;
+  }
+
+  /**
+   * Deals a new ticket with its starting number revealed
+   * @param {Object} payoutTable - Payout table the ticket pays out by
+   */
+  start(payoutTable) {
+    this.ticket = PracticeSimulator.dealTicket(this.rng);
+    this.board = new Array(9).fill(null);
+    this.board[this.ticket.startCell] = this.ticket.numbers[this.ticket.startCell];
+    this.steps = [];
+    this.payoutTable = payoutTable;
+    this.result = null;
+  }
+
+  /**
+   * Gets what the player has to do next
+   * @returns {string} 'scratch', 'line', 'done', or 'idle' before the first ticket
+   */
+  getPhase() {
+    if (!this.ticket) {
+      return 'idle';
+    }
+    if (this.result) {
+      return 'done';
+    }
+    const scratches = this.steps.filter(step => step.type === 'scratch').length;
+    return scratches < PRACTICE_SCRATCHES ? 'scratch' : 'line';
+  }
+
+  /**
+   * Gets the board as the player sees it
+   * @returns {Array} Copy of the board: the whole ticket once it is finished
+   */
+  getBoard() {
+    return this.result ? [...this.ticket.numbers] : [...this.board];
+  }
+
+  /**
+   * Scratches a cell
+   * @param {number} cellIndex - Index of a hidden cell (0-8)
+   * @param {Object} grade - Result from gradeScratch: lost and bestCells are kept
+   * @returns {number} The revealed number
+   * @throws {Error} If no scratch is due or the cell is already revealed
+   */
+  scratch(cellIndex, grade) {
+    if (this.getPhase() !== 'scratch') {
+      throw new Error('No scratch is due');
+    }
+    if (this.board[cellIndex] !== null) {
+      throw new Error(`Cell ${cellIndex} is already revealed`);
+    }
+
+    this.board[cellIndex] = this.ticket.numbers[cellIndex];
+    this.steps.push({ type: 'scratch', choice: cellIndex, best: grade.bestCells, lost: grade.lost });
+    return this.board[cellIndex];
+  }
+
+  /**
+   * Picks the final line, reveals the ticket and adds it to the running score
+   * @param {number} lineIndex - Index of the line, as used by calculateBestOptions (0-7)
+   * @param {Array} cells - The line's three cell indices
+   * @param {Object} grade - Result from gradeLinePick: lost and bestLines are kept
+   * @returns {Object} Object containing total (the line's sum), payout and lost (for the whole ticket)
+   * @throws {Error} If no line pick is due
+   */
+  pickLine(lineIndex, cells, grade) {
+    if (this.getPhase() !== 'line') {
+      throw new Error('No line pick is due');
+    }
+
+    this.steps.push({ type: 'line', choice: lineIndex, best: grade.bestLines, lost: grade.lost });
+    const total = cells.reduce((sum, cellIndex) => sum + this.ticket.numbers[cellIndex], 0);
+    this.result = {
+      line: lineIndex,
+      cells,
+      total,
+      payout: PracticeLogic.gilValue(total, this.payoutTable),
+      lost: this.steps.reduce((sum, step) => sum + step.lost, 0)
+    };
+    this.addToScore(this.result);
+    return this.result;
+  }
+
+  /**
+   * Gets the running score over every finished practice ticket
+   * @returns {Object} Object containing tickets, perfectTickets, totalLost and totalPayout
+   */
+  getScore() {
+    const empty = { tickets: 0, perfectTickets: 0, totalLost: 0, totalPayout: 0 };
+    try {
+      const score = JSON.parse(this.getStorage().getItem(this.storageKey));
+      return score && typeof score === 'object' ? { ...empty, ...score } : empty;
+    } catch (error) {
+      console.error('Failed to read practice score:', error);
+      return empty;
+    }
+  }
+
+  /**
+   * Adds a finished ticket to the running score
+   * @param {Object} result - Result from pickLine
+   */
+  addToScore(result) {
+    const score = this.getScore();
+    score.tickets++;
+    if (result.lost < 0.01) {
+      score.perfectTickets++;
+    }
+    score.totalLost += result.lost;
+    score.totalPayout += result.payout;
+
+    try {
+      this.getStorage().setItem(this.storageKey, JSON.stringify(score));
+    } catch (error) {
+      console.error('Failed to save practice score:', error);
+    }
+  }
+
+  /**
+   * Clears the running score
+   */
+  resetScore() {
+    this.getStorage().removeItem(this.storageKey);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PracticeSession;
+}
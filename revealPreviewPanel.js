@@ -0,0 +1,112 @@
+/**
+ * Reveal Preview Panel Module for Mini Cactpot Calculator
+ * Shows what each number an empty cell could reveal would mean: how likely it is,
+ * what the calculator would advise next and the expected result
+ */
+
+/**
+ * "What if" preview panel class
+ */
+class RevealPreviewPanel {
+  constructor() {
+    this.anchor = null;
+    this.initializeElements();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.panel = document.getElementById('reveal-preview');
+    this.caption = document.getElementById('reveal-preview-caption');
+    this.tableBody = document.querySelector('#reveal-preview-table tbody');
+    this.averageDiv = document.getElementById('reveal-preview-average');
+  }
+
+  /**
+   * Show a preview next to the cell it is for
+   * @param {HTMLElement} anchor - The previewed cell's input
+   * @param {Object} preview - Result object from previewReveal
+   */
+  show(anchor, preview) {
+    const objective = preview.objective;
+    const cellName = index => I18n.t('cell.label', { row: Math.floor(index / 3) + 1, column: (index % 3) + 1 });
+
+    this.caption.textContent = I18n.t('preview.title', { cell: cellName(preview.cellIndex) });
+    this.tableBody.innerHTML = '';
+    preview.outcomes.forEach(outcome => {
+      const advice = outcome.bestOptions.length > 0
+        ? I18n.t('preview.pick', {
+          lines: formatBestOptions(outcome.bestOptions, I18n.getLineNames(), I18n.t('list.separator'))
+        })
+        : I18n.t('preview.scratch', {
+          cells: outcome.bestCells.map(cellName).join(I18n.t('announce.separator'))
+        });
+
+      const row = document.createElement('tr');
+      [
+        String(outcome.number),
+        I18n.formatPercent(outcome.probability),
+        advice,
+        I18n.formatObjectiveScore(outcome.maxScore, objective)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      this.tableBody.appendChild(row);
+    });
+    this.averageDiv.textContent = I18n.t('preview.average', {
+      value: I18n.formatObjectiveScore(preview.expectedScore, objective)
+    });
+
+    this.hide();
+    this.anchor = anchor;
+    anchor.setAttribute('aria-describedby', this.panel.id);
+    this.panel.hidden = false;
+    this.position(anchor);
+  }
+
+  /**
+   * Place the panel beside the cell, or below it when there is no room to the right
+   * @param {HTMLElement} anchor - The previewed cell's input
+   */
+  position(anchor) {
+    const rect = anchor.getBoundingClientRect();
+    const width = this.panel.offsetWidth;
+    const margin = 8;
+
+    let left = rect.right + margin;
+    let top = rect.top;
+    if (left + width > window.innerWidth - margin) {
+      left = Math.max(margin, Math.min(rect.left, window.innerWidth - width - margin));
+      top = rect.bottom + margin;
+    }
+    this.panel.style.left = `${left}px`;
+    this.panel.style.top = `${top}px`;
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    if (this.anchor) {
+      this.anchor.removeAttribute('aria-describedby');
+      this.anchor = null;
+    }
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Checks whether the panel is showing
+   * @returns {boolean} True if visible
+   */
+  isVisible() {
+    return !this.panel.hidden;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RevealPreviewPanel;
+}
@@ -0,0 +1,184 @@
+/**
+ * Review Panel Module for Mini Cactpot Calculator
+ * Replays a finished ticket: grades each scratch and the line pick against the solver and
+ * shows what every line would have paid
+ */
+
+// Reviews grade by expected MGP whatever goal is selected
+const REVIEW_OBJECTIVE = createObjective('ev');
+
+/**
+ * Post-game review panel class
+ */
+class ReviewPanel {
+  /**
+   * @param {SolverChannel} solverClient - Solver used to replay the ticket
+   * @param {Function} getPayoutTable - Returns the payout table to review with
+   */
+  constructor(solverClient, getPayoutTable) {
+    this.solverClient = solverClient;
+    this.getPayoutTable = getPayoutTable;
+    this.review = null;
+    this.initializeElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.grid = document.getElementById('review-grid');
+    this.orderInput = document.getElementById('review-order');
+    this.lineSelect = document.getElementById('review-line');
+    this.reviewButton = document.getElementById('review-btn');
+    this.errorDiv = document.getElementById('review-error');
+    this.resultDiv = document.getElementById('review-result');
+    this.stepsBody = document.querySelector('#review-steps tbody');
+    this.summaryDiv = document.getElementById('review-summary');
+    this.linesBody = document.querySelector('#review-lines tbody');
+
+    this.inputs = [];
+    for (let i = 0; i < 9; i++) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.inputMode = 'numeric';
+      input.maxLength = 1;
+      input.dataset.i18nAriaLabel = 'cell.label';
+      input.dataset.i18nParams = JSON.stringify({ row: Math.floor(i / 3) + 1, column: (i % 3) + 1 });
+      this.grid.appendChild(input);
+      this.inputs.push(input);
+    }
+    this.populateLines();
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.inputs.forEach(input => {
+      input.addEventListener('input', () => {
+        input.value = Validation.validateAndCleanInput(input.value);
+      });
+    });
+    this.reviewButton.addEventListener('click', () => this.handleReview());
+    I18n.addChangeListener(() => {
+      this.populateLines();
+      this.render();
+    });
+  }
+
+  /**
+   * Fill the line selector with the translated line names, keeping the selection
+   */
+  populateLines() {
+    const selected = this.lineSelect.value;
+    this.lineSelect.innerHTML = '';
+    I18n.getLineNames().forEach((name, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = name;
+      this.lineSelect.appendChild(option);
+    });
+    if (selected !== '') {
+      this.lineSelect.value = selected;
+    }
+  }
+
+  /**
+   * Check the entered ticket and replay it through the solver
+   */
+  handleReview() {
+    const numbers = this.inputs.map(input => (input.value === '' ? null : parseInt(input.value, 10)));
+    const revealedNumbers = (this.orderInput.value.match(/[1-9]/g) || []).map(digit => parseInt(digit, 10));
+    const validation = Validation.validateFinishedTicket(numbers, revealedNumbers);
+
+    this.review = null;
+    this.render();
+    if (!validation.isValid) {
+      this.errorDiv.textContent = validation.errors.join(' ');
+      return;
+    }
+
+    const order = revealedNumbers.map(number => numbers.indexOf(number));
+    const lineIndex = parseInt(this.lineSelect.value, 10);
+    this.solverClient.request('reviewTicket', numbers, order, lineIndex, REVIEW_OBJECTIVE, this.getPayoutTable())
+      .then(review => {
+        this.review = { ...review, numbers, order, lineIndex };
+        this.render();
+      })
+      .catch(error => {
+        if (SolverClient.isCancelled(error)) {
+          return;
+        }
+        console.error('Error during ticket review:', error);
+        this.errorDiv.textContent = I18n.t('error.calculation');
+      });
+  }
+
+  /**
+   * Show the last review: each decision, the totals and every line's payout
+   */
+  render() {
+    this.errorDiv.textContent = '';
+    this.stepsBody.innerHTML = '';
+    this.linesBody.innerHTML = '';
+    this.resultDiv.hidden = !this.review;
+    if (!this.review) {
+      return;
+    }
+
+    const review = this.review;
+    const addRow = (body, values, className) => {
+      const row = document.createElement('tr');
+      if (className) {
+        row.className = className;
+      }
+      values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    };
+    const cellMove = index => I18n.t('review.cellMove', {
+      cell: Explanation.getCellName(index),
+      number: review.numbers[index]
+    });
+
+    review.steps.forEach((step, stepIndex) => {
+      const isScratch = step.type === 'scratch';
+      const best = isScratch
+        ? step.bestCells.map(cellMove).join(I18n.t('announce.separator'))
+        : I18n.formatList(step.bestLines.map(index => I18n.getLineName(index)));
+      addRow(this.stepsBody, [
+        isScratch ? I18n.t('review.scratchStep', { number: stepIndex + 1 }) : I18n.t('review.lineStep'),
+        I18n.t('review.move', {
+          move: isScratch ? cellMove(step.cellIndex) : I18n.getLineName(step.lineIndex),
+          mgp: I18n.formatMgp(step.score)
+        }),
+        I18n.t('review.move', { move: best, mgp: I18n.formatMgp(step.bestScore) }),
+        step.lost > 0 ? I18n.formatMgp(step.lost) : I18n.t('review.noLoss')
+      ], step.lost > 0 ? '' : 'best');
+    });
+
+    this.summaryDiv.textContent = I18n.t('review.summary', {
+      start: cellMove(review.order[0]),
+      line: I18n.getLineName(review.lineIndex),
+      payout: I18n.formatMgp(review.payout),
+      lost: I18n.formatMgp(review.totalLost)
+    });
+
+    review.lines.forEach(line => {
+      addRow(this.linesBody, [
+        I18n.getLineName(line.index),
+        I18n.formatNumber(line.total),
+        I18n.formatMgp(line.payout)
+      ], line.index === review.lineIndex ? 'picked' : '');
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewPanel;
+}
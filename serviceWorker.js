@@ -0,0 +1,109 @@
+/**
+ * Service Worker for Mini Cactpot Calculator
+ * Pre-caches the whole app so it works offline once installed, and serves it cache-first.
+ *
+ * Bump CACHE_VERSION whenever a new version is deployed: the changed worker installs
+ * alongside the old one, the page offers to reload, and the old cache is removed once
+ * the new worker takes over.
+ */
+
+const CACHE_VERSION = 7;
+const CACHE_NAME = `mini-cactpot-v${CACHE_VERSION}`;
+
+// Everything the page needs; installing fails if any of these cannot be fetched
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'style.css',
+  'manifest.webmanifest',
+  'i18n.js',
+  'validation.js',
+  'payoutTables.js',
+  'boardNotation.js',
+  'strategyTableData.js',
+  'strategyTable.js',
+  'gameLogic.js',
+  'solverClient.js',
+  'solverWorker.js',
+  'ticketHistory.js',
+  'historyPanel.js',
+  'editHistory.js',
+  'guidedFlow.js',
+  'explanation.js',
+  'ticketGlyphs.js',
+  'ticketReader.js',
+  'ticketImportPanel.js',
+  'simulator.js',
+  'practiceSession.js',
+  'practicePanel.js',
+  'reviewPanel.js',
+  'revealPreviewPanel.js',
+  'miniCactpotElement.js',
+  'ticketWorkspace.js',
+  'workspacePanel.js',
+  'offlineSupport.js',
+  'uiManager.js',
+  'assets/45degreee_fabric.png',
+  'assets/senor_sabotender.png',
+  'assets/button_texture.png',
+  'assets/MGP_image.png',
+  'assets/github_icon.svg',
+  'assets/cacpot_arrow_down.png',
+  'assets/cacpot_arrow_right.png',
+  'assets/cacpot_arrow_diag_left.png',
+  'assets/cacpot_arrow_diag_right.png',
+  'assets/hidden_cactpot_node.png',
+  'assets/shown_cactpot_node.png',
+  'assets/icon-192.png',
+  'assets/icon-512.png',
+  'assets/fonts/Cinzel.woff2',
+  'assets/fonts/NotoSans.woff2',
+  'assets/fonts/NotoSans-Italic.woff2',
+  'assets/fonts/Oswald.woff2'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('mini-cactpot-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) {
+          return cached;
+        }
+        return fetch(request).catch(error => {
+          // Any page of the app opens the cached calculator when offline
+          if (request.mode === 'navigate') {
+            return cache.match('index.html');
+          }
+          throw error;
+        });
+      }))
+  );
+});
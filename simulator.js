@@ -0,0 +1,227 @@
+/**
+ * Simulator Module for Mini Cactpot Calculator
+ * Deals random tickets and plays them out with a policy to measure strategies empirically
+ */
+
+// Game logic (loaded as global scripts in the browser)
+const SimulatorLogic = (typeof module !== 'undefined' && module.exports)
+  ? require('./gameLogic.js')
+  : { gilValue, calculateLineEVs, calculateBestOptions, findBestCellsToReveal, getPositionPriority };
+
+// The 8 lines in the same order as calculateBestOptions
+const SIMULATOR_LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8],
+  [0, 3, 6], [1, 4, 7], [2, 5, 8],
+  [0, 4, 8], [2, 4, 6]
+];
+
+/**
+ * Creates a seedable pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a random element of an array
+ * @param {Array} items - Non-empty array
+ * @param {Function} rng - Random number generator from createRng
+ * @returns {*} The chosen element
+ */
+function pickRandom(items, rng) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * Deals a random valid ticket: a permutation of 1-9 with one starting cell revealed
+ * @param {Function} rng - Random number generator from createRng
+ * @returns {Object} Object containing numbers (the hidden ticket) and startCell (0-8)
+ */
+function dealTicket(rng) {
+  const numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+  for (let i = numbers.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+  }
+  return { numbers, startCell: Math.floor(rng() * 9) };
+}
+
+/**
+ * Lists the hidden cells of a board
+ * @param {Array} board - Current board state
+ * @returns {Array} Indices of the hidden cells
+ */
+function getHiddenCells(board) {
+  return board.map((value, index) => (value === null ? index : -1)).filter(index => index !== -1);
+}
+
+/**
+ * Picks the solver's best line for a board
+ * @param {Array} board - Board with 4 numbers revealed
+ * @param {Function} rng - Random number generator (unused)
+ * @param {Object} settings - Object containing objective and payoutTable
+ * @returns {Array} The chosen line's cell indices
+ */
+function chooseBestLine(board, rng, settings) {
+  return SimulatorLogic.calculateBestOptions(board, settings.objective, settings.payoutTable).bestOptions[0];
+}
+
+/**
+ * Built-in policies. Each chooses the next cell to scratch and the final line.
+ */
+const SIMULATOR_POLICIES = {
+  solver: {
+    label: 'Exact solver',
+    chooseCell: (board, rng, settings) =>
+      SimulatorLogic.findBestCellsToReveal(board, settings.objective, settings.payoutTable).bestCells[0],
+    chooseLine: chooseBestLine
+  },
+  heuristic: {
+    label: 'Line-sum heuristic',
+    // The original heuristic: score each cell by the summed current EVs of its lines,
+    // keep cells within 0.01 MGP of the best and prefer center, then corners, then edges
+    chooseCell: (board, rng, settings) => {
+      const lineEVs = SimulatorLogic.calculateLineEVs(board, settings.payoutTable);
+      const cells = getHiddenCells(board).map(index => ({
+        index,
+        score: SIMULATOR_LINES.reduce(
+          (sum, line, lineIndex) => (line.includes(index) ? sum + lineEVs[lineIndex] : sum), 0)
+      }));
+      const maxScore = Math.max(...cells.map(cell => cell.score));
+
+      return cells
+        .filter(cell => maxScore - cell.score < 0.01)
+        .sort((a, b) => SimulatorLogic.getPositionPriority(b.index) - SimulatorLogic.getPositionPriority(a.index))[0]
+        .index;
+    },
+    chooseLine: chooseBestLine
+  },
+  random: {
+    label: 'Random play',
+    chooseCell: (board, rng) => pickRandom(getHiddenCells(board), rng),
+    chooseLine: (board, rng) => pickRandom(SIMULATOR_LINES, rng)
+  },
+  'center-first': {
+    label: 'Center first, then solver',
+    chooseCell: (board, rng, settings) => (board[4] === null
+      ? 4
+      : SIMULATOR_POLICIES.solver.chooseCell(board, rng, settings)),
+    chooseLine: chooseBestLine
+  }
+};
+
+/**
+ * Plays one ticket to the end
+ * @param {Object} ticket - Ticket from dealTicket
+ * @param {Object} policy - Object with chooseCell and chooseLine functions
+ * @param {Function} rng - Random number generator from createRng
+ * @param {Object} settings - Object containing objective and payoutTable
+ * @returns {Object} Object containing the final board, scratched cells, chosen line and payout
+ */
+function playTicket(ticket, policy, rng, settings) {
+  const board = new Array(9).fill(null);
+  board[ticket.startCell] = ticket.numbers[ticket.startCell];
+
+  const scratched = [];
+  for (let scratch = 0; scratch < 3; scratch++) {
+    const cellIndex = policy.chooseCell([...board], rng, settings);
+    if (cellIndex === undefined || board[cellIndex] !== null) {
+      throw new Error(`Policy chose cell ${cellIndex}, which is not hidden`);
+    }
+    board[cellIndex] = ticket.numbers[cellIndex];
+    scratched.push(cellIndex);
+  }
+
+  const line = policy.chooseLine([...board], rng, settings);
+  const total = line.reduce((sum, cellIndex) => sum + ticket.numbers[cellIndex], 0);
+  return { board, scratched, line, payout: SimulatorLogic.gilValue(total, settings.payoutTable) };
+}
+
+/**
+ * Plays many random tickets with a policy and summarizes the payouts
+ * @param {Object} [options] - Simulation options
+ * @param {string|Object} [options.policy='solver'] - Key of SIMULATOR_POLICIES or a custom policy object
+ * @param {number} [options.games=1000] - Number of tickets to play
+ * @param {number} [options.seed=1] - RNG seed; the same seed deals the same tickets
+ * @param {Object} [options.objective] - Objective passed to the policy (expected MGP by default)
+ * @param {Object} [options.payoutTable] - Payout table (the in-game table by default)
+ * @returns {Object} Object containing policy, label, games, seed, mean, standardDeviation,
+ *   standardError, confidenceInterval (95%), min, max and jackpotRate
+ */
+function simulate(options = {}) {
+  const policyId = options.policy || 'solver';
+  const policy = typeof policyId === 'string'
+    ? (Object.prototype.hasOwnProperty.call(SIMULATOR_POLICIES, policyId) ? SIMULATOR_POLICIES[policyId] : null)
+    : policyId;
+  if (!policy) {
+    throw new Error(`Unknown policy: ${policyId}`);
+  }
+
+  const games = options.games !== undefined ? options.games : 1000;
+  if (!Number.isInteger(games) || games < 1) {
+    throw new Error('Number of games must be a positive integer');
+  }
+
+  const seed = options.seed !== undefined ? options.seed : 1;
+  const settings = { objective: options.objective, payoutTable: options.payoutTable };
+
+  // Deal tickets and play policy moves from separate streams, so every policy
+  // sees the same tickets for a given seed
+  const dealRng = createRng(seed);
+  const playRng = createRng(seed ^ 0x9e3779b9);
+
+  // Welford's running mean and variance
+  let mean = 0;
+  let sumSquares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  let jackpots = 0;
+  const jackpotPayout = Math.max(...Array.from({ length: 19 }, (_, i) => SimulatorLogic.gilValue(i + 6, settings.payoutTable)));
+  for (let game = 1; game <= games; game++) {
+    const { payout } = playTicket(dealTicket(dealRng), policy, playRng, settings);
+    const delta = payout - mean;
+    mean += delta / game;
+    sumSquares += delta * (payout - mean);
+    min = Math.min(min, payout);
+    max = Math.max(max, payout);
+    if (payout === jackpotPayout) {
+      jackpots++;
+    }
+  }
+
+  const standardDeviation = games > 1 ? Math.sqrt(sumSquares / (games - 1)) : 0;
+  const standardError = standardDeviation / Math.sqrt(games);
+  return {
+    policy: typeof policyId === 'string' ? policyId : 'custom',
+    label: policy.label || 'Custom policy',
+    games,
+    seed,
+    mean,
+    standardDeviation,
+    standardError,
+    confidenceInterval: [mean - 1.96 * standardError, mean + 1.96 * standardError],
+    min,
+    max,
+    jackpotRate: jackpots / games
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SIMULATOR_POLICIES,
+    createRng,
+    dealTicket,
+    playTicket,
+    simulate
+  };
+}
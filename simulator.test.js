@@ -0,0 +1,77 @@
+/**
+ * Checks for the strategy simulator
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setDebugLogging } = require('./gameLogic.js');
+const { SIMULATOR_POLICIES, createRng, dealTicket, playTicket, simulate } = require('./simulator.js');
+
+setDebugLogging(false);
+
+test('createRng repeats its sequence for a seed and stays in [0, 1)', () => {
+  const first = createRng(42);
+  const second = createRng(42);
+  const values = Array.from({ length: 1000 }, () => first());
+  assert.deepStrictEqual(Array.from({ length: 1000 }, () => second()), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  assert.notStrictEqual(createRng(43)(), values[0]);
+});
+
+test('dealTicket deals a permutation of 1-9 and a starting cell', () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 100; i++) {
+    const { numbers, startCell } = dealTicket(rng);
+    assert.deepStrictEqual([...numbers].sort(), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.ok(Number.isInteger(startCell) && startCell >= 0 && startCell <= 8);
+  }
+});
+
+test('every policy scratches 3 hidden cells and pays out by its line', () => {
+  const ticket = { numbers: [1, 2, 3, 4, 5, 6, 7, 8, 9], startCell: 4 };
+  Object.entries(SIMULATOR_POLICIES).forEach(([id, policy]) => {
+    const result = playTicket(ticket, policy, createRng(1), {});
+    assert.strictEqual(new Set(result.scratched).size, 3, id);
+    assert.ok(!result.scratched.includes(4), id);
+    assert.strictEqual(result.board.filter(value => value !== null).length, 4, id);
+    assert.strictEqual(result.line.length, 3, id);
+  });
+});
+
+test('playTicket rejects a policy that scratches a revealed cell', () => {
+  const policy = { chooseCell: () => 0, chooseLine: () => [0, 1, 2] };
+  assert.throws(() => playTicket({ numbers: [1, 2, 3, 4, 5, 6, 7, 8, 9], startCell: 0 }, policy, createRng(1), {}),
+    /Policy chose cell 0, which is not hidden/);
+});
+
+test('the same seed gives the same results', () => {
+  const first = simulate({ policy: 'random', games: 500, seed: 42 });
+  const second = simulate({ policy: 'random', games: 500, seed: 42 });
+  assert.deepStrictEqual(second, first);
+  assert.notStrictEqual(simulate({ policy: 'random', games: 500, seed: 43 }).mean, first.mean);
+});
+
+test('the summary is consistent with the payouts', () => {
+  const result = simulate({ policy: 'solver', games: 200, seed: 1 });
+  assert.strictEqual(result.policy, 'solver');
+  assert.ok(result.min <= result.mean && result.mean <= result.max);
+  assert.ok(result.confidenceInterval[0] < result.mean && result.mean < result.confidenceInterval[1]);
+  assert.ok(Math.abs(result.standardError - result.standardDeviation / Math.sqrt(200)) < 1e-9);
+  assert.ok(result.jackpotRate >= 0 && result.jackpotRate <= 1);
+  assert.ok(result.mean > simulate({ policy: 'random', games: 200, seed: 1 }).mean);
+});
+
+test('simulate accepts a custom policy and rejects bad options', () => {
+  const policy = {
+    chooseCell: board => board.findIndex(value => value === null),
+    chooseLine: () => [0, 4, 8]
+  };
+  const result = simulate({ policy, games: 10, seed: 3 });
+  assert.strictEqual(result.policy, 'custom');
+  assert.strictEqual(result.label, 'Custom policy');
+
+  assert.throws(() => simulate({ policy: 'toString' }), /Unknown policy: toString/);
+  assert.throws(() => simulate({ games: 0 }), /positive integer/);
+  assert.throws(() => simulate({ games: 1.5 }), /positive integer/);
+});
@@ -0,0 +1,269 @@
+/**
+ * Solver Client Module for Mini Cactpot Calculator
+ * Promise-based access to the game logic. Requests run in solverWorker.js where Web Workers
+ * are available, and synchronously on the calling thread otherwise (Node, or browsers that
+ * refuse workers on file:// pages).
+ */
+
+// Game logic for the synchronous fallback (loaded as global scripts in the browser)
+const SolverLogic = (typeof module !== 'undefined' && module.exports)
+  ? require('./gameLogic.js')
+  : {
+    calculateBestOptions,
+    findBestCellsToReveal,
+    calculateLineDistribution,
+    previewReveal,
+    describeRecommendation,
+    gradeScratch,
+    gradeLinePick,
+    reviewTicket,
+    isDebugLogging
+  };
+
+// Game logic functions that can be requested
+const SOLVER_METHOD_NAMES = [
+  'calculateBestOptions',
+  'findBestCellsToReveal',
+  'calculateLineDistribution',
+  'previewReveal',
+  'describeRecommendation',
+  'gradeScratch',
+  'gradeLinePick',
+  'reviewTicket'
+];
+
+/**
+ * Solver client class
+ * Panels that share the client's worker take a channel from createChannel, so cancelling
+ * their requests leaves everyone else's alone
+ */
+class SolverClient {
+  /**
+   * @param {string|null} [workerUrl] - Worker script URL, or null to always calculate synchronously
+   */
+  constructor(workerUrl = 'solverWorker.js') {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.startWorker();
+  }
+
+  /**
+   * Checks whether an error is a cancelled request rather than a failure
+   * @param {Error} error - Error a request was rejected with
+   * @returns {boolean} True if the request was cancelled
+   */
+  static isCancelled(error) {
+    return Boolean(error) && error.name === 'CancelledError';
+  }
+
+  /**
+   * Starts the worker, leaving this.worker null if workers are unavailable
+   */
+  startWorker() {
+    if (!this.workerUrl || typeof Worker === 'undefined') {
+      return;
+    }
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        console.error('Solver worker failed, calculating on the main thread instead:', event.message);
+        this.fallBackToSync();
+      };
+      // The worker has its own copy of the game logic; log there only if this thread logs
+      this.worker.postMessage({ id: 0, method: 'setDebugLogging', args: [SolverLogic.isDebugLogging()] });
+    } catch (error) {
+      console.warn('Solver worker unavailable, calculating on the main thread instead:', error.message);
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Stops using the worker and reruns its outstanding requests synchronously
+   */
+  fallBackToSync() {
+    if (this.worker) {
+      this.worker.terminate();
+    }
+    this.worker = null;
+    this.workerUrl = null;
+
+    const outstanding = Array.from(this.pending.values());
+    this.pending.clear();
+    outstanding.forEach(request => {
+      try {
+        request.resolve(this.runSync(request.method, request.args));
+      } catch (error) {
+        request.reject(error);
+      }
+    });
+  }
+
+  /**
+   * Requests a game logic calculation
+   * @param {string} method - Name of the gameLogic function, e.g. "calculateBestOptions"
+   * @param {...*} args - Arguments for the function; they must be cloneable (no functions)
+   * @returns {Promise} Resolves with the function's result; rejects if it throws or is cancelled
+   */
+  request(method, ...args) {
+    return this.send(this, method, args);
+  }
+
+  /**
+   * Creates a channel: requests through it share this client's worker but are cancelled and
+   * counted separately
+   * @returns {SolverChannel} The new channel
+   */
+  createChannel() {
+    return new SolverChannel(this);
+  }
+
+  /**
+   * Requests a game logic calculation on behalf of the client or one of its channels
+   * @param {SolverClient|SolverChannel} owner - Whoever made the request
+   * @param {string} method - Name of the gameLogic function
+   * @param {Array} args - Arguments for the function
+   * @returns {Promise} Resolves with the function's result; rejects if it throws or is cancelled
+   */
+  send(owner, method, args) {
+    if (!SOLVER_METHOD_NAMES.includes(method)) {
+      return Promise.reject(new Error(`Unknown solver method: ${method}`));
+    }
+
+    if (!this.worker) {
+      try {
+        return Promise.resolve(this.runSync(method, args));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { owner, method, args, resolve, reject });
+      this.worker.postMessage({ id, method, args });
+    });
+  }
+
+  /**
+   * Runs a calculation on the calling thread
+   * @param {string} method - Name of the gameLogic function
+   * @param {Array} args - Arguments for the function
+   * @returns {*} The function's result
+   */
+  runSync(method, args) {
+    return SolverLogic[method](...args);
+  }
+
+  /**
+   * Settles the request a worker message answers
+   * @param {Object} message - Object containing id and either result or error
+   */
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      // Answer to a request that was cancelled while the worker calculated it
+      return;
+    }
+
+    this.pending.delete(message.id);
+    if (message.error !== undefined) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * Checks whether any requests are still being calculated
+   * @param {SolverClient|SolverChannel} [owner] - Whose requests to check (the client's own by default)
+   * @returns {boolean} True if requests are outstanding
+   */
+  hasPending(owner = this) {
+    return Array.from(this.pending.values()).some(request => request.owner === owner);
+  }
+
+  /**
+   * Cancels outstanding requests, rejecting each with a CancelledError
+   * The worker keeps running, so its loaded strategy table and caches stay warm; answers to
+   * cancelled requests are dropped when they arrive
+   * @param {SolverClient|SolverChannel} [owner] - Whose requests to cancel (the client's own by default)
+   */
+  cancelAll(owner = this) {
+    this.rejectPending(request => request.owner === owner);
+  }
+
+  /**
+   * Cancels every outstanding request and stops the worker for good
+   * Later requests are calculated synchronously
+   */
+  terminate() {
+    this.rejectPending();
+    if (this.worker) {
+      this.worker.terminate();
+    }
+    this.worker = null;
+    this.workerUrl = null;
+  }
+
+  /**
+   * Rejects outstanding requests with a CancelledError
+   * @param {Function} [matches] - Picks the requests to reject (all of them by default)
+   */
+  rejectPending(matches = () => true) {
+    this.pending.forEach((request, id) => {
+      if (!matches(request)) {
+        return;
+      }
+      const error = new Error('Solver request was cancelled');
+      error.name = 'CancelledError';
+      request.reject(error);
+      this.pending.delete(id);
+    });
+  }
+}
+
+/**
+ * Solver channel class: a SolverClient's worker, with requests of its own
+ */
+class SolverChannel {
+  /**
+   * @param {SolverClient} client - Client whose worker calculates the requests
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Requests a game logic calculation
+   * @param {string} method - Name of the gameLogic function, e.g. "gradeScratch"
+   * @param {...*} args - Arguments for the function; they must be cloneable (no functions)
+   * @returns {Promise} Resolves with the function's result; rejects if it throws or is cancelled
+   */
+  request(method, ...args) {
+    return this.client.send(this, method, args);
+  }
+
+  /**
+   * Checks whether any of this channel's requests are still being calculated
+   * @returns {boolean} True if requests are outstanding
+   */
+  hasPending() {
+    return this.client.hasPending(this);
+  }
+
+  /**
+   * Cancels this channel's outstanding requests, rejecting each with a CancelledError
+   */
+  cancelAll() {
+    this.client.cancelAll(this);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SolverClient;
+}
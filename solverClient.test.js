@@ -0,0 +1,72 @@
+/**
+ * Checks for the solver client, against a stand-in worker that answers in order like the real one
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const gameLogic = require('./gameLogic.js');
+const SolverClient = require('./solverClient.js');
+
+gameLogic.setDebugLogging(false);
+
+/**
+ * Stand-in for a Web Worker running solverWorker.js
+ */
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.terminated = false;
+    FakeWorker.started++;
+  }
+
+  postMessage({ id, method, args }) {
+    setImmediate(() => {
+      if (!this.terminated) {
+        this.onmessage({ data: { id, result: gameLogic[method](...args) } });
+      }
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.started = 0;
+
+const BOARD = [1, null, null, null, 5, null, null, null, 9];
+
+test('requests without a worker are calculated on the calling thread', async () => {
+  const client = new SolverClient(null);
+  const result = await client.request('calculateBestOptions', [1, 2, 3, 4, null, null, null, null, null]);
+  assert.ok(result.maxEV > 0);
+  await assert.rejects(client.request('missing'), /Unknown solver method: missing/);
+});
+
+test('a client or channel cancels only its own requests and keeps the worker', async t => {
+  global.Worker = FakeWorker;
+  t.after(() => delete global.Worker);
+  FakeWorker.started = 0;
+
+  const client = new SolverClient();
+  const channel = client.createChannel();
+  const stale = client.request('findBestCellsToReveal', BOARD);
+  const review = channel.request('gradeScratch', BOARD, 2);
+  assert.strictEqual(client.hasPending(), true);
+  assert.strictEqual(channel.hasPending(), true);
+
+  client.cancelAll();
+  assert.strictEqual(client.hasPending(), false);
+  assert.strictEqual(channel.hasPending(), true);
+  await assert.rejects(stale, error => SolverClient.isCancelled(error));
+
+  const fresh = await client.request('findBestCellsToReveal', BOARD);
+  assert.deepStrictEqual(fresh.bestCells, gameLogic.findBestCellsToReveal(BOARD).bestCells);
+  assert.strictEqual((await review).cellIndex, 2);
+  assert.strictEqual(FakeWorker.started, 1);
+
+  const cancelled = channel.request('gradeScratch', BOARD, 2);
+  channel.cancelAll();
+  await assert.rejects(cancelled, error => SolverClient.isCancelled(error));
+  client.terminate();
+});
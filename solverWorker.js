@@ -0,0 +1,34 @@
+/**
+ * Solver Worker for Mini Cactpot Calculator
+ * Runs the game logic off the main thread so typing never waits on a calculation.
+ * Requests come from SolverClient as { id, method, args } and are answered with
+ * { id, result } or { id, error }.
+ */
+
+importScripts('payoutTables.js', 'strategyTableData.js', 'strategyTable.js', 'gameLogic.js');
+
+// Game logic functions the client may call
+const SOLVER_METHODS = {
+  calculateBestOptions,
+  findBestCellsToReveal,
+  calculateLineDistribution,
+  previewReveal,
+  describeRecommendation,
+  gradeScratch,
+  gradeLinePick,
+  reviewTicket,
+  // Sent by SolverClient when it starts the worker; id 0 is never awaited
+  setDebugLogging
+};
+
+self.onmessage = (event) => {
+  const { id, method, args } = event.data;
+  try {
+    if (!Object.prototype.hasOwnProperty.call(SOLVER_METHODS, method)) {
+      throw new Error(`Unknown solver method: ${method}`);
+    }
+    self.postMessage({ id, result: SOLVER_METHODS[method](...args) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
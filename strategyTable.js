@@ -0,0 +1,273 @@
+/**
+ * Strategy Table Module for Mini Cactpot Calculator
+ * Looks up precomputed optimal plays for every reachable board with 1-4 revealed numbers.
+ * Boards are folded by the 8 rotations and reflections of the grid, so only one
+ * canonical board per symmetry class is stored. The data itself lives in
+ * strategyTableData.js and is rebuilt with `node generateStrategyTable.js`.
+ */
+
+// Generated table data (loaded as a global script in the browser)
+const strategyTableData = (typeof module !== 'undefined' && module.exports)
+  ? loadStrategyTableData()
+  : (typeof STRATEGY_TABLE_DATA !== 'undefined' ? STRATEGY_TABLE_DATA : null);
+
+/**
+ * The 8 lines in the same order used by calculateBestOptions
+ */
+const STRATEGY_LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8],
+  [0, 3, 6], [1, 4, 7], [2, 5, 8],
+  [0, 4, 8], [2, 4, 6]
+];
+
+/**
+ * The 8 symmetries of the grid as cell permutations.
+ * A transformed board is built as transformed[i] = board[symmetry[i]].
+ */
+const BOARD_SYMMETRIES = [
+  (row, col) => [row, col],         // identity
+  (row, col) => [2 - col, row],     // rotate 90
+  (row, col) => [2 - row, 2 - col], // rotate 180
+  (row, col) => [col, 2 - row],     // rotate 270
+  (row, col) => [row, 2 - col],     // mirror horizontally
+  (row, col) => [2 - row, col],     // mirror vertically
+  (row, col) => [col, row],         // mirror on the main diagonal
+  (row, col) => [2 - col, 2 - row]  // mirror on the anti-diagonal
+].map(mapCell => {
+  const permutation = [];
+  for (let i = 0; i < 9; i++) {
+    const [row, col] = mapCell(Math.floor(i / 3), i % 3);
+    permutation.push(row * 3 + col);
+  }
+  return permutation;
+});
+
+// Lazily built index from canonical board code to record position
+let strategyIndex = null;
+let strategyRecords = null;
+
+/**
+ * Loads the generated data file in Node, tolerating its absence while it is being generated
+ * @returns {Object|null} The table data or null if it has not been generated yet
+ */
+function loadStrategyTableData() {
+  try {
+    return require('./strategyTableData.js');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the integer scale used to store values for boards with a given number of revealed cells.
+ * Every expected value on such a board is a multiple of 1 / ((9 - filledCount)! / 2),
+ * so scaled values are stored exactly as integers.
+ * @param {number} filledCount - Number of revealed cells (1-4)
+ * @returns {number} The scale factor
+ */
+function getStrategyScale(filledCount) {
+  let factorial = 1;
+  for (let i = 2; i <= 9 - filledCount; i++) {
+    factorial *= i;
+  }
+  return factorial / 2;
+}
+
+/**
+ * Encodes a board as an integer with one digit per cell (0 for hidden cells)
+ * @param {Array} board - Array of 9 values representing the board state
+ * @returns {number} The encoded board
+ */
+function encodeStrategyBoard(board) {
+  return board.reduce((code, value) => code * 10 + (value === null ? 0 : value), 0);
+}
+
+/**
+ * Applies a symmetry permutation to a board
+ * @param {Array} board - Array of 9 values representing the board state
+ * @param {Array} symmetry - One of BOARD_SYMMETRIES
+ * @returns {Array} The transformed board
+ */
+function applySymmetry(board, symmetry) {
+  return symmetry.map(cellIndex => board[cellIndex]);
+}
+
+/**
+ * Finds the canonical representative of a board's symmetry class
+ * @param {Array} board - Array of 9 values representing the board state
+ * @returns {Object} Object containing the canonical code and the symmetry that produces it
+ */
+function canonicalizeBoard(board) {
+  let best = null;
+  BOARD_SYMMETRIES.forEach(symmetry => {
+    const code = encodeStrategyBoard(applySymmetry(board, symmetry));
+    if (best === null || code < best.code) {
+      best = { code, symmetry };
+    }
+  });
+  return best;
+}
+
+/**
+ * Lists every canonical board with the given number of revealed cells, in ascending code order.
+ * The generator and the lookup index both rely on this order.
+ * @param {number} filledCount - Number of revealed cells (1-4)
+ * @returns {Array} Array of canonical boards
+ */
+function enumerateCanonicalBoards(filledCount) {
+  const boards = [];
+  const board = new Array(9).fill(null);
+  const used = new Array(10).fill(false);
+
+  // Fill cells left to right; the first cell varies slowest so codes come out ascending
+  const fill = (cellIndex, remaining) => {
+    if (remaining === 0) {
+      if (canonicalizeBoard(board).code === encodeStrategyBoard(board)) {
+        boards.push([...board]);
+      }
+      return;
+    }
+    if (9 - cellIndex < remaining) {
+      return;
+    }
+    fill(cellIndex + 1, remaining);
+    for (let number = 1; number <= 9; number++) {
+      if (!used[number]) {
+        used[number] = true;
+        board[cellIndex] = number;
+        fill(cellIndex + 1, remaining - 1);
+        board[cellIndex] = null;
+        used[number] = false;
+      }
+    }
+  };
+
+  fill(0, filledCount);
+  return boards;
+}
+
+/**
+ * Computes the FNV-1a checksum of the table records
+ * @param {string} records - The serialized records
+ * @returns {string} 8-digit hex checksum
+ */
+function computeStrategyChecksum(records) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < records.length; i++) {
+    hash ^= records.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Checks that the loaded table data matches its recorded checksum
+ * @returns {boolean} True if table data is present and intact
+ */
+function isStrategyTableIntact() {
+  return strategyTableData !== null &&
+    computeStrategyChecksum(strategyTableData.records) === strategyTableData.checksum;
+}
+
+/**
+ * Serializes the precomputed values of one canonical board.
+ * Format: lineMask,lineEV[,cellEV...] in base 36, cell values in ascending cell order.
+ * @param {Object} entry - Object containing lineMask, lineEV and cellEVs (scaled integers)
+ * @returns {string} The serialized record
+ */
+function encodeStrategyRecord(entry) {
+  return [entry.lineMask, entry.lineEV, ...entry.cellEVs]
+    .map(value => value.toString(36))
+    .join(',');
+}
+
+/**
+ * Builds the canonical code index on first use
+ * @returns {boolean} True if the index is available
+ */
+function ensureStrategyIndex() {
+  if (strategyIndex !== null) {
+    return true;
+  }
+  if (!isStrategyTableIntact()) {
+    console.warn('Strategy table is missing or fails its checksum, falling back to live calculation');
+    return false;
+  }
+
+  strategyRecords = strategyTableData.records.split(';');
+  strategyIndex = new Map();
+  let position = 0;
+  for (let filledCount = 1; filledCount <= 4; filledCount++) {
+    enumerateCanonicalBoards(filledCount).forEach(board => {
+      strategyIndex.set(encodeStrategyBoard(board), position++);
+    });
+  }
+  return true;
+}
+
+/**
+ * Looks up the optimal play for a board
+ * @param {Array} board - Array of 9 values representing the board state
+ * @returns {Object|null} Object containing bestLines, maxLineEV and cellEVs (null for
+ *   revealed cells, and for every cell once 4 numbers are revealed), or null if the board
+ *   is not covered by the table
+ */
+function lookupStrategy(board) {
+  const filledValues = board.filter(value => value !== null);
+  const filledCount = filledValues.length;
+  if (board.length !== 9 || filledCount < 1 || filledCount > 4 ||
+    filledValues.some(value => !Number.isInteger(value) || value < 1 || value > 9) ||
+    new Set(filledValues).size !== filledCount) {
+    return null;
+  }
+  if (!ensureStrategyIndex()) {
+    return null;
+  }
+
+  const { code, symmetry } = canonicalizeBoard(board);
+  const [lineMask, lineEV, ...cellValues] = strategyRecords[strategyIndex.get(code)]
+    .split(',')
+    .map(value => parseInt(value, 36));
+  const scale = getStrategyScale(filledCount);
+
+  // Map canonical lines back to the lines of the board as given
+  const bestLines = [];
+  STRATEGY_LINES.forEach((line, lineIndex) => {
+    if (lineMask & (1 << lineIndex)) {
+      const original = line.map(cellIndex => symmetry[cellIndex]).sort((a, b) => a - b);
+      bestLines.push(STRATEGY_LINES.findIndex(candidate => candidate.join() === original.join()));
+    }
+  });
+  bestLines.sort((a, b) => a - b);
+
+  // Map canonical cells back to the cells of the board as given
+  const cellEVs = new Array(9).fill(null);
+  if (filledCount < 4) {
+    const canonicalBoard = applySymmetry(board, symmetry);
+    let valueIndex = 0;
+    canonicalBoard.forEach((value, cellIndex) => {
+      if (value === null) {
+        cellEVs[symmetry[cellIndex]] = cellValues[valueIndex++] / scale;
+      }
+    });
+  }
+
+  return { bestLines, maxLineEV: lineEV / scale, cellEVs };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BOARD_SYMMETRIES,
+    STRATEGY_LINES,
+    getStrategyScale,
+    encodeStrategyBoard,
+    applySymmetry,
+    canonicalizeBoard,
+    enumerateCanonicalBoards,
+    computeStrategyChecksum,
+    isStrategyTableIntact,
+    encodeStrategyRecord,
+    lookupStrategy
+  };
+}
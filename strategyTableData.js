@@ -0,0 +1,15 @@
+/**
+ * Strategy Table Data for Mini Cactpot Calculator
+ * Generated by generateStrategyTable.js - do not edit by hand
+ */
+const STRATEGY_TABLE_DATA = {
+  version: 1,
+  boardCount: 53631,
+  checksum: '7611e81c',
+  records: '2s,6ch00,jma50,iemoo,k4yvu,iemoo,k4uz0,jfli6,k4yvu,jfli6;2s,64kk0,jgcno,i4u3c,jzsn6,i4u3c,jz330,jcii6,jzsn6,jcii6;2s,650o0,jen1c,i4cv6,jyd6o,i4cv6,jxv16,ja0cu,jyd6o,ja0cu;4b,5dvq0,fz730,g43s6,gaaf0,g43s6,gdteo,fmtt0,gaaf0,fmtt0;4b,5bqi0,fxl2c,g228o,g9bq0,g228o,gbgp0,fkw7c,g9bq0,fkw7c;4b,53no0,fxos6,fz38c,gbrlo,fz38c,gdiii,fobnu,gbrlo,fobnu;4b,4kro0,guw7o,gurxc,hfzc0,gurxc,hgi9i,gnrui,hfzc0,gnrui;2s,4kyc0,hr0zc,hm6bu,ibup0,hm6bu,ibup0,hdr4c,ibup0,hdr4c;2s,4lyg0,hm4ni,hh1jc,i7t00,hh1jc,i7t00,hetbu,i7t00,hetbu;k,6ch00,gi2ji,fpujo,gi2ji,fzryi,gxuec,fzryi,gw9n6,gw9n6;k,64kk0,ghdxi,fq610,ghdxi,fx9xc,gze6i,fx9xc,gwj56,gwj56;k,650o0,gewbi,fmub0,gewbi,fui0i,gvpmo,fui0i,gt426,gt426;6j,5dvq0,hbnfi,fmtt0,hbnfi,h6lv0,hb93i,h6lv0,h6lv0,h6lv0;6j,5bqi0,hc35o,fkw7c,hc35o,h629o,hc35o,h629o,h629o,h629o;6j,53no0,h9876,fkeki,h9876,h1x7c,hat96,h1x7c,h978o,h978o;6j,4kro0,hlye6,ftz3u,hlye6,h8qk6,htyn0,h8qk6,hsv3c,hsv3c;k,4kyc0,hvpgo,g1y8c,hvpgo,hjl9c,hzdeo,hjl9c,i5qfo,i5qfo;k,4lyg0,hy396,g3rv0,hy396,hkoe6,i1ljo,hkoe6,i84l6,i84l6;5u,6ch00,mbw6i,lvvou,mbw6i,lvvou,lvvou,mbw6i,lvvou,mbw6i;5u,64kk0,lzu76,llfao,lzu76,llfao,llfao,lzu76,llfao,lzu76;5u,650o0,m0joo,ll6fi,m0joo,ll6fi,ll6fi,m0joo,ll6fi,m0joo;19,5dvq0,e2eli,dtpuo,e2eli,dtpuo,dtpuo,e2eli,dtpuo,e2eli;19,5bqi0,e48io,dsvuu,e48io,dsvuu,dsvuu,e48io,dsvuu,e48io;19,53no0,eth40,e6axi,eth40,e6axi,e6axi,eth40,e6axi,eth40;19,4kro0,h4rco,fww4i,h4rco,fww4i,fww4i,h4rco,fww4i,h4rco;5u,4kyc0,ijhm0,h09yo,ijhm0,h09yo,h09yo,ijhm0,h09yo,ijhm0;5u,4lyg0,i44eo,gth60,i44eo,gth60,gth60,i44eo,gth60,i44eo;4,2h600,35oqc,2zh00,35oqc,35oqc,35oqc,2zh00,35oqc;4,2hg00,354k6,2yu86,354k6,354k6,354k6,2yu86,354k6;g,yofc,1m83u,1llsu,1mjbo,1mjbo,1r5l6,1kwwo,1mri6;g,y13c,1lh7i,1le9c,1lq70,1lq70,1qqxc,1k6rc,1m40c;g,z8fc,1kbvi,1ipw6,1jqqu,1jgqu,1oaec,1j0tu,1jgqu;g,zz3c,1np9u,1m6s0,1ks66,1krj6,1pvli,1ks66,1krj6;g,zvhc,1t2io,1py00,1oy2c,1nsyi,1uwto,1oy2c,1nsyi;g,1025c,1slpc,1pol6,1og4u,1nndi,1uh0o,1og4u,1nndi;4,2h600,35oqc,2zh00,35oqc,35oqc,35oqc,2zh00,35oqc;4,2cb00,34xs0,2yjbc,34xs0,34xs0,34xs0,2yjbc,34xs0;g,y13c,1lzjo,1lsl0,1mh80,1mh80,1r650,1kriu,1mh80;g,x30o,1l3oo,1lheu,1ligo,1ligo,1qwbo,1jy2u,1lwa0;g,xm3c,1jkxc,1ios0,1j9ac,1iww0,1oc7o,1idt0,1iww0;g,yq00,1nbt0,1m0u0,1k4vi,1k9uu,1px46,1k4vi,1k9uu;g,yl3c,1sn10,1q5gu,1ohwu,1ndv6,1uz2i,1ohwu,1ndv6;g,yu2o,1s8fo,1q0n0,1nzu0,1namc,1ulru,1nzu0,1namc;4,2hg00,354k6,2yu86,354k6,354k6,354k6,2yu86,354k6;4,2cb00,34xs0,2yjbc,34xs0,34xs0,34xs0,2yjbc,34xs0;g,wt40,1l346,1ldnu,1lfcc,1lfcc,1qxi6,1jr2c,1lniu;g,y6dc,1ldc6,1l716,1lnr0,1lnr0,1q7d0,1k10u,1lnr0;g,ypco,1jq96,1iaoo,1j5su,1iupu,1nv6u,1idxu,1iupu;g,yq3c,1mwr6,1lri0,1k100,1k1i6,1phiu,1k0uo,1k1i6;g,y63c,1scgi,1pclo,1nw2c,1my4c,1ufji,1nvs6,1n0io;g,yofc,1rzd0,1pha6,1nljc,1mx4o,1u4lo,1nljc,1mzj0;2o,yofc,290po,1xpuo,2a1hc,1xpuo,290po,28eso,1xy16;2o,y13c,28swu,1wytc,29zdo,1wytc,28swu,2884o,1wytc;2o,wt40,27c76,1vce0,28xi0,1vce0,27c76,27980,1vkki;3v,vxw0,1wn7c,1olk0,1wn7c,1wn7c,1wn7c,1olk0,1wn7c;3v,u9a0,1xufo,1oui0,1zev0,1xufo,1xufo,1qexc,1xufo;3v,qao0,223to,1sz8c,24q80,1ykso,22azo,1x86o,1ykso;3v,oxq0,230w6,1ugg0,265xc,1yg2o,230w6,20eui,1yg2o;3v,p140,23i6u,1u11o,26pac,1yzfo,23i6u,20efc,1yzfo;2o,y13c,283mu,1x640,29aio,1x640,283mu,27nv6,1xjxc;2o,x30o,27fwi,1watc,292sc,1watc,27fwi,27bcu,1womo;2o,y6dc,289z0,1x1oo,2982o,1x1oo,289z0,27jso,1x1oo;3v,vxw0,1wn7c,1olk0,1wn7c,1wn7c,1wn7c,1olk0,1wn7c;3v,tpu0,1xkgc,1obso,1z5yc,1xkgc,1xkgc,1pxao,1xkgc;3v,rhu0,213xu,1rp50,24mbc,1yibc,213xu,1wfdo,1yibc;2o,ozq0,24ns0,1uxzo,26pa0,1yzs0,24ns0,20vrc,1yzs0;3v,oyo0,243uu,1u5pc,27c50,1zmn0,243uu,20a5c,1zmn0;2o,z8fc,26qi0,1y55o,27nwc,1wtdu,26woi,25vbi,1wtdu;2o,xm3c,25hi0,1wbic,26vt6,1uv6o,25ogo,24zs6,1uv6o;2o,ypco,25ouc,1x00c,26to6,1vnzu,25ufu,250ec,1vnzu;3v,u9a0,1xufo,1pupo,1xufo,1xufo,1zev0,1oui0,1xufo;3v,tpu0,1xkgc,1pk10,1xkgc,1xkgc,1z5yc,1obso,1xkgc;3v,pso0,225ni,1u6fc,25rzo,1zsec,22x0o,1x8l0,1zsec;4,qr20,26f5c,1vvuc,29hp0,246kc,26f5c,216z0,246kc;3v,o8i0,27jsc,1wgv0,29zd0,24o8c,27pqc,20z8o,24o8c;2o,zz3c,232f0,1z5v0,241d6,1wkfo,22jr6,23obo,1wkfo;2o,yq00,225ac,1y0y0,23dxc,1v8ho,219nu,22zqc,1v8ho;2o,yq3c,21rwc,1xo1o,22y6u,1uz9o,21776,22jfc,1uz9o;3v,qao0,1ykso,1rlko,1ykso,1ykso,24q80,1r2rc,1ykso;3v,rhu0,1yibc,1s98c,1yibc,1yibc,24mbc,1qbdo,1yibc;3v,pso0,1zsec,1tic0,215bo,1zsec,25rzo,1slx0,1zsec;4,15m20,2iqwc,24tk6,2jfd0,2iqwc,2iqwc,25i0u,2iqwc;4,16620,2j99c,25bnu,2jxq0,2j99c,2j99c,2604i,2j99c;2o,zvhc,22wic,1yqic,24uiu,1xmao,22j9u,24uiu,1xmv0;2o,yl3c,21rh0,1xhy6,249uu,1w8x0,2110c,247cc,1w9hc;2o,y63c,21pmo,1xn36,23xhc,1w5f0,212m0,23x76,1w5f0;3v,oxq0,1yerc,1sn4u,1yg2o,1yg2o,264go,1sozu,1yg2o;g,ozq0,1yygo,1slei,1yzs0,1yzs0,25zmo,1t69c,1yzs0;4,qr20,246kc,1wwoc,246kc,246kc,29hp0,1vvuc,246kc;4,15m20,2iqwc,24awo,2iqwc,2iqwc,2jfd0,24tk6,2iqwc;4,1io20,2nnfc,29zcc,2nnfc,2nnfc,2nnfc,29zcc,2nnfc;2o,1025c,22yc0,1z14i,24wfc,1y2d0,22dau,24wfc,1y2d0;2o,yu2o,21r2c,1xu10,24a8i,1wmoc,20pfi,248h0,1wmoc;2o,yofc,21n76,1xqs6,2433o,1wj90,20tbi,2429o,1wj90;3v,p140,1yy4c,1t74o,1yzfo,1yzfo,26nto,1soko,1yzfo;3v,oyo0,1zlbo,1tfb0,1zmn0,1zmn0,26mho,1sknc,1zmn0;3v,o8i0,24o8c,1w0oc,24o8c,24o8c,29zd0,1vo40,24o8c;4,16620,2j99c,24ryc,2j99c,2j99c,2jxq0,25bnu,2j99c;4,1io20,2nnfc,29zcc,2nnfc,2nnfc,2nnfc,29zcc,2nnfc;4,2h600,2zh00,305lc,2zh00,2zh00,30tr0,2zh00,307kc;4,2hg00,2yu86,2zn6c,2yu86,2yu86,303do,2yu86,2zkuc;3s,yofc,283ui,1uirc,2786i,28eso,28phu,1xpuo,1xy16;3s,y13c,27i3i,1u4tc,26gbc,27nv6,27unc,1x640,1xjxc;3s,z8fc,27zji,1vo0o,26al0,261e0,27vmo,1y8z6,1wtdu;3s,zz3c,2cz2u,1zfi0,2acou,28neu,2d9si,22k10,1zfi0;3s,zvhc,2ii8o,21qao,2fa1c,2bda6,2jgro,251hc,21qao;3s,1025c,2h2yi,224qu,2ed3u,2b5j6,2iric,25hjo,224qu;4,2cb00,2yjbc,2za20,2yjbc,2yjbc,301po,2yjbc,2zfj0;3s,y13c,27s06,1trq0,26vkc,2884o,28b8i,1wytc,1wytc;3s,x30o,273si,1tbpu,25qro,27bcu,2714i,1watc,1womo;3s,xm3c,26x9i,1tn1c,24yf0,256gu,26hxo,1wgy0,1uv6o;3s,yq00,2ccp0,1y2du,296b6,2820o,2cd8o,21cho,1y2du;3s,yl3c,2hw7u,20bac,2e5di,2axfu,2ialo,23yoc,20bac;3s,yu2o,2gj40,20qe6,2dfwo,2ass0,2hphc,24cfo,20qe6;3s,wt40,26wkc,1s5ro,25h1i,27980,26zz0,1vce0,1vkki;3s,y6dc,27axo,1u0n6,26im0,27k2u,27zk6,1x1oo,1x1oo;3s,ypco,274d6,1ui40,2582c,257co,26vgo,1x5hu,1vnzu;3s,yq3c,2byvc,1xwxi,299qo,27ofi,2c5si,214p0,1xwxi;3s,y63c,2hlei,207xo,2do10,2aig0,2i6ni,23scc,207xo;3s,yofc,2g8ru,20l1c,2d40c,2afac,2hii0,2466c,20l1c;j,vxw0,1olk0,1qzrc,1olk0,1olk0,1qzrc,1olk0,1olk0;j,u9a0,1oaac,1qxeo,1pupo,1oui0,1ss3o,1qexc,1oui0;j,qao0,1ust0,1ptbi,1x81c,1sz8c,1z28i,1x86o,1sz8c;j,oxq0,1x9j6,1pwli,20d90,1ugg0,2262o,20eui,1ugg0;j,p140,1x7bu,1pyzc,20d40,1u11o,210ai,20efc,1u11o;j,tpu0,1nyj0,1qohc,1pk10,1obso,1s77i,1pxao,1obso;j,rhu0,1sx06,1pxbu,1wfdo,1rp50,1xmic,1wfdo,1rp50;2o,ozq0,1yu9c,1qpa0,20ug0,1uxzo,23ua6,20w1i,1uxzo;j,oyo0,1x1v6,1qwa0,208u0,1u5pc,21iec,20a5c,1u5pc;j,pso0,1udm0,1polo,1x8l0,1u6fc,1zerc,1x8qc,1sti0;4,qr20,1y4fc,1swvo,216z0,1vvuc,226eo,216z0,1x7sc;j,o8i0,1ypm0,1t1mi,20z8o,1wgv0,235yc,20z8o,1yqac;4,15m20,24tk6,25360,25i0u,24tk6,28u0u,25i0u,27bgi;4,16620,25bnu,25p4c,2604i,25bnu,298zc,2604i,27qf0;4,1io20,29zcc,2adi0,29zcc,29zcc,2avvu,29zcc,2a0vu;5l,jn20,10nio,10svo,16am0,10nio,16am0,16am0,10svo;5l,jng0,109vu,10ccu,15w2o,109bu,15w2o,15w2o,10ccu;y,yofc,1uirc,1xpuo,2a1hc,23tji,2a1hc,1xpuo,28f2c;y,y13c,1u4tc,1x640,29aio,23kgc,29aio,1x640,27r30;y,z8fc,1vo0o,1y8z6,27rpu,22wm0,27nwc,1y8z6,277zc;y,zz3c,1zfi0,22k10,28y7c,27kmc,28jdi,22k10,28jdi;y,zvhc,21qao,251hc,2bda6,2b9f6,2bzxu,251hc,2bzxu;y,1025c,224qu,25hjo,2b5j6,2b1p6,2bjeu,25hjo,2bjeu;29,jn20,10nio,10nio,10nio,ssp0,10vfi,10svo,10svo;29,jng0,109vu,109vu,109bu,sfw6,10igi,10ccu,10ccu;y,yofc,1uirc,1uirc,25lzu,21fm6,26im6,1xpuo,28f2c;y,y13c,1u4tc,1u4tc,256mo,2154u,260su,1x640,27r30;y,z8fc,1x3m0,1vo0o,27un6,22zo6,27hhc,1y8z6,27bsu;y,zz3c,25f3c,1zfi0,2ht5c,2cib6,2ht5c,25f3c,2ddg0;y,zvhc,295hc,21qao,2oaf6,2hs4c,2oaf6,295hc,2hs4c;y,1025c,29jxi,224qu,2mkai,2h76c,2mkai,29jxi,2h76c;5l,jew0,10al6,10cw0,15xh0,10f40,15xh0,15xh0,10f80;y,y13c,1trq0,1wytc,29zdo,23mn6,29zdo,1wytc,289oi;y,x30o,1tblu,1watc,292sc,23bno,292sc,1watc,27iei;y,xm3c,1tn1c,1wgy0,2718u,224ao,26vt6,1wgy0,26cq6;y,yq00,1y2du,21cho,28eyo,26ypi,27tyo,21cho,27tyo;y,yl3c,20bac,23v1c,2ay6u,2aqli,2bguu,23yoc,2bguu;y,yu2o,20qe6,248do,2ass0,2aok6,2b2m0,24cfo,2b2m0;29,jn20,10svo,10nio,10svo,ssp0,11xgo,10svo,10svo;29,jew0,10fy6,10al6,10f40,sgxu,11m5i,10f80,10f80;y,y13c,1trq0,1trq0,25cmc,214no,269ru,1wytc,289oi;y,x30o,1tblu,1tblu,24v3c,210no,25pd6,1watc,27iei;y,xm3c,1v8so,1tn1c,26wy6,22616,26h4u,1wgy0,26i5u;y,yq00,246du,1y2du,2h9o6,2bvyc,2h9o6,246du,2cr3u;y,yl3c,2811o,20bac,2nqgu,2hb3u,2nqgu,2811o,2hb3u;y,yu2o,28g5i,20qe6,2m556,2gxji,2m556,28g5i,2gxji;y,wt40,1s5ro,1vce0,28xi0,22ifu,28xi0,1vce0,27980;y,y6dc,1u0n6,1x1oo,2982o,23fmi,2982o,1x1oo,27lci;y,ypco,1ui40,1x5hu,26z5o,223vi,26to6,1x5hu,26cw6;y,yq3c,1xwxi,214p0,280w6,26s7i,27juu,214p0,27juu;y,y63c,207xo,23rxc,2aig0,2aaji,2avlc,23scc,2avlc;y,yofc,20l1c,243gc,2afac,2acmc,2an90,2466c,2an90;29,jng0,10d9u,109vu,10ccu,six6,11e4o,10ccu,10ccu;29,jew0,10e36,10al6,10cw0,skgi,11e40,10f80,10f80;y,wt40,1s5ro,1s5ro,24gf6,20aho,25d9c,1vce0,27980;y,y6dc,1u0r6,1u0n6,252q6,21320,25wqc,1x1oo,27lmo;y,ypco,1vzm0,1ui40,270lc,227j0,26ot6,1x5hu,26ij0;y,yq3c,242cu,1xwxi,2h11c,2bwvi,2h11c,242cu,2clvi;y,y63c,27uv0,207xo,2nfo0,2gpko,2nfo0,27uv0,2gpko;y,yofc,287yo,20l1c,2lrxi,2gdfc,2lrxi,287yo,2gdfc;5l,vxw0,1qzrc,1olk0,1wn7c,1olk0,1wn7c,1wn7c,1olk0;5l,u9a0,1qxeo,1pupo,1xufo,1oui0,1zev0,1zev0,1qexc;5l,qao0,1ptbi,1tn3c,1ykso,1sz8c,24q80,24q80,1x86o;5l,oxq0,1pwli,1v8si,1yg2o,1ugg0,265xc,265xc,20d10;5l,p140,1pyzc,1vqg0,1yzfo,1u11o,26pac,26pac,20efc;3w,yofc,2i0d0,1uirc,2k78o,2l80c,2k78o,2l80c,2l80c;3w,y13c,2h91i,1trq0,2jai6,2kgoc,2jai6,2kgz0,2kgz0;3w,wt40,2fmj6,1s5ro,2h98u,2iujo,2h98u,2iujo,2iujo;29,vxw0,1qzrc,1qzrc,1olk0,1dv5c,1qzrc,1olk0,1olk0;29,u9a0,1r6f0,1qxeo,1oui0,1epm0,1ss3o,1qexc,1qexc;29,qao0,1v36c,1ptbi,1wpfc,1npm0,1zeui,1z4no,1z4no;29,oxq0,1wa0u,1pwli,1z19i,1r800,2262o,226ao,226ao;29,p140,1w7ti,1pyzc,1ycmu,1qs7c,20lyi,21qwc,21qwc;5l,tpu0,1qohc,1pk10,1xkgc,1obso,1z5yc,1z5yc,1pxao;5l,rhu0,1pxbu,1tnfu,1yibc,1rp50,24mbc,24mbc,1w8wc;k,ozq0,1qpa0,1w4di,1yzs0,1uxzo,26pa0,26pa0,20vrc;5l,oyo0,1qm26,1vnn6,1zmn0,1u5pc,27c50,27c50,204tc;3w,y13c,2hppc,1u4tc,2jjju,2kaoc,2jjju,2kqfo,2kqfo;3w,x30o,2gwhu,1tblu,2i896,2ja9o,2i896,2jv50,2jv50;3w,y6dc,2hkyu,1u0n6,2jnwo,2k9z0,2jnwo,2km0c,2km0c;29,vxw0,1qzrc,1qzrc,1olk0,1dv5c,1qzrc,1olk0,1olk0;29,tpu0,1qxm0,1qohc,1obso,1e3so,1s77i,1pxao,1pxao;29,rhu0,1vce6,1pxbu,1uari,1lydc,1xz4c,1xt50,1xt50;3w,ozq0,1xt9u,1qpa0,20lzo,1satc,23ua6,22nho,22nho;29,oyo0,1xisc,1qm26,1ymx6,1qt5o,21iec,21v7c,21v7c;5l,pso0,1pjrc,1v4p0,215bo,1u6fc,25rzo,25rzo,1x2r0;5l,pl40,1pk36,1taju,1znpo,1soxo,25nb0,25nb0,1ws7c;5l,o8i0,1pz6i,1um2c,205do,1u7fo,264z0,264z0,1ybtc;3w,z8fc,2jyzo,1vo0o,2lsqc,2mg4o,2lsqc,2l4cu,2mg4o;3w,xm3c,2hre6,1tn1c,2jdyc,2kfv6,2jdyc,2izji,2kfv6;3w,ypco,2imju,1ui40,2kapc,2l4g6,2kapc,2jsfo,2l4g6;29,u9a0,1qxeo,1qxeo,1pupo,1ed1o,1r6f0,1oui0,1qexc;29,tpu0,1qohc,1qohc,1pk10,1dv5u,1qxm0,1obso,1pxao;29,pso0,1v4oi,1pjrc,1vy4c,1mclc,1zpo0,1yt3c,1yt3c;29,pl40,1v1m0,1pk36,1uxfu,1m87o,1ys56,1yoj0,1yoj0;29,o8i0,1vqsu,1pz6i,1xomo,1of6o,20lx0,20710,20710;5l,os40,1ng70,1o9eo,20hvo,1p2fu,21ut0,21ut0,1q1l0;5l,osi0,1nn4c,1oxrc,2108o,1phec,22d60,22d60,1q72o;3w,zz3c,2nm66,1zfi0,2s4jo,2qb8c,2s4jo,2nm66,2qb8c;3w,yq00,2m7ho,1y2du,2qdxc,2p1ku,2qdxc,2m7ho,2p1ku;3w,yq3c,2lwbi,1xwxi,2qdqc,2onp6,2qdqc,2lwbi,2onp6;29,qao0,1ptbi,1ptbi,1tn3c,1iu7c,1utxo,1sz8c,1x86o;29,rhu0,1pxbu,1pxbu,1tnfu,1ih7c,1uyyi,1rp50,1w8wc;29,pso0,1qtb0,1pjrc,1v4p0,1io70,1wgac,1u6fc,1x7pu;29,os40,1psmc,1ng70,1p2fu,1cbr6,1succ,1qfd6,1qfd6;29,osi0,1q8co,1nn4c,1phec,1cr5c,1tj1o,1qubo,1qubo;5l,ojy0,1mlfo,1mn9c,20vk0,1mvwc,20vk0,20vk0,1n43o;3w,zvhc,2pamc,21qao,2vdgc,2s3cu,2vdgc,2pamc,2s3cu;3w,yl3c,2nvm0,20bac,2tm50,2qxmc,2tm50,2nvm0,2qxmc;3w,y63c,2ns9c,207xo,2tkvc,2qs5i,2tkvc,2ns9c,2qs5i;29,oxq0,1pwli,1pwli,1v8cc,1ldnc,1wa0u,1ugg0,20d10;y,ozq0,1qzhu,1qpa0,1w326,1lzxi,1xt9u,1uxzo,20w1i;29,pl40,1pk36,1pk36,1taju,1hhxi,1uk5c,1soxo,1ws7c;29,os40,1o2f0,1ng70,1o9eo,1aqh0,1qamc,1p2fu,1q1l0;29,ojy0,1nhvi,1mlfo,1mvwc,17vac,1ot3u,1n6m6,1n6m6;3w,1025c,2pmwi,224qu,2veio,2skto,2veio,2pmwi,2skto;3w,yu2o,2o8ju,20qe6,2tsic,2rf7o,2tsic,2o8ju,2rf7o;3w,yofc,2o370,20l1c,2tonc,2r7w0,2tonc,2o370,2r7w0;29,p140,1pyzc,1pyzc,1vp4o,1ldcc,1w7ti,1u11o,20efc;29,oyo0,1qm26,1qm26,1vp2i,1l1xo,1xisc,1u5pc,204tc;29,o8i0,1q8q0,1pz6i,1um2c,1iyko,1vu1o,1u7fo,1ybtc;29,osi0,1obuo,1nn4c,1oxrc,1aul0,1r9tc,1phec,1q7wo;29,ojy0,1na0u,1mlfo,1mn9c,17no0,1p2pi,1n6m6,1n5v6;1s,2h600,3043i,3043i,30a2u,3043i,2tta6,30a2u,2tta6;1s,2hg00,30qro,30qro,30qro,30qro,2uami,30qro,2uami;42,yofc,1ty2c,2i0d0,2k78o,2i0d0,2l80c,2k78o,2l80c;42,y13c,1ufec,2hppc,2jjju,2hppc,2kaoc,2jjju,2kaoc;42,z8fc,1tzgc,2jyzo,2lsqc,2jyzo,2mg4o,2lsqc,2mg4o;42,zz3c,1zfi0,2nm66,2s4jo,2nm66,2qb8c,2s4jo,2qb8c;42,zvhc,21qao,2pamc,2vdgc,2pamc,2s3cu,2vdgc,2s3cu;42,1025c,224qu,2pmwi,2veio,2pmwi,2skto,2veio,2skto;g,2h600,30tr0,307kc,30tr0,2zh00,2zh00,2zh00,2zh00;g,2hg00,303do,2zkuc,303do,2yu86,2yu86,2yu86,2yu86;5e,yofc,2k78o,1xy16,2k78o,2l80c,2l80c,2k78o,2k78o;5e,y13c,2jjju,1xjxc,2jjju,2kqfo,2kqfo,2jjju,2jjju;5e,z8fc,2kd50,1wtdu,2kd50,2l0jc,2l0jc,2lowu,2lowu;5e,zz3c,2m4yc,1wkfo,2m4yc,2kbn0,2kbn0,2orpo,2orpo;5e,zvhc,2ny9o,1xmv0,2ny9o,2ko66,2ko66,2p2d6,2p2d6;5e,1025c,2nzc0,1y2d0,2nzc0,2l5n0,2l5n0,2ph4i,2ph4i;1s,2h600,3043i,3043i,3043i,3043i,2tta6,3043i,2tta6;1s,2cb00,2xb4u,2xb4u,2xqpu,2xb4u,2r3u6,2xqpu,2r3u6;42,y13c,1qfj0,2h91i,2jai6,2h91i,2kgoc,2jai6,2kgoc;42,x30o,1sxoo,2gwlu,2i896,2gwlu,2ja9o,2i896,2ja9o;42,xm3c,1ry50,2hre6,2jdyc,2hre6,2kfv6,2jdyc,2kfv6;42,yq00,1y2du,2m7ho,2qdxc,2m7ho,2p1ku,2qdxc,2p1ku;42,yl3c,20bac,2nvm0,2tm50,2nvm0,2qxmc,2tm50,2qxmc;42,yu2o,20qe6,2o8ju,2tsic,2o8ju,2rf7o,2tsic,2rf7o;g,2h600,3086o,3027c,3086o,2zh00,2zh00,2zh00,2zh00;g,2cb00,2zvqc,2zd70,2zvqc,2yjbc,2yjbc,2yjbc,2yjbc;5e,y13c,2jai6,1wytc,2jai6,2kgz0,2kgz0,2jai6,2jai6;5e,x30o,2i896,1womo,2i896,2jv50,2jv50,2i896,2i896;5e,xm3c,2hs70,1uv6o,2hs70,2iu3u,2iu3u,2j8io,2j8io;5e,yq00,2k9xc,1v8ho,2k9xc,2ixku,2ixku,2mxa6,2mxa6;5e,yl3c,2lwdo,1w5uc,2lwdo,2j7v0,2j7v0,2nai6,2nai6;5e,yu2o,2m2r0,1wimc,2m2r0,2jpgc,2jpgc,2niyo,2niyo;1s,2hg00,30qro,30qro,30qro,30qro,2uami,30qro,2uami;1s,2cb00,2xb4u,2xb4u,2xwp6,2xb4u,2r3u6,2xwp6,2r3u6;42,wt40,1shm0,2fmj6,2h98u,2fmj6,2iujo,2h98u,2iujo;42,y6dc,1qybo,2hkyu,2jnwo,2hkyu,2k9z0,2jnwo,2k9z0;42,ypco,1stvo,2imju,2kapc,2imju,2l4g6,2kapc,2l4g6;42,yq3c,1xwxi,2lwbi,2qdqc,2lwbi,2onp6,2qdqc,2onp6;42,y63c,207xo,2ns9c,2tkvc,2ns9c,2qs5i,2tkvc,2qs5i;42,yofc,20l1c,2o370,2tonc,2o370,2r7w0,2tonc,2r7w0;g,2hg00,2znso,2zhtc,2znso,2yu86,2yu86,2yu86,2yu86;g,2cb00,301lo,2zff0,301lo,2yjbc,2yjbc,2yjbc,2yjbc;5e,wt40,2h98u,1vkki,2h98u,2iujo,2iujo,2h98u,2h98u;5e,y6dc,2jnwo,1x1oo,2jnwo,2km0c,2km0c,2jnwo,2jnwo;5e,ypco,2it7c,1vnzu,2it7c,2jmy6,2jmy6,2k57u,2k57u;5e,yq3c,2k8b0,1uz9o,2k8b0,2ii9u,2ii9u,2mqni,2mqni;5e,y63c,2lxy0,1w500,2lxy0,2j586,2j586,2nhno,2nhno;5e,yofc,2m1q0,1wgj0,2m1q0,2jkyo,2jkyo,2nmy6,2nmy6;10,yofc,1ty2c,1v15o,22eci,1v15o,21yk6,22eci,21yk6;10,y13c,1qfj0,1ttni,224ou,1ttni,214no,224ou,214no;10,wt40,1shm0,1srmc,218eo,1srmc,20x5o,218eo,20x5o;9,vxw0,1ihco,1igxu,1ihco,1igxu,1dv5c,1ihco,1dv5c;9,u9a0,1gwi0,1gi00,1h5ic,1gi00,1ed1o,1h5ic,1ed1o;9,qao0,1enx0,1k74c,1jo6u,1k74c,1iu7c,1jo6u,1iu7c;9,oxq0,1ky5u,1m6r6,1ok8u,1m6r6,1nehc,1ok8u,1nehc;9,p140,1kvp6,1lcsi,1o8xc,1lcsi,1nrp6,1o8xc,1nrp6;4,yofc,1j5jc,1gjkc,1j5jc,1kqsi,1kqsi,1n38i,1n38i;4,y13c,1ju40,1g4hi,1ju40,1kjvi,1kjvi,1n9k0,1n9k0;4,wt40,1hwhu,1f8go,1hwhu,1jk6o,1jk6o,1mug0,1mug0;15,vxw0,1qzrc,1olk0,1qzrc,1olk0,1olk0,1olk0,1olk0;15,u9a0,1qxeo,1oaac,1qxeo,1oaac,1oaac,1pupo,1pupo;15,qao0,1qexi,1nho0,1qexi,1r2m0,1r2m0,1rsv6,1rsv6;15,oxq0,1pgsu,1nixu,1pgsu,1sopo,1sopo,1t7z6,1t7z6;15,p140,1pmzu,1o0lc,1pmzu,1soko,1soko,1tklu,1tklu;10,y13c,1ufec,1unhu,228mc,1unhu,21qwi,228mc,21qwi;10,x30o,1sxoo,1ttkc,21xj6,1ttkc,217h6,21xj6,217h6;10,y6dc,1qybo,1u1ei,221so,1u1ei,21320,221so,21320;9,vxw0,1ihco,1ihco,1ihco,1ihco,1dv5c,1ihco,1dv5c;9,tpu0,1glso,1g7ao,1gwmo,1g7ao,1dv5u,1gwmo,1dv5u;9,rhu0,1k1p0,1jml0,1msho,1jml0,1k3zi,1msho,1k3zi;10,ozq0,1gc0o,1mxpi,1n8dc,1mxpi,1lzxi,1n8dc,1lzxi;9,oyo0,1kqp0,1m3q0,1olq6,1m3q0,1nd16,1olq6,1nd16;4,y13c,1ifwu,1gdy0,1ifwu,1k2vi,1k2vi,1mr3i,1mr3i;4,x30o,1i58i,1g55c,1i58i,1jtbu,1jtbu,1mtku,1mtku;4,y6dc,1jcxo,1fvau,1jcxo,1jwo6,1jwo6,1mfwo,1mfwo;15,vxw0,1qzrc,1olk0,1qzrc,1olk0,1olk0,1olk0,1olk0;15,tpu0,1qohc,1nyj0,1qohc,1nyj0,1nyj0,1pk10,1pk10;15,rhu0,1pkpu,1njfu,1pkpu,1qbdo,1qbdo,1s98c,1s98c;4,ozq0,1rxoc,1oevi,1rxoc,1t6ji,1t6ji,1t21c,1t21c;15,oyo0,1qqeo,1ny56,1qqeo,1sknc,1sknc,1tr9c,1tr9c;10,z8fc,1tzgc,1x3m0,26pa0,1x3m0,22zo6,26pa0,22zo6;10,xm3c,1ry50,1v8so,25osu,1v8so,22616,25osu,22616;10,ypco,1stvo,1vzm0,25upi,1vzm0,227j0,25upi,227j0;9,u9a0,1gwi0,1h5ic,1ir70,1h5ic,1epm0,1ir70,1epm0;9,tpu0,1glso,1guii,1i4iu,1guii,1e3so,1i4iu,1e3so;9,pso0,1jao0,1kleo,1n95i,1kleo,1k4cu,1n95i,1k4cu;1s,qr20,1v9so,1s0y6,1vxto,1s0y6,1q5b0,1vxto,1q5b0;9,o8i0,1po50,1mhc6,1r5mo,1mhc6,1o8s6,1r5mo,1o8s6;4,z8fc,1j6ic,1eln0,1j6ic,1j0tu,1j0tu,1nw0i,1nw0i;4,xm3c,1ics0,1dzxu,1ics0,1idt0,1idt0,1nu2c,1nu2c;4,ypco,1ikdc,1dzfo,1ikdc,1ie36,1ie36,1nd0u,1nd0u;15,u9a0,1skxo,1oui0,1skxo,1qexc,1qexc,1oui0,1oui0;15,tpu0,1s77i,1obso,1s77i,1pxao,1pxao,1obso,1obso;15,pso0,1sxdo,1p53o,1sxdo,1sm2c,1sm2c,1tic0,1tic0;g,qr20,1swvo,1rtt6,1swvo,1vvuc,1vvuc,1wwoc,1wwoc;15,o8i0,1upoc,1t5bo,1upoc,1vo40,1vo40,1w0oc,1w0oc;10,zz3c,1zfi0,25f3c,2ht5c,25f3c,2cib6,2ht5c,2cib6;10,yq00,1y2du,246du,2h9o6,246du,2bvyc,2h9o6,2bvyc;10,yq3c,1xwxi,242cu,2h11c,242cu,2bwvi,2h11c,2bwvi;9,qao0,1enx0,1phm0,1tta6,1phm0,1npm0,1tta6,1npm0;9,rhu0,1k1p0,1oj7u,1r5y0,1oj7u,1lydc,1r5y0,1lydc;9,pso0,1jao0,1ocui,1sqro,1ocui,1mclc,1sqro,1mclc;1s,15m20,25s4i,24kxc,25s4i,24kxc,1u99i,25s4i,1u99i;1s,16620,24q1i,23vmi,255di,23vmi,1tmy6,255di,1tmy6;4,zz3c,1tmh6,1jdy6,1tmh6,1p6ru,1p6ru,1w7io,1w7io;4,yq00,1t4kc,1itlo,1t4kc,1om00,1om00,1w4oc,1w4oc;4,yq3c,1t1nc,1isti,1t1nc,1omhi,1omhi,1vuk6,1vuk6;15,qao0,1z7oi,1sz8c,1z7oi,1z4no,1z4no,1wpfc,1wpfc;15,rhu0,1xz4c,1rp50,1xz4c,1xt50,1xt50,1uari,1uari;15,pso0,1yyau,1sti0,1yyau,1yt3c,1yt3c,1vy4c,1vy4c;g,15m20,25u6o,255i0,25u6o,24tk6,24tk6,24awo,24awo;g,16620,26q30,25tuo,26q30,25bnu,25bnu,24ryc,24ryc;10,zvhc,21qao,295hc,2oaf6,295hc,2hs4c,2oaf6,2hs4c;10,yl3c,20bac,2811o,2nqgu,2811o,2hb3u,2nqgu,2hb3u;10,y63c,207xo,27uv0,2nfo0,27uv0,2gpko,2nfo0,2gpko;9,oxq0,1ky5u,1sdri,1y6g0,1sdri,1r800,1y6g0,1r800;42,ozq0,1gc0o,1trhi,1zshu,1trhi,1satc,1zshu,1satc;1s,qr20,1v9so,1vxto,1zafc,1vxto,1q5b0,1zafc,1q5b0;1s,15m20,25s4i,25s4i,2700u,25s4i,1u99i,2700u,1u99i;1s,1io20,2fro0,2fro0,2fro0,2fro0,217gu,2fro0,217gu;4,zvhc,20q3i,1np3i,20q3i,1u7so,1u7so,22x20,22x20;4,yl3c,20656,1n69u,20656,1tqs6,1tqs6,23280,23280;4,y63c,1zvcc,1mwzc,1zvcc,1t590,1t590,22dsi,22dsi;15,oxq0,2262o,1ugg0,2262o,226ao,226ao,1z19i,1z19i;5e,ozq0,23ua6,1uxzo,23ua6,22nho,22nho,20lzo,20lzo;g,qr20,226eo,1x7sc,226eo,216z0,216z0,1y4fc,1y4fc;g,15m20,28u0u,27bgi,28u0u,25i0u,25i0u,24tk6,24tk6;g,1io20,2avvu,29lw6,2avvu,29zcc,29zcc,29zcc,29zcc;10,1025c,224qu,29jxi,2mkai,29jxi,2h76c,2mkai,2h76c;10,yu2o,20qe6,28g5i,2m556,28g5i,2gxji,2m556,2gxji;10,yofc,20l1c,287yo,2lrxi,287yo,2gdfc,2lrxi,2gdfc;9,p140,1kvp6,1r9fi,1w1wi,1r9fi,1qs7c,1w1wi,1qs7c;9,oyo0,1kqp0,1s1uo,1w1go,1s1uo,1qt5o,1w1go,1qt5o;9,o8i0,1po50,1r4bc,1veqi,1r4bc,1of6o,1veqi,1of6o;1s,16620,24q1i,24upi,26d9u,24upi,1tmy6,26d9u,1tmy6;1s,1io20,2fro0,2fha0,2fro0,2fha0,217gu,2fro0,217gu;4,1025c,1z24u,1njji,1z24u,1tp0o,1tp0o,213hu,213hu;4,yu2o,1ymzi,1n6ei,1ymzi,1tfdu,1tfdu,21eqc,21eqc;4,yofc,1y9ru,1mzj0,1y9ru,1sv9o,1sv9o,20usi,20usi;15,p140,210ai,1u11o,210ai,21qwc,21qwc,1yjsu,1yjsu;15,oyo0,21iec,1u5pc,21iec,21v7c,21v7c,1ymx6,1ymx6;15,o8i0,2300c,1yqac,2300c,21rzo,21rzo,1zid0,1zid0;g,16620,294jc,27qf0,294jc,2604i,2604i,25bnu,25bnu;g,1io20,2adi0,29su0,2adi0,29zcc,29zcc,29zcc,29zcc;2,2h600,35oqc,35oqc,35oqc,35oqc,35oqc,35oqc,35oqc;2,2hg00,354k6,354k6,354k6,354k6,354k6,354k6,354k6;8,yofc,1r5l6,1mjbo,1mjbo,1mri6,1r5l6,1mjbo,1mjbo;8,y13c,1qqxc,1lq70,1lq70,1m40c,1qqxc,1lq70,1lq70;8,z8fc,1n060,1j6qu,1jcxc,1j6qu,1n060,1j6qu,1jcxc;8,zz3c,1g0lu,1dhwc,1cwo0,1dhwc,1g0lu,1dhwc,1cwo0;8,zvhc,1f4co,1ci9c,1bjdi,1cito,1f4co,1ci9c,1bjdi;8,1025c,1ezm6,1cthc,1beu6,1cthc,1ezm6,1cthc,1beu6;2,2cb00,34xs0,34xs0,34xs0,34xs0,34xs0,34xs0,34xs0;8,y13c,1r650,1mh80,1mh80,1mh80,1r650,1mh80,1mh80;8,x30o,1qwbo,1ligo,1ligo,1lwa0,1qwbo,1ligo,1ligo;8,xm3c,1n1r0,1ikho,1irgc,1ikho,1n1r0,1ikho,1irgc;8,yq00,1fzs6,1d3uo,1cdbo,1d3uo,1fzs6,1d3uo,1cdbo;8,yl3c,1fc7i,1c3wc,1b4ro,1c4go,1fc7i,1c3wc,1b4ro;8,yu2o,1f3bc,1ca0o,1atuc,1ca0o,1f3bc,1ca0o,1atuc;8,wt40,1qxi6,1lfcc,1lfcc,1lniu,1qxi6,1lfcc,1lfcc;8,y6dc,1q7d0,1lnr0,1lnr0,1lnr0,1q7d0,1lnr0,1lnr0;8,ypco,1misi,1ijmu,1ip8c,1ijmu,1misi,1ijmu,1ip8c;8,yq3c,1fh3u,1civ0,1byjc,1civ0,1fh3u,1civ0,1byjc;8,y63c,1et3i,1buki,1ayai,1bzmu,1et3i,1buki,1ayai;8,yofc,1eu3u,1c426,1awu6,1cato,1eu3u,1c426,1awu6;5x,vxw0,1wn7c,1wn7c,1wn7c,1wn7c,1wn7c,1wn7c,1wn7c;5x,u9a0,1xufo,1xufo,1zev0,1xufo,1xufo,1xufo,1zev0;5x,qao0,1ykso,1ykso,24q80,1ykso,1ykso,1ykso,24q80;5x,oxq0,1yg2o,1yg2o,264go,1yg2o,1yg2o,1yg2o,264go;5x,p140,1yzfo,1yzfo,26nto,1yzfo,1yzfo,1yzfo,26nto;5x,tpu0,1xkgc,1xkgc,1z5yc,1xkgc,1xkgc,1xkgc,1z5yc;5x,rhu0,1yibc,1yibc,24mbc,1yibc,1yibc,1yibc,24mbc;w,ozq0,1yzs0,1yzs0,25zmo,1yzs0,1yzs0,1yzs0,25zmo;5x,oyo0,1zmn0,1zmn0,26mho,1zmn0,1zmn0,1zmn0,26mho;5x,pso0,215bo,1zsec,25rzo,1zsec,215bo,1zsec,25rzo;2,qr20,246kc,246kc,29hp0,246kc,246kc,246kc,29hp0;5x,o8i0,24o8c,24o8c,29zd0,24o8c,24o8c,24o8c,29zd0;2,15m20,2iqwc,2iqwc,2jfd0,2iqwc,2iqwc,2iqwc,2jfd0;2,16620,2j99c,2j99c,2jxq0,2j99c,2j99c,2j99c,2jxq0;2,1io20,2nnfc,2nnfc,2nnfc,2nnfc,2nnfc,2nnfc,2nnfc;3k,2h600,31gao,31gao,31gao,3043i,31gao,31gao,31gao;3k,2hg00,31wzi,31wzi,31wzi,30qro,31wzi,31wzi,31wzi;x,yofc,288y6,23tji,1xpuo,1ty2c,23tji,1xpuo,288y6;x,y13c,27n76,23m80,1x640,1ufec,23m80,1x640,27n76;x,z8fc,26xzc,22wm0,1y8z6,1tzgc,22wm0,1y8z6,26xzc;x,zz3c,28jdi,27kmc,22k10,1zfi0,27kmc,22k10,28jdi;x,zvhc,2bzxu,2b9f6,251hc,21qao,2b9f6,251hc,2bzxu;x,1025c,2bjeu,2b1p6,25hjo,224qu,2b1p6,25hjo,2bjeu;3k,2cb00,2z2x0,2z2x0,2z2x0,2xb4u,2z2x0,2z2x0,2z2x0;x,y13c,28216,23mn6,1wytc,1qfj0,23mn6,1wytc,28216;x,x30o,27dni,23cmo,1watc,1sxoo,23cmo,1watc,27dni;x,xm3c,260bu,224ao,1wgy0,1ry50,224ao,1wgy0,260bu;x,yq00,27tyo,26ypi,21cho,1y2du,26ypi,21cho,27tyo;x,yl3c,2bguu,2aqli,23v1c,20bac,2aqli,23v1c,2bguu;x,yu2o,2b2m0,2aok6,248do,20qe6,2aok6,248do,2b2m0;x,wt40,272cc,22jb0,1vce0,1shm0,22jb0,1vce0,272cc;x,y6dc,27gpo,23fmi,1x1oo,1qybo,23fmi,1x1oo,27gpo;x,ypco,261t6,223vi,1x5hu,1stvo,223vi,1x5hu,261t6;x,yq3c,27jpi,26s7i,214p0,1xwxi,26s7i,214p0,27jpi;x,y63c,2avb6,2aaji,23rxc,207xo,2aaji,23rxc,2avb6;x,yofc,2an90,2acmc,243gc,20l1c,2acmc,243gc,2an90;2a,vxw0,1o8h0,1o8h0,1o8h0,1ihco,1o8h0,1o8h0,1o8h0;2a,u9a0,1pk9c,1nzu0,1pk9c,1gwi0,1nzu0,1pk9c,1pk9c;2a,qao0,1x81c,1sz8c,1tkh6,1enx0,1sz8c,1tkh6,1x81c;2a,oxq0,20ekc,1ugg0,1ycs0,1ky5u,1ugg0,1ycs0,20ekc;2a,p140,20efc,1u11o,1yqe6,1kvp6,1u11o,1yqe6,20efc;2a,tpu0,1p9ko,1no2o,1p9ko,1glso,1no2o,1p9ko,1p9ko;2a,rhu0,1wfjo,1rp50,1wdbi,1k1p0,1rp50,1wdbi,1wfjo;c,ozq0,20vrc,1uxzo,1w4di,1gc0o,1uxzo,1w4di,20vrc;2a,oyo0,20a5c,1u5pc,1ybdu,1kqp0,1u5pc,1ybdu,20a5c;2a,pso0,1x8l0,1u6fc,1wkuu,1jao0,1u6fc,1wkuu,1x8l0;3k,qr20,22lmc,1wm10,22lmc,1v9so,1wm10,22lmc,22lmc;2a,o8i0,200mi,1u7fo,200mi,1po50,1u7fo,200mi,200mi;3k,15m20,28cvi,275tc,28cvi,25s4i,275tc,28cvi,28cvi;3k,16620,27q4i,26lq6,27q4i,24q1i,26lq6,27q4i,27q4i;3k,1io20,2gg20,2gg20,2ga40,2fro0,2gg20,2ga40,2gg20;4,255s0,255s0,255s0,255s0,255s0,255s0,255s0;3,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;4,5k00,5y20,5y20,5y20,5y20,5y20,5y20;3,36b0,4vcu,4th0,4vcu,4th0,4vcu,4vcu;2o,3sqo,5viu,4abo,5viu,4abo,5viu,5viu;2o,4r2o,732o,4s20,732o,4s20,732o,732o;2o,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;4,255s0,255s0,255s0,255s0,255s0,255s0,255s0;4,5k00,5tti,5tti,5tti,5tti,5tti,5tti;3,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;3,34t0,4rwo,4pz0,4rwo,4pz0,4rwo,4rwo;2o,3veo,5yuu,49iu,5yuu,49iu,5yuu,5yuu;2o,4kvc,6x4c,4m96,6x4c,4m96,6x4c,6x4c;2o,4qeo,6ylu,4qeo,6ylu,4qeo,6ylu,6ylu;3,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;4,5k00,5tti,5tti,5tti,5tti,5tti,5tti;3s,660o,bb0c,7qeu,bb0c,bb0c,bb0c,7qeu;3s,6hvc,bpto,7l60,bpto,bpto,bpto,7l60;3s,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;3s,6j5c,brko,81di,brko,brko,brko,81di;3s,6k5c,buko,839c,buko,buko,buko,839c;4,5k00,5y20,5y20,5y20,5y20,5y20,5y20;3,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;3s,660o,bb0c,7qeu,bb0c,bb0c,bb0c,7qeu;3s,6ajc,bhno,7ef0,bhno,bhno,bhno,7ef0;3s,6f7c,blho,7hl0,blho,blho,blho,7hl0;3s,6e5c,bsgc,8486,bsgc,bkko,bsgc,8c3u;3s,6htc,bwsc,7zlc,bwsc,bowo,bwsc,87h0;3,36b0,4th0,4vcu,4th0,4th0,4vcu,4th0;3,34t0,4pz0,4rwo,4pz0,4pz0,4rwo,4pz0;3s,6hvc,bpto,7l60,bpto,bpto,bpto,7l60;3s,6ajc,bhno,7ef0,bhno,bhno,bhno,7ef0;3s,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;3s,6p5c,byyo,7qr6,byyo,byyo,byyo,7qr6;3s,6ohc,c14o,7zru,c14o,c14o,c14o,7zru;g,3sqo,4abo,4hvi,4abo,4abo,4hvi,4abo;g,3veo,49iu,4hfu,49iu,49iu,4hfu,49iu;3s,6kjc,bsno,6wm6,bsno,bsno,bsno,7vco;3s,6f7c,blho,6zju,blho,blho,blho,7hl0;3s,6njc,byjo,6y9i,byjo,byjo,byjo,7p4o;3s,6shc,c24o,7ab0,c24o,c24o,c24o,7ab0;3s,6vtc,c6ao,7e9u,c6ao,c6ao,c6ao,7e9u;g,4r2o,4s20,4zqo,4s20,4s20,51po,4s20;g,4kvc,4m96,4uqo,4m96,4m96,4v1o,4m96;3s,6j5c,brko,6oy0,brko,brko,brko,81di;3s,6e5c,bkko,6tbo,bkko,bkko,bsgc,8486;3s,6p5c,byyo,6t0u,byyo,byyo,byyo,7qr6;3s,6shc,c24o,6vcu,c24o,c24o,c24o,7ab0;3s,6tyo,c4zc,6yio,c4zc,c4zc,c4zc,6yio;g,4sqo,4sqo,4wto,4sqo,4sqo,507o,4sqo;g,4qeo,4qeo,4vno,4qeo,4qeo,4ydo,4qeo;3s,6k5c,buko,6pq6,buko,buko,buko,839c;3s,6htc,bowo,6tfu,bowo,bowo,bwsc,7zlc;3s,6ohc,c14o,6s5o,c14o,c14o,c14o,7zru;3s,6vtc,c6ao,6xiu,c6ao,c6ao,c6ao,7e9u;3s,6tyo,c4zc,6wpu,c4zc,c4zc,c4zc,6yio;4,255s0,255s0,255s0,255s0,255s0,255s0,255s0;3,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;4,5k00,5y20,5y20,5y20,5y20,5y20,5y20;3,36b0,4vcu,4th0,4vcu,4th0,4vcu,4vcu;2o,3sqo,5viu,4abo,5viu,4abo,5viu,5viu;2o,4r2o,732o,4s20,732o,4s20,732o,732o;2o,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;3,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;3,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;3,31x0,4tiu,4pz0,4tiu,4pz0,4tiu,4tiu;2o,3t7c,5x3o,48e0,5x3o,48e0,5x3o,5x3o;2o,4keo,6y5o,4lzo,6y5o,4lzo,6y5o,6y5o;2o,4qqo,70ru,4qqo,70ru,4qqo,70ru,70ru;3,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;3s,677c,bb8o,7qgu,bb8o,bb8o,bb8o,7qgu;3s,68co,befc,7ed0,befc,befc,befc,7ed0;3s,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;3s,6eco,blko,7xj0,blko,blfc,blko,7xoc;3s,6ihc,bpw0,81rc,bpw0,bpqo,bpw0,81wo;3,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;3s,677c,bb8o,7qgu,bb8o,bb8o,bb8o,7qgu;3s,60vc,b52o,76u0,b52o,b52o,b52o,76u0;3s,68io,besc,7chi,besc,besc,besc,7chi;3s,69vc,bo0c,80xo,bo0c,bdko,bo0c,8bdc;3s,69o0,bq5o,7tec,bq5o,bfq0,bq5o,83u0;3,31x0,4pz0,4tiu,4pz0,4pz0,4tiu,4pz0;3s,68co,befc,7ed0,befc,befc,befc,7ed0;3s,60vc,b52o,76u0,b52o,b52o,b52o,76u0;3s,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;3s,6boo,bh3c,7fp0,bh3c,bh3c,bh3c,7fp0;3s,6fhc,bl8o,7s26,bl8o,bl8o,bl8o,7s26;g,3t7c,48e0,4guu,48e0,48e0,4guu,48e0;3s,6fo0,bnz0,6twc,bnz0,bnz0,bnz0,7rg6;3s,68io,besc,6vn0,besc,besc,besc,7chi;3s,6eo0,bkh0,6rg6,bkh0,bkh0,bkh0,7hii;3s,6lo0,brz0,7516,brz0,brz0,brz0,7516;3s,6mc0,buk0,7700,buk0,buk0,buk0,7700;g,4keo,4lzo,4vmo,4lzo,4lzo,4xpo,4lzo;3s,6eco,blfc,6le6,blfc,blfc,blko,7xj0;3s,69vc,bdko,6s2o,bdko,bdko,bo0c,80xo;3s,6boo,bh3c,6i8c,bh3c,bh3c,bh3c,7fp0;3s,6lo0,brz0,6pnc,brz0,brz0,brz0,7516;3s,6jtc,breo,6qb6,breo,breo,breo,6qb6;g,4qqo,4qqo,4vto,4qqo,4qqo,4z7o,4qqo;3s,6ihc,bpqo,6n40,bpqo,bpqo,bpw0,81rc;3s,69o0,bfq0,6qju,bfq0,bfq0,bq5o,7tec;3s,6fhc,bl8o,6km0,bl8o,bl8o,bl8o,7s26;3s,6mc0,buk0,6pnc,buk0,buk0,buk0,7700;3s,6jtc,breo,6ob6,breo,breo,breo,6qb6;4,5k00,5tti,5tti,5tti,5tti,5tti,5tti;3,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;3,34t0,4rwo,4pz0,4rwo,4pz0,4rwo,4rwo;2o,3veo,5yuu,49iu,5yuu,49iu,5yuu,5yuu;2o,4kvc,6x4c,4m96,6x4c,4m96,6x4c,6x4c;2o,4qeo,6ylu,4qeo,6ylu,4qeo,6ylu,6ylu;3,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;3,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;3,31x0,4tiu,4pz0,4tiu,4pz0,4tiu,4tiu;2o,3t7c,5x3o,48e0,5x3o,48e0,5x3o,5x3o;2o,4keo,6y5o,4lzo,6y5o,4lzo,6y5o,6y5o;2o,4qqo,70ru,4qqo,70ru,4qqo,70ru,70ru;3s,632o,b56c,7mro,b56c,b56c,b56c,7mro;3s,667c,b88o,7af0,b88o,b88o,b88o,7af0;3s,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7jeu;3s,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;3s,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;3s,632o,b56c,7mro,b56c,b56c,b56c,7mro;3s,6fq0,blw0,7gt0,blw0,blw0,blw0,7gt0;3s,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;3s,6c7c,bs9c,82ju,bs9c,bm8o,bs9c,88ki;3s,6hvc,bvuc,7zf0,bvuc,bpto,bvuc,85fo;3s,667c,b88o,7af0,b88o,b88o,b88o,7af0;3s,6fq0,blw0,7gt0,blw0,blw0,blw0,7gt0;3s,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;3s,6i00,bqn0,7jxi,bqn0,bqn0,bqn0,7jxi;3s,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;3s,660o,b7rc,6jw6,b7rc,b7rc,b7rc,7jeu;3s,6i7c,bmqo,704u,bmqo,bmqo,bmqo,7jm6;3s,6k00,bp50,6utc,bp50,bp50,bp50,7l0i;3s,6h0o,bprc,70wu,bprc,bprc,bprc,70wu;3s,6j5c,brko,73z6,brko,brko,brko,73z6;3s,64co,b9fc,6e2u,b9fc,b9fc,b9fc,7p86;3s,6c7c,bm8o,6qzo,bm8o,bm8o,bs9c,82ju;3s,6i00,bqn0,6o2i,bqn0,bqn0,bqn0,7jxi;3s,6h0o,bprc,6nqu,bprc,bprc,bprc,70wu;3s,6k5c,buko,6x8o,buko,buko,buko,6x8o;3s,660o,bb0c,6e6i,bb0c,bb0c,bb0c,7rm0;3s,6hvc,bpto,6s6o,bpto,bpto,bvuc,7zf0;3s,6kjc,bsno,6p0o,bsno,bsno,bsno,7vco;3s,6j5c,brko,6nvi,brko,brko,brko,73z6;3s,6k5c,buko,6x8o,buko,buko,buko,6x8o;g,660o,7qeu,8kxu,7qeu,7qeu,8kxu,7qeu;g,6hvc,7l60,8cqc,7l60,7l60,8iui,7l60;g,6kjc,7vco,7xci,7vco,7vco,9s60,7vco;g,6j5c,81di,7xqi,81di,81di,ab8i,81di;g,6k5c,839c,7yr6,839c,839c,a1x6,839c;g,677c,7qgu,8mg6,7qgu,7qgu,8mg6,7qgu;g,68co,7ed0,8an0,7ed0,7ed0,8iac,7ed0;g,6fo0,7rg6,7x6i,7rg6,7rg6,9qmo,7rg6;g,6eco,7xoc,7w20,7xoc,7xj0,aa20,7xoc;g,6ihc,81wo,7ye0,81wo,81rc,a236,81wo;g,632o,7mro,8ie0,7mro,7mro,8ie0,7mro;g,667c,7af0,84z0,7af0,7af0,8bf6,7af0;g,660o,7jeu,7nd0,7jeu,7jeu,9k10,7jeu;g,64co,7p86,7qjc,7p86,7p86,a1ni,7p86;g,660o,7rm0,7q50,7rm0,7rm0,9t2o,7rm0;3,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;3,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;3,4tx0,8prc,8og0,8prc,8og0,8prc,8prc;3,5b0i,8ubo,8t0c,8ubo,8t0c,8ubo,8ubo;3,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;3,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;3,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;3,550i,90ic,90ic,90ic,90ic,90ic,90ic;3,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;3,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;3,56ii,920c,920c,920c,920c,920c,920c;3,54m0,952o,952o,952o,952o,952o,952o;3,4tx0,8og0,8prc,8og0,8og0,8prc,8og0;3,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;3,56ii,920c,920c,920c,920c,920c,920c;4,8c00,9420,9420,9420,9420,9420,9420;3,5b0i,8t0c,8ubo,8t0c,8t0c,8ubo,8t0c;3,550i,90ic,90ic,90ic,90ic,90ic,90ic;3,54m0,952o,952o,952o,952o,952o,952o;4,8c00,9420,9420,9420,9420,9420,9420;g,6ajc,7ef0,885c,7ef0,7ef0,8c16,7ef0;g,6f7c,7hl0,7wqc,7hl0,7hl0,9a60,7hl0;g,6e5c,8c3u,81f6,8c3u,8486,af66,8c3u;g,6htc,87h0,7yn0,87h0,7zlc,a166,87h0;g,60vc,76u0,84zc,76u0,76u0,89qc,76u0;g,68io,7chi,7vho,7chi,7chi,97z0,7chi;g,69vc,8bdc,8090,8bdc,80xo,ad90,8bdc;g,69o0,83u0,7va6,83u0,7tec,9zii,83u0;g,6fq0,7gt0,89kc,7gt0,7gt0,8e76,7gt0;g,6i7c,7jm6,7vx6,7jm6,7jm6,9bpc,7jm6;g,6c7c,88ki,81ri,88ki,82ju,aeii,88ki;g,6hvc,85fo,7y8c,85fo,7zf0,a160,85fo;3,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;3,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;3,4tx0,8prc,8og0,8prc,8og0,8prc,8prc;3,5b0i,8ubo,8t0c,8ubo,8t0c,8ubo,8ubo;3,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;3,505i,8v10,8v10,8v10,8v10,8v10,8v10;3,4zni,8z10,8z10,8z10,8z10,8z10,8z10;3,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;3,535i,91v0,91v0,91v0,91v0,91v0,91v0;4,8c00,963c,963c,963c,963c,963c,963c;3,505i,8v10,8v10,8v10,8v10,8v10,8v10;3,535i,91v0,91v0,91v0,91v0,91v0,91v0;3,5640,94eo,94eo,94eo,94eo,94eo,94eo;3,4zni,8z10,8z10,8z10,8z10,8z10,8z10;4,8c00,963c,963c,963c,963c,963c,963c;3,5640,94eo,94eo,94eo,94eo,94eo,94eo;g,6njc,7p4o,7ofu,7p4o,7p4o,9i9c,7p4o;g,6p5c,7qr6,7pao,7qr6,7qr6,9jgo,7qr6;g,6ohc,7zru,7u3i,7zru,7zru,9wvo,7zru;g,6eo0,7hii,7jpo,7hii,7hii,9cjo,7hii;g,6boo,7fp0,7hx6,7fp0,7fp0,9beo,7fp0;g,6fhc,7s26,7ol6,7s26,7s26,9s1c,7s26;g,6k00,7l0i,7if6,7l0i,7l0i,9egc,7l0i;g,6i00,7jxi,7l9i,7jxi,7jxi,9d1o,7jxi;g,6kjc,7vco,7px0,7vco,7vco,9s60,7vco;3,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;3,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;3,550i,90ic,90ic,90ic,90ic,90ic,90ic;3,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;3,505i,8v10,8v10,8v10,8v10,8v10,8v10;3,4zni,8z10,8z10,8z10,8z10,8z10,8z10;4,8c00,9b60,9b60,9b60,9b60,9b60,9b60;3,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;4,8c00,9b60,9b60,9b60,9b60,9b60,9b60;4,dw00,dw00,dw00,dw00,dw00,dw00,dw00;3,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;4,dw00,dw00,dw00,dw00,dw00,dw00,dw00;g,6shc,7ab0,756i,7ab0,7ab0,84ii,7ab0;g,6vtc,7e9u,78zu,7e9u,7e9u,881o,7e9u;g,6lo0,7516,74ni,7516,7516,8330,7516;g,6mc0,7700,75k0,7700,7700,8300,7700;g,6h0o,70wu,72eo,70wu,70wu,7wto,70wu;g,6j5c,73z6,72no,73z6,73z6,7yjc,73z6;3,56ii,920c,920c,920c,920c,920c,920c;3,54m0,952o,952o,952o,952o,952o,952o;3,535i,91v0,91v0,91v0,91v0,91v0,91v0;4,8c00,963c,963c,963c,963c,963c,963c;4,8c00,9b60,9b60,9b60,9b60,9b60,9b60;3,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;4,rs00,rs00,rs00,rs00,rs00,rs00,rs00;4,rs00,rs00,rs00,rs00,rs00,rs00,rs00;g,6tyo,6yio,6y7c,6yio,6yio,7edo,6yio;g,6jtc,6qb6,6tf0,6qb6,6qb6,7au6,6qb6;g,6k5c,6x8o,7ac0,6x8o,6x8o,7f7c,6x8o;4,8c00,9420,9420,9420,9420,9420,9420;3,5640,94eo,94eo,94eo,94eo,94eo,94eo;4,dw00,dw00,dw00,dw00,dw00,dw00,dw00;4,rs00,rs00,rs00,rs00,rs00,rs00,rs00;3t,47pi,65h0,65h0,65h0,65h0,65h0,65h0;3t,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;3t,3p7i,5k8o,5k8o,5k8o,5k8o,5k8o,5k8o;3t,36b0,4vcu,4th0,4th0,4th0,4vcu,4th0;1s,3sqo,4hvi,4abo,4abo,4abo,4hvi,4abo;1s,4r2o,4z6c,4rho,4rho,4rho,515c,4rho;1s,4sqo,4wto,4sqo,4sqo,4sqo,507o,4sqo;3t,47pi,65h0,65h0,65h0,65h0,65h0,65h0;3t,3rk0,5ln0,5ln0,5ln0,5ln0,5ln0,5ln0;3t,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;3t,34t0,4rwo,4pz0,4pz0,4pz0,4rwo,4pz0;1s,3veo,4hfu,49iu,49iu,49iu,4hfu,49iu;1s,4kvc,4uqo,4m96,4m96,4m96,4v1o,4oni;1s,4qeo,4vno,4qeo,4qeo,4qeo,4ydo,4st0;w,etc0,fj56,fj56,hfni,fj56,fj56,fj56;w,dzc0,ev56,ev56,hcpu,ev56,ev56,ev56;2,660o,7qeu,7qeu,7qeu,8kxu,8kxu,7qeu;2,6hvc,7l60,7l60,7l60,8cqc,8iui,7l60;2,6kjc,6wm6,7vco,7vco,7xci,9660,7vco;2,6j5c,6vy0,81di,81di,7z96,9qdc,81di;2,6k5c,6zs0,839c,839c,7yr6,9mdc,839c;w,dxo0,esq6,esq6,hcei,esq6,esq6,esq6;w,eg00,f7e6,f7e6,hamu,f7e6,f7e6,f7e6;2,660o,7qeu,7qeu,7qeu,8kxu,8kxu,7qeu;2,6ajc,7ef0,7ef0,7ef0,885c,8c16,7ef0;2,6f7c,6zju,7hl0,7hl0,7wqc,8uec,7hl0;2,6e5c,6tbo,8486,8486,81f6,9ub0,8486;2,6htc,76zo,7zlc,7zlc,8580,9idc,7zlc;w,eec0,ezb6,ezb6,gyx0,ezb6,ezb6,ezb6;w,esyo,fb0i,fb0i,gvi0,fb0i,fb0i,fb0i;2,6hvc,7l60,7l60,7rs6,8cqc,8iui,7l60;2,6ajc,7ef0,7ef0,7ky6,885c,8c16,7ef0;2,6njc,71wc,7p4o,7p4o,7t5o,90ho,7p4o;2,6p5c,7uko,7uko,7uko,8ckc,9tgo,8gju;2,6ohc,7hn0,7zru,7zru,86bc,9oqc,8pki;w,erao,f9oi,ew5c,ggio,f9oi,ew5c,f9oi;w,el00,f4n6,er40,ga00,f4n6,er40,f4n6;2,6kjc,7vco,6wm6,7wx0,7xci,9660,7vco;2,6f7c,7hl0,6zju,7ov6,7wqc,8uec,7hl0;2,6njc,7p4o,71wc,7p4o,7t5o,90ho,7p4o;4,6ucc,8xz0,8xz0,8xz0,9yi0,adqc,aa3o;2,6vtc,9150,9150,9150,9xu0,adec,ae2i;w,ejc0,fa26,ejc0,gjni,fa26,el00,fa26;w,ero0,fgq6,ero0,gef0,fgq6,ero0,fgq6;2,6j5c,81di,6vy0,81di,7zp0,9qdc,81di;2,6e5c,8486,6tbo,8486,8456,9ub0,8486;2,6p5c,7uko,7uko,7uko,8ckc,9tgo,8gju;4,6ucc,8xz0,8xz0,8xz0,9yi0,adqc,aa3o;4,8yi0,a1d0,a1d0,a1d0,ba00,ba00,aqic;w,eq00,fgh6,eq00,gkdu,fgh6,eqo0,fgh6;w,etc0,fj56,etc0,ghhi,fj56,etc0,fj56;2,6k5c,839c,6zs0,839c,7z70,9mdc,839c;2,6htc,7zlc,76zo,7zlc,8580,9idc,7zlc;2,6ohc,7zru,7hn0,7zru,86bc,9oqc,8pki;2,6vtc,9150,9150,9150,9xu0,adec,ae2i;4,8yi0,a1d0,a1d0,a1d0,ba00,ba00,aqic;h,47pi,65h0,47pi,65h0,4d2i,65h0,65h0;h,3tyi,5oko,3yji,5oko,3vqi,5oko,5oko;h,3p7i,5k8o,3wyi,5k8o,3v9c,5k8o,5k8o;h,36b0,4vcu,3wyi,4th0,3c2o,4vcu,4th0;1s,3sqo,4hvi,4abo,4abo,3sqo,4hvi,4abo;1s,4r2o,4z6c,4rho,4rho,4r2o,515c,4rho;1s,4sqo,4wto,4sqo,4sqo,4sqo,507o,4sqo;1t,47pi,47pi,65h0,65h0,47pi,65h0,65h0;1t,3tyi,3yji,5oko,5oko,3tyi,5oko,5oko;1t,3p7i,3wyi,5k8o,5k8o,3v9c,5k8o,5k8o;1t,36b0,3wyi,4vcu,4th0,3c2o,4vcu,4th0;g,3sqo,4abo,4hvi,4abo,3sqo,4hvi,4abo;g,4r2o,4rho,4z6c,4rho,4r2o,515c,4rho;g,4sqo,4sqo,4wto,4sqo,4sqo,507o,4sqo;h,47pi,65h0,4b3i,65h0,4aqi,65h0,65h0;h,3rk0,5ln0,3wxu,5ln0,3rk0,5ln0,5ln0;h,3ot0,5ih0,3w0u,5ih0,3slu,5ih0,5ih0;h,34t0,4rwo,3w0u,4pz0,3b5o,4rwo,4pz0;1s,3veo,4hfu,49iu,49iu,3veo,4hfu,49iu;1s,4kvc,4uqo,4m96,4m96,4kvc,4v1o,4oni;1s,4qeo,4vno,4qeo,4qeo,4qeo,4ydo,4st0;1t,47pi,47pi,65h0,65h0,47pi,65h0,65h0;1t,3rk0,3wxu,5ln0,5ln0,3rk0,5ln0,5ln0;1t,3ot0,3w0u,5ih0,5ih0,3slu,5ih0,5ih0;1t,34t0,3w0u,4rwo,4pz0,3b5o,4rwo,4pz0;g,3veo,49iu,4hfu,49iu,3veo,4hfu,49iu;g,4kvc,4m96,4uqo,4m96,4kvc,4v1o,4oni;g,4qeo,4qeo,4vno,4qeo,4qeo,4ydo,4st0;w,etc0,fj56,etc0,hfni,fj56,fj56,fj56;w,dzc0,ev56,e1y0,hcpu,ev56,ev56,ev56;2,660o,7qeu,6g40,7qeu,7a36,8kxu,7qeu;2,6hvc,7l60,734u,7l60,7hci,8iui,7l60;2,6kjc,6wm6,7vco,7vco,7xu0,9660,7vco;2,6j5c,6vy0,81di,81di,7z96,9qdc,81di;2,6k5c,6zs0,839c,839c,7yq0,9mdc,839c;1t,3tyi,3yji,5oko,5oko,42si,5oko,5oko;1t,3rk0,3wxu,5ln0,5ln0,3zru,5ln0,5ln0;y,660o,6g40,7qeu,bb0c,bb0c,bb0c,bb0c;y,6hvc,734u,7l60,bpto,bpto,bpto,bpto;y,6kjc,7vco,6wm6,bsno,bsno,bsno,bsno;y,6j5c,81di,6vy0,brko,brko,brko,brko;y,6k5c,839c,6zs0,buko,buko,buko,buko;w,dxo0,esq6,e1p0,hcei,esq6,esq6,esq6;w,eg00,f7e6,egd0,hamu,f7e6,f7e6,f7e6;2,660o,7qeu,6g40,7qeu,7a7c,8kxu,7qeu;2,6ajc,7ef0,6x1u,7ef0,7aau,8c16,7ef0;2,6f7c,6zju,7hl0,7hl0,7kd6,8uec,7hl0;2,6e5c,6tbo,8486,8486,8806,9ub0,8486;2,6htc,76zo,7zlc,7zlc,8580,9idc,7zlc;1t,3p7i,3wyi,5k8o,5k8o,42ic,5k8o,5k8o;1t,3ot0,3w0u,5ih0,5ih0,3ywo,5ih0,5ih0;y,660o,6g40,7qeu,bb0c,bb0c,bb0c,bb0c;y,6ajc,6x1u,7ef0,bhno,bhno,bhno,bhno;y,6f7c,7hl0,6zju,blho,blho,blho,blho;y,6e5c,8486,6tbo,bkko,bkko,bsgc,bkko;y,6htc,7zlc,76zo,bowo,bowo,bwsc,bowo;w,eec0,ezb6,els0,h0su,ezb6,ezb6,ezb6;w,esyo,fb0i,exhc,gxfo,fb0i,fb0i,fb0i;2,6hvc,7l60,734u,7rs6,84ec,8iui,7l60;2,6ajc,7ef0,6x1u,7ky6,808c,8c16,7ef0;2,6njc,71wc,7p4o,7p4o,8afc,90ho,7p4o;2,6p5c,7uko,7uko,7uko,8ckc,9tgo,8gju;2,6ohc,7hn0,7zru,7zru,89tc,9oqc,8pki;1t,36b0,3yuc,4th0,4vcu,49ji,4vcu,4th0;1t,34t0,3xyi,4pz0,4rwo,48cu,4rwo,4pz0;y,6hvc,734u,7l60,bpto,bpto,bpto,bpto;y,6ajc,6x1u,7ef0,bhno,bhno,bhno,bhno;y,6njc,7p4o,71wc,byjo,byjo,byjo,byjo;y,6p5c,7uko,7uko,byyo,byyo,byyo,corc;y,6ohc,7zru,7hn0,c14o,c14o,c14o,cqxc;w,erao,f9oi,f9oi,i1pu,f9oi,f9oi,f9oi;w,el00,f4n6,f4n6,hzc0,f4n6,f4n6,f4n6;2,6kjc,7vco,7vco,7wx0,9s60,9s60,7vco;2,6f7c,7hl0,7hl0,7ov6,9a60,9a60,7hl0;2,6njc,7p4o,7p4o,7p4o,9i9c,9i9c,7p4o;4,6ucc,8xz0,8xz0,8xz0,9yi0,adqc,aa3o;2,6vtc,9150,9150,9150,9y60,adec,ae2i;3s,3sqo,5viu,4abo,5viu,5viu,5viu,4abo;3s,3veo,5yuu,49iu,5yuu,5yuu,5yuu,49iu;y,6kjc,7vco,7vco,bsno,bsno,bsno,bsno;y,6f7c,7hl0,7hl0,blho,blho,blho,blho;y,6njc,7p4o,7p4o,byjo,byjo,byjo,byjo;4,6ucc,8xz0,8xz0,c24o,c24o,c24o,f1xc;y,6vtc,9150,9150,c6ao,c6ao,c6ao,f63c;w,ejc0,fa26,fa26,iv8i,fa26,fa26,fa26;w,ero0,fgq6,fgq6,ipa6,fgq6,fgq6,fgq6;2,6j5c,81di,81di,81di,ab8i,ab8i,81di;2,6e5c,8c3u,8486,8c3u,af66,af66,8486;2,6p5c,7uko,7uko,7uko,9tgo,9tgo,8gju;4,6ucc,8xz0,8xz0,8xz0,adqc,adqc,aa3o;4,8yi0,a1d0,a1d0,a1d0,ba00,ba00,aqic;3s,4r2o,732o,4rho,732o,732o,732o,4rho;3s,4kvc,6x4c,4m96,6x4c,6x4c,6x4c,4oni;y,6j5c,81di,81di,brko,brko,brko,brko;y,6e5c,8c3u,8486,bsgc,bsgc,bsgc,bkko;y,6p5c,7uko,7uko,byyo,byyo,byyo,corc;4,6ucc,8xz0,8xz0,c24o,c24o,c24o,f1xc;4,8yi0,a1d0,a1d0,ccv0,ccv0,ccv0,fuko;w,eq00,fgh6,fgh6,itg6,fgh6,fgh6,fgh6;w,etc0,fj56,fj56,ipoo,fj56,fj56,fj56;2,6k5c,839c,839c,839c,a1x6,a1x6,839c;2,6htc,87h0,7zlc,87h0,a166,a166,7zlc;2,6ohc,7zru,7zru,7zru,9wvo,9wvo,8pki;2,6vtc,9150,9150,9150,adec,adec,ae2i;4,8yi0,a1d0,a1d0,a1d0,ba00,ba00,aqic;3s,4sqo,72dc,4sqo,72dc,72dc,72dc,4sqo;3s,4qeo,6ylu,4qeo,6ylu,6ylu,6ylu,4st0;y,6k5c,839c,839c,buko,buko,buko,buko;y,6htc,87h0,7zlc,bwsc,bwsc,bwsc,bowo;y,6ohc,7zru,7zru,c14o,c14o,c14o,cqxc;y,6vtc,9150,9150,c6ao,c6ao,c6ao,f63c;4,8yi0,a1d0,a1d0,ccv0,ccv0,ccv0,fuko;3t,47pi,65h0,65h0,65h0,65h0,65h0,65h0;3t,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;3t,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;3t,31x0,4tiu,4pz0,4pz0,4pz0,4tiu,4pz0;1s,3t7c,4guu,48e0,48e0,48e0,4guu,48e0;1s,4keo,4vmo,4lzo,4lzo,4lzo,4xpo,4oou;1s,4qqo,4vto,4qqo,4qqo,4qqo,4z7o,4tfu;w,etc0,fj56,fj56,hfni,fj56,fj56,fj56;w,dl60,ejt6,ejt6,hc7u,ejt6,ejt6,ejt6;2,677c,7qgu,7qgu,7qgu,8mg6,8mg6,7qgu;2,68co,7ed0,7ed0,7ed0,8an0,8iac,7ed0;2,6fo0,6twc,7rg6,7rg6,7x6i,938c,7rg6;2,6eco,6sm0,7xj0,7xj0,7x9u,9ot0,7xj0;2,6ihc,6wlc,81rc,81rc,7ye0,9l1c,81rc;w,dxo0,esq6,esq6,hcei,esq6,esq6,esq6;w,dy4o,et3i,et3i,h9gu,et3i,et3i,et3i;2,677c,7qgu,7qgu,7qgu,8mg6,8mg6,7qgu;2,60vc,76u0,76u0,76u0,84zc,89qc,76u0;2,68io,6vn0,7chi,7chi,7vho,8s20,7chi;2,69vc,6s2o,80xo,80xo,8090,9s00,80xo;2,69o0,74ro,7tec,7tec,82m6,9gao,7tec;w,eec0,ezb6,ezb6,gyx0,ezb6,ezb6,ezb6;w,dq60,efz6,efz6,govu,efz6,efz6,efz6;2,68co,7ed0,7ed0,7ed0,8an0,8iac,7ed0;2,60vc,76u0,76u0,7dd6,84zc,89qc,76u0;2,6eo0,6t30,7hii,7hii,7mvo,8smo,7hii;2,6boo,7l4o,7l4o,7l4o,8950,9nt0,88ko;2,6fhc,78cc,7s26,7s26,7zf6,9gh0,8kxu;w,erao,f9oi,ew5c,ggio,f9oi,ew5c,f9oi;w,dwu0,elb6,e7s0,g7au,elb6,e7s0,elb6;2,6fo0,7rg6,6twc,7rg6,7x6i,938c,7rg6;2,68io,7chi,6vn0,7jro,7vho,8s20,7chi;2,6eo0,7hii,6t30,7hii,7mvo,8smo,7hii;4,6pcc,8rbc,8rbc,8rbc,9q00,a700,a716;4,6vi0,8umo,8umo,8umo,9vfc,ab70,a900;w,ejc0,fa26,ejc0,gjni,fa26,el00,fa26;w,dyi0,ete6,e2d0,ge5i,ete6,e4c0,ete6;2,6eco,7xj0,6sm0,7xj0,7x9u,9ot0,7xj0;2,69vc,80xo,6s6o,80xo,8180,9s00,80xo;2,6boo,7l4o,7l4o,7l4o,8950,9nt0,88ko;4,6pcc,8rbc,8rbc,8rbc,9q00,a700,a716;4,92cc,9wxc,9wxc,9wxc,b7eo,b7eo,anw0;w,eq00,fgh6,eq00,gkdu,fgh6,eqo0,fgh6;w,dzc0,ev56,e1y0,ghti,ev56,e5c0,ev56;2,6ihc,81rc,6wlc,81rc,7ye0,9l1c,81rc;2,69o0,7tec,74ro,7tec,82m6,9gao,7tec;2,6fhc,7s26,78cc,7s26,7zf6,9gh0,8kxu;4,6vi0,8umo,8umo,8umo,9vfc,ab70,a900;4,92cc,9wxc,9wxc,9wxc,b7eo,b7eo,anw0;h,47pi,65h0,47pi,65h0,4d2i,65h0,65h0;h,3tyi,5oko,3yji,5oko,3vqi,5oko,5oko;h,3p7i,5k8o,3wyi,5k8o,3v9c,5k8o,5k8o;h,36b0,4vcu,3wyi,4th0,3c2o,4vcu,4th0;1s,3sqo,4hvi,4abo,4abo,3sqo,4hvi,4abo;1s,4r2o,515c,4rho,4rho,4r2o,515c,4rho;1s,4sqo,507o,4sqo,4sqo,4sqo,507o,4sqo;1t,47pi,47pi,65h0,65h0,4d2i,65h0,65h0;1t,3tyi,3yji,5oko,5oko,3vqi,5oko,5oko;1t,3p7i,3wyi,5k8o,5k8o,3v9c,5k8o,5k8o;1t,36b0,3wyi,4vcu,4th0,3c2o,4vcu,4th0;g,3sqo,4abo,4hvi,4abo,3sqo,4hvi,4abo;g,4r2o,4rho,4z6c,4rho,4r2o,515c,4rho;g,4sqo,4sqo,4wto,4sqo,4sqo,507o,4sqo;h,47pi,65h0,4b3i,65h0,4d2i,65h0,65h0;h,3qt0,5l50,3wfu,5l50,3ro6,5l50,5l50;h,3ok0,5hb0,3vou,5hb0,3uu6,5hb0,5hb0;h,31x0,4tiu,3vou,4pz0,3ce6,4tiu,4pz0;1s,3t7c,4guu,48e0,48e0,3t7c,4guu,48e0;1s,4keo,4xlo,4lzo,4lzo,4keo,4xpo,4oou;1s,4qqo,4z7o,4qqo,4qqo,4qqo,4z7o,4tfu;1t,47pi,47pi,65h0,65h0,4d2i,65h0,65h0;1t,3qt0,3wfu,5l50,5l50,3ro6,5l50,5l50;1t,3ok0,3vou,5hb0,5hb0,3sv0,5hb0,5hb0;1t,31x0,3vou,4tiu,4pz0,3ce6,4tiu,4pz0;g,3t7c,48e0,4guu,48e0,3t8i,4guu,48e0;g,4keo,4lzo,4vmo,4lzo,4keo,4xpo,4oou;g,4qqo,4qqo,4vto,4qqo,4qqo,4z7o,4tfu;w,etc0,fj56,etc0,hfni,fj56,fj56,fj56;w,dl60,ejt6,dqm0,hc7u,ejt6,ejt6,ejt6;2,677c,7qgu,6gr0,7qgu,79ro,8mg6,7qgu;2,68co,7ed0,6vqu,7ed0,7cdi,8iac,7ed0;2,6fo0,6twc,7rg6,7rg6,7vqc,938c,7rg6;2,6eco,6sm0,7xj0,7xj0,7wiu,9ot0,7xj0;2,6ihc,6wlc,81rc,81rc,7ye0,9l1c,81rc;1t,3tyi,3yji,5oko,5oko,42si,5oko,5oko;1t,3qt0,3wfu,5l50,5l50,3yzo,5l50,5l50;y,677c,6gr0,7qgu,bb8o,bb8o,bb8o,bb8o;y,68co,6vqu,7ed0,befc,befc,befc,befc;y,6fo0,7rg6,6twc,bnz0,bnz0,bnz0,bnz0;y,6eco,7xj0,6sm0,blfc,blfc,blko,blfc;y,6ihc,81rc,6wlc,bpqo,bpqo,bpw0,bpqo;w,dxo0,esq6,e1p0,hcei,esq6,esq6,esq6;w,dy4o,et3i,e22c,h9gu,et3i,et3i,et3i;2,677c,7qgu,6gr0,7qgu,7dli,8mg6,7qgu;2,60vc,76u0,6ppu,76u0,78gu,89qc,76u0;2,68io,6vn0,7chi,7chi,7iiu,8s20,7chi;2,69vc,6s2o,80xo,80xo,87l0,9s00,80xo;2,69o0,74ro,7tec,7tec,82m6,9gao,7tec;1t,3p7i,3wyi,5k8o,5k8o,42ic,5k8o,5k8o;1t,3ok0,3vou,5hb0,5hb0,3ztu,5hb0,5hb0;y,677c,6gr0,7qgu,bb8o,bb8o,bb8o,bb8o;y,60vc,6ppu,76u0,b52o,b52o,b52o,b52o;y,68io,7chi,6vn0,besc,besc,besc,besc;y,69vc,80xo,6s2o,bdko,bdko,bo0c,bdko;y,69o0,7tec,74ro,bfq0,bfq0,bq5o,bfq0;w,eec0,ezb6,els0,h0su,ezb6,ezb6,ezb6;w,dq60,efz6,e2g0,gsfo,efz6,efz6,efz6;2,68co,7ed0,6vqu,7ed0,7zw0,8iac,7ed0;2,60vc,76u0,6ppu,7dd6,7uzc,89qc,76u0;2,6eo0,6t30,7hii,7hii,855c,8smo,7hii;2,6boo,7l4o,7l4o,7l4o,8950,9nt0,88ko;2,6fhc,78cc,7s26,7s26,83n0,9gh0,8kxu;1t,36b0,3yuc,4th0,4vcu,49ji,4vcu,4th0;1t,31x0,3z8o,4pz0,4tiu,476u,4tiu,4pz0;y,68co,6vqu,7ed0,befc,befc,befc,befc;y,60vc,6ppu,76u0,b52o,b52o,b52o,b52o;y,6eo0,7hii,6t30,bkh0,bkh0,bkh0,bkh0;y,6boo,7l4o,7l4o,bh3c,bh3c,bh3c,c9z0;y,6fhc,7s26,78cc,bl8o,bl8o,bl8o,ce4c;w,erao,f9oi,f9oi,i1pu,f9oi,f9oi,f9oi;w,dwu0,elb6,elb6,hw0i,elb6,elb6,elb6;2,6fo0,7rg6,7rg6,7rg6,9qmo,9qmo,7rg6;2,68io,7chi,7chi,7jro,97z0,97z0,7chi;2,6eo0,7hii,7hii,7hii,9cjo,9cjo,7hii;4,6pcc,8rbc,8rbc,8rbc,9r8c,a700,a716;4,6vi0,8umo,8umo,8umo,9vfc,ab70,a900;3s,3sqo,5viu,4abo,5viu,5viu,5viu,4abo;3s,3t7c,5x3o,48e0,5x3o,5x3o,5x3o,48e0;y,6fo0,7rg6,7rg6,bnz0,bnz0,bnz0,bnz0;y,68io,7chi,7chi,besc,besc,besc,besc;y,6eo0,7hii,7hii,bkh0,bkh0,bkh0,bkh0;4,6pcc,8rbc,8rbc,brz0,brz0,brz0,etz0;4,6vi0,8umo,8umo,buk0,buk0,buk0,ewk0;w,ejc0,fa26,fa26,iv8i,fa26,fa26,fa26;w,dyi0,ete6,ete6,iqbi,ete6,ete6,ete6;2,6eco,7xoc,7xj0,7xoc,aa20,aa20,7xj0;2,69vc,8bdc,80xo,8bdc,ad90,ad90,80xo;2,6boo,7l4o,7l4o,7l4o,9nt0,9nt0,88ko;4,6pcc,8rbc,8rbc,8rbc,a700,a700,a716;4,92cc,9wxc,9wxc,9wxc,b7eo,b7eo,anw0;3s,4r2o,732o,4rho,732o,732o,732o,4rho;3s,4keo,6y5o,4lzo,6y5o,6y5o,6y5o,4oou;y,6eco,7xoc,7xj0,blko,blko,blko,blfc;y,69vc,8bdc,80xo,bo0c,bo0c,bo0c,bdko;y,6boo,7l4o,7l4o,bh3c,bh3c,bh3c,c9z0;4,6pcc,8rbc,8rbc,brz0,brz0,brz0,etz0;4,92cc,9wxc,9wxc,c1zo,c1zo,c1zo,fmac;w,eq00,fgh6,fgh6,itg6,fgh6,fgh6,fgh6;w,dzc0,ev56,ev56,iruo,ev56,ev56,ev56;2,6ihc,81wo,81rc,81wo,a236,a236,81rc;2,69o0,83u0,7tec,83u0,9zii,9zii,7tec;2,6fhc,7s26,7s26,7s26,9s1c,9s1c,8kxu;4,6vi0,8umo,8umo,8umo,ab70,ab70,a900;4,92cc,9wxc,9wxc,9wxc,b7eo,b7eo,anw0;3s,4sqo,72dc,4sqo,72dc,72dc,72dc,4sqo;3s,4qqo,70ru,4qqo,70ru,70ru,70ru,4tfu;y,6ihc,81wo,81rc,bpw0,bpw0,bpw0,bpqo;y,69o0,83u0,7tec,bq5o,bq5o,bq5o,bfq0;y,6fhc,7s26,7s26,bl8o,bl8o,bl8o,ce4c;4,6vi0,8umo,8umo,buk0,buk0,buk0,ewk0;4,92cc,9wxc,9wxc,c1zo,c1zo,c1zo,fmac;w,dzc0,ev56,ev56,hcpu,ev56,ev56,ev56;w,dl60,ejt6,ejt6,hc7u,ejt6,ejt6,ejt6;2,632o,7mro,7mro,7mro,8ie0,8ie0,7mro;2,667c,7af0,7af0,7af0,84z0,8bf6,7af0;2,660o,6jw6,7jeu,7jeu,7nd0,8wyc,7jeu;2,64co,6jyo,7p86,7p86,7r66,9gbi,7p86;2,660o,6odo,7rm0,7rm0,7q50,9d7c,7rm0;w,eg00,f7e6,f7e6,hamu,f7e6,f7e6,f7e6;w,dy4o,et3i,et3i,h9gu,et3i,et3i,et3i;2,632o,7mro,7mro,7mro,8ie0,8ie0,7mro;2,6fq0,7gt0,7gt0,7gt0,89kc,8e76,7gt0;2,6i7c,704u,7jm6,7jm6,7vx6,8tmo,7jm6;2,6c7c,6qzo,82ju,82ju,81ri,9swc,82ju;2,6hvc,75gc,7zf0,7zf0,84p6,9i4o,7zf0;w,esyo,fb0i,fb0i,gvi0,fb0i,fb0i,fb0i;w,dq60,efz6,efz6,govu,efz6,efz6,efz6;2,667c,7af0,7af0,7h16,84z0,8bf6,7af0;2,6fq0,7gt0,7gt0,7gt0,89kc,8e76,7gt0;2,6k00,6xf0,7l0i,7l0i,7no6,8vmo,7l0i;2,6i00,7pf0,7pf0,7pf0,89ec,9o4o,8aoi;2,6kjc,7d2c,7vco,7vco,82ec,9j4o,8m3o;w,el00,f4n6,er40,ga00,f4n6,er40,f4n6;w,dwu0,elb6,e7s0,g7au,elb6,e7s0,elb6;2,660o,7jeu,6jw6,7kz6,7nd0,8wyc,7jeu;2,6i7c,7jm6,704u,7jm6,7vx6,8tmo,7jm6;2,6k00,7l0i,6xf0,7l0i,7no6,8vmo,7l0i;4,6s60,8plc,8plc,8plc,9sc0,a69o,a3mi;4,6zcc,8tcc,8tcc,8tcc,9xko,aa2o,a6ou;w,ero0,fgq6,ero0,gef0,fgq6,ero0,fgq6;w,dyi0,ete6,e2d0,ge5i,ete6,e4c0,ete6;2,64co,7p86,6jyo,7p86,7s1c,9gbi,7p86;2,6c7c,82ju,6qzo,82ju,81ri,9swc,82ju;2,6i00,7pf0,7pf0,7pf0,89ec,9o4o,8aoi;4,6s60,8plc,8plc,8plc,9sc0,a69o,a3mi;4,8puc,9r10,9r10,9r10,azeo,azeo,allu;w,etc0,fj56,etc0,ghhi,fj56,etc0,fj56;w,dzc0,ev56,e1y0,ghti,ev56,e5c0,ev56;2,660o,7rm0,6odo,7rm0,7r06,9d7c,7rm0;2,6hvc,7zf0,75gc,7zf0,84p6,9i4o,7zf0;2,6kjc,7vco,7d2c,7vco,82ec,9j4o,8m3o;4,6zcc,8tcc,8tcc,8tcc,9xko,aa2o,a6ou;4,8puc,9r10,9r10,9r10,azeo,azeo,allu;h,47pi,65h0,4b3i,65h0,4aqi,65h0,65h0;h,3rk0,5ln0,3wxu,5ln0,3rk0,5ln0,5ln0;h,3ot0,5ih0,3w0u,5ih0,3slu,5ih0,5ih0;h,34t0,4rwo,3w0u,4pz0,3b5o,4rwo,4pz0;1s,3veo,4hfu,49iu,49iu,3veo,4hfu,49iu;1s,4kvc,4v1o,4m96,4oni,4kvc,4v1o,4m96;1s,4qeo,4ydo,4qeo,4st0,4qeo,4ydo,4qeo;1t,47pi,4b3i,65h0,65h0,4aqi,65h0,65h0;1t,3rk0,40bu,5ln0,5ln0,3rk0,5ln0,5ln0;1t,3ot0,3w0u,5ih0,5ih0,3slu,5ih0,5ih0;1t,34t0,3w0u,4rwo,4pz0,3b5o,4rwo,4pz0;g,3veo,49iu,4hfu,49iu,3veo,4hfu,49iu;g,4kvc,4m96,4uqo,4m96,4kvc,4v1o,4m96;g,4qeo,4qeo,4vno,4qeo,4qeo,4ydo,4qeo;h,47pi,65h0,4b3i,65h0,4d2i,65h0,65h0;h,3qt0,5l50,3wfu,5l50,3ro6,5l50,5l50;h,3ok0,5hb0,3vou,5hb0,3uu6,5hb0,5hb0;h,31x0,4tiu,3vou,4pz0,3ce6,4tiu,4pz0;1s,3t7c,4guu,48e0,48e0,3t8i,4guu,48e0;1s,4keo,4w1o,4lzo,4oou,4keo,4xpo,4lzo;1s,4qqo,4yjo,4qqo,4tfu,4qqo,4z7o,4qqo;1t,47pi,4b3i,65h0,65h0,4aqi,65h0,65h0;1t,3qt0,3ztu,5l50,5l50,3r4i,5l50,5l50;1t,3ok0,3vou,5hb0,5hb0,3uu6,5hb0,5hb0;1t,31x0,3vou,4tiu,4pz0,3ce6,4tiu,4pz0;g,3t7c,48e0,4guu,48e0,3t8i,4guu,48e0;g,4keo,4lzo,4vmo,4lzo,4keo,4xpo,4lzo;g,4qqo,4qqo,4vto,4qqo,4qqo,4z7o,4qqo;w,dzc0,ev56,e1y0,hcpu,ev56,ev56,ev56;w,dl60,ejt6,dqm0,hc7u,ejt6,ejt6,ejt6;2,632o,7mro,6cuo,7mro,77c0,8ie0,7mro;2,667c,7af0,6tc0,7af0,79f0,8bf6,7af0;2,660o,6jw6,7jeu,7jeu,7nmo,8wyc,7jeu;2,64co,6jyo,7p86,7p86,7r1c,9gbi,7p86;2,660o,6odo,7rm0,7rm0,7q50,9d7c,7rm0;1t,3rk0,3wxu,5ln0,5ln0,3zru,5ln0,5ln0;1t,3qt0,3wfu,5l50,5l50,3yzo,5l50,5l50;y,632o,6cuo,7mro,b56c,b56c,b56c,b56c;y,667c,6tc0,7af0,b88o,b88o,b88o,b88o;y,660o,7jeu,6jw6,b7rc,b7rc,b7rc,b7rc;y,64co,7p86,6jyo,b9fc,b9fc,b9fc,b9fc;y,660o,7rm0,6odo,bb0c,bb0c,bb0c,bb0c;w,eg00,f7e6,egd0,hamu,f7e6,f7e6,f7e6;w,dy4o,et3i,e22c,h9gu,et3i,et3i,et3i;2,632o,7mro,6cuo,7mro,78vu,8ie0,7mro;2,6fq0,7gt0,70q0,7gt0,7dbc,8e76,7gt0;2,6i7c,704u,7jm6,7jm6,7jto,8tmo,7jm6;2,6c7c,6r3o,82ju,82ju,888c,9t6i,82ju;2,6hvc,75gc,7zf0,7zf0,84p6,9i4o,7zf0;1t,3ot0,3w0u,5ih0,5ih0,3ywo,5ih0,5ih0;1t,3ok0,3vou,5hb0,5hb0,3zxu,5hb0,5hb0;y,632o,6cuo,7mro,b56c,b56c,b56c,b56c;y,6fq0,70q0,7gt0,blw0,blw0,blw0,blw0;y,6i7c,7jm6,704u,bmqo,bmqo,bmqo,bmqo;y,6c7c,82ju,6qzo,bm8o,bm8o,bs9c,bm8o;y,6hvc,7zf0,75gc,bpto,bpto,bvuc,bpto;w,esyo,fb0i,exhc,gxfo,fb0i,fb0i,fb0i;w,dq60,efz6,e2g0,gsfo,efz6,efz6,efz6;2,667c,7af0,6tc0,7h16,7wnc,8bf6,7af0;2,6fq0,7gt0,70q0,7gt0,819c,8e76,7gt0;2,6k00,6xf0,7l0i,7l0i,85ac,8vs0,7l0i;2,6i00,7pf0,7pf0,7pf0,89ec,9o4o,8aoi;2,6kjc,7d2c,7vco,7vco,852c,9j4o,8m3o;1t,34t0,3xyi,4pz0,4rwo,48cu,4rwo,4pz0;1t,31x0,3z8o,4pz0,4tiu,476u,4tiu,4pz0;y,667c,6tc0,7af0,b88o,b88o,b88o,b88o;y,6fq0,70q0,7gt0,blw0,blw0,blw0,blw0;y,6k00,7l0i,6xf0,bp50,bp50,bp50,bp50;y,6i00,7pf0,7pf0,bqn0,bqn0,bqn0,che0;y,6kjc,7vco,7d2c,bsno,bsno,bsno,cjeo;w,el00,f4n6,f4n6,hzc0,f4n6,f4n6,f4n6;w,dwu0,elb6,elb6,hw0i,elb6,elb6,elb6;2,660o,7jeu,7jeu,7kz6,9k10,9k10,7jeu;2,6i7c,7jm6,7jm6,7jm6,9bpc,9bpc,7jm6;2,6k00,7l0i,7l0i,7l0i,9egc,9egc,7l0i;4,6s60,8plc,8plc,8plc,9tro,a69o,a3mi;4,6zcc,8tcc,8tcc,8tcc,9xko,aa2o,a6ou;3s,3veo,5yuu,49iu,5yuu,5yuu,5yuu,49iu;3s,3t7c,5x3o,48e0,5x3o,5x3o,5x3o,48e0;y,660o,7jeu,7jeu,b7rc,b7rc,b7rc,b7rc;y,6i7c,7jm6,7jm6,bmqo,bmqo,bmqo,bmqo;y,6k00,7l0i,7l0i,bp50,bp50,bp50,bp50;4,6s60,8plc,8plc,bprc,bprc,bprc,esh0;4,6zcc,8tcc,8tcc,brko,brko,brko,euac;w,ero0,fgq6,fgq6,ipa6,fgq6,fgq6,fgq6;w,dyi0,ete6,ete6,iqbi,ete6,ete6,ete6;2,64co,7p86,7p86,7p86,a1ni,a1ni,7p86;2,6c7c,88ki,82ju,88ki,aeii,aeii,82ju;2,6i00,7pf0,7pf0,7pf0,9o4o,9o4o,8aoi;4,6s60,8plc,8plc,8plc,a69o,a69o,a3mi;4,8puc,9r10,9r10,9r10,azeo,azeo,allu;3s,4kvc,6x4c,4m96,6x4c,6x4c,6x4c,4m96;3s,4keo,6y5o,4lzo,6y5o,6y5o,6y5o,4lzo;y,64co,7p86,7p86,b9fc,b9fc,b9fc,b9fc;y,6c7c,88ki,82ju,bs9c,bs9c,bs9c,bm8o;y,6i00,7pf0,7pf0,bqn0,bqn0,bqn0,che0;4,6s60,8plc,8plc,bprc,bprc,bprc,esh0;4,8puc,9r10,9r10,c0lc,c0lc,c0lc,fo1c;w,etc0,fj56,fj56,ipoo,fj56,fj56,fj56;w,dzc0,ev56,ev56,iruo,ev56,ev56,ev56;2,660o,7rm0,7rm0,7rm0,9t2o,9t2o,7rm0;2,6hvc,85fo,7zf0,85fo,a160,a160,7zf0;2,6kjc,7vco,7vco,7vco,9s60,9s60,8m3o;4,6zcc,8tcc,8tcc,8tcc,aa2o,aa2o,a6ou;4,8puc,9r10,9r10,9r10,azeo,azeo,allu;3s,4qeo,6ylu,4qeo,6ylu,6ylu,6ylu,4qeo;3s,4qqo,70ru,4qqo,70ru,70ru,70ru,4qqo;y,660o,7rm0,7rm0,bb0c,bb0c,bb0c,bb0c;y,6hvc,85fo,7zf0,bvuc,bvuc,bvuc,bpto;y,6kjc,7vco,7vco,bsno,bsno,bsno,cjeo;4,6zcc,8tcc,8tcc,brko,brko,brko,euac;4,8puc,9r10,9r10,c0lc,c0lc,c0lc,fo1c;1s,660o,8kxu,7qeu,7qeu,7qeu,8kxu,7qeu;1s,677c,8mg6,7qgu,7qgu,7qgu,8mg6,7qgu;1s,632o,8ie0,7mro,7mro,7mro,8ie0,7mro;3t,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;3t,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;3t,4tx0,8prc,8og0,8og0,8og0,8prc,8og0;3t,5b0i,8ubo,8t0c,8t0c,8t0c,8ubo,8t0c;1s,6hvc,8cqc,7l60,7rs6,7l60,8iui,7l60;1s,68co,8an0,7ed0,7ed0,7ed0,8iac,7ed0;1s,667c,84z0,7af0,7h16,7af0,8bf6,7af0;3t,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;3t,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;3t,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,9pw0;3t,550i,90ic,90ic,90ic,90ic,90ic,9sq0;1s,6kjc,7xci,6wm6,7wx0,7vco,9660,7vco;1s,6fo0,7x6i,6twc,7rg6,7rg6,938c,7rg6;1s,660o,7nd0,6jw6,7kz6,7jeu,8wyc,7jeu;3t,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;3t,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;4,6w0c,920c,920c,920c,920c,920c,c4q0;4,6muc,952o,952o,952o,952o,952o,c7sc;1s,6j5c,7y6c,6pl0,81di,81di,9q3o,81di;1s,6eco,7w20,6le6,7xj0,7xj0,9n96,7xj0;1s,64co,7rei,6e2u,7p86,7p86,9gbi,7p86;3t,4tx0,8og0,8prc,8og0,8og0,8prc,8og0;3t,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,9pw0;4,6w0c,920c,920c,920c,920c,920c,c4q0;4,7q0c,95io,95io,95io,95io,95io,cyzc;1s,6k5c,7z70,6qv6,839c,839c,9mdc,839c;1s,6ihc,7ye0,6n40,81rc,81rc,9l1c,81rc;1s,660o,7r06,6eq6,7rm0,7rm0,9d7c,7rm0;3t,5b0i,8t0c,8ubo,8t0c,8t0c,8ubo,8t0c;3t,550i,90ic,90ic,90ic,90ic,90ic,9sq0;4,6muc,952o,952o,952o,952o,952o,c7sc;4,7q0c,95io,95io,95io,95io,95io,cyzc;4,etc0,fj56,etc0,fj56,fj56,fj56,hfni;4,dzc0,ev56,e1y0,ev56,ev56,ev56,hcpu;3s,660o,bb0c,6g40,bb0c,bb0c,bb0c,7qeu;3s,6hvc,bpto,734u,bpto,bpto,bpto,7l60;3s,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;3s,6j5c,brko,81di,brko,brko,brko,81di;3s,6k5c,buko,839c,buko,buko,buko,839c;4,etc0,etc0,fj56,fj56,fj56,fj56,hfni;4,dzc0,e5c0,ev56,ev56,ev56,ev56,hcpu;3s,660o,bb0c,7qeu,bb0c,bb0c,bb0c,7qeu;3s,6hvc,bpto,7l60,bpto,bpto,bpto,7l60;3s,6kjc,bsno,6wm6,bsno,bsno,bsno,7vco;3s,6j5c,brko,6oy0,brko,brko,brko,81di;3s,6k5c,buko,6pq6,buko,buko,buko,839c;4,etc0,fj56,etc0,fj56,fj56,fj56,hfni;4,dl60,ejt6,dqm0,ejt6,ejt6,ejt6,hc7u;3s,677c,bb8o,6gr0,bb8o,bb8o,bb8o,7qgu;3s,68co,befc,6vqu,befc,befc,befc,7ed0;3s,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;3s,6eco,blko,7xj0,blfc,blfc,blko,7xj0;3s,6ihc,bpw0,81rc,bpqo,bpqo,bpw0,81rc;4,etc0,etc0,fj56,fj56,fj56,fj56,hfni;4,dl60,du00,ejt6,ejt6,ejt6,ejt6,hc7u;3s,677c,bb8o,7qgu,bb8o,bb8o,bb8o,7qgu;3s,68co,befc,7ed0,befc,befc,befc,7ed0;3s,6fo0,bnz0,6twc,bnz0,bnz0,bnz0,7rg6;3s,6eco,blfc,6le6,blfc,blfc,blko,7xj0;3s,6ihc,bpqo,6n40,bpqo,bpqo,bpw0,81rc;4,dzc0,ev56,e1y0,ev56,ev56,ev56,hcpu;4,dl60,ejt6,dqm0,ejt6,ejt6,ejt6,hc7u;3s,632o,b56c,6cuo,b56c,b56c,b56c,7mro;3s,667c,b88o,6tc0,b88o,b88o,b88o,7af0;3s,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7jeu;3s,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;3s,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;4,dzc0,e1y0,ev56,ev56,ev56,ev56,hcpu;4,dl60,dqm0,ejt6,ejt6,ejt6,ejt6,hc7u;3s,632o,b56c,7mro,b56c,b56c,b56c,7mro;3s,667c,b88o,7af0,b88o,b88o,b88o,7af0;3s,660o,b7rc,6jw6,b7rc,b7rc,b7rc,7jeu;3s,64co,b9fc,6e2u,b9fc,b9fc,b9fc,7p86;3s,660o,bb0c,6e6i,bb0c,bb0c,bb0c,7rm0;1s,660o,8kxu,6g40,7qeu,7qeu,8kxu,7qeu;1s,677c,8mg6,6gr0,7qgu,7qgu,8mg6,7qgu;1s,632o,8ie0,6cuo,7mro,7mro,8ie0,7mro;h,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;h,5kb0,8qmo,5r0u,8qmo,6jq0,8qmo,8qmo;h,4tx0,8prc,5nxc,8og0,77xc,8prc,8og0;h,5b0i,8ubo,5u1i,8t0c,6ve6,8ubo,8t0c;g,660o,6g40,8kxu,7qeu,7qeu,8kxu,7qeu;g,677c,6gr0,8mg6,7qgu,7qgu,8mg6,7qgu;g,632o,6cuo,8ie0,7mro,7mro,8ie0,7mro;1t,64gi,64gi,8l2c,8l2c,64gi,8l2c,8l2c;1t,5kb0,5r0u,8qmo,8qmo,6jq0,8qmo,8qmo;1t,4tx0,5u1i,8prc,8og0,77xc,8prc,8og0;1t,5b0i,5u1i,8ubo,8t0c,6ve6,8ubo,8t0c;1s,6hvc,8iui,734u,7rs6,7l60,8iui,7l60;1s,68co,8iac,6vqu,7ed0,7ed0,8iac,7ed0;1s,667c,8bf6,6tc0,7h16,7af0,8bf6,7af0;h,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;h,52wi,8yp0,5r9c,8yp0,6q06,8yp0,8yp0;h,5e9i,8xoc,6au6,8xoc,6xu6,8xoc,9pw0;h,550i,90ic,609c,90ic,6ppi,90ic,9sq0;g,6hvc,734u,8cqc,7l60,7l60,8iui,7l60;g,68co,6vqu,8an0,7ed0,7ed0,8iac,7ed0;g,667c,6tc0,84z0,7af0,7af0,8bf6,7af0;1t,64gi,6clu,8l2c,8l2c,64gi,8l2c,8l2c;1t,52wi,6b96,8yp0,8yp0,6q06,8yp0,8yp0;1t,5e9i,6au6,8xoc,8xoc,6xu6,8xoc,9pw0;1t,550i,64yi,90ic,90ic,6ppi,90ic,9sq0;1s,6kjc,9s60,7vco,7wx0,7vco,9s60,7vco;1s,6fo0,9qmo,7rg6,7rg6,7rg6,9qmo,7rg6;1s,660o,9k10,7jeu,7kz6,7jeu,9k10,7jeu;h,5kb0,8qmo,5r0u,8qmo,6jq0,8qmo,8qmo;h,52wi,8yp0,5r9c,8yp0,6q06,8yp0,8yp0;4,6w0c,920c,7dn6,920c,8kdi,920c,c4q0;4,6muc,952o,7b6c,952o,8gqo,952o,c7sc;g,6kjc,7vco,7xci,7vco,7vco,9s60,7vco;g,6fo0,7rg6,7x6i,7rg6,7rg6,9qmo,7rg6;g,660o,7jeu,7nd0,7jeu,7jeu,9k10,7jeu;1t,5kb0,7bto,8qmo,8qmo,6jq0,8qmo,8qmo;1t,52wi,7hcu,8yp0,8yp0,6q06,8yp0,8yp0;4,6w0c,7dn6,920c,920c,8kdi,920c,c4q0;4,6muc,7d0c,952o,952o,8gqo,952o,c7sc;1s,6j5c,ab8i,81di,81di,81di,ab8i,81di;1s,6eco,aa20,7xj0,7xoc,7xoc,aa20,7xj0;1s,64co,a1ni,7p86,7p86,7p86,a1ni,7p86;h,4tx0,8prc,5nxc,8prc,798o,8prc,8og0;h,5e9i,8xoc,6au6,8xoc,6xu6,8xoc,9pw0;4,6w0c,920c,7dn6,920c,8kdi,920c,c4q0;4,7q0c,95io,7rnc,95io,93vo,95io,cyzc;g,6j5c,81di,7xqi,81di,81di,ab8i,81di;g,6eco,7xoc,7w20,7xoc,7xoc,aa20,7xj0;g,64co,7p86,7qjc,7p86,7p86,a1ni,7p86;1t,4tx0,7zxc,8og0,8prc,798o,8prc,8og0;1t,5e9i,7i1i,8xoc,8xoc,6xu6,8xoc,9pw0;4,6w0c,7jn6,920c,920c,8kdi,920c,c4q0;4,7q0c,7rnc,95io,95io,93vo,95io,cyzc;1s,6k5c,a1x6,839c,839c,839c,a1x6,839c;1s,6ihc,a236,81rc,81wo,81wo,a236,81rc;1s,660o,9t2o,7rm0,7rm0,7rm0,9t2o,7rm0;h,5b0i,8ubo,5u1i,8ubo,6wpi,8ubo,8t0c;h,550i,90ic,609c,90ic,6ppi,90ic,9sq0;4,6muc,952o,7b6c,952o,8gqo,952o,c7sc;4,7q0c,95io,7rnc,95io,93vo,95io,cyzc;g,6k5c,839c,7yr6,839c,839c,a1x6,839c;g,6ihc,81wo,7ye0,81wo,81wo,a236,81rc;g,660o,7rm0,7q50,7rm0,7rm0,9t2o,7rm0;1t,5b0i,7jz6,8t0c,8ubo,6wpi,8ubo,8t0c;1t,550i,7h26,90ic,90ic,6ppi,90ic,9sq0;4,6muc,7j0c,952o,952o,8gqo,952o,c7sc;4,7q0c,7rnc,95io,95io,93vo,95io,cyzc;1s,6ajc,885c,7ef0,7ky6,7ef0,8c16,7ef0;1s,60vc,84zc,76u0,7dd6,76u0,89qc,76u0;1s,6fq0,89kc,7gt0,7gt0,7gt0,8e76,7gt0;3t,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;3t,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;3t,505i,8v10,8v10,8v10,8v10,8v10,9ns0;3t,4zni,8z10,8z10,8z10,8z10,8z10,9rs0;1s,6f7c,7wqc,6zju,7ov6,7hl0,8s6i,7hl0;1s,68io,7vho,6vn0,7jro,7chi,8o6c,7chi;1s,6i7c,7vx6,704u,7jm6,7jm6,8t8u,7jm6;3t,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;3t,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;4,6jic,91v0,91v0,91v0,91v0,91v0,c3v0;4,5n0c,963c,963c,963c,963c,963c,c83c;1s,6e5c,8456,6tbo,8486,8486,9ub0,8486;1s,69vc,8180,6s6o,80xo,80xo,9s00,80xo;1s,6c7c,81ri,6qzo,82ju,82ju,9swc,82ju;3t,4tx0,8og0,8prc,8og0,8og0,8prc,8og0;3t,505i,8v10,8v10,8v10,8v10,8v10,9ns0;4,6jic,91v0,91v0,91v0,91v0,91v0,c3v0;4,8xcc,9u20,9u20,9u20,9u20,9u20,cz5o;1s,6htc,81d0,6tfu,7zlc,7zlc,9hdc,7zlc;1s,69o0,7w96,6sf0,7tec,7tec,9d4o,7tec;1s,6hvc,7y8c,6s6o,7zf0,7zf0,9gyo,7zf0;3t,5b0i,8t0c,8ubo,8t0c,8t0c,8ubo,8t0c;3t,4zni,8z10,8z10,8z10,8z10,8z10,9rs0;4,5n0c,963c,963c,963c,963c,963c,c83c;4,8xcc,9u20,9u20,9u20,9u20,9u20,cz5o;4,dxo0,esq6,e1p0,esq6,esq6,esq6,hcei;4,eg00,f7e6,egd0,f7e6,f7e6,f7e6,hamu;3s,660o,bb0c,6g40,bb0c,bb0c,bb0c,7qeu;3s,6ajc,bhno,6x1u,bhno,bhno,bhno,7ef0;3s,6f7c,blho,7hl0,blho,blho,blho,7hl0;3s,6e5c,bsgc,8486,bkko,bkko,bsgc,8486;3s,6htc,bwsc,7zlc,bowo,bowo,bwsc,7zlc;4,dxo0,e1p0,esq6,esq6,esq6,esq6,hcei;4,eg00,egd0,f7e6,f7e6,f7e6,f7e6,hamu;3s,660o,bb0c,7qeu,bb0c,bb0c,bb0c,7qeu;3s,6ajc,bhno,7ef0,bhno,bhno,bhno,7ef0;3s,6f7c,blho,6zju,blho,blho,blho,7hl0;3s,6e5c,bkko,6tbo,bkko,bkko,bsgc,8486;3s,6htc,bowo,6tfu,bowo,bowo,bwsc,7zlc;4,dxo0,esq6,e1p0,esq6,esq6,esq6,hcei;4,dy4o,et3i,e22c,et3i,et3i,et3i,h9gu;3s,677c,bb8o,6gr0,bb8o,bb8o,bb8o,7qgu;3s,60vc,b52o,6ppu,b52o,b52o,b52o,76u0;3s,68io,besc,7chi,besc,besc,besc,7chi;3s,69vc,bo0c,80xo,bdko,bdko,bo0c,80xo;3s,69o0,bq5o,7tec,bfq0,bfq0,bq5o,7tec;4,dxo0,e1p0,esq6,esq6,esq6,esq6,hcei;4,dy4o,e22c,et3i,et3i,et3i,et3i,h9gu;3s,677c,bb8o,7qgu,bb8o,bb8o,bb8o,7qgu;3s,60vc,b52o,76u0,b52o,b52o,b52o,76u0;3s,68io,besc,6vn0,besc,besc,besc,7chi;3s,69vc,bdko,6s2o,bdko,bdko,bo0c,80xo;3s,69o0,bfq0,6qju,bfq0,bfq0,bq5o,7tec;4,eg00,f7e6,egd0,f7e6,f7e6,f7e6,hamu;4,dy4o,et3i,e22c,et3i,et3i,et3i,h9gu;3s,632o,b56c,6cuo,b56c,b56c,b56c,7mro;3s,6fq0,blw0,70q0,blw0,blw0,blw0,7gt0;3s,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;3s,6c7c,bs9c,82ju,bm8o,bm8o,bs9c,82ju;3s,6hvc,bvuc,7zf0,bpto,bpto,bvuc,7zf0;4,eg00,egd0,f7e6,f7e6,f7e6,f7e6,hamu;4,dy4o,e22c,et3i,et3i,et3i,et3i,h9gu;3s,632o,b56c,7mro,b56c,b56c,b56c,7mro;3s,6fq0,blw0,7gt0,blw0,blw0,blw0,7gt0;3s,6i7c,bmqo,704u,bmqo,bmqo,bmqo,7jm6;3s,6c7c,bm8o,6qzo,bm8o,bm8o,bs9c,82ju;3s,6hvc,bpto,6s6o,bpto,bpto,bvuc,7zf0;1s,660o,8kxu,6g40,7qeu,7qeu,8kxu,7qeu;1s,677c,8mg6,6gr0,7qgu,7qgu,8mg6,7qgu;1s,632o,8ie0,6cuo,7mro,7mro,8ie0,7mro;h,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;h,5kb0,8qmo,5r0u,8qmo,6jq0,8qmo,8qmo;h,4tx0,8prc,5nxc,8og0,77xc,8prc,8og0;h,5b0i,8ubo,5u1i,8t0c,6ve6,8ubo,8t0c;g,660o,6g40,8kxu,7qeu,7qeu,8kxu,7qeu;g,677c,6gr0,8mg6,7qgu,7qgu,8mg6,7qgu;g,632o,6cuo,8ie0,7mro,7mro,8ie0,7mro;1t,64gi,64gi,8l2c,8l2c,64gi,8l2c,8l2c;1t,5kb0,5r0u,8qmo,8qmo,6jq0,8qmo,8qmo;1t,4tx0,5nxc,8prc,8og0,77xc,8prc,8og0;1t,5b0i,5nxc,8ubo,8t0c,6ve6,8ubo,8t0c;1s,6ajc,8c16,6x1u,7ky6,7ef0,8c16,7ef0;1s,60vc,89qc,6ppu,7dd6,76u0,89qc,76u0;1s,6fq0,8e76,70q0,7gt0,7gt0,8e76,7gt0;h,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;h,5dji,8wpo,5ubu,8wpo,69ui,8wpo,8wpo;h,505i,8v10,6b1u,8v10,6yti,8v10,9ns0;h,4zni,8z10,62hi,8z10,6q1u,8z10,9rs0;g,6ajc,6x1u,885c,7ef0,7ef0,8c16,7ef0;g,60vc,6ppu,84zc,76u0,76u0,89qc,76u0;g,6fq0,70q0,89kc,7gt0,7gt0,8e76,7gt0;1t,64gi,6clu,8l2c,8l2c,64gi,8l2c,8l2c;1t,5dji,68j6,8wpo,8wpo,69ui,8wpo,8wpo;1t,505i,6b1u,8v10,8v10,6yti,8v10,9ns0;1t,4zni,62hi,8z10,8z10,6q1u,8z10,9rs0;1s,6f7c,9a60,7hl0,7ov6,7hl0,9a60,7hl0;1s,68io,97z0,7chi,7jro,7chi,97z0,7chi;1s,6i7c,9bpc,7jm6,7jm6,7jm6,9bpc,7jm6;h,5kb0,8qmo,5r0u,8qmo,6jq0,8qmo,8qmo;h,5dji,8wpo,5rdo,8wpo,69ui,8wpo,8wpo;4,6jic,91v0,78ki,91v0,8csu,91v0,c3v0;4,5n0c,963c,6zeo,963c,7vr0,963c,c83c;g,6f7c,7hl0,7wqc,7hl0,7hl0,9a60,7hl0;g,68io,7chi,7vho,7chi,7chi,97z0,7chi;g,6i7c,7jm6,7vx6,7jm6,7jm6,9bpc,7jm6;1t,5kb0,7bto,8qmo,8qmo,6jq0,8qmo,8qmo;1t,5dji,76p6,8wpo,8wpo,69ui,8wpo,8wpo;4,6jic,78ki,91v0,91v0,8csu,91v0,c3v0;4,5n0c,73uo,963c,963c,7vr0,963c,c83c;1s,6e5c,af66,8486,8c3u,8c3u,af66,8486;1s,69vc,ad90,80xo,8bdc,8bdc,ad90,80xo;1s,6c7c,aeii,82ju,88ki,88ki,aeii,82ju;h,4tx0,8prc,5nxc,8prc,798o,8prc,8og0;h,505i,8v10,6b1u,8v10,6yti,8v10,9ns0;4,6jic,91v0,78ki,91v0,8csu,91v0,c3v0;4,8xcc,9u20,8xcc,9u20,9u20,9u20,cz5o;g,6e5c,8c3u,81f6,8c3u,8c3u,af66,8486;g,69vc,8bdc,8090,8bdc,8bdc,ad90,80xo;g,6c7c,88ki,81ri,88ki,88ki,aeii,82ju;1t,4tx0,7zxc,8og0,8prc,798o,8prc,8og0;1t,505i,7mvu,8v10,8v10,6yti,8v10,9ns0;4,6jic,7pqi,91v0,91v0,8csu,91v0,c3v0;4,8xcc,8xcc,9u20,9u20,9u20,9u20,cz5o;1s,6htc,a166,7zlc,87h0,87h0,a166,7zlc;1s,69o0,9zii,7tec,83u0,83u0,9zii,7tec;1s,6hvc,a160,7zf0,85fo,85fo,a160,7zf0;h,5b0i,8ubo,5nxc,8ubo,6wpi,8ubo,8t0c;h,4zni,8z10,5wji,8z10,6q1u,8z10,9rs0;4,5n0c,963c,6zeo,963c,7vr0,963c,c83c;4,8xcc,9u20,8xcc,9u20,9u20,9u20,cz5o;g,6htc,87h0,7yn0,87h0,87h0,a166,7zlc;g,69o0,83u0,7va6,83u0,83u0,9zii,7tec;g,6hvc,85fo,7y8c,85fo,85fo,a160,7zf0;1t,5b0i,7jz6,8t0c,8ubo,6wpi,8ubo,8t0c;1t,4zni,7hti,8z10,8z10,6q1u,8z10,9rs0;4,5n0c,7l0o,963c,963c,7vr0,963c,c83c;4,8xcc,8xcc,9u20,9u20,9u20,9u20,cz5o;1s,6njc,7ofu,6y9i,7p4o,7p4o,8xou,7p4o;1s,6eo0,7jpo,6rg6,7hii,7hii,8rd6,7hii;1s,6k00,7if6,6utc,7l0i,7l0i,8tv0,7l0i;3t,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;3t,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;4,5joc,9b60,9b60,9zmo,9b60,9b60,cayo;4,6ucc,9do0,9do0,a24o,9do0,9do0,cdgo;1s,6p5c,7pao,6t0u,7qr6,7qr6,8x9o,7qr6;1s,6boo,7hx6,6i8c,7fp0,7fp0,8nyi,7fp0;1s,6i00,7l9i,6o2i,7jxi,7jxi,8qd6,7jxi;3t,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;3t,505i,8v10,8v10,8v10,8v10,8v10,8v10;4,5joc,9b60,9b60,9b60,9b60,9b60,cayo;4,6soc,9d5c,9d5c,9d5c,9d5c,9d5c,ccy0;1s,6ohc,7u3i,6s5o,7zru,7zru,9b2c,7zru;1s,6fhc,7ol6,6km0,7s26,7s26,94n0,7s26;1s,6kjc,7px0,6p0o,7vco,7vco,9660,7vco;3t,550i,90ic,90ic,90ic,90ic,90ic,90ic;3t,4zni,8z10,8z10,8z10,8z10,8z10,8z10;4,6ucc,9do0,9do0,9do0,9do0,9do0,cdgo;4,6soc,9d5c,9d5c,9d5c,9d5c,9d5c,ccy0;4,eec0,ezb6,els0,ezb6,ezb6,ezb6,gyx0;4,esyo,fb0i,exhc,fb0i,fb0i,fb0i,gvi0;3s,6hvc,bpto,734u,bpto,bpto,bpto,7rs6;3s,6ajc,bhno,6x1u,bhno,bhno,bhno,7ky6;3s,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;3s,6p5c,byyo,7uko,corc,byyo,byyo,7uko;3s,6ohc,c14o,7zru,cqxc,c14o,c14o,7zru;4,eec0,els0,ezb6,ezb6,ezb6,ezb6,h0su;4,esyo,exhc,fb0i,fb0i,fb0i,fb0i,gxfo;3s,6hvc,bpto,7l60,bpto,bpto,bpto,7rs6;3s,6ajc,bhno,7ef0,bhno,bhno,bhno,7ky6;3s,6njc,byjo,6y9i,byjo,byjo,byjo,7p4o;3s,6p5c,byyo,6t0u,byyo,byyo,byyo,7qr6;3s,6ohc,c14o,6s5o,c14o,c14o,c14o,7zru;4,eec0,ezb6,els0,ezb6,ezb6,ezb6,gyx0;4,dq60,efz6,e2g0,efz6,efz6,efz6,govu;3s,68co,befc,6vqu,befc,befc,befc,7ed0;3s,60vc,b52o,6ppu,b52o,b52o,b52o,7dd6;3s,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;3s,6boo,bh3c,7l4o,c9z0,bh3c,bh3c,7l4o;3s,6fhc,bl8o,7s26,ce4c,bl8o,bl8o,7s26;4,eec0,els0,ezb6,ezb6,ezb6,ezb6,h0su;4,dq60,e2g0,efz6,efz6,efz6,efz6,gsfo;3s,68co,befc,7ed0,befc,befc,befc,7ed0;3s,60vc,b52o,76u0,b52o,b52o,b52o,7dd6;3s,6eo0,bkh0,6rg6,bkh0,bkh0,bkh0,7hii;3s,6boo,bh3c,6i8c,bh3c,bh3c,bh3c,7fp0;3s,6fhc,bl8o,6km0,bl8o,bl8o,bl8o,7s26;4,esyo,fb0i,exhc,fb0i,fb0i,fb0i,gvi0;4,dq60,efz6,e2g0,efz6,efz6,efz6,govu;3s,667c,b88o,6tc0,b88o,b88o,b88o,7h16;3s,6fq0,blw0,70q0,blw0,blw0,blw0,7gt0;3s,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;3s,6i00,bqn0,7pf0,che0,bqn0,bqn0,7pf0;3s,6kjc,bsno,7vco,cjeo,bsno,bsno,7vco;4,esyo,exhc,fb0i,fb0i,fb0i,fb0i,gxfo;4,dq60,e2g0,efz6,efz6,efz6,efz6,gsfo;3s,667c,b88o,7af0,b88o,b88o,b88o,7h16;3s,6fq0,blw0,7gt0,blw0,blw0,blw0,7gt0;3s,6k00,bp50,6utc,bp50,bp50,bp50,7l0i;3s,6i00,bqn0,6o2i,bqn0,bqn0,bqn0,7jxi;3s,6kjc,bsno,6p0o,bsno,bsno,bsno,7vco;1s,6hvc,8cqc,734u,7l60,7l60,8iui,7rs6;1s,68co,8an0,6vqu,7ed0,7ed0,8iac,7ed0;1s,667c,84z0,6tc0,7af0,7af0,8bf6,7h16;h,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;h,52wi,8yp0,5r9c,8yp0,6q06,8yp0,8yp0;h,5e9i,8xoc,6au6,9pw0,6xu6,8xoc,8xoc;h,550i,90ic,609c,9sq0,6ppi,90ic,90ic;g,6hvc,734u,8cqc,7l60,7l60,8iui,7rs6;g,68co,6vqu,8an0,7ed0,7ed0,8iac,7ed0;g,667c,6tc0,84z0,7af0,7af0,8bf6,7h16;1t,64gi,64gi,8l2c,8l2c,64gi,8l2c,8l2c;1t,52wi,5vr6,8yp0,8yp0,6q06,8yp0,8yp0;1t,5e9i,5rho,8xoc,8xoc,6dmi,8xoc,8xoc;1t,550i,5r9c,90ic,90ic,6ppi,90ic,90ic;1s,6ajc,885c,6x1u,7ef0,7ef0,8c16,7ky6;1s,60vc,84zc,6ppu,76u0,76u0,89qc,7dd6;1s,6fq0,89kc,70q0,7gt0,7gt0,8e76,7gt0;h,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;h,5dji,8wpo,5ubu,8wpo,69ui,8wpo,8wpo;h,505i,8v10,6b1u,9ns0,6yti,8v10,8v10;h,4zni,8z10,62hi,9rs0,6q1u,8z10,8z10;g,6ajc,6x1u,885c,7ef0,7ef0,8c16,7ky6;g,60vc,6ppu,84zc,76u0,76u0,89qc,7dd6;g,6fq0,70q0,89kc,7gt0,7gt0,8e76,7gt0;1t,64gi,64gi,8l2c,8l2c,64gi,8l2c,8l2c;1t,5dji,5phi,8wpo,8wpo,69ui,8wpo,8wpo;1t,505i,5umu,8v10,8v10,6lju,8v10,8v10;1t,4zni,5rpi,8z10,8z10,6q1u,8z10,8z10;1s,6njc,9i9c,7p4o,7p4o,7p4o,9i9c,7p4o;1s,6eo0,9cjo,7hii,7hii,7hii,9cjo,7hii;1s,6k00,9egc,7l0i,7l0i,7l0i,9egc,7l0i;h,52wi,8yp0,5ms0,8yp0,6q06,8yp0,8yp0;h,5dji,8wpo,5phi,8wpo,69ui,8wpo,8wpo;4,5joc,9b60,6zeo,9zmo,7vyc,9b60,cayo;4,6ucc,9do0,7ih0,a24o,8pjc,9do0,cdgo;g,6njc,7p4o,7ofu,7p4o,7p4o,9i9c,7p4o;g,6eo0,7hii,7jpo,7hii,7hii,9cjo,7hii;g,6k00,7l0i,7if6,7l0i,7l0i,9egc,7l0i;1t,52wi,7hcu,8yp0,8yp0,6q06,8yp0,8yp0;1t,5dji,76p6,8wpo,8wpo,69ui,8wpo,8wpo;4,5joc,7880,9b60,9b60,7vyc,9b60,cayo;4,6ucc,7ih0,9do0,9do0,8pjc,9do0,cdgo;1s,6p5c,9jgo,7qr6,7qr6,7qr6,9jgo,7qr6;1s,6boo,9beo,7fp0,7fp0,7fp0,9beo,7fp0;1s,6i00,9d1o,7jxi,7jxi,7jxi,9d1o,7jxi;h,5e9i,8xoc,5rho,8xoc,6dmi,8xoc,8xoc;h,505i,8v10,5lqo,8v10,6lju,8v10,8v10;4,5joc,9b60,6zeo,9b60,7vyc,9b60,cayo;4,6soc,9d5c,7ipo,9d5c,8n40,9d5c,ccy0;g,6p5c,7qr6,7pao,7qr6,7qr6,9jgo,7qr6;g,6boo,7fp0,7hx6,7fp0,7fp0,9beo,7fp0;g,6i00,7jxi,7l9i,7jxi,7jxi,9d1o,7jxi;1t,5e9i,79w6,8xoc,8xoc,6dmi,8xoc,8xoc;1t,505i,7eqi,8v10,8v10,6lju,8v10,8v10;4,5joc,77w0,9b60,9b60,7vyc,9b60,cayo;4,6soc,7ipo,9d5c,9d5c,8n40,9d5c,ccy0;1s,6ohc,9wvo,7zru,7zru,7zru,9wvo,7zru;1s,6fhc,9s1c,7s26,7s26,7s26,9s1c,7s26;1s,6kjc,9s60,7vco,7vco,7vco,9s60,7vco;h,550i,90ic,5r9c,90ic,6ppi,90ic,90ic;h,4zni,8z10,5rpi,8z10,6q1u,8z10,8z10;4,6ucc,9do0,7ih0,9do0,8pjc,9do0,cdgo;4,6soc,9d5c,7ipo,9d5c,8n40,9d5c,ccy0;g,6ohc,7zru,7u3i,7zru,7zru,9wvo,7zru;g,6fhc,7s26,7ol6,7s26,7s26,9s1c,7s26;g,6kjc,7vco,7px0,7vco,7vco,9s60,7vco;1t,550i,7h26,90ic,90ic,6ppi,90ic,90ic;1t,4zni,7hti,8z10,8z10,6q1u,8z10,8z10;4,6ucc,7ih0,9do0,9do0,8pjc,9do0,cdgo;4,6soc,7j1o,9d5c,9d5c,8n40,9d5c,ccy0;1s,6shc,756i,6vcu,7ab0,7ab0,80ec,7ab0;1s,6lo0,74ni,6pnc,7516,7516,7y00,7516;1s,6h0o,72eo,6nqu,70wu,70wu,7s8o,70wu;3t,56ii,920c,920c,920c,920c,920c,920c;3t,535i,91v0,91v0,91v0,91v0,91v0,91v0;3t,5bri,9b60,9b60,9b60,9b60,9b60,9zmo;3t,5hz0,9izc,9izc,9izc,9izc,9izc,a7g0;1s,6vtc,77s6,6xiu,7e9u,7e9u,81dc,7e9u;1s,6mc0,75k0,6pnc,7700,7700,7v50,7700;1s,6j5c,72no,6nvi,73z6,73z6,7pto,73z6;3t,54m0,952o,952o,952o,952o,952o,952o;3t,57wi,963c,963c,963c,963c,963c,963c;3t,5dm0,9do0,9do0,9do0,9do0,9do0,a24o;3t,5hz0,9izc,9izc,9izc,9izc,9izc,a7g0;4,erao,f9oi,f9oi,f9oi,ew5c,ew5c,ggio;4,el00,f4n6,f4n6,f4n6,er40,er40,ga00;3s,6kjc,bsno,7vco,bsno,bsno,bsno,7wx0;3s,6f7c,blho,7hl0,blho,blho,blho,7ov6;3s,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;w,6ucc,c24o,8xz0,f1xc,c24o,c24o,8xz0;3s,6vtc,c6ao,9150,f63c,c6ao,c6ao,9150;4,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;4,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;3s,6kjc,bsno,7vco,bsno,bsno,bsno,7wx0;3s,6f7c,blho,7hl0,blho,blho,blho,7ov6;3s,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;3s,6shc,c24o,6vcu,c24o,c24o,c24o,7ab0;3s,6vtc,c6ao,6xiu,c6ao,c6ao,c6ao,7e9u;4,erao,f9oi,f9oi,f9oi,ew5c,ew5c,ggio;4,dwu0,elb6,elb6,elb6,e7s0,e7s0,g7au;3s,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;3s,68io,besc,7chi,besc,besc,besc,7jro;3s,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;w,6pcc,brz0,8rbc,etz0,brz0,brz0,8rbc;w,6vi0,buk0,8umo,ewk0,buk0,buk0,8umo;4,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;4,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;3s,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;3s,68io,besc,7chi,besc,besc,besc,7jro;3s,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;3s,6lo0,brz0,6pnc,brz0,brz0,brz0,7516;3s,6mc0,buk0,6pnc,buk0,buk0,buk0,7700;4,el00,f4n6,f4n6,f4n6,er40,er40,ga00;4,dwu0,elb6,elb6,elb6,e7s0,e7s0,g7au;3s,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7kz6;3s,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;3s,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;w,6s60,bprc,8plc,esh0,bprc,bprc,8plc;w,6zcc,brko,8tcc,euac,brko,brko,8tcc;4,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;4,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;3s,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7kz6;3s,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;3s,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;3s,6h0o,bprc,6nqu,bprc,bprc,bprc,70wu;3s,6j5c,brko,6nvi,brko,brko,brko,73z6;1s,6kjc,7yv6,7vco,7vco,6wm6,9660,7wx0;1s,6fo0,7yec,7rg6,7rg6,6twc,938c,7rg6;1s,660o,7nzu,7jeu,7jeu,6jw6,8wyc,7kz6;h,5kb0,8qmo,5r0u,8qmo,5osc,8qmo,8qmo;h,52wi,8yp0,5r9c,8yp0,5ogu,8yp0,8yp0;w,6w0c,920c,7dn6,c4q0,8kdi,920c,920c;w,6muc,952o,7b6c,c7sc,8gqo,952o,952o;g,6kjc,7vco,7xci,7vco,7vco,9s60,7wx0;g,6fo0,7rg6,7x6i,7rg6,7rg6,9qmo,7rg6;g,660o,7jeu,7nd0,7jeu,7jeu,9k10,7kz6;1t,5kb0,5r0u,8qmo,8qmo,6jq0,8qmo,8qmo;1t,52wi,5vr6,8yp0,8yp0,6q06,8yp0,8yp0;1t,56ii,5m0c,920c,920c,5qz6,920c,920c;1t,54m0,5ls0,952o,952o,5sko,952o,952o;1s,6f7c,7wqc,7hl0,7hl0,6zju,8s6i,7ov6;1s,68io,7vho,7chi,7chi,6vn0,8o6c,7jro;1s,6i7c,7vx6,7jm6,7jm6,704u,8t8u,7jm6;h,5kb0,8qmo,5r0u,8qmo,5kb0,8qmo,8qmo;h,5dji,8wpo,5rdo,8wpo,5p0u,8wpo,8wpo;w,6jic,91v0,78ki,c3v0,8csu,91v0,91v0;w,5n0c,963c,6zeo,c83c,7vr0,963c,963c;g,6f7c,7hl0,7wqc,7hl0,7hl0,9a60,7ov6;g,68io,7chi,7vho,7chi,7chi,97z0,7jro;g,6i7c,7jm6,7vx6,7jm6,7jm6,9bpc,7jm6;1t,5kb0,5r0u,8qmo,8qmo,6jq0,8qmo,8qmo;1t,5dji,5mjc,8wpo,8wpo,69ui,8wpo,8wpo;1t,535i,5h9u,91v0,91v0,61oo,91v0,91v0;1t,57wi,5hao,963c,963c,6160,963c,963c;1s,6njc,8afc,7p4o,7p4o,6y9i,8zxu,7p4o;1s,6eo0,855c,7hii,7hii,6rg6,8sm6,7hii;1s,6k00,85ac,7l0i,7l0i,6utc,8vbu,7l0i;h,52wi,8yp0,5ms0,8yp0,5nwi,8yp0,8yp0;h,5dji,8wpo,5phi,8wpo,5qko,8wpo,8wpo;w,5joc,9b60,6zeo,cayo,7vyc,9b60,9zmo;w,6ucc,9do0,7ih0,cdgo,8pjc,9do0,a24o;g,6njc,7p4o,7ofu,7p4o,7p4o,9i9c,7p4o;g,6eo0,7hii,7jpo,7hii,7hii,9cjo,7hii;g,6k00,7l0i,7if6,7l0i,7l0i,9egc,7l0i;1t,52wi,6b96,8yp0,8yp0,6q06,8yp0,8yp0;1t,5dji,68j6,8wpo,8wpo,69ui,8wpo,8wpo;1t,5bri,61h0,9b60,9b60,6dw0,9b60,9zmo;1t,5dm0,63bo,9do0,9do0,6j7c,9do0,a24o;1s,6shc,84ii,7ab0,7ab0,7ab0,84ii,7ab0;1s,6lo0,8330,7516,7516,7516,8330,7516;1s,6h0o,7wto,70wu,70wu,70wu,7wto,70wu;h,56ii,920c,5m0c,920c,5qz6,920c,920c;h,535i,91v0,5k80,91v0,61oo,91v0,91v0;h,5bri,9b60,61h0,9b60,6dw0,9b60,9zmo;h,5hz0,9izc,6omo,9izc,7c10,9izc,a7g0;g,6shc,7ab0,756i,7ab0,7ab0,84ii,7ab0;g,6lo0,7516,74ni,7516,7516,8330,7516;g,6h0o,70wu,72eo,70wu,70wu,7wto,70wu;1t,56ii,64qo,920c,920c,5qz6,920c,920c;1t,535i,6e3o,91v0,91v0,61oo,91v0,91v0;1t,5bri,69yc,9b60,9b60,6dw0,9b60,9zmo;1t,5hz0,6oao,9izc,9izc,7c10,9izc,a7g0;1s,6vtc,881o,7e9u,7e9u,7e9u,881o,7e9u;1s,6mc0,8300,7700,7700,7700,8300,7700;1s,6j5c,7yjc,73z6,73z6,73z6,7yjc,73z6;h,54m0,952o,5ls0,952o,5sko,952o,952o;h,57wi,963c,5hao,963c,6160,963c,963c;h,5dm0,9do0,63bo,9do0,6j7c,9do0,a24o;h,5hz0,9izc,6oao,9izc,7c10,9izc,a7g0;g,6vtc,7e9u,77s6,7e9u,7e9u,881o,7e9u;g,6mc0,7700,75k0,7700,7700,8300,7700;g,6j5c,73z6,72no,73z6,73z6,7yjc,73z6;1t,54m0,670c,952o,952o,5sko,952o,952o;1t,57wi,6doo,963c,963c,6160,963c,963c;1t,5dm0,6bt0,9do0,9do0,6j7c,9do0,a24o;1t,5hz0,6oao,9izc,9izc,7c10,9izc,a7g0;1s,6tyo,6y7c,6wpu,6z30,6yio,7edo,6yio;1s,6jtc,6tf0,6ob6,6qvi,6qb6,78bo,6qb6;1s,6k5c,6wru,6p6c,6s56,6s56,7ct0,6s56;3t,544i,9420,9420,9420,9420,9420,9420;3t,5640,94eo,94eo,94eo,94eo,94eo,94eo;3t,5b80,9d5c,9d5c,9d5c,9d5c,9d5c,9d5c;3t,5hz0,9izc,9izc,9izc,9izc,9izc,9izc;4,ejc0,fa26,fa26,fa26,el00,el00,gjni;4,ero0,fgq6,fgq6,fgq6,ero0,ero0,gef0;3s,6j5c,brko,81di,brko,brko,brko,81di;3s,6e5c,bkko,8486,bkko,bsgc,bsgc,8486;3s,6p5c,byyo,7uko,corc,byyo,byyo,7uko;w,6ucc,c24o,8xz0,f1xc,c24o,c24o,8xz0;w,8yi0,ccv0,a1d0,fuko,ccv0,ccv0,a1d0;4,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;4,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;3s,6j5c,brko,81di,brko,brko,brko,81di;3s,6e5c,bkko,8486,bsgc,bsgc,bsgc,8c3u;3s,6p5c,byyo,7qr6,byyo,byyo,byyo,7qr6;3s,6shc,c24o,7ab0,c24o,c24o,c24o,7ab0;3s,6tyo,c4zc,6wpu,c4zc,c4zc,c4zc,6yio;4,ejc0,fa26,fa26,fa26,ejc0,el00,gjni;4,dyi0,ete6,ete6,ete6,e2o0,e4c0,ge5i;3s,6eco,blfc,7xj0,blfc,blko,blko,7xj0;3s,69vc,bdko,80xo,bdko,bo0c,bo0c,80xo;3s,6boo,bh3c,7l4o,c9z0,bh3c,bh3c,7l4o;w,6pcc,brz0,8rbc,etz0,brz0,brz0,8rbc;w,92cc,c1zo,9wxc,fmac,c1zo,c1zo,9wxc;4,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;4,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;3s,6eco,blfc,7xj0,blko,blko,blko,7xoc;3s,69vc,bdko,80xo,bo0c,bo0c,bo0c,8bdc;3s,6boo,bh3c,7fp0,bh3c,bh3c,bh3c,7fp0;3s,6lo0,brz0,7516,brz0,brz0,brz0,7516;3s,6jtc,breo,6ob6,breo,breo,breo,6qb6;4,ero0,fgq6,fgq6,fgq6,ero0,ero0,gef0;4,dyi0,ete6,ete6,ete6,e4c0,e4c0,ge5i;3s,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;3s,6c7c,bm8o,82ju,bm8o,bs9c,bs9c,82ju;3s,6i00,bqn0,7pf0,che0,bqn0,bqn0,7pf0;w,6s60,bprc,8plc,esh0,bprc,bprc,8plc;w,8puc,c0lc,9r10,fo1c,c0lc,c0lc,9r10;4,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;4,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;3s,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;3s,6c7c,bm8o,82ju,bs9c,bs9c,bs9c,88ki;3s,6i00,bqn0,7jxi,bqn0,bqn0,bqn0,7jxi;3s,6h0o,bprc,70wu,bprc,bprc,bprc,70wu;3s,6k5c,buko,6p6c,buko,buko,buko,6s56;1s,6j5c,7y6c,81di,81di,6pl0,9q3o,81di;1s,6eco,7w20,7xj0,7xj0,6m16,9n96,7xj0;1s,64co,7rei,7p86,7p86,6e2u,9gbi,7p86;h,4tx0,8og0,5nxc,8og0,5dh0,8prc,8og0;h,5e9i,8xoc,6au6,9pw0,6xu6,8xoc,8xoc;w,6w0c,920c,7dn6,c4q0,8kdi,920c,920c;w,7q0c,95io,7rnc,cyzc,93vo,95io,95io;g,6j5c,81di,7y6c,81di,81di,ab8i,81di;g,6eco,7xj0,7w20,7xoc,7xoc,aa20,7xoc;g,64co,7p86,7rei,7p86,7p86,a1ni,7p86;1t,4tx0,5nxc,8og0,8prc,798o,8prc,8prc;1t,5e9i,5mzu,8xoc,8xoc,6dmi,8xoc,8xoc;1t,56ii,5hii,920c,920c,5nlu,920c,920c;1t,544i,5ef0,9420,9420,5i8i,9420,9420;1s,6e5c,8806,8486,8486,6tbo,9ub0,8486;1s,69vc,87l0,80xo,80xo,6s6o,9s00,80xo;1s,6c7c,888c,82ju,82ju,6r3o,9t6i,82ju;h,4tx0,8og0,5nxc,8og0,5hsi,8prc,8og0;h,505i,8v10,6b1u,9ns0,6yti,8v10,8v10;w,6jic,91v0,78ki,c3v0,8csu,91v0,91v0;w,8xcc,9u20,8xcc,cz5o,9u20,9u20,9u20;g,6e5c,8486,8456,8c3u,8c3u,af66,8c3u;g,69vc,80xo,8180,8bdc,8bdc,ad90,8bdc;g,6c7c,82ju,81ri,88ki,88ki,aeii,88ki;1t,4tx0,5u1i,8og0,8prc,798o,8prc,8prc;1t,505i,5umu,8v10,8v10,6lju,8v10,8v10;1t,535i,5k80,91v0,91v0,61oo,91v0,91v0;1t,5640,5pgo,94eo,94eo,5y0c,94eo,94eo;1s,6p5c,7pao,7qr6,7qr6,6t0u,8x9o,7qr6;1s,6boo,7hx6,7fp0,7fp0,6i8c,8nyi,7fp0;1s,6i00,7l9i,7jxi,7jxi,6o2i,8qd6,7jxi;h,5e9i,8xoc,5rho,8xoc,5mi6,8xoc,8xoc;h,505i,8v10,5lqo,8v10,5dg0,8v10,8v10;w,5joc,9b60,6zeo,cayo,7vyc,9b60,9b60;w,6soc,9d5c,7ipo,ccy0,8n40,9d5c,9d5c;g,6p5c,7qr6,7pao,7qr6,7qr6,9jgo,7qr6;g,6boo,7fp0,7hx6,7fp0,7fp0,9beo,7fp0;g,6i00,7jxi,7l9i,7jxi,7jxi,9d1o,7jxi;1t,5e9i,5mzu,8xoc,8xoc,6dmi,8xoc,8xoc;1t,505i,5lqo,8v10,8v10,6lju,8v10,8v10;1t,5bri,5f9c,9b60,9b60,5j4u,9b60,9b60;1t,5b80,5ehi,9d5c,9d5c,5khu,9d5c,9d5c;1s,6shc,7dnu,7ab0,7ab0,6vcu,80ec,7ab0;1s,6lo0,7bhu,7516,7516,6pnc,7y00,7516;1s,6h0o,79b0,70wu,70wu,6nqu,7s8o,70wu;h,56ii,920c,5m0c,920c,5qz6,920c,920c;h,535i,91v0,5k80,91v0,5nwi,91v0,91v0;h,5bri,9b60,61h0,9zmo,6dw0,9b60,9b60;h,5hz0,9izc,6omo,a7g0,7c10,9izc,9izc;g,6shc,7ab0,756i,7ab0,7ab0,84ii,7ab0;g,6lo0,7516,74ni,7516,7516,8330,7516;g,6h0o,70wu,72eo,70wu,70wu,7wto,70wu;1t,56ii,5lwu,920c,920c,5nlu,920c,920c;1t,535i,5k80,91v0,91v0,61oo,91v0,91v0;1t,5bri,5r0u,9b60,9b60,5j4u,9b60,9b60;1t,5hz0,5v6o,9izc,9izc,6470,9izc,9izc;1s,6tyo,7ajo,6yio,6z30,6yio,7edo,6yio;1s,6jtc,76mc,6qb6,6qvi,6qb6,7au6,6qb6;1s,6k5c,7a50,6s56,6s56,6s56,7ct0,6s56;h,544i,9420,5ef0,9420,5gwc,9420,9420;h,5640,94eo,5pgo,94eo,5y0c,94eo,94eo;h,5b80,9d5c,5p4o,9d5c,5uvo,9d5c,9d5c;h,5hz0,9izc,61go,9izc,64j0,9izc,9izc;g,6tyo,6yio,6y7c,6yio,6yio,7edo,6yio;g,6jtc,6qb6,6tf0,6qb6,6qb6,7au6,6qb6;g,6k5c,6s56,6wru,6s56,6s56,7ct0,6s56;1t,544i,5oxi,9420,9420,5gxi,9420,9420;1t,5640,5pgo,94eo,94eo,5y0c,94eo,94eo;1t,5b80,5t8u,9d5c,9d5c,5khu,9d5c,9d5c;1t,5hz0,5v6o,9izc,9izc,6470,9izc,9izc;4,eq00,fgh6,fgh6,fgh6,eqo0,eqo0,gkdu;4,etc0,fj56,fj56,fj56,etc0,etc0,ghhi;3s,6k5c,buko,839c,buko,buko,buko,839c;3s,6htc,bowo,7zlc,bowo,bwsc,bwsc,7zlc;3s,6ohc,c14o,7zru,cqxc,c14o,c14o,7zru;3s,6vtc,c6ao,9150,f63c,c6ao,c6ao,9150;w,8yi0,ccv0,a1d0,fuko,ccv0,ccv0,a1d0;4,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;4,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;3s,6k5c,buko,839c,buko,buko,buko,839c;3s,6htc,bowo,7zlc,bwsc,bwsc,bwsc,87h0;3s,6ohc,c14o,7zru,c14o,c14o,c14o,7zru;3s,6vtc,c6ao,7e9u,c6ao,c6ao,c6ao,7e9u;3s,6tyo,c4zc,6yio,c4zc,c4zc,c4zc,6z30;4,eq00,fgh6,fgh6,fgh6,eq00,eqo0,gkdu;4,dzc0,ev56,ev56,ev56,e4o0,e5c0,ghti;3s,6ihc,bpqo,81rc,bpqo,bpw0,bpw0,81rc;3s,69o0,bfq0,7tec,bfq0,bq5o,bq5o,7tec;3s,6fhc,bl8o,7s26,ce4c,bl8o,bl8o,7s26;w,6vi0,buk0,8umo,ewk0,buk0,buk0,8umo;w,92cc,c1zo,9wxc,fmac,c1zo,c1zo,9wxc;4,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;4,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;3s,6ihc,bpqo,81rc,bpw0,bpw0,bpw0,81wo;3s,69o0,bfq0,7tec,bq5o,bq5o,bq5o,83u0;3s,6fhc,bl8o,7s26,bl8o,bl8o,bl8o,7s26;3s,6mc0,buk0,7700,buk0,buk0,buk0,7700;3s,6jtc,breo,6qb6,breo,breo,breo,6qvi;4,etc0,fj56,fj56,fj56,etc0,etc0,ghhi;4,dzc0,ev56,ev56,ev56,e5c0,e5c0,ghti;3s,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;3s,6hvc,bpto,7zf0,bpto,bvuc,bvuc,7zf0;3s,6kjc,bsno,7vco,cjeo,bsno,bsno,7vco;w,6zcc,brko,8tcc,euac,brko,brko,8tcc;w,8puc,c0lc,9r10,fo1c,c0lc,c0lc,9r10;4,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;4,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;3s,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;3s,6hvc,bpto,7zf0,bvuc,bvuc,bvuc,85fo;3s,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;3s,6j5c,brko,73z6,brko,brko,brko,73z6;3s,6k5c,buko,6s56,buko,buko,buko,6s56;1s,6k5c,7z70,839c,839c,6qv6,9mdc,839c;1s,6ihc,7ye0,81rc,81rc,6oso,9l1c,81rc;1s,660o,7r06,7rm0,7rm0,6eq6,9d7c,7rm0;h,5b0i,8t0c,5u1i,8t0c,5ubi,8ubo,8t0c;h,550i,90ic,609c,9sq0,6fmi,90ic,90ic;w,6muc,952o,7b6c,c7sc,8gqo,952o,952o;w,7q0c,95io,7rnc,cyzc,93vo,95io,95io;g,6k5c,839c,7z70,839c,839c,a1x6,839c;g,6ihc,81rc,7ye0,81wo,81wo,a236,81wo;g,660o,7rm0,7r06,7rm0,7rm0,9t2o,7rm0;1t,5b0i,5nxc,8t0c,8ubo,6wpi,8ubo,8ubo;1t,550i,5ms0,90ic,90ic,6ppi,90ic,90ic;1t,54m0,5hao,952o,952o,5sko,952o,952o;1t,544i,5ef0,9420,9420,5i8i,9420,9420;1s,6htc,81d0,7zlc,7zlc,6tfu,9hdc,7zlc;1s,69o0,7w96,7tec,7tec,6sf0,9d4o,7tec;1s,6hvc,7y8c,7zf0,7zf0,6u1u,9gyo,7zf0;h,5b0i,8t0c,5nxc,8t0c,5ozi,8ubo,8t0c;h,4zni,8z10,5wji,9rs0,67du,8z10,8z10;w,5n0c,963c,6zeo,c83c,7vr0,963c,963c;w,8xcc,9u20,8xcc,cz5o,9u20,9u20,9u20;g,6htc,7zlc,81d0,87h0,87h0,a166,87h0;g,69o0,7tec,7w96,83u0,83u0,9zii,83u0;g,6hvc,7zf0,7y8c,85fo,85fo,a160,85fo;1t,5b0i,5nxc,8t0c,8ubo,6wpi,8ubo,8ubo;1t,4zni,5lri,8z10,8z10,6q1u,8z10,8z10;1t,57wi,5hao,963c,963c,6160,963c,963c;1t,5640,5dei,94eo,94eo,5hbi,94eo,94eo;1s,6ohc,82bc,7zru,7zru,6s5o,9b2c,7zru;1s,6fhc,7vz0,7s26,7s26,6km0,94n0,7s26;1s,6kjc,7xu0,7vco,7vco,6p0o,9660,7vco;h,550i,90ic,5r9c,90ic,5tq6,90ic,90ic;h,4zni,8z10,5rpi,8z10,5qti,8z10,8z10;w,6ucc,9do0,7ih0,cdgo,8pjc,9do0,9do0;w,6soc,9d5c,7ipo,ccy0,8n40,9d5c,9d5c;g,6ohc,7zru,7u3i,7zru,7zru,9wvo,7zru;g,6fhc,7s26,7ol6,7s26,7s26,9s1c,7s26;g,6kjc,7vco,7px0,7vco,7vco,9s60,7vco;1t,550i,5vyi,90ic,90ic,6ppi,90ic,90ic;1t,4zni,5wju,8z10,8z10,6q1u,8z10,8z10;1t,5dm0,5oe0,9do0,9do0,5wt0,9do0,9do0;1t,5b80,5p4o,9d5c,9d5c,5uvo,9d5c,9d5c;1s,6vtc,7lbc,7e9u,7e9u,6xiu,81dc,7e9u;1s,6mc0,7ec0,7700,7700,6pnc,7v50,7700;1s,6j5c,7ddc,73z6,73z6,6nuc,7qno,73z6;h,54m0,952o,5ls0,952o,5oic,952o,952o;h,57wi,963c,5hao,963c,5dio,963c,963c;h,5dm0,9do0,63bo,a24o,6j7c,9do0,9do0;h,5hz0,9izc,6oao,a7g0,7c10,9izc,9izc;g,6vtc,7e9u,77s6,7e9u,7e9u,881o,7e9u;g,6mc0,7700,75k0,7700,7700,8300,7700;g,6j5c,73z6,72no,73z6,73z6,7yjc,73z6;1t,54m0,5s0c,952o,952o,5sko,952o,952o;1t,57wi,5ql0,963c,963c,6160,963c,963c;1t,5dm0,5oe0,9do0,9do0,5wt0,9do0,9do0;1t,5hz0,5snc,9izc,9izc,61v0,9izc,9izc;1s,6tyo,7aio,6yio,6yio,6wpu,7edo,6z30;1s,6jtc,738u,6qb6,6qb6,6ob6,7a36,6qvi;1s,6k5c,74wi,6s56,6s56,6p6c,7ct0,6s56;h,544i,9420,5ef0,9420,5g1o,9420,9420;h,5640,94eo,5pgo,94eo,5y0c,94eo,94eo;h,5b80,9d5c,5p4o,9d5c,5uvo,9d5c,9d5c;h,5hz0,9izc,61go,9izc,64j0,9izc,9izc;g,6tyo,6yio,6y7c,6yio,6yio,7edo,6z30;g,6jtc,6qb6,6tf0,6qb6,6qb6,7au6,6qvi;g,6k5c,6s56,6wru,6s56,6s56,7ct0,6s56;1t,544i,5pci,9420,9420,5gxi,9420,9420;1t,5640,5nsi,94eo,94eo,5dmi,94eo,94eo;1t,5b80,5p4o,9d5c,9d5c,5uvo,9d5c,9d5c;1t,5hz0,5snc,9izc,9izc,61v0,9izc,9izc;9,47pi,4z96,65h0,65h0,65h0,4d2i,65h0;g,etc0,fclc,hfni,fj56,fj56,fj56,fj56;g,dxo0,e6lc,hcei,esq6,esq6,esq6,esq6;g,eec0,els0,gyx0,ezb6,ezb6,ezb6,ezb6;g,erao,f9oi,ggio,ew5c,f9oi,ew5c,f9oi;g,ejc0,fa26,gjni,el00,fa26,el00,fa26;g,eq00,fgh6,gkdu,eqo0,fgh6,eqo0,fgh6;9,47pi,4t9u,65h0,65h0,65h0,4d2i,65h0;g,dzc0,e1y0,hcpu,ev56,ev56,ev56,ev56;g,eg00,f1xc,hamu,f7e6,f7e6,f7e6,f7e6;g,esyo,exhc,gvi0,fb0i,fb0i,fb0i,fb0i;g,el00,f4n6,ga00,er40,f4n6,er40,f4n6;g,ero0,fgq6,gef0,ero0,fgq6,ero0,fgq6;g,etc0,fj56,ghhi,etc0,fj56,etc0,fj56;1s,etc0,h4oo,fj56,fj56,fj56,fj56,fj56;1s,dzc0,gmx0,ev56,ev56,ev56,ev56,ev56;3m,660o,77oc,7qeu,bb0c,bb0c,bb0c,bb0c;3m,6hvc,734u,7rs6,bpto,bpto,bpto,bpto;3m,6kjc,7vco,7wx0,bsno,bsno,bsno,bsno;3m,6j5c,81di,81di,brko,brko,brko,brko;3m,6k5c,839c,839c,buko,buko,buko,buko;1s,dxo0,geki,esq6,esq6,esq6,esq6,esq6;1s,eg00,h1l0,f7e6,f7e6,f7e6,f7e6,f7e6;3m,660o,70w6,7qeu,bb0c,bb0c,bb0c,bb0c;3m,6ajc,6x1u,7ky6,bhno,bhno,bhno,bhno;3m,6f7c,7hl0,7ov6,blho,blho,blho,blho;3m,6e5c,8486,8486,bsgc,bkko,bsgc,bkko;3m,6htc,7zlc,7zlc,bwsc,bowo,bwsc,bowo;1s,eec0,gh90,ezb6,ezb6,ezb6,ezb6,ezb6;1s,esyo,gly6,fb0i,fb0i,fb0i,fb0i,fb0i;3m,6hvc,7a46,7l60,bpto,bpto,bpto,bpto;3m,6ajc,7bec,7ef0,bhno,bhno,bhno,bhno;3m,6njc,7p4o,7p4o,byjo,byjo,byjo,byjo;3m,6p5c,7uko,7uko,byyo,byyo,byyo,corc;3m,6ohc,7zru,7zru,c14o,c14o,c14o,cqxc;1s,erao,fl4u,ew5c,ew5c,ew5c,ew5c,ew5c;1s,el00,flv6,er40,er40,er40,er40,er40;3m,6kjc,7bo0,6wm6,bsno,bsno,bsno,bsno;3m,6f7c,7e8c,6zju,blho,blho,blho,blho;3m,6njc,73so,71wc,byjo,byjo,byjo,byjo;4,6ucc,8xz0,8xz0,c24o,c24o,c24o,f1xc;3m,6vtc,9150,9150,c6ao,c6ao,c6ao,f63c;1s,ejc0,f12i,ejc0,el00,el00,el00,el00;1s,ero0,f3w0,ero0,ero0,ero0,ero0,ero0;3m,6j5c,7foc,6vy0,brko,brko,brko,brko;3m,6e5c,7dko,6m0c,bkko,bkko,bkko,bkko;3m,6p5c,7uko,7uko,byyo,byyo,byyo,corc;4,6ucc,8xz0,8xz0,c24o,c24o,c24o,f1xc;4,8yi0,a1d0,a1d0,ccv0,ccv0,ccv0,fuko;1s,eq00,f13o,eq00,eqo0,eqo0,eqo0,eqo0;1s,etc0,f4y6,etc0,etc0,etc0,etc0,etc0;3m,6k5c,7h6c,6zs0,buko,buko,buko,buko;3m,6htc,7g8o,6z40,bowo,bowo,bowo,bowo;3m,6ohc,7hn0,7hn0,c14o,c14o,c14o,cqxc;3m,6vtc,9150,9150,c6ao,c6ao,c6ao,f63c;4,8yi0,a1d0,a1d0,ccv0,ccv0,ccv0,fuko;1,47pi,4z96,4b3i,4t9u,4d2i,4d2i,4d2i;3k,etc0,fclc,etc0,h4oo,fj56,fj56,fj56;3k,dxo0,e6lc,e1p0,geki,esq6,esq6,esq6;3k,eec0,els0,els0,gj4u,ezb6,ezb6,ezb6;3k,erao,f9oi,f9oi,h6c0,f9oi,ew5c,f9oi;3k,ejc0,fa26,fa26,i4lo,fa26,el00,fa26;3k,eq00,fgh6,fgh6,hxi0,fgh6,eqo0,fgh6;3k,dzc0,e1y0,e5c0,gmx0,ev56,ev56,ev56;3k,eg00,f1xc,egd0,h1l0,f7e6,f7e6,f7e6;3k,esyo,exhc,exhc,gnvu,fb0i,fb0i,fb0i;3k,el00,f4n6,f4n6,hdi0,f4n6,er40,f4n6;3k,ero0,fgq6,fgq6,i3kc,fgq6,ero0,fgq6;3k,etc0,fj56,fj56,hy2c,fj56,etc0,fj56;i,660o,77oc,bb0c,70w6,bb0c,bb0c,bb0c;i,6hvc,734u,bpto,7a46,bpto,bpto,bpto;i,6kjc,7vco,bsno,7bo0,bsno,bsno,bsno;i,6j5c,81di,brko,7foc,brko,brko,brko;i,6k5c,839c,buko,7h6c,buko,buko,buko;i,6ajc,6x1u,bhno,7bec,bhno,bhno,bhno;i,6f7c,7hl0,blho,7e8c,blho,blho,blho;i,6e5c,8486,bkko,7lgc,bkko,bsgc,bkko;i,6htc,7zlc,bowo,7o4c,bowo,bwsc,bowo;i,6njc,7p4o,byjo,73so,byjo,byjo,byjo;i,6p5c,7uko,byyo,7uko,byyo,byyo,corc;i,6ohc,7zru,c14o,7hn0,c14o,c14o,cqxc;4,6ucc,8xz0,c24o,8xz0,c24o,c24o,f1xc;i,6vtc,9150,c6ao,9150,c6ao,c6ao,f63c;4,8yi0,a1d0,ccv0,a1d0,ccv0,ccv0,fuko;9,47pi,4b3i,65h0,65h0,65h0,65h0,4d2i;2,etc0,etc0,fj56,fj56,hfni,fj56,fj56;2,dxo0,e1p0,esq6,esq6,hcei,esq6,esq6;2,eec0,els0,ezb6,ezb6,gyx0,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,ggio,ew5c,ew5c;2,ejc0,fa26,fa26,fa26,gjni,el00,el00;2,eq00,fgh6,fgh6,fgh6,gkdu,eqo0,eqo0;1,47pi,4b3i,4b3i,4z96,4d2i,4d2i,4d2i;2,etc0,etc0,etc0,fclc,ftvc,fj56,fj56;2,dxo0,e1p0,e1p0,e6lc,fv8i,esq6,esq6;2,eec0,els0,els0,els0,gezi,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,i1pu,f9oi,f9oi;2,ejc0,fa26,fa26,fa26,iv8i,fa26,fa26;2,eq00,fgh6,fgh6,fgh6,itg6,fgh6,fgh6;2,dzc0,e5c0,ev56,ev56,hcpu,ev56,ev56;2,eg00,egd0,f7e6,f7e6,hamu,f7e6,f7e6;2,esyo,exhc,fb0i,fb0i,gvi0,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,ga00,er40,er40;2,ero0,fgq6,fgq6,fgq6,gef0,ero0,ero0;2,etc0,fj56,fj56,fj56,ghhi,etc0,etc0;1,47pi,4b3i,4b3i,4t9u,4aqi,4d2i,4d2i;2,dzc0,e5c0,e5c0,e1y0,fquo,ev56,ev56;2,eg00,egd0,egd0,f1xc,fr2i,f7e6,f7e6;2,esyo,exhc,exhc,exhc,gdvu,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,hzc0,f4n6,f4n6;2,ero0,fgq6,fgq6,fgq6,ipa6,fgq6,fgq6;2,etc0,fj56,fj56,fj56,ipoo,fj56,fj56;5c,660o,bb0c,7qeu,bb0c,7qeu,bb0c,bb0c;5c,6hvc,bpto,7l60,bpto,7rs6,bpto,bpto;5c,6kjc,bsno,7vco,bsno,7wx0,bsno,bsno;5c,6j5c,brko,81di,brko,81di,brko,brko;5c,6k5c,buko,839c,buko,839c,buko,buko;3k,etc0,etc0,etc0,h4oo,fj56,fj56,fj56;3k,dzc0,e5c0,e5c0,gmx0,ev56,ev56,ev56;28,660o,bb0c,bb0c,77oc,7qeu,bb0c,bb0c;28,6hvc,bpto,bpto,734u,7rs6,bpto,bpto;28,6kjc,bsno,bsno,7vco,7wx0,bsno,bsno;28,6j5c,brko,brko,81di,81di,brko,brko;28,6k5c,buko,buko,839c,839c,buko,buko;5c,6ajc,bhno,7ef0,bhno,7ky6,bhno,bhno;5c,6f7c,blho,7hl0,blho,7ov6,blho,blho;5c,6e5c,bkko,8486,bkko,8486,bsgc,bsgc;5c,6htc,bowo,7zlc,bowo,7zlc,bwsc,bwsc;3k,dxo0,e1p0,e1p0,geki,esq6,esq6,esq6;3k,eg00,egd0,egd0,h1l0,f7e6,f7e6,f7e6;28,660o,bb0c,bb0c,70w6,7qeu,bb0c,bb0c;28,6ajc,bhno,bhno,6x1u,7ky6,bhno,bhno;28,6f7c,blho,blho,7hl0,7ov6,blho,blho;28,6e5c,bsgc,bkko,8486,8c3u,bsgc,bsgc;28,6htc,bwsc,bowo,7zlc,87h0,bwsc,bwsc;5c,6njc,byjo,7p4o,byjo,7p4o,byjo,byjo;5c,6p5c,byyo,7qr6,byyo,7qr6,byyo,byyo;5c,6ohc,c14o,7zru,c14o,7zru,c14o,c14o;3k,eec0,els0,els0,gj4u,ezb6,ezb6,ezb6;3k,esyo,exhc,exhc,gnvu,fb0i,fb0i,fb0i;28,6hvc,bpto,bpto,7a46,7l60,bpto,bpto;28,6ajc,bhno,bhno,7bec,7ef0,bhno,bhno;28,6njc,byjo,byjo,7p4o,7p4o,byjo,byjo;28,6p5c,byyo,byyo,7qr6,7qr6,byyo,byyo;28,6ohc,c14o,c14o,7zru,7zru,c14o,c14o;5c,6shc,c24o,7ab0,c24o,7ab0,c24o,c24o;5c,6vtc,c6ao,7e9u,c6ao,7e9u,c6ao,c6ao;3k,erao,f9oi,f9oi,h6c0,f9oi,f9oi,ew5c;3k,el00,f4n6,f4n6,hdi0,f4n6,f4n6,er40;28,6kjc,bsno,bsno,7bo0,7vco,bsno,bsno;28,6f7c,blho,blho,7e8c,7hl0,blho,blho;28,6njc,byjo,byjo,71hu,7p4o,byjo,byjo;28,6shc,c24o,c24o,7ab0,7ab0,c24o,c24o;28,6vtc,c6ao,c6ao,7e9u,7e9u,c6ao,c6ao;5c,6tyo,c4zc,6yio,c4zc,6z30,c4zc,c4zc;3k,ejc0,fa26,fa26,i4lo,fa26,fa26,el00;3k,ero0,fgq6,fgq6,i3kc,fgq6,fgq6,ero0;28,6j5c,brko,brko,77j0,81di,brko,brko;28,6e5c,bkko,bkko,7lgc,8486,bkko,bsgc;28,6p5c,byyo,byyo,6w70,7qr6,byyo,byyo;28,6shc,c24o,c24o,6w96,7ab0,c24o,c24o;28,6tyo,c4zc,c4zc,6yio,6z30,c4zc,c4zc;3k,eq00,fgh6,fgh6,hxi0,fgh6,fgh6,eqo0;3k,etc0,fj56,fj56,hy2c,fj56,fj56,etc0;28,6k5c,buko,buko,78g0,839c,buko,buko;28,6htc,bowo,bowo,7o4c,7zlc,bowo,bwsc;28,6ohc,c14o,c14o,6z50,7zru,c14o,c14o;28,6vtc,c6ao,c6ao,6yn0,7e9u,c6ao,c6ao;28,6tyo,c4zc,c4zc,6xp6,6yio,c4zc,c4zc;9,47pi,4dou,65h0,65h0,65h0,4d2i,65h0;g,etc0,evxc,hfni,fj56,fj56,fj56,fj56;g,dxo0,e1p0,hcei,esq6,esq6,esq6,esq6;g,eec0,els0,gyx0,ezb6,ezb6,ezb6,ezb6;g,erao,f9oi,ggio,ew5c,f9oi,ew5c,f9oi;g,ejc0,fa26,gjni,ejc0,fa26,ejc0,fa26;g,eq00,fgh6,gkdu,eq00,fgh6,eq00,fgh6;9,47pi,4t9u,65h0,65h0,65h0,4d2i,65h0;g,dl60,dqm0,hc7u,ejt6,ejt6,ejt6,ejt6;g,dy4o,enmo,h9gu,et3i,et3i,et3i,et3i;g,dq60,e2g0,govu,efz6,efz6,efz6,efz6;g,dwu0,elb6,g7au,e7s0,elb6,e7s0,elb6;g,dyi0,ete6,ge5i,e2o0,ete6,e2o0,ete6;g,dzc0,ev56,ghti,e4o0,ev56,e4o0,ev56;1s,etc0,h4oo,fj56,fj56,fj56,fj56,fj56;1s,dl60,ggpu,ejt6,ejt6,ejt6,ejt6,ejt6;3m,677c,72m6,7qgu,bb8o,bb8o,bb8o,bb8o;3m,68co,6vqu,7ed0,befc,befc,befc,befc;3m,6fo0,7rg6,7rg6,bnz0,bnz0,bnz0,bnz0;3m,6eco,7xj0,7xj0,blko,blfc,blko,blfc;3m,6ihc,81rc,81rc,bpw0,bpqo,bpw0,bpqo;1s,dxo0,geki,esq6,esq6,esq6,esq6,esq6;1s,dy4o,gkf0,et3i,et3i,et3i,et3i,et3i;3m,677c,6kp6,7qgu,bb8o,bb8o,bb8o,bb8o;3m,60vc,6ppu,7dd6,b52o,b52o,b52o,b52o;3m,68io,7chi,7jro,besc,besc,besc,besc;3m,69vc,80xo,80xo,bo0c,bdko,bo0c,bdko;3m,69o0,7tec,7tec,bq5o,bfq0,bq5o,bfq0;1s,eec0,gh90,ezb6,ezb6,ezb6,ezb6,ezb6;1s,dq60,fz7c,efz6,efz6,efz6,efz6,efz6;3m,68co,6mh6,7ed0,befc,befc,befc,befc;3m,60vc,6xwi,76u0,b52o,b52o,b52o,b52o;3m,6eo0,7hii,7hii,bkh0,bkh0,bkh0,bkh0;3m,6boo,7l4o,7l4o,bh3c,bh3c,bh3c,c9z0;3m,6fhc,7s26,7s26,bl8o,bl8o,bl8o,ce4c;1s,erao,fl4u,ew5c,ew5c,ew5c,ew5c,ew5c;1s,dwu0,eye0,e7s0,e7s0,e7s0,e7s0,e7s0;3m,6fo0,6rtc,6twc,bnz0,bnz0,bnz0,bnz0;3m,68io,78dc,6vn0,besc,besc,besc,besc;3m,6eo0,6uzc,6t30,bkh0,bkh0,bkh0,bkh0;4,6pcc,8rbc,8rbc,brz0,brz0,brz0,etz0;4,6vi0,8umo,8umo,buk0,buk0,buk0,ewk0;1s,ejc0,f12i,ejc0,el00,ejc0,el00,ejc0;1s,dyi0,ek7c,e2d0,e4c0,e2o0,e4c0,e2o0;3m,6eco,6vd0,6sgo,blfc,blfc,blfc,blfc;3m,69vc,73vc,6ibc,bdko,bdko,bdko,bdko;3m,6boo,7l4o,7l4o,bh3c,bh3c,bh3c,c9z0;4,6pcc,8rbc,8rbc,brz0,brz0,brz0,etz0;4,92cc,9wxc,9wxc,c1zo,c1zo,c1zo,fmac;1s,eq00,f13o,eq00,eqo0,eq00,eqo0,eq00;1s,dzc0,effo,e1y0,e5c0,e4o0,e5c0,e4o0;3m,6ihc,6ycc,6wg0,bpqo,bpqo,bpqo,bpqo;3m,69o0,7aqc,6uc0,bfq0,bfq0,bfq0,bfq0;3m,6fhc,78cc,78cc,bl8o,bl8o,bl8o,ce4c;4,6vi0,8umo,8umo,buk0,buk0,buk0,ewk0;4,92cc,9wxc,9wxc,c1zo,c1zo,c1zo,fmac;1,47pi,4dou,4b3i,4t9u,4d2i,4d2i,4aqi;3k,etc0,evxc,etc0,h4oo,fj56,fj56,fj56;3k,dxo0,e1p0,e1p0,geki,esq6,esq6,esq6;3k,eec0,els0,els0,gj4u,ezb6,ezb6,ezb6;3k,erao,f9oi,f9oi,h6c0,f9oi,ew5c,f9oi;3k,ejc0,fa26,fa26,i4lo,fa26,ejc0,fa26;3k,eq00,fgh6,fgh6,hxi0,fgh6,eq00,fgh6;3k,dl60,dqm0,du00,ggpu,ejt6,ejt6,ejt6;3k,dy4o,enmo,e22c,gkf0,et3i,et3i,et3i;3k,dq60,e2g0,e2g0,g2r6,efz6,efz6,efz6;3k,dwu0,elb6,elb6,gtu0,elb6,e7s0,elb6;3k,dyi0,ete6,ete6,hhq0,ete6,e2o0,ete6;3k,dzc0,ev56,ev56,hi00,ev56,e4o0,ev56;i,677c,72m6,bb8o,6kp6,bb8o,bb8o,bb8o;i,68co,6vqu,befc,6mh6,befc,befc,befc;i,6fo0,7rg6,bnz0,6rtc,bnz0,bnz0,bnz0;i,6eco,7xj0,blfc,6vic,blfc,blko,blfc;i,6ihc,81rc,bpqo,6yho,bpqo,bpw0,bpqo;i,60vc,6ppu,b52o,6xwi,b52o,b52o,b52o;i,68io,7chi,besc,78dc,besc,besc,besc;i,69vc,80xo,bdko,7eb0,bdko,bo0c,bdko;i,69o0,7tec,bfq0,7l60,bfq0,bq5o,bfq0;i,6eo0,7hii,bkh0,6uzc,bkh0,bkh0,bkh0;i,6boo,7l4o,bh3c,7l4o,bh3c,bh3c,c9z0;i,6fhc,7s26,bl8o,78cc,bl8o,bl8o,ce4c;4,6pcc,8rbc,brz0,8rbc,brz0,brz0,etz0;4,6vi0,8umo,buk0,8umo,buk0,buk0,ewk0;4,92cc,9wxc,c1zo,9wxc,c1zo,c1zo,fmac;9,47pi,4b3i,65h0,65h0,65h0,65h0,4aqi;2,etc0,etc0,fj56,fj56,hfni,fj56,fj56;2,dxo0,e1p0,esq6,esq6,hcei,esq6,esq6;2,eec0,els0,ezb6,ezb6,gyx0,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,ggio,ew5c,ew5c;2,ejc0,fa26,fa26,fa26,gjni,ejc0,el00;2,eq00,fgh6,fgh6,fgh6,gkdu,eq00,eqo0;1,47pi,4b3i,4b3i,4dou,47pi,4aqi,4aqi;2,etc0,etc0,etc0,evxc,ftvc,fj56,fj56;2,dxo0,e1p0,e1p0,e1p0,fv8i,esq6,esq6;2,eec0,els0,els0,els0,gezi,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,i1pu,f9oi,f9oi;2,ejc0,fa26,fa26,fa26,iv8i,fa26,fa26;2,eq00,fgh6,fgh6,fgh6,itg6,fgh6,fgh6;2,dl60,du00,ejt6,ejt6,hc7u,ejt6,ejt6;2,dy4o,e22c,et3i,et3i,h9gu,et3i,et3i;2,dq60,e2g0,efz6,efz6,govu,efz6,efz6;2,dwu0,elb6,elb6,elb6,g7au,e7s0,e7s0;2,dyi0,ete6,ete6,ete6,ge5i,e2o0,e4c0;2,dzc0,ev56,ev56,ev56,ghti,e4o0,e5c0;1,47pi,4b3i,4b3i,4t9u,4aqi,4aqi,4aqi;2,dl60,du00,du00,dqm0,fq2i,ejt6,ejt6;2,dy4o,e22c,e22c,enmo,fs3o,et3i,et3i;2,dq60,e2g0,e2g0,e2g0,g63o,efz6,efz6;2,dwu0,elb6,elb6,elb6,hw0i,elb6,elb6;2,dyi0,ete6,ete6,ete6,iqbi,ete6,ete6;2,dzc0,ev56,ev56,ev56,iruo,ev56,ev56;5c,677c,bb8o,7qgu,bb8o,7qgu,bb8o,bb8o;5c,68co,befc,7ed0,befc,7ed0,befc,befc;5c,6fo0,bnz0,7rg6,bnz0,7rg6,bnz0,bnz0;5c,6eco,blfc,7xj0,blfc,7xj0,blko,blko;5c,6ihc,bpqo,81rc,bpqo,81rc,bpw0,bpw0;3k,etc0,etc0,etc0,h4oo,fj56,fj56,fj56;3k,dl60,du00,du00,ggpu,ejt6,ejt6,ejt6;28,677c,bb8o,bb8o,72m6,7qgu,bb8o,bb8o;28,68co,befc,befc,6vqu,7ed0,befc,befc;28,6fo0,bnz0,bnz0,7rg6,7rg6,bnz0,bnz0;28,6eco,blko,blfc,7xj0,7xoc,blko,blko;28,6ihc,bpw0,bpqo,81rc,81wo,bpw0,bpw0;5c,60vc,b52o,76u0,b52o,7dd6,b52o,b52o;5c,68io,besc,7chi,besc,7jro,besc,besc;5c,69vc,bdko,80xo,bdko,80xo,bo0c,bo0c;5c,69o0,bfq0,7tec,bfq0,7tec,bq5o,bq5o;3k,dxo0,e1p0,e1p0,geki,esq6,esq6,esq6;3k,dy4o,e22c,e22c,gkf0,et3i,et3i,et3i;28,677c,bb8o,bb8o,6kp6,7qgu,bb8o,bb8o;28,60vc,b52o,b52o,6ppu,7dd6,b52o,b52o;28,68io,besc,besc,7chi,7jro,besc,besc;28,69vc,bo0c,bdko,80xo,8bdc,bo0c,bo0c;28,69o0,bq5o,bfq0,7tec,83u0,bq5o,bq5o;5c,6eo0,bkh0,7hii,bkh0,7hii,bkh0,bkh0;5c,6boo,bh3c,7fp0,bh3c,7fp0,bh3c,bh3c;5c,6fhc,bl8o,7s26,bl8o,7s26,bl8o,bl8o;3k,eec0,els0,els0,gj4u,ezb6,ezb6,ezb6;3k,dq60,e2g0,e2g0,g2r6,efz6,efz6,efz6;28,68co,befc,befc,6mh6,7ed0,befc,befc;28,60vc,b52o,b52o,6xwi,76u0,b52o,b52o;28,6eo0,bkh0,bkh0,7hii,7hii,bkh0,bkh0;28,6boo,bh3c,bh3c,7fp0,7fp0,bh3c,bh3c;28,6fhc,bl8o,bl8o,7s26,7s26,bl8o,bl8o;5c,6lo0,brz0,7516,brz0,7516,brz0,brz0;5c,6mc0,buk0,7700,buk0,7700,buk0,buk0;3k,erao,f9oi,f9oi,h6c0,f9oi,f9oi,ew5c;3k,dwu0,elb6,elb6,gtu0,elb6,elb6,e7s0;28,6fo0,bnz0,bnz0,6rtc,7rg6,bnz0,bnz0;28,68io,besc,besc,71xu,7chi,besc,besc;28,6eo0,bkh0,bkh0,6uoi,7hii,bkh0,bkh0;28,6lo0,brz0,brz0,7516,7516,brz0,brz0;28,6mc0,buk0,buk0,7700,7700,buk0,buk0;5c,6jtc,breo,6qb6,breo,6qvi,breo,breo;3k,ejc0,fa26,fa26,i4lo,fa26,fa26,el00;3k,dyi0,ete6,ete6,hhq0,ete6,ete6,e4c0;28,6eco,blfc,blfc,6nd0,7xj0,blfc,blko;28,69vc,bdko,bdko,7eb0,80xo,bdko,bo0c;28,6boo,bh3c,bh3c,6pxc,7fp0,bh3c,bh3c;28,6lo0,brz0,brz0,6pnc,7516,brz0,brz0;28,6jtc,breo,breo,6qb6,6qvi,breo,breo;3k,eq00,fgh6,fgh6,hxi0,fgh6,fgh6,eqo0;3k,dzc0,ev56,ev56,hi00,ev56,ev56,e5c0;28,6ihc,bpqo,bpqo,6prc,81rc,bpqo,bpw0;28,69o0,bfq0,bfq0,7cqi,7tec,bfq0,bq5o;28,6fhc,bl8o,bl8o,6sko,7s26,bl8o,bl8o;28,6mc0,buk0,buk0,6pnc,7700,buk0,buk0;28,6jtc,breo,breo,6pai,6qb6,breo,breo;9,47pi,4dou,65h0,65h0,65h0,4d2i,65h0;g,dzc0,e7xc,hcpu,ev56,ev56,ev56,ev56;g,eg00,egd0,hamu,f7e6,f7e6,f7e6,f7e6;g,esyo,exhc,gvi0,fb0i,fb0i,fb0i,fb0i;g,el00,f4n6,ga00,er40,f4n6,er40,f4n6;g,ero0,fgq6,gef0,ero0,fgq6,ero0,fgq6;g,etc0,fj56,ghhi,etc0,fj56,etc0,fj56;9,47pi,4z96,65h0,65h0,65h0,4d2i,65h0;g,dl60,ed9c,hc7u,ejt6,ejt6,ejt6,ejt6;g,dy4o,e6yo,h9gu,et3i,et3i,et3i,et3i;g,dq60,e2g0,govu,efz6,efz6,efz6,efz6;g,dwu0,elb6,g7au,e7s0,elb6,e7s0,elb6;g,dyi0,ete6,ge5i,e4c0,ete6,e4c0,ete6;g,dzc0,ev56,ghti,e5c0,ev56,e5c0,ev56;1s,dzc0,gmx0,ev56,ev56,ev56,ev56,ev56;1s,dl60,ggpu,ejt6,ejt6,ejt6,ejt6,ejt6;3m,632o,6iju,7mro,b56c,b56c,b56c,b56c;3m,667c,6tc0,7h16,b88o,b88o,b88o,b88o;3m,660o,7jeu,7kz6,b7rc,b7rc,b7rc,b7rc;3m,64co,7p86,7p86,b9fc,b9fc,b9fc,b9fc;3m,660o,7rm0,7rm0,bb0c,bb0c,bb0c,bb0c;1s,eg00,h1l0,f7e6,f7e6,f7e6,f7e6,f7e6;1s,dy4o,gkf0,et3i,et3i,et3i,et3i,et3i;3m,632o,74r0,7mro,b56c,b56c,b56c,b56c;3m,6fq0,70q0,7gt0,blw0,blw0,blw0,blw0;3m,6i7c,7jm6,7jm6,bmqo,bmqo,bmqo,bmqo;3m,6c7c,82ju,82ju,bs9c,bm8o,bs9c,bm8o;3m,6hvc,7zf0,7zf0,bvuc,bpto,bvuc,bpto;1s,esyo,gly6,fb0i,fb0i,fb0i,fb0i,fb0i;1s,dq60,fz7c,efz6,efz6,efz6,efz6,efz6;3m,667c,76tc,7af0,b88o,b88o,b88o,b88o;3m,6fq0,6rsi,7gt0,blw0,blw0,blw0,blw0;3m,6k00,7l0i,7l0i,bp50,bp50,bp50,bp50;3m,6i00,7pf0,7pf0,bqn0,bqn0,bqn0,che0;3m,6kjc,7vco,7vco,bsno,bsno,bsno,cjeo;1s,el00,flv6,er40,er40,er40,er40,er40;1s,dwu0,eye0,e7s0,e7s0,e7s0,e7s0,e7s0;3m,660o,76lc,6jw6,b7rc,b7rc,b7rc,b7rc;3m,6i7c,6xl0,704u,bmqo,bmqo,bmqo,bmqo;3m,6k00,6xf0,6xf0,bp50,bp50,bp50,bp50;4,6s60,8plc,8plc,bprc,bprc,bprc,esh0;4,6zcc,8tcc,8tcc,brko,brko,brko,euac;1s,ero0,f3w0,ero0,ero0,ero0,ero0,ero0;1s,dyi0,ek7c,e2d0,e4c0,e4c0,e4c0,e4c0;3m,64co,76lc,6jyo,b9fc,b9fc,b9fc,b9fc;3m,6c7c,6qvc,6kz0,bm8o,bm8o,bm8o,bm8o;3m,6i00,7pf0,7pf0,bqn0,bqn0,bqn0,che0;4,6s60,8plc,8plc,bprc,bprc,bprc,esh0;4,8puc,9r10,9r10,c0lc,c0lc,c0lc,fo1c;1s,etc0,f4y6,etc0,etc0,etc0,etc0,etc0;1s,dzc0,effo,e1y0,e5c0,e5c0,e5c0,e5c0;3m,660o,77oc,6odo,bb0c,bb0c,bb0c,bb0c;3m,6hvc,7060,6zfo,bpto,bpto,bpto,bpto;3m,6kjc,7d2c,7d2c,bsno,bsno,bsno,cjeo;4,6zcc,8tcc,8tcc,brko,brko,brko,euac;4,8puc,9r10,9r10,c0lc,c0lc,c0lc,fo1c;1,47pi,4dou,4b3i,4z96,4d2i,4d2i,4d2i;3k,dzc0,e7xc,e1y0,gmx0,ev56,ev56,ev56;3k,eg00,egd0,egd0,h1l0,f7e6,f7e6,f7e6;3k,esyo,exhc,exhc,gnvu,fb0i,fb0i,fb0i;3k,el00,f4n6,f4n6,hdi0,f4n6,er40,f4n6;3k,ero0,fgq6,fgq6,i3kc,fgq6,ero0,fgq6;3k,etc0,fj56,fj56,hy2c,fj56,etc0,fj56;3k,dl60,ed9c,dqm0,ggpu,ejt6,ejt6,ejt6;3k,dy4o,e6yo,e22c,gkf0,et3i,et3i,et3i;3k,dq60,e2g0,e2g0,g2r6,efz6,efz6,efz6;3k,dwu0,elb6,elb6,gtu0,elb6,e7s0,elb6;3k,dyi0,ete6,ete6,hhq0,ete6,e4c0,ete6;3k,dzc0,ev56,ev56,hi00,ev56,e5c0,ev56;i,632o,6iju,b56c,74r0,b56c,b56c,b56c;i,667c,6tc0,b88o,76tc,b88o,b88o,b88o;i,660o,7jeu,b7rc,76lc,b7rc,b7rc,b7rc;i,64co,7p86,b9fc,76lc,b9fc,b9fc,b9fc;i,660o,7rm0,bb0c,77oc,bb0c,bb0c,bb0c;i,6fq0,70q0,blw0,6rsi,blw0,blw0,blw0;i,6i7c,7jm6,bmqo,6xl0,bmqo,bmqo,bmqo;i,6c7c,82ju,bm8o,6ww0,bm8o,bs9c,bm8o;i,6hvc,7zf0,bpto,766o,bpto,bvuc,bpto;i,6k00,7l0i,bp50,6xf0,bp50,bp50,bp50;i,6i00,7pf0,bqn0,7pf0,bqn0,bqn0,che0;i,6kjc,7vco,bsno,7d2c,bsno,bsno,cjeo;4,6s60,8plc,bprc,8plc,bprc,bprc,esh0;4,6zcc,8tcc,brko,8tcc,brko,brko,euac;4,8puc,9r10,c0lc,9r10,c0lc,c0lc,fo1c;9,47pi,47pi,65h0,65h0,65h0,65h0,4d2i;2,dzc0,e1y0,ev56,ev56,hcpu,ev56,ev56;2,eg00,egd0,f7e6,f7e6,hamu,f7e6,f7e6;2,esyo,exhc,fb0i,fb0i,gvi0,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,ga00,er40,er40;2,ero0,fgq6,fgq6,fgq6,gef0,ero0,ero0;2,etc0,fj56,fj56,fj56,ghhi,etc0,etc0;1,47pi,47pi,47pi,4dou,47pi,4d2i,4d2i;2,dzc0,e1y0,e1y0,e7xc,fquo,ev56,ev56;2,eg00,egd0,egd0,egd0,fr2i,f7e6,f7e6;2,esyo,exhc,exhc,exhc,gdvu,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,hzc0,f4n6,f4n6;2,ero0,fgq6,fgq6,fgq6,ipa6,fgq6,fgq6;2,etc0,fj56,fj56,fj56,ipoo,fj56,fj56;2,dl60,dqm0,ejt6,ejt6,hc7u,ejt6,ejt6;2,dy4o,e22c,et3i,et3i,h9gu,et3i,et3i;2,dq60,e2g0,efz6,efz6,govu,efz6,efz6;2,dwu0,elb6,elb6,elb6,g7au,e7s0,e7s0;2,dyi0,ete6,ete6,ete6,ge5i,e4c0,e4c0;2,dzc0,ev56,ev56,ev56,ghti,e5c0,e5c0;1,47pi,47pi,47pi,4z96,4d2i,4d2i,4d2i;2,dl60,dqm0,dqm0,ed9c,fq2i,ejt6,ejt6;2,dy4o,e22c,e22c,e6yo,frzo,et3i,et3i;2,dq60,e2g0,e2g0,e2g0,g63o,efz6,efz6;2,dwu0,elb6,elb6,elb6,hw0i,elb6,elb6;2,dyi0,ete6,ete6,ete6,iqbi,ete6,ete6;2,dzc0,ev56,ev56,ev56,iruo,ev56,ev56;5c,632o,b56c,7mro,b56c,7mro,b56c,b56c;5c,667c,b88o,7af0,b88o,7h16,b88o,b88o;5c,660o,b7rc,7jeu,b7rc,7kz6,b7rc,b7rc;5c,64co,b9fc,7p86,b9fc,7p86,b9fc,b9fc;5c,660o,bb0c,7rm0,bb0c,7rm0,bb0c,bb0c;3k,dzc0,e5c0,e1y0,gmx0,ev56,ev56,ev56;3k,dl60,du00,dqm0,ggpu,ejt6,ejt6,ejt6;28,632o,b56c,b56c,6iju,7mro,b56c,b56c;28,667c,b88o,b88o,6tc0,7h16,b88o,b88o;28,660o,b7rc,b7rc,7jeu,7kz6,b7rc,b7rc;28,64co,b9fc,b9fc,7p86,7p86,b9fc,b9fc;28,660o,bb0c,bb0c,7rm0,7rm0,bb0c,bb0c;5c,6fq0,blw0,7gt0,blw0,7gt0,blw0,blw0;5c,6i7c,bmqo,7jm6,bmqo,7jm6,bmqo,bmqo;5c,6c7c,bm8o,82ju,bm8o,82ju,bs9c,bs9c;5c,6hvc,bpto,7zf0,bpto,7zf0,bvuc,bvuc;3k,eg00,egd0,egd0,h1l0,f7e6,f7e6,f7e6;3k,dy4o,e22c,e22c,gkf0,et3i,et3i,et3i;28,632o,b56c,b56c,74r0,7mro,b56c,b56c;28,6fq0,blw0,blw0,70q0,7gt0,blw0,blw0;28,6i7c,bmqo,bmqo,7jm6,7jm6,bmqo,bmqo;28,6c7c,bs9c,bm8o,82ju,88ki,bs9c,bs9c;28,6hvc,bvuc,bpto,7zf0,85fo,bvuc,bvuc;5c,6k00,bp50,7l0i,bp50,7l0i,bp50,bp50;5c,6i00,bqn0,7jxi,bqn0,7jxi,bqn0,bqn0;5c,6kjc,bsno,7vco,bsno,7vco,bsno,bsno;3k,esyo,exhc,exhc,gnvu,fb0i,fb0i,fb0i;3k,dq60,e2g0,e2g0,g2r6,efz6,efz6,efz6;28,667c,b88o,b88o,76tc,7af0,b88o,b88o;28,6fq0,blw0,blw0,6rsi,7gt0,blw0,blw0;28,6k00,bp50,bp50,7l0i,7l0i,bp50,bp50;28,6i00,bqn0,bqn0,7jxi,7jxi,bqn0,bqn0;28,6kjc,bsno,bsno,7vco,7vco,bsno,bsno;5c,6h0o,bprc,70wu,bprc,70wu,bprc,bprc;5c,6j5c,brko,73z6,brko,73z6,brko,brko;3k,el00,f4n6,f4n6,hdi0,f4n6,f4n6,er40;3k,dwu0,elb6,elb6,gtu0,elb6,elb6,e7s0;28,660o,b7rc,b7rc,76lc,7jeu,b7rc,b7rc;28,6i7c,bmqo,bmqo,6r5i,7jm6,bmqo,bmqo;28,6k00,bp50,bp50,6utc,7l0i,bp50,bp50;28,6h0o,bprc,bprc,70wu,70wu,bprc,bprc;28,6j5c,brko,brko,73z6,73z6,brko,brko;5c,6k5c,buko,6s56,buko,6s56,buko,buko;3k,ero0,fgq6,fgq6,i3kc,fgq6,fgq6,ero0;3k,dyi0,ete6,ete6,hhq0,ete6,ete6,e4c0;28,64co,b9fc,b9fc,76lc,7p86,b9fc,b9fc;28,6c7c,bm8o,bm8o,6ww0,82ju,bm8o,bs9c;28,6i00,bqn0,bqn0,6m1c,7jxi,bqn0,bqn0;28,6h0o,bprc,bprc,6on6,70wu,bprc,bprc;28,6k5c,buko,buko,6s56,6s56,buko,buko;3k,etc0,fj56,fj56,hy2c,fj56,fj56,etc0;3k,dzc0,ev56,ev56,hi00,ev56,ev56,e5c0;28,660o,bb0c,bb0c,77oc,7rm0,bb0c,bb0c;28,6hvc,bpto,bpto,6xr6,7zf0,bpto,bvuc;28,6kjc,bsno,bsno,6q00,7vco,bsno,bsno;28,6j5c,brko,brko,6ozo,73z6,brko,brko;28,6k5c,buko,buko,6p6c,6s56,buko,buko;4,etc0,evxc,fj56,fj56,fj56,fj56,hfni;4,dzc0,e7xc,ev56,ev56,ev56,ev56,hcpu;9,3cyi,3nou,50cc,50cc,50cc,3sdi,50cc;9,2ox0,3nho,4eou,4e6u,482o,3zqo,482o;w,3sm0,401i,41lu,4a4i,41k6,4a4i,41k6;w,47jc,5awi,4920,4uqo,49hu,4uqo,49hu;w,47eo,5at0,47fu,4rko,47vo,4rko,47vo;4,etc0,fclc,fj56,fj56,fj56,fj56,hfni;4,dl60,ed9c,ejt6,ejt6,ejt6,ejt6,hc7u;9,3c2i,3my0,51oc,51oc,51oc,3udi,51oc;9,2w20,3my0,4ako,4i80,4ako,3zto,4ako;w,3seo,40no,40no,495o,41vi,495o,41vi;w,47eo,5b6u,49di,4vuc,49di,4vuc,49di;w,4aeo,5dfu,4aeo,4rqo,4aeo,4rqo,4aeo;4,dzc0,e1y0,ev56,ev56,ev56,ev56,hcpu;4,dl60,dqm0,ejt6,ejt6,ejt6,ejt6,hc7u;9,3f60,3npi,4zzc,4zzc,4zzc,3q70,4zzc;9,2xo0,3n6c,4dri,4dli,475c,3yoc,475c;w,3rk0,3z7o,40ku,4936,3znc,48xu,3znc;w,467c,591c,46z0,4quu,47u6,4qko,49u6;w,46qo,59n0,46qo,4qko,47lu,4qko,49lu;w,660o,70w6,7qeu,8kxu,7qeu,7a36,7qeu;w,677c,6kp6,7qgu,8mg6,7qgu,79ro,7qgu;w,632o,74r0,7mro,8ie0,7mro,771u,7mro;9,64gi,64gi,8l2c,8l2c,8l2c,64gi,8l2c;9,5kb0,5rx6,8qmo,8qmo,8qmo,5osc,8qmo;9,4tx0,6r7i,8og0,8prc,8og0,5hic,8og0;9,5b0i,6s3u,8t0c,8ubo,8t0c,5ubi,8t0c;w,6hvc,7a46,7l60,8cqc,7l60,7f3i,7l60;w,68co,6mh6,7ed0,8an0,7ed0,7b4i,7ed0;w,667c,76tc,7af0,84z0,7af0,7800,7af0;9,64gi,64gi,8l2c,8l2c,8l2c,64gi,8l2c;9,52wi,5rho,8yp0,8yp0,8yp0,5obi,8yp0;9,5e9i,7ai6,8xoc,8xoc,8xoc,6xu6,9pw0;9,550i,74mi,90ic,90ic,90ic,6fmi,9sq0;w,6kjc,7bo0,6wm6,7afi,6wm6,775c,6wm6;w,6fo0,6rtc,6twc,78ru,6twc,74uu,6twc;w,660o,76lc,6jw6,70jc,6jw6,6yr6,6jw6;9,5kb0,5kpu,8qmo,8qmo,8qmo,5osc,8qmo;9,52wi,5jpi,8yp0,8yp0,8yp0,5obi,8yp0;4,6w0c,8bdi,920c,920c,920c,8kdi,c4q0;4,6muc,8aqo,952o,952o,952o,8gqo,c7sc;w,6j5c,7foc,6pl0,75s0,6vy0,75s0,6vy0;w,6eco,6vd0,6l8u,73o6,6sgo,715o,6sgo;w,64co,76lc,6e2u,6wzi,6jyo,6wpc,6jyo;9,4tx0,5d10,8og0,8og0,8og0,5g70,8og0;9,5e9i,6au6,8xoc,8xoc,8xoc,6xu6,9pw0;4,6w0c,7dn6,920c,920c,920c,8kdi,c4q0;4,7q0c,7rnc,95io,95io,95io,93vo,cyzc;w,6k5c,7h6c,6qv6,7aa0,6zs0,7aa0,6zs0;w,6ihc,6ycc,6myo,7396,6wg0,71ho,6wg0;w,660o,77oc,6eq6,72jc,6odo,72jc,6odo;9,5b0i,5o66,8t0c,8t0c,8t0c,5t06,8t0c;9,550i,5z8u,90ic,90ic,90ic,6fmi,9sq0;4,6muc,7b6c,952o,952o,952o,8gqo,c7sc;4,7q0c,7rnc,95io,95io,95io,93vo,cyzc;4,etc0,evxc,etc0,fclc,fj56,fj56,ftvc;4,dzc0,e7xc,e1y0,e1y0,ev56,ev56,fquo;8,660o,8ie0,6g40,70w6,7a36,7qeu,7qeu;8,6hvc,8a6i,734u,7a46,7hci,7l60,7l60;8,6kjc,7xci,7vco,7bo0,7xu0,6wm6,7vco;8,6j5c,913o,81di,7foc,7zp0,6vy0,81di;8,6k5c,924c,839c,7h6c,7z70,6zs0,839c;4,dl60,ed9c,dqm0,dqm0,ejt6,ejt6,fq2i;8,677c,8hfo,6gr0,6kp6,79ro,7qgu,7qgu;8,68co,85mi,6vqu,6mh6,7cdi,7ed0,7ed0;8,6fo0,7x6i,7rg6,6rtc,7vqc,6twc,7rg6;8,6eco,8z36,7xj0,6vic,7wiu,6sm0,7xj0;8,6ihc,91f6,81rc,6yho,7ye0,6wlc,81rc;8,632o,8fi0,6cuo,74r0,77c0,7mro,7mro;8,667c,8230,6tc0,76tc,79f0,7af0,7af0;8,660o,7nk6,7jeu,76lc,7nmo,6jw6,7jeu;8,64co,8t8i,7p86,76lc,7s1c,6jyo,7p86;8,660o,8t1c,7rm0,77oc,7r06,6odo,7rm0;1,64gi,64gi,64gi,6clu,64gi,64gi,64gi;1,5kb0,5rx6,5r0u,75io,6jq0,5osc,6jq0;1,4tx0,6r7i,5nxc,7zxc,77xc,5hsi,77xc;1,5b0i,6s3u,5u1i,7jz6,6ve6,5ubi,6ve6;1,52wi,6b96,5vr6,7b1u,6q06,5ogu,6q06;1,5e9i,7ai6,6au6,7i1i,6xu6,6xu6,75u6;1,550i,74mi,609c,7h26,6ppi,6fmi,7hx6;4,6w0c,8bdi,7dn6,7jn6,8kdi,8kdi,8tou;4,6muc,8aqo,7b6c,7j0c,8gqo,8gqo,8vac;4,7q0c,7rnc,7rnc,7rnc,93vo,93vo,9f5u;9,3tyi,3yji,5oko,5oko,5oko,5oko,42si;9,3rk0,3wxu,5ln0,5ln0,5ln0,5ln0,3zru;w,660o,6g40,7qeu,8kxu,7qeu,7qeu,7cz0;w,6hvc,734u,7l60,8cqc,7rs6,7l60,84ec;w,6kjc,7vco,7vco,7yv6,7wx0,6wm6,9660;w,6j5c,81di,81di,7zp0,81di,6vy0,9qdc;w,6k5c,839c,839c,7z70,839c,6zs0,9mdc;1,3tyi,3yji,3yji,44q0,3tyi,42si,42si;1,3rk0,3wxu,3wxu,42x6,3rk0,3zru,3zru;w,660o,6g40,6g40,8ie0,7qeu,7qeu,7cz0;w,6hvc,734u,734u,8a6i,7rs6,7l60,84ec;w,6kjc,7vco,7vco,7xci,7wx0,7vco,9s60;w,6j5c,81di,81di,913o,81di,81di,ab8i;w,6k5c,839c,839c,924c,839c,839c,a1x6;9,3qt0,3wfu,5l50,5l50,5l50,5l50,3yzo;w,677c,6gr0,7qgu,8mg6,7qgu,7qgu,7f5c;w,68co,6vqu,7ed0,8an0,7ed0,7ed0,7zw0;w,6fo0,7rg6,7rg6,7yec,7rg6,6twc,938c;w,6eco,7xj0,7xj0,7x9u,7xj0,6sm0,9ot0;w,6ihc,81rc,81rc,7ye0,81rc,6wlc,9l1c;1,3tyi,3yji,3yji,4l6u,3vqi,42si,42si;1,3qt0,3wfu,3wfu,4j36,3ro6,3yzo,3yzo;w,677c,6gr0,6gr0,8hfo,7qgu,7qgu,7f5c;w,68co,6vqu,6vqu,85mi,7ed0,7ed0,7zw0;w,6fo0,7rg6,7rg6,7x6i,7rg6,7rg6,9qmo;w,6eco,7xoc,7xj0,8z36,7xoc,7xoc,aa20;w,6ihc,81wo,81rc,91f6,81wo,81wo,a236;w,632o,6cuo,7mro,8ie0,7mro,7mro,78lo;w,667c,6tc0,7af0,84z0,7h16,7af0,7wi0;w,660o,7jeu,7jeu,7nzu,7kz6,6jw6,8wt0;w,64co,7p86,7p86,7s1c,7p86,6jyo,9g1c;w,660o,7rm0,7rm0,7r06,7rm0,6odo,9d7c;1,3rk0,40bu,3wxu,3wxu,3rk0,3zru,3zru;1,3qt0,3ztu,3wfu,3wz0,3r4i,3yzo,3yzo;w,632o,6cuo,6cuo,8fi0,7mro,7mro,78vu;w,667c,6tc0,6tc0,8230,7h16,7af0,7wnc;w,660o,7jeu,7jeu,7nk6,7kz6,7jeu,9k10;w,64co,7p86,7p86,8t8i,7p86,7p86,a1ni;w,660o,7rm0,7rm0,8t1c,7rm0,7rm0,9t2o;9,64gi,64gi,8l2c,8l2c,8l2c,8l2c,64gi;9,5kb0,5r0u,8qmo,8qmo,8qmo,8qmo,5kb0;9,4tx0,5nxc,8og0,8og0,8og0,8prc,5hic;9,5b0i,5nxc,8t0c,8t0c,8t0c,8ubo,5ozi;c,660o,bb0c,6g40,70w6,bb0c,bb0c,bb0c;c,677c,bb8o,6gr0,6kp6,bb8o,bb8o,bb8o;c,632o,b56c,6cuo,74r0,b56c,b56c,b56c;1,64gi,6clu,64gi,64gi,64gi,64gi,64gi;1,5kb0,7bto,5r0u,5rx6,6jq0,6jq0,6jq0;1,4tx0,7zxc,5nxc,6r7i,798o,798o,798o;1,5b0i,7jz6,5nxc,6s3u,6wpi,6wpi,6wpi;9,52wi,5vr6,8yp0,8yp0,8yp0,8yp0,5izi;9,5e9i,5rho,8xoc,8xoc,8xoc,8xoc,5mi6;9,550i,5r9c,90ic,90ic,90ic,90ic,5tq6;c,6hvc,bpto,734u,7a46,bpto,bpto,bpto;c,68co,befc,6vqu,6mh6,befc,befc,befc;c,667c,b88o,6tc0,76tc,b88o,b88o,b88o;1,64gi,64gi,64gi,6clu,64gi,64gi,64gi;1,52wi,7hcu,5vr6,6b96,6q06,6q06,6q06;1,5e9i,79w6,5rho,6rd0,6dmi,6dmi,6dmi;1,550i,7h26,5r9c,6vuu,6ppi,6ppi,6ppi;9,56ii,5m0c,920c,920c,920c,920c,5qz6;9,54m0,5ls0,952o,952o,952o,952o,5oic;c,6kjc,bsno,7vco,7bo0,bsno,bsno,bsno;c,6fo0,bnz0,7rg6,6rtc,bnz0,bnz0,bnz0;c,660o,b7rc,7jeu,76lc,b7rc,b7rc,b7rc;1,5kb0,5r0u,5r0u,753u,6jq0,6jq0,5kb0;1,52wi,6b96,5vr6,7b1u,6q06,6q06,5nwi;1,56ii,64qo,5m0c,6kn6,5qz6,5qz6,5qz6;1,54m0,670c,5ls0,6pqo,5sko,5sko,5sko;9,544i,5ef0,9420,9420,9420,9420,5fq0;c,6j5c,brko,81di,7foc,brko,brko,brko;c,6eco,blfc,7xj0,6vic,blfc,blfc,blko;c,64co,b9fc,7p86,76lc,b9fc,b9fc,b9fc;1,4tx0,5u1i,5nxc,7zxc,77xc,77xc,5hsi;1,5e9i,5rho,5rho,715u,6dmi,6dmi,5mi6;1,56ii,5qeo,5m0c,647i,5nlu,5qz6,5qz6;1,544i,5oxi,5ef0,5npo,5gxi,5i8i,5i8i;c,6k5c,buko,839c,7h6c,buko,buko,buko;c,6ihc,bpqo,81rc,6yho,bpqo,bpqo,bpw0;c,660o,bb0c,7rm0,77oc,bb0c,bb0c,bb0c;1,5b0i,5nxc,5nxc,7jz6,6ve6,6ve6,5ozi;1,550i,5vyi,5r9c,7bai,6ppi,6ppi,5tq6;1,54m0,5s0c,5ls0,66wo,5sko,5sko,5oic;1,544i,5pci,5ef0,5nx0,5gxi,5i8i,5hhi;4,dxo0,e1p0,esq6,esq6,esq6,esq6,hcei;4,eg00,egd0,f7e6,f7e6,f7e6,f7e6,hamu;9,3cyi,3nou,50cc,50cc,50cc,3sdi,50cc;9,2pk0,3kzo,4bfu,48si,44wo,3xbo,44wo;w,38eo,4oxu,403u,48gi,3sto,48gi,3sto;w,4l2o,4nso,4l2o,4v6c,4rno,4v6c,4rno;w,45eo,585u,4fwo,4sko,4fwo,4sko,4fwo;4,dxo0,e6lc,esq6,esq6,esq6,esq6,hcei;4,dy4o,e6yo,et3i,et3i,et3i,et3i,h9gu;9,3c2i,3my0,51oc,51oc,51oc,3udi,51oc;9,2wt0,3km0,4d9u,4bho,46qo,3yeo,46qo;w,38jc,4px6,40h0,48wo,3t6u,48wo,3t6u;w,4nm0,4ol0,4nm0,4w6c,4uy0,4w6c,4uy0;w,442o,56nu,4gai,4uwo,4gai,4uwo,4gai;4,eg00,f1xc,f7e6,f7e6,f7e6,f7e6,hamu;4,dy4o,enmo,et3i,et3i,et3i,et3i,h9gu;9,3f60,3npi,4zzc,4zzc,4zzc,3qh6,4zzc;9,2lo0,3lic,44hc,4946,44hc,3w6c,44hc;w,3aco,4ptu,3sso,470u,3sso,470u,3sso;w,4i2o,4i2o,4i2o,4s0u,4oji,4s0u,4oji;w,44eo,54uu,4eai,4rqo,4eai,4rqo,4eai;w,660o,77oc,7qeu,8kxu,7qeu,7cpc,7qeu;w,677c,72m6,7qgu,8mg6,7qgu,7dli,7qgu;w,632o,6iju,7mro,8ie0,7mro,78vu,7mro;9,64gi,64gi,8l2c,8l2c,8l2c,64gi,8l2c;9,5kb0,6rr6,8qmo,8qmo,8qmo,5osc,8qmo;9,4tx0,5nxc,8og0,8prc,8og0,5hsi,8og0;9,5b0i,6ono,8t0c,8ubo,8t0c,5ubi,8t0c;w,6ajc,7bec,7ef0,885c,7ef0,7d7c,7ef0;w,60vc,6xwi,76u0,84zc,76u0,78gu,76u0;w,6fq0,6rsi,7gt0,89kc,7gt0,7d9i,7gt0;9,64gi,64gi,8l2c,8l2c,8l2c,64gi,8l2c;9,5dji,6uhu,8wpo,8wpo,8wpo,5r0u,8wpo;9,505i,6b1u,8v10,8v10,8v10,6yti,9ns0;9,4zni,6q3u,8z10,8z10,8z10,67du,9rs0;w,6f7c,7e8c,6zju,7gyo,6zju,777c,6zju;w,68io,78dc,6vn0,7fko,6vn0,75ao,6vn0;w,6i7c,6xl0,704u,7dec,704u,70f0,704u;9,5kb0,5kpu,8qmo,8qmo,8qmo,5osc,8qmo;9,5dji,5o0u,8wpo,8wpo,8wpo,5r0u,8wpo;4,6jic,78ki,91v0,91v0,91v0,8csu,c3v0;4,5n0c,6zeo,963c,963c,963c,7vr0,c83c;w,6e5c,7dko,6lg0,75m0,6lg0,75m0,6m0c;w,69vc,73vc,6hr0,70lo,6hr0,70lo,6ibc;w,6c7c,6qvc,6kz0,75co,6l30,75co,6l30;9,4tx0,5d10,8og0,8og0,8og0,5gh6,8og0;9,505i,6b1u,8v10,8v10,8v10,6yti,9ns0;4,6jic,88su,91v0,91v0,91v0,8csu,c3v0;4,8xcc,9geo,9u20,9u20,9u20,9u20,cz5o;w,6htc,7g8o,6lk6,7ag0,6z40,7ag0,6z40;w,69o0,7aqc,6hzc,79vc,6uc0,79vc,6uc0;w,6hvc,7060,6m60,7890,6zfo,77f0,6zfo;9,5b0i,5o66,8t0c,8t0c,8t0c,5t06,8t0c;9,4zni,62hi,8z10,8z10,8z10,67du,9rs0;4,5n0c,7490,963c,963c,963c,7vr0,c83c;4,8xcc,8xcc,9u20,9u20,9u20,9u20,cz5o;4,dxo0,e1p0,e1p0,e6lc,esq6,esq6,fv8i;4,eg00,egd0,egd0,f1xc,f7e6,f7e6,fr2i;8,660o,8ie0,6g40,77oc,7cpc,7qeu,7qeu;8,6ajc,85li,6x1u,7bec,7d7c,7ef0,7ef0;8,6f7c,8sui,7hl0,7e8c,7mz0,6zju,7hl0;8,6e5c,8456,8486,7lgc,8806,6tbo,8486;8,6htc,8xh6,7zlc,7o4c,8580,76zo,7zlc;4,dy4o,e6yo,e22c,enmo,et3i,et3i,fs3o;8,677c,8hfo,6gr0,72m6,7dli,7qgu,7qgu;8,60vc,7zyu,6ppu,6xwi,78gu,76u0,76u0;8,68io,8s80,7chi,78dc,7l7o,6vn0,7chi;8,69vc,8180,80xo,7eb0,87l0,6s6o,80xo;8,69o0,8szi,7tec,7l60,82m6,74ro,7tec;8,632o,8fi0,6cuo,6iju,78vu,7mro,7mro;8,6fq0,86oc,70q0,6rsi,7dbc,7gt0,7gt0;8,6i7c,8syc,7jm6,6xl0,7jto,704u,7jm6;8,6c7c,81ri,82ju,6ww0,888c,6r3o,82ju;8,6hvc,8v9i,7zf0,766o,84p6,75gc,7zf0;1,64gi,64gi,64gi,6clu,64gi,64gi,64gi;1,5kb0,6rr6,5r0u,75io,6jq0,5osc,6jq0;1,4tx0,5nxc,5u1i,7zxc,77xc,5hsi,77xc;1,5b0i,6ono,5u1i,7jz6,6ve6,5ubi,6ve6;1,5dji,723i,5ubu,70e6,69ui,5r0u,69ui;1,505i,6b1u,6b1u,7mvu,6yti,6yti,7eau;1,4zni,6w1u,62hi,7hti,6q1u,67du,7isu;4,6jic,78ki,78ki,88su,8csu,8csu,93oo;4,5n0c,73uo,6zeo,7l0o,7vr0,7vr0,9360;4,8xcc,9geo,8xcc,8xcc,9u20,9u20,9src;9,3p7i,3wyi,5k8o,5k8o,5k8o,5k8o,42ic;9,3ot0,3w0u,5ih0,5ih0,5ih0,5ih0,3ywo;w,660o,6g40,7qeu,8kxu,7qeu,7qeu,7cz0;w,6ajc,6x1u,7ef0,885c,7ky6,7ef0,80kc;w,6f7c,7hl0,7hl0,7wqc,7ov6,6zju,8uec;w,6e5c,8486,8486,8806,8486,6tbo,9ub0;w,6htc,7zlc,7zlc,8580,7zlc,76zo,9idc;1,3p7i,3wyi,3wyi,3x5o,3v9c,42ic,42ic;1,3ot0,3w0u,3w0u,3w0u,3slu,3ywo,3ywo;w,660o,6g40,6g40,8ie0,7qeu,7qeu,7cz0;w,6ajc,6x1u,6x1u,85li,7ky6,7ef0,80kc;w,6f7c,7hl0,7hl0,8sui,7ov6,7hl0,9a60;w,6e5c,8c3u,8486,8456,8c3u,8c3u,af66;w,6htc,87h0,7zlc,8xh6,87h0,87h0,a166;9,3ok0,3vou,5hb0,5hb0,5hb0,5hb0,3zxu;w,677c,6gr0,7qgu,8mg6,7qgu,7qgu,7f5c;w,60vc,6ppu,76u0,84zc,7dd6,76u0,7wnc;w,68io,7chi,7chi,7vho,7jro,6vn0,8s20;w,69vc,80xo,80xo,87l0,80xo,6s6o,9s00;w,69o0,7tec,7tec,82m6,7tec,74ro,9gao;1,3p7i,3wyi,3wyi,41uu,3v9c,42ic,42ic;1,3ok0,3vou,3vou,40l6,3sv0,3zxu,3zxu;w,677c,6gr0,6gr0,8hfo,7qgu,7qgu,7f5c;w,60vc,6ppu,6ppu,7zyu,7dd6,76u0,7wnc;w,68io,7chi,7chi,8s80,7jro,7chi,97z0;w,69vc,8bdc,80xo,8180,8bdc,8bdc,ad90;w,69o0,83u0,7tec,8szi,83u0,83u0,9zii;w,632o,6cuo,7mro,8ie0,7mro,7mro,78vu;w,6fq0,70q0,7gt0,89kc,7gt0,7gt0,819c;w,6i7c,7jm6,7jm6,7vx6,7jm6,704u,8tmo;w,6c7c,82ju,82ju,888c,82ju,6r3o,9t6i;w,6hvc,7zf0,7zf0,84p6,7zf0,75gc,9i4o;1,3ot0,3w0u,3w0u,4hl6,3slu,3ywo,3ywo;1,3ok0,3vou,3vou,4hsc,3uu6,3zxu,3zxu;w,632o,6cuo,6cuo,8fi0,7mro,7mro,78vu;w,6fq0,70q0,70q0,86oc,7gt0,7gt0,819c;w,6i7c,7jm6,7jm6,8syc,7jm6,7jm6,9bpc;w,6c7c,88ki,82ju,81ri,88ki,88ki,aeii;w,6hvc,85fo,7zf0,8v9i,85fo,85fo,a160;9,64gi,64gi,8l2c,8l2c,8l2c,8l2c,64gi;9,5kb0,5r0u,8qmo,8qmo,8qmo,8qmo,5osc;9,4tx0,5u1i,8og0,8og0,8og0,8prc,5fz0;9,5b0i,5u1i,8t0c,8t0c,8t0c,8ubo,5ubi;c,660o,bb0c,6g40,77oc,bb0c,bb0c,bb0c;c,677c,bb8o,6gr0,72m6,bb8o,bb8o,bb8o;c,632o,b56c,6cuo,6iju,b56c,b56c,b56c;1,64gi,6clu,64gi,64gi,64gi,64gi,64gi;1,5kb0,7bto,5r0u,6rr6,6jq0,6jq0,6jq0;1,4tx0,7zxc,5u1i,5nxc,798o,798o,798o;1,5b0i,7jz6,5u1i,6ono,6wpi,6wpi,6wpi;9,5dji,5phi,8wpo,8wpo,8wpo,8wpo,5qiu;9,505i,5umu,8v10,8v10,8v10,8v10,5gci;9,4zni,5rpi,8z10,8z10,8z10,8z10,5qti;c,6ajc,bhno,6x1u,7bec,bhno,bhno,bhno;c,60vc,b52o,6ppu,6xwi,b52o,b52o,b52o;c,6fq0,blw0,70q0,6rsi,blw0,blw0,blw0;1,64gi,64gi,64gi,6clu,64gi,64gi,64gi;1,5dji,76p6,5phi,723i,69ui,69ui,69ui;1,505i,7eqi,5umu,5pcu,6lju,6lju,6lju;1,4zni,7hti,5rpi,6w1u,6q1u,6q1u,6q1u;9,535i,5k80,91v0,91v0,91v0,91v0,5nwi;9,57wi,5hao,963c,963c,963c,963c,5hzc;c,6f7c,blho,7hl0,7e8c,blho,blho,blho;c,68io,besc,7chi,78dc,besc,besc,besc;c,6i7c,bmqo,7jm6,6xl0,bmqo,bmqo,bmqo;1,5kb0,5r0u,5r0u,75io,6jq0,6jq0,5osc;1,5dji,68j6,5phi,70e6,69ui,69ui,5qko;1,535i,6e3o,5k80,5k80,61oo,61oo,61oo;1,57wi,6doo,5hao,5ql0,6160,6160,6160;9,5640,5pgo,94eo,94eo,94eo,94eo,5y0c;c,6e5c,bkko,8486,7lgc,bkko,bkko,bsgc;c,69vc,bdko,80xo,7eb0,bdko,bdko,bo0c;c,6c7c,bm8o,82ju,6ww0,bm8o,bm8o,bs9c;1,4tx0,5u1i,5u1i,7zxc,77xc,77xc,5fz0;1,505i,5umu,5umu,7606,6lju,6lju,5gci;1,535i,5k80,5k80,6wmu,61oo,61oo,5nwi;1,5640,5pgo,5pgo,6me0,5y0c,5y0c,5y0c;c,6htc,bowo,7zlc,7o4c,bowo,bowo,bwsc;c,69o0,bfq0,7tec,7l60,bfq0,bfq0,bq5o;c,6hvc,bpto,7zf0,766o,bpto,bpto,bvuc;1,5b0i,5u1i,5u1i,7jz6,6ve6,6ve6,5ubi;1,4zni,5wju,5rpi,7c1u,6q1u,6q1u,5qti;1,57wi,5ql0,5hao,6dl0,6160,6160,5itc;1,5640,5two,5pgo,5ub0,5dmi,5y0c,5y0c;4,eec0,els0,ezb6,ezb6,ezb6,ezb6,h0su;4,esyo,exhc,fb0i,fb0i,fb0i,fb0i,gxfo;9,2ox0,3nho,482o,4e6u,4e6u,3zqo,4kt0;9,2pk0,3kzo,44wo,48si,48si,3xbo,4fbo;w,392o,4icu,3jqo,43uc,410c,43uc,410c;1s,486c,6lhi,486c,5p2o,486c,5p2o,486c;w,3sqo,5tt0,44yi,558o,48gi,558o,48gi;4,eec0,els0,ezb6,ezb6,ezb6,ezb6,h0su;4,dq60,e2g0,efz6,efz6,efz6,efz6,gsfo;9,2w20,3my0,4ako,4i80,4i80,3zto,4i80;9,2wt0,3km0,46qo,4bho,4bho,3yeo,4i0u;w,3bvc,4jx6,3jx6,418o,426u,418o,426u;1s,4d6c,6kh0,4d6c,5ruc,4d6c,5ruc,4d6c;w,3veo,5w6u,468o,53ko,4agi,53ko,4agi;4,esyo,exhc,fb0i,fb0i,fb0i,fb0i,gxfo;4,dq60,e2g0,efz6,efz6,efz6,efz6,gsfo;9,2xo0,3n6c,475c,4dli,4dli,3yto,4k7o;9,2lo0,3lic,44hc,4946,4946,3w6c,4946;w,39co,4i8u,3jjo,4420,415u,4420,415u;1s,486c,6iqi,486c,5mwo,486c,5mwo,48ko;w,3sm0,5suc,453c,53jc,47rc,53jc,485o;w,6hvc,734u,7l60,8iui,7l60,84ec,7rs6;w,68co,6vqu,7ed0,8iac,7ed0,7zw0,7ed0;w,667c,6tc0,7af0,8bf6,7af0,7wnc,7h16;9,64gi,64gi,8l2c,8l2c,8l2c,64gi,8l2c;9,52wi,6o36,8yp0,8yp0,8yp0,5ogu,8yp0;9,5e9i,8sou,8xoc,8xoc,8xoc,6xu6,8xoc;9,550i,7syi,90ic,90ic,90ic,6fmi,90ic;w,6ajc,6x1u,7ef0,8c16,7ef0,808c,7ky6;w,60vc,6ppu,76u0,89qc,76u0,7uzc,7dd6;w,6fq0,70q0,7gt0,8e76,7gt0,819c,7gt0;9,64gi,64gi,8l2c,8l2c,8l2c,64gi,8l2c;9,5dji,6pyo,8wpo,8wpo,8wpo,5r0u,8wpo;9,505i,8rd6,8v10,8v10,8v10,6yti,8v10;9,4zni,7nx0,8z10,8z10,8z10,67du,8z10;w,6njc,73so,6y9i,7sbo,71wc,7sbo,71wc;w,6eo0,6uzc,6rg6,7jkc,6t30,7jkc,6t30;w,6k00,6xf0,6utc,7mm0,6xf0,7mm0,6xf0;9,52wi,5jpi,8yp0,8yp0,8yp0,5ogu,8yp0;9,5dji,5o0u,8wpo,8wpo,8wpo,5r0u,8wpo;4,5joc,93mc,9b60,9b60,9b60,7vyc,cayo;4,6ucc,9dvc,9do0,9do0,9do0,8pjc,cdgo;w,6p5c,7uko,7iti,8ckc,7uko,8ckc,7uko;w,6boo,7l4o,7b40,8950,7l4o,8950,7l4o;w,6i00,7pf0,7eti,89ec,7pf0,89ec,7pf0;9,5e9i,6au6,9pw0,8xoc,8xoc,6xu6,8xoc;9,505i,6b1u,9ns0,8v10,8v10,6yti,8v10;4,5joc,6zeo,9zmo,9b60,9b60,7vyc,cayo;4,6soc,7ipo,9d5c,9d5c,9d5c,8n40,ccy0;w,6ohc,7hn0,7hyc,81o0,7hn0,81o0,7hn0;w,6fhc,78cc,7dho,7s2o,78cc,7s2o,78cc;w,6kjc,7d2c,7fro,7w10,7d2c,7w10,7d2c;9,550i,5z8u,9sq0,90ic,90ic,6fmi,90ic;9,4zni,62hi,9rs0,8z10,8z10,67du,8z10;4,6ucc,8gjc,a24o,9do0,9do0,8pjc,cdgo;4,6soc,8h40,9d5c,9d5c,9d5c,8n40,ccy0;4,eec0,els0,els0,els0,ezb6,ezb6,gezi;4,esyo,exhc,exhc,exhc,fb0i,fb0i,gdvu;8,6hvc,8a6i,734u,734u,84ec,7l60,7rs6;8,6ajc,85li,6x1u,6x1u,808c,7ef0,7ky6;8,6njc,8rru,7p4o,73so,8afc,71wc,7p4o;8,6p5c,atp0,7uko,7uko,8ckc,7uko,7uko;8,6ohc,9v5u,7zru,7hn0,89tc,7hn0,7zru;4,dq60,e2g0,e2g0,e2g0,efz6,efz6,g63o;8,68co,85mi,6vqu,6vqu,7zw0,7ed0,7ed0;8,60vc,7zyu,6ppu,6ppu,7uzc,76u0,7dd6;8,6eo0,8mvo,7hii,6uzc,855c,6t30,7hii;8,6boo,alvc,7l4o,7l4o,8950,7l4o,7l4o;8,6fhc,9pdc,7s26,78cc,83n0,78cc,7s26;8,667c,8230,6tc0,6tc0,7wnc,7af0,7h16;8,6fq0,86oc,70q0,70q0,819c,7gt0,7gt0;8,6k00,8mdc,7l0i,6xf0,85ac,6xf0,7l0i;8,6i00,apg0,7pf0,7pf0,89ec,7pf0,7pf0;8,6kjc,9q5c,7vco,7d2c,852c,7d2c,7vco;1,64gi,64gi,6clu,64gi,64gi,64gi,64gi;1,52wi,6v96,6b96,7b1u,6q06,5ogu,6q06;1,5e9i,8sou,6au6,7i1i,6xu6,6xu6,6xu6;1,550i,7syi,64yi,7h26,6ppi,6fmi,6ppi;1,5dji,6pyo,68j6,70e6,69ui,5r0u,69ui;1,505i,8rd6,6b1u,7mvu,6yti,6yti,6yti;1,4zni,7nx0,62hi,7hti,6q1u,67du,6q1u;4,5joc,93mc,6zeo,77w0,7vyc,7vyc,9doo;4,6ucc,9dvc,7ih0,8gjc,8pjc,8pjc,9j00;4,6soc,7ipo,7ipo,8h40,8n40,8n40,8v2o;9,36b0,3yuc,4th0,4vcu,4th0,4vcu,49ji;9,34t0,3xyi,4pz0,4rwo,4pz0,4rwo,48cu;w,6hvc,734u,7l60,8iui,7l60,7l60,84ec;w,6ajc,6x1u,7ef0,8c16,7ef0,7ef0,80kc;w,6njc,7p4o,7p4o,8afc,7p4o,71wc,90ho;w,6p5c,7uko,8gju,8ckc,7uko,7uko,9tgo;w,6ohc,7zru,8pki,89tc,7zru,7hn0,9oqc;1,36b0,3yuc,3yuc,3wyi,3c2o,49ji,49ji;1,34t0,3xyi,3xyi,3w0u,3b5o,48cu,48cu;w,6hvc,734u,734u,8a6i,7l60,7l60,84ec;w,6ajc,6x1u,6x1u,85li,7ef0,7ef0,80kc;w,6njc,7p4o,7p4o,8rru,7p4o,7p4o,9i9c;w,6p5c,7uko,7uko,atp0,7uko,7uko,9tgo;w,6ohc,7zru,7zru,9v5u,7zru,7zru,9wvo;9,31x0,3z8o,4pz0,4tiu,4pz0,4tiu,476u;w,68co,6vqu,7ed0,8iac,7ed0,7ed0,7zw0;w,60vc,6ppu,76u0,89qc,76u0,76u0,7wnc;w,6eo0,7hii,7hii,855c,7hii,6t30,8smo;w,6boo,7l4o,88ko,8950,7l4o,7l4o,9nt0;w,6fhc,7s26,8kxu,83n0,7s26,78cc,9gh0;1,36b0,3yuc,3yuc,3wyi,3c2o,49ji,49ji;1,31x0,3z8o,3z8o,3vou,3ce6,476u,476u;w,68co,6vqu,6vqu,85mi,7ed0,7ed0,7zw0;w,60vc,6ppu,6ppu,7zyu,76u0,76u0,7wnc;w,6eo0,7hii,7hii,8mvo,7hii,7hii,9cjo;w,6boo,7l4o,7l4o,alvc,7l4o,7l4o,9nt0;w,6fhc,7s26,7s26,9pdc,7s26,7s26,9s1c;w,667c,6tc0,7af0,8bf6,7af0,7af0,7wnc;w,6fq0,70q0,7gt0,8e76,7gt0,7gt0,819c;w,6k00,7l0i,7l0i,85ac,7l0i,6xf0,8vs0;w,6i00,7pf0,8aoi,89ec,7pf0,7pf0,9o4o;w,6kjc,7vco,8m3o,852c,7vco,7d2c,9j4o;1,34t0,3xyi,3xyi,3w0u,3b5o,48cu,48cu;1,31x0,3z8o,3z8o,3vou,3ce6,476u,476u;w,667c,6tc0,6tc0,8230,7af0,7af0,7wnc;w,6fq0,70q0,70q0,86oc,7gt0,7gt0,819c;w,6k00,7l0i,7l0i,8mdc,7l0i,7l0i,9egc;w,6i00,7pf0,7pf0,apg0,7pf0,7pf0,9o4o;w,6kjc,7vco,7vco,9q5c,7vco,7vco,9s60;9,64gi,6clu,8l2c,8l2c,8l2c,8l2c,64gi;9,52wi,6b96,8yp0,8yp0,8yp0,8yp0,5ogu;9,5e9i,6au6,9pw0,8xoc,8xoc,8xoc,6xu6;9,550i,64yi,9sq0,90ic,90ic,90ic,6fmi;c,6hvc,bpto,734u,734u,bpto,bpto,bpto;c,68co,befc,6vqu,6vqu,befc,befc,befc;c,667c,b88o,6tc0,6tc0,b88o,b88o,b88o;1,64gi,6clu,6clu,64gi,64gi,64gi,64gi;1,52wi,7hcu,6b96,6v96,6q06,6q06,6q06;1,5e9i,7i1i,6au6,8sou,6xu6,6xu6,6xu6;1,550i,7h26,64yi,7lsi,6ppi,6ppi,6ppi;9,5dji,68j6,8wpo,8wpo,8wpo,8wpo,5p0u;9,505i,6b1u,9ns0,8v10,8v10,8v10,6yti;9,4zni,62hi,9rs0,8z10,8z10,8z10,67du;c,6ajc,bhno,6x1u,6x1u,bhno,bhno,bhno;c,60vc,b52o,6ppu,6ppu,b52o,b52o,b52o;c,6fq0,blw0,70q0,70q0,blw0,blw0,blw0;1,64gi,6clu,6clu,64gi,64gi,64gi,64gi;1,5dji,76p6,68j6,6pyo,69ui,69ui,69ui;1,505i,7mvu,6b1u,8rd6,6yti,6yti,6yti;1,4zni,7hti,62hi,7nx0,6q1u,6q1u,6q1u;9,5bri,61h0,9zmo,9b60,9b60,9b60,6dw0;9,5dm0,63bo,a24o,9do0,9do0,9do0,6j7c;c,6njc,byjo,7p4o,73so,byjo,byjo,byjo;c,6eo0,bkh0,7hii,6uzc,bkh0,bkh0,bkh0;c,6k00,bp50,7l0i,6xf0,bp50,bp50,bp50;1,52wi,6b96,6b96,7b1u,6q06,6q06,5ogu;1,5dji,68j6,68j6,6zzc,69ui,69ui,5p0u;1,5bri,69yc,61h0,7ll6,6dw0,6dw0,6dw0;1,5dm0,6bt0,63bo,7slo,6j7c,6j7c,6j7c;9,5b80,5p4o,9d5c,9d5c,9d5c,9d5c,5uvo;c,6p5c,byyo,7uko,7uko,corc,byyo,byyo;c,6boo,bh3c,7l4o,7l4o,c9z0,bh3c,bh3c;c,6i00,bqn0,7pf0,7pf0,che0,bqn0,bqn0;1,5e9i,6au6,6au6,7i1i,75u6,6xu6,6xu6;1,505i,6b1u,6b1u,7mvu,7eau,6yti,6yti;1,5bri,6aac,61h0,69yc,67li,6dw0,6dw0;1,5b80,5xy0,5p4o,5p4o,5khu,5uvo,5uvo;c,6ohc,c14o,7zru,7hn0,cqxc,c14o,c14o;c,6fhc,bl8o,7s26,78cc,ce4c,bl8o,bl8o;c,6kjc,bsno,7vco,7d2c,cjeo,bsno,bsno;1,550i,64yi,64yi,7h26,7hx6,6ppi,6fmi;1,4zni,62hi,62hi,7hti,7isu,6q1u,67du;1,5dm0,63bo,63bo,7a7c,6l9o,6j7c,6j7c;1,5b80,5p4o,5p4o,6qao,5uvo,5uvo,5uvo;4,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;4,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;3m,3sm0,401i,401i,5uv0,5uv0,5uv0,5wfc;3m,38eo,4oxu,3sto,569c,569c,569c,5dji;3m,392o,4icu,3jqo,58uc,58uc,58uc,58uc;1s,6ucc,7w8i,6ucc,79ko,6ucc,79ko,6ucc;1s,6soc,7rf6,6soc,788o,6t0c,788o,6t0c;4,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;4,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;3m,3seo,40no,40no,5u3u,5u3u,5u3u,5u3u;3m,38jc,4px6,3t6u,55o6,55o6,55o6,5cyc;3m,3bvc,4jx6,3jx6,59l6,59l6,59l6,59l6;1s,6pcc,7y80,6pcc,76cc,6qko,76cc,6qko;1s,6vi0,7s2o,6vi0,7b9o,6vi0,7b9o,6vi0;4,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;4,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;3m,3rk0,3z7o,3z0i,5voi,5voi,5voi,5x8u;3m,3aco,4ptu,3sso,58ku,58ku,58ku,58ku;3m,39co,4i8u,3jjo,5abu,5abu,5abu,5abu;1s,6s60,7u50,6s60,763o,6tlo,763o,6tlo;1s,6zcc,7ox6,6zcc,7buc,6zcc,7buc,6zcc;w,6kjc,7vco,7vco,9s60,7vco,9s60,7wx0;w,6fo0,7rg6,7rg6,9qmo,7rg6,9qmo,7rg6;w,660o,7jeu,7jeu,9k10,7jeu,9k10,7kz6;9,5kb0,6rr6,8qmo,8qmo,8qmo,6jq0,8qmo;9,52wi,6o36,8yp0,8yp0,8yp0,6q06,8yp0;1s,6w0c,ay50,920c,920c,920c,8kdi,920c;1s,6muc,az50,952o,952o,952o,8gqo,952o;w,6f7c,7hl0,7hl0,9a60,7hl0,9a60,7ov6;w,68io,7chi,7chi,97z0,7chi,97z0,7jro;w,6i7c,7jm6,7jm6,9bpc,7jm6,9bpc,7jm6;9,5kb0,5rx6,8qmo,8qmo,8qmo,6jq0,8qmo;9,5dji,6pyo,8wpo,8wpo,8wpo,69ui,8wpo;1s,6jic,ay2c,91v0,91v0,91v0,8csu,91v0;1s,5n0c,9vii,963c,963c,963c,7vr0,963c;w,6njc,7p4o,7p4o,9i9c,7p4o,9i9c,7p4o;w,6eo0,7hii,7hii,9cjo,7hii,9cjo,7hii;w,6k00,7l0i,7l0i,9egc,7l0i,9egc,7l0i;9,52wi,5rho,8yp0,8yp0,8yp0,6q06,8yp0;9,5dji,6uhu,8wpo,8wpo,8wpo,69ui,8wpo;1s,5joc,ah0o,9b60,9b60,9b60,7vyc,9zmo;1s,6ucc,bcfo,9do0,9do0,9do0,8pjc,a24o;g,6ucc,8xz0,9v5i,9yi0,8xz0,9yi0,8xz0;g,6pcc,8rbc,9rnc,9r8c,8rbc,9r8c,8rbc;g,6s60,8plc,9qgi,9tro,8plc,9tro,8plc;g,6w0c,7dn6,c4q0,920c,920c,8kdi,920c;g,6jic,88su,c3v0,91v0,91v0,8csu,91v0;g,5joc,6zeo,cayo,9b60,9b60,7vyc,9zmo;9,5hz0,77d0,9izc,9izc,9izc,7c10,a7g0;w,6vtc,9150,9xbi,9y60,9150,9y60,9150;g,6vi0,8umo,9rnc,9vfc,8umo,9vfc,8umo;g,6zcc,8tcc,9ql6,9xko,8tcc,9xko,8tcc;g,6muc,7b6c,c7sc,952o,952o,8gqo,952o;g,5n0c,7490,c83c,963c,963c,7vr0,963c;g,6ucc,8gjc,cdgo,9do0,9do0,8pjc,a24o;9,5hz0,7mp0,9izc,9izc,9izc,7c10,a7g0;4,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;4,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;8,6kjc,7xci,7vco,7vco,9s60,7vco,7wx0;8,6f7c,8sui,7hl0,7hl0,9a60,7hl0,7ov6;8,6njc,8rru,7p4o,7p4o,9i9c,7p4o,7p4o;1s,6ucc,co26,8xz0,8xz0,9yi0,8xz0,8xz0;8,6vtc,cjg0,9150,9150,9y60,9150,9150;4,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;8,6fo0,7x6i,7rg6,7rg6,9qmo,7rg6,7rg6;8,68io,8s80,7chi,7chi,97z0,7chi,7jro;8,6eo0,8mvo,7hii,7hii,9cjo,7hii,7hii;1s,6pcc,cl5u,8rbc,8rbc,9r8c,8rbc,8rbc;1s,6vi0,cfmo,8umo,8umo,9vfc,8umo,8umo;8,660o,7nk6,7jeu,7jeu,9k10,7jeu,7kz6;8,6i7c,8syc,7jm6,7jm6,9bpc,7jm6,7jm6;8,6k00,8mdc,7l0i,7l0i,9egc,7l0i,7l0i;1s,6s60,cizi,8plc,8plc,9tro,8plc,8plc;1s,6zcc,ccio,8tcc,8tcc,9xko,8tcc,8tcc;1,5kb0,6rr6,7bto,5rx6,6jq0,6jq0,6jq0;1,52wi,6v96,7hcu,6b96,6q06,6q06,6q06;1s,6w0c,ay50,7dn6,7jn6,8kdi,8kdi,8kdi;1s,6muc,az50,7d0c,7j0c,8gqo,8gqo,8gqo;1,5dji,6pyo,76p6,723i,69ui,69ui,69ui;1s,6jic,ay2c,78ki,88su,8csu,8csu,8csu;1s,5n0c,9vii,73uo,7l0o,7vr0,7vr0,7vr0;1s,5joc,ah0o,7880,77w0,7vyc,7vyc,8kf0;1s,6ucc,bcfo,7ih0,8gjc,8pjc,8pjc,9e00;1,5hz0,77d0,6omo,7mp0,7c10,7c10,6szo;5c,3sqo,5viu,4abo,5viu,4abo,5viu,5viu;5c,3veo,5yuu,49iu,5yuu,49iu,5yuu,5yuu;w,6kjc,7vco,7vco,9s60,7vco,7vco,9s60;w,6f7c,7hl0,7hl0,9a60,7hl0,7hl0,9a60;w,6njc,7p4o,7p4o,9i9c,7p4o,7p4o,9i9c;g,6ucc,8xz0,aa3o,9yi0,8xz0,8xz0,adqc;w,6vtc,9150,ae2i,9y60,9150,9150,adec;28,3sqo,5viu,5viu,4abo,3sqo,5viu,5viu;28,3veo,5yuu,5yuu,49iu,3veo,5yuu,5yuu;w,6kjc,7vco,7vco,7xci,7vco,7vco,9s60;w,6f7c,7hl0,7hl0,8sui,7hl0,7hl0,9a60;w,6njc,7p4o,7p4o,8rru,7p4o,7p4o,9i9c;3k,6ucc,8xz0,8xz0,co26,8xz0,8xz0,adqc;w,6vtc,9150,9150,cjg0,9150,9150,adec;5c,3t7c,5x3o,48e0,5x3o,48e0,5x3o,5x3o;w,6fo0,7rg6,7rg6,9qmo,7rg6,7rg6,9qmo;w,68io,7chi,7chi,97z0,7chi,7chi,97z0;w,6eo0,7hii,7hii,9cjo,7hii,7hii,9cjo;g,6pcc,8rbc,a716,9r8c,8rbc,8rbc,a700;g,6vi0,8umo,a900,9vfc,8umo,8umo,ab70;28,3sqo,5viu,5viu,4abo,3sqo,5viu,5viu;28,3t7c,5x3o,5x3o,48e0,3t8i,5x3o,5x3o;w,6fo0,7rg6,7rg6,7x6i,7rg6,7rg6,9qmo;w,68io,7chi,7chi,8s80,7chi,7chi,97z0;w,6eo0,7hii,7hii,8mvo,7hii,7hii,9cjo;3k,6pcc,8rbc,8rbc,cl5u,8rbc,8rbc,a700;3k,6vi0,8umo,8umo,cfmo,8umo,8umo,ab70;w,660o,7jeu,7jeu,9k10,7jeu,7jeu,9k10;w,6i7c,7jm6,7jm6,9bpc,7jm6,7jm6,9bpc;w,6k00,7l0i,7l0i,9egc,7l0i,7l0i,9egc;g,6s60,8plc,a3mi,9tro,8plc,8plc,a69o;g,6zcc,8tcc,a6ou,9xko,8tcc,8tcc,aa2o;28,3veo,5yuu,5yuu,49iu,3veo,5yuu,5yuu;28,3t7c,5x3o,5x3o,48e0,3t8i,5x3o,5x3o;w,660o,7jeu,7jeu,7nk6,7jeu,7jeu,9k10;w,6i7c,7jm6,7jm6,8syc,7jm6,7jm6,9bpc;w,6k00,7l0i,7l0i,8mdc,7l0i,7l0i,9egc;3k,6s60,8plc,8plc,cizi,8plc,8plc,a69o;3k,6zcc,8tcc,8tcc,ccio,8tcc,8tcc,aa2o;9,5kb0,7bto,8qmo,8qmo,8qmo,8qmo,6jq0;9,52wi,7hcu,8yp0,8yp0,8yp0,8yp0,6q06;g,6w0c,7dn6,c4q0,920c,920c,920c,8kdi;g,6muc,7d0c,c7sc,952o,952o,952o,8gqo;c,6kjc,bsno,7vco,7vco,bsno,bsno,bsno;c,6fo0,bnz0,7rg6,7rg6,bnz0,bnz0,bnz0;c,660o,b7rc,7jeu,7jeu,b7rc,b7rc,b7rc;1,5kb0,7bto,7bto,6rr6,6jq0,6jq0,6jq0;1,52wi,7hcu,7hcu,6v96,6q06,6q06,6q06;3k,6w0c,7jn6,7dn6,ay50,8kdi,8kdi,8kdi;3k,6muc,7j0c,7d0c,arz0,8gqo,8gqo,8gqo;9,5dji,76p6,8wpo,8wpo,8wpo,8wpo,69ui;g,6jic,78ki,c3v0,91v0,91v0,91v0,8csu;g,5n0c,73uo,c83c,963c,963c,963c,7vr0;c,6f7c,blho,7hl0,7hl0,blho,blho,blho;c,68io,besc,7chi,7chi,besc,besc,besc;c,6i7c,bmqo,7jm6,7jm6,bmqo,bmqo,bmqo;1,5kb0,7bto,7bto,5rx6,6jq0,6jq0,6jq0;1,5dji,76p6,76p6,6pyo,69ui,69ui,69ui;3k,6jic,7pqi,78ki,ay2c,8csu,8csu,8csu;3k,5n0c,7l0o,73uo,9vii,7vr0,7vr0,7vr0;g,5joc,7880,cayo,9b60,9b60,9b60,7vyc;g,6ucc,7ih0,cdgo,9do0,9do0,9do0,8pjc;c,6njc,byjo,7p4o,7p4o,byjo,byjo,byjo;c,6eo0,bkh0,7hii,7hii,bkh0,bkh0,bkh0;c,6k00,bp50,7l0i,7l0i,bp50,bp50,bp50;1,52wi,7hcu,7hcu,6b96,6q06,6q06,6q06;1,5dji,76p6,76p6,723i,69ui,69ui,69ui;3k,5joc,7880,7880,9yf6,7vyc,7vyc,7vyc;3k,6ucc,7ih0,7ih0,b3o0,8pjc,8pjc,8pjc;9,5hz0,61go,9izc,9izc,9izc,9izc,64j0;2,6ucc,c24o,8xz0,8xz0,f1xc,c24o,c24o;2,6pcc,brz0,8rbc,8rbc,etz0,brz0,brz0;2,6s60,bprc,8plc,8plc,esh0,bprc,bprc;2,6w0c,7dn6,7dn6,7jn6,8qbi,8kdi,8kdi;2,6jic,78ki,78ki,88su,93oo,8csu,8csu;2,5joc,7880,7880,77w0,8ixi,7vyc,7vyc;1,5hz0,61go,61go,6svo,6470,64j0,64j0;c,6vtc,c6ao,9150,9150,f63c,c6ao,c6ao;2,6vi0,buk0,8umo,8umo,ewk0,buk0,buk0;2,6zcc,brko,8tcc,8tcc,euac,brko,brko;2,6muc,7d0c,7d0c,7j0c,8vac,8gqo,8gqo;2,5n0c,73uo,73uo,7l0o,9360,7vr0,7vr0;2,6ucc,7ih0,7ih0,8gjc,8wlo,8pjc,8pjc;1,5hz0,61go,61go,6y3c,61v0,64j0,64j0;4,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;4,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;3m,47jc,5awi,49hu,6l1c,6l1c,6l1c,6l1c;3m,4l2o,4nso,4nso,6yto,6yto,6yto,6yto;1s,486c,6lhi,486c,5p2o,5p2o,5p2o,5p2o;1s,6ucc,7w8i,6ucc,79ko,79ko,79ko,79ko;1s,8yi0,9ayc,8yi0,8yi0,8yi0,8yi0,8yi0;4,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;4,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;3m,47eo,5b6u,49di,6m5o,6m5o,6m5o,6m5o;3m,4nm0,4ol0,4ol0,70m0,70m0,70m0,70m0;1s,4d6c,6kh0,4d6c,5ruc,5ruc,5ruc,5ruc;1s,6pcc,7y80,6pcc,76cc,76cc,76cc,76cc;1s,92cc,9b7c,92cc,92cc,92cc,92cc,92cc;4,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;4,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;3m,467c,591c,49u6,6hgc,6hgc,6hgc,6hgc;3m,4i2o,4i2o,4mfu,6uto,6uto,6uto,6uto;1s,486c,6iqi,48ko,5mwo,5mwo,5mwo,5mwo;1s,6s60,7u50,6s60,763o,763o,763o,763o;1s,8puc,991c,8puc,8puc,8puc,8puc,8puc;w,6j5c,81di,81di,ab8i,81di,ab8i,81di;w,6eco,7xj0,7xj0,aa20,7xoc,aa20,7xoc;w,64co,7p86,7p86,a1ni,7p86,a1ni,7p86;9,4tx0,5nxc,8og0,8prc,8prc,798o,8prc;9,5e9i,8sou,8xoc,8xoc,8xoc,6xu6,8xoc;1s,6w0c,ay50,920c,920c,920c,8kdi,920c;1s,7q0c,bsqu,95io,95io,95io,93vo,95io;w,6e5c,8486,8486,af66,8c3u,af66,8c3u;w,69vc,80xo,80xo,ad90,8bdc,ad90,8bdc;w,6c7c,82ju,82ju,aeii,88ki,aeii,88ki;9,4tx0,6r7i,8og0,8prc,8prc,798o,8prc;9,505i,8rd6,8v10,8v10,8v10,6yti,8v10;1s,6jic,ay2c,91v0,91v0,91v0,8csu,91v0;1s,8xcc,cw7c,9u20,9u20,9u20,9u20,9u20;w,6p5c,7uko,8gju,9tgo,7uko,9tgo,7uko;w,6boo,7l4o,88ko,9nt0,7l4o,9nt0,7l4o;w,6i00,7pf0,8aoi,9o4o,7pf0,9o4o,7pf0;9,5e9i,7ai6,9pw0,8xoc,8xoc,6xu6,8xoc;9,505i,6b1u,9ns0,8v10,8v10,6yti,8v10;1s,5joc,ah0o,9zmo,9b60,9b60,7vyc,9b60;1s,6soc,b4cc,9d5c,9d5c,9d5c,8n40,9d5c;g,6ucc,8xz0,aa3o,adqc,8xz0,adqc,8xz0;g,6pcc,8rbc,a716,a700,8rbc,a700,8rbc;g,6s60,8plc,a3mi,a69o,8plc,a69o,8plc;g,6w0c,8bdi,c4q0,920c,920c,8kdi,920c;g,6jic,78ki,c3v0,91v0,91v0,8csu,91v0;g,5joc,93mc,cayo,9b60,9b60,7vyc,9b60;9,5hz0,8ulc,9izc,9izc,9izc,7c10,9izc;g,8yi0,a1d0,aq3c,ba00,a1d0,ba00,a1d0;g,92cc,9wxc,anh0,b7eo,9wxc,b7eo,9wxc;g,8puc,9r10,ain0,azeo,9r10,azeo,9r10;g,7q0c,7rnc,cyzc,95io,95io,93vo,95io;g,8xcc,8xcc,cz5o,9u20,9u20,9u20,9u20;g,6soc,8h40,ccy0,9d5c,9d5c,8n40,9d5c;9,5hz0,7mp0,a7g0,9izc,9izc,7c10,9izc;4,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;4,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;8,6j5c,913o,81di,81di,ab8i,81di,81di;8,6e5c,8456,8c3u,8486,af66,8c3u,8c3u;8,6p5c,atp0,7uko,7uko,9tgo,7uko,7uko;1s,6ucc,co26,8xz0,8xz0,adqc,8xz0,8xz0;1s,8yi0,ehqo,a1d0,a1d0,ba00,a1d0,a1d0;4,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;8,6eco,8z36,7xoc,7xj0,aa20,7xoc,7xoc;8,69vc,8180,8bdc,80xo,ad90,8bdc,8bdc;8,6boo,alvc,7l4o,7l4o,9nt0,7l4o,7l4o;1s,6pcc,cl5u,8rbc,8rbc,a700,8rbc,8rbc;1s,92cc,eako,9wxc,9wxc,b7eo,9wxc,9wxc;8,64co,8t8i,7p86,7p86,a1ni,7p86,7p86;8,6c7c,81ri,88ki,82ju,aeii,88ki,88ki;8,6i00,apg0,7pf0,7pf0,9o4o,7pf0,7pf0;1s,6s60,cizi,8plc,8plc,a69o,8plc,8plc;1s,8puc,ebgu,9r10,9r10,azeo,9r10,9r10;1,4tx0,5nxc,7zxc,6r7i,798o,798o,798o;1,5e9i,8sou,7i1i,7ai6,6xu6,6xu6,6xu6;1s,6w0c,ay50,7jn6,8bdi,8kdi,8kdi,8kdi;1s,7q0c,bsqu,7rnc,7rnc,93vo,93vo,93vo;1,505i,8rd6,7mvu,6b1u,6yti,6yti,6yti;1s,6jic,ay2c,7pqi,78ki,8csu,8csu,8csu;1s,8xcc,cw7c,8xcc,8xcc,9u20,9u20,9u20;1s,5joc,ah0o,77w0,93mc,7vyc,7vyc,7vyc;1s,6soc,b4cc,7ipo,8h40,8n40,8n40,8n40;1,5hz0,8ulc,6omo,7mp0,7c10,7c10,7c10;5c,4r2o,732o,4rho,732o,4rho,732o,732o;5c,4kvc,6x4c,4oni,6x4c,4m96,6x4c,6x4c;w,6j5c,81di,81di,ab8i,81di,81di,ab8i;w,6e5c,8c3u,8486,af66,8486,8c3u,af66;w,6p5c,7uko,8gju,9tgo,7uko,7uko,9tgo;g,6ucc,8xz0,aa3o,adqc,8xz0,8xz0,adqc;g,8yi0,a1d0,aqic,ba00,a1d0,a1d0,ba00;28,4r2o,732o,732o,4rho,4r2o,732o,732o;28,4kvc,6x4c,6x4c,4oni,4kvc,6x4c,6x4c;w,6j5c,81di,81di,913o,81di,81di,ab8i;w,6e5c,8c3u,8c3u,81f6,8486,8c3u,af66;w,6p5c,7uko,7uko,atp0,7uko,7uko,9tgo;3k,6ucc,8xz0,8xz0,co26,8xz0,8xz0,adqc;3k,8yi0,a1d0,a1d0,ehqo,a1d0,a1d0,ba00;5c,4keo,6y5o,4oou,6y5o,4lzo,6y5o,6y5o;w,6eco,7xoc,7xj0,aa20,7xj0,7xoc,aa20;w,69vc,8bdc,80xo,ad90,80xo,8bdc,ad90;w,6boo,7l4o,88ko,9nt0,7l4o,7l4o,9nt0;g,6pcc,8rbc,a716,a700,8rbc,8rbc,a700;g,92cc,9wxc,anw0,b7eo,9wxc,9wxc,b7eo;28,4r2o,732o,732o,4rho,4r2o,732o,732o;28,4keo,6y5o,6y5o,4oou,4keo,6y5o,6y5o;w,6eco,7xoc,7xoc,8z36,7xj0,7xoc,aa20;w,69vc,8bdc,8bdc,8090,80xo,8bdc,ad90;w,6boo,7l4o,7l4o,alvc,7l4o,7l4o,9nt0;3k,6pcc,8rbc,8rbc,cl5u,8rbc,8rbc,a700;3k,92cc,9wxc,9wxc,eako,9wxc,9wxc,b7eo;w,64co,7p86,7p86,a1ni,7p86,7p86,a1ni;w,6c7c,88ki,82ju,aeii,82ju,88ki,aeii;w,6i00,7pf0,8aoi,9o4o,7pf0,7pf0,9o4o;g,6s60,8plc,a3mi,a69o,8plc,8plc,a69o;g,8puc,9r10,allu,azeo,9r10,9r10,azeo;28,4kvc,6x4c,6x4c,4m96,4oni,6x4c,6x4c;28,4keo,6y5o,6y5o,4lzo,4oou,6y5o,6y5o;w,64co,7p86,7p86,8t8i,7p86,7p86,a1ni;w,6c7c,88ki,88ki,81ri,82ju,88ki,aeii;w,6i00,7pf0,7pf0,apg0,7pf0,7pf0,9o4o;3k,6s60,8plc,8plc,cizi,8plc,8plc,a69o;3k,8puc,9r10,9r10,ebgu,9r10,9r10,azeo;9,4tx0,7zxc,8og0,8prc,8og0,8prc,798o;9,5e9i,7i1i,9pw0,8xoc,8xoc,8xoc,6xu6;g,6w0c,7jn6,c4q0,920c,920c,920c,8kdi;g,7q0c,7rnc,cyzc,95io,95io,95io,93vo;c,6j5c,brko,81di,81di,brko,brko,brko;c,6eco,blko,7xoc,7xj0,blfc,blko,blko;c,64co,b9fc,7p86,7p86,b9fc,b9fc,b9fc;1,4tx0,7zxc,7zxc,5nxc,77xc,798o,798o;1,5e9i,7i1i,7i1i,8sou,6xu6,6xu6,6xu6;3k,6w0c,7jn6,7jn6,ay50,8kdi,8kdi,8kdi;3k,7q0c,7rnc,7rnc,bsqu,93vo,93vo,93vo;9,505i,7mvu,9ns0,8v10,8v10,8v10,6yti;g,6jic,7pqi,c3v0,91v0,91v0,91v0,8csu;g,8xcc,8xcc,cz5o,9u20,9u20,9u20,9u20;c,6e5c,bsgc,8c3u,8486,bkko,bsgc,bsgc;c,69vc,bo0c,8bdc,80xo,bdko,bo0c,bo0c;c,6c7c,bs9c,88ki,82ju,bm8o,bs9c,bs9c;1,4tx0,7zxc,7zxc,6r7i,77xc,798o,798o;1,505i,7mvu,7mvu,8rd6,6yti,6yti,6yti;3k,6jic,7pqi,7pqi,ay2c,8csu,8csu,8csu;3k,8xcc,8xcc,8xcc,cw7c,9u20,9u20,9u20;g,5joc,77w0,cayo,9b60,9zmo,9b60,7vyc;g,6soc,7ipo,ccy0,9d5c,9d5c,9d5c,8n40;c,6p5c,byyo,7uko,7uko,corc,byyo,byyo;c,6boo,bh3c,7l4o,7l4o,c9z0,bh3c,bh3c;c,6i00,bqn0,7pf0,7pf0,che0,bqn0,bqn0;1,5e9i,7i1i,7i1i,7ai6,75u6,6xu6,6xu6;1,505i,7mvu,7mvu,6b1u,7eau,6yti,6yti;3k,5joc,7880,77w0,ah0o,8kf0,7vyc,7vyc;3k,6soc,7j1o,7ipo,b4cc,8n40,8n40,8n40;9,5hz0,6oao,a7g0,9izc,9izc,9izc,7c10;2,6ucc,c24o,8xz0,8xz0,f1xc,c24o,c24o;2,6pcc,brz0,8rbc,8rbc,etz0,brz0,brz0;2,6s60,bprc,8plc,8plc,esh0,bprc,bprc;2,6w0c,7jn6,7jn6,8bdi,8tou,8kdi,8kdi;2,6jic,7pqi,7pqi,78ki,93oo,8csu,8csu;2,5joc,77w0,77w0,93mc,9doo,7vyc,7vyc;1,5hz0,6oao,6oao,8ulc,7c10,7c10,7c10;2,8yi0,ccv0,a1d0,a1d0,fuko,ccv0,ccv0;2,92cc,c1zo,9wxc,9wxc,fmac,c1zo,c1zo;2,8puc,c0lc,9r10,9r10,fo1c,c0lc,c0lc;2,7q0c,7rnc,7rnc,7rnc,9f5u,93vo,93vo;2,8xcc,8xcc,8xcc,8xcc,9gfo,9u20,9u20;2,6soc,7ipo,7ipo,8h40,8v2o,8n40,8n40;1,5hz0,6oao,6oao,7mp0,6qbo,7c10,7c10;4,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;4,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;3m,47eo,5at0,47vo,6alu,6alu,6alu,6alu;3m,45eo,585u,4fwo,6buu,6buu,6buu,6buu;3m,3sqo,5tt0,44yi,5viu,5viu,5viu,5viu;1s,6soc,7rf6,6soc,788o,788o,788o,788o;1s,8yi0,9ayc,8yi0,8yi0,8yi0,8yi0,8yi0;4,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;4,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;3m,4aeo,5dfu,4aeo,6e3u,6e3u,6e3u,6e3u;3m,442o,56nu,4gai,6d6u,6d6u,6d6u,6d6u;3m,3veo,5w6u,468o,5yuu,5yuu,5yuu,5yuu;1s,6vi0,7s2o,6vi0,7b9o,7b9o,7b9o,7b9o;1s,92cc,9b7c,92cc,92cc,92cc,92cc,92cc;4,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;4,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;3m,46qo,59n0,49lu,69oc,69oc,69oc,69oc;3m,44eo,54uu,4eai,6arc,6arc,6arc,6arc;3m,3sm0,5suc,485o,5uv0,5uv0,5uv0,5uv0;1s,6zcc,7ox6,6zcc,7buc,7buc,7buc,7buc;1s,8puc,991c,8puc,8puc,8puc,8puc,8puc;w,6k5c,839c,839c,a1x6,839c,a1x6,839c;w,6ihc,81rc,81rc,a236,81wo,a236,81wo;w,660o,7rm0,7rm0,9t2o,7rm0,9t2o,7rm0;9,5b0i,6ono,8t0c,8ubo,8ubo,6wpi,8ubo;9,550i,7syi,90ic,90ic,90ic,6ppi,90ic;1s,6muc,az50,952o,952o,952o,8gqo,952o;1s,7q0c,bsqu,95io,95io,95io,93vo,95io;w,6htc,7zlc,7zlc,a166,87h0,a166,87h0;w,69o0,7tec,7tec,9zii,83u0,9zii,83u0;w,6hvc,7zf0,7zf0,a160,85fo,a160,85fo;9,5b0i,6s3u,8t0c,8ubo,8ubo,6wpi,8ubo;9,4zni,7nx0,8z10,8z10,8z10,6q1u,8z10;1s,5n0c,9vii,963c,963c,963c,7vr0,963c;1s,8xcc,cw7c,9u20,9u20,9u20,9u20,9u20;w,6ohc,7zru,8pki,9wvo,7zru,9wvo,7zru;w,6fhc,7s26,8kxu,9s1c,7s26,9s1c,7s26;w,6kjc,7vco,8m3o,9s60,7vco,9s60,7vco;9,550i,74mi,9sq0,90ic,90ic,6ppi,90ic;9,4zni,6q3u,9rs0,8z10,8z10,6q1u,8z10;1s,6ucc,bcfo,a24o,9do0,9do0,8pjc,9do0;1s,6soc,b4cc,9d5c,9d5c,9d5c,8n40,9d5c;w,6vtc,9150,ae2i,adec,9150,adec,9150;g,6vi0,8umo,a900,ab70,8umo,ab70,8umo;g,6zcc,8tcc,a6ou,aa2o,8tcc,aa2o,8tcc;g,6muc,8aqo,c7sc,952o,952o,8gqo,952o;g,5n0c,6zeo,c83c,963c,963c,7vr0,963c;g,6ucc,9dvc,cdgo,9do0,9do0,8pjc,9do0;9,5hz0,8ulc,9izc,9izc,9izc,7c10,9izc;g,8yi0,a1d0,aqic,ba00,a1d0,ba00,a1d0;g,92cc,9wxc,anw0,b7eo,9wxc,b7eo,9wxc;g,8puc,9r10,allu,azeo,9r10,azeo,9r10;g,7q0c,7rnc,cyzc,95io,95io,93vo,95io;g,8xcc,9geo,cz5o,9u20,9u20,9u20,9u20;g,6soc,7ipo,ccy0,9d5c,9d5c,8n40,9d5c;9,5hz0,77d0,a7g0,9izc,9izc,7c10,9izc;4,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;4,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;8,6k5c,924c,839c,839c,a1x6,839c,839c;8,6htc,8xh6,87h0,7zlc,a166,87h0,87h0;8,6ohc,9v5u,7zru,7zru,9wvo,7zru,7zru;8,6vtc,cjg0,9150,9150,adec,9150,9150;1s,8yi0,ehqo,a1d0,a1d0,ba00,a1d0,a1d0;4,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;8,6ihc,91f6,81wo,81rc,a236,81wo,81wo;8,69o0,8szi,83u0,7tec,9zii,83u0,83u0;8,6fhc,9pdc,7s26,7s26,9s1c,7s26,7s26;1s,6vi0,cfmo,8umo,8umo,ab70,8umo,8umo;1s,92cc,eako,9wxc,9wxc,b7eo,9wxc,9wxc;8,660o,8t1c,7rm0,7rm0,9t2o,7rm0,7rm0;8,6hvc,8v9i,85fo,7zf0,a160,85fo,85fo;8,6kjc,9q5c,7vco,7vco,9s60,7vco,7vco;1s,6zcc,ccio,8tcc,8tcc,aa2o,8tcc,8tcc;1s,8puc,ebgu,9r10,9r10,azeo,9r10,9r10;1,5b0i,6ono,7jz6,6s3u,6wpi,6wpi,6wpi;1,550i,7syi,7h26,74mi,6ppi,6ppi,6ppi;1s,6muc,az50,7j0c,8aqo,8gqo,8gqo,8gqo;1s,7q0c,bsqu,7rnc,7rnc,93vo,93vo,93vo;1,4zni,7nx0,7hti,6w1u,6q1u,6q1u,6q1u;1s,5n0c,9vii,7l0o,73uo,7vr0,7vr0,7vr0;1s,8xcc,cw7c,8xcc,9geo,9u20,9u20,9u20;1s,6ucc,bcfo,7ih0,9dvc,8pjc,8pjc,8pjc;1s,6soc,b4cc,7j1o,7ipo,8n40,8n40,8n40;1,5hz0,8ulc,6omo,77d0,7c10,7c10,7c10;5c,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;5c,4qeo,6ylu,4st0,6ylu,4qeo,6ylu,6ylu;w,6k5c,839c,839c,a1x6,839c,839c,a1x6;w,6htc,87h0,7zlc,a166,7zlc,87h0,a166;w,6ohc,7zru,8pki,9wvo,7zru,7zru,9wvo;w,6vtc,9150,ae2i,adec,9150,9150,adec;g,8yi0,a1d0,aqic,ba00,a1d0,a1d0,ba00;28,4sqo,72dc,72dc,4sqo,4sqo,72dc,72dc;28,4qeo,6ylu,6ylu,4st0,4qeo,6ylu,6ylu;w,6k5c,839c,839c,924c,839c,839c,a1x6;w,6htc,87h0,87h0,8ur6,7zlc,87h0,a166;w,6ohc,7zru,7zru,9v5u,7zru,7zru,9wvo;w,6vtc,9150,9150,cjg0,9150,9150,adec;3k,8yi0,a1d0,a1d0,ehqo,a1d0,a1d0,ba00;5c,4qqo,70ru,4tfu,70ru,4qqo,70ru,70ru;w,6ihc,81wo,81rc,a236,81rc,81wo,a236;w,69o0,83u0,7tec,9zii,7tec,83u0,9zii;w,6fhc,7s26,8kxu,9s1c,7s26,7s26,9s1c;g,6vi0,8umo,a900,ab70,8umo,8umo,ab70;g,92cc,9wxc,anw0,b7eo,9wxc,9wxc,b7eo;28,4sqo,72dc,72dc,4sqo,4sqo,72dc,72dc;28,4qqo,70ru,70ru,4tfu,4qqo,70ru,70ru;w,6ihc,81wo,81wo,91f6,81rc,81wo,a236;w,69o0,83u0,83u0,8s0i,7tec,83u0,9zii;w,6fhc,7s26,7s26,9pdc,7s26,7s26,9s1c;3k,6vi0,8umo,8umo,cfmo,8umo,8umo,ab70;3k,92cc,9wxc,9wxc,eako,9wxc,9wxc,b7eo;w,660o,7rm0,7rm0,9t2o,7rm0,7rm0,9t2o;w,6hvc,85fo,7zf0,a160,7zf0,85fo,a160;w,6kjc,7vco,8m3o,9s60,7vco,7vco,9s60;g,6zcc,8tcc,a6ou,aa2o,8tcc,8tcc,aa2o;g,8puc,9r10,allu,azeo,9r10,9r10,azeo;28,4qeo,6ylu,6ylu,4qeo,4st0,6ylu,6ylu;28,4qqo,70ru,70ru,4qqo,4tfu,70ru,70ru;w,660o,7rm0,7rm0,8t1c,7rm0,7rm0,9t2o;w,6hvc,85fo,85fo,8v9i,7zf0,85fo,a160;w,6kjc,7vco,7vco,9q5c,7vco,7vco,9s60;3k,6zcc,8tcc,8tcc,ccio,8tcc,8tcc,aa2o;3k,8puc,9r10,9r10,ebgu,9r10,9r10,azeo;9,5b0i,7jz6,8t0c,8ubo,8t0c,8ubo,6wpi;9,550i,7h26,9sq0,90ic,90ic,90ic,6ppi;g,6muc,7j0c,c7sc,952o,952o,952o,8gqo;g,7q0c,7rnc,cyzc,95io,95io,95io,93vo;c,6k5c,buko,839c,839c,buko,buko,buko;c,6ihc,bpw0,81wo,81rc,bpqo,bpw0,bpw0;c,660o,bb0c,7rm0,7rm0,bb0c,bb0c,bb0c;1,5b0i,7jz6,7jz6,6ono,6ve6,6wpi,6wpi;1,550i,7h26,7h26,7syi,6ppi,6ppi,6ppi;3k,6muc,7j0c,7j0c,az50,8gqo,8gqo,8gqo;3k,7q0c,7rnc,7rnc,bsqu,93vo,93vo,93vo;9,4zni,7hti,9rs0,8z10,8z10,8z10,6q1u;g,5n0c,7l0o,c83c,963c,963c,963c,7vr0;g,8xcc,8xcc,cz5o,9u20,9u20,9u20,9u20;c,6htc,bwsc,87h0,7zlc,bowo,bwsc,bwsc;c,69o0,bq5o,83u0,7tec,bfq0,bq5o,bq5o;c,6hvc,bvuc,85fo,7zf0,bpto,bvuc,bvuc;1,5b0i,7jz6,7jz6,6s3u,6ve6,6wpi,6wpi;1,4zni,7hti,7hti,7nx0,6q1u,6q1u,6q1u;3k,5n0c,7l0o,7l0o,9vii,7vr0,7vr0,7vr0;3k,8xcc,8xcc,8xcc,cw7c,9u20,9u20,9u20;g,6ucc,7ih0,cdgo,9do0,a24o,9do0,8pjc;g,6soc,7j1o,ccy0,9d5c,9d5c,9d5c,8n40;c,6ohc,c14o,7zru,7zru,cqxc,c14o,c14o;c,6fhc,bl8o,7s26,7s26,ce4c,bl8o,bl8o;c,6kjc,bsno,7vco,7vco,cjeo,bsno,bsno;1,550i,7h26,7h26,74mi,7hx6,6ppi,6ppi;1,4zni,7hti,7hti,6w1u,7isu,6q1u,6q1u;3k,6ucc,7ih0,7ih0,bcfo,9e00,8pjc,8pjc;3k,6soc,7j1o,7j1o,ayec,8n40,8n40,8n40;9,5hz0,6omo,a7g0,9izc,9izc,9izc,7c10;c,6vtc,c6ao,9150,9150,f63c,c6ao,c6ao;2,6vi0,buk0,8umo,8umo,ewk0,buk0,buk0;2,6zcc,brko,8tcc,8tcc,euac,brko,brko;2,6muc,7j0c,7j0c,8aqo,8vac,8gqo,8gqo;2,5n0c,7l0o,7l0o,73uo,9360,7vr0,7vr0;2,6ucc,7ih0,7ih0,9dvc,9j00,8pjc,8pjc;1,5hz0,6omo,6omo,8q5c,7c10,7c10,7c10;2,8yi0,ccv0,a1d0,a1d0,fuko,ccv0,ccv0;2,92cc,c1zo,9wxc,9wxc,fmac,c1zo,c1zo;2,8puc,c0lc,9r10,9r10,fo1c,c0lc,c0lc;2,7q0c,7rnc,7rnc,7rnc,9f5u,93vo,93vo;2,8xcc,8xcc,8xcc,9geo,9src,9u20,9u20;2,6soc,7j1o,7j1o,7ipo,8ncu,8n40,8n40;1,5hz0,6omo,6omo,77d0,6sno,7c10,7c10;41,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,etc0,fj56,fj56,fj56,hfni,fj56,fj56;2,dxo0,esq6,esq6,esq6,hcei,esq6,esq6;2,eec0,ezb6,ezb6,ezb6,h0su,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,i1pu,f9oi,f9oi;2,ejc0,fa26,fa26,fa26,iv8i,fa26,fa26;2,eq00,fgh6,fgh6,fgh6,itg6,fgh6,fgh6;5d,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,etc0,fj56,fj56,fj56,hfni,fj56,fj56;2,dxo0,esq6,esq6,esq6,hcei,esq6,esq6;2,eec0,ezb6,ezb6,ezb6,h0su,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,i1pu,f9oi,f9oi;2,ejc0,fa26,fa26,fa26,iv8i,fa26,fa26;2,eq00,fgh6,fgh6,fgh6,itg6,fgh6,fgh6;29,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,etc0,fj56,fj56,fj56,hfni,fj56,fj56;2,dxo0,esq6,esq6,esq6,hcei,esq6,esq6;2,eec0,ezb6,ezb6,ezb6,h0su,ezb6,ezb6;2,erao,f9oi,f9oi,f9oi,i1pu,f9oi,f9oi;2,ejc0,fa26,fa26,fa26,iv8i,fa26,fa26;2,eq00,fgh6,fgh6,fgh6,itg6,fgh6,fgh6;41,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,dzc0,ev56,ev56,ev56,hcpu,ev56,ev56;2,eg00,f7e6,f7e6,f7e6,hamu,f7e6,f7e6;2,esyo,fb0i,fb0i,fb0i,gxfo,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,hzc0,f4n6,f4n6;2,ero0,fgq6,fgq6,fgq6,ipa6,fgq6,fgq6;2,etc0,fj56,fj56,fj56,ipoo,fj56,fj56;5d,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,dzc0,ev56,ev56,ev56,hcpu,ev56,ev56;2,eg00,f7e6,f7e6,f7e6,hamu,f7e6,f7e6;2,esyo,fb0i,fb0i,fb0i,gxfo,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,hzc0,f4n6,f4n6;2,ero0,fgq6,fgq6,fgq6,ipa6,fgq6,fgq6;2,etc0,fj56,fj56,fj56,ipoo,fj56,fj56;29,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,dzc0,ev56,ev56,ev56,hcpu,ev56,ev56;2,eg00,f7e6,f7e6,f7e6,hamu,f7e6,f7e6;2,esyo,fb0i,fb0i,fb0i,gxfo,fb0i,fb0i;2,el00,f4n6,f4n6,f4n6,hzc0,f4n6,f4n6;2,ero0,fgq6,fgq6,fgq6,ipa6,fgq6,fgq6;2,etc0,fj56,fj56,fj56,ipoo,fj56,fj56;41,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;41,3rk0,5ln0,5ln0,5ln0,5ln0,5ln0,5ln0;8,660o,8kxu,7qeu,7qeu,7qeu,8kxu,7qeu;8,6hvc,8iui,7l60,7l60,7rs6,8iui,7l60;8,6kjc,9s60,7vco,7vco,7wx0,9s60,7vco;8,6j5c,ab8i,81di,81di,81di,ab8i,81di;8,6k5c,a1x6,839c,839c,839c,a1x6,839c;5d,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;5d,3rk0,5ln0,5ln0,5ln0,5ln0,5ln0,5ln0;8,660o,8kxu,7qeu,7qeu,7qeu,8kxu,7qeu;8,6hvc,8cqc,7l60,7l60,7rs6,8iui,7l60;8,6kjc,7xci,7vco,7vco,7wx0,9s60,7vco;8,6j5c,7y6c,81di,81di,81di,ab8i,81di;8,6k5c,7z70,839c,839c,839c,a1x6,839c;8,etc0,hfni,fj56,fj56,fj56,fj56,fj56;8,dzc0,hcpu,ev56,ev56,ev56,ev56,ev56;29,3cyi,50cc,50cc,50cc,50cc,50cc,50cc;29,2ox0,482o,482o,4e6u,4kt0,4e6u,4e6u;3o,3sm0,401i,401i,5uv0,5wfc,5uv0,5uv0;3o,47jc,47z6,47z6,6l1c,6l1c,6l1c,6l1c;3o,47eo,47vo,47vo,6alu,6alu,6alu,6alu;41,3p7i,5k8o,5k8o,5k8o,5k8o,5k8o,5k8o;41,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;8,660o,8kxu,7qeu,7qeu,7qeu,8kxu,7qeu;8,6ajc,8c16,7ef0,7ef0,7ky6,8c16,7ef0;8,6f7c,9a60,7hl0,7hl0,7ov6,9a60,7hl0;8,6e5c,af66,8486,8486,8c3u,af66,8c3u;8,6htc,a166,7zlc,7zlc,87h0,a166,87h0;5d,3p7i,5k8o,5k8o,5k8o,5k8o,5k8o,5k8o;5d,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;8,660o,8kxu,7qeu,7qeu,7qeu,8kxu,7qeu;8,6ajc,885c,7ef0,7ef0,7ky6,8c16,7ef0;8,6f7c,7wqc,7hl0,7hl0,7ov6,9a60,7hl0;8,6e5c,8456,8c3u,8486,8c3u,af66,8c3u;8,6htc,81d0,87h0,7zlc,87h0,a166,87h0;8,dxo0,hcei,esq6,esq6,esq6,esq6,esq6;8,eg00,hamu,f7e6,f7e6,f7e6,f7e6,f7e6;29,3cyi,50cc,50cc,50cc,50cc,50cc,50cc;29,2pk0,44wo,44wo,48si,4fbo,48si,48si;3o,38eo,3sto,3sto,569c,5dji,569c,569c;3o,4l2o,4nso,4nso,6yto,6yto,6yto,6yto;3o,45eo,4c1o,4c1o,6buu,6buu,6buu,6buu;41,36b0,4th0,4th0,4th0,4th0,4th0,4th0;41,34t0,4pz0,4pz0,4pz0,4pz0,4pz0,4pz0;8,6hvc,8cqc,7l60,7l60,7l60,8cqc,7l60;8,6ajc,885c,7ef0,7ef0,7ef0,885c,7ef0;8,6njc,9i9c,7p4o,7p4o,7p4o,9i9c,7p4o;8,6p5c,9tgo,7uko,8gju,7uko,9tgo,7uko;8,6ohc,9wvo,7zru,8pki,7zru,9wvo,7zru;5d,36b0,4th0,4th0,4vcu,4th0,4th0,4vcu;5d,34t0,4pz0,4pz0,4rwo,4pz0,4pz0,4rwo;8,6hvc,8cqc,7l60,7l60,7l60,8cqc,7l60;8,6ajc,885c,7ef0,7ef0,7ef0,885c,7ef0;8,6njc,7ofu,7p4o,7p4o,7p4o,9i9c,7p4o;8,6p5c,7pao,7qr6,7qr6,7qr6,9jgo,7qr6;8,6ohc,7u3i,7zru,7zru,7zru,9wvo,7zru;8,eec0,gyx0,ezb6,ezb6,ezb6,ezb6,ezb6;8,esyo,gvi0,fb0i,fb0i,fb0i,fb0i,fb0i;29,2ox0,4eou,482o,4e6u,482o,482o,4e6u;29,2pk0,4bfu,44wo,48si,44wo,44wo,48si;3o,392o,3f0u,3f0u,58uc,58uc,58uc,58uc;3o,3d7c,3h36,3h36,5b96,5b96,5b96,5b96;3o,3sqo,3sqo,3sqo,5viu,5viu,5viu,5viu;41,227i,2vcc,2vcc,2vcc,2vcc,2vcc,2vcc;41,20b0,2pt0,2pt0,2pt0,2pt0,2pt0,2pt0;8,6kjc,7afi,6wm6,6wm6,6wm6,7afi,6wm6;8,6f7c,7gyo,6zju,6zju,6zju,7gyo,6zju;8,6njc,7sbo,71wc,6y9i,71wc,7sbo,71wc;w,6ucc,adqc,8xz0,aa3o,8xz0,adqc,8xz0;8,6vtc,adec,9150,ae2i,9150,adec,9150;w,3sqo,4abo,4abo,4hvi,4abo,4abo,4hvi;w,3veo,49iu,49iu,4hfu,49iu,49iu,4hfu;8,6kjc,7xci,7vco,6wm6,7vco,7yv6,6wm6;8,6f7c,7wqc,7hl0,6zju,7hl0,7wqc,6zju;8,6njc,7ofu,7p4o,6y9i,7p4o,8afc,6y9i;8,6shc,756i,7ab0,7ab0,7ab0,84ii,7ab0;8,6vtc,77s6,7e9u,7e9u,7e9u,881o,7e9u;8,erao,ggio,f9oi,ew5c,f9oi,f9oi,ew5c;8,el00,ga00,f4n6,er40,f4n6,f4n6,er40;w,3sm0,41lu,401i,4a4i,41k6,41k6,4a4i;w,38eo,403u,3sto,468o,3sto,3sto,468o;w,392o,3f0u,3f0u,3zno,410c,410c,3zno;3o,2bjc,2dcu,2dcu,3cou,3cou,3cou,3cou;3o,2eqo,2frc,2frc,3g0u,3g0u,3g0u,3g0u;8,1cyo,1vsc,1t6c,1t6c,1t6c,1vsc,1t6c;41,1h7i,1ux0,1um0,1x0c,1um0,1ux0,1um0;8,6j5c,75b0,6vy0,6oy0,6vy0,75b0,6vy0;8,6e5c,707i,6lg0,6lg0,6m0c,707i,6lg0;8,6p5c,8ckc,7uko,7iti,7uko,8ckc,7uko;w,6ucc,9yi0,8xz0,9v5i,8xz0,9yi0,8xz0;w,8yi0,ba00,a1d0,aqic,a1d0,ba00,a1d0;w,4r2o,4rho,4rho,4z6c,4rho,4rho,4z6c;w,4kvc,4m96,4m96,4uqo,4m96,4m96,4uqo;8,6j5c,7xqi,81di,6oy0,81di,7xqi,6oy0;8,6e5c,81f6,8486,6tbo,8486,8806,6tbo;8,6p5c,7pao,7qr6,6t0u,7qr6,7pao,6t0u;8,6shc,756i,7ab0,6vcu,7ab0,7dnu,6vcu;8,6tyo,6y7c,6yio,6yio,6z30,7ajo,6yio;8,ejc0,gjni,fa26,ejc0,fa26,fa26,ejc0;8,ero0,gef0,fgq6,ero0,fgq6,fgq6,ero0;w,47jc,47jc,47z6,4lm0,47z6,47z6,4lm0;w,4l2o,4l2o,4nso,4v6c,4rno,4rno,4v6c;w,3d7c,3h36,3h36,3ofc,3h36,3h36,3ofc;w,2bjc,2eki,2dcu,2tmi,2lu6,2lu6,2tmi;3o,1jm0,1psi,1oku,27g0,247i,23n6,27g0;8,1bmo,1tt0,1pa0,1pa0,1pa0,1tt0,1pa0;41,1d20,1sgo,1pqo,1tiu,1pqo,1sgo,1pqo;8,6k5c,79u6,6zs0,6pq6,6zs0,79u6,6zs0;8,6htc,77u6,6z40,6lk6,6z40,77u6,6z40;8,6ohc,81o0,7hn0,7hyc,7hn0,81o0,7hn0;8,6vtc,9y60,9150,9xbi,9150,9y60,9150;w,8yi0,ba00,a1d0,aq3c,a1d0,ba00,a1d0;w,4sqo,4sqo,4sqo,4wto,4sqo,4sqo,4wto;w,4qeo,4qeo,4qeo,4vno,4qeo,4qeo,4vno;8,6k5c,7yr6,839c,6pq6,839c,7yr6,6pq6;8,6htc,7yn0,7zlc,6tfu,7zlc,7yn0,6tfu;8,6ohc,7u3i,7zru,6s5o,7zru,82bc,6s5o;8,6vtc,77s6,7e9u,6xiu,7e9u,7lbc,6xiu;8,6tyo,6y7c,6yio,6wpu,6yio,7aio,6wpu;8,eq00,gkdu,fgh6,eq00,fgh6,fgh6,eq00;8,etc0,ghhi,fj56,etc0,fj56,fj56,etc0;w,47eo,47fu,47vo,4inu,47vo,47vo,4inu;w,45eo,49bo,4c1o,4e0u,4c1o,4c1o,4e0u;w,3sqo,3sqo,3sqo,423c,40yi,40yi,423c;w,2eqo,2frc,2frc,2pzo,2tai,2tai,2pzo;w,1jm0,1p56,1oku,25oc,20w6,20w6,25oc;2,255s0,255s0,255s0,255s0,255s0,255s0,255s0;5,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;2,5k00,5y20,5y20,5y20,5y20,5y20,5y20;5,36b0,4th0,4th0,4vcu,4th0,4th0,4vcu;w,3sqo,4abo,4abo,4hvi,4abo,4abo,4hvi;w,4r2o,4s20,4s20,4zqo,4s20,4s20,4zqo;w,4sqo,4sqo,4sqo,4wto,4sqo,4sqo,4wto;2,255s0,255s0,255s0,255s0,255s0,255s0,255s0;2,5k00,5tti,5tti,5tti,5tti,5tti,5tti;5,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;5,34t0,4pz0,4pz0,4rwo,4pz0,4pz0,4rwo;w,3veo,49iu,49iu,4hfu,49iu,49iu,4hfu;w,4kvc,4m96,4m96,4uqo,4m96,4m96,4uqo;w,4qeo,4qeo,4qeo,4vno,4qeo,4qeo,4vno;5,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;2,5k00,5tti,5tti,5tti,5tti,5tti,5tti;8,660o,8kxu,7qeu,7qeu,8kxu,7qeu,7qeu;8,6hvc,8cqc,7l60,7l60,8cqc,7l60,7l60;8,6kjc,7yv6,7vco,6wm6,7yv6,7vco,6wm6;8,6j5c,7xqi,81di,6oy0,7xqi,81di,6oy0;8,6k5c,7yr6,839c,6pq6,7yr6,839c,6pq6;2,5k00,5y20,5y20,5y20,5y20,5y20,5y20;5,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;8,660o,8kxu,7qeu,7qeu,8kxu,7qeu,7qeu;8,6ajc,885c,7ef0,7ef0,885c,7ef0,7ef0;8,6f7c,7wqc,7hl0,6zju,7wqc,7hl0,6zju;8,6e5c,8806,8486,6tbo,8806,8486,6tbo;8,6htc,7yn0,7zlc,6tfu,7yn0,7zlc,6tfu;5,36b0,4vcu,4vcu,4vcu,4vcu,4vcu,4vcu;5,34t0,4rwo,4rwo,4rwo,4rwo,4rwo,4rwo;8,6hvc,8iui,7l60,7l60,8iui,7l60,7l60;8,6ajc,8c16,7ef0,7ef0,8c16,7ef0,7ef0;8,6njc,8afc,7p4o,6y9i,8afc,7p4o,6y9i;8,6p5c,7pao,7qr6,6t0u,7pao,7qr6,6t0u;8,6ohc,82bc,7zru,6s5o,82bc,7zru,6s5o;5s,3sqo,5viu,5viu,5viu,5viu,5viu,5viu;5s,3veo,5yuu,5yuu,5yuu,5yuu,5yuu,5yuu;8,6kjc,9s60,7vco,7vco,9s60,7vco,7vco;8,6f7c,9a60,7hl0,7hl0,9a60,7hl0,7hl0;8,6njc,9i9c,7p4o,7p4o,9i9c,7p4o,7p4o;8,6shc,7dnu,7ab0,6vcu,7dnu,7ab0,6vcu;8,6vtc,7lbc,7e9u,6xiu,7lbc,7e9u,6xiu;5s,4r2o,732o,732o,732o,732o,732o,732o;5s,4kvc,6x4c,6x4c,6x4c,6x4c,6x4c,6x4c;8,6j5c,ab8i,81di,81di,ab8i,81di,81di;8,6e5c,af66,8c3u,8c3u,af66,8c3u,8c3u;8,6p5c,9jgo,7qr6,7qr6,9jgo,7qr6,7qr6;8,6shc,84ii,7ab0,7ab0,84ii,7ab0,7ab0;8,6tyo,7aio,6yio,6wpu,7aio,6yio,6wpu;5s,4sqo,72dc,72dc,72dc,72dc,72dc,72dc;5s,4qeo,6ylu,6ylu,6ylu,6ylu,6ylu,6ylu;8,6k5c,a1x6,839c,839c,a1x6,839c,839c;8,6htc,a166,87h0,87h0,a166,87h0,87h0;8,6ohc,9wvo,7zru,7zru,9wvo,7zru,7zru;8,6vtc,881o,7e9u,7e9u,881o,7e9u,7e9u;8,6tyo,7ajo,6yio,6yio,7ajo,6yio,6yio;41,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,dl60,ejt6,ejt6,ejt6,hc7u,ejt6,ejt6;2,dy4o,et3i,et3i,et3i,h9gu,et3i,et3i;2,dq60,efz6,efz6,efz6,gsfo,efz6,efz6;2,dwu0,elb6,elb6,elb6,hw0i,elb6,elb6;2,dyi0,ete6,ete6,ete6,iqbi,ete6,ete6;2,dzc0,ev56,ev56,ev56,iruo,ev56,ev56;5d,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,dl60,ejt6,ejt6,ejt6,hc7u,ejt6,ejt6;2,dy4o,et3i,et3i,et3i,h9gu,et3i,et3i;2,dq60,efz6,efz6,efz6,gsfo,efz6,efz6;2,dwu0,elb6,elb6,elb6,hw0i,elb6,elb6;2,dyi0,ete6,ete6,ete6,iqbi,ete6,ete6;2,dzc0,ev56,ev56,ev56,iruo,ev56,ev56;29,47pi,65h0,65h0,65h0,65h0,65h0,65h0;2,dl60,ejt6,ejt6,ejt6,hc7u,ejt6,ejt6;2,dy4o,et3i,et3i,et3i,h9gu,et3i,et3i;2,dq60,efz6,efz6,efz6,gsfo,efz6,efz6;2,dwu0,elb6,elb6,elb6,hw0i,elb6,elb6;2,dyi0,ete6,ete6,ete6,iqbi,ete6,ete6;2,dzc0,ev56,ev56,ev56,iruo,ev56,ev56;41,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;41,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;8,677c,8mg6,7qgu,7qgu,7qgu,8mg6,7qgu;8,68co,8iac,7ed0,7ed0,7ed0,8iac,7ed0;8,6fo0,9qmo,7rg6,7rg6,7rg6,9qmo,7rg6;8,6eco,aa20,7xj0,7xj0,7xoc,aa20,7xoc;8,6ihc,a236,81rc,81rc,81wo,a236,81wo;5d,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;5d,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;8,677c,8mg6,7qgu,7qgu,7qgu,8mg6,7qgu;8,68co,8an0,7ed0,7ed0,7ed0,8iac,7ed0;8,6fo0,7x6i,7rg6,7rg6,7rg6,9qmo,7rg6;8,6eco,7w20,7xoc,7xj0,7xoc,aa20,7xoc;8,6ihc,7ye0,81wo,81rc,81wo,a236,81wo;8,etc0,hfni,fj56,fj56,fj56,fj56,fj56;8,dl60,hc7u,ejt6,ejt6,ejt6,ejt6,ejt6;29,3c2i,51oc,51oc,51oc,51oc,51oc,51oc;29,2w20,4ako,4ako,4i80,4i80,4i80,4i80;3o,3seo,40no,40no,5u3u,5u3u,5u3u,5u3u;3o,47eo,485o,485o,6m5o,6m5o,6m5o,6m5o;3o,4aeo,4aeo,4aeo,6e3u,6e3u,6e3u,6e3u;41,3p7i,5k8o,5k8o,5k8o,5k8o,5k8o,5k8o;41,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;8,677c,8mg6,7qgu,7qgu,7qgu,8mg6,7qgu;8,60vc,89qc,76u0,76u0,7dd6,89qc,76u0;8,68io,97z0,7chi,7chi,7jro,97z0,7chi;8,69vc,ad90,80xo,80xo,8bdc,ad90,8bdc;8,69o0,9zii,7tec,7tec,83u0,9zii,83u0;5d,3p7i,5k8o,5k8o,5k8o,5k8o,5k8o,5k8o;5d,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;8,677c,8mg6,7qgu,7qgu,7qgu,8mg6,7qgu;8,60vc,84zc,76u0,76u0,7dd6,89qc,76u0;8,68io,7vho,7chi,7chi,7jro,97z0,7chi;8,69vc,8180,8bdc,80xo,8bdc,ad90,8bdc;8,69o0,7w96,83u0,7tec,83u0,9zii,83u0;8,dxo0,hcei,esq6,esq6,esq6,esq6,esq6;8,dy4o,h9gu,et3i,et3i,et3i,et3i,et3i;29,3c2i,51oc,51oc,51oc,51oc,51oc,51oc;29,2wt0,46qo,46qo,4bho,4i0u,4bho,4bho;3o,38jc,3t6u,3t6u,55o6,5cyc,55o6,55o6;3o,4nm0,4ol0,4ol0,70m0,70m0,70m0,70m0;3o,442o,49xi,49xi,6d6u,6d6u,6d6u,6d6u;41,36b0,4th0,4th0,4th0,4th0,4th0,4th0;41,31x0,4pz0,4pz0,4pz0,4pz0,4pz0,4pz0;8,68co,8an0,7ed0,7ed0,7ed0,8an0,7ed0;8,60vc,84zc,76u0,76u0,76u0,84zc,76u0;8,6eo0,9cjo,7hii,7hii,7hii,9cjo,7hii;8,6boo,9nt0,7l4o,88ko,7l4o,9nt0,7l4o;8,6fhc,9s1c,7s26,8kxu,7s26,9s1c,7s26;5d,36b0,4th0,4th0,4vcu,4th0,4th0,4vcu;5d,31x0,4pz0,4pz0,4tiu,4pz0,4pz0,4tiu;8,68co,8an0,7ed0,7ed0,7ed0,8an0,7ed0;8,60vc,84zc,76u0,76u0,76u0,84zc,76u0;8,6eo0,7jpo,7hii,7hii,7hii,9cjo,7hii;8,6boo,7hx6,7fp0,7fp0,7fp0,9beo,7fp0;8,6fhc,7ol6,7s26,7s26,7s26,9s1c,7s26;8,eec0,gyx0,ezb6,ezb6,ezb6,ezb6,ezb6;8,dq60,govu,efz6,efz6,efz6,efz6,efz6;29,2w20,4ako,4ako,4i80,4ako,4ako,4i80;29,2wt0,4d9u,46qo,4bho,46qo,46qo,4bho;3o,3bvc,3gr6,3gr6,59l6,59l6,59l6,59l6;3o,3beo,3giu,3giu,5a0c,5a0c,5a0c,5a0c;3o,3veo,3veo,3veo,5yuu,5yuu,5yuu,5yuu;41,227i,2vcc,2vcc,2vcc,2vcc,2vcc,2vcc;41,1zti,2ruc,2ruc,2ruc,2ruc,2ruc,2ruc;8,6fo0,78ru,6twc,6twc,6twc,78ru,6twc;8,68io,7fko,6vn0,6vn0,6vn0,7fko,6vn0;8,6eo0,7jkc,6t30,6rg6,6t30,7jkc,6t30;w,6pcc,a700,8rbc,a716,8rbc,a700,8rbc;w,6vi0,ab70,8umo,a900,8umo,ab70,8umo;w,3sqo,4abo,4abo,4hvi,4abo,4abo,4hvi;w,3t7c,48e0,48e0,4guu,48e0,48e0,4guu;8,6fo0,7x6i,7rg6,6twc,7rg6,7yec,6twc;8,68io,7vho,7chi,6vn0,7chi,7vho,6vn0;8,6eo0,7jpo,7hii,6rg6,7hii,855c,6rg6;8,6lo0,74ni,7516,7516,7516,8330,7516;8,6mc0,75k0,7700,7700,7700,8300,7700;8,erao,ggio,f9oi,ew5c,f9oi,f9oi,ew5c;8,dwu0,g7au,elb6,e7s0,elb6,elb6,e7s0;w,3seo,40no,40no,495o,41vi,41vi,495o;w,38jc,40h0,3t6u,4510,3t6u,3t6u,4510;w,3bvc,3gr6,3gr6,3zlc,426u,426u,3zlc;3o,2dqo,2hpo,2hpo,3g56,3g56,3g56,3g56;3o,2ea0,2i00,2i00,3fg0,3fg0,3fg0,3fg0;1w,1cyo,1vsc,1t6c,1t6c,1vsc,1vsc,1vsc;41,1ff0,1vwc,1ttc,1wii,1vsc,1vwc,1vsc;8,6eco,73o6,6sgo,6l8u,6sgo,73o6,6sgo;8,69vc,70lo,6hn0,6hn0,6i7c,70lo,6hn0;8,6boo,8950,7l4o,7b40,7l4o,8950,7l4o;w,6pcc,9r8c,8rbc,9rnc,8rbc,9r8c,8rbc;w,92cc,b7eo,9wxc,anw0,9wxc,b7eo,9wxc;w,4r2o,4rho,4rho,4z6c,4rho,4rho,515c;w,4keo,4lzo,4lzo,4vmo,4lzo,4lzo,4xlo;8,6eco,7w20,7xj0,6le6,7xj0,7w20,6m16;8,69vc,8090,80xo,6s2o,80xo,87l0,6s2o;8,6boo,7hx6,7fp0,6i8c,7fp0,7hx6,6i8c;8,6lo0,74ni,7516,6pnc,7516,7bhu,6pnc;8,6jtc,6tf0,6qb6,6qb6,6qvi,76mc,6qb6;8,ejc0,gjni,fa26,el00,fa26,fa26,el00;8,dyi0,ge5i,ete6,e4c0,ete6,ete6,e4c0;w,47eo,485o,485o,4npo,485o,485o,4npo;w,4nm0,4nm0,4ol0,4w6c,4uy0,4uy0,4w6c;w,3beo,3giu,3giu,3p3i,3giu,3giu,3p3i;w,2dqo,2hpo,2hpo,2voc,2ok0,2ok0,2voc;3o,1iqo,1rci,1rci,29qo,2636,25iu,29qo;1w,1bmo,1tt0,1pa0,1pa0,1tt0,1tt0,1tt0;8,1dhc,1up0,1oxc,1t7i,1sv0,1up0,1sv0;8,6ihc,7396,6wg0,6myo,6wg0,7396,6wg0;8,69o0,776i,6uc0,6g46,6uc0,776i,6uc0;8,6fhc,7s2o,78cc,7dho,78cc,7s2o,78cc;w,6vi0,9vfc,8umo,9rnc,8umo,9vfc,8umo;w,92cc,b7eo,9wxc,anh0,9wxc,b7eo,9wxc;w,4sqo,4sqo,4sqo,4wto,4sqo,4sqo,507o;w,4qqo,4qqo,4qqo,4vto,4qqo,4qqo,4z7o;8,6ihc,7ye0,81rc,6n40,81rc,7ye0,6oso;8,69o0,7va6,7tec,6qju,7tec,7va6,6qju;8,6fhc,7ol6,7s26,6km0,7s26,7vz0,6km0;8,6mc0,75k0,7700,6pnc,7700,7ec0,6pnc;8,6jtc,6tf0,6qb6,6ob6,6qb6,738u,6ob6;8,eq00,gkdu,fgh6,eqo0,fgh6,fgh6,eqo0;8,dzc0,ghti,ev56,e5c0,ev56,ev56,e5c0;w,4aeo,4aeo,4aeo,4jy0,4aeo,4aeo,4jy0;w,442o,48yi,49xi,4fe0,49xi,49xi,4fe0;w,3veo,3veo,3veo,440c,42si,42si,440c;w,2ea0,2i00,2i00,2nic,2qs0,2qs0,2nic;w,1iqo,1rwu,1rci,26zo,216c,216c,26zo;2,255s0,255s0,255s0,255s0,255s0,255s0,255s0;5,3tyi,5oko,5oko,5oko,5oko,5oko,5oko;2,5k00,5y20,5y20,5y20,5y20,5y20,5y20;5,36b0,4th0,4th0,4vcu,4th0,4th0,4vcu;w,3sqo,4abo,4abo,4hvi,4abo,4abo,4hvi;w,4r2o,4s20,4s20,51po,4s20,4s20,51po;w,4sqo,4sqo,4sqo,507o,4sqo,4sqo,507o;5,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;5,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;5,31x0,4pz0,4pz0,4tiu,4pz0,4pz0,4tiu;w,3t7c,48e0,48e0,4guu,48e0,48e0,4guu;w,4keo,4lzo,4lzo,4xlo,4lzo,4lzo,4xlo;w,4qqo,4qqo,4qqo,4z7o,4qqo,4qqo,4z7o;5,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;8,677c,8mg6,7qgu,7qgu,8mg6,7qgu,7qgu;8,68co,8an0,7ed0,7ed0,8an0,7ed0,7ed0;8,6fo0,7yec,7rg6,6twc,7yec,7rg6,6twc;8,6eco,7w20,7xj0,6m16,7w20,7xj0,6m16;8,6ihc,7ye0,81rc,6oso,7ye0,81rc,6oso;5,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;8,677c,8mg6,7qgu,7qgu,8mg6,7qgu,7qgu;8,60vc,84zc,76u0,76u0,84zc,76u0,76u0;8,68io,7vho,7chi,6vn0,7vho,7chi,6vn0;8,69vc,87l0,80xo,6s2o,87l0,80xo,6s2o;8,69o0,7va6,7tec,6qju,7va6,7tec,6qju;5,31x0,4tiu,4tiu,4tiu,4tiu,4tiu,4tiu;8,68co,8iac,7ed0,7ed0,8iac,7ed0,7ed0;8,60vc,89qc,76u0,76u0,89qc,76u0,76u0;8,6eo0,855c,7hii,6rg6,855c,7hii,6rg6;8,6boo,7hx6,7fp0,6i8c,7hx6,7fp0,6i8c;8,6fhc,7vz0,7s26,6km0,7vz0,7s26,6km0;5s,3t7c,5x3o,5x3o,5x3o,5x3o,5x3o,5x3o;8,6fo0,9qmo,7rg6,7rg6,9qmo,7rg6,7rg6;8,68io,97z0,7chi,7chi,97z0,7chi,7chi;8,6eo0,9cjo,7hii,7hii,9cjo,7hii,7hii;8,6lo0,7bhu,7516,6pnc,7bhu,7516,6pnc;8,6mc0,7ec0,7700,6pnc,7ec0,7700,6pnc;5s,4keo,6y5o,6y5o,6y5o,6y5o,6y5o,6y5o;8,6eco,aa20,7xoc,7xoc,aa20,7xoc,7xoc;8,69vc,ad90,8bdc,8bdc,ad90,8bdc,8bdc;8,6boo,9beo,7fp0,7fp0,9beo,7fp0,7fp0;8,6lo0,8330,7516,7516,8330,7516,7516;8,6jtc,738u,6qb6,6ob6,738u,6qb6,6ob6;5s,4qqo,70ru,70ru,70ru,70ru,70ru,70ru;8,6ihc,a236,81wo,81wo,a236,81wo,81wo;8,69o0,9zii,83u0,83u0,9zii,83u0,83u0;8,6fhc,9s1c,7s26,7s26,9s1c,7s26,7s26;8,6mc0,8300,7700,7700,8300,7700,7700;8,6jtc,76mc,6qb6,6qb6,76mc,6qb6,6qb6;41,3rk0,5ln0,5ln0,5ln0,5ln0,5ln0,5ln0;41,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;8,632o,8ie0,7mro,7mro,7mro,8ie0,7mro;8,667c,8bf6,7af0,7af0,7h16,8bf6,7af0;8,660o,9k10,7jeu,7jeu,7kz6,9k10,7jeu;8,64co,a1ni,7p86,7p86,7p86,a1ni,7p86;8,660o,9t2o,7rm0,7rm0,7rm0,9t2o,7rm0;5d,3rk0,5ln0,5ln0,5ln0,5ln0,5ln0,5ln0;5d,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;8,632o,8ie0,7mro,7mro,7mro,8ie0,7mro;8,667c,84z0,7af0,7af0,7h16,8bf6,7af0;8,660o,7nd0,7jeu,7jeu,7kz6,9k10,7jeu;8,64co,7rei,7p86,7p86,7p86,a1ni,7p86;8,660o,7r06,7rm0,7rm0,7rm0,9t2o,7rm0;8,dzc0,hcpu,ev56,ev56,ev56,ev56,ev56;8,dl60,hc7u,ejt6,ejt6,ejt6,ejt6,ejt6;29,3f60,4zzc,4zzc,4zzc,4zzc,4zzc,4zzc;29,2xo0,475c,475c,4dli,4k7o,4dli,4dli;3o,3rk0,3z0i,3z0i,5voi,5x8u,5voi,5voi;3o,467c,497c,477c,6hgc,6hgc,6hgc,6hgc;3o,46qo,49lu,47lu,69oc,69oc,69oc,69oc;41,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;41,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;8,632o,8ie0,7mro,7mro,7mro,8ie0,7mro;8,6fq0,8e76,7gt0,7gt0,7gt0,8e76,7gt0;8,6i7c,9bpc,7jm6,7jm6,7jm6,9bpc,7jm6;8,6c7c,aeii,82ju,82ju,88ki,aeii,88ki;8,6hvc,a160,7zf0,7zf0,85fo,a160,85fo;5d,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;5d,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;8,632o,8ie0,7mro,7mro,7mro,8ie0,7mro;8,6fq0,89kc,7gt0,7gt0,7gt0,8e76,7gt0;8,6i7c,7vx6,7jm6,7jm6,7jm6,9bpc,7jm6;8,6c7c,81ri,88ki,82ju,88ki,aeii,88ki;8,6hvc,7y8c,85fo,7zf0,85fo,a160,85fo;8,eg00,hamu,f7e6,f7e6,f7e6,f7e6,f7e6;8,dy4o,h9gu,et3i,et3i,et3i,et3i,et3i;29,3f60,4zzc,4zzc,4zzc,4zzc,4zzc,4zzc;29,2lo0,44hc,44hc,4946,4946,4946,4946;3o,3aco,3sso,3sso,58ku,58ku,58ku,58ku;3o,4i2o,4mfu,4i2o,6uto,6uto,6uto,6uto;3o,44eo,4c6u,47to,6arc,6arc,6arc,6arc;41,34t0,4pz0,4pz0,4pz0,4pz0,4pz0,4pz0;41,31x0,4pz0,4pz0,4pz0,4pz0,4pz0,4pz0;8,667c,84z0,7af0,7af0,7af0,84z0,7af0;8,6fq0,89kc,7gt0,7gt0,7gt0,89kc,7gt0;8,6k00,9egc,7l0i,7l0i,7l0i,9egc,7l0i;8,6i00,9o4o,7pf0,8aoi,7pf0,9o4o,7pf0;8,6kjc,9s60,7vco,8m3o,7vco,9s60,7vco;5d,34t0,4pz0,4pz0,4rwo,4pz0,4pz0,4rwo;5d,31x0,4pz0,4pz0,4tiu,4pz0,4pz0,4tiu;8,667c,84z0,7af0,7af0,7af0,84z0,7af0;8,6fq0,89kc,7gt0,7gt0,7gt0,89kc,7gt0;8,6k00,7if6,7l0i,7l0i,7l0i,9egc,7l0i;8,6i00,7l9i,7jxi,7jxi,7jxi,9d1o,7jxi;8,6kjc,7px0,7vco,7vco,7vco,9s60,7vco;8,esyo,gvi0,fb0i,fb0i,fb0i,fb0i,fb0i;8,dq60,govu,efz6,efz6,efz6,efz6,efz6;29,2xo0,4dri,475c,4dli,475c,475c,4dli;29,2lo0,44hc,44hc,4946,44hc,44hc,4946;3o,39co,3eao,3eao,5abu,5abu,5abu,5abu;3o,39vc,3hmc,3ek0,56c6,56c6,56c6,56c6;3o,3sm0,3voc,3sm0,5uv0,5uv0,5uv0,5uv0;41,20b0,2pt0,2pt0,2pt0,2pt0,2pt0,2pt0;41,1zti,2ruc,2ruc,2ruc,2ruc,2ruc,2ruc;8,660o,70jc,6jw6,6jw6,6jw6,70jc,6jw6;8,6i7c,7dec,704u,704u,704u,7dec,704u;8,6k00,7mm0,6xf0,6utc,6xf0,7mm0,6xf0;w,6s60,a69o,8plc,a3mi,8plc,a69o,8plc;w,6zcc,aa2o,8tcc,a6ou,8tcc,aa2o,8tcc;w,3veo,49iu,49iu,4hfu,49iu,49iu,4hfu;w,3t7c,48e0,48e0,4guu,48e0,48e0,4guu;8,660o,7nd0,7jeu,6jw6,7jeu,7nzu,6jw6;8,6i7c,7vx6,7jm6,704u,7jm6,7vx6,704u;8,6k00,7if6,7l0i,6utc,7l0i,85ac,6utc;8,6h0o,72eo,70wu,70wu,70wu,7wto,70wu;8,6j5c,72no,73z6,73z6,73z6,7yjc,73z6;8,el00,ga00,f4n6,er40,f4n6,f4n6,er40;8,dwu0,g7au,elb6,e7s0,elb6,elb6,e7s0;w,3rk0,40ku,3z0i,4936,3znc,3znc,4936;w,3aco,3sso,3sso,46n0,3sso,3sso,46n0;w,39co,3eao,3eao,4106,415u,415u,4106;3o,292o,2hou,2dk6,37z6,37z6,37z6,37z6;3o,2b2o,2j6u,2f26,3axu,3axu,3axu,3axu;41,1h7i,1ux0,1um0,1um0,1xbc,1ux0,1ux0;41,1ff0,1vwc,1ttc,1ttc,1wxi,1vwc,1u8c;8,64co,6w4c,6jyo,6e2u,6jyo,6w4c,6jyo;8,6c7c,75co,6kz0,6kz0,6l30,75co,6l30;8,6i00,89ec,7pf0,7eti,7pf0,89ec,7pf0;w,6s60,9tro,8plc,9qgi,8plc,9tro,8plc;w,8puc,azeo,9r10,allu,9r10,azeo,9r10;w,4kvc,4m96,4m96,4uqo,4oni,4m96,4v1o;w,4keo,4lzo,4lzo,4vmo,4oou,4lzo,4w1o;8,64co,7qjc,7p86,6e2u,7p86,7qjc,6e2u;8,6c7c,81ri,82ju,6qzo,82ju,888c,6r3o;8,6i00,7l9i,7jxi,6o2i,7jxi,7l9i,6o2i;8,6h0o,72eo,70wu,6nqu,70wu,79b0,6nqu;8,6k5c,6wru,6s56,6s56,6s56,7a50,6s56;8,ero0,gef0,fgq6,ero0,fgq6,fgq6,ero0;8,dyi0,ge5i,ete6,e2o0,ete6,ete6,e2o0;w,467c,46c6,477c,4kz0,497c,477c,4kz0;w,4i2o,4i2o,4i2o,4s0u,4oji,4oji,4s0u;w,39vc,3ek0,3ek0,3nso,3hmc,3ek0,3nso;w,292o,2dk6,2dk6,2q86,2kgi,2kgi,2q86;3o,1m2o,1th6,1th6,29ic,26uc,26uc,29ic;41,1d20,1sgo,1pqo,1pqo,1w8u,1sgo,1sgo;1w,1dhc,1uq6,1oxc,1oxc,1xso,1uq6,1tii;8,660o,71jc,6odo,6e6i,6odo,71jc,6odo;8,6hvc,7890,6zfo,6m60,6zfo,7890,6zfo;8,6kjc,7w10,7d2c,7fro,7d2c,7w10,7d2c;w,6zcc,9xko,8tcc,9ql6,8tcc,9xko,8tcc;w,8puc,azeo,9r10,ain0,9r10,azeo,9r10;w,4qeo,4qeo,4qeo,4vno,4st0,4qeo,4ydo;w,4qqo,4qqo,4qqo,4vto,4tfu,4qqo,4yjo;8,660o,7q50,7rm0,6e6i,7rm0,7q50,6e6i;8,6hvc,7y8c,7zf0,6s6o,7zf0,7y8c,6u1u;8,6kjc,7px0,7vco,6p0o,7vco,7xu0,6p0o;8,6j5c,72no,73z6,6nvi,73z6,7ddc,6nvi;8,6k5c,6wru,6s56,6p6c,6s56,74wi,6p6c;8,etc0,ghhi,fj56,etc0,fj56,fj56,etc0;8,dzc0,ghti,ev56,e4o0,ev56,ev56,e4o0;w,46qo,46qo,47lu,4gx6,49lu,47lu,4gx6;w,44eo,47to,47to,4f66,4c6u,47to,4f66;w,3sm0,3sm0,3sm0,42j0,40xc,40j0,42j0;w,2b2o,2f26,2f26,2myi,2pru,2pru,2myi;w,1m2o,1th6,1th6,26eo,21lu,21lu,26eo;2,5k00,5tti,5tti,5tti,5tti,5tti,5tti;5,3ot0,5ih0,5ih0,5ih0,5ih0,5ih0,5ih0;5,34t0,4pz0,4pz0,4rwo,4pz0,4pz0,4rwo;w,3veo,49iu,49iu,4hfu,49iu,49iu,4hfu;w,4kvc,4m96,4m96,4v1o,4m96,4m96,4v1o;w,4qeo,4qeo,4qeo,4ydo,4qeo,4qeo,4ydo;5,3qt0,5l50,5l50,5l50,5l50,5l50,5l50;5,3ok0,5hb0,5hb0,5hb0,5hb0,5hb0,5hb0;5,31x0,4pz0,4pz0,4tiu,4pz0,4pz0,4tiu;w,3t7c,48e0,48e0,4guu,48e0,48e0,4guu;w,4keo,4lzo,4lzo,4w1o,4lzo,4lzo,4w1o;w,4qqo,4qqo,4qqo,4yjo,4qqo,4qqo,4yjo;8,632o,8ie0,7mro,7mro,8ie0,7mro,7mro;8,667c,84z0,7af0,7af0,84z0,7af0,7af0;8,660o,7nzu,7jeu,6jw6,7nzu,7jeu,6jw6;8,64co,7qjc,7p86,6e2u,7qjc,7p86,6e2u;8,660o,7q50,7rm0,6e6i,7q50,7rm0,6e6i;8,632o,8ie0,7mro,7mro,8ie0,7mro,7mro;8,6fq0,89kc,7gt0,7gt0,89kc,7gt0,7gt0;8,6i7c,7vx6,7jm6,704u,7vx6,7jm6,704u;8,6c7c,888c,82ju,6r3o,888c,82ju,6r3o;8,6hvc,7y8c,7zf0,6u1u,7y8c,7zf0,6u1u;8,667c,8bf6,7af0,7af0,8bf6,7af0,7af0;8,6fq0,8e76,7gt0,7gt0,8e76,7gt0,7gt0;8,6k00,85ac,7l0i,6utc,85ac,7l0i,6utc;8,6i00,7l9i,7jxi,6o2i,7l9i,7jxi,6o2i;8,6kjc,7xu0,7vco,6p0o,7xu0,7vco,6p0o;8,660o,9k10,7jeu,7jeu,9k10,7jeu,7jeu;8,6i7c,9bpc,7jm6,7jm6,9bpc,7jm6,7jm6;8,6k00,9egc,7l0i,7l0i,9egc,7l0i,7l0i;8,6h0o,79b0,70wu,6nqu,79b0,70wu,6nqu;8,6j5c,7ddc,73z6,6nvi,7ddc,73z6,6nvi;8,64co,a1ni,7p86,7p86,a1ni,7p86,7p86;8,6c7c,aeii,88ki,88ki,aeii,88ki,88ki;8,6i00,9d1o,7jxi,7jxi,9d1o,7jxi,7jxi;8,6h0o,7wto,70wu,70wu,7wto,70wu,70wu;8,6k5c,7bo0,6x8o,6x8o,7bo0,6x8o,6x8o;8,660o,9t2o,7rm0,7rm0,9t2o,7rm0,7rm0;8,6hvc,a160,85fo,85fo,a160,85fo,85fo;8,6kjc,9s60,7vco,7vco,9s60,7vco,7vco;8,6j5c,7yjc,73z6,73z6,7yjc,73z6,73z6;8,6k5c,7f7c,6x8o,6x8o,7f7c,6x8o,6x8o;1w,660o,bb0c,7qeu,7qeu,bb0c,bb0c,bb0c;1w,677c,bb8o,7qgu,7qgu,bb8o,bb8o,bb8o;1w,632o,b56c,7mro,7mro,b56c,b56c,b56c;41,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;41,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;41,4tx0,8prc,8og0,8og0,8prc,8prc,8prc;41,5b0i,8ubo,8t0c,8t0c,8ubo,8ubo,8ubo;k,660o,7qeu,bb0c,7qeu,bb0c,bb0c,bb0c;k,677c,7qgu,bb8o,7qgu,bb8o,bb8o,bb8o;k,632o,7mro,b56c,7mro,b56c,b56c,b56c;5d,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;5d,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;5d,4tx0,8og0,8prc,8og0,8prc,8prc,8prc;5d,5b0i,8t0c,8ubo,8t0c,8ubo,8ubo,8ubo;3o,660o,7qeu,7qeu,bb0c,bb0c,bb0c,bb0c;3o,677c,7qgu,7qgu,bb8o,bb8o,bb8o,bb8o;3o,632o,7mro,7mro,b56c,b56c,b56c,b56c;29,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;29,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;29,4tx0,8og0,8og0,8prc,8prc,8prc,8prc;29,5b0i,8t0c,8t0c,8ubo,8ubo,8ubo,8ubo;1w,6hvc,bpto,7l60,7l60,bpto,bpto,bpto;1w,68co,befc,7ed0,7ed0,befc,befc,befc;1w,667c,b88o,7af0,7af0,b88o,b88o,b88o;41,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;41,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;41,5e9i,8xoc,8xoc,9pw0,8xoc,8xoc,8xoc;41,550i,90ic,90ic,9sq0,90ic,90ic,90ic;k,6hvc,7l60,bpto,7l60,bpto,bpto,bpto;k,68co,7ed0,befc,7ed0,befc,befc,befc;k,667c,7af0,b88o,7af0,b88o,b88o,b88o;5d,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;5d,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;5d,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;5d,550i,90ic,90ic,90ic,90ic,90ic,90ic;3o,6hvc,7rs6,7l60,bpto,bpto,bpto,bpto;3o,68co,7ed0,7ed0,befc,befc,befc,befc;3o,667c,7h16,7af0,b88o,b88o,b88o,b88o;29,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;29,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;29,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;29,550i,90ic,90ic,90ic,90ic,90ic,90ic;1w,6kjc,bsno,6wm6,6wm6,bsno,bsno,bsno;1w,6fo0,bnz0,6twc,6twc,bnz0,bnz0,bnz0;1w,660o,b7rc,6jw6,6jw6,b7rc,b7rc,b7rc;41,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;41,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;w,6w0c,920c,920c,c4q0,920c,920c,920c;w,6muc,952o,952o,c7sc,952o,952o,952o;k,6kjc,7vco,bsno,6wm6,bsno,bsno,bsno;k,6fo0,7rg6,bnz0,6twc,bnz0,bnz0,bnz0;k,660o,7jeu,b7rc,6jw6,b7rc,b7rc,b7rc;5d,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;5d,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;5d,56ii,920c,920c,920c,920c,920c,920c;5d,54m0,952o,952o,952o,952o,952o,952o;3o,6kjc,7wx0,7vco,bsno,bsno,bsno,bsno;3o,6fo0,7rg6,7rg6,bnz0,bnz0,bnz0,bnz0;3o,660o,7kz6,7jeu,b7rc,b7rc,b7rc,b7rc;29,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;29,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;29,56ii,920c,920c,920c,920c,920c,920c;29,54m0,952o,952o,952o,952o,952o,952o;1w,6j5c,brko,6vy0,6vy0,brko,brko,brko;1w,6eco,blfc,6sgo,6sgo,blfc,blfc,blfc;1w,64co,b9fc,6jyo,6jyo,b9fc,b9fc,b9fc;41,4tx0,8og0,8og0,8og0,8og0,8og0,8og0;41,5e9i,8xoc,8xoc,9pw0,8xoc,8xoc,8xoc;w,6w0c,920c,920c,c4q0,920c,920c,920c;w,7q0c,95io,95io,cyzc,95io,95io,95io;k,6j5c,81di,brko,6vy0,brko,brko,brko;k,6eco,7xj0,blfc,6sm0,blfc,blfc,blko;k,64co,7p86,b9fc,6jyo,b9fc,b9fc,b9fc;5d,4tx0,8og0,8og0,8prc,8og0,8og0,8prc;5d,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;5d,56ii,920c,920c,920c,920c,920c,920c;5d,544i,9420,9420,9420,9420,9420,9420;3o,6j5c,81di,81di,brko,brko,brko,brko;3o,6eco,7xj0,7xj0,blko,blfc,blfc,blko;3o,64co,7p86,7p86,b9fc,b9fc,b9fc,b9fc;29,4tx0,8og0,8og0,8prc,8og0,8og0,8prc;29,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;29,56ii,920c,920c,920c,920c,920c,920c;29,544i,9420,9420,9420,9420,9420,9420;1w,6k5c,buko,6zs0,6zs0,buko,buko,buko;1w,6ihc,bpqo,6wg0,6wg0,bpqo,bpqo,bpqo;1w,660o,bb0c,6odo,6odo,bb0c,bb0c,bb0c;41,5b0i,8t0c,8t0c,8t0c,8t0c,8t0c,8t0c;41,550i,90ic,90ic,9sq0,90ic,90ic,90ic;w,6muc,952o,952o,c7sc,952o,952o,952o;w,7q0c,95io,95io,cyzc,95io,95io,95io;k,6k5c,839c,buko,6zs0,buko,buko,buko;k,6ihc,81rc,bpqo,6wlc,bpqo,bpqo,bpw0;k,660o,7rm0,bb0c,6odo,bb0c,bb0c,bb0c;5d,5b0i,8t0c,8t0c,8ubo,8t0c,8t0c,8ubo;5d,550i,90ic,90ic,90ic,90ic,90ic,90ic;5d,54m0,952o,952o,952o,952o,952o,952o;5d,544i,9420,9420,9420,9420,9420,9420;3o,6k5c,839c,839c,buko,buko,buko,buko;3o,6ihc,81rc,81rc,bpw0,bpqo,bpqo,bpw0;3o,660o,7rm0,7rm0,bb0c,bb0c,bb0c,bb0c;29,5b0i,8t0c,8t0c,8ubo,8t0c,8t0c,8ubo;29,550i,90ic,90ic,90ic,90ic,90ic,90ic;29,54m0,952o,952o,952o,952o,952o,952o;29,544i,9420,9420,9420,9420,9420,9420;5s,660o,bb0c,bb0c,bb0c,bb0c,bb0c,bb0c;5s,6hvc,bpto,bpto,bpto,bpto,bpto,bpto;5s,6kjc,bsno,bsno,bsno,bsno,bsno,bsno;5s,6j5c,brko,brko,brko,brko,brko,brko;5s,6k5c,buko,buko,buko,buko,buko,buko;5s,677c,bb8o,bb8o,bb8o,bb8o,bb8o,bb8o;5s,68co,befc,befc,befc,befc,befc,befc;5s,6fo0,bnz0,bnz0,bnz0,bnz0,bnz0,bnz0;5s,6eco,blfc,blfc,blko,blfc,blfc,blko;5s,6ihc,bpqo,bpqo,bpw0,bpqo,bpqo,bpw0;5s,632o,b56c,b56c,b56c,b56c,b56c,b56c;5s,667c,b88o,b88o,b88o,b88o,b88o,b88o;5s,660o,b7rc,b7rc,b7rc,b7rc,b7rc,b7rc;5s,64co,b9fc,b9fc,b9fc,b9fc,b9fc,b9fc;5s,660o,bb0c,bb0c,bb0c,bb0c,bb0c,bb0c;5,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;5,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;5,4tx0,8og0,8og0,8prc,8og0,8og0,8prc;5,5b0i,8t0c,8t0c,8ubo,8t0c,8t0c,8ubo;5,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;5,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;5,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;5,550i,90ic,90ic,90ic,90ic,90ic,90ic;5,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;5,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;5,56ii,920c,920c,920c,920c,920c,920c;5,54m0,952o,952o,952o,952o,952o,952o;5,4tx0,8prc,8prc,8prc,8prc,8prc,8prc;5,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;5,56ii,920c,920c,920c,920c,920c,920c;2,8c00,9420,9420,9420,9420,9420,9420;5,5b0i,8ubo,8ubo,8ubo,8ubo,8ubo,8ubo;5,550i,90ic,90ic,90ic,90ic,90ic,90ic;5,54m0,952o,952o,952o,952o,952o,952o;2,8c00,9420,9420,9420,9420,9420,9420;1w,6ajc,bhno,7ef0,7ef0,bhno,bhno,bhno;1w,60vc,b52o,76u0,76u0,b52o,b52o,b52o;1w,6fq0,blw0,7gt0,7gt0,blw0,blw0,blw0;41,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;41,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;41,505i,8v10,8v10,9ns0,8v10,8v10,8v10;41,4zni,8z10,8z10,9rs0,8z10,8z10,8z10;k,6ajc,7ef0,bhno,7ef0,bhno,bhno,bhno;k,60vc,76u0,b52o,76u0,b52o,b52o,b52o;k,6fq0,7gt0,blw0,7gt0,blw0,blw0,blw0;5d,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;5d,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;5d,505i,8v10,8v10,8v10,8v10,8v10,8v10;5d,4zni,8z10,8z10,8z10,8z10,8z10,8z10;3o,6ajc,7ky6,7ef0,bhno,bhno,bhno,bhno;3o,60vc,7dd6,76u0,b52o,b52o,b52o,b52o;3o,6fq0,7gt0,7gt0,blw0,blw0,blw0,blw0;29,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;29,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;29,505i,8v10,8v10,8v10,8v10,8v10,8v10;29,4zni,8z10,8z10,8z10,8z10,8z10,8z10;1w,6f7c,blho,6zju,6zju,blho,blho,blho;1w,68io,besc,6vn0,6vn0,besc,besc,besc;1w,6i7c,bmqo,704u,704u,bmqo,bmqo,bmqo;41,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;41,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;w,6jic,91v0,91v0,c3v0,91v0,91v0,91v0;w,5n0c,963c,963c,c83c,963c,963c,963c;k,6f7c,7hl0,blho,6zju,blho,blho,blho;k,68io,7chi,besc,6vn0,besc,besc,besc;k,6i7c,7jm6,bmqo,704u,bmqo,bmqo,bmqo;5d,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;5d,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;5d,535i,91v0,91v0,91v0,91v0,91v0,91v0;5d,57wi,963c,963c,963c,963c,963c,963c;3o,6f7c,7ov6,7hl0,blho,blho,blho,blho;3o,68io,7jro,7chi,besc,besc,besc,besc;3o,6i7c,7jm6,7jm6,bmqo,bmqo,bmqo,bmqo;29,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;29,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;29,535i,91v0,91v0,91v0,91v0,91v0,91v0;29,57wi,963c,963c,963c,963c,963c,963c;1w,6e5c,bkko,6lg0,6m0c,bkko,bkko,bkko;1w,69vc,bdko,6hn0,6i7c,bdko,bdko,bdko;1w,6c7c,bm8o,6kz0,6kz0,bm8o,bm8o,bm8o;41,4tx0,8og0,8og0,8og0,8og0,8og0,8og0;41,505i,8v10,8v10,9ns0,8v10,8v10,8v10;w,6jic,91v0,91v0,c3v0,91v0,91v0,91v0;w,8xcc,9u20,9u20,cz5o,9u20,9u20,9u20;k,6e5c,8486,bkko,6tbo,bkko,bkko,bsgc;k,69vc,80xo,bdko,6s2o,bdko,bdko,bo0c;k,6c7c,82ju,bm8o,6qzo,bm8o,bm8o,bs9c;5d,4tx0,8og0,8og0,8prc,8og0,8og0,8prc;5d,505i,8v10,8v10,8v10,8v10,8v10,8v10;5d,535i,91v0,91v0,91v0,91v0,91v0,91v0;5d,5640,94eo,94eo,94eo,94eo,94eo,94eo;3o,6e5c,8486,8486,bsgc,bkko,bkko,bsgc;3o,69vc,80xo,80xo,bo0c,bdko,bdko,bo0c;3o,6c7c,82ju,82ju,bs9c,bm8o,bm8o,bs9c;29,4tx0,8og0,8og0,8prc,8og0,8og0,8prc;29,505i,8v10,8v10,8v10,8v10,8v10,8v10;29,535i,91v0,91v0,91v0,91v0,91v0,91v0;29,5640,94eo,94eo,94eo,94eo,94eo,94eo;1w,6htc,bowo,6z40,6z40,bowo,bowo,bowo;1w,69o0,bfq0,6uc0,6uc0,bfq0,bfq0,bfq0;1w,6hvc,bpto,6zfo,6zfo,bpto,bpto,bpto;41,5b0i,8t0c,8t0c,8t0c,8t0c,8t0c,8t0c;41,4zni,8z10,8z10,9rs0,8z10,8z10,8z10;w,5n0c,963c,963c,c83c,963c,963c,963c;w,8xcc,9u20,9u20,cz5o,9u20,9u20,9u20;k,6htc,7zlc,bowo,76zo,bowo,bowo,bwsc;k,69o0,7tec,bfq0,74ro,bfq0,bfq0,bq5o;k,6hvc,7zf0,bpto,75gc,bpto,bpto,bvuc;5d,5b0i,8t0c,8t0c,8ubo,8t0c,8t0c,8ubo;5d,4zni,8z10,8z10,8z10,8z10,8z10,8z10;5d,57wi,963c,963c,963c,963c,963c,963c;5d,5640,94eo,94eo,94eo,94eo,94eo,94eo;3o,6htc,7zlc,7zlc,bwsc,bowo,bowo,bwsc;3o,69o0,7tec,7tec,bq5o,bfq0,bfq0,bq5o;3o,6hvc,7zf0,7zf0,bvuc,bpto,bpto,bvuc;29,5b0i,8t0c,8t0c,8ubo,8t0c,8t0c,8ubo;29,4zni,8z10,8z10,8z10,8z10,8z10,8z10;29,57wi,963c,963c,963c,963c,963c,963c;29,5640,94eo,94eo,94eo,94eo,94eo,94eo;5s,6ajc,bhno,bhno,bhno,bhno,bhno,bhno;5s,6f7c,blho,blho,blho,blho,blho,blho;5s,6e5c,bkko,bkko,bsgc,bkko,bkko,bsgc;5s,6htc,bowo,bowo,bwsc,bowo,bowo,bwsc;5s,60vc,b52o,b52o,b52o,b52o,b52o,b52o;5s,68io,besc,besc,besc,besc,besc,besc;5s,69vc,bdko,bdko,bo0c,bdko,bdko,bo0c;5s,69o0,bfq0,bfq0,bq5o,bfq0,bfq0,bq5o;5s,6fq0,blw0,blw0,blw0,blw0,blw0,blw0;5s,6i7c,bmqo,bmqo,bmqo,bmqo,bmqo,bmqo;5s,6c7c,bm8o,bm8o,bs9c,bm8o,bm8o,bs9c;5s,6hvc,bpto,bpto,bvuc,bpto,bpto,bvuc;5,64gi,8l2c,8l2c,8l2c,8l2c,8l2c,8l2c;5,5kb0,8qmo,8qmo,8qmo,8qmo,8qmo,8qmo;5,4tx0,8og0,8og0,8prc,8og0,8og0,8prc;5,5b0i,8t0c,8t0c,8ubo,8t0c,8t0c,8ubo;5,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;5,505i,8v10,8v10,8v10,8v10,8v10,8v10;5,4zni,8z10,8z10,8z10,8z10,8z10,8z10;5,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;5,535i,91v0,91v0,91v0,91v0,91v0,91v0;2,8c00,963c,963c,963c,963c,963c,963c;5,505i,8v10,8v10,8v10,8v10,8v10,8v10;5,535i,91v0,91v0,91v0,91v0,91v0,91v0;5,5640,94eo,94eo,94eo,94eo,94eo,94eo;5,4zni,8z10,8z10,8z10,8z10,8z10,8z10;2,8c00,963c,963c,963c,963c,963c,963c;5,5640,94eo,94eo,94eo,94eo,94eo,94eo;1w,6njc,byjo,71wc,71wc,byjo,byjo,byjo;1w,6eo0,bkh0,6t30,6t30,bkh0,bkh0,bkh0;1w,6k00,bp50,6xf0,6xf0,bp50,bp50,bp50;41,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;41,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;w,5joc,9b60,9b60,cayo,9b60,9b60,9b60;w,6ucc,9do0,9do0,cdgo,9do0,9do0,9do0;k,6njc,7p4o,byjo,71wc,byjo,byjo,byjo;k,6eo0,7hii,bkh0,6t30,bkh0,bkh0,bkh0;k,6k00,7l0i,bp50,6xf0,bp50,bp50,bp50;5d,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;5d,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;5d,5bri,9b60,9b60,9b60,9b60,9b60,9b60;5d,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;3o,6njc,7p4o,7p4o,byjo,byjo,byjo,byjo;3o,6eo0,7hii,7hii,bkh0,bkh0,bkh0,bkh0;3o,6k00,7l0i,7l0i,bp50,bp50,bp50,bp50;29,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;29,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;29,5bri,9zmo,9b60,9b60,9b60,9b60,9b60;29,5dm0,a24o,9do0,9do0,9do0,9do0,9do0;1w,6p5c,byyo,7uko,7uko,corc,byyo,byyo;1w,6boo,bh3c,7l4o,7l4o,c9z0,bh3c,bh3c;1w,6i00,bqn0,7pf0,7pf0,che0,bqn0,bqn0;41,5e9i,8xoc,8xoc,8xoc,9pw0,8xoc,8xoc;41,505i,8v10,8v10,8v10,9ns0,8v10,8v10;w,5joc,9b60,9b60,cayo,9zmo,9b60,9b60;w,6soc,9d5c,9d5c,ccy0,9d5c,9d5c,9d5c;k,6p5c,7uko,byyo,7uko,corc,byyo,byyo;k,6boo,7l4o,bh3c,7l4o,c9z0,bh3c,bh3c;k,6i00,7pf0,bqn0,7pf0,che0,bqn0,bqn0;5d,5e9i,8xoc,8xoc,8xoc,9pw0,8xoc,8xoc;5d,505i,8v10,8v10,8v10,9ns0,8v10,8v10;5d,5bri,9b60,9b60,9b60,9zmo,9b60,9b60;5d,5b80,9d5c,9d5c,9d5c,9d5c,9d5c,9d5c;3o,6p5c,7uko,7uko,byyo,corc,byyo,byyo;3o,6boo,7l4o,7l4o,bh3c,c9z0,bh3c,bh3c;3o,6i00,7pf0,7pf0,bqn0,che0,bqn0,bqn0;29,5e9i,8xoc,8xoc,8xoc,9pw0,8xoc,8xoc;29,505i,8v10,8v10,8v10,9ns0,8v10,8v10;29,5bri,9b60,9b60,9b60,9zmo,9b60,9b60;29,5b80,9d5c,9d5c,9d5c,9d5c,9d5c,9d5c;1w,6ohc,c14o,7hn0,7hn0,cqxc,c14o,c14o;1w,6fhc,bl8o,78cc,78cc,ce4c,bl8o,bl8o;1w,6kjc,bsno,7d2c,7d2c,cjeo,bsno,bsno;41,550i,90ic,90ic,90ic,9sq0,90ic,90ic;41,4zni,8z10,8z10,8z10,9rs0,8z10,8z10;w,6ucc,9do0,9do0,cdgo,a24o,9do0,9do0;w,6soc,9d5c,9d5c,ccy0,9d5c,9d5c,9d5c;k,6ohc,7zru,c14o,7hn0,cqxc,c14o,c14o;k,6fhc,7s26,bl8o,78cc,ce4c,bl8o,bl8o;k,6kjc,7vco,bsno,7d2c,cjeo,bsno,bsno;5d,550i,90ic,90ic,90ic,9sq0,90ic,90ic;5d,4zni,8z10,8z10,8z10,9rs0,8z10,8z10;5d,5dm0,9do0,9do0,9do0,a24o,9do0,9do0;5d,5b80,9d5c,9d5c,9d5c,9d5c,9d5c,9d5c;3o,6ohc,7zru,7zru,c14o,cqxc,c14o,c14o;3o,6fhc,7s26,7s26,bl8o,ce4c,bl8o,bl8o;3o,6kjc,7vco,7vco,bsno,cjeo,bsno,bsno;29,550i,90ic,90ic,90ic,9sq0,90ic,90ic;29,4zni,8z10,8z10,8z10,9rs0,8z10,8z10;29,5dm0,9do0,9do0,9do0,a24o,9do0,9do0;29,5b80,9d5c,9d5c,9d5c,9d5c,9d5c,9d5c;5s,6njc,byjo,byjo,byjo,byjo,byjo,byjo;5s,6p5c,byyo,byyo,byyo,byyo,byyo,byyo;5s,6ohc,c14o,c14o,c14o,c14o,c14o,c14o;5s,6eo0,bkh0,bkh0,bkh0,bkh0,bkh0,bkh0;5s,6boo,bh3c,bh3c,bh3c,bh3c,bh3c,bh3c;5s,6fhc,bl8o,bl8o,bl8o,bl8o,bl8o,bl8o;5s,6k00,bp50,bp50,bp50,bp50,bp50,bp50;5s,6i00,bqn0,bqn0,bqn0,bqn0,bqn0,bqn0;5s,6kjc,bsno,bsno,bsno,bsno,bsno,bsno;5,52wi,8yp0,8yp0,8yp0,8yp0,8yp0,8yp0;5,5e9i,8xoc,8xoc,8xoc,8xoc,8xoc,8xoc;5,550i,90ic,90ic,90ic,90ic,90ic,90ic;5,5dji,8wpo,8wpo,8wpo,8wpo,8wpo,8wpo;5,505i,8v10,8v10,8v10,8v10,8v10,8v10;5,4zni,8z10,8z10,8z10,8z10,8z10,8z10;2,8c00,9b60,9b60,9b60,9b60,9b60,9b60;5,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;2,8c00,9b60,9b60,9b60,9b60,9b60,9b60;2,dw00,dw00,dw00,dw00,dw00,dw00,dw00;5,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;2,dw00,dw00,dw00,dw00,dw00,dw00,dw00;2,6ucc,c24o,8xz0,8xz0,f1xc,c24o,c24o;2,6pcc,brz0,8rbc,8rbc,etz0,brz0,brz0;2,6s60,bprc,8plc,8plc,esh0,bprc,bprc;2,6w0c,920c,920c,920c,c4q0,920c,920c;2,6jic,91v0,91v0,91v0,c3v0,91v0,91v0;2,5joc,9b60,9b60,9zmo,cayo,9b60,9b60;41,5hz0,9izc,9izc,a7g0,9izc,9izc,9izc;2,6ucc,8xz0,c24o,8xz0,f1xc,c24o,c24o;2,6pcc,8rbc,brz0,8rbc,etz0,brz0,brz0;2,6s60,8plc,bprc,8plc,esh0,bprc,bprc;2,6w0c,920c,920c,920c,c4q0,920c,920c;2,6jic,91v0,91v0,91v0,c3v0,91v0,91v0;2,5joc,9b60,9b60,9b60,cayo,9b60,9b60;5d,5hz0,9izc,9izc,9izc,9izc,9izc,9izc;2,6ucc,8xz0,8xz0,c24o,f1xc,c24o,c24o;2,6pcc,8rbc,8rbc,brz0,etz0,brz0,brz0;2,6s60,8plc,8plc,bprc,esh0,bprc,bprc;2,6w0c,920c,920c,920c,c4q0,920c,920c;2,6jic,91v0,91v0,91v0,c3v0,91v0,91v0;2,5joc,9b60,9b60,9b60,cayo,9b60,9b60;29,5hz0,9izc,9izc,9izc,9izc,9izc,9izc;1w,6vtc,c6ao,9150,9150,f63c,c6ao,c6ao;2,6vi0,buk0,8umo,8umo,ewk0,buk0,buk0;2,6zcc,brko,8tcc,8tcc,euac,brko,brko;2,6muc,952o,952o,952o,c7sc,952o,952o;2,5n0c,963c,963c,963c,c83c,963c,963c;2,6ucc,9do0,9do0,a24o,cdgo,9do0,9do0;41,5hz0,9izc,9izc,a7g0,9izc,9izc,9izc;k,6vtc,9150,c6ao,9150,f63c,c6ao,c6ao;2,6vi0,8umo,buk0,8umo,ewk0,buk0,buk0;2,6zcc,8tcc,brko,8tcc,euac,brko,brko;2,6muc,952o,952o,952o,c7sc,952o,952o;2,5n0c,963c,963c,963c,c83c,963c,963c;2,6ucc,9do0,9do0,9do0,cdgo,9do0,9do0;5d,5hz0,9izc,9izc,9izc,9izc,9izc,9izc;3o,6vtc,9150,9150,c6ao,f63c,c6ao,c6ao;2,6vi0,8umo,8umo,buk0,ewk0,buk0,buk0;2,6zcc,8tcc,8tcc,brko,euac,brko,brko;2,6muc,952o,952o,952o,c7sc,952o,952o;2,5n0c,963c,963c,963c,c83c,963c,963c;2,6ucc,9do0,9do0,9do0,cdgo,9do0,9do0;29,5hz0,9izc,9izc,9izc,9izc,9izc,9izc;5s,6shc,c24o,c24o,c24o,c24o,c24o,c24o;5s,6vtc,c6ao,c6ao,c6ao,c6ao,c6ao,c6ao;5s,6lo0,brz0,brz0,brz0,brz0,brz0,brz0;5s,6mc0,buk0,buk0,buk0,buk0,buk0,buk0;5s,6h0o,bprc,bprc,bprc,bprc,bprc,bprc;5s,6j5c,brko,brko,brko,brko,brko,brko;5,56ii,920c,920c,920c,920c,920c,920c;5,54m0,952o,952o,952o,952o,952o,952o;5,535i,91v0,91v0,91v0,91v0,91v0,91v0;2,8c00,963c,963c,963c,963c,963c,963c;2,8c00,9b60,9b60,9b60,9b60,9b60,9b60;5,5dm0,9do0,9do0,9do0,9do0,9do0,9do0;2,rs00,rs00,rs00,rs00,rs00,rs00,rs00;2,rs00,rs00,rs00,rs00,rs00,rs00,rs00;2,8yi0,ccv0,a1d0,a1d0,fuko,ccv0,ccv0;2,92cc,c1zo,9wxc,9wxc,fmac,c1zo,c1zo;2,8puc,c0lc,9r10,9r10,fo1c,c0lc,c0lc;2,7q0c,95io,95io,95io,cyzc,95io,95io;2,8xcc,9u20,9u20,9u20,cz5o,9u20,9u20;2,6soc,9d5c,9d5c,9d5c,ccy0,9d5c,9d5c;41,5hz0,9izc,9izc,9izc,a7g0,9izc,9izc;2,8yi0,a1d0,ccv0,a1d0,fuko,ccv0,ccv0;2,92cc,9wxc,c1zo,9wxc,fmac,c1zo,c1zo;2,8puc,9r10,c0lc,9r10,fo1c,c0lc,c0lc;2,7q0c,95io,95io,95io,cyzc,95io,95io;2,8xcc,9u20,9u20,9u20,cz5o,9u20,9u20;2,6soc,9d5c,9d5c,9d5c,ccy0,9d5c,9d5c;5d,5hz0,9izc,9izc,9izc,a7g0,9izc,9izc;2,8yi0,a1d0,a1d0,ccv0,fuko,ccv0,ccv0;2,92cc,9wxc,9wxc,c1zo,fmac,c1zo,c1zo;2,8puc,9r10,9r10,c0lc,fo1c,c0lc,c0lc;2,7q0c,95io,95io,95io,cyzc,95io,95io;2,8xcc,9u20,9u20,9u20,cz5o,9u20,9u20;2,6soc,9d5c,9d5c,9d5c,ccy0,9d5c,9d5c;29,5hz0,9izc,9izc,9izc,a7g0,9izc,9izc;5s,6tyo,c4zc,c4zc,c4zc,c4zc,c4zc,c4zc;5s,6jtc,breo,breo,breo,breo,breo,breo;5s,6k5c,buko,buko,buko,buko,buko,buko;2,8c00,9420,9420,9420,9420,9420,9420;5,5640,94eo,94eo,94eo,94eo,94eo,94eo;2,dw00,dw00,dw00,dw00,dw00,dw00,dw00;2,rs00,rs00,rs00,rs00,rs00,rs00,rs00;i,47pi,4d2i,65h0,65h0,4t9u,65h0,65h0;3k,etc0,fj56,fj56,fj56,h4oo,fj56,fj56;3k,dxo0,esq6,esq6,esq6,geki,esq6,esq6;3k,eec0,ezb6,ezb6,ezb6,gj4u,ezb6,ezb6;3k,erao,ew5c,f9oi,f9oi,h6c0,f9oi,f9oi;3k,ejc0,el00,fa26,fa26,i4lo,fa26,fa26;3k,eq00,eqo0,fgh6,fgh6,hxi0,fgh6,fgh6;1u,47pi,65h0,4aqi,65h0,4t9u,65h0,65h0;3k,etc0,fj56,fj56,fj56,h4oo,fj56,fj56;3k,dxo0,esq6,esq6,esq6,geki,esq6,esq6;3k,eec0,ezb6,ezb6,ezb6,gj4u,ezb6,ezb6;3k,erao,f9oi,ew5c,f9oi,h6c0,f9oi,f9oi;3k,ejc0,fa26,el00,fa26,i4lo,fa26,fa26;3k,eq00,fgh6,eqo0,fgh6,hxi0,fgh6,fgh6;i,47pi,4d2i,65h0,65h0,4z96,65h0,65h0;3k,dzc0,ev56,ev56,ev56,gmx0,ev56,ev56;3k,eg00,f7e6,f7e6,f7e6,h1l0,f7e6,f7e6;3k,esyo,fb0i,fb0i,fb0i,gnvu,fb0i,fb0i;3k,el00,er40,f4n6,f4n6,hdi0,f4n6,f4n6;3k,ero0,ero0,fgq6,fgq6,i3kc,fgq6,fgq6;3k,etc0,etc0,fj56,fj56,hy2c,fj56,fj56;1u,47pi,65h0,4d2i,65h0,4z96,65h0,65h0;3k,dzc0,ev56,ev56,ev56,gmx0,ev56,ev56;3k,eg00,f7e6,f7e6,f7e6,h1l0,f7e6,f7e6;3k,esyo,fb0i,fb0i,fb0i,gnvu,fb0i,fb0i;3k,el00,f4n6,er40,f4n6,hdi0,f4n6,f4n6;3k,ero0,fgq6,ero0,fgq6,i3kc,fgq6,fgq6;3k,etc0,fj56,etc0,fj56,hy2c,fj56,fj56;w,etc0,fj56,fj56,fj56,fclc,hfni,fj56;w,dzc0,ev56,ev56,ev56,e1y0,hcpu,ev56;1,660o,7cz0,8kxu,7qeu,70w6,7qeu,7qeu;1,6hvc,84ec,8cqc,7l60,7a46,7l60,7l60;1,6kjc,9660,7xci,7vco,7bo0,7vco,7vco;1,6j5c,9qdc,7zp0,81di,7foc,81di,81di;1,6k5c,9mdc,7z70,839c,7h6c,839c,839c;1u,3tyi,5oko,3vqi,5oko,4l6u,5oko,5oko;1u,3rk0,5ln0,3rk0,5ln0,3wxu,5ln0,5ln0;x,660o,bb0c,bb0c,7qeu,70w6,bb0c,bb0c;x,6hvc,bpto,bpto,7l60,7a46,bpto,bpto;x,6kjc,bsno,bsno,7vco,7bo0,bsno,bsno;x,6j5c,brko,brko,81di,7foc,brko,brko;x,6k5c,buko,buko,839c,7h6c,buko,buko;w,dxo0,esq6,esq6,esq6,e6lc,hcei,esq6;w,eg00,f7e6,f7e6,f7e6,f1xc,hamu,f7e6;1,660o,7cz0,8kxu,7qeu,77oc,7qeu,7qeu;1,6ajc,80kc,885c,7ef0,7bec,7ef0,7ef0;1,6f7c,8uec,7wqc,7hl0,7e8c,7hl0,7hl0;1,6e5c,9ub0,8456,8486,7lgc,8486,8486;1,6htc,9idc,8580,7zlc,7o4c,7zlc,7zlc;1u,3p7i,5k8o,3v9c,5k8o,41uu,5k8o,5k8o;1u,3ot0,5ih0,3slu,5ih0,4hl6,5ih0,5ih0;x,660o,bb0c,bb0c,7qeu,77oc,bb0c,bb0c;x,6ajc,bhno,bhno,7ef0,7bec,bhno,bhno;x,6f7c,blho,blho,7hl0,7e8c,blho,blho;x,6e5c,bkko,bsgc,8486,7lgc,bkko,bkko;x,6htc,bowo,bwsc,7zlc,7o4c,bowo,bowo;w,eec0,ezb6,ezb6,ezb6,els0,gyx0,ezb6;w,esyo,fb0i,fb0i,fb0i,exhc,gvi0,fb0i;1,6hvc,84ec,8cqc,7l60,734u,7rs6,7l60;1,6ajc,80kc,885c,7ef0,6x1u,7ky6,7ef0;1,6njc,90ho,7t5o,7p4o,73so,7p4o,7p4o;1,6p5c,9tgo,8ckc,7uko,7uko,7uko,8gju;1,6ohc,9oqc,86bc,7zru,7hn0,7zru,8pki;1u,36b0,4vcu,3c2o,4vcu,3wyi,4th0,4th0;1u,34t0,4rwo,3b5o,4rwo,3w0u,4pz0,4pz0;x,6hvc,bpto,bpto,7l60,734u,bpto,bpto;x,6ajc,bhno,bhno,7ef0,6x1u,bhno,bhno;x,6njc,byjo,byjo,7p4o,73so,byjo,byjo;x,6p5c,byyo,byyo,7uko,7uko,byyo,corc;x,6ohc,c14o,c14o,7zru,7hn0,c14o,cqxc;w,erao,ew5c,f9oi,ew5c,f9oi,ggio,f9oi;w,el00,er40,f4n6,er40,f4n6,ga00,f4n6;1,6kjc,9660,7xci,6wm6,7vco,7wx0,7vco;1,6f7c,8uec,7wqc,6zju,7hl0,7ov6,7hl0;1,6njc,90ho,7t5o,71wc,7p4o,7p4o,7p4o;4,6ucc,adqc,9yi0,8xz0,8xz0,8xz0,aa3o;1,6vtc,adec,9xu0,9150,9150,9150,ae2i;8,3sqo,4hvi,3sqo,4hvi,4abo,4abo,4abo;8,3veo,4hfu,3veo,4hfu,49iu,49iu,49iu;x,6kjc,bsno,bsno,6wm6,7vco,bsno,bsno;x,6f7c,blho,blho,6zju,7hl0,blho,blho;x,6njc,byjo,byjo,71wc,7p4o,byjo,byjo;4,6ucc,c24o,c24o,8xz0,8xz0,c24o,f1xc;x,6vtc,c6ao,c6ao,9150,9150,c6ao,f63c;w,ejc0,el00,fa26,ejc0,fa26,gjni,fa26;w,ero0,ero0,fgq6,ero0,fgq6,gef0,fgq6;1,6j5c,9qdc,7zp0,6vy0,81di,81di,81di;1,6e5c,9ub0,8456,6tbo,8486,8486,8486;1,6p5c,9tgo,8ckc,7uko,7uko,7uko,8gju;4,6ucc,adqc,9yi0,8xz0,8xz0,8xz0,aa3o;4,8yi0,ba00,ba00,a1d0,a1d0,a1d0,aqic;8,4r2o,515c,4r2o,4z6c,4rho,4rho,4rho;8,4kvc,4v1o,4kvc,4uqo,4m96,4m96,4oni;x,6j5c,brko,brko,6vy0,81di,brko,brko;x,6e5c,bsgc,bkko,6tbo,8486,bkko,bkko;x,6p5c,byyo,byyo,7uko,7uko,byyo,corc;4,6ucc,c24o,c24o,8xz0,8xz0,c24o,f1xc;4,8yi0,ccv0,ccv0,a1d0,a1d0,ccv0,fuko;w,eq00,eqo0,fgh6,eq00,fgh6,gkdu,fgh6;w,etc0,etc0,fj56,etc0,fj56,ghhi,fj56;1,6k5c,9mdc,7z70,6zs0,839c,839c,839c;1,6htc,9idc,8580,76zo,7zlc,7zlc,7zlc;1,6ohc,9oqc,86bc,7hn0,7zru,7zru,8pki;1,6vtc,adec,9xu0,9150,9150,9150,ae2i;4,8yi0,ba00,ba00,a1d0,a1d0,a1d0,aqic;8,4sqo,507o,4sqo,4wto,4sqo,4sqo,4sqo;8,4qeo,4ydo,4qeo,4vno,4qeo,4qeo,4st0;x,6k5c,buko,buko,6zs0,839c,buko,buko;x,6htc,bwsc,bowo,76zo,7zlc,bowo,bowo;x,6ohc,c14o,c14o,7hn0,7zru,c14o,cqxc;x,6vtc,c6ao,c6ao,9150,9150,c6ao,f63c;4,8yi0,ccv0,ccv0,a1d0,a1d0,ccv0,fuko;28,47pi,65h0,65h0,4d2i,4z96,65h0,65h0;w,etc0,fj56,fj56,fj56,fclc,fj56,hfni;w,dxo0,esq6,esq6,esq6,e6lc,esq6,hcei;w,eec0,ezb6,ezb6,ezb6,els0,ezb6,h0su;w,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;w,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;w,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;28,47pi,65h0,65h0,4d2i,4t9u,65h0,65h0;w,dzc0,ev56,ev56,ev56,e1y0,ev56,hcpu;w,eg00,f7e6,f7e6,f7e6,f1xc,f7e6,hamu;w,esyo,fb0i,fb0i,fb0i,exhc,fb0i,gxfo;w,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;w,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;w,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;3k,etc0,fj56,fj56,fj56,h4oo,fj56,fj56;3k,dzc0,ev56,ev56,ev56,gmx0,ev56,ev56;1,660o,8kxu,8kxu,7qeu,77oc,7qeu,7qeu;1,6hvc,8iui,8cqc,7l60,734u,7l60,7rs6;1,6kjc,9s60,7xci,7vco,7vco,7vco,7wx0;1,6j5c,ab8i,7y6c,81di,81di,81di,81di;1,6k5c,a1x6,7z70,839c,839c,839c,839c;3k,dxo0,esq6,esq6,esq6,geki,esq6,esq6;3k,eg00,f7e6,f7e6,f7e6,h1l0,f7e6,f7e6;1,660o,8kxu,8kxu,7qeu,70w6,7qeu,7qeu;1,6ajc,8c16,885c,7ef0,6x1u,7ef0,7ky6;1,6f7c,9a60,7wqc,7hl0,7hl0,7hl0,7ov6;1,6e5c,af66,8456,8c3u,8486,8c3u,8c3u;1,6htc,a166,81d0,87h0,7zlc,87h0,87h0;3k,eec0,ezb6,ezb6,ezb6,gj4u,ezb6,ezb6;3k,esyo,fb0i,fb0i,fb0i,gnvu,fb0i,fb0i;1,6hvc,8cqc,8cqc,7l60,7a46,7l60,7l60;1,6ajc,885c,885c,7ef0,7bec,7ef0,7ef0;1,6njc,9i9c,7ofu,7p4o,7p4o,7p4o,7p4o;1,6p5c,9jgo,7pao,7qr6,7qr6,7qr6,7qr6;1,6ohc,9wvo,7u3i,7zru,7zru,7zru,7zru;3k,erao,f9oi,f9oi,ew5c,h6c0,f9oi,f9oi;3k,el00,f4n6,f4n6,er40,hdi0,f4n6,f4n6;1,6kjc,7yv6,7xci,6wm6,7bo0,7vco,7vco;1,6f7c,7wqc,7wqc,6zju,7e8c,7hl0,7hl0;1,6njc,8afc,7ofu,6y9i,71hu,7p4o,7p4o;1,6shc,84ii,756i,7ab0,7ab0,7ab0,7ab0;1,6vtc,881o,77s6,7e9u,7e9u,7e9u,7e9u;3k,ejc0,fa26,fa26,ejc0,i4lo,fa26,fa26;3k,ero0,fgq6,fgq6,ero0,i3kc,fgq6,fgq6;1,6j5c,7y6c,7y6c,6pl0,77j0,81di,81di;1,6e5c,8806,8456,6tbo,7lgc,8486,8486;1,6p5c,7pao,7pao,6t0u,6w70,7qr6,7qr6;1,6shc,7dnu,756i,6vcu,6w96,7ab0,7ab0;1,6tyo,7ajo,6y7c,6yio,6yio,6yio,6z30;3k,eq00,fgh6,fgh6,eq00,hxi0,fgh6,fgh6;3k,etc0,fj56,fj56,etc0,hy2c,fj56,fj56;1,6k5c,7z70,7z70,6qv6,78g0,839c,839c;1,6htc,81d0,81d0,6tfu,7o4c,7zlc,7zlc;1,6ohc,82bc,7u3i,6s5o,6z50,7zru,7zru;1,6vtc,7lbc,77s6,6xiu,6yn0,7e9u,7e9u;1,6tyo,7aio,6y7c,6wpu,6xp6,6yio,6yio;3k,255s0,255s0,255s0,255s0,255s0,255s0,255s0;c,1fqo,1yfc,1hjo,1yfc,1hjo,1yfc,1yfc;3k,5k00,5k00,5k00,5k00,5k00,5k00,5k00;3k,2s00,3exc,2w80,3exc,2w80,3exc,3exc;c,3sqo,5viu,3sqo,5viu,3sqo,5viu,5viu;c,4r2o,732o,4s20,732o,4s20,732o,732o;c,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;3k,255s0,255s0,255s0,255s0,255s0,255s0,255s0;3k,5k00,5k00,5k00,5k00,5k00,5k00,5k00;3k,2s00,2s00,2s00,2s00,2s00,2s00,2s00;c,2deo,3eeo,2dxi,3eeo,2dxi,3eeo,3eeo;c,3veo,5yuu,3xf6,5yuu,3xf6,5yuu,5yuu;c,4kvc,6x4c,4kvc,6x4c,4kvc,6x4c,6x4c;c,4qeo,6ylu,4qeo,6ylu,4qeo,6ylu,6ylu;2a,1fqo,1yfc,1yfc,1yfc,1yfc,1yfc,1yfc;3k,5k00,5k00,5k00,5k00,5k00,5k00,5k00;x,660o,bb0c,bb0c,6g40,bb0c,6g40,bb0c;x,6hvc,bpto,bpto,734u,bpto,734u,bpto;x,6kjc,bsno,bsno,7vco,bsno,7vco,bsno;x,6j5c,brko,brko,81di,brko,81di,brko;x,6k5c,buko,buko,839c,buko,839c,buko;3k,5k00,5k00,5k00,5k00,5k00,5k00,5k00;3k,2s00,2s00,2s00,2s00,2s00,2s00,2s00;x,660o,bb0c,bb0c,6g40,bb0c,6g40,bb0c;x,6ajc,bhno,bhno,6x1u,bhno,6x1u,bhno;x,6f7c,blho,blho,7hl0,blho,7hl0,blho;x,6e5c,bsgc,bkko,8c3u,bkko,8c3u,bsgc;x,6htc,bwsc,bowo,87h0,bowo,87h0,bwsc;3k,2s00,3exc,3exc,3exc,3exc,3exc,3exc;2a,2deo,3eeo,3eeo,3eeo,3eeo,3eeo,3eeo;x,6hvc,bpto,bpto,734u,bpto,734u,bpto;x,6ajc,bhno,bhno,6x1u,bhno,6x1u,bhno;x,6njc,byjo,byjo,7p4o,byjo,7p4o,byjo;x,6p5c,byyo,byyo,7qr6,byyo,7qr6,byyo;x,6ohc,c14o,c14o,7zru,c14o,7zru,c14o;2a,3sqo,5viu,5viu,5viu,5viu,5viu,5viu;2a,3veo,5yuu,5yuu,5yuu,5yuu,5yuu,5yuu;x,6kjc,bsno,bsno,7vco,bsno,7vco,bsno;x,6f7c,blho,blho,7hl0,blho,7hl0,blho;x,6njc,byjo,byjo,7p4o,byjo,7p4o,byjo;x,6shc,c24o,c24o,7ab0,c24o,7ab0,c24o;x,6vtc,c6ao,c6ao,7e9u,c6ao,7e9u,c6ao;2a,4r2o,732o,732o,732o,732o,732o,732o;2a,4kvc,6x4c,6x4c,6x4c,6x4c,6x4c,6x4c;x,6j5c,brko,brko,81di,brko,81di,brko;x,6e5c,bsgc,bsgc,8c3u,bsgc,8c3u,bsgc;x,6p5c,byyo,byyo,7qr6,byyo,7qr6,byyo;x,6shc,c24o,c24o,7ab0,c24o,7ab0,c24o;x,6tyo,c4zc,c4zc,6yio,c4zc,6yio,c4zc;2a,4sqo,72dc,72dc,72dc,72dc,72dc,72dc;2a,4qeo,6ylu,6ylu,6ylu,6ylu,6ylu,6ylu;x,6k5c,buko,buko,839c,buko,839c,buko;x,6htc,bwsc,bwsc,87h0,bwsc,87h0,bwsc;x,6ohc,c14o,c14o,7zru,c14o,7zru,c14o;x,6vtc,c6ao,c6ao,7e9u,c6ao,7e9u,c6ao;x,6tyo,c4zc,c4zc,6yio,c4zc,6yio,c4zc;g,47pi,4d2i,47pi,47pi,47pi,4d2i,47pi;g,3tyi,42si,3yji,3yji,3tyi,42si,3yji;g,3p7i,42ic,3wyi,3wyi,3v9c,42ic,3wyi;g,36b0,49ji,3wyi,3yuc,3c2o,49ji,3yuc;1w,3sqo,5viu,4abo,5viu,3sqo,5viu,5viu;1w,4r2o,732o,4rho,732o,4r2o,732o,732o;1w,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;1s,47pi,47pi,47pi,47pi,47pi,47pi,47pi;1s,3tyi,3yji,42si,3yji,3tyi,42si,3yji;1s,3p7i,3wyi,42ic,3wyi,3v9c,42ic,3wyi;1s,36b0,3wyi,49ji,3yuc,3c2o,49ji,3yuc;k,3sqo,4abo,5viu,5viu,3sqo,5viu,5viu;k,4r2o,4rho,732o,732o,4r2o,732o,732o;k,4sqo,4sqo,72dc,72dc,4sqo,72dc,72dc;g,47pi,4aqi,4b3i,4b3i,47pi,4aqi,4b3i;g,3rk0,3zru,40bu,40bu,3rk0,3zru,3wxu;g,3ot0,3ywo,3w0u,3w0u,3slu,3ywo,3w0u;g,34t0,48cu,3w0u,3xyi,3b5o,48cu,3xyi;1w,3veo,5yuu,49iu,5yuu,3veo,5yuu,5yuu;1w,4kvc,6x4c,4m96,6x4c,4kvc,6x4c,6x4c;1w,4qeo,6ylu,4qeo,6ylu,4qeo,6ylu,6ylu;1s,3rk0,40bu,3zru,40bu,3rk0,3zru,40bu;1s,3ot0,3w0u,3ywo,3w0u,3slu,3ywo,3w0u;1s,34t0,3w0u,48cu,3xyi,3b5o,48cu,3xyi;k,3veo,49iu,5yuu,5yuu,3veo,5yuu,5yuu;k,4kvc,4m96,6x4c,6x4c,4kvc,6x4c,6x4c;k,4qeo,4qeo,6ylu,6ylu,4qeo,6ylu,6ylu;w,etc0,fj56,etc0,etc0,ftvc,fj56,etc0;w,dzc0,ev56,e5c0,e5c0,fquo,ev56,e1y0;3l,660o,bb0c,bb0c,bb0c,7qeu,bb0c,6g40;3l,6hvc,bpto,bpto,bpto,7l60,bpto,734u;3l,6kjc,bsno,bsno,bsno,7vco,bsno,7vco;3l,6j5c,brko,brko,brko,81di,brko,81di;3l,6k5c,buko,buko,buko,839c,buko,839c;4h,660o,bb0c,bb0c,bb0c,bb0c,bb0c,bb0c;4h,6hvc,bpto,bpto,bpto,bpto,bpto,bpto;4h,6kjc,bsno,bsno,bsno,bsno,bsno,bsno;4h,6j5c,brko,brko,brko,brko,brko,brko;4h,6k5c,buko,buko,buko,buko,buko,buko;w,dxo0,esq6,e1p0,e1p0,fv8i,esq6,e1p0;w,eg00,f7e6,egd0,egd0,fr2i,f7e6,egd0;3l,660o,bb0c,bb0c,bb0c,7qeu,bb0c,6g40;3l,6ajc,bhno,bhno,bhno,7ef0,bhno,6x1u;3l,6f7c,blho,blho,blho,7hl0,blho,7hl0;3l,6e5c,bsgc,bkko,bsgc,8486,bsgc,8c3u;3l,6htc,bwsc,bowo,bwsc,7zlc,bwsc,87h0;4h,6ajc,bhno,bhno,bhno,bhno,bhno,bhno;4h,6f7c,blho,blho,blho,blho,blho,blho;4h,6e5c,bkko,bsgc,bsgc,bkko,bsgc,bsgc;4h,6htc,bowo,bwsc,bwsc,bowo,bwsc,bwsc;w,eec0,ezb6,els0,els0,gezi,ezb6,els0;w,esyo,fb0i,exhc,exhc,gdvu,fb0i,exhc;3l,6hvc,bpto,bpto,bpto,7rs6,bpto,734u;3l,6ajc,bhno,bhno,bhno,7ky6,bhno,6x1u;3l,6njc,byjo,byjo,byjo,7p4o,byjo,7p4o;3l,6p5c,byyo,byyo,byyo,7qr6,byyo,7qr6;3l,6ohc,c14o,c14o,c14o,7zru,c14o,7zru;4h,6njc,byjo,byjo,byjo,byjo,byjo,byjo;4h,6p5c,byyo,byyo,byyo,byyo,byyo,byyo;4h,6ohc,c14o,c14o,c14o,c14o,c14o,c14o;w,erao,f9oi,f9oi,f9oi,i1pu,f9oi,f9oi;w,el00,f4n6,f4n6,f4n6,hzc0,f4n6,f4n6;3l,6kjc,bsno,bsno,bsno,7wx0,bsno,7vco;3l,6f7c,blho,blho,blho,7ov6,blho,7hl0;3l,6njc,byjo,byjo,byjo,7p4o,byjo,7p4o;3l,6shc,c24o,c24o,c24o,7ab0,c24o,7ab0;3l,6vtc,c6ao,c6ao,c6ao,7e9u,c6ao,7e9u;4h,6shc,c24o,c24o,c24o,c24o,c24o,c24o;4h,6vtc,c6ao,c6ao,c6ao,c6ao,c6ao,c6ao;w,ejc0,fa26,fa26,fa26,iv8i,fa26,fa26;w,ero0,fgq6,fgq6,fgq6,ipa6,fgq6,fgq6;3l,6j5c,brko,brko,brko,81di,brko,81di;3l,6e5c,bsgc,bkko,bsgc,8c3u,bsgc,8486;3l,6p5c,byyo,byyo,byyo,7qr6,byyo,7qr6;3l,6shc,c24o,c24o,c24o,7ab0,c24o,7ab0;3l,6tyo,c4zc,c4zc,c4zc,6yio,c4zc,6yio;4h,6tyo,c4zc,c4zc,c4zc,c4zc,c4zc,c4zc;w,eq00,fgh6,fgh6,fgh6,itg6,fgh6,fgh6;w,etc0,fj56,fj56,fj56,ipoo,fj56,fj56;3l,6k5c,buko,buko,buko,839c,buko,839c;3l,6htc,bwsc,bowo,bwsc,87h0,bwsc,7zlc;3l,6ohc,c14o,c14o,c14o,7zru,c14o,7zru;3l,6vtc,c6ao,c6ao,c6ao,7e9u,c6ao,7e9u;3l,6tyo,c4zc,c4zc,c4zc,6z30,c4zc,6yio;i,47pi,4d2i,65h0,65h0,4dou,65h0,65h0;3k,dl60,ejt6,ejt6,ejt6,ggpu,ejt6,ejt6;3k,dy4o,et3i,et3i,et3i,gkf0,et3i,et3i;3k,dq60,efz6,efz6,efz6,g2r6,efz6,efz6;3k,dwu0,e7s0,elb6,elb6,gtu0,elb6,elb6;3k,dyi0,e4c0,ete6,ete6,hhq0,ete6,ete6;3k,dzc0,e5c0,ev56,ev56,hi00,ev56,ev56;1u,47pi,65h0,4d2i,65h0,4dou,65h0,65h0;3k,dl60,ejt6,ejt6,ejt6,ggpu,ejt6,ejt6;3k,dy4o,et3i,et3i,et3i,gkf0,et3i,et3i;3k,dq60,efz6,efz6,efz6,g2r6,efz6,efz6;3k,dwu0,elb6,e7s0,elb6,gtu0,elb6,elb6;3k,dyi0,ete6,e2o0,ete6,hhq0,ete6,ete6;3k,dzc0,ev56,e4o0,ev56,hi00,ev56,ev56;w,etc0,fj56,fj56,fj56,evxc,hfni,fj56;w,dl60,ejt6,ejt6,ejt6,dqm0,hc7u,ejt6;1,677c,7f5c,8mg6,7qgu,6kp6,7qgu,7qgu;1,68co,7zw0,8an0,7ed0,6mh6,7ed0,7ed0;1,6fo0,938c,7x6i,7rg6,6rtc,7rg6,7rg6;1,6eco,9ot0,7x9u,7xj0,6vic,7xj0,7xj0;1,6ihc,9l1c,7ye0,81rc,6yho,81rc,81rc;1u,3tyi,5oko,3vqi,5oko,44q0,5oko,5oko;1u,3qt0,5l50,3ro6,5l50,3wz0,5l50,5l50;x,677c,bb8o,bb8o,7qgu,6kp6,bb8o,bb8o;x,68co,befc,befc,7ed0,6mh6,befc,befc;x,6fo0,bnz0,bnz0,7rg6,6rtc,bnz0,bnz0;x,6eco,blfc,blko,7xj0,6vic,blfc,blfc;x,6ihc,bpqo,bpw0,81rc,6yho,bpqo,bpqo;w,dxo0,esq6,esq6,esq6,e1p0,hcei,esq6;w,dy4o,et3i,et3i,et3i,enmo,h9gu,et3i;1,677c,7f5c,8mg6,7qgu,72m6,7qgu,7qgu;1,60vc,7wnc,84zc,76u0,6xwi,76u0,76u0;1,68io,8s20,7vho,7chi,78dc,7chi,7chi;1,69vc,9s00,8180,80xo,7eb0,80xo,80xo;1,69o0,9gao,82m6,7tec,7l60,7tec,7tec;1u,3p7i,5k8o,3v9c,5k8o,3x5o,5k8o,5k8o;1u,3ok0,5hb0,3uu6,5hb0,4hsc,5hb0,5hb0;x,677c,bb8o,bb8o,7qgu,72m6,bb8o,bb8o;x,60vc,b52o,b52o,76u0,6xwi,b52o,b52o;x,68io,besc,besc,7chi,78dc,besc,besc;x,69vc,bdko,bo0c,80xo,7eb0,bdko,bdko;x,69o0,bfq0,bq5o,7tec,7l60,bfq0,bfq0;w,eec0,ezb6,ezb6,ezb6,els0,gyx0,ezb6;w,dq60,efz6,efz6,efz6,e2g0,govu,efz6;1,68co,7zw0,8an0,7ed0,6vqu,7ed0,7ed0;1,60vc,7wnc,84zc,76u0,6ppu,7dd6,76u0;1,6eo0,8smo,7mvo,7hii,6uzc,7hii,7hii;1,6boo,9nt0,8950,7l4o,7l4o,7l4o,88ko;1,6fhc,9gh0,7zf6,7s26,78cc,7s26,8kxu;1u,36b0,4vcu,3c2o,4vcu,3wyi,4th0,4th0;1u,31x0,4tiu,3ce6,4tiu,3vou,4pz0,4pz0;x,68co,befc,befc,7ed0,6vqu,befc,befc;x,60vc,b52o,b52o,76u0,6ppu,b52o,b52o;x,6eo0,bkh0,bkh0,7hii,6uzc,bkh0,bkh0;x,6boo,bh3c,bh3c,7l4o,7l4o,bh3c,c9z0;x,6fhc,bl8o,bl8o,7s26,78cc,bl8o,ce4c;w,erao,ew5c,f9oi,ew5c,f9oi,ggio,f9oi;w,dwu0,e7s0,elb6,e7s0,elb6,g7au,elb6;1,6fo0,938c,7x6i,6twc,7rg6,7rg6,7rg6;1,68io,8s20,7vho,6vn0,7chi,7jro,7chi;1,6eo0,8smo,7mvo,6t30,7hii,7hii,7hii;4,6pcc,a700,9q00,8rbc,8rbc,8rbc,a716;4,6vi0,ab70,9vfc,8umo,8umo,8umo,a900;8,3sqo,4hvi,3sqo,4hvi,4abo,4abo,4abo;8,3t7c,4guu,3t8i,4guu,48e0,48e0,48e0;x,6fo0,bnz0,bnz0,6twc,7rg6,bnz0,bnz0;x,68io,besc,besc,6vn0,7chi,besc,besc;x,6eo0,bkh0,bkh0,6t30,7hii,bkh0,bkh0;4,6pcc,brz0,brz0,8rbc,8rbc,brz0,etz0;4,6vi0,buk0,buk0,8umo,8umo,buk0,ewk0;w,ejc0,el00,fa26,ejc0,fa26,gjni,fa26;w,dyi0,e4c0,ete6,e2d0,ete6,ge5i,ete6;1,6eco,9ot0,7x9u,6sm0,7xj0,7xj0,7xj0;1,69vc,9s00,8180,6s6o,80xo,80xo,80xo;1,6boo,9nt0,8950,7l4o,7l4o,7l4o,88ko;4,6pcc,a700,9q00,8rbc,8rbc,8rbc,a716;4,92cc,b7eo,b7eo,9wxc,9wxc,9wxc,anw0;8,4r2o,4z6c,4r2o,4z6c,4rho,4rho,4rho;8,4keo,4w1o,4keo,4vmo,4lzo,4lzo,4oou;x,6eco,blko,blfc,6sm0,7xj0,blfc,blfc;x,69vc,bo0c,bdko,6s2o,80xo,bdko,bdko;x,6boo,bh3c,bh3c,7l4o,7l4o,bh3c,c9z0;4,6pcc,brz0,brz0,8rbc,8rbc,brz0,etz0;4,92cc,c1zo,c1zo,9wxc,9wxc,c1zo,fmac;w,eq00,eqo0,fgh6,eq00,fgh6,gkdu,fgh6;w,dzc0,e5c0,ev56,e1y0,ev56,ghti,ev56;1,6ihc,9l1c,7ye0,6wlc,81rc,81rc,81rc;1,69o0,9gao,82m6,74ro,7tec,7tec,7tec;1,6fhc,9gh0,7zf6,78cc,7s26,7s26,8kxu;4,6vi0,ab70,9vfc,8umo,8umo,8umo,a900;4,92cc,b7eo,b7eo,9wxc,9wxc,9wxc,anw0;8,4sqo,4wto,4sqo,4wto,4sqo,4sqo,4sqo;8,4qqo,4yjo,4qqo,4vto,4qqo,4qqo,4tfu;x,6ihc,bpw0,bpqo,6wlc,81rc,bpqo,bpqo;x,69o0,bq5o,bfq0,74ro,7tec,bfq0,bfq0;x,6fhc,bl8o,bl8o,78cc,7s26,bl8o,ce4c;4,6vi0,buk0,buk0,8umo,8umo,buk0,ewk0;4,92cc,c1zo,c1zo,9wxc,9wxc,c1zo,fmac;28,47pi,65h0,65h0,4aqi,4dou,65h0,65h0;w,etc0,fj56,fj56,fj56,evxc,fj56,hfni;w,dxo0,esq6,esq6,esq6,e1p0,esq6,hcei;w,eec0,ezb6,ezb6,ezb6,els0,ezb6,h0su;w,erao,f9oi,f9oi,f9oi,f9oi,f9oi,i1pu;w,ejc0,fa26,fa26,fa26,fa26,fa26,iv8i;w,eq00,fgh6,fgh6,fgh6,fgh6,fgh6,itg6;w,dl60,ejt6,ejt6,ejt6,dqm0,ejt6,hc7u;w,dy4o,et3i,et3i,et3i,enmo,et3i,h9gu;w,dq60,efz6,efz6,efz6,e2g0,efz6,gsfo;w,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;w,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;w,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;3k,dl60,ejt6,ejt6,ejt6,ggpu,ejt6,ejt6;1,677c,8mg6,8mg6,7qgu,72m6,7qgu,7qgu;1,68co,8iac,8an0,7ed0,6vqu,7ed0,7ed0;1,6fo0,9qmo,7x6i,7rg6,7rg6,7rg6,7rg6;1,6eco,aa20,7w20,7xoc,7xj0,7xoc,7xoc;1,6ihc,a236,7ye0,81wo,81rc,81wo,81wo;3k,dy4o,et3i,et3i,et3i,gkf0,et3i,et3i;1,677c,8mg6,8mg6,7qgu,6kp6,7qgu,7qgu;1,60vc,89qc,84zc,76u0,6ppu,76u0,7dd6;1,68io,97z0,7vho,7chi,7chi,7chi,7jro;1,69vc,ad90,8180,8bdc,80xo,8bdc,8bdc;1,69o0,9zii,7w96,83u0,7tec,83u0,83u0;3k,dq60,efz6,efz6,efz6,g2r6,efz6,efz6;1,68co,8an0,8an0,7ed0,6mh6,7ed0,7ed0;1,60vc,84zc,84zc,76u0,6xwi,76u0,76u0;1,6eo0,9cjo,7jpo,7hii,7hii,7hii,7hii;1,6boo,9beo,7hx6,7fp0,7fp0,7fp0,7fp0;1,6fhc,9s1c,7ol6,7s26,7s26,7s26,7s26;3k,dwu0,elb6,elb6,e7s0,gtu0,elb6,elb6;1,6fo0,7yec,7x6i,6twc,6rtc,7rg6,7rg6;1,68io,7vho,7vho,6vn0,71xu,7chi,7chi;1,6eo0,855c,7jpo,6rg6,6uoi,7hii,7hii;1,6lo0,8330,74ni,7516,7516,7516,7516;1,6mc0,8300,75k0,7700,7700,7700,7700;3k,dyi0,ete6,ete6,e4c0,hhq0,ete6,ete6;1,6eco,7w20,7w20,6m16,6nd0,7xj0,7xj0;1,69vc,87l0,8180,6s6o,7eb0,80xo,80xo;1,6boo,7hx6,7hx6,6i8c,6pxc,7fp0,7fp0;1,6lo0,7bhu,74ni,6pnc,6pnc,7516,7516;1,6jtc,76mc,6tf0,6qb6,6qb6,6qb6,6qvi;3k,dzc0,ev56,ev56,e5c0,hi00,ev56,ev56;1,6ihc,7ye0,7ye0,6oso,6prc,81rc,81rc;1,69o0,7w96,7w96,6sf0,7cqi,7tec,7tec;1,6fhc,7vz0,7ol6,6km0,6sko,7s26,7s26;1,6mc0,7ec0,75k0,6pnc,6pnc,7700,7700;1,6jtc,738u,6tf0,6ob6,6pai,6qb6,6qb6;3k,255s0,255s0,255s0,255s0,255s0,255s0,255s0;c,1fqo,1yfc,1hjo,1yfc,1hjo,1yfc,1yfc;3k,5k00,5k00,5k00,5k00,5k00,5k00,5k00;3k,2s00,3exc,2w80,3exc,2w80,3exc,3exc;c,3sqo,5viu,3sqo,5viu,3sqo,5viu,5viu;c,4r2o,732o,4s20,732o,4s20,732o,732o;c,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;3k,2s00,2s00,2s00,2s00,2s00,2s00,2s00;c,1k80,24f0,1pk0,24f0,1pk0,24f0,24f0;c,2eeo,3cwo,2kc6,3cwo,2kc6,3cwo,3cwo;c,3t7c,5x3o,3t8i,5x3o,3t8i,5x3o,5x3o;c,4keo,6y5o,4keo,6y5o,4keo,6y5o,6y5o;c,4qqo,70ru,4qqo,70ru,4qqo,70ru,70ru;3k,2s00,2s00,2s00,2s00,2s00,2s00,2s00;x,677c,bb8o,bb8o,6hhc,bb8o,6hhc,bb8o;x,68co,befc,befc,6vqu,befc,6vqu,befc;x,6fo0,bnz0,bnz0,7rg6,bnz0,7rg6,bnz0;x,6eco,blko,blfc,7xoc,blfc,7xoc,blko;x,6ihc,bpw0,bpqo,81wo,bpqo,81wo,bpw0;2a,1k80,24f0,24f0,24f0,24f0,24f0,24f0;x,677c,bb8o,bb8o,6hhc,bb8o,6hhc,bb8o;x,60vc,b52o,b52o,6ppu,b52o,6ppu,b52o;x,68io,besc,besc,7chi,besc,7chi,besc;x,69vc,bo0c,bdko,8bdc,bdko,8bdc,bo0c;x,69o0,bq5o,bfq0,83u0,bfq0,83u0,bq5o;2a,2eeo,3cwo,3cwo,3cwo,3cwo,3cwo,3cwo;x,68co,befc,befc,6vqu,befc,6vqu,befc;x,60vc,b52o,b52o,6ppu,b52o,6ppu,b52o;x,6eo0,bkh0,bkh0,7hii,bkh0,7hii,bkh0;x,6boo,bh3c,bh3c,7fp0,bh3c,7fp0,bh3c;x,6fhc,bl8o,bl8o,7s26,bl8o,7s26,bl8o;2a,3t7c,5x3o,5x3o,5x3o,5x3o,5x3o,5x3o;x,6fo0,bnz0,bnz0,7rg6,bnz0,7rg6,bnz0;x,68io,besc,besc,7chi,besc,7chi,besc;x,6eo0,bkh0,bkh0,7hii,bkh0,7hii,bkh0;x,6lo0,brz0,brz0,7516,brz0,7516,brz0;x,6mc0,buk0,buk0,7700,buk0,7700,buk0;2a,4keo,6y5o,6y5o,6y5o,6y5o,6y5o,6y5o;x,6eco,blko,blko,7xoc,blko,7xoc,blko;x,69vc,bo0c,bo0c,8bdc,bo0c,8bdc,bo0c;x,6boo,bh3c,bh3c,7fp0,bh3c,7fp0,bh3c;x,6lo0,brz0,brz0,7516,brz0,7516,brz0;x,6jtc,breo,breo,6qb6,breo,6qb6,breo;2a,4qqo,70ru,70ru,70ru,70ru,70ru,70ru;x,6ihc,bpw0,bpw0,81wo,bpw0,81wo,bpw0;x,69o0,bq5o,bq5o,83u0,bq5o,83u0,bq5o;x,6fhc,bl8o,bl8o,7s26,bl8o,7s26,bl8o;x,6mc0,buk0,buk0,7700,buk0,7700,buk0;x,6jtc,breo,breo,6qb6,breo,6qb6,breo;g,47pi,47pi,47pi,47pi,47pi,47pi,47pi;g,3tyi,42si,3yji,3yji,3tyi,42si,3yji;g,3p7i,42ic,3wyi,3wyi,3v9c,42ic,3wyi;g,36b0,49ji,3wyi,3yuc,3c2o,49ji,3yuc;1w,3sqo,5viu,4abo,5viu,3sqo,5viu,5viu;1w,4r2o,732o,4rho,732o,4r2o,732o,732o;1w,4sqo,72dc,4sqo,72dc,4sqo,72dc,72dc;1s,47pi,47pi,47pi,47pi,47pi,47pi,47pi;1s,3tyi,3yji,42si,3yji,3tyi,42si,3yji;1s,3p7i,3wyi,42ic,3wyi,3v9c,42ic,3wyi;1s,36b0,3wyi,49ji,3yuc,3c2o,49ji,3yuc;k,3sqo,4abo,5viu,5viu,3sqo,5viu,5viu;k,4r2o,4rho,732o,732o,4r2o,732o,732o;k,4sqo,4sqo,72dc,72dc,4sqo,72dc,72dc;g,3qt0,3yzo,3ztu,3ztu,3r4i,3yzo,3wfu;g,3ok0,3zxu,3vou,3vou,3sv0,3zxu,3vou;g,31x0,476u,3vou,3z8o,3ce6,476u,3z8o;1w,3t7c,5x3o,48e0,5x3o,3t8i,5x3o,5x3o;1w,4keo,6y5o,4lzo,6y5o,4keo,6y5o,6y5o;1w,4qqo,70ru,4qqo,70ru,4qqo,70ru,70ru;1s,3qt0,3ztu,3yzo,3ztu,3r4i,3yzo,3ztu;1s,3ok0,3vou,3ztu,3vou,3sv0,3ztu,3vou;1s,31x0,3vou,476u,3z8o,3ce6,476u,3z8o;k,3t7c,48e0,5x3o,5x3o,3t8i,5x3o,5x3o;k,4keo,4lzo,6y5o,6y5o,4keo,6y5o,6y5o;k,4qqo,4qqo,70ru,70ru,4qqo,70ru,70ru;w,dl60,ejt6,du00,du00,fq2i,ejt6,dqm0;3l,677c,bb8o,bb8o,bb8o,7qgu,bb8o,6gr0;3l,68co,befc,befc,befc,7ed0,befc,6vqu;3l,6fo0,bnz0,bnz0,bnz0,7rg6,bnz0,7rg6;3l,6eco,blko,blfc,blko,7xj0,blko,7xoc;3l,6ihc,bpw0,bpqo,bpw0,81rc,bpw0,81wo;4h,677c,bb8o,bb8o,bb8o,bb8o,bb8o,bb8o;4h,68co,befc,befc,befc,befc,befc,befc;4h,6fo0,bnz0,bnz0,bnz0,bnz0,bnz0,bnz0;4h,6eco,blfc,blko,blko,blfc,blko,blko;4h,6ihc,bpqo,bpw0,bpw0,bpqo,bpw0,bpw0;w,dy4o,et3i,e22c,e22c,frzo,et3i,e22c;3l,677c,bb8o,bb8o,bb8o,7qgu,bb8o,6gr0;3l,60vc,b52o,b52o,b52o,76u0,b52o,6ppu;3l,68io,besc,besc,besc,7chi,besc,7chi;3l,69vc,bo0c,bdko,bo0c,80xo,bo0c,8bdc;3l,69o0,bq5o,bfq0,bq5o,7tec,bq5o,83u0;4h,60vc,b52o,b52o,b52o,b52o,b52o,b52o;4h,68io,besc,besc,besc,besc,besc,besc;4h,69vc,bdko,bo0c,bo0c,bdko,bo0c,bo0c;4h,69o0,bfq0,bq5o,bq5o,bfq0,bq5o,bq5o;w,dq60,efz6,e2g0,e2g0,g63o,efz6,e2g0;3l,68co,befc,befc,befc,7ed0,befc,6vqu;3l,60vc,b52o,b52o,b52o,7dd6,b52o,6ppu;3l,6eo0,bkh0,bkh0,bkh0,7hii,bkh0,7hii;3l,6boo,bh3c,bh3c,bh3c,7fp0,bh3c,7fp0;3l,6fhc,bl8o,bl8o,bl8o,7s26,bl8o,7s26;4h,6eo0,bkh0,bkh0,bkh0,bkh0,bkh0,bkh0;4h,6boo,bh3c,bh3c,bh3c,bh3c,bh3c,bh3c;4h,6fhc,bl8o,bl8o,bl8o,bl8o,bl8o,bl8o;w,dwu0,elb6,elb6,elb6,hw0i,elb6,elb6;3l,6fo0,bnz0,bnz0,bnz0,7rg6,bnz0,7rg6;3l,68io,besc,besc,besc,7jro,besc,7chi;3l,6eo0,bkh0,bkh0,bkh0,7hii,bkh0,7hii;3l,6lo0,brz0,brz0,brz0,7516,brz0,7516;3l,6mc0,buk0,buk0,buk0,7700,buk0,7700;4h,6lo0,brz0,brz0,brz0,brz0,brz0,brz0;4h,6mc0,buk0,buk0,buk0,buk0,buk0,buk0;w,dyi0,ete6,ete6,ete6,iqbi,ete6,ete6;3l,6eco,blko,blfc,blko,7xoc,blko,7xj0;3l,69vc,bo0c,bdko,bo0c,8bdc,bo0c,80xo;3l,6boo,bh3c,bh3c,bh3c,7fp0,bh3c,7fp0;3l,6lo0,brz0,brz0,brz0,7516,brz0,7516;3l,6jtc,breo,breo,breo,6qb6,breo,6qb6;4h,6jtc,breo,breo,breo,breo,breo,breo;w,dzc0,ev56,ev56,ev56,iruo,ev56,ev56;3l,6ihc,bpw0,bpqo,bpw0,81wo,bpw0,81rc;3l,69o0,bq5o,bfq0,bq5o,83u0,bq5o,7tec;3l,6fhc,bl8o,bl8o,bl8o,7s26,bl8o,7s26;3l,6mc0,buk0,buk0,buk0,7700,buk0,7700;3l,6jtc,breo,breo,breo,6qvi,breo,6qb6;w,dzc0,ev56,ev56,ev56,e7xc,hcpu,ev56;w,dl60,ejt6,ejt6,ejt6,ed9c,hc7u,ejt6;1,632o,78lo,8ie0,7mro,74r0,7mro,7mro;1,667c,7wi0,84z0,7af0,76tc,7af0,7af0;1,660o,8wt0,7nd0,7jeu,76lc,7jeu,7jeu;1,64co,9g1c,7s1c,7p86,76lc,7p86,7p86;1,660o,9d7c,7r06,7rm0,77oc,7rm0,7rm0;1u,3rk0,5ln0,3rk0,5ln0,42x6,5ln0,5ln0;1u,3qt0,5l50,3ro6,5l50,4j36,5l50,5l50;x,632o,b56c,b56c,7mro,74r0,b56c,b56c;x,667c,b88o,b88o,7af0,76tc,b88o,b88o;x,660o,b7rc,b7rc,7jeu,76lc,b7rc,b7rc;x,64co,b9fc,b9fc,7p86,76lc,b9fc,b9fc;x,660o,bb0c,bb0c,7rm0,77oc,bb0c,bb0c;w,eg00,f7e6,f7e6,f7e6,egd0,hamu,f7e6;w,dy4o,et3i,et3i,et3i,e6yo,h9gu,et3i;1,632o,78lo,8ie0,7mro,6iju,7mro,7mro;1,6fq0,819c,89kc,7gt0,6rsi,7gt0,7gt0;1,6i7c,8tmo,7vx6,7jm6,6xl0,7jm6,7jm6;1,6c7c,9swc,81ri,82ju,6ww0,82ju,82ju;1,6hvc,9i4o,84p6,7zf0,766o,7zf0,7zf0;1u,3ot0,5ih0,3slu,5ih0,3w0u,5ih0,5ih0;1u,3ok0,5hb0,3uu6,5hb0,40l6,5hb0,5hb0;x,632o,b56c,b56c,7mro,6iju,b56c,b56c;x,6fq0,blw0,blw0,7gt0,6rsi,blw0,blw0;x,6i7c,bmqo,bmqo,7jm6,6xl0,bmqo,bmqo;x,6c7c,bm8o,bs9c,82ju,6ww0,bm8o,bm8o;x,6hvc,bpto,bvuc,7zf0,766o,bpto,bpto;w,esyo,fb0i,fb0i,fb0i,exhc,gvi0,fb0i;w,dq60,efz6,efz6,efz6,e2g0,govu,efz6;1,667c,7wi0,84z0,7af0,6tc0,7h16,7af0;1,6fq0,819c,89kc,7gt0,70q0,7gt0,7gt0;1,6k00,8vmo,7no6,7l0i,6xf0,7l0i,7l0i;1,6i00,9o4o,89ec,7pf0,7pf0,7pf0,8aoi;1,6kjc,9j4o,82ec,7vco,7d2c,7vco,8m3o;1u,34t0,4rwo,3b5o,4rwo,3w0u,4pz0,4pz0;1u,31x0,4tiu,3ce6,4tiu,3vou,4pz0,4pz0;x,667c,b88o,b88o,7af0,6tc0,b88o,b88o;x,6fq0,blw0,blw0,7gt0,70q0,blw0,blw0;x,6k00,bp50,bp50,7l0i,6xf0,bp50,bp50;x,6i00,bqn0,bqn0,7pf0,7pf0,bqn0,che0;x,6kjc,bsno,bsno,7vco,7d2c,bsno,cjeo;w,el00,er40,f4n6,er40,f4n6,ga00,f4n6;w,dwu0,e7s0,elb6,e7s0,elb6,g7au,elb6;1,660o,8wt0,7nd0,6jw6,7jeu,7kz6,7jeu;1,6i7c,8tmo,7vx6,704u,7jm6,7jm6,7jm6;1,6k00,8vmo,7no6,6xf0,7l0i,7l0i,7l0i;4,6s60,a69o,9sc0,8plc,8plc,8plc,a3mi;4,6zcc,aa2o,9xko,8tcc,8tcc,8tcc,a6ou;8,3veo,4hfu,3veo,4hfu,49iu,49iu,49iu;8,3t7c,4guu,3t7c,4guu,48e0,48e0,48e0;x,660o,b7rc,b7rc,6jw6,7jeu,b7rc,b7rc;x,6i7c,bmqo,bmqo,704u,7jm6,bmqo,bmqo;x,6k00,bp50,bp50,6xf0,7l0i,bp50,bp50;4,6s60,bprc,bprc,8plc,8plc,bprc,esh0;4,6zcc,brko,brko,8tcc,8tcc,brko,euac;w,ero0,ero0,fgq6,ero0,fgq6,gef0,fgq6;w,dyi0,e4c0,ete6,e2d0,ete6,ge5i,ete6;1,64co,9g1c,7s1c,6jyo,7p86,7p86,7p86;1,6c7c,9swc,81ri,6qzo,82ju,82ju,82ju;1,6i00,9o4o,89ec,7pf0,7pf0,7pf0,8aoi;4,6s60,a69o,9sc0,8plc,8plc,8plc,a3mi;4,8puc,azeo,azeo,9r10,9r10,9r10,allu;8,4kvc,4uqo,4kvc,4uqo,4oni,4m96,4m96;8,4keo,4xlo,4keo,4vmo,4oou,4lzo,4lzo;x,64co,b9fc,b9fc,6jyo,7p86,b9fc,b9fc;x,6c7c,bs9c,bm8o,6qzo,82ju,bm8o,bm8o;x,6i00,bqn0,bqn0,7pf0,7pf0,bqn0,che0;4,6s60,bprc,bprc,8plc,8plc,bprc,esh0;4,8puc,c0lc,c0lc,9r10,9r10,c0lc,fo1c;w,etc0,etc0,fj56,etc0,fj56,ghhi,fj56;w,dzc0,e5c0,ev56,e1y0,ev56,ghti,ev56;1,660o,9d7c,7r06,6odo,7rm0,7rm0,7rm0;1,6hvc,9i4o,84p6,75gc,7zf0,7zf0,7zf0;1,6kjc,9j4o,82ec,7d2c,7vco,7vco,8m3o;4,6zcc,aa2o,9xko,8tcc,8tcc,8tcc,a6ou;4,8puc,azeo,azeo,9r10,9r10,9r10,allu;8,4qeo,4vno,4qeo,4vno,4st0,4qeo,4qeo;8,4qqo,4z7o,4qqo,4vto,4tfu,4qqo,4qqo;x,660o,bb0c,bb0c,6odo,7rm0,bb0c,bb0c;x,6hvc,bvuc,bpto,75gc,7zf0,bpto,bpto;x,6kjc,bsno,bsno,7d2c,7vco,bsno,cjeo;4,6zcc,brko,brko,8tcc,8tcc,brko,euac;4,8puc,c0lc,c0lc,9r10,9r10,c0lc,fo1c;w,dzc0,ev56,ev56,ev56,e7xc,ev56,hcpu;w,eg00,f7e6,f7e6,f7e6,egd0,f7e6,hamu;w,esyo,fb0i,fb0i,fb0i,exhc,fb0i,gxfo;w,el00,f4n6,f4n6,f4n6,f4n6,f4n6,hzc0;w,ero0,fgq6,fgq6,fgq6,fgq6,fgq6,ipa6;w,etc0,fj56,fj56,fj56,fj56,fj56,ipoo;w,dl60,ejt6,ejt6,ejt6,ed9c,ejt6,hc7u;w,dy4o,et3i,et3i,et3i,e6yo,et3i,h9gu;w,dq60,efz6,efz6,efz6,e2g0,efz6,gsfo;w,dwu0,elb6,elb6,elb6,elb6,elb6,hw0i;w,dyi0,ete6,ete6,ete6,ete6,ete6,iqbi;w,dzc0,ev56,ev56,ev56,ev56,ev56,iruo;1,632o,8ie0,8ie0,7mro,6iju,7mro,7mro;1,667c,8bf6,84z0,7af0,6tc0,7af0,7h16;1,660o,9k10,7nd0,7jeu,7jeu,7jeu,7kz6;1,64co,a1ni,7rei,7p86,7p86,7p86,7p86;1,660o,9t2o,7r06,7rm0,7rm0,7rm0,7rm0;1,632o,8ie0,8ie0,7mro,74r0,7mro,7mro;1,6fq0,8e76,89kc,7gt0,70q0,7gt0,7gt0;1,6i7c,9bpc,7vx6,7jm6,7jm6,7jm6,7jm6;1,6c7c,aeii,81ri,88ki,82ju,88ki,88ki;1,6hvc,a160,7y8c,85fo,7zf0,85fo,85fo;1,667c,84z0,84z0,7af0,76tc,7af0,7af0;1,6fq0,89kc,89kc,7gt0,6rsi,7gt0,7gt0;1,6k00,9egc,7if6,7l0i,7l0i,7l0i,7l0i;1,6i00,9d1o,7l9i,7jxi,7jxi,7jxi,7jxi;1,6kjc,9s60,7px0,7vco,7vco,7vco,7vco;1,660o,7nzu,7nd0,6jw6,76lc,7jeu,7jeu;1,6i7c,7vx6,7vx6,704u,6r5i,7jm6,7jm6;1,6k00,85ac,7if6,6utc,6utc,7l0i,7l0i;1,6h0o,7wto,72eo,70wu,70wu,70wu,70wu;1,6j5c,7yjc,72no,73z6,73z6,73z6,73z6;1,64co,7rei,7rei,6e2u,76lc,7p86,7p86;1,6c7c,888c,81ri,6r3o,6ww0,82ju,82ju;1,6i00,7l9i,7l9i,6o2i,6m1c,7jxi,7jxi;1,6h0o,79b0,72eo,6nqu,6on6,70wu,70wu;1,6k5c,7a50,6wru,6s56,6s56,6s56,6s56;1,660o,7r06,7r06,6eq6,77oc,7rm0,7rm0;1,6hvc,7y8c,7y8c,6u1u,6xr6,7zf0,7zf0;1,6kjc,7xu0,7px0,6p0o,6q00,7vco,7vco;1,6j5c,7ddc,72no,6nuc,6ozo,73z6,73z6;1,6k5c,74wi,6wru,6p6c,6p6c,6s56,6s56;3k,5k00,5k00,5k00,5k00,5k00,5k00,5k00;3k,2s00,2s00,2s00,2s00,2s00,2s00,2s00;c,2deo,3eeo,2dxi,3eeo,2dxi,3eeo,3eeo;c,3veo,5yuu,3xf6,5yuu,3xf6,5yuu,5yuu;c,4kvc,6x4c,4kvc,6x4c,4kvc,6x4c,6x4c;c,4qeo,6ylu,4qeo,6ylu,4qeo,6ylu,6ylu;3k,2s00,2s00,2s00,2s00,2s00,2s00,2s00;c,1k80,24f0,1pk0,24f0,1pk0,24f0,24f0;c,2eeo,3cwo,2kc6,3cwo,2kc6,3cwo,3cwo;c,3t7c,5x3o,3t8i,5x3o,3t8i,5x3o,5x3o;c,4keo,6y5o,4keo,6y5o,4keo,6y5o,6y5o;c,4qqo,70ru,4qqo,70ru,4qqo,70ru,70ru;x,632o,b56c,b56c,6cuo,b56c,6cuo,b56c;x,667c,b88o,b88o,6tc0,b88o,6tc0,b88o;x,660o,b7rc,b7rc,7jeu,b7rc,7jeu,b7rc;x,64co,b9fc,b9fc,7p86,b9fc,7p86,b9fc;x,660o,bb0c,bb0c,7rm0,bb0c,7rm0,bb0c;x,632o,b56c,b56c,6cuo,b56c,6cuo,b56c;x,6fq0,blw0,blw0,70q0,blw0,70q0,blw0;x,6i7c,bmqo,bmqo,7jm6,bmqo,7jm6,bmqo;x,6c7c,bs9c,bm8o,88ki,bm8o,88ki,bs9c;x,6hvc,bvuc,bpto,85fo,bpto,85fo,bvuc;x,667c,b88o,b88o,6tc0,b88o,6tc0,b88o;x,6fq0,blw0,blw0,70q0,blw0,70q0,blw0;x,6k00,bp50,bp50,7l0i,bp50,7l0i,bp50;x,6i00,bqn0,bqn0,7jxi,bqn0,7jxi,bqn0;x,6kjc,bsno,bsno,7vco,bsno,7vco,bsno;x,660o,b7rc,b7rc,7jeu,b7rc,7jeu,b7rc;x,6i7c,bmqo,bmqo,7jm6,bmqo,7jm6,bmqo;x,6k00,bp50,bp50,7l0i,bp50,7l0i,bp50;x,6h0o,bprc,bprc,70wu,bprc,70wu,bprc;x,6j5c,brko,brko,73z6,brko,73z6,brko;x,64co,b9fc,b9fc,7p86,b9fc,7p86,b9fc;x,6c7c,bs9c,bs9c,88ki,bs9c,88ki,bs9c;x,6i00,bqn0,bqn0,7jxi,bqn0,7jxi,bqn0;x,6h0o,bprc,bprc,70wu,bprc,70wu,bprc;x,6k5c,buko,buko,6x8o,buko,6x8o,buko;x,660o,bb0c,bb0c,7rm0,bb0c,7rm0,bb0c;x,6hvc,bvuc,bvuc,85fo,bvuc,85fo,bvuc;x,6kjc,bsno,bsno,7vco,bsno,7vco,bsno;x,6j5c,brko,brko,73z6,brko,73z6,brko;x,6k5c,buko,buko,6x8o,buko,6x8o,buko;g,3rk0,3zru,3wxu,40bu,3rk0,3zru,3wxu;g,3ot0,3ywo,3w0u,3w0u,3slu,3ywo,3w0u;g,34t0,48cu,3w0u,3xyi,3b5o,48cu,3xyi;1w,3veo,5yuu,49iu,5yuu,3veo,5yuu,5yuu;1w,4kvc,6x4c,4m96,6x4c,4oni,6x4c,6x4c;1w,4qeo,6ylu,4qeo,6ylu,4st0,6ylu,6ylu;1s,47pi,47pi,47pi,47pi,47pi,47pi,47pi;1s,3rk0,40bu,3zru,40bu,3rk0,3zru,3wxu;1s,3ot0,3w0u,3ywo,3w0u,3slu,3ywo,3w0u;1s,34t0,3w0u,48cu,3xyi,3b5o,48cu,3xyi;k,3veo,49iu,5yuu,5yuu,3veo,5yuu,5yuu;k,4kvc,4m96,6x4c,6x4c,4kvc,6x4c,6x4c;k,4qeo,4qeo,6ylu,6ylu,4qeo,6ylu,6ylu;g,3qt0,3yzo,3wfu,3ztu,3r4i,3yzo,3wfu;g,3ok0,3ztu,3vou,3vou,3sv0,3ztu,3vou;g,31x0,476u,3vou,3z8o,3ce6,476u,3z8o;1w,3t7c,5x3o,48e0,5x3o,3t8i,5x3o,5x3o;1w,4keo,6y5o,4lzo,6y5o,4oou,6y5o,6y5o;1w,4qqo,70ru,4qqo,70ru,4tfu,70ru,70ru;1s,3qt0,3ztu,3yzo,3ztu,3r4i,3yzo,3wfu;1s,3ok0,3vou,3ztu,3vou,3sv0,3ztu,3vou;1s,31x0,3vou,476u,3z8o,3ce6,476u,3z8o;k,3t7c,48e0,5x3o,5x3o,3t8i,5x3o,5x3o;k,4keo,4lzo,6y5o,6y5o,4keo,6y5o,6y5o;k,4qqo,4qqo,70ru,70ru,4qqo,70ru,70ru;3l,632o,b56c,b56c,b56c,7mro,b56c,6cuo;3l,667c,b88o,b88o,b88o,7af0,b88o,6tc0;3l,660o,b7rc,b7rc,b7rc,7jeu,b7rc,7jeu;3l,64co,b9fc,b9fc,b9fc,7p86,b9fc,7p86;3l,660o,bb0c,bb0c,bb0c,7rm0,bb0c,7rm0;4h,632o,b56c,b56c,b56c,b56c,b56c,b56c;4h,667c,b88o,b88o,b88o,b88o,b88o,b88o;4h,660o,b7rc,b7rc,b7rc,b7rc,b7rc,b7rc;4h,64co,b9fc,b9fc,b9fc,b9fc,b9fc,b9fc;4h,660o,bb0c,bb0c,bb0c,bb0c,bb0c,bb0c;3l,632o,b56c,b56c,b56c,7mro,b56c,6cuo;3l,6fq0,blw0,blw0,blw0,7gt0,blw0,70q0;3l,6i7c,bmqo,bmqo,bmqo,7jm6,bmqo,7jm6;3l,6c7c,bs9c,bm8o,bs9c,82ju,bs9c,88ki;3l,6hvc,bvuc,bpto,bvuc,7zf0,bvuc,85fo;4h,6fq0,blw0,blw0,blw0,blw0,blw0,blw0;4h,6i7c,bmqo,bmqo,bmqo,bmqo,bmqo,bmqo;4h,6c7c,bm8o,bs9c,bs9c,bm8o,bs9c,bs9c;4h,6hvc,bpto,bvuc,bvuc,bpto,bvuc,bvuc;3l,667c,b88o,b88o,b88o,7h16,b88o,6tc0;3l,6fq0,blw0,blw0,blw0,7gt0,blw0,70q0;3l,6k00,bp50,bp50,bp50,7l0i,bp50,7l0i;3l,6i00,bqn0,bqn0,bqn0,7jxi,bqn0,7jxi;3l,6kjc,bsno,bsno,bsno,7vco,bsno,7vco;4h,6k00,bp50,bp50,bp50,bp50,bp50,bp50;4h,6i00,bqn0,bqn0,bqn0,bqn0,bqn0,bqn0;4h,6kjc,bsno,bsno,bsno,bsno,bsno,bsno;3l,660o,b7rc,b7rc,b7rc,7kz6,b7rc,7jeu;3l,6i7c,bmqo,bmqo,bmqo,7jm6,bmqo,7jm6;3l,6k00,bp50,bp50,bp50,7l0i,bp50,7l0i;3l,6h0o,bprc,bprc,bprc,70wu,bprc,70wu;3l,6j5c,brko,brko,brko,73z6,brko,73z6;4h,6h0o,bprc,bprc,bprc,bprc,bprc,bprc;4h,6j5c,brko,brko,brko,brko,brko,brko;3l,64co,b9fc,b9fc,b9fc,7p86,b9fc,7p86;3l,6c7c,bs9c,bm8o,bs9c,88ki,bs9c,82ju;3l,6i00,bqn0,bqn0,bqn0,7jxi,bqn0,7jxi;3l,6h0o,bprc,bprc,bprc,70wu,bprc,70wu;3l,6k5c,buko,buko,buko,6s56,buko,6s56;4h,6k5c,buko,buko,buko,buko,buko,buko;3l,660o,bb0c,bb0c,bb0c,7rm0,bb0c,7rm0;3l,6hvc,bvuc,bpto,bvuc,85fo,bvuc,7zf0;3l,6kjc,bsno,bsno,bsno,7vco,bsno,7vco;3l,6j5c,brko,brko,brko,73z6,brko,73z6;3l,6k5c,buko,buko,buko,6s56,buko,6s56;1s,660o,7cz0,7qeu,7qeu,8ie0,7qeu,7qeu;1s,677c,7f5c,7qgu,7qgu,8hfo,7qgu,7qgu;1s,632o,78lo,7mro,7mro,8fi0,7mro,7mro;i,64gi,64gi,8l2c,8l2c,6clu,8l2c,8l2c;i,5kb0,5osc,8qmo,8qmo,75io,8qmo,8qmo;i,4tx0,5hic,8og0,8og0,7zxc,8og0,8og0;i,5b0i,5ubi,8t0c,8t0c,7jz6,8t0c,8t0c;g,660o,7qeu,7a36,7qeu,8ie0,7qeu,7qeu;g,677c,7qgu,79ro,7qgu,8hfo,7qgu,7qgu;g,632o,7mro,77c0,7mro,8fi0,7mro,7mro;1u,64gi,8l2c,64gi,8l2c,6clu,8l2c,8l2c;1u,5kb0,8qmo,5osc,8qmo,75io,8qmo,8qmo;1u,4tx0,8og0,5dh0,8og0,7zxc,8og0,8og0;1u,5b0i,8t0c,5ubi,8t0c,7jz6,8t0c,8t0c;1s,6hvc,84ec,7l60,7l60,8a6i,7rs6,7l60;1s,68co,7zw0,7ed0,7ed0,85mi,7ed0,7ed0;1s,667c,7wi0,7af0,7af0,8230,7h16,7af0;i,64gi,64gi,8l2c,8l2c,64gi,8l2c,8l2c;i,52wi,5obi,8yp0,8yp0,7b1u,8yp0,8yp0;i,5e9i,6xu6,8xoc,8xoc,7i1i,8xoc,9pw0;i,550i,6fmi,90ic,90ic,7h26,90ic,9sq0;g,6hvc,7l60,7hci,7l60,8a6i,7l60,7l60;g,68co,7ed0,7cdi,7ed0,85mi,7ed0,7ed0;g,667c,7af0,79f0,7af0,8230,7af0,7af0;1u,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;1u,52wi,8yp0,5ogu,8yp0,7b1u,8yp0,8yp0;1u,5e9i,8xoc,6xu6,8xoc,7i1i,8xoc,9pw0;1u,550i,90ic,6fmi,90ic,7h26,90ic,9sq0;1s,6kjc,9660,7vco,6wm6,7xci,7wx0,7vco;1s,6fo0,938c,7rg6,6twc,7x6i,7rg6,7rg6;1s,660o,8wt0,7jeu,6jw6,7nk6,7kz6,7jeu;i,5kb0,5osc,8qmo,8qmo,5rx6,8qmo,8qmo;i,52wi,5obi,8yp0,8yp0,6b96,8yp0,8yp0;4,6w0c,8kdi,920c,920c,7jn6,920c,c4q0;4,6muc,8gqo,952o,952o,7j0c,952o,c7sc;g,6kjc,6wm6,7xu0,6wm6,7xci,7vco,7vco;g,6fo0,6twc,7vqc,6twc,7x6i,7rg6,7rg6;g,660o,6jw6,7nmo,6jw6,7nk6,7jeu,7jeu;1u,5kb0,8qmo,6jq0,8qmo,5rx6,8qmo,8qmo;1u,52wi,8yp0,6q06,8yp0,6b96,8yp0,8yp0;4,6w0c,920c,8kdi,920c,7jn6,920c,c4q0;4,6muc,952o,8gqo,952o,7j0c,952o,c7sc;1s,6j5c,9qdc,81di,6vy0,913o,81di,81di;1s,6eco,9ot0,7xj0,6sm0,8z36,7xj0,7xj0;1s,64co,9g1c,7p86,6jyo,8t8i,7p86,7p86;i,4tx0,5hic,8og0,8prc,6r7i,8og0,8og0;i,5e9i,6xu6,8xoc,8xoc,7ai6,8xoc,9pw0;4,6w0c,8kdi,920c,920c,8bdi,920c,c4q0;4,7q0c,93vo,95io,95io,7rnc,95io,cyzc;g,6j5c,6vy0,7z96,6vy0,913o,81di,81di;g,6eco,6sm0,7wiu,6sm0,8z36,7xj0,7xj0;g,64co,6jyo,7r1c,6jyo,8t8i,7p86,7p86;1u,4tx0,8prc,77xc,8prc,6r7i,8og0,8og0;1u,5e9i,8xoc,6xu6,8xoc,7ai6,8xoc,9pw0;4,6w0c,920c,8kdi,920c,8bdi,920c,c4q0;4,7q0c,95io,93vo,95io,7rnc,95io,cyzc;1s,6k5c,9mdc,839c,6zs0,924c,839c,839c;1s,6ihc,9l1c,81rc,6wlc,91f6,81rc,81rc;1s,660o,9d7c,7rm0,6odo,8t1c,7rm0,7rm0;i,5b0i,5ubi,8t0c,8ubo,6s3u,8t0c,8t0c;i,550i,6fmi,90ic,90ic,74mi,90ic,9sq0;4,6muc,8gqo,952o,952o,8aqo,952o,c7sc;4,7q0c,93vo,95io,95io,7rnc,95io,cyzc;g,6k5c,6zs0,7yq0,6zs0,924c,839c,839c;g,6ihc,6wlc,7ye0,6wlc,91f6,81rc,81rc;g,660o,6odo,7q50,6odo,8t1c,7rm0,7rm0;1u,5b0i,8ubo,6ve6,8ubo,6s3u,8t0c,8t0c;1u,550i,90ic,6ppi,90ic,74mi,90ic,9sq0;4,6muc,952o,8gqo,952o,8aqo,952o,c7sc;4,7q0c,95io,93vo,95io,7rnc,95io,cyzc;2,660o,7qeu,7qeu,7a7c,8ie0,7qeu,7qeu;2,6hvc,7l60,7l60,84ec,8a6i,7l60,7rs6;2,6kjc,7vco,7vco,9s60,7xci,7vco,7wx0;2,6j5c,81di,81di,ab8i,913o,81di,81di;2,6k5c,839c,839c,a1x6,924c,839c,839c;2,677c,7qgu,7qgu,7dli,8hfo,7qgu,7qgu;2,68co,7ed0,7ed0,7zw0,85mi,7ed0,7ed0;2,6fo0,7rg6,7rg6,9qmo,7x6i,7rg6,7rg6;2,6eco,7xoc,7xj0,aa20,8z36,7xoc,7xoc;2,6ihc,81wo,81rc,a236,91f6,81wo,81wo;2,632o,7mro,7mro,78vu,8fi0,7mro,7mro;2,667c,7af0,7af0,7wnc,8230,7af0,7h16;2,660o,7jeu,7jeu,9k10,7nk6,7jeu,7kz6;2,64co,7p86,7p86,a1ni,8t8i,7p86,7p86;2,660o,7rm0,7rm0,9t2o,8t1c,7rm0,7rm0;28,64gi,8l2c,8l2c,64gi,64gi,8l2c,8l2c;28,5kb0,8qmo,8qmo,6jq0,5rx6,8qmo,8qmo;28,4tx0,8prc,8og0,798o,6r7i,8prc,8prc;28,5b0i,8ubo,8t0c,6wpi,6s3u,8ubo,8ubo;28,64gi,8l2c,8l2c,64gi,6clu,8l2c,8l2c;28,52wi,8yp0,8yp0,6q06,6b96,8yp0,8yp0;28,5e9i,8xoc,8xoc,6dmi,6rd0,8xoc,8xoc;28,550i,90ic,90ic,6ppi,6vuu,90ic,90ic;28,5kb0,8qmo,8qmo,5kb0,753u,8qmo,8qmo;28,52wi,8yp0,8yp0,5nwi,7b1u,8yp0,8yp0;28,56ii,920c,920c,5qz6,6kn6,920c,920c;28,54m0,952o,952o,5sko,6pqo,952o,952o;28,4tx0,8og0,8og0,5hsi,7zxc,8og0,8og0;28,5e9i,8xoc,8xoc,5mi6,715u,8xoc,8xoc;28,56ii,920c,920c,5qz6,647i,920c,920c;28,544i,9420,9420,5gwc,5npo,9420,9420;28,5b0i,8t0c,8t0c,5ozi,7jz6,8t0c,8t0c;28,550i,90ic,90ic,5tq6,7bai,90ic,90ic;28,54m0,952o,952o,5oic,66wo,952o,952o;28,544i,9420,9420,5g1o,5nx0,9420,9420;2a,660o,bb0c,bb0c,bb0c,bb0c,bb0c,bb0c;2a,6hvc,bpto,bpto,bpto,bpto,bpto,bpto;2a,6kjc,bsno,bsno,bsno,bsno,bsno,bsno;2a,6j5c,brko,brko,brko,brko,brko,brko;2a,6k5c,buko,buko,buko,buko,buko,buko;2a,677c,bb8o,bb8o,bb8o,bb8o,bb8o,bb8o;2a,68co,befc,befc,befc,befc,befc,befc;2a,6fo0,bnz0,bnz0,bnz0,bnz0,bnz0,bnz0;2a,6eco,blko,blfc,blko,blfc,blko,blko;2a,6ihc,bpw0,bpqo,bpw0,bpqo,bpw0,bpw0;2a,632o,b56c,b56c,b56c,b56c,b56c,b56c;2a,667c,b88o,b88o,b88o,b88o,b88o,b88o;2a,660o,b7rc,b7rc,b7rc,b7rc,b7rc,b7rc;2a,64co,b9fc,b9fc,b9fc,b9fc,b9fc,b9fc;2a,660o,bb0c,bb0c,bb0c,bb0c,bb0c,bb0c;c,2hco,3f8o,2slc,3f8o,2slc,3f8o,3f8o;c,3880,54x0,3jhc,54x0,3jhc,54x0,54x0;c,47eo,6jeo,4diu,6jeo,4diu,6jeo,6jeo;c,3km0,5md0,3ooc,5md0,3ooc,5md0,5md0;2a,2hco,3f8o,3etu,3f8o,3etu,3f8o,3f8o;c,3b80,58o0,42kc,58o0,42kc,58o0,58o0;c,2w2o,4puc,313i,4puc,313i,4puc,4puc;c,38eo,569c,3l5o,569c,3l5o,569c,569c;2a,3880,54x0,54x0,54x0,54x0,54x0,54x0;2a,3b80,58o0,58o0,58o0,58o0,58o0,58o0;c,1uvc,2qc6,27ic,2qc6,27ic,2qc6,2qc6;3k,2d00,2vlu,2gu6,2vlu,2gu6,2vlu,2vlu;2a,47eo,6jeo,6jeo,6jeo,6jeo,6jeo,6jeo;2a,2w2o,4puc,4puc,4puc,4puc,4puc,4puc;2a,1uvc,2qc6,2qc6,2qc6,2qc6,2qc6,2qc6;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;2a,3km0,5md0,5md0,5md0,5md0,5md0,5md0;2a,38eo,569c,569c,569c,569c,569c,569c;3k,2d00,2vlu,2vlu,2vlu,2vlu,2vlu,2vlu;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;a,660o,bb0c,6g40,bb0c,bb0c,bb0c,6g40;a,6hvc,bpto,734u,bpto,bpto,bpto,734u;a,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;a,6j5c,brko,81di,brko,brko,brko,81di;a,6k5c,buko,839c,buko,buko,buko,839c;1s,3tyi,3yji,42si,3yji,42si,42si,3yji;1s,3rk0,40bu,3zru,40bu,3zru,3zru,3wxu;a,660o,bb0c,7qeu,bb0c,bb0c,bb0c,6g40;a,6hvc,bpto,7l60,bpto,bpto,bpto,734u;a,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;a,6j5c,brko,81di,brko,brko,brko,81di;a,6k5c,buko,839c,buko,buko,buko,839c;a,677c,bb8o,6gr0,bb8o,bb8o,bb8o,6gr0;a,68co,befc,6vqu,befc,befc,befc,6vqu;a,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;a,6eco,blko,7xj0,blko,blfc,blko,7xoc;a,6ihc,bpw0,81rc,bpw0,bpqo,bpw0,81wo;1s,3qt0,3ztu,3yzo,3ztu,3yzo,3yzo,3wfu;a,677c,bb8o,7qgu,bb8o,bb8o,bb8o,6gr0;a,68co,befc,7ed0,befc,befc,befc,6vqu;a,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;a,6eco,blfc,7xoc,blko,blfc,blko,7xoc;a,6ihc,bpqo,81wo,bpw0,bpqo,bpw0,81wo;a,632o,b56c,6cuo,b56c,b56c,b56c,6cuo;a,667c,b88o,6tc0,b88o,b88o,b88o,6tc0;a,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7jeu;a,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;a,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;a,632o,b56c,7mro,b56c,b56c,b56c,6cuo;a,667c,b88o,7af0,b88o,b88o,b88o,6tc0;a,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7jeu;a,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;a,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;g,64gi,64gi,64gi,6clu,64gi,64gi,6clu;g,5kb0,6jq0,5r0u,7bto,6jq0,6jq0,7bto;g,4tx0,798o,5nxc,7zxc,77xc,798o,7zxc;g,5b0i,6wpi,5nxc,7jz6,6ve6,6wpi,7jz6;1s,64gi,64gi,64gi,6clu,64gi,64gi,6clu;1s,5kb0,5r0u,6jq0,7bto,6jq0,6jq0,7bto;1s,4tx0,5u1i,798o,7zxc,77xc,798o,7zxc;1s,5b0i,5nxc,6wpi,7jz6,6ve6,6wpi,7jz6;g,64gi,64gi,64gi,6clu,64gi,64gi,64gi;g,52wi,6q06,5vr6,7hcu,6q06,6q06,7hcu;g,5e9i,6dmi,5rho,79w6,6dmi,6dmi,79w6;g,550i,6ppi,5r9c,7h26,6ppi,6ppi,7h26;1s,52wi,6b96,6q06,7hcu,6q06,6q06,7hcu;1s,5e9i,5mzu,6dmi,79w6,6dmi,6dmi,79w6;1s,550i,5vyi,6ppi,7h26,6ppi,6ppi,7h26;g,5kb0,6jq0,5r0u,7bto,6jq0,6jq0,5r0u;g,52wi,6q06,5vr6,7hcu,6q06,6q06,6b96;g,56ii,5qz6,5m0c,64qo,5nlu,5qz6,64qo;g,54m0,5sko,5ls0,670c,5sko,5sko,670c;1s,56ii,5lwu,5nlu,64qo,5nlu,5nlu,64qo;1s,54m0,5s0c,5sko,670c,5sko,5sko,670c;g,4tx0,798o,5nxc,7zxc,798o,798o,5u1i;g,5e9i,6dmi,5mzu,79w6,6dmi,6dmi,5mzu;g,56ii,5nlu,5hii,64qo,5nlu,5nlu,5lwu;g,544i,5i8i,5ef0,5vgo,5gxi,5i8i,5oxi;1s,544i,5pci,5i8i,5vgo,5i8i,5i8i,5oxi;g,5b0i,6wpi,5nxc,7jz6,6wpi,6wpi,5nxc;g,550i,6ppi,5ms0,7h26,6ppi,6ppi,5vyi;g,54m0,5sko,5hao,670c,5sko,5sko,5s0c;g,544i,5i8i,5ef0,5vgo,5gxi,5i8i,5pci;1s,6ajc,80kc,7ef0,7ef0,85li,7ky6,7ef0;1s,60vc,7wnc,76u0,76u0,7zyu,7dd6,76u0;1s,6fq0,819c,7gt0,7gt0,86oc,7gt0,7gt0;i,64gi,64gi,8l2c,8l2c,64gi,8l2c,8l2c;i,5dji,5r0u,8wpo,8wpo,70e6,8wpo,8wpo;i,505i,6yti,8v10,8v10,7mvu,8v10,9ns0;i,4zni,67du,8z10,8z10,7hti,8z10,9rs0;g,6ajc,7ef0,7aau,7ef0,85li,7ef0,7ef0;g,60vc,76u0,78gu,76u0,7zyu,76u0,76u0;g,6fq0,7gt0,7dbc,7gt0,86oc,7gt0,7gt0;1u,64gi,8l2c,64gi,8l2c,64gi,8l2c,8l2c;1u,5dji,8wpo,5p0u,8wpo,6zzc,8wpo,8wpo;1u,505i,8v10,6yti,8v10,7mvu,8v10,9ns0;1u,4zni,8z10,67du,8z10,7hti,8z10,9rs0;1s,6f7c,8uec,7hl0,6zju,8sui,7ov6,7hl0;1s,68io,8s20,7chi,6vn0,8s80,7jro,7chi;1s,6i7c,8tmo,7jm6,704u,8syc,7jm6,7jm6;i,5kb0,5osc,8qmo,8qmo,6rr6,8qmo,8qmo;i,5dji,5r0u,8wpo,8wpo,723i,8wpo,8wpo;4,6jic,8csu,91v0,91v0,88su,91v0,c3v0;4,5n0c,7vr0,963c,963c,7l0o,963c,c83c;g,6f7c,6zju,7kd6,6zju,8sui,7hl0,7hl0;g,68io,6vn0,7iiu,6vn0,8s80,7chi,7chi;g,6i7c,704u,7jto,704u,8syc,7jm6,7jm6;1u,5kb0,8qmo,6jq0,8qmo,6rr6,8qmo,8qmo;1u,5dji,8wpo,69ui,8wpo,723i,8wpo,8wpo;4,6jic,91v0,8csu,91v0,88su,91v0,c3v0;4,5n0c,963c,7vr0,963c,7l0o,963c,c83c;1s,6e5c,9ub0,8486,6tbo,8456,8486,8486;1s,69vc,9s00,80xo,6s6o,8180,80xo,80xo;1s,6c7c,9swc,82ju,6qzo,81ri,82ju,82ju;i,4tx0,5hic,8og0,8prc,5nxc,8og0,8og0;i,505i,6yti,8v10,8v10,6b1u,8v10,9ns0;4,6jic,8csu,91v0,91v0,78ki,91v0,c3v0;4,8xcc,9u20,9u20,9u20,8xcc,9u20,cz5o;g,6e5c,6tbo,8806,6tbo,81f6,8486,8486;g,69vc,6s2o,87l0,6s2o,8090,80xo,80xo;g,6c7c,6r3o,888c,6qzo,81ri,82ju,82ju;1u,4tx0,8prc,77xc,8prc,5nxc,8og0,8og0;1u,505i,8v10,6yti,8v10,6b1u,8v10,9ns0;4,6jic,91v0,8csu,91v0,78ki,91v0,c3v0;4,8xcc,9u20,9u20,9u20,8xcc,9u20,cz5o;1s,6htc,9idc,7zlc,76zo,8xh6,7zlc,7zlc;1s,69o0,9gao,7tec,74ro,8szi,7tec,7tec;1s,6hvc,9i4o,7zf0,75gc,8v9i,7zf0,7zf0;i,5b0i,5ubi,8t0c,8ubo,6ono,8t0c,8t0c;i,4zni,67du,8z10,8z10,6w1u,8z10,9rs0;4,5n0c,7vr0,963c,963c,73uo,963c,c83c;4,8xcc,9u20,9u20,9u20,9geo,9u20,cz5o;g,6htc,76zo,8580,76zo,8ur6,7zlc,7zlc;g,69o0,74ro,82m6,74ro,8s0i,7tec,7tec;g,6hvc,75gc,84p6,75gc,8v9i,7zf0,7zf0;1u,5b0i,8ubo,6ve6,8ubo,6ono,8t0c,8t0c;1u,4zni,8z10,6q1u,8z10,6w1u,8z10,9rs0;4,5n0c,963c,7vr0,963c,73uo,963c,c83c;4,8xcc,9u20,9u20,9u20,9geo,9u20,cz5o;2,6ajc,7ef0,7ef0,808c,85li,7ef0,7ky6;2,6f7c,7hl0,7hl0,9a60,8sui,7hl0,7ov6;2,6e5c,8c3u,8486,af66,8456,8c3u,8c3u;2,6htc,87h0,7zlc,a166,8xh6,87h0,87h0;2,60vc,76u0,76u0,7uzc,7zyu,76u0,7dd6;2,68io,7chi,7chi,97z0,8s80,7chi,7jro;2,69vc,8bdc,80xo,ad90,8180,8bdc,8bdc;2,69o0,83u0,7tec,9zii,8szi,83u0,83u0;2,6fq0,7gt0,7gt0,819c,86oc,7gt0,7gt0;2,6i7c,7jm6,7jm6,9bpc,8syc,7jm6,7jm6;2,6c7c,88ki,82ju,aeii,81ri,88ki,88ki;2,6hvc,85fo,7zf0,a160,8v9i,85fo,85fo;28,64gi,8l2c,8l2c,64gi,64gi,8l2c,8l2c;28,5kb0,8qmo,8qmo,6jq0,6rr6,8qmo,8qmo;28,4tx0,8prc,8og0,798o,5nxc,8prc,8prc;28,5b0i,8ubo,8t0c,6wpi,6ono,8ubo,8ubo;28,5dji,8wpo,8wpo,69ui,723i,8wpo,8wpo;28,505i,8v10,8v10,6lju,5pcu,8v10,8v10;28,4zni,8z10,8z10,6q1u,6w1u,8z10,8z10;28,5dji,8wpo,8wpo,5qko,70e6,8wpo,8wpo;28,535i,91v0,91v0,61oo,5k80,91v0,91v0;28,57wi,963c,963c,6160,5ql0,963c,963c;28,505i,8v10,8v10,5dg0,7606,8v10,8v10;28,535i,91v0,91v0,5nwi,6wmu,91v0,91v0;28,5640,94eo,94eo,5y0c,6me0,94eo,94eo;28,4zni,8z10,8z10,5qti,7c1u,8z10,8z10;28,57wi,963c,963c,5dio,6dl0,963c,963c;28,5640,94eo,94eo,5y0c,5ub0,94eo,94eo;2a,6ajc,bhno,bhno,bhno,bhno,bhno,bhno;2a,6f7c,blho,blho,blho,blho,blho,blho;2a,6e5c,bsgc,bkko,bsgc,bkko,bsgc,bsgc;2a,6htc,bwsc,bowo,bwsc,bowo,bwsc,bwsc;2a,60vc,b52o,b52o,b52o,b52o,b52o,b52o;2a,68io,besc,besc,besc,besc,besc,besc;2a,69vc,bo0c,bdko,bo0c,bdko,bo0c,bo0c;2a,69o0,bq5o,bfq0,bq5o,bfq0,bq5o,bq5o;2a,6fq0,blw0,blw0,blw0,blw0,blw0,blw0;2a,6i7c,bmqo,bmqo,bmqo,bmqo,bmqo,bmqo;2a,6c7c,bs9c,bm8o,bs9c,bm8o,bs9c,bs9c;2a,6hvc,bvuc,bpto,bvuc,bpto,bvuc,bvuc;c,2hco,3f8o,2slc,3etu,2slc,3etu,3f8o;c,3880,54x0,3jhc,54x0,3jhc,54x0,54x0;c,47eo,6jeo,4diu,6jeo,4diu,6jeo,6jeo;c,3km0,5md0,3ooc,5md0,3ooc,5md0,5md0;c,2qk0,4ju0,3lo0,4ju0,3lo0,4ju0,4ju0;c,38eo,559c,3l5o,559c,3l5o,559c,559c;c,392o,58uc,3nko,58uc,3nko,58uc,58uc;2a,2qk0,4ju0,4ju0,4ju0,4ju0,4ju0,4ju0;c,2dqo,3dxc,2pk0,3dxc,2pk0,3dxc,3dxc;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;2a,38eo,559c,559c,559c,559c,559c,559c;2a,2dqo,3dxc,3dxc,3dxc,3dxc,3dxc,3dxc;2a,1feo,20pc,20pc,1x0c,20pc,1x0c,20pc;2a,392o,58uc,58uc,58uc,58uc,58uc,58uc;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;c,1feo,20pc,1qbc,1x0c,1qbc,1x0c,20pc;a,6ajc,bhno,6x1u,bhno,bhno,bhno,6x1u;a,6f7c,blho,7hl0,blho,blho,blho,7hl0;a,6e5c,bsgc,8486,bsgc,bkko,bsgc,8c3u;a,6htc,bwsc,7zlc,bwsc,bowo,bwsc,87h0;1s,3p7i,3wyi,42ic,3wyi,42ic,42ic,3wyi;1s,3ot0,3w0u,3ywo,3w0u,3ywo,3ywo,3w0u;a,660o,bb0c,7qeu,bb0c,bb0c,bb0c,6g40;a,6ajc,bhno,7ef0,bhno,bhno,bhno,6x1u;a,6f7c,blho,7hl0,blho,blho,blho,7hl0;a,6e5c,bkko,8c3u,bsgc,bkko,bsgc,8c3u;a,6htc,bowo,87h0,bwsc,bowo,bwsc,87h0;a,60vc,b52o,6ppu,b52o,b52o,b52o,6ppu;a,68io,besc,7chi,besc,besc,besc,7chi;a,69vc,bo0c,80xo,bo0c,bdko,bo0c,8bdc;a,69o0,bq5o,7tec,bq5o,bfq0,bq5o,83u0;1s,3ok0,3vou,3ztu,3vou,3ztu,3ztu,3vou;a,677c,bb8o,7qgu,bb8o,bb8o,bb8o,6gr0;a,60vc,b52o,76u0,b52o,b52o,b52o,6ppu;a,68io,besc,7chi,besc,besc,besc,7chi;a,69vc,bdko,8bdc,bo0c,bdko,bo0c,8bdc;a,69o0,bfq0,83u0,bq5o,bfq0,bq5o,83u0;a,6fq0,blw0,70q0,blw0,blw0,blw0,70q0;a,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;a,6c7c,bs9c,82ju,bs9c,bm8o,bs9c,88ki;a,6hvc,bvuc,7zf0,bvuc,bpto,bvuc,85fo;a,632o,b56c,7mro,b56c,b56c,b56c,6cuo;a,6fq0,blw0,7gt0,blw0,blw0,blw0,70q0;a,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;a,6c7c,bm8o,88ki,bs9c,bm8o,bs9c,88ki;a,6hvc,bpto,85fo,bvuc,bpto,bvuc,85fo;g,64gi,64gi,64gi,6clu,64gi,64gi,6clu;g,5kb0,6jq0,5r0u,7bto,6jq0,6jq0,7bto;g,4tx0,798o,5u1i,7zxc,77xc,798o,7zxc;g,5b0i,6wpi,5u1i,7jz6,6ve6,6wpi,7jz6;1s,64gi,64gi,64gi,6clu,64gi,64gi,6clu;1s,5kb0,5r0u,6jq0,7bto,6jq0,6jq0,7bto;1s,4tx0,5u1i,798o,7zxc,77xc,798o,7zxc;1s,5b0i,5nxc,6wpi,7jz6,6ve6,6wpi,7jz6;g,5dji,69ui,5phi,76p6,69ui,69ui,76p6;g,505i,6lju,5umu,7eqi,6lju,6lju,7eqi;g,4zni,6q1u,5rpi,7hti,6q1u,6q1u,7hti;1s,5dji,68j6,69ui,76p6,69ui,69ui,76p6;1s,505i,5umu,6lju,7eqi,6lju,6lju,7eqi;1s,4zni,5wju,6q1u,7hti,6q1u,6q1u,7hti;g,5dji,69ui,5mjc,76p6,69ui,69ui,68j6;g,535i,61oo,5h9u,6e3o,61oo,61oo,6e3o;g,57wi,6160,5hao,6doo,6160,6160,6doo;1s,535i,5h9u,61oo,6e3o,61oo,61oo,6e3o;1s,57wi,5ql0,6160,6doo,6160,6160,6doo;g,505i,6lju,5umu,7eqi,6lju,6lju,5lqo;g,535i,61oo,5k80,6e3o,61oo,61oo,5k80;g,5640,5y0c,5pgo,5two,5dmi,5y0c,5pgo;1s,5640,5nsi,5hbi,5nsi,5hbi,5hbi,5dei;g,4zni,6q1u,5lri,7hti,6q1u,6q1u,5wju;g,57wi,6160,5hao,6doo,6160,6160,5ql0;g,5640,5hbi,5dei,5nsi,5dmi,5hbi,5nsi;1s,6njc,90ho,7p4o,71wc,8rru,7p4o,7p4o;1s,6eo0,8smo,7hii,6t30,8mvo,7hii,7hii;1s,6k00,8vmo,7l0i,6xf0,8mdc,7l0i,7l0i;i,52wi,5obi,8yp0,8yp0,6v96,8yp0,8yp0;i,5dji,5r0u,8wpo,8wpo,6pyo,8wpo,8wpo;4,5joc,7vyc,9b60,9b60,77w0,9zmo,cayo;4,6ucc,8pjc,9do0,9do0,8gjc,a24o,cdgo;g,6njc,71wc,8afc,71wc,8rru,7p4o,7p4o;g,6eo0,6t30,855c,6t30,8mvo,7hii,7hii;g,6k00,6xf0,85ac,6xf0,8mdc,7l0i,7l0i;1u,52wi,8yp0,6q06,8yp0,6v96,8yp0,8yp0;1u,5dji,8wpo,69ui,8wpo,6pyo,8wpo,8wpo;4,5joc,9b60,7vyc,9b60,77w0,9b60,cayo;4,6ucc,9do0,8pjc,9do0,8gjc,9do0,cdgo;1s,6p5c,9tgo,7uko,7uko,atp0,7uko,7uko;1s,6boo,9nt0,7l4o,7l4o,alvc,7l4o,7l4o;1s,6i00,9o4o,7pf0,7pf0,apg0,7pf0,7pf0;i,5e9i,6xu6,8xoc,8xoc,8sou,8xoc,8xoc;i,505i,6yti,8v10,8v10,8rd6,8v10,8v10;4,5joc,7vyc,9b60,9b60,93mc,9b60,cayo;4,6soc,8n40,9d5c,9d5c,8h40,9d5c,ccy0;g,6p5c,7uko,8ckc,7uko,atp0,7uko,7uko;g,6boo,7l4o,8950,7l4o,alvc,7l4o,7l4o;g,6i00,7pf0,89ec,7pf0,apg0,7pf0,7pf0;1u,5e9i,8xoc,6xu6,8xoc,8sou,8xoc,8xoc;1u,505i,8v10,6yti,8v10,8rd6,8v10,8v10;4,5joc,9b60,7vyc,9b60,93mc,9b60,cayo;4,6soc,9d5c,8n40,9d5c,8h40,9d5c,ccy0;1s,6ohc,9oqc,7zru,7hn0,9v5u,7zru,7zru;1s,6fhc,9gh0,7s26,78cc,9pdc,7s26,7s26;1s,6kjc,9j4o,7vco,7d2c,9q5c,7vco,7vco;i,550i,6fmi,90ic,90ic,7syi,90ic,90ic;i,4zni,67du,8z10,8z10,7nx0,8z10,8z10;4,6ucc,8pjc,9do0,9do0,9dvc,9do0,cdgo;4,6soc,8n40,9d5c,9d5c,7ipo,9d5c,ccy0;g,6ohc,7hn0,89tc,7hn0,9v5u,7zru,7zru;g,6fhc,78cc,83n0,78cc,9pdc,7s26,7s26;g,6kjc,7d2c,852c,7d2c,9q5c,7vco,7vco;1u,550i,90ic,6ppi,90ic,7syi,90ic,90ic;1u,4zni,8z10,6q1u,8z10,7nx0,8z10,8z10;4,6ucc,9do0,8pjc,9do0,9dvc,9do0,cdgo;4,6soc,9d5c,8n40,9d5c,7ipo,9d5c,ccy0;2,6njc,7p4o,7p4o,9i9c,8rru,7p4o,7p4o;2,6p5c,7uko,7uko,9tgo,atp0,7uko,7uko;2,6ohc,7zru,7zru,9wvo,9v5u,7zru,7zru;2,6eo0,7hii,7hii,9cjo,8mvo,7hii,7hii;2,6boo,7l4o,7l4o,9nt0,alvc,7l4o,7l4o;2,6fhc,7s26,7s26,9s1c,9pdc,7s26,7s26;2,6k00,7l0i,7l0i,9egc,8mdc,7l0i,7l0i;2,6i00,7pf0,7pf0,9o4o,apg0,7pf0,7pf0;2,6kjc,7vco,7vco,9s60,9q5c,7vco,7vco;28,52wi,8yp0,8yp0,6q06,6v96,8yp0,8yp0;28,5e9i,8xoc,8xoc,6xu6,8sou,8xoc,8xoc;28,550i,90ic,90ic,6ppi,7lsi,90ic,90ic;28,5dji,8wpo,8wpo,69ui,6pyo,8wpo,8wpo;28,505i,8v10,8v10,6yti,8rd6,8v10,8v10;28,4zni,8z10,8z10,6q1u,7nx0,8z10,8z10;28,5bri,9b60,9b60,6dw0,7ll6,9b60,9b60;28,5dm0,9do0,9do0,6j7c,7slo,9do0,9do0;28,5bri,9b60,9b60,6dw0,69yc,9b60,9zmo;28,5b80,9d5c,9d5c,5uvo,5p4o,9d5c,9d5c;28,5dm0,9do0,9do0,6j7c,7a7c,9do0,a24o;28,5b80,9d5c,9d5c,5uvo,6qao,9d5c,9d5c;2a,6njc,byjo,byjo,byjo,byjo,byjo,byjo;2a,6p5c,byyo,byyo,byyo,byyo,byyo,byyo;2a,6ohc,c14o,c14o,c14o,c14o,c14o,c14o;2a,6eo0,bkh0,bkh0,bkh0,bkh0,bkh0,bkh0;2a,6boo,bh3c,bh3c,bh3c,bh3c,bh3c,bh3c;2a,6fhc,bl8o,bl8o,bl8o,bl8o,bl8o,bl8o;2a,6k00,bp50,bp50,bp50,bp50,bp50,bp50;2a,6i00,bqn0,bqn0,bqn0,bqn0,bqn0,bqn0;2a,6kjc,bsno,bsno,bsno,bsno,bsno,bsno;c,3b80,58o0,42kc,58o0,42kc,58o0,58o0;c,2w2o,4puc,313i,4puc,313i,4puc,4puc;c,38eo,569c,3l5o,569c,3l5o,569c,569c;c,2qk0,4ju0,3lo0,4ju0,3lo0,4ju0,4ju0;c,38eo,559c,3l5o,559c,3l5o,559c,559c;c,392o,58uc,3nko,58uc,3nko,58uc,58uc;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;c,1feo,1y0c,1id0,1y0c,1id0,1y0c,1y0c;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;3k,dw00,dw00,dw00,dw00,dw00,dw00,dw00;2a,1feo,1y0c,1y0c,1y0c,1y0c,1y0c,1y0c;3k,dw00,dw00,dw00,dw00,dw00,dw00,dw00;a,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;a,6p5c,byyo,7uko,byyo,corc,byyo,7uko;a,6ohc,c14o,7zru,c14o,cqxc,c14o,7zru;1s,36b0,3yuc,49ji,3yuc,49ji,49ji,3yuc;1s,34t0,3xyi,48cu,3xyi,48cu,48cu,3xyi;a,6hvc,bpto,7l60,bpto,bpto,bpto,734u;a,6ajc,bhno,7ef0,bhno,bhno,bhno,6x1u;a,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;a,6p5c,byyo,7qr6,byyo,byyo,byyo,7qr6;a,6ohc,c14o,7zru,c14o,c14o,c14o,7zru;a,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;a,6boo,bh3c,7l4o,bh3c,c9z0,bh3c,7l4o;a,6fhc,bl8o,7s26,bl8o,ce4c,bl8o,7s26;1s,31x0,3z8o,476u,3z8o,476u,476u,3z8o;a,68co,befc,7ed0,befc,befc,befc,6vqu;a,60vc,b52o,76u0,b52o,b52o,b52o,6ppu;a,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;a,6boo,bh3c,7fp0,bh3c,bh3c,bh3c,7fp0;a,6fhc,bl8o,7s26,bl8o,bl8o,bl8o,7s26;a,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;a,6i00,bqn0,7pf0,bqn0,che0,bqn0,7pf0;a,6kjc,bsno,7vco,bsno,cjeo,bsno,7vco;a,667c,b88o,7af0,b88o,b88o,b88o,6tc0;a,6fq0,blw0,7gt0,blw0,blw0,blw0,70q0;a,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;a,6i00,bqn0,7jxi,bqn0,bqn0,bqn0,7jxi;a,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;g,52wi,6q06,6b96,7hcu,6q06,6q06,7hcu;g,5e9i,6xu6,6au6,7i1i,75u6,6xu6,7i1i;g,550i,6ppi,64yi,7h26,7hx6,6ppi,7h26;1s,64gi,6clu,64gi,6clu,64gi,64gi,6clu;1s,52wi,6b96,6q06,7hcu,6q06,6q06,7hcu;1s,5e9i,5mzu,6dmi,79w6,6dmi,6dmi,79w6;1s,550i,5vyi,6ppi,7h26,6ppi,6ppi,7h26;g,5dji,69ui,68j6,76p6,69ui,69ui,76p6;g,505i,6yti,6b1u,7mvu,7eau,6yti,7mvu;g,4zni,6q1u,62hi,7hti,7isu,6q1u,7hti;1s,5dji,68j6,69ui,76p6,69ui,69ui,76p6;1s,505i,5umu,6lju,7eqi,6lju,6lju,7eqi;1s,4zni,5wju,6q1u,7hti,6q1u,6q1u,7hti;g,5bri,6dw0,61h0,6aac,67li,6dw0,69yc;g,5dm0,6j7c,63bo,6bt0,684u,6j7c,6bt0;1s,5bri,5r0u,5j4u,5vio,5j4u,5j4u,5s8i;1s,5dm0,5f2c,5jo6,5s10,5jo6,5jo6,5s10;g,5bri,5j4u,5f9c,5vio,5j4u,5j4u,5r0u;g,5b80,5khu,5ehi,5t8u,5khu,5khu,5t8u;1s,5b80,5ehi,5khu,5t8u,5khu,5khu,5t8u;g,5dm0,5wt0,5oe0,5wvc,5jo6,5wt0,5oe0;g,5b80,5uvo,5p4o,5xy0,5khu,5uvo,5p4o;3k,6ucc,adqc,8xz0,8xz0,co26,8xz0,8xz0;3k,6pcc,a700,8rbc,8rbc,cl5u,8rbc,8rbc;3k,6s60,a69o,8plc,8plc,cizi,8plc,8plc;3k,6w0c,8kdi,920c,920c,ay50,920c,920c;3k,6jic,8csu,91v0,91v0,ay2c,91v0,91v0;3k,5joc,7vyc,9b60,9b60,ah0o,9b60,9zmo;i,5hz0,7c10,9izc,9izc,7mp0,9izc,a7g0;3k,6ucc,8xz0,9yi0,8xz0,co26,8xz0,8xz0;3k,6pcc,8rbc,9r8c,8rbc,cl5u,8rbc,8rbc;3k,6s60,8plc,9tro,8plc,cizi,8plc,8plc;3k,6w0c,920c,8kdi,920c,ay50,920c,920c;3k,6jic,91v0,8csu,91v0,ay2c,91v0,91v0;3k,5joc,9b60,7vyc,9b60,ah0o,9b60,9zmo;1u,5hz0,9izc,7c10,9izc,7mp0,9izc,a7g0;1s,6vtc,adec,9150,9150,cjg0,9150,9150;3k,6vi0,ab70,8umo,8umo,cfmo,8umo,8umo;3k,6zcc,aa2o,8tcc,8tcc,ccio,8tcc,8tcc;3k,6muc,8gqo,952o,952o,az50,952o,952o;3k,5n0c,7vr0,963c,963c,9vii,963c,963c;3k,6ucc,8pjc,9do0,9do0,bcfo,9do0,a24o;i,5hz0,7c10,9izc,9izc,77d0,9izc,a7g0;g,6vtc,9150,9y60,9150,cjg0,9150,9150;3k,6vi0,8umo,9vfc,8umo,cfmo,8umo,8umo;3k,6zcc,8tcc,9xko,8tcc,ccio,8tcc,8tcc;3k,6muc,952o,8gqo,952o,az50,952o,952o;3k,5n0c,963c,7vr0,963c,9vii,963c,963c;3k,6ucc,9do0,8pjc,9do0,bcfo,9do0,a24o;1u,5hz0,9izc,7c10,9izc,77d0,9izc,a7g0;3k,6ucc,8xz0,8xz0,adqc,co26,8xz0,8xz0;2,6vtc,9150,9150,adec,cjg0,9150,9150;3k,6pcc,8rbc,8rbc,a700,cl5u,8rbc,8rbc;3k,6vi0,8umo,8umo,ab70,cfmo,8umo,8umo;3k,6s60,8plc,8plc,a69o,cizi,8plc,8plc;3k,6zcc,8tcc,8tcc,aa2o,ccio,8tcc,8tcc;3k,6w0c,920c,920c,8kdi,ay50,920c,920c;3k,6muc,952o,952o,8gqo,arz0,952o,952o;3k,6jic,91v0,91v0,8csu,ay2c,91v0,91v0;3k,5n0c,963c,963c,7vr0,9vii,963c,963c;3k,5joc,9b60,9b60,7vyc,9yf6,9b60,9b60;3k,6ucc,9do0,9do0,8pjc,b3o0,9do0,9do0;28,5hz0,9izc,9izc,64j0,6svo,9izc,9izc;28,5hz0,9izc,9izc,64j0,6y3c,9izc,9izc;2a,6shc,c24o,c24o,c24o,c24o,c24o,c24o;2a,6vtc,c6ao,c6ao,c6ao,c6ao,c6ao,c6ao;2a,6lo0,brz0,brz0,brz0,brz0,brz0,brz0;2a,6mc0,buk0,buk0,buk0,buk0,buk0,buk0;2a,6h0o,bprc,bprc,bprc,bprc,bprc,bprc;2a,6j5c,brko,brko,brko,brko,brko,brko;c,1uvc,2qc6,27ic,2qc6,27ic,2qc6,2qc6;3k,2d00,2vlu,2gu6,2vlu,2gu6,2vlu,2vlu;c,2dqo,3dxc,2pk0,3dxc,2pk0,3dxc,3dxc;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;c,1feo,1y0c,1id0,1y0c,1id0,1y0c,1y0c;3k,rs00,rs00,rs00,rs00,rs00,rs00,rs00;3k,rs00,rs00,rs00,rs00,rs00,rs00,rs00;w,6ucc,c24o,8xz0,c24o,f1xc,c24o,8xz0;a,6vtc,c6ao,9150,c6ao,f63c,c6ao,9150;4h,3sqo,5viu,5viu,5viu,5viu,5viu,5viu;4h,3veo,5yuu,5yuu,5yuu,5yuu,5yuu,5yuu;a,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;a,6f7c,blho,7hl0,blho,blho,blho,7hl0;a,6njc,byjo,7p4o,byjo,byjo,byjo,7p4o;a,6shc,c24o,7ab0,c24o,c24o,c24o,7ab0;a,6vtc,c6ao,7e9u,c6ao,c6ao,c6ao,7e9u;w,6pcc,brz0,8rbc,brz0,etz0,brz0,8rbc;w,6vi0,buk0,8umo,buk0,ewk0,buk0,8umo;4h,3t7c,5x3o,5x3o,5x3o,5x3o,5x3o,5x3o;a,6fo0,bnz0,7rg6,bnz0,bnz0,bnz0,7rg6;a,68io,besc,7chi,besc,besc,besc,7chi;a,6eo0,bkh0,7hii,bkh0,bkh0,bkh0,7hii;a,6lo0,brz0,7516,brz0,brz0,brz0,7516;a,6mc0,buk0,7700,buk0,buk0,buk0,7700;w,6s60,bprc,8plc,bprc,esh0,bprc,8plc;w,6zcc,brko,8tcc,brko,euac,brko,8tcc;a,660o,b7rc,7jeu,b7rc,b7rc,b7rc,7jeu;a,6i7c,bmqo,7jm6,bmqo,bmqo,bmqo,7jm6;a,6k00,bp50,7l0i,bp50,bp50,bp50,7l0i;a,6h0o,bprc,70wu,bprc,bprc,bprc,70wu;a,6j5c,brko,73z6,brko,brko,brko,73z6;w,6w0c,8kdi,7dn6,7jn6,8qbi,8kdi,7jn6;w,6muc,8gqo,7d0c,7j0c,8vac,8gqo,7j0c;1s,5kb0,7bto,6jq0,7bto,6jq0,6jq0,7bto;1s,52wi,7hcu,6q06,7hcu,6q06,6q06,7hcu;1s,56ii,5lwu,5nlu,64qo,5nlu,5nlu,64qo;1s,54m0,5s0c,5sko,670c,5sko,5sko,670c;w,6jic,8csu,78ki,7pqi,93oo,8csu,7pqi;w,5n0c,7vr0,73uo,7l0o,9360,7vr0,7l0o;1s,5dji,76p6,69ui,76p6,69ui,69ui,76p6;1s,535i,5h9u,61oo,6e3o,61oo,61oo,6e3o;1s,57wi,5ql0,6160,6doo,6160,6160,6doo;w,5joc,7vyc,7880,7880,8ixi,7vyc,77w0;w,6ucc,8pjc,7ih0,7ih0,8jgu,8pjc,7ih0;1s,5bri,5r0u,5j4u,5vio,5j4u,5j4u,5vio;1s,5dm0,5f2c,5jo6,5s10,5jo6,5jo6,5s10;g,5hz0,6470,5v6o,5v6o,5j6o,6470,5v6o;1s,5hz0,5hz0,5hz0,5hz0,5hz0,5hz0,5hz0;g,5hz0,61v0,5snc,5snc,5hz0,61v0,5snc;3k,8yi0,ba00,a1d0,a1d0,ehqo,a1d0,a1d0;3k,92cc,b7eo,9wxc,9wxc,eako,9wxc,9wxc;3k,8puc,azeo,9r10,9r10,ebgu,9r10,9r10;3k,7q0c,93vo,95io,95io,bsqu,95io,95io;3k,8xcc,9u20,9u20,9u20,cw7c,9u20,9u20;3k,6soc,8n40,9d5c,9d5c,b4cc,9d5c,9d5c;i,5hz0,7c10,9izc,9izc,8ulc,9izc,9izc;3k,8yi0,a1d0,ba00,a1d0,ehqo,a1d0,a1d0;3k,92cc,9wxc,b7eo,9wxc,eako,9wxc,9wxc;3k,8puc,9r10,azeo,9r10,ebgu,9r10,9r10;3k,7q0c,95io,93vo,95io,bsqu,95io,95io;3k,8xcc,9u20,9u20,9u20,cw7c,9u20,9u20;3k,6soc,9d5c,8n40,9d5c,ayec,9d5c,9d5c;1u,5hz0,9izc,7c10,9izc,8q5c,9izc,9izc;3k,8yi0,a1d0,a1d0,ba00,ehqo,a1d0,a1d0;3k,92cc,9wxc,9wxc,b7eo,eako,9wxc,9wxc;3k,8puc,9r10,9r10,azeo,ebgu,9r10,9r10;3k,7q0c,95io,95io,93vo,bsqu,95io,95io;3k,8xcc,9u20,9u20,9u20,cw7c,9u20,9u20;3k,6soc,9d5c,9d5c,8n40,b4cc,9d5c,9d5c;28,5hz0,9izc,9izc,7c10,8ulc,9izc,9izc;2a,6tyo,c4zc,c4zc,c4zc,c4zc,c4zc,c4zc;2a,6jtc,breo,breo,breo,breo,breo,breo;2a,6k5c,buko,buko,buko,buko,buko,buko;3k,8c00,8c00,8c00,8c00,8c00,8c00,8c00;x,1feo,20pc,20pc,1qbc,20pc,1qbc,20pc;3k,dw00,dw00,dw00,dw00,dw00,dw00,dw00;3k,rs00,rs00,rs00,rs00,rs00,rs00,rs00;w,8yi0,ccv0,a1d0,ccv0,fuko,ccv0,a1d0;4h,4r2o,732o,732o,732o,732o,732o,732o;4h,4kvc,6x4c,6x4c,6x4c,6x4c,6x4c,6x4c;a,6j5c,brko,81di,brko,brko,brko,81di;a,6e5c,bsgc,8c3u,bsgc,bsgc,bsgc,8c3u;a,6p5c,byyo,7qr6,byyo,byyo,byyo,7qr6;a,6shc,c24o,7ab0,c24o,c24o,c24o,7ab0;a,6tyo,c4zc,6yio,c4zc,c4zc,c4zc,6yio;w,92cc,c1zo,9wxc,c1zo,fmac,c1zo,9wxc;4h,4keo,6y5o,6y5o,6y5o,6y5o,6y5o,6y5o;a,6eco,blko,7xoc,blko,blko,blko,7xoc;a,69vc,bo0c,8bdc,bo0c,bo0c,bo0c,8bdc;a,6boo,bh3c,7fp0,bh3c,bh3c,bh3c,7fp0;a,6lo0,brz0,7516,brz0,brz0,brz0,7516;a,6jtc,breo,6qb6,breo,breo,breo,6qb6;w,8puc,c0lc,9r10,c0lc,fo1c,c0lc,9r10;a,64co,b9fc,7p86,b9fc,b9fc,b9fc,7p86;a,6c7c,bs9c,88ki,bs9c,bs9c,bs9c,88ki;a,6i00,bqn0,7jxi,bqn0,bqn0,bqn0,7jxi;a,6h0o,bprc,70wu,bprc,bprc,bprc,70wu;a,6k5c,buko,6s56,buko,buko,buko,6s56;w,7q0c,93vo,7rnc,7rnc,9f5u,93vo,7rnc;1s,4tx0,7zxc,798o,7zxc,798o,798o,7zxc;1s,5e9i,79w6,6dmi,79w6,6dmi,6dmi,79w6;1s,56ii,64qo,5nlu,64qo,5nlu,5nlu,64qo;1s,544i,5pci,5gxi,5vgo,5i8i,5i8i,5vgo;w,8xcc,9u20,8xcc,8xcc,9gfo,9u20,8xcc;1s,505i,7eqi,6lju,7eqi,6lju,6lju,7eqi;1s,535i,6e3o,61oo,6e3o,61oo,61oo,6e3o;1s,5640,5nsi,5dmi,5nsi,5hbi,5hbi,5nsi;w,6soc,8n40,7ipo,7j1o,8ncu,8n40,7j1o;1s,5bri,5s8i,5j4u,5vio,5j4u,5j4u,5vio;1s,5b80,5ehi,5khu,5t8u,5khu,5khu,5t8u;g,5hz0,7c10,6oao,6oao,6akc,7c10,6oao;1s,5hz0,5hz0,5hz0,5hz0,5hz0,5hz0,5hz0;4h,4sqo,72dc,72dc,72dc,72dc,72dc,72dc;4h,4qeo,6ylu,6ylu,6ylu,6ylu,6ylu,6ylu;a,6k5c,buko,839c,buko,buko,buko,839c;a,6htc,bwsc,87h0,bwsc,bwsc,bwsc,87h0;a,6ohc,c14o,7zru,c14o,c14o,c14o,7zru;a,6vtc,c6ao,7e9u,c6ao,c6ao,c6ao,7e9u;a,6tyo,c4zc,6yio,c4zc,c4zc,c4zc,6yio;4h,4qqo,70ru,70ru,70ru,70ru,70ru,70ru;a,6ihc,bpw0,81wo,bpw0,bpw0,bpw0,81wo;a,69o0,bq5o,83u0,bq5o,bq5o,bq5o,83u0;a,6fhc,bl8o,7s26,bl8o,bl8o,bl8o,7s26;a,6mc0,buk0,7700,buk0,buk0,buk0,7700;a,6jtc,breo,6qb6,breo,breo,breo,6qb6;a,660o,bb0c,7rm0,bb0c,bb0c,bb0c,7rm0;a,6hvc,bvuc,85fo,bvuc,bvuc,bvuc,85fo;a,6kjc,bsno,7vco,bsno,bsno,bsno,7vco;a,6j5c,brko,73z6,brko,brko,brko,73z6;a,6k5c,buko,6s56,buko,buko,buko,6s56;1s,5b0i,7jz6,6wpi,7jz6,6wpi,6wpi,7jz6;1s,550i,7h26,6ppi,7h26,6ppi,6ppi,7h26;1s,54m0,670c,5sko,670c,5sko,5sko,670c;1s,544i,5oxi,5gxi,5vgo,5i8i,5i8i,5vgo;1s,4zni,7hti,6q1u,7hti,6q1u,6q1u,7hti;1s,57wi,6doo,6160,6doo,6160,6160,6doo;1s,5640,5dei,5dmi,5nsi,5hbi,5hbi,5nsi;1s,5dm0,5s10,5jo6,5s10,5jo6,5jo6,5s10;1s,5b80,5t8u,5khu,5t8u,5khu,5khu,5t8u;1s,5hz0,5hz0,5hz0,5hz0,5hz0,5hz0,5hz0;1,13vu;1,12su;1,w1u;1s,w1u;1s,12su;1s,13vu;1,13vu;1,yio;1,rvu;1s,v6o;1s,zdu;1s,zpu;1,12su;1,yio;1,qsu;1s,q1u;1s,13co;1s,ypu;1,w1u;1,rvu;1,qsu;1s,qsu;1s,rvu;1s,w1u;g,w1u;g,v6o;g,q1u;g,qsu;1s,iyu;1s,j9o;g,12su;g,zdu;g,13co;g,rvu;g,iyu;1s,b3o;g,13vu;g,zpu;g,ypu;g,w1u;g,j9o;g,b3o;1,13vu;1,12su;1,w1u;1s,w1u;1s,12su;1s,13vu;1,13vu;1,y7u;1,qpu;1s,vro;1s,yf0;1s,ymu;1,12su;1,y7u;1,q7u;1s,rau;1s,11au;1s,ymu;1,w1u;1,qpu;1,q7u;1s,qyu;1s,qu0;1s,v6o;g,w1u;g,vro;g,rau;g,qyu;1s,h4u;1s,iau;g,12su;g,yf0;g,11au;g,qu0;g,h4u;4,e60;g,13vu;g,ymu;g,ymu;g,v6o;g,iau;4,e60;1,13vu;1,yio;1,rvu;1s,v6o;1s,zdu;1s,zpu;1,13vu;1,y7u;1,qpu;1s,vro;1s,yf0;1s,ymu;w,2s00;w,2pc0;2,1g1u;2,1gju;2,1g4c;2,1gyc;w,2vc0;w,2rxc;2,1g1u;2,1jfi;2,1jo0;2,1jf0;w,2xxc;w,2qc0;2,1gju;2,1jfi;2,1ju0;2,1kl0;w,2wc0;w,2ro0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;w,2xo0;w,2s00;2,1gyc;2,1jf0;2,1kl0;2,1jyc;1,12su;1,yio;1,qsu;1s,q1u;1s,13co;1s,ypu;1,12su;1,y7u;1,q7u;1s,rau;1s,11au;1s,ymu;w,2s00;w,2pc0;2,1g1u;2,1gju;2,1g4c;2,1gyc;w,2p00;w,2v9c;2,1g1u;2,1hfi;2,1hr0;2,1i60;w,2rlc;w,2to0;2,1gju;2,1hfi;2,1if0;2,1ju0;w,2q00;w,2v00;2,1g4c;2,1hr0;2,1if0;2,1jac;w,2rc0;w,2vc0;2,1gyc;2,1i60;2,1ju0;2,1jac;1,w1u;1,rvu;1,qsu;1s,qsu;1s,rvu;1s,w1u;1,w1u;1,qpu;1,q7u;1s,qyu;1s,qu0;1s,v6o;w,2vc0;w,2rxc;2,1g1u;2,1jfi;2,1jo0;2,1jf0;w,2p00;w,2v9c;2,1g1u;2,1hfi;2,1hr0;2,1i60;w,2uxc;w,2w9c;2,1jfi;2,1hfi;2,1l30;2,1lf0;w,2tc0;w,2xlc;2,1jo0;2,1hr0;2,1l30;4,2bc0;w,2uo0;w,2xxc;2,1jf0;2,1i60;2,1lf0;4,2bc0;3s,w1u;3s,v6o;3s,q1u;3s,qsu;1s,iyu;1s,j9o;3s,w1u;3s,vro;3s,rau;3s,qyu;1s,h4u;1s,iau;w,2xxc;w,2qc0;2,1gju;2,1jfi;2,1ju0;2,1kl0;w,2rlc;w,2to0;2,1gju;2,1hfi;2,1if0;2,1ju0;w,2uxc;w,2w9c;2,1jfi;2,1hfi;2,1l30;2,1lf0;w,2vxc;w,2w00;2,1ju0;2,1if0;2,1l30;4,4mo0;w,2x9c;w,2wc0;2,1kl0;2,1ju0;2,1lf0;4,4mo0;3s,12su;3s,zdu;3s,13co;3s,rvu;3s,iyu;1s,b3o;3s,12su;3s,yf0;3s,11au;3s,qu0;3s,h4u;4,e60;w,2wc0;w,2ro0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;w,2q00;w,2v00;2,1g4c;2,1hr0;2,1if0;2,1jac;w,2tc0;w,2xlc;2,1jo0;2,1hr0;2,1l30;4,2bc0;w,2vxc;w,2w00;2,1ju0;2,1if0;2,1l30;4,4mo0;w,2vo0;w,2xo0;2,1jyc;2,1jac;4,2bc0;4,4mo0;3s,13vu;3s,zpu;3s,ypu;3s,w1u;3s,j9o;3s,b3o;3s,13vu;3s,ymu;3s,ymu;3s,v6o;3s,iau;4,e60;w,2xo0;w,2s00;2,1gyc;2,1jf0;2,1kl0;2,1jyc;w,2rc0;w,2vc0;2,1gyc;2,1i60;2,1ju0;2,1jac;w,2uo0;w,2xxc;2,1jf0;2,1i60;2,1lf0;4,2bc0;w,2x9c;w,2wc0;2,1kl0;2,1ju0;2,1lf0;4,4mo0;w,2vo0;w,2xo0;2,1jyc;2,1jac;4,2bc0;4,4mo0;1,13vu;1,12su;1,w1u;1s,w1u;1s,12su;1s,13vu;1,13vu;1,yio;1,rvu;1s,v6o;1s,zdu;1s,zpu;1,12su;1,yio;1,qsu;1s,q1u;1s,13co;1s,ypu;1,w1u;1,rvu;1,qsu;1s,qsu;1s,rvu;1s,w1u;g,w1u;g,v6o;g,q1u;g,qsu;1s,iyu;1s,j9o;g,12su;g,zdu;g,13co;g,rvu;g,iyu;1s,b3o;g,13vu;g,zpu;g,ypu;g,w1u;g,j9o;g,b3o;1,13vu;1,12su;1,w1u;1s,w1u;1s,12su;1s,13vu;1,13vu;1,xsu;1,qvu;1s,v1u;1s,y7u;1s,zau;1,12su;1,xsu;1,q1u;1s,qo0;1s,11ro;1s,y7u;1,w1u;1,qvu;1,q1u;1s,r00;1s,q7u;1s,vro;g,w1u;g,v1u;g,qo0;g,r00;1s,hio;1s,i3o;g,12su;g,y7u;g,11ro;g,q7u;g,hio;4,e60;g,13vu;g,zau;g,y7u;g,vro;g,i3o;4,e60;1,13vu;1,yio;1,rvu;1s,v6o;1s,zdu;1s,zpu;1,13vu;1,xsu;1,qvu;1s,v1u;1s,y7u;1s,zau;w,2s00;w,2p3c;2,1eyu;2,1gpo;2,1gyu;2,1hi0;w,2vc0;w,2ni0;2,1eyu;2,1hl0;2,1gr6;2,1iac;w,2xxc;w,2ou0;2,1gpo;2,1hl0;2,1j30;2,1ju0;w,2wc0;w,2p60;2,1gyu;2,1gr6;2,1j30;2,1j4c;w,2xo0;w,2pc0;2,1hi0;2,1iac;2,1ju0;2,1j4c;1,12su;1,yio;1,qsu;1s,q1u;1s,13co;1s,ypu;1,12su;1,xsu;1,q1u;1s,qo0;1s,11ro;1s,y7u;w,2s00;w,2p3c;2,1eyu;2,1gpo;2,1gyu;2,1hi0;w,2p00;w,2q3c;2,1eyu;2,1fmo;2,1fgu;2,1fx0;w,2rlc;w,2rfc;2,1gpo;2,1fmo;2,1hvo;2,1hjo;w,2q00;w,2rrc;2,1gyu;2,1fgu;2,1hvo;2,1hi0;w,2rc0;w,2rxc;2,1hi0;2,1fx0;2,1hjo;2,1hi0;1,w1u;1,rvu;1,qsu;1s,qsu;1s,rvu;1s,w1u;1,w1u;1,qvu;1,q1u;1s,r00;1s,q7u;1s,vro;w,2vc0;w,2ni0;2,1eyu;2,1hl0;2,1gr6;2,1iac;w,2p00;w,2q3c;2,1eyu;2,1fmo;2,1fgu;2,1fx0;w,2uxc;w,2pu0;2,1hl0;2,1fmo;2,1ix0;2,1jl0;w,2tc0;w,2q60;2,1gr6;2,1fgu;2,1ix0;4,2bc0;w,2uo0;w,2qc0;2,1iac;2,1fx0;2,1jl0;4,2bc0;3s,w1u;3s,v6o;3s,q1u;3s,qsu;1s,iyu;1s,j9o;3s,w1u;3s,v1u;3s,qo0;3s,r00;1s,hio;1s,i3o;w,2xxc;w,2ou0;2,1gpo;2,1hl0;2,1j30;2,1ju0;w,2rlc;w,2rfc;2,1gpo;2,1fmo;2,1hvo;2,1hjo;w,2uxc;w,2pu0;2,1hl0;2,1fmo;2,1ix0;2,1jl0;w,2vxc;w,2ri0;2,1j30;2,1hvo;2,1ix0;4,4mo0;w,2x9c;w,2ro0;2,1ju0;2,1hjo;2,1jl0;4,4mo0;3s,12su;3s,zdu;3s,13co;3s,rvu;3s,iyu;1s,b3o;3s,12su;3s,y7u;3s,11ro;3s,q7u;3s,hio;4,e60;w,2wc0;w,2p60;2,1gyu;2,1gr6;2,1j30;2,1j4c;w,2q00;w,2rrc;2,1gyu;2,1fgu;2,1hvo;2,1hi0;w,2tc0;w,2q60;2,1gr6;2,1fgu;2,1ix0;4,2bc0;w,2vxc;w,2ri0;2,1j30;2,1hvo;2,1ix0;4,4mo0;w,2vo0;w,2s00;2,1j4c;2,1hi0;4,2bc0;4,4mo0;3s,13vu;3s,zpu;3s,ypu;3s,w1u;3s,j9o;3s,b3o;3s,13vu;3s,zau;3s,y7u;3s,vro;3s,i3o;4,e60;w,2xo0;w,2pc0;2,1hi0;2,1iac;2,1ju0;2,1j4c;w,2rc0;w,2rxc;2,1hi0;2,1fx0;2,1hjo;2,1hi0;w,2uo0;w,2qc0;2,1iac;2,1fx0;2,1jl0;4,2bc0;w,2x9c;w,2ro0;2,1ju0;2,1hjo;2,1jl0;4,4mo0;w,2vo0;w,2s00;2,1j4c;2,1hi0;4,2bc0;4,4mo0;1,13vu;1,12su;1,w1u;1s,w1u;1s,12su;1s,13vu;1,13vu;1,y7u;1,qpu;1s,vro;1s,yf0;1s,ymu;1,12su;1,y7u;1,q7u;1s,rau;1s,11au;1s,ymu;1,w1u;1,qpu;1,q7u;1s,qyu;1s,qu0;1s,v6o;g,w1u;g,vro;g,rau;g,qyu;1s,h4u;1s,iau;g,12su;g,yf0;g,11au;g,qu0;g,h4u;1s,bro;g,13vu;g,ymu;g,ymu;g,v6o;g,iau;g,bro;1,13vu;1,12su;1,w1u;1s,w1u;1s,12su;1s,13vu;1,13vu;1,xsu;1,qvu;1s,v1u;1s,y7u;1s,zau;1,12su;1,xsu;1,q1u;1s,qo0;1s,11ro;1s,y7u;1,w1u;1,qvu;1,q1u;1s,r00;1s,q7u;1s,vro;g,w1u;g,v1u;g,qo0;g,r00;1s,hio;1s,i3o;g,12su;g,y7u;g,11ro;g,q7u;g,hio;1s,bgu;g,13vu;g,zau;g,y7u;g,vro;g,i3o;g,bgu;1,13vu;1,y7u;1,qpu;1s,vro;1s,yf0;1s,ymu;1,13vu;1,xsu;1,qvu;1s,v1u;1s,y7u;1s,zau;w,2pc0;w,2p3c;2,1fii;2,1g1u;2,1f4u;2,1g1u;w,2rxc;w,2ni0;2,1fii;2,1gc0;2,1gf0;2,1gju;w,2qc0;w,2ou0;2,1g1u;2,1gc0;2,1g36;2,1g4c;w,2ro0;w,2p60;2,1f4u;2,1gf0;2,1g36;2,1gyc;w,2s00;w,2pc0;2,1g1u;2,1gju;2,1g4c;2,1gyc;1,12su;1,y7u;1,q7u;1s,rau;1s,11au;1s,ymu;1,12su;1,xsu;1,q1u;1s,qo0;1s,11ro;1s,y7u;w,2pc0;w,2p3c;2,1fii;2,1g1u;2,1f4u;2,1g1u;w,2v9c;w,2q3c;2,1fii;2,1jao;2,1iao;2,1jfi;w,2to0;w,2rfc;2,1g1u;2,1jao;2,1imu;2,1jo0;w,2v00;w,2rrc;2,1f4u;2,1iao;2,1imu;2,1jf0;w,2vc0;w,2rxc;2,1g1u;2,1jfi;2,1jo0;2,1jf0;1,w1u;1,qpu;1,q7u;1s,qyu;1s,qu0;1s,v6o;1,w1u;1,qvu;1,q1u;1s,r00;1s,q7u;1s,vro;w,2rxc;w,2ni0;2,1fii;2,1gc0;2,1gf0;2,1gju;w,2v9c;w,2q3c;2,1fii;2,1jao;2,1iao;2,1jfi;w,2w9c;w,2pu0;2,1gc0;2,1jao;2,1jl0;2,1ju0;w,2xlc;w,2q60;2,1gf0;2,1iao;2,1jl0;4,2bc0;w,2xxc;w,2qc0;2,1gju;2,1jfi;2,1ju0;4,2bc0;3s,w1u;3s,vro;3s,rau;3s,qyu;1s,h4u;1s,iau;3s,w1u;3s,v1u;3s,qo0;3s,r00;1s,hio;1s,i3o;w,2qc0;w,2ou0;2,1g1u;2,1gc0;2,1g36;2,1g4c;w,2to0;w,2rfc;2,1g1u;2,1jao;2,1imu;2,1jo0;w,2w9c;w,2pu0;2,1gc0;2,1jao;2,1jl0;2,1ju0;w,2w00;w,2ri0;2,1g36;2,1imu;2,1jl0;4,4mo0;w,2wc0;w,2ro0;2,1g4c;2,1jo0;2,1ju0;4,4mo0;3s,12su;3s,yf0;3s,11au;3s,qu0;3s,h4u;1s,bro;3s,12su;3s,y7u;3s,11ro;3s,q7u;3s,hio;1s,bgu;w,2ro0;w,2p60;2,1f4u;2,1gf0;2,1g36;2,1gyc;w,2v00;w,2rrc;2,1f4u;2,1iao;2,1imu;2,1jf0;w,2xlc;w,2q60;2,1gf0;2,1iao;2,1jl0;4,2bc0;w,2w00;w,2ri0;2,1g36;2,1imu;2,1jl0;4,4mo0;w,2xo0;w,2s00;2,1gyc;2,1jf0;4,2bc0;4,4mo0;3s,13vu;3s,ymu;3s,ymu;3s,v6o;3s,iau;3s,bro;3s,13vu;3s,zau;3s,y7u;3s,vro;3s,i3o;3s,bgu;w,2s00;w,2pc0;2,1g1u;2,1gju;2,1g4c;2,1gyc;w,2vc0;w,2rxc;2,1g1u;2,1jfi;2,1jo0;2,1jf0;w,2xxc;w,2qc0;2,1gju;2,1jfi;2,1ju0;4,2bc0;w,2wc0;w,2ro0;2,1g4c;2,1jo0;2,1ju0;4,4mo0;w,2xo0;w,2s00;2,1gyc;2,1jf0;4,2bc0;4,4mo0;4,cuyo;1,yio;1,rvu;1s,v6o;1s,zdu;1s,zpu;4,cuyo;1,y7u;1,qpu;1s,vro;1s,yf0;1s,ymu;1,yio;1,y7u;3s,1g1u;3s,1gju;3s,1g4c;3s,1gyc;1,rvu;1,qpu;3s,1g1u;3s,1jfi;3s,1jo0;3s,1jf0;g,v6o;g,vro;3s,1gju;3s,1jfi;3s,1ju0;3s,1kl0;g,zdu;g,yf0;3s,1g4c;3s,1jo0;3s,1ju0;3s,1jyc;g,zpu;g,ymu;3s,1gyc;3s,1jf0;3s,1kl0;3s,1jyc;4,cuyo;1,yio;1,rvu;1s,v6o;1s,zdu;1s,zpu;4,cuyo;1,xsu;1,qvu;1s,v1u;1s,y7u;1s,zau;1,yio;1,xsu;3s,1eyu;3s,1gpo;3s,1gyu;3s,1hi0;1,rvu;1,qvu;3s,1eyu;3s,1hl0;3s,1gr6;3s,1iac;g,v6o;g,v1u;3s,1gpo;3s,1hl0;3s,1j30;3s,1ju0;g,zdu;g,y7u;3s,1gyu;3s,1gr6;3s,1j30;3s,1j4c;g,zpu;g,zau;3s,1hi0;3s,1iac;3s,1ju0;3s,1j4c;4,cuyo;1,y7u;1,qpu;1s,vro;1s,yf0;1s,ymu;4,cuyo;1,xsu;1,qvu;1s,v1u;1s,y7u;1s,zau;1,y7u;1,xsu;3s,1fii;3s,1g1u;3s,1f4u;3s,1g1u;1,qpu;1,qvu;3s,1fii;3s,1gc0;3s,1gf0;3s,1gju;g,vro;g,v1u;3s,1g1u;3s,1gc0;3s,1g36;3s,1g4c;g,yf0;g,y7u;3s,1f4u;3s,1gf0;3s,1g36;3s,1gyc;g,ymu;g,zau;3s,1g1u;3s,1gju;3s,1g4c;3s,1gyc;1,yio;1,y7u;g,1g1u;g,1gju;g,1g4c;g,1gyc;1,yio;1,xsu;g,1eyu;g,1gpo;g,1gyu;g,1hi0;1,y7u;1,xsu;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1g1u;1s,1eyu;1s,1fii;1,1fii;1,1eyu;1,1g1u;1s,1gju;1s,1gpo;1s,1g1u;1,1fii;1,1gau;1,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;1,1eyu;1,1gau;1,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;1,1g1u;1,1hi0;1,1gyc;1,rvu;1,qpu;g,1g1u;g,1jfi;g,1jo0;g,1jf0;1,rvu;1,qvu;g,1eyu;g,1hl0;g,1gr6;g,1iac;1,qpu;1,qvu;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1g1u;1s,1eyu;1s,1fii;1,1fii;1,1eyu;1,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;1,1fii;1,1ir0;1,1j30;1s,1jo0;1s,1gr6;1s,1gf0;1,1eyu;1,1ir0;4,2bc0;1s,1jf0;1s,1iac;1s,1gju;1,1g1u;1,1j30;4,2bc0;3s,v6o;3s,vro;g,1gju;g,1jfi;g,1ju0;g,1kl0;3s,v6o;3s,v1u;g,1gpo;g,1hl0;g,1j30;g,1ju0;3s,vro;3s,v1u;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1gju;1s,1gpo;1s,1g1u;1,1fii;1,1gau;1,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;1,1fii;1,1ir0;1,1j30;1s,1ju0;1s,1j30;1s,1g36;1,1gau;1,1ir0;4,4mo0;1s,1kl0;1s,1ju0;1s,1g4c;1,1hi0;1,1j30;4,4mo0;3s,zdu;3s,yf0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;3s,zdu;3s,y7u;g,1gyu;g,1gr6;g,1j30;g,1j4c;3s,yf0;3s,y7u;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;1,1eyu;1,1gau;1,1gyc;1s,1jo0;1s,1gr6;1s,1gf0;1,1eyu;1,1ir0;4,2bc0;1s,1ju0;1s,1j30;1s,1g36;1,1gau;1,1ir0;4,4mo0;1s,1jyc;1s,1j4c;1s,1gyc;1,1gyc;4,2bc0;4,4mo0;3s,zpu;3s,ymu;g,1gyc;g,1jf0;g,1kl0;g,1jyc;3s,zpu;3s,zau;g,1hi0;g,1iac;g,1ju0;g,1j4c;3s,ymu;3s,zau;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;1,1g1u;1,1hi0;1,1gyc;1s,1jf0;1s,1iac;1s,1gju;1,1g1u;1,1j30;4,2bc0;1s,1kl0;1s,1ju0;1s,1g4c;1,1hi0;1,1j30;4,4mo0;1s,1jyc;1s,1j4c;1s,1gyc;1,1gyc;4,2bc0;4,4mo0;4,cuyo;1,yio;1,qsu;1s,q1u;1s,13co;1s,ypu;4,cuyo;1,y7u;1,q7u;1s,rau;1s,11au;1s,ymu;1,yio;1,y7u;3s,1g1u;3s,1gju;3s,1g4c;3s,1gyc;1,qsu;1,q7u;3s,1g1u;3s,1hfi;3s,1hr0;3s,1i60;g,q1u;g,rau;3s,1gju;3s,1hfi;3s,1if0;3s,1ju0;g,13co;g,11au;3s,1g4c;3s,1hr0;3s,1if0;3s,1jac;g,ypu;g,ymu;3s,1gyc;3s,1i60;3s,1ju0;3s,1jac;4,cuyo;1,yio;1,qsu;1s,q1u;1s,13co;1s,ypu;4,cuyo;1,xsu;1,q1u;1s,qo0;1s,11ro;1s,y7u;1,yio;1,xsu;3s,1eyu;3s,1gpo;3s,1gyu;3s,1hi0;1,qsu;1,q1u;3s,1eyu;3s,1fmo;3s,1fgu;3s,1fx0;g,q1u;g,qo0;3s,1gpo;3s,1fmo;3s,1hvo;3s,1hjo;g,13co;g,11ro;3s,1gyu;3s,1fgu;3s,1hvo;3s,1hi0;g,ypu;g,y7u;3s,1hi0;3s,1fx0;3s,1hjo;3s,1hi0;4,cuyo;1,y7u;1,q7u;1s,rau;1s,11au;1s,ymu;4,cuyo;1,xsu;1,q1u;1s,qo0;1s,11ro;1s,y7u;1,y7u;1,xsu;3s,1fii;3s,1g1u;3s,1f4u;3s,1g1u;1,q7u;1,q1u;3s,1fii;3s,1jao;3s,1iao;3s,1jfi;g,rau;g,qo0;3s,1g1u;3s,1jao;3s,1imu;3s,1jo0;g,11au;g,11ro;3s,1f4u;3s,1iao;3s,1imu;3s,1jf0;g,ymu;g,y7u;3s,1g1u;3s,1jfi;3s,1jo0;3s,1jf0;1,yio;1,y7u;g,1g1u;g,1gju;g,1g4c;g,1gyc;1,yio;1,xsu;g,1eyu;g,1gpo;g,1gyu;g,1hi0;1,y7u;1,xsu;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1g1u;1s,1eyu;1s,1fii;1,1fii;1,1eyu;1,1g1u;1s,1gju;1s,1gpo;1s,1g1u;1,1fii;1,1gau;1,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;1,1eyu;1,1gau;1,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;1,1g1u;1,1hi0;1,1gyc;1,qsu;1,q7u;g,1g1u;g,1hfi;g,1hr0;g,1i60;1,qsu;1,q1u;g,1eyu;g,1fmo;g,1fgu;g,1fx0;1,q7u;1,q1u;g,1fii;g,1jao;g,1iao;g,1jfi;1s,1g1u;1s,1eyu;1s,1fii;1,1fii;1,1eyu;1,1g1u;1s,1hfi;1s,1fmo;1s,1jao;1,1fii;1,1hyo;1,1ivo;1s,1hr0;1s,1fgu;1s,1iao;1,1eyu;1,1hyo;4,2bc0;1s,1i60;1s,1fx0;1s,1jfi;1,1g1u;1,1ivo;4,2bc0;3s,q1u;3s,rau;g,1gju;g,1hfi;g,1if0;g,1ju0;3s,q1u;3s,qo0;g,1gpo;g,1fmo;g,1hvo;g,1hjo;3s,rau;3s,qo0;g,1g1u;g,1jao;g,1imu;g,1jo0;1s,1gju;1s,1gpo;1s,1g1u;1,1fii;1,1gau;1,1hi0;1s,1hfi;1s,1fmo;1s,1jao;1,1fii;1,1hyo;1,1ivo;1s,1if0;1s,1hvo;1s,1imu;1,1gau;1,1hyo;4,4mo0;1s,1ju0;1s,1hjo;1s,1jo0;1,1hi0;1,1ivo;4,4mo0;3s,13co;3s,11au;g,1g4c;g,1hr0;g,1if0;g,1jac;3s,13co;3s,11ro;g,1gyu;g,1fgu;g,1hvo;g,1hi0;3s,11au;3s,11ro;g,1f4u;g,1iao;g,1imu;g,1jf0;1s,1g4c;1s,1gyu;1s,1f4u;1,1eyu;1,1gau;1,1gyc;1s,1hr0;1s,1fgu;1s,1iao;1,1eyu;1,1hyo;4,2bc0;1s,1if0;1s,1hvo;1s,1imu;1,1gau;1,1hyo;4,4mo0;1s,1jac;1s,1hi0;1s,1jf0;1,1gyc;4,2bc0;4,4mo0;3s,ypu;3s,ymu;g,1gyc;g,1i60;g,1ju0;g,1jac;3s,ypu;3s,y7u;g,1hi0;g,1fx0;g,1hjo;g,1hi0;3s,ymu;3s,y7u;g,1g1u;g,1jfi;g,1jo0;g,1jf0;1s,1gyc;1s,1hi0;1s,1g1u;1,1g1u;1,1hi0;1,1gyc;1s,1i60;1s,1fx0;1s,1jfi;1,1g1u;1,1ivo;4,2bc0;1s,1ju0;1s,1hjo;1s,1jo0;1,1hi0;1,1ivo;4,4mo0;1s,1jac;1s,1hi0;1s,1jf0;1,1gyc;4,2bc0;4,4mo0;4,cuyo;1,rvu;4,xc0;1s,qsu;w,tro;1s,w1u;4,cuyo;4,xc0;1,q7u;1s,qyu;w,sro;1s,v6o;1,rvu;4,xc0;3s,1g1u;3s,1jfi;3s,1jo0;3s,1jf0;4,xc0;1,q7u;3s,1g1u;3s,1hfi;3s,1hr0;3s,1i60;g,qsu;g,qyu;3s,1jfi;3s,1hfi;3s,1l30;3s,1lf0;g,rvu;g,qu0;3s,1jo0;3s,1hr0;3s,1l30;3s,1ljc;g,w1u;g,v6o;3s,1jf0;3s,1i60;3s,1lf0;3s,1ljc;4,cuyo;1,rvu;4,xc0;1s,qsu;w,tro;1s,w1u;4,cuyo;1,qvu;1,q1u;1s,r00;w,tro;1s,vro;1,rvu;1,qvu;3s,1eyu;3s,1hl0;3s,1gr6;3s,1iac;4,xc0;1,q1u;3s,1eyu;3s,1fmo;3s,1fgu;3s,1fx0;g,qsu;g,r00;3s,1hl0;3s,1fmo;3s,1ix0;3s,1jl0;g,rvu;g,q7u;3s,1gr6;3s,1fgu;3s,1ix0;3s,1igc;g,w1u;g,vro;3s,1iac;3s,1fx0;3s,1jl0;3s,1igc;4,cuyo;4,xc0;1,q7u;1s,qyu;w,sro;1s,v6o;4,cuyo;1,qvu;1,q1u;1s,r00;w,tro;1s,vro;4,xc0;1,qvu;3s,1fii;3s,1gc0;3s,1gf0;3s,1gju;1,q7u;1,q1u;3s,1fii;3s,1jao;3s,1iao;3s,1jfi;g,qyu;g,r00;3s,1gc0;3s,1jao;3s,1jl0;3s,1ju0;g,qu0;g,q7u;3s,1gf0;3s,1iao;3s,1jl0;3s,1kl0;g,v6o;g,vro;3s,1gju;3s,1jfi;3s,1ju0;3s,1kl0;1,rvu;4,xc0;g,1g1u;g,1jfi;g,1jo0;g,1jf0;1,rvu;1,qvu;g,1eyu;g,1hl0;g,1gr6;g,1iac;4,xc0;1,qvu;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1g1u;1s,1eyu;1s,1fii;1,1fii;1,1eyu;1,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;1,1fii;1,1ir0;1,1j30;1s,1jo0;1s,1gr6;1s,1gf0;1,1eyu;1,1ir0;1,1j4c;1s,1jf0;1s,1iac;1s,1gju;1,1g1u;1,1j30;1,1j4c;4,xc0;1,q7u;g,1g1u;g,1hfi;g,1hr0;g,1i60;4,xc0;1,q1u;g,1eyu;g,1fmo;g,1fgu;g,1fx0;1,q7u;1,q1u;g,1fii;g,1jao;g,1iao;g,1jfi;1s,1g1u;1s,1eyu;1s,1fii;1,1fii;1,1eyu;1,1g1u;1s,1hfi;1s,1fmo;1s,1jao;1,1fii;1,1hyo;1,1ivo;1s,1hr0;1s,1fgu;1s,1iao;1,1eyu;1,1hyo;1,1il0;1s,1i60;1s,1fx0;1s,1jfi;1,1g1u;1,1ivo;1,1il0;3s,qsu;3s,qyu;g,1jfi;g,1hfi;g,1l30;g,1lf0;3s,qsu;3s,r00;g,1hl0;g,1fmo;g,1ix0;g,1jl0;3s,qyu;3s,r00;g,1gc0;g,1jao;g,1jl0;g,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;1,1fii;1,1ir0;1,1j30;1s,1hfi;1s,1fmo;1s,1jao;1,1fii;1,1hyo;1,1ivo;1s,1l30;1s,1ix0;1s,1jl0;1,1ir0;1,1hyo;4,4mo0;1s,1lf0;1s,1jl0;1s,1ju0;1,1j30;1,1ivo;4,4mo0;3s,rvu;3s,qu0;g,1jo0;g,1hr0;g,1l30;g,1ljc;3s,rvu;3s,q7u;g,1gr6;g,1fgu;g,1ix0;g,1igc;3s,qu0;3s,q7u;g,1gf0;g,1iao;g,1jl0;g,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;1,1eyu;1,1ir0;1,1j4c;1s,1hr0;1s,1fgu;1s,1iao;1,1eyu;1,1hyo;1,1il0;1s,1l30;1s,1ix0;1s,1jl0;1,1ir0;1,1hyo;4,4mo0;1s,1ljc;1s,1igc;1s,1kl0;1,1j4c;1,1il0;4,4mo0;3s,w1u;3s,v6o;g,1jf0;g,1i60;g,1lf0;g,1ljc;3s,w1u;3s,vro;g,1iac;g,1fx0;g,1jl0;g,1igc;3s,v6o;3s,vro;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1jf0;1s,1iac;1s,1gju;1,1g1u;1,1j30;1,1j4c;1s,1i60;1s,1fx0;1s,1jfi;1,1g1u;1,1ivo;1,1il0;1s,1lf0;1s,1jl0;1s,1ju0;1,1j30;1,1ivo;4,4mo0;1s,1ljc;1s,1igc;1s,1kl0;1,1j4c;1,1il0;4,4mo0;4,cuyo;2,v6o;4,xc0;2,qsu;w,1blo;w,1bu0;4,cuyo;4,xc0;2,rau;2,qyu;w,1c60;w,1clo;2,v6o;4,xc0;3s,1gju;3s,1jfi;3s,1ju0;3s,1kl0;4,xc0;2,rau;3s,1gju;3s,1hfi;3s,1if0;3s,1ju0;2,qsu;2,qyu;3s,1jfi;3s,1hfi;3s,1l30;3s,1lf0;g,iyu;g,h4u;3s,1ju0;3s,1if0;3s,1l30;3s,1mvc;g,j9o;g,iau;3s,1kl0;3s,1ju0;3s,1lf0;3s,1mvc;4,cuyo;2,v6o;4,xc0;2,qsu;w,1blo;w,1bu0;4,cuyo;2,v1u;2,qo0;2,r00;w,1b60;w,1d60;2,v6o;2,v1u;3s,1gpo;3s,1hl0;3s,1j30;3s,1ju0;4,xc0;2,qo0;3s,1gpo;3s,1fmo;3s,1hvo;3s,1hjo;2,qsu;2,r00;3s,1hl0;3s,1fmo;3s,1ix0;3s,1jl0;g,iyu;g,hio;3s,1j30;3s,1hvo;3s,1ix0;3s,1ko0;g,j9o;g,i3o;3s,1ju0;3s,1hjo;3s,1jl0;3s,1ko0;4,cuyo;4,xc0;2,rau;2,qyu;w,1c60;w,1clo;4,cuyo;2,v1u;2,qo0;2,r00;w,1b60;w,1d60;4,xc0;2,v1u;3s,1g1u;3s,1gc0;3s,1g36;3s,1g4c;2,rau;2,qo0;3s,1g1u;3s,1jao;3s,1imu;3s,1jo0;2,qyu;2,r00;3s,1gc0;3s,1jao;3s,1jl0;3s,1ju0;g,h4u;g,hio;3s,1g36;3s,1imu;3s,1jl0;3s,1jyc;g,iau;g,i3o;3s,1g4c;3s,1jo0;3s,1ju0;3s,1jyc;2,v6o;4,xc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;2,v6o;2,v1u;g,1gpo;g,1hl0;g,1j30;g,1ju0;4,xc0;2,v1u;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1gju;1s,1gpo;1s,1g1u;1,1fii;1,1gau;1,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;1,1fii;1,1ir0;1,1j30;1s,1ju0;1s,1j30;1s,1g36;1,1gau;1,1ir0;1,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;1,1hi0;1,1j30;1,1jyc;4,xc0;2,rau;g,1gju;g,1hfi;g,1if0;g,1ju0;4,xc0;2,qo0;g,1gpo;g,1fmo;g,1hvo;g,1hjo;2,rau;2,qo0;g,1g1u;g,1jao;g,1imu;g,1jo0;1s,1gju;1s,1gpo;1s,1g1u;1,1fii;1,1gau;1,1hi0;1s,1hfi;1s,1fmo;1s,1jao;1,1fii;1,1hyo;1,1ivo;1s,1if0;1s,1hvo;1s,1imu;1,1gau;1,1hyo;1,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;1,1hi0;1,1ivo;1,1ko0;2,qsu;2,qyu;g,1jfi;g,1hfi;g,1l30;g,1lf0;2,qsu;2,r00;g,1hl0;g,1fmo;g,1ix0;g,1jl0;2,qyu;2,r00;g,1gc0;g,1jao;g,1jl0;g,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;1,1fii;1,1ir0;1,1j30;1s,1hfi;1s,1fmo;1s,1jao;1,1fii;1,1hyo;1,1ivo;1s,1l30;1s,1ix0;1s,1jl0;1,1ir0;1,1hyo;4,2bc0;1s,1lf0;1s,1jl0;1s,1ju0;1,1j30;1,1ivo;4,2bc0;3s,iyu;3s,h4u;g,1ju0;g,1if0;g,1l30;g,1mvc;3s,iyu;3s,hio;g,1j30;g,1hvo;g,1ix0;g,1ko0;3s,h4u;3s,hio;g,1g36;g,1imu;g,1jl0;g,1jyc;1s,1ju0;1s,1j30;1s,1g36;1,1gau;1,1ir0;1,1jyc;1s,1if0;1s,1hvo;1s,1imu;1,1gau;1,1hyo;1,1ko0;1s,1l30;1s,1ix0;1s,1jl0;1,1ir0;1,1hyo;4,2bc0;1s,1mvc;1s,1ko0;1s,1jyc;1,1jyc;1,1ko0;4,2bc0;3s,j9o;3s,iau;g,1kl0;g,1ju0;g,1lf0;g,1mvc;3s,j9o;3s,i3o;g,1ju0;g,1hjo;g,1jl0;g,1ko0;3s,iau;3s,i3o;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;1,1hi0;1,1j30;1,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;1,1hi0;1,1ivo;1,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;1,1j30;1,1ivo;4,2bc0;1s,1mvc;1s,1ko0;1s,1jyc;1,1jyc;1,1ko0;4,2bc0;4,cuyo;2,zdu;2,13co;w,tro;w,1blo;w,1s60;4,cuyo;2,yf0;2,11au;w,sro;w,1c60;w,1po0;2,zdu;2,yf0;3s,1g4c;3s,1jo0;3s,1ju0;3s,1jyc;2,13co;2,11au;3s,1g4c;3s,1hr0;3s,1if0;w,1r60;2,rvu;2,qu0;3s,1jo0;3s,1hr0;3s,1l30;3s,1ljc;2,iyu;2,h4u;3s,1ju0;3s,1if0;3s,1l30;3s,1mvc;g,b3o;g,bro;3s,1jyc;3s,1jac;3s,1ljc;3s,1mvc;4,cuyo;2,zdu;2,13co;w,tro;w,1blo;w,1s60;4,cuyo;2,y7u;2,11ro;w,tro;w,1b60;w,1qfo;2,zdu;2,y7u;3s,1gyu;3s,1gr6;3s,1j30;w,1j9o;2,13co;2,11ro;3s,1gyu;3s,1fgu;3s,1hvo;w,1rxo;2,rvu;2,q7u;3s,1gr6;3s,1fgu;3s,1ix0;3s,1igc;2,iyu;2,hio;3s,1j30;3s,1hvo;3s,1ix0;3s,1ko0;g,b3o;g,bgu;3s,1j4c;3s,1hi0;3s,1igc;3s,1ko0;4,cuyo;2,yf0;2,11au;w,sro;w,1c60;w,1po0;4,cuyo;2,y7u;2,11ro;w,tro;w,1b60;w,1qfo;2,yf0;2,y7u;3s,1f4u;3s,1gf0;3s,1g36;3s,1gyc;2,11au;2,11ro;3s,1f4u;3s,1iao;3s,1imu;w,1pfo;2,qu0;2,q7u;3s,1gf0;3s,1iao;3s,1jl0;3s,1kl0;2,h4u;2,hio;3s,1g36;3s,1imu;3s,1jl0;3s,1jyc;g,bro;g,bgu;3s,1gyc;3s,1jf0;3s,1kl0;3s,1jyc;2,zdu;2,yf0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;2,zdu;2,y7u;g,1gyu;g,1gr6;g,1j30;w,1j9o;2,yf0;2,y7u;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;1,1eyu;1,1gau;w,1i9o;1s,1jo0;1s,1gr6;1s,1gf0;1,1eyu;1,1ir0;1,1j4c;1s,1ju0;1s,1j30;1s,1g36;1,1gau;1,1ir0;1,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;1,1gyc;1,1j4c;1,1jyc;2,13co;2,11au;g,1g4c;g,1hr0;g,1if0;w,1r60;2,13co;2,11ro;g,1gyu;g,1fgu;g,1hvo;w,1rxo;2,11au;2,11ro;g,1f4u;g,1iao;g,1imu;w,1pfo;1s,1g4c;1s,1gyu;1s,1f4u;1,1eyu;1,1gau;w,1i9o;1s,1hr0;1s,1fgu;1s,1iao;1,1eyu;1,1hyo;1,1il0;1s,1if0;1s,1hvo;1s,1imu;1,1gau;1,1hyo;1,1ko0;1s,1jac;1s,1hi0;1s,1jf0;1,1gyc;1,1il0;1,1ko0;2,rvu;2,qu0;g,1jo0;g,1hr0;g,1l30;g,1ljc;2,rvu;2,q7u;g,1gr6;g,1fgu;g,1ix0;g,1igc;2,qu0;2,q7u;g,1gf0;g,1iao;g,1jl0;g,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;1,1eyu;1,1ir0;1,1j4c;1s,1hr0;1s,1fgu;1s,1iao;1,1eyu;1,1hyo;1,1il0;1s,1l30;1s,1ix0;1s,1jl0;1,1ir0;1,1hyo;1,1mvc;1s,1ljc;1s,1igc;1s,1kl0;1,1j4c;1,1il0;1,1mvc;2,iyu;2,h4u;g,1ju0;g,1if0;g,1l30;g,1mvc;2,iyu;2,hio;g,1j30;g,1hvo;g,1ix0;g,1ko0;2,h4u;2,hio;g,1g36;g,1imu;g,1jl0;g,1jyc;1s,1ju0;1s,1j30;1s,1g36;1,1gau;1,1ir0;1,1jyc;1s,1if0;1s,1hvo;1s,1imu;1,1gau;1,1hyo;1,1ko0;1s,1l30;1s,1ix0;1s,1jl0;1,1ir0;1,1hyo;1,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;1,1jyc;1,1ko0;1,1mvc;3s,b3o;3s,bro;g,1jyc;g,1jac;g,1ljc;g,1mvc;3s,b3o;3s,bgu;g,1j4c;g,1hi0;g,1igc;g,1ko0;3s,bro;3s,bgu;g,1gyc;g,1jf0;g,1kl0;g,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;1,1gyc;1,1j4c;1,1jyc;1s,1jac;1s,1hi0;1s,1jf0;1,1gyc;1,1il0;1,1ko0;1s,1ljc;1s,1igc;1s,1kl0;1,1j4c;1,1il0;1,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;1,1jyc;1,1ko0;1,1mvc;4,cuyo;2,zpu;2,ypu;2,w1u;w,1bu0;w,1s60;4,cuyo;2,ymu;2,ymu;2,v6o;w,1clo;w,1po0;2,zpu;2,ymu;3s,1gyc;3s,1jf0;3s,1kl0;3s,1jyc;2,ypu;2,ymu;3s,1gyc;3s,1i60;3s,1ju0;w,1r60;2,w1u;2,v6o;3s,1jf0;3s,1i60;3s,1lf0;3s,1ljc;2,j9o;2,iau;3s,1kl0;3s,1ju0;3s,1lf0;3s,1mvc;4,bo0;2,bro;3s,1jyc;3s,1jac;3s,1ljc;3s,1mvc;4,cuyo;2,zpu;2,ypu;2,w1u;w,1bu0;w,1s60;4,cuyo;2,zau;2,y7u;2,vro;w,1d60;w,1qfo;2,zpu;2,zau;3s,1hi0;3s,1iac;3s,1ju0;w,1j9o;2,ypu;2,y7u;3s,1hi0;3s,1fx0;3s,1hjo;w,1rxo;2,w1u;2,vro;3s,1iac;3s,1fx0;3s,1jl0;3s,1igc;2,j9o;2,i3o;3s,1ju0;3s,1hjo;3s,1jl0;3s,1ko0;4,bo0;2,bgu;3s,1j4c;3s,1hi0;3s,1igc;3s,1ko0;4,cuyo;2,ymu;2,ymu;2,v6o;w,1clo;w,1po0;4,cuyo;2,zau;2,y7u;2,vro;w,1d60;w,1qfo;2,ymu;2,zau;3s,1g1u;3s,1gju;3s,1g4c;3s,1gyc;2,ymu;2,y7u;3s,1g1u;3s,1jfi;3s,1jo0;w,1pfo;2,v6o;2,vro;3s,1gju;3s,1jfi;3s,1ju0;3s,1kl0;2,iau;2,i3o;3s,1g4c;3s,1jo0;3s,1ju0;3s,1jyc;2,bro;2,bgu;3s,1gyc;3s,1jf0;3s,1kl0;3s,1jyc;2,zpu;2,ymu;g,1gyc;g,1jf0;g,1kl0;g,1jyc;2,zpu;2,zau;g,1hi0;g,1iac;g,1ju0;w,1j9o;2,ymu;2,zau;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;1,1g1u;1,1hi0;w,1i9o;1s,1jf0;1s,1iac;1s,1gju;1,1g1u;1,1j30;1,1j4c;1s,1kl0;1s,1ju0;1s,1g4c;1,1hi0;1,1j30;1,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;1,1gyc;1,1j4c;1,1jyc;2,ypu;2,ymu;g,1gyc;g,1i60;g,1ju0;w,1r60;2,ypu;2,y7u;g,1hi0;g,1fx0;g,1hjo;w,1rxo;2,ymu;2,y7u;g,1g1u;g,1jfi;g,1jo0;w,1pfo;1s,1gyc;1s,1hi0;1s,1g1u;1,1g1u;1,1hi0;w,1i9o;1s,1i60;1s,1fx0;1s,1jfi;1,1g1u;1,1ivo;1,1il0;1s,1ju0;1s,1hjo;1s,1jo0;1,1hi0;1,1ivo;1,1ko0;1s,1jac;1s,1hi0;1s,1jf0;1,1gyc;1,1il0;1,1ko0;2,w1u;2,v6o;g,1jf0;g,1i60;g,1lf0;g,1ljc;2,w1u;2,vro;g,1iac;g,1fx0;g,1jl0;g,1igc;2,v6o;2,vro;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1jf0;1s,1iac;1s,1gju;1,1g1u;1,1j30;1,1j4c;1s,1i60;1s,1fx0;1s,1jfi;1,1g1u;1,1ivo;1,1il0;1s,1lf0;1s,1jl0;1s,1ju0;1,1j30;1,1ivo;1,1mvc;1s,1ljc;1s,1igc;1s,1kl0;1,1j4c;1,1il0;1,1mvc;2,j9o;2,iau;g,1kl0;g,1ju0;g,1lf0;g,1mvc;2,j9o;2,i3o;g,1ju0;g,1hjo;g,1jl0;g,1ko0;2,iau;2,i3o;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;1,1hi0;1,1j30;1,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;1,1hi0;1,1ivo;1,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;1,1j30;1,1ivo;1,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;1,1jyc;1,1ko0;1,1mvc;4,bo0;2,bro;g,1jyc;g,1jac;g,1ljc;g,1mvc;4,bo0;2,bgu;g,1j4c;g,1hi0;g,1igc;g,1ko0;2,bro;2,bgu;g,1gyc;g,1jf0;g,1kl0;g,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;1,1gyc;1,1j4c;1,1jyc;1s,1jac;1s,1hi0;1s,1jf0;1,1gyc;1,1il0;1,1ko0;1s,1ljc;1s,1igc;1s,1kl0;1,1j4c;1,1il0;1,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;1,1jyc;1,1ko0;1,1mvc;1,13vu;1,12su;1,w1u;w,w1u;w,12su;w,13vu;1,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1,iio;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;1s,dqo;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;1s,e2o;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;1,13vu;1,12su;1,w1u;w,w1u;w,12su;w,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;g,2s00;g,2vc0;g,2xxc;g,2wc0;g,2xo0;g,2pc0;g,2rxc;g,2qc0;g,2ro0;g,2s00;2,1g1u;2,1gju;2,1g4c;2,1gyc;2,1g1u;2,1jfi;2,1jo0;2,1jf0;2,1gju;2,1jfi;2,1ju0;2,1kl0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;2,1gyc;2,1jf0;2,1kl0;2,1jyc;g,2p00;g,2rlc;g,2q00;g,2rc0;g,2v9c;g,2to0;g,2v00;g,2vc0;2,1g1u;2,1gju;2,1g4c;2,1gyc;2,1hfi;2,1hr0;2,1i60;2,1hfi;2,1if0;2,1ju0;2,1hr0;2,1if0;2,1jac;2,1i60;2,1ju0;2,1jac;g,2uxc;g,2tc0;g,2uo0;g,2w9c;g,2xlc;g,2xxc;2,1jfi;2,1jo0;2,1jf0;2,1hfi;2,1hr0;2,1i60;2,1l30;2,1lf0;2,1l30;4,2bc0;2,1lf0;4,2bc0;g,2vxc;g,2x9c;g,2w00;g,2wc0;2,1ju0;2,1kl0;2,1if0;2,1ju0;2,1l30;2,1lf0;4,4mo0;4,4mo0;g,2vo0;g,2xo0;2,1jyc;2,1jac;4,2bc0;4,4mo0;9,13vu;9,12su;9,w1u;9,iio;g,dqo;g,e2o;9,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;9,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;9,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;9,iio;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;1s,dqo;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;1s,e2o;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;1,13vu;1,12su;1,w1u;1,iio;3k,dqo;3k,e2o;1,13vu;1,12su;1,w1u;1,iio;3k,dqo;3k,e2o;1,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;1,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;1,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;1,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;8,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;8,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;8,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;8,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;8,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;8,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;9,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;9,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;9,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;9,iio;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;2,dqo;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;2,e2o;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1,13vu;1,12su;1,w1u;1,iio;2,dqo;2,e2o;1,13vu;1,12su;1,w1u;1,iio;2,dqo;2,e2o;1,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;1,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;1,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;1,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;8,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;8,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;8,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;8,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;8,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;8,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1s,2s00;1s,2pc0;3k,1g1u;3k,1gju;3k,1g4c;3k,1gyc;1s,2vc0;1s,2rxc;3k,1g1u;3k,1jfi;3k,1jo0;3k,1jf0;1s,2xxc;1s,2qc0;3k,1gju;3k,1jfi;3k,1ju0;3k,1kl0;1s,2wc0;1s,2ro0;3k,1g4c;3k,1jo0;3k,1ju0;3k,1jyc;1s,2xo0;1s,2s00;3k,1gyc;3k,1jf0;3k,1kl0;3k,1jyc;1,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1s,2s00;1s,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;g,2s00;g,2pc0;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;1s,2vc0;1s,2rxc;g,1g1u;g,1jfi;g,1jo0;g,1jf0;g,2vc0;g,2rxc;1s,1g1u;1s,1jfi;1s,1jo0;1s,1jf0;1s,2xxc;1s,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;g,2xxc;g,2qc0;1s,1gju;1s,1jfi;1s,1ju0;1s,1kl0;1s,2wc0;1s,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;g,2wc0;g,2ro0;1s,1g4c;1s,1jo0;1s,1ju0;1s,1jyc;1s,2xo0;1s,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;g,2xo0;g,2s00;1s,1gyc;1s,1jf0;1s,1kl0;1s,1jyc;1s,2p00;1s,2v9c;3k,1g1u;3k,1hfi;3k,1hr0;3k,1i60;1s,2rlc;1s,2to0;3k,1gju;3k,1hfi;3k,1if0;3k,1ju0;1s,2q00;1s,2v00;3k,1g4c;3k,1hr0;3k,1if0;4,1r60;1s,2rc0;1s,2vc0;3k,1gyc;3k,1i60;3k,1ju0;4,1r60;1,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;1,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;1s,2s00;1s,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;g,2s00;g,2pc0;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;1s,2p00;1s,2v9c;g,1g1u;g,1hfi;g,1hr0;g,1i60;g,2p00;g,2v9c;1s,1g1u;1s,1hfi;1s,1hr0;1s,1i60;1s,2rlc;1s,2to0;g,1gju;g,1hfi;g,1if0;g,1ju0;g,2rlc;g,2to0;1s,1gju;1s,1hfi;1s,1if0;1s,1ju0;1s,2q00;1s,2v00;g,1g4c;g,1hr0;g,1if0;4,1r60;g,2q00;g,2v00;1s,1g4c;1s,1hr0;1s,1if0;4,1r60;1s,2rc0;1s,2vc0;g,1gyc;g,1i60;g,1ju0;4,1r60;g,2rc0;g,2vc0;1s,1gyc;1s,1i60;1s,1ju0;4,1r60;1s,2uxc;1s,2w9c;3k,1jfi;3k,1hfi;3k,1l30;3k,1lf0;1s,2tc0;1s,2xlc;3k,1jo0;3k,1hr0;3k,1l30;3k,1ljc;1s,2uo0;1s,2xxc;3k,1jf0;3k,1i60;3k,1lf0;3k,1ljc;1,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;1,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;1s,2vc0;1s,2rxc;g,1g1u;g,1jfi;g,1jo0;g,1jf0;g,2vc0;g,2rxc;1s,1g1u;1s,1jfi;1s,1jo0;1s,1jf0;1s,2p00;1s,2v9c;g,1g1u;g,1hfi;g,1hr0;g,1i60;g,2p00;g,2v9c;1s,1g1u;1s,1hfi;1s,1hr0;1s,1i60;1s,2uxc;1s,2w9c;g,1jfi;g,1hfi;g,1l30;g,1lf0;g,2uxc;g,2w9c;1s,1jfi;1s,1hfi;1s,1l30;1s,1lf0;1s,2tc0;1s,2xlc;g,1jo0;g,1hr0;g,1l30;g,1ljc;g,2tc0;g,2xlc;1s,1jo0;1s,1hr0;1s,1l30;1s,1ljc;1s,2uo0;1s,2xxc;g,1jf0;g,1i60;g,1lf0;g,1ljc;g,2uo0;g,2xxc;1s,1jf0;1s,1i60;1s,1lf0;1s,1ljc;1s,2vxc;1s,2w00;3k,1ju0;3k,1if0;3k,1l30;3k,1mvc;1s,2x9c;1s,2wc0;3k,1kl0;3k,1ju0;3k,1lf0;3k,1mvc;1,iio;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;w,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;1,iio;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;w,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;1s,2xxc;1s,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;g,2xxc;g,2qc0;1s,1gju;1s,1jfi;1s,1ju0;1s,1kl0;1s,2rlc;1s,2to0;g,1gju;g,1hfi;g,1if0;g,1ju0;g,2rlc;g,2to0;1s,1gju;1s,1hfi;1s,1if0;1s,1ju0;1s,2uxc;1s,2w9c;g,1jfi;g,1hfi;g,1l30;g,1lf0;g,2uxc;g,2w9c;1s,1jfi;1s,1hfi;1s,1l30;1s,1lf0;1s,2vxc;1s,2w00;g,1ju0;g,1if0;g,1l30;g,1mvc;g,2vxc;g,2w00;1s,1ju0;1s,1if0;1s,1l30;1s,1mvc;1s,2x9c;1s,2wc0;g,1kl0;g,1ju0;g,1lf0;g,1mvc;g,2x9c;g,2wc0;1s,1kl0;1s,1ju0;1s,1lf0;1s,1mvc;1s,2vo0;1s,2xo0;3k,1jyc;3k,1jac;3k,1ljc;3k,1mvc;1s,dqo;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;w,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;3k,dqo;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;w,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;1s,2wc0;1s,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;g,2wc0;g,2ro0;1s,1g4c;1s,1jo0;1s,1ju0;1s,1jyc;1s,2q00;1s,2v00;g,1g4c;g,1hr0;g,1if0;w,1r60;g,2q00;g,2v00;1s,1g4c;1s,1hr0;1s,1if0;1s,1jac;1s,2tc0;1s,2xlc;g,1jo0;g,1hr0;g,1l30;g,1ljc;g,2tc0;g,2xlc;1s,1jo0;1s,1hr0;1s,1l30;1s,1ljc;1s,2vxc;1s,2w00;g,1ju0;g,1if0;g,1l30;g,1mvc;g,2vxc;g,2w00;1s,1ju0;1s,1if0;1s,1l30;1s,1mvc;1s,2vo0;1s,2xo0;g,1jyc;g,1jac;g,1ljc;g,1mvc;g,2vo0;g,2xo0;1s,1jyc;1s,1jac;1s,1ljc;1s,1mvc;1s,e2o;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;w,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;3k,e2o;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;w,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1s,2xo0;1s,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;g,2xo0;g,2s00;1s,1gyc;1s,1jf0;1s,1kl0;1s,1jyc;1s,2rc0;1s,2vc0;g,1gyc;g,1i60;g,1ju0;w,1r60;g,2rc0;g,2vc0;1s,1gyc;1s,1i60;1s,1ju0;1s,1jac;1s,2uo0;1s,2xxc;g,1jf0;g,1i60;g,1lf0;g,1ljc;g,2uo0;g,2xxc;1s,1jf0;1s,1i60;1s,1lf0;1s,1ljc;1s,2x9c;1s,2wc0;g,1kl0;g,1ju0;g,1lf0;g,1mvc;g,2x9c;g,2wc0;1s,1kl0;1s,1ju0;1s,1lf0;1s,1mvc;1s,2vo0;1s,2xo0;g,1jyc;g,1jac;g,1ljc;g,1mvc;g,2vo0;g,2xo0;1s,1jyc;1s,1jac;1s,1ljc;1s,1mvc;1,13vu;1,12su;1,w1u;w,w1u;w,12su;w,13vu;1,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1,iio;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;3k,c2o;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;3k,deo;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;1,13vu;1,12su;1,w1u;w,w1u;w,12su;w,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;g,2s00;g,2vc0;g,2xxc;g,2wc0;g,2xo0;g,2p3c;g,2ni0;g,2ou0;g,2p60;g,2pc0;2,1eyu;2,1gpo;2,1gyu;2,1hi0;2,1eyu;2,1hl0;2,1gr6;2,1iac;2,1gpo;2,1hl0;2,1j30;2,1ju0;2,1gyu;2,1gr6;2,1j30;2,1j4c;2,1hi0;2,1iac;2,1ju0;2,1j4c;g,2p00;g,2rlc;g,2q00;g,2rc0;g,2q3c;g,2rfc;g,2rrc;g,2rxc;2,1eyu;2,1gpo;2,1gyu;2,1hi0;2,1fmo;2,1fgu;2,1fx0;2,1fmo;2,1hvo;2,1hjo;2,1fgu;2,1hvo;2,1hi0;2,1fx0;2,1hjo;2,1hi0;g,2uxc;g,2tc0;g,2uo0;g,2pu0;g,2q60;g,2qc0;2,1hl0;2,1gr6;2,1iac;2,1fmo;2,1fgu;2,1fx0;2,1ix0;2,1jl0;2,1ix0;4,2bc0;2,1jl0;4,2bc0;g,2vxc;g,2x9c;g,2ri0;g,2ro0;2,1j30;2,1ju0;2,1hvo;2,1hjo;2,1ix0;2,1jl0;4,4mo0;4,4mo0;g,2vo0;g,2s00;2,1j4c;2,1hi0;4,2bc0;4,4mo0;9,13vu;9,12su;9,w1u;9,iio;2,c2o;2,deo;9,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;9,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;9,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;9,iio;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;w,dqo;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;w,e2o;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;1,13vu;1,12su;1,w1u;1,iio;2,c2o;2,deo;1,13vu;1,12su;1,w1u;1,iio;2,c2o;2,deo;1,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;1,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;1,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;1,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;8,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;8,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;8,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;8,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;8,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;8,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;9,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;9,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;9,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;9,iio;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;w,dqo;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;w,e2o;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1,13vu;1,12su;1,w1u;1,iio;3k,c2o;3k,deo;1,13vu;1,12su;1,w1u;1,iio;3k,c2o;3k,deo;1,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;1,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;8,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;8,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;8,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;8,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;8,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;8,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1s,2s00;1s,2p3c;3k,1eyu;3k,1gpo;3k,1gyu;3k,1hi0;1s,2vc0;1s,2ni0;3k,1eyu;3k,1hl0;3k,1gr6;3k,1iac;1s,2xxc;1s,2ou0;3k,1gpo;3k,1hl0;3k,1j30;3k,1ju0;1s,2wc0;1s,2p60;3k,1gyu;3k,1gr6;3k,1j30;4,1j9o;1s,2xo0;1s,2pc0;3k,1hi0;3k,1iac;3k,1ju0;4,1j9o;1,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;1,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;1s,2s00;1s,2p3c;g,1eyu;g,1gpo;g,1gyu;g,1hi0;g,2s00;g,2p3c;1s,1eyu;1s,1gpo;1s,1gyu;1s,1hi0;1s,2vc0;1s,2ni0;g,1eyu;g,1hl0;g,1gr6;g,1iac;g,2vc0;g,2ni0;1s,1eyu;1s,1hl0;1s,1gr6;1s,1iac;1s,2xxc;1s,2ou0;g,1gpo;g,1hl0;g,1j30;g,1ju0;g,2xxc;g,2ou0;1s,1gpo;1s,1hl0;1s,1j30;1s,1ju0;1s,2wc0;1s,2p60;g,1gyu;g,1gr6;g,1j30;4,1j9o;g,2wc0;g,2p60;1s,1gyu;1s,1gr6;1s,1j30;4,1j9o;1s,2xo0;1s,2pc0;g,1hi0;g,1iac;g,1ju0;4,1j9o;g,2xo0;g,2pc0;1s,1hi0;1s,1iac;1s,1ju0;4,1j9o;1s,2p00;1s,2q3c;3k,1eyu;3k,1fmo;3k,1fgu;3k,1fx0;1s,2rlc;1s,2rfc;3k,1gpo;3k,1fmo;3k,1hvo;3k,1hjo;1s,2q00;1s,2rrc;3k,1gyu;3k,1fgu;3k,1hvo;4,1rxo;1s,2rc0;1s,2rxc;3k,1hi0;3k,1fx0;3k,1hjo;4,1rxo;1,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;1,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;1s,2s00;1s,2p3c;g,1eyu;g,1gpo;g,1gyu;g,1hi0;g,2s00;g,2p3c;1s,1eyu;1s,1gpo;1s,1gyu;1s,1hi0;1s,2p00;1s,2q3c;g,1eyu;g,1fmo;g,1fgu;g,1fx0;g,2p00;g,2q3c;1s,1eyu;1s,1fmo;1s,1fgu;1s,1fx0;1s,2rlc;1s,2rfc;g,1gpo;g,1fmo;g,1hvo;g,1hjo;g,2rlc;g,2rfc;1s,1gpo;1s,1fmo;1s,1hvo;1s,1hjo;1s,2q00;1s,2rrc;g,1gyu;g,1fgu;g,1hvo;4,1rxo;g,2q00;g,2rrc;1s,1gyu;1s,1fgu;1s,1hvo;4,1rxo;1s,2rc0;1s,2rxc;g,1hi0;g,1fx0;g,1hjo;4,1rxo;g,2rc0;g,2rxc;1s,1hi0;1s,1fx0;1s,1hjo;4,1rxo;1s,2uxc;1s,2pu0;3k,1hl0;3k,1fmo;3k,1ix0;3k,1jl0;1s,2tc0;1s,2q60;3k,1gr6;3k,1fgu;3k,1ix0;3k,1igc;1s,2uo0;1s,2qc0;3k,1iac;3k,1fx0;3k,1jl0;3k,1igc;1,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;1,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;1s,2vc0;1s,2ni0;g,1eyu;g,1hl0;g,1gr6;g,1iac;g,2vc0;g,2ni0;1s,1eyu;1s,1hl0;1s,1gr6;1s,1iac;1s,2p00;1s,2q3c;g,1eyu;g,1fmo;g,1fgu;g,1fx0;g,2p00;g,2q3c;1s,1eyu;1s,1fmo;1s,1fgu;1s,1fx0;1s,2uxc;1s,2pu0;g,1hl0;g,1fmo;g,1ix0;g,1jl0;g,2uxc;g,2pu0;1s,1hl0;1s,1fmo;1s,1ix0;1s,1jl0;1s,2tc0;1s,2q60;g,1gr6;g,1fgu;g,1ix0;g,1igc;g,2tc0;g,2q60;1s,1gr6;1s,1fgu;1s,1ix0;1s,1igc;1s,2uo0;1s,2qc0;g,1iac;g,1fx0;g,1jl0;g,1igc;g,2uo0;g,2qc0;1s,1iac;1s,1fx0;1s,1jl0;1s,1igc;1s,2vxc;1s,2ri0;3k,1j30;3k,1hvo;3k,1ix0;3k,1ko0;1s,2x9c;1s,2ro0;3k,1ju0;3k,1hjo;3k,1jl0;3k,1ko0;1,iio;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;w,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;1,iio;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;w,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;1s,2xxc;1s,2ou0;g,1gpo;g,1hl0;g,1j30;g,1ju0;g,2xxc;g,2ou0;1s,1gpo;1s,1hl0;1s,1j30;1s,1ju0;1s,2rlc;1s,2rfc;g,1gpo;g,1fmo;g,1hvo;g,1hjo;g,2rlc;g,2rfc;1s,1gpo;1s,1fmo;1s,1hvo;1s,1hjo;1s,2uxc;1s,2pu0;g,1hl0;g,1fmo;g,1ix0;g,1jl0;g,2uxc;g,2pu0;1s,1hl0;1s,1fmo;1s,1ix0;1s,1jl0;1s,2vxc;1s,2ri0;g,1j30;g,1hvo;g,1ix0;g,1ko0;g,2vxc;g,2ri0;1s,1j30;1s,1hvo;1s,1ix0;1s,1ko0;1s,2x9c;1s,2ro0;g,1ju0;g,1hjo;g,1jl0;g,1ko0;g,2x9c;g,2ro0;1s,1ju0;1s,1hjo;1s,1jl0;1s,1ko0;1s,2vo0;1s,2s00;3k,1j4c;3k,1hi0;3k,1igc;3k,1ko0;4,dqo;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;w,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;4,dqo;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;w,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;1s,2wc0;1s,2p60;g,1gyu;g,1gr6;g,1j30;w,1j9o;g,2wc0;g,2p60;1s,1gyu;1s,1gr6;1s,1j30;1s,1j4c;1s,2q00;1s,2rrc;g,1gyu;g,1fgu;g,1hvo;w,1rxo;g,2q00;g,2rrc;1s,1gyu;1s,1fgu;1s,1hvo;1s,1hi0;1s,2tc0;1s,2q60;g,1gr6;g,1fgu;g,1ix0;g,1igc;g,2tc0;g,2q60;1s,1gr6;1s,1fgu;1s,1ix0;1s,1igc;1s,2vxc;1s,2ri0;g,1j30;g,1hvo;g,1ix0;g,1ko0;g,2vxc;g,2ri0;1s,1j30;1s,1hvo;1s,1ix0;1s,1ko0;1s,2vo0;1s,2s00;g,1j4c;g,1hi0;g,1igc;g,1ko0;g,2vo0;g,2s00;1s,1j4c;1s,1hi0;1s,1igc;1s,1ko0;4,e2o;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;w,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;4,e2o;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1s,2xo0;1s,2pc0;g,1hi0;g,1iac;g,1ju0;w,1j9o;g,2xo0;g,2pc0;1s,1hi0;1s,1iac;1s,1ju0;1s,1j4c;1s,2rc0;1s,2rxc;g,1hi0;g,1fx0;g,1hjo;w,1rxo;g,2rc0;g,2rxc;1s,1hi0;1s,1fx0;1s,1hjo;1s,1hi0;1s,2uo0;1s,2qc0;g,1iac;g,1fx0;g,1jl0;g,1igc;g,2uo0;g,2qc0;1s,1iac;1s,1fx0;1s,1jl0;1s,1igc;1s,2x9c;1s,2ro0;g,1ju0;g,1hjo;g,1jl0;g,1ko0;g,2x9c;g,2ro0;1s,1ju0;1s,1hjo;1s,1jl0;1s,1ko0;1s,2vo0;1s,2s00;g,1j4c;g,1hi0;g,1igc;g,1ko0;g,2vo0;g,2s00;1s,1j4c;1s,1hi0;1s,1igc;1s,1ko0;1,13vu;1,12su;1,w1u;w,w1u;w,12su;w,13vu;1,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;1,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;1,iio;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;3k,dqo;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;3k,e2o;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1,13vu;1,12su;1,w1u;w,w1u;w,12su;w,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;g,2pc0;g,2rxc;g,2qc0;g,2ro0;g,2s00;g,2p3c;g,2ni0;g,2ou0;g,2p60;g,2pc0;2,1fii;2,1g1u;2,1f4u;2,1g1u;2,1fii;2,1gc0;2,1gf0;2,1gju;2,1g1u;2,1gc0;2,1g36;2,1g4c;2,1f4u;2,1gf0;2,1g36;2,1gyc;2,1g1u;2,1gju;2,1g4c;2,1gyc;g,2v9c;g,2to0;g,2v00;g,2vc0;g,2q3c;g,2rfc;g,2rrc;g,2rxc;2,1fii;2,1g1u;2,1f4u;2,1g1u;2,1jao;2,1iao;2,1jfi;2,1jao;2,1imu;2,1jo0;2,1iao;2,1imu;2,1jf0;2,1jfi;2,1jo0;2,1jf0;g,2w9c;g,2xlc;g,2xxc;g,2pu0;g,2q60;g,2qc0;2,1gc0;2,1gf0;2,1gju;2,1jao;2,1iao;2,1jfi;2,1jl0;2,1ju0;2,1jl0;4,2bc0;2,1ju0;4,2bc0;g,2w00;g,2wc0;g,2ri0;g,2ro0;2,1g36;2,1g4c;2,1imu;2,1jo0;2,1jl0;2,1ju0;4,4mo0;4,4mo0;g,2xo0;g,2s00;2,1gyc;2,1jf0;4,2bc0;4,4mo0;9,13vu;9,12su;9,w1u;9,iio;2,dqo;2,e2o;9,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;9,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;9,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;9,iio;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;2,dqo;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;2,e2o;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1,13vu;1,12su;1,w1u;1,iio;2,dqo;2,e2o;1,13vu;1,12su;1,w1u;1,iio;2,dqo;2,e2o;1,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;1,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;1,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;1,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;8,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;8,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;8,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;8,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;8,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;8,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;9,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;9,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;9,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;9,iio;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;1s,dqo;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;1s,e2o;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1,13vu;1,12su;1,w1u;1,iio;3k,dqo;3k,e2o;1,13vu;1,12su;1,w1u;1,iio;3k,dqo;3k,e2o;1,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;1,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;8,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;8,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;8,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;8,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;8,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;8,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1s,2pc0;1s,2p3c;3k,1fii;3k,1g1u;3k,1f4u;3k,1g1u;1s,2rxc;1s,2ni0;3k,1fii;3k,1gc0;3k,1gf0;3k,1gju;1s,2qc0;1s,2ou0;3k,1g1u;3k,1gc0;3k,1g36;3k,1g4c;1s,2ro0;1s,2p60;3k,1f4u;3k,1gf0;3k,1g36;3k,1gyc;1s,2s00;1s,2pc0;3k,1g1u;3k,1gju;3k,1g4c;3k,1gyc;1,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;1,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;1s,2pc0;1s,2p3c;g,1fii;g,1g1u;g,1f4u;g,1g1u;g,2pc0;g,2p3c;1s,1fii;1s,1g1u;1s,1f4u;1s,1g1u;1s,2rxc;1s,2ni0;g,1fii;g,1gc0;g,1gf0;g,1gju;g,2rxc;g,2ni0;1s,1fii;1s,1gc0;1s,1gf0;1s,1gju;1s,2qc0;1s,2ou0;g,1g1u;g,1gc0;g,1g36;g,1g4c;g,2qc0;g,2ou0;1s,1g1u;1s,1gc0;1s,1g36;1s,1g4c;1s,2ro0;1s,2p60;g,1f4u;g,1gf0;g,1g36;g,1gyc;g,2ro0;g,2p60;1s,1f4u;1s,1gf0;1s,1g36;1s,1gyc;1s,2s00;1s,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;g,2s00;g,2pc0;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;1s,2v9c;1s,2q3c;3k,1fii;3k,1jao;3k,1iao;3k,1jfi;1s,2to0;1s,2rfc;3k,1g1u;3k,1jao;3k,1imu;3k,1jo0;1s,2v00;1s,2rrc;3k,1f4u;3k,1iao;3k,1imu;4,1pfo;1s,2vc0;1s,2rxc;3k,1g1u;3k,1jfi;3k,1jo0;4,1pfo;1,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;1,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;1,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;1,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;1s,2pc0;1s,2p3c;g,1fii;g,1g1u;g,1f4u;g,1g1u;g,2pc0;g,2p3c;1s,1fii;1s,1g1u;1s,1f4u;1s,1g1u;1s,2v9c;1s,2q3c;g,1fii;g,1jao;g,1iao;g,1jfi;g,2v9c;g,2q3c;1s,1fii;1s,1jao;1s,1iao;1s,1jfi;1s,2to0;1s,2rfc;g,1g1u;g,1jao;g,1imu;g,1jo0;g,2to0;g,2rfc;1s,1g1u;1s,1jao;1s,1imu;1s,1jo0;1s,2v00;1s,2rrc;g,1f4u;g,1iao;g,1imu;4,1pfo;g,2v00;g,2rrc;1s,1f4u;1s,1iao;1s,1imu;4,1pfo;1s,2vc0;1s,2rxc;g,1g1u;g,1jfi;g,1jo0;4,1pfo;g,2vc0;g,2rxc;1s,1g1u;1s,1jfi;1s,1jo0;4,1pfo;1s,2w9c;1s,2pu0;3k,1gc0;3k,1jao;3k,1jl0;3k,1ju0;1s,2xlc;1s,2q60;3k,1gf0;3k,1iao;3k,1jl0;3k,1kl0;1s,2xxc;1s,2qc0;3k,1gju;3k,1jfi;3k,1ju0;3k,1kl0;1,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;1,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;1,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;1,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;1s,2rxc;1s,2ni0;g,1fii;g,1gc0;g,1gf0;g,1gju;g,2rxc;g,2ni0;1s,1fii;1s,1gc0;1s,1gf0;1s,1gju;1s,2v9c;1s,2q3c;g,1fii;g,1jao;g,1iao;g,1jfi;g,2v9c;g,2q3c;1s,1fii;1s,1jao;1s,1iao;1s,1jfi;1s,2w9c;1s,2pu0;g,1gc0;g,1jao;g,1jl0;g,1ju0;g,2w9c;g,2pu0;1s,1gc0;1s,1jao;1s,1jl0;1s,1ju0;1s,2xlc;1s,2q60;g,1gf0;g,1iao;g,1jl0;g,1kl0;g,2xlc;g,2q60;1s,1gf0;1s,1iao;1s,1jl0;1s,1kl0;1s,2xxc;1s,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;g,2xxc;g,2qc0;1s,1gju;1s,1jfi;1s,1ju0;1s,1kl0;1s,2w00;1s,2ri0;3k,1g36;3k,1imu;3k,1jl0;3k,1jyc;1s,2wc0;1s,2ro0;3k,1g4c;3k,1jo0;3k,1ju0;3k,1jyc;1,iio;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;w,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;1,iio;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;w,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;1s,2qc0;1s,2ou0;g,1g1u;g,1gc0;g,1g36;g,1g4c;g,2qc0;g,2ou0;1s,1g1u;1s,1gc0;1s,1g36;1s,1g4c;1s,2to0;1s,2rfc;g,1g1u;g,1jao;g,1imu;g,1jo0;g,2to0;g,2rfc;1s,1g1u;1s,1jao;1s,1imu;1s,1jo0;1s,2w9c;1s,2pu0;g,1gc0;g,1jao;g,1jl0;g,1ju0;g,2w9c;g,2pu0;1s,1gc0;1s,1jao;1s,1jl0;1s,1ju0;1s,2w00;1s,2ri0;g,1g36;g,1imu;g,1jl0;g,1jyc;g,2w00;g,2ri0;1s,1g36;1s,1imu;1s,1jl0;1s,1jyc;1s,2wc0;1s,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;g,2wc0;g,2ro0;1s,1g4c;1s,1jo0;1s,1ju0;1s,1jyc;1s,2xo0;1s,2s00;3k,1gyc;3k,1jf0;3k,1kl0;3k,1jyc;3k,dqo;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;w,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;1s,dqo;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;w,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;1s,2ro0;1s,2p60;g,1f4u;g,1gf0;g,1g36;g,1gyc;g,2ro0;g,2p60;1s,1f4u;1s,1gf0;1s,1g36;1s,1gyc;1s,2v00;1s,2rrc;g,1f4u;g,1iao;g,1imu;w,1pfo;g,2v00;g,2rrc;1s,1f4u;1s,1iao;1s,1imu;1s,1jf0;1s,2xlc;1s,2q60;g,1gf0;g,1iao;g,1jl0;g,1kl0;g,2xlc;g,2q60;1s,1gf0;1s,1iao;1s,1jl0;1s,1kl0;1s,2w00;1s,2ri0;g,1g36;g,1imu;g,1jl0;g,1jyc;g,2w00;g,2ri0;1s,1g36;1s,1imu;1s,1jl0;1s,1jyc;1s,2xo0;1s,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;g,2xo0;g,2s00;1s,1gyc;1s,1jf0;1s,1kl0;1s,1jyc;3k,e2o;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;w,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1s,e2o;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1s,2s00;1s,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;g,2s00;g,2pc0;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;1s,2vc0;1s,2rxc;g,1g1u;g,1jfi;g,1jo0;w,1pfo;g,2vc0;g,2rxc;1s,1g1u;1s,1jfi;1s,1jo0;1s,1jf0;1s,2xxc;1s,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;g,2xxc;g,2qc0;1s,1gju;1s,1jfi;1s,1ju0;1s,1kl0;1s,2wc0;1s,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;g,2wc0;g,2ro0;1s,1g4c;1s,1jo0;1s,1ju0;1s,1jyc;1s,2xo0;1s,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;g,2xo0;g,2s00;1s,1gyc;1s,1jf0;1s,1kl0;1s,1jyc;4,cuyo;1,yio;1,rvu;w,v6o;w,zdu;w,zpu;4,cuyo;1,y7u;1,qpu;w,vro;w,yf0;w,ymu;1,yio;1,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;1,rvu;1,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;1,esu;1,df0;8,1gju;8,1jfi;8,1ju0;8,1kl0;g,ero;g,dlo;8,1g4c;8,1jo0;8,1ju0;8,1jyc;g,exo;g,fxo;8,1gyc;8,1jf0;8,1kl0;8,1jyc;4,cuyo;1,yio;1,rvu;w,v6o;w,zdu;w,zpu;1,xsu;1,qvu;w,v1u;w,y7u;w,zau;1,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;1,dvu;8,1gpo;8,1hl0;8,1j30;8,1ju0;g,dro;8,1gyu;8,1gr6;8,1j30;8,1j4c;g,ero;8,1hi0;8,1iac;8,1ju0;8,1j4c;1,y7u;1,qpu;w,vro;w,yf0;w,ymu;1,xsu;1,qvu;w,v1u;w,y7u;w,zau;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,1fii;8,1gc0;8,1gf0;8,1gju;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,1f4u;8,1gf0;8,1g36;8,1gyc;8,1g1u;8,1gju;8,1g4c;8,1gyc;1,lfo;w,q3o;w,ygu;w,tlo;1,mio;w,pyu;w,z0o;w,tuo;1,lz0;w,qc6;w,y7u;w,tfo;1,1fii;1,1eyu;1,1g1u;1,1fii;1,1gau;1,1hi0;1,1eyu;1,1gau;1,1gyc;1,1g1u;1,1hi0;1,1gyc;w,qro;w,n7u;w,q1u;w,rau;w,moo;w,rau;w,ql6;w,mvu;w,q3o;1,1fii;1,1eyu;1,1g1u;1,1ir0;1,1j30;1,1ir0;4,2bc0;1,1j30;4,2bc0;1s,exo;w,esu;1s,f3o;w,f9o;1s,dxo;w,dyu;1,1gau;1,1hi0;1,1ir0;1,1j30;4,4mo0;4,4mo0;g,b2o;w,ayu;4,e60;1,1gyc;4,2bc0;4,4mo0;9,13vu;9,yio;9,rvu;9,esu;1s,ero;1s,exo;9,13vu;9,y7u;9,qpu;9,df0;1s,dlo;1s,fxo;w,2s00;w,2pc0;9,lfo;4,g3o;1s,dlo;4,gi0;w,2vc0;w,2rxc;9,lfo;4,ero;4,tc0;4,nlo;w,2xxc;w,2qc0;4,g3o;4,ero;4,1cxo;4,1a3o;w,2wc0;w,2ro0;g,dlo;4,tc0;4,1cxo;4,1ii0;w,2xo0;w,2s00;4,gi0;4,nlo;4,1a3o;4,1ii0;1,13vu;1,yio;1,rvu;1,esu;1s,ero;1s,exo;1,13vu;1,yio;1,rvu;1,esu;g,ero;g,exo;1,13vu;1,y7u;1,qpu;1,df0;1s,dlo;1s,fxo;1,13vu;1,y7u;1,qpu;1,df0;g,dlo;g,fxo;w,2s00;w,2pc0;1,lfo;4,g3o;1s,dlo;4,gi0;1,yio;1,y7u;w,1g1u;w,1gju;w,1g4c;w,1gyc;w,2vc0;w,2rxc;1,lfo;4,ero;4,tc0;4,nlo;1,rvu;1,qpu;w,1g1u;w,1jfi;w,1jo0;w,1jf0;w,2xxc;w,2qc0;8,q3o;8,qro;4,1cxo;4,1a3o;8,v6o;8,vro;w,1gju;w,1jfi;w,1ju0;w,1kl0;w,2wc0;w,2ro0;8,ygu;4,tc0;4,1cxo;4,1ii0;8,zdu;8,yf0;w,1g4c;w,1jo0;w,1ju0;w,1jyc;w,2xo0;w,2s00;8,tlo;8,q1u;4,1a3o;4,1ii0;8,zpu;8,ymu;w,1gyc;w,1jf0;w,1kl0;w,1jyc;9,13vu;9,xsu;9,qvu;9,dvu;1s,dro;1s,ero;w,2s00;w,2p3c;9,mio;4,g9o;1s,dro;4,hi0;w,2vc0;w,2ni0;9,mio;4,dlo;4,uc0;4,mlo;w,2xxc;w,2ou0;4,g9o;4,dlo;4,1bxo;4,1ao0;w,2wc0;w,2p60;g,dro;4,uc0;4,1bxo;4,1j9o;w,2xo0;w,2pc0;4,hi0;4,mlo;4,1ao0;4,1j9o;1,13vu;1,yio;1,rvu;1,esu;1s,ero;1s,exo;1,13vu;1,yio;1,rvu;1,esu;g,ero;g,exo;1,13vu;1,xsu;1,qvu;1,dvu;1s,dro;1s,ero;1,13vu;1,xsu;1,qvu;1,dvu;g,dro;g,ero;w,2s00;w,2p3c;1,mio;4,g9o;1s,dro;4,hi0;1,yio;1,xsu;w,1eyu;w,1gpo;w,1gyu;w,1hi0;w,2vc0;w,2ni0;1,mio;4,dlo;4,uc0;4,mlo;1,rvu;1,qvu;w,1eyu;w,1hl0;w,1gr6;w,1iac;w,2xxc;w,2ou0;8,pyu;8,rau;4,1bxo;4,1ao0;8,v6o;8,v1u;w,1gpo;w,1hl0;w,1j30;w,1ju0;w,2wc0;w,2p60;8,z0o;4,uc0;4,1bxo;4,1j9o;8,zdu;8,y7u;w,1gyu;w,1gr6;w,1j30;4,1j9o;w,2xo0;w,2pc0;8,tuo;8,rau;4,1ao0;4,1j9o;8,zpu;8,zau;w,1hi0;w,1iac;w,1ju0;4,1j9o;w,2pc0;w,2p3c;9,lz0;4,f3o;1s,clo;4,gi0;w,2rxc;w,2ni0;9,lz0;4,elo;4,tc0;4,n60;w,2qc0;w,2ou0;4,f3o;4,elo;4,1ci0;4,1bfo;w,2ro0;w,2p60;g,clo;4,tc0;4,1ci0;4,1gro;w,2s00;w,2pc0;4,gi0;4,n60;4,1bfo;4,1gro;1,13vu;1,y7u;1,qpu;1,df0;1s,dlo;1s,fxo;1,13vu;1,y7u;1,qpu;1,df0;g,dlo;g,fxo;1,13vu;1,xsu;1,qvu;1,dvu;1s,dro;1s,ero;1,13vu;1,xsu;1,qvu;1,dvu;g,dro;g,ero;w,2pc0;w,2p3c;1,lz0;4,f3o;8,cvu;4,gi0;1,y7u;1,xsu;w,1fii;w,1g1u;w,1f4u;w,1g1u;w,2rxc;w,2ni0;1,lz0;8,er0;4,tc0;4,n60;1,qpu;1,qvu;w,1fii;w,1gc0;w,1gf0;w,1gju;w,2qc0;w,2ou0;8,qc6;8,ql6;4,1ci0;4,1bfo;8,vro;8,v1u;w,1g1u;w,1gc0;w,1g36;w,1g4c;w,2ro0;w,2p60;8,y7u;4,tc0;4,1ci0;4,1gro;8,yf0;8,y7u;w,1f4u;w,1gf0;w,1g36;w,1gyc;w,2s00;w,2pc0;8,tfo;8,q3o;4,1bfo;4,1gro;8,ymu;8,zau;w,1g1u;w,1gju;w,1g4c;w,1gyc;9,lfo;9,mio;9,lz0;9,1fii;9,1eyu;9,1g1u;9,e7u;9,e20;9,epu;9,1fii;9,1gau;9,1hi0;g,dlo;g,dro;g,clo;9,1eyu;9,1gau;4,1i9o;g,fi0;g,ec0;g,fc0;9,1g1u;9,1hi0;4,1i9o;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2p3c;8,1eyu;8,1gpo;8,1gyu;8,1hi0;4,2s00;4,2p3c;8,1eyu;8,1gpo;8,1gyu;8,1hi0;4,2pc0;4,2p3c;8,1fii;8,1g1u;8,1f4u;8,1g1u;4,2pc0;4,2p3c;8,1fii;8,1g1u;8,1f4u;8,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;8,q3o;8,pyu;8,qc6;1,1fii;1,1gau;1,1hi0;8,q3o;8,pyu;8,qc6;1,1fii;1,1gau;1,1hi0;8,ygu;8,z0o;8,y7u;1,1eyu;1,1gau;4,1i9o;8,ygu;8,z0o;8,y7u;1,1eyu;1,1gau;4,1i9o;8,tlo;8,tuo;8,tfo;1,1g1u;1,1hi0;4,1i9o;8,tlo;8,tuo;8,tfo;1,1g1u;1,1hi0;4,1i9o;3k,byu;3k,cc6;1s,dc0;9,1fii;9,1ir0;9,1j30;g,e60;g,ec0;g,d60;9,1eyu;9,1ir0;9,1j4c;g,g9o;g,f3o;g,g3o;9,1g1u;9,1j30;9,1j4c;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;4,2vc0;4,2ni0;8,1eyu;8,1hl0;8,1gr6;8,1iac;4,2vc0;4,2ni0;8,1eyu;8,1hl0;8,1gr6;8,1iac;4,2rxc;4,2ni0;8,1fii;8,1gc0;8,1gf0;8,1gju;4,2rxc;4,2ni0;8,1fii;8,1gc0;8,1gf0;8,1gju;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;8,qro;8,rau;8,ql6;1,1fii;1,1ir0;1,1j30;8,qro;8,rau;8,ql6;1,1fii;1,1ir0;1,1j30;8,n7u;8,moo;8,mvu;1,1eyu;1,1ir0;1,1j4c;8,n7u;8,moo;8,mvu;1,1eyu;1,1ir0;1,1j4c;8,q1u;8,rau;8,q3o;1,1g1u;1,1j30;1,1j4c;8,q1u;8,rau;8,q3o;1,1g1u;1,1j30;1,1j4c;g,exo;g,f3o;g,dxo;9,1gau;9,1ir0;9,1jyc;g,dro;g,clo;g,dlo;9,1hi0;9,1j30;9,1jyc;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2xxc;4,2ou0;8,1gpo;8,1hl0;8,1j30;8,1ju0;4,2xxc;4,2ou0;8,1gpo;8,1hl0;8,1j30;8,1ju0;4,2qc0;4,2ou0;8,1g1u;8,1gc0;8,1g36;8,1g4c;4,2qc0;4,2ou0;8,1g1u;8,1gc0;8,1g36;8,1g4c;1,e7u;1,e20;1,epu;1,1fii;1,1gau;1,1hi0;w,q3o;w,pyu;w,qc6;1,1fii;1,1gau;1,1hi0;8,e7u;8,dl6;8,er0;1,1fii;1,1ir0;1,1j30;w,qro;w,rau;w,ql6;1,1fii;1,1ir0;1,1j30;3k,exo;3k,f3o;3k,dxo;1,1gau;1,1ir0;1,1jyc;3k,exo;3k,f3o;3k,dxo;1,1gau;1,1ir0;1,1jyc;8,esu;8,f9o;8,dyu;1,1hi0;1,1j30;1,1jyc;8,esu;8,f9o;8,dyu;1,1hi0;1,1j30;1,1jyc;1s,b2o;3k,8gc;1s,c60;9,1gyc;9,1j4c;9,1jyc;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2wc0;4,2p60;8,1gyu;8,1gr6;8,1j30;w,1j9o;4,2wc0;4,2p60;8,1gyu;8,1gr6;8,1j30;8,1j4c;4,2ro0;4,2p60;8,1f4u;8,1gf0;8,1g36;8,1gyc;4,2ro0;4,2p60;8,1f4u;8,1gf0;8,1g36;8,1gyc;2,dlo;2,dro;8,cvu;1,1eyu;1,1gau;w,1i9o;w,ygu;w,z0o;w,y7u;1,1eyu;1,1gau;1,1gyc;2,e60;2,ec0;2,d60;1,1eyu;1,1ir0;1,1j4c;w,n7u;w,moo;w,mvu;1,1eyu;1,1ir0;1,1j4c;2,exo;2,f3o;2,dxo;1,1gau;1,1ir0;1,1jyc;2,exo;2,f3o;2,dxo;1,1gau;1,1ir0;1,1jyc;1s,b2o;8,ayu;1s,c60;1,1gyc;1,1j4c;1,1jyc;g,b2o;8,ayu;g,c60;1,1gyc;1,1j4c;1,1jyc;4,2xo0;4,2s00;8,1gyc;8,1jf0;8,1kl0;8,1jyc;4,2xo0;4,2s00;8,1gyc;8,1jf0;8,1kl0;8,1jyc;4,2xo0;4,2pc0;8,1hi0;8,1iac;8,1ju0;w,1j9o;4,2xo0;4,2pc0;8,1hi0;8,1iac;8,1ju0;8,1j4c;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;2,fi0;2,ec0;2,fc0;1,1g1u;1,1hi0;w,1i9o;w,tlo;w,tuo;w,tfo;1,1g1u;1,1hi0;1,1gyc;2,g9o;2,f3o;2,g3o;1,1g1u;1,1j30;1,1j4c;w,q1u;w,rau;w,q3o;1,1g1u;1,1j30;1,1j4c;2,dro;2,clo;2,dlo;1,1hi0;1,1j30;1,1jyc;w,esu;w,f9o;w,dyu;1,1hi0;1,1j30;1,1jyc;1s,b2o;8,a7u;1s,c60;1,1gyc;1,1j4c;1,1jyc;g,b2o;w,ayu;g,c60;1,1gyc;1,1j4c;1,1jyc;4,cuyo;1,yio;1,qsu;w,q1u;w,13co;w,ypu;4,cuyo;1,y7u;1,q7u;w,rau;w,11au;w,ymu;1,yio;1,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;1,qsu;1,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;1,ico;1,gyu;8,1gju;8,1hfi;8,1if0;8,1ju0;4,bo0;2,aro;8,1g4c;8,1hr0;8,1if0;8,1jac;g,gxo;g,fxo;8,1gyc;8,1i60;8,1ju0;8,1jac;4,cuyo;1,yio;1,qsu;w,q1u;w,13co;w,ypu;1,xsu;1,q1u;w,qo0;w,11ro;w,y7u;1,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;1,hio;8,1gpo;8,1fmo;8,1hvo;8,1hjo;3k,au0;8,1gyu;8,1fgu;8,1hvo;8,1hi0;g,gxo;8,1hi0;8,1fx0;8,1hjo;8,1hi0;1,y7u;1,q7u;w,rau;w,11au;w,ymu;1,xsu;1,q1u;w,qo0;w,11ro;w,y7u;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,1fii;8,1jao;8,1iao;8,1jfi;8,1g1u;8,1jao;8,1imu;8,1jo0;8,1f4u;8,1iao;8,1imu;8,1jf0;8,1g1u;8,1jfi;8,1jo0;8,1jf0;1,lfo;w,q3o;w,ygu;w,tlo;1,mio;w,pyu;w,z0o;w,tuo;1,lz0;w,qc6;w,y7u;w,tfo;1,1fii;1,1eyu;1,1g1u;1,1fii;1,1gau;1,1hi0;1,1eyu;1,1gau;1,1gyc;1,1g1u;1,1hi0;1,1gyc;w,lfo;w,q7u;w,qsu;w,m1u;w,qco;w,qyu;w,m06;w,pgu;w,qro;1,1fii;1,1eyu;1,1g1u;1,1hyo;1,1ivo;1,1hyo;4,2bc0;1,1ivo;4,2bc0;w,i1u;w,hvu;w,j6o;w,h9o;w,hio;w,gyu;1,1gau;1,1hi0;1,1hyo;1,1ivo;4,4mo0;4,4mo0;1s,g9o;1s,h9o;1s,g9o;1,1gyc;4,2bc0;4,4mo0;9,12su;9,yio;9,qsu;9,ico;3k,b3o;1s,gxo;9,12su;9,y7u;9,q7u;9,gyu;3k,aro;1s,fxo;w,2s00;w,2pc0;9,lfo;1s,g3o;4,dlo;1s,gi0;w,2p00;w,2v9c;9,lfo;1s,fo0;4,u3o;4,l3o;w,2rlc;w,2to0;g,g3o;g,fo0;4,1afo;4,12xo;w,2q00;w,2v00;4,dlo;4,u3o;4,1afo;4,1r60;w,2rc0;w,2vc0;g,gi0;4,l3o;4,12xo;4,1r60;1,12su;1,yio;1,qsu;1,ico;g,b3o;1s,gxo;1,12su;1,yio;1,qsu;1,ico;1s,b3o;g,gxo;1,12su;1,y7u;1,q7u;1,gyu;g,aro;1s,fxo;1,12su;1,y7u;1,q7u;1,gyu;1s,aro;g,fxo;w,2s00;w,2pc0;1,lfo;1s,g3o;4,dlo;1s,gi0;1,yio;1,y7u;w,1g1u;w,1gju;w,1g4c;w,1gyc;w,2p00;w,2v9c;1,lfo;1s,fo0;4,u3o;4,l3o;1,qsu;1,q7u;w,1g1u;w,1hfi;w,1hr0;w,1i60;w,2rlc;w,2to0;8,q3o;8,lfo;4,1afo;4,12xo;8,q1u;8,rau;w,1gju;w,1hfi;w,1if0;w,1ju0;w,2q00;w,2v00;8,ygu;4,u3o;4,1afo;4,1r60;8,13co;8,11au;w,1g4c;w,1hr0;w,1if0;4,1r60;w,2rc0;w,2vc0;8,tlo;8,qsu;4,12xo;4,1r60;8,ypu;8,ymu;w,1gyc;w,1i60;w,1ju0;4,1r60;9,12su;9,xsu;9,q1u;9,hio;2,au0;1s,gxo;w,2s00;w,2p3c;9,mio;1s,g9o;4,dro;1s,hi0;w,2p00;w,2q3c;9,mio;1s,fu0;4,v3o;4,k3o;w,2rlc;w,2rfc;g,g9o;g,fu0;4,19fo;4,13i0;w,2q00;w,2rrc;4,dro;4,v3o;4,19fo;4,1rxo;w,2rc0;w,2rxc;g,hi0;4,k3o;4,13i0;4,1rxo;1,12su;1,yio;1,qsu;1,ico;g,b3o;1s,gxo;1,12su;1,yio;1,qsu;1,ico;1s,b3o;g,gxo;1,12su;1,xsu;1,q1u;1,hio;2,au0;1s,gxo;1,12su;1,xsu;1,q1u;1,hio;2,au0;g,gxo;w,2s00;w,2p3c;1,mio;1s,g9o;4,dro;1s,hi0;1,yio;1,xsu;w,1eyu;w,1gpo;w,1gyu;w,1hi0;w,2p00;w,2q3c;1,mio;1s,fu0;4,v3o;4,k3o;1,qsu;1,q1u;w,1eyu;w,1fmo;w,1fgu;w,1fx0;w,2rlc;w,2rfc;8,pyu;8,m1u;4,19fo;4,13i0;8,q1u;8,qo0;w,1gpo;w,1fmo;w,1hvo;w,1hjo;w,2q00;w,2rrc;8,z0o;4,v3o;4,19fo;4,1rxo;8,13co;8,11ro;w,1gyu;w,1fgu;w,1hvo;4,1rxo;w,2rc0;w,2rxc;8,tuo;8,qyu;4,13i0;4,1rxo;8,ypu;8,y7u;w,1hi0;w,1fx0;w,1hjo;4,1rxo;w,2pc0;w,2p3c;9,lz0;1s,f3o;3k,cvu;1s,gi0;w,2v9c;w,2q3c;9,lz0;4,f60;4,u3o;4,ko0;w,2to0;w,2rfc;g,f3o;4,f60;4,1a00;4,149o;w,2v00;w,2rrc;3k,cvu;4,u3o;4,1a00;4,1pfo;w,2vc0;w,2rxc;g,gi0;4,ko0;4,149o;4,1pfo;1,12su;1,y7u;1,q7u;1,gyu;g,aro;1s,fxo;1,12su;1,y7u;1,q7u;1,gyu;1s,aro;g,fxo;1,12su;1,xsu;1,q1u;1,hio;3k,au0;1s,gxo;1,12su;1,xsu;1,q1u;1,hio;3k,au0;g,gxo;w,2pc0;w,2p3c;1,lz0;1s,f3o;g,cvu;1s,gi0;1,y7u;1,xsu;w,1fii;w,1g1u;w,1f4u;w,1g1u;w,2v9c;w,2q3c;1,lz0;4,f60;4,u3o;4,ko0;1,q7u;1,q1u;w,1fii;w,1jao;w,1iao;w,1jfi;w,2to0;w,2rfc;8,qc6;8,m06;4,1a00;4,149o;8,rau;8,qo0;w,1g1u;w,1jao;w,1imu;w,1jo0;w,2v00;w,2rrc;8,y7u;4,u3o;4,1a00;4,1pfo;8,11au;8,11ro;w,1f4u;w,1iao;w,1imu;4,1pfo;w,2vc0;w,2rxc;8,tfo;8,qro;4,149o;4,1pfo;8,ymu;8,y7u;w,1g1u;w,1jfi;w,1jo0;4,1pfo;9,lfo;9,mio;9,lz0;9,1fii;9,1eyu;9,1g1u;g,g3o;g,g9o;g,f3o;9,1fii;9,1gau;9,1hi0;1s,dc0;3k,c7u;3k,cvu;9,1eyu;9,1gau;4,1i9o;g,gi0;g,hi0;g,gi0;9,1g1u;9,1hi0;4,1i9o;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2p3c;8,1eyu;8,1gpo;8,1gyu;8,1hi0;4,2s00;4,2p3c;8,1eyu;8,1gpo;8,1gyu;8,1hi0;4,2pc0;4,2p3c;8,1fii;8,1g1u;8,1f4u;8,1g1u;4,2pc0;4,2p3c;8,1fii;8,1g1u;8,1f4u;8,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;8,q3o;8,pyu;8,qc6;1,1fii;1,1gau;1,1hi0;8,q3o;8,pyu;8,qc6;1,1fii;1,1gau;1,1hi0;8,ygu;8,z0o;8,y7u;1,1eyu;1,1gau;4,1i9o;8,ygu;8,z0o;8,y7u;1,1eyu;1,1gau;4,1i9o;8,tlo;8,tuo;8,tfo;1,1g1u;1,1hi0;4,1i9o;8,tlo;8,tuo;8,tfo;1,1g1u;1,1hi0;4,1i9o;g,fo0;g,fu0;g,eo0;9,1fii;9,1hyo;9,1ivo;1s,d2o;3k,b96;3k,ci6;9,1eyu;9,1hyo;9,1il0;g,ero;g,fro;g,ero;9,1g1u;9,1ivo;9,1il0;4,2p00;4,2v9c;8,1g1u;8,1hfi;8,1hr0;8,1i60;4,2p00;4,2v9c;8,1g1u;8,1hfi;8,1hr0;8,1i60;4,2p00;4,2q3c;8,1eyu;8,1fmo;8,1fgu;8,1fx0;4,2p00;4,2q3c;8,1eyu;8,1fmo;8,1fgu;8,1fx0;4,2v9c;4,2q3c;8,1fii;8,1jao;8,1iao;8,1jfi;4,2v9c;4,2q3c;8,1fii;8,1jao;8,1iao;8,1jfi;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;8,lfo;8,m1u;8,m06;1,1fii;1,1hyo;1,1ivo;8,lfo;8,m1u;8,m06;1,1fii;1,1hyo;1,1ivo;8,q7u;8,qco;8,pgu;1,1eyu;1,1hyo;1,1il0;8,q7u;8,qco;8,pgu;1,1eyu;1,1hyo;1,1il0;8,qsu;8,qyu;8,qro;1,1g1u;1,1ivo;1,1il0;8,qsu;8,qyu;8,qro;1,1g1u;1,1ivo;1,1il0;2,dxo;2,e3o;2,cxo;9,1gau;9,1hyo;9,1ko0;1s,c8o;1s,c2o;3k,8mc;9,1hi0;9,1ivo;9,1ko0;4,2rlc;4,2to0;8,1gju;8,1hfi;8,1if0;8,1ju0;4,2rlc;4,2to0;8,1gju;8,1hfi;8,1if0;8,1ju0;4,2rlc;4,2rfc;8,1gpo;8,1fmo;8,1hvo;8,1hjo;4,2rlc;4,2rfc;8,1gpo;8,1fmo;8,1hvo;8,1hjo;4,2to0;4,2rfc;8,1g1u;8,1jao;8,1imu;8,1jo0;4,2to0;4,2rfc;8,1g1u;8,1jao;8,1imu;8,1jo0;2,g3o;2,g9o;2,f3o;1,1fii;1,1gau;1,1hi0;w,q3o;w,pyu;w,qc6;1,1fii;1,1gau;1,1hi0;2,fo0;2,fu0;8,epu;1,1fii;1,1hyo;1,1ivo;w,lfo;w,m1u;w,m06;1,1fii;1,1hyo;1,1ivo;8,i1u;8,j6o;8,hio;1,1gau;1,1hyo;1,1ko0;8,i1u;8,j6o;8,hio;1,1gau;1,1hyo;1,1ko0;8,hvu;8,h9o;8,gyu;1,1hi0;1,1ivo;1,1ko0;8,hvu;8,h9o;8,gyu;1,1hi0;1,1ivo;1,1ko0;g,g9o;g,h9o;g,g9o;9,1gyc;9,1il0;9,1ko0;4,2q00;4,2v00;8,1g4c;8,1hr0;8,1if0;w,1r60;4,2q00;4,2v00;8,1g4c;8,1hr0;8,1if0;8,1jac;4,2q00;4,2rrc;8,1gyu;8,1fgu;8,1hvo;w,1rxo;4,2q00;4,2rrc;8,1gyu;8,1fgu;8,1hvo;8,1hi0;4,2v00;4,2rrc;8,1f4u;8,1iao;8,1imu;w,1pfo;4,2v00;4,2rrc;8,1f4u;8,1iao;8,1imu;8,1jf0;1s,dc0;g,c7u;g,cvu;1,1eyu;1,1gau;w,1i9o;w,ygu;w,z0o;w,y7u;1,1eyu;1,1gau;1,1gyc;1s,d2o;g,b96;g,ci6;1,1eyu;1,1hyo;1,1il0;w,q7u;w,qco;w,pgu;1,1eyu;1,1hyo;1,1il0;3k,dxo;3k,e3o;3k,cxo;1,1gau;1,1hyo;1,1ko0;w,i1u;w,j6o;w,hio;1,1gau;1,1hyo;1,1ko0;3k,g9o;3k,h9o;3k,g9o;1,1gyc;1,1il0;1,1ko0;3k,g9o;3k,h9o;3k,g9o;1,1gyc;1,1il0;1,1ko0;4,2rc0;4,2vc0;8,1gyc;8,1i60;8,1ju0;w,1r60;4,2rc0;4,2vc0;8,1gyc;8,1i60;8,1ju0;8,1jac;4,2rc0;4,2rxc;8,1hi0;8,1fx0;8,1hjo;w,1rxo;4,2rc0;4,2rxc;8,1hi0;8,1fx0;8,1hjo;8,1hi0;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;w,1pfo;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;2,gi0;2,hi0;2,gi0;1,1g1u;1,1hi0;w,1i9o;w,tlo;w,tuo;w,tfo;1,1g1u;1,1hi0;1,1gyc;2,ero;2,fro;2,ero;1,1g1u;1,1ivo;1,1il0;w,qsu;w,qyu;w,qro;1,1g1u;1,1ivo;1,1il0;1s,c8o;1s,c2o;8,9gc;1,1hi0;1,1ivo;1,1ko0;w,hvu;w,h9o;w,gyu;1,1hi0;1,1ivo;1,1ko0;2,g9o;2,h9o;2,g9o;1,1gyc;1,1il0;1,1ko0;2,g9o;2,h9o;2,g9o;1,1gyc;1,1il0;1,1ko0;4,cuyo;1,rvu;4,xc0;w,qsu;1s,tro;w,w1u;4,cuyo;4,xc0;1,q7u;w,qyu;1s,sro;w,v6o;1,rvu;4,xc0;8,1g1u;8,1jfi;8,1jo0;8,1jf0;4,xc0;1,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;g,ero;g,fro;8,1jfi;8,1hfi;8,1l30;8,1lf0;g,tro;g,sro;8,1jo0;8,1hr0;8,1l30;8,1ljc;g,m9o;g,mu0;8,1jf0;8,1i60;8,1lf0;8,1ljc;4,cuyo;1,rvu;4,xc0;w,qsu;1s,tro;w,w1u;1,qvu;1,q1u;w,r00;1s,tro;w,vro;1,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;1,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;g,elo;8,1hl0;8,1fmo;8,1ix0;8,1jl0;g,tro;8,1gr6;8,1fgu;8,1ix0;8,1igc;g,lu0;8,1iac;8,1fx0;8,1jl0;8,1igc;4,xc0;1,q7u;w,qyu;1s,sro;w,v6o;1,qvu;1,q1u;w,r00;1s,tro;w,vro;8,1fii;8,1gc0;8,1gf0;8,1gju;8,1fii;8,1jao;8,1iao;8,1jfi;8,1gc0;8,1jao;8,1jl0;8,1ju0;8,1gf0;8,1iao;8,1jl0;8,1kl0;8,1gju;8,1jfi;8,1ju0;8,1kl0;1,lfo;w,qro;1s,tc0;w,q1u;1,mio;w,rau;1s,uc0;w,rau;1,lz0;w,ql6;1s,tc0;w,q3o;1,1fii;1,1eyu;1,1g1u;1,1fii;1,1ir0;1,1j30;1,1eyu;1,1ir0;1,1j4c;1,1g1u;1,1j30;1,1j4c;w,lfo;1s,u3o;w,qsu;w,m1u;1s,v3o;w,qyu;w,m06;1s,u3o;w,qro;1,1fii;1,1eyu;1,1g1u;1,1hyo;1,1ivo;1,1hyo;1,1il0;1,1ivo;1,1il0;1s,kfo;1s,mlo;1s,lfo;1s,llo;1s,kfo;1s,m60;1,1ir0;1,1j30;1,1hyo;1,1ivo;4,4mo0;4,4mo0;3k,dro;3k,ero;4,e60;1,1j4c;1,1il0;4,4mo0;9,w1u;9,rvu;9,qsu;1s,ero;1s,tro;1s,m9o;9,w1u;9,qpu;9,q7u;1s,fro;1s,sro;1s,mu0;w,2vc0;w,2rxc;9,lfo;1s,ero;1s,tc0;1s,nlo;w,2p00;w,2v9c;9,lfo;4,fo0;1s,u3o;1s,l3o;w,2uxc;w,2w9c;g,ero;4,fo0;4,139o;4,1blo;w,2tc0;w,2xlc;g,tc0;g,u3o;4,139o;4,1bu0;w,2uo0;w,2xxc;g,nlo;g,l3o;4,1blo;4,1bu0;1,w1u;1,rvu;1,qsu;1s,ero;1s,tro;1s,m9o;1,w1u;1,rvu;1,qsu;g,ero;g,tro;g,m9o;1,w1u;1,qpu;1,q7u;1s,fro;1s,sro;1s,mu0;1,w1u;1,qpu;1,q7u;g,fro;g,sro;g,mu0;w,2vc0;w,2rxc;1,lfo;1s,ero;1s,tc0;1s,nlo;1,rvu;1,qpu;w,1g1u;w,1jfi;w,1jo0;w,1jf0;w,2p00;w,2v9c;1,lfo;4,fo0;1s,u3o;1s,l3o;1,qsu;1,q7u;w,1g1u;w,1hfi;w,1hr0;w,1i60;w,2uxc;w,2w9c;8,qro;8,lfo;4,139o;4,1blo;8,qsu;8,qyu;w,1jfi;w,1hfi;w,1l30;w,1lf0;w,2tc0;w,2xlc;3k,tc0;3k,u3o;4,139o;4,1bu0;3k,tro;3k,sro;w,1jo0;w,1hr0;w,1l30;w,1ljc;w,2uo0;w,2xxc;8,q1u;8,qsu;4,1blo;4,1bu0;8,w1u;8,v6o;w,1jf0;w,1i60;w,1lf0;w,1ljc;9,w1u;9,qvu;9,q1u;1s,elo;1s,tro;1s,lu0;w,2vc0;w,2ni0;9,mio;1s,dlo;1s,uc0;1s,mlo;w,2p00;w,2q3c;9,mio;4,fu0;1s,v3o;1s,k3o;w,2uxc;w,2pu0;g,dlo;4,fu0;4,129o;4,1c60;w,2tc0;w,2q60;g,uc0;g,v3o;4,129o;4,1clo;w,2uo0;w,2qc0;g,mlo;g,k3o;4,1c60;4,1clo;1,w1u;1,rvu;1,qsu;1s,ero;1s,tro;1s,m9o;1,w1u;1,rvu;1,qsu;g,ero;g,tro;g,m9o;1,w1u;1,qvu;1,q1u;1s,elo;1s,tro;1s,lu0;1,w1u;1,qvu;1,q1u;g,elo;g,tro;g,lu0;w,2vc0;w,2ni0;1,mio;1s,dlo;1s,uc0;1s,mlo;1,rvu;1,qvu;w,1eyu;w,1hl0;w,1gr6;w,1iac;w,2p00;w,2q3c;1,mio;4,fu0;1s,v3o;1s,k3o;1,qsu;1,q1u;w,1eyu;w,1fmo;w,1fgu;w,1fx0;w,2uxc;w,2pu0;8,rau;8,m1u;4,129o;4,1c60;8,qsu;8,r00;w,1hl0;w,1fmo;w,1ix0;w,1jl0;w,2tc0;w,2q60;3k,uc0;3k,v3o;4,129o;4,1clo;3k,tro;3k,tro;w,1gr6;w,1fgu;w,1ix0;w,1igc;w,2uo0;w,2qc0;8,rau;8,qyu;4,1c60;4,1clo;8,w1u;8,vro;w,1iac;w,1fx0;w,1jl0;w,1igc;w,2rxc;w,2ni0;9,lz0;3k,er0;1s,tc0;1s,n60;w,2v9c;w,2q3c;9,lz0;1s,f60;1s,u3o;1s,ko0;w,2w9c;w,2pu0;3k,er0;g,f60;4,12u0;4,1cxo;w,2xlc;w,2q60;g,tc0;g,u3o;4,12u0;4,1a3o;w,2xxc;w,2qc0;g,n60;g,ko0;4,1cxo;4,1a3o;1,w1u;1,qpu;1,q7u;1s,fro;1s,sro;1s,mu0;1,w1u;1,qpu;1,q7u;g,fro;g,sro;g,mu0;1,w1u;1,qvu;1,q1u;1s,elo;1s,tro;1s,lu0;1,w1u;1,qvu;1,q1u;g,elo;g,tro;g,lu0;w,2rxc;w,2ni0;1,lz0;g,er0;1s,tc0;1s,n60;1,qpu;1,qvu;w,1fii;w,1gc0;w,1gf0;w,1gju;w,2v9c;w,2q3c;1,lz0;1s,f60;1s,u3o;1s,ko0;1,q7u;1,q1u;w,1fii;w,1jao;w,1iao;w,1jfi;w,2w9c;w,2pu0;8,ql6;8,m06;4,12u0;4,1cxo;8,qyu;8,r00;w,1gc0;w,1jao;w,1jl0;w,1ju0;w,2xlc;w,2q60;3k,tc0;3k,u3o;4,12u0;4,1a3o;3k,sro;3k,tro;w,1gf0;w,1iao;w,1jl0;w,1kl0;w,2xxc;w,2qc0;8,q3o;8,qro;4,1cxo;4,1a3o;8,v6o;8,vro;w,1gju;w,1jfi;w,1ju0;w,1kl0;9,lfo;9,mio;9,lz0;9,1fii;9,1eyu;9,1g1u;g,ero;g,dlo;3k,er0;9,1fii;9,1ir0;9,1j30;g,tc0;g,uc0;g,tc0;9,1eyu;9,1ir0;9,1j4c;g,nlo;g,mlo;g,n60;9,1g1u;9,1j30;9,1j4c;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;4,2vc0;4,2ni0;8,1eyu;8,1hl0;8,1gr6;8,1iac;4,2vc0;4,2ni0;8,1eyu;8,1hl0;8,1gr6;8,1iac;4,2rxc;4,2ni0;8,1fii;8,1gc0;8,1gf0;8,1gju;4,2rxc;4,2ni0;8,1fii;8,1gc0;8,1gf0;8,1gju;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;8,qro;8,rau;8,ql6;1,1fii;1,1ir0;1,1j30;8,qro;8,rau;8,ql6;1,1fii;1,1ir0;1,1j30;3k,tc0;3k,uc0;3k,tc0;1,1eyu;1,1ir0;1,1j4c;3k,tc0;3k,uc0;3k,tc0;1,1eyu;1,1ir0;1,1j4c;8,q1u;8,rau;8,q3o;1,1g1u;1,1j30;1,1j4c;8,q1u;8,rau;8,q3o;1,1g1u;1,1j30;1,1j4c;g,fc0;g,e60;g,f60;9,1fii;9,1hyo;9,1ivo;g,u3o;g,v3o;g,u3o;9,1eyu;9,1hyo;9,1il0;g,l3o;g,k3o;g,ko0;9,1g1u;9,1ivo;9,1il0;4,2p00;4,2v9c;8,1g1u;8,1hfi;8,1hr0;8,1i60;4,2p00;4,2v9c;8,1g1u;8,1hfi;8,1hr0;8,1i60;4,2p00;4,2q3c;8,1eyu;8,1fmo;8,1fgu;8,1fx0;4,2p00;4,2q3c;8,1eyu;8,1fmo;8,1fgu;8,1fx0;4,2v9c;4,2q3c;8,1fii;8,1jao;8,1iao;8,1jfi;4,2v9c;4,2q3c;8,1fii;8,1jao;8,1iao;8,1jfi;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;1,lfo;1,mio;1,lz0;1,1fii;1,1eyu;1,1g1u;8,lfo;8,m1u;8,m06;1,1fii;1,1hyo;1,1ivo;8,lfo;8,m1u;8,m06;1,1fii;1,1hyo;1,1ivo;3k,u3o;3k,v3o;3k,u3o;1,1eyu;1,1hyo;1,1il0;3k,u3o;3k,v3o;3k,u3o;1,1eyu;1,1hyo;1,1il0;8,qsu;8,qyu;8,qro;1,1g1u;1,1ivo;1,1il0;8,qsu;8,qyu;8,qro;1,1g1u;1,1ivo;1,1il0;g,kfo;g,lfo;g,kfo;9,1ir0;9,1hyo;9,1mvc;g,mlo;g,llo;g,m60;9,1j30;9,1ivo;9,1mvc;4,2uxc;4,2w9c;8,1jfi;8,1hfi;8,1l30;8,1lf0;4,2uxc;4,2w9c;8,1jfi;8,1hfi;8,1l30;8,1lf0;4,2uxc;4,2pu0;8,1hl0;8,1fmo;8,1ix0;8,1jl0;4,2uxc;4,2pu0;8,1hl0;8,1fmo;8,1ix0;8,1jl0;4,2w9c;4,2pu0;8,1gc0;8,1jao;8,1jl0;8,1ju0;4,2w9c;4,2pu0;8,1gc0;8,1jao;8,1jl0;8,1ju0;2,ero;2,dlo;g,er0;1,1fii;1,1ir0;1,1j30;w,qro;w,rau;w,ql6;1,1fii;1,1ir0;1,1j30;2,fc0;2,e60;2,f60;1,1fii;1,1hyo;1,1ivo;w,lfo;w,m1u;w,m06;1,1fii;1,1hyo;1,1ivo;3k,kfo;3k,lfo;3k,kfo;1,1ir0;1,1hyo;1,1mvc;3k,kfo;3k,lfo;3k,kfo;1,1ir0;1,1hyo;1,1mvc;3k,mlo;3k,llo;3k,m60;1,1j30;1,1ivo;1,1mvc;3k,mlo;3k,llo;3k,m60;1,1j30;1,1ivo;1,1mvc;2,dro;2,ero;2,dro;9,1j4c;9,1il0;9,1mvc;4,2tc0;4,2xlc;8,1jo0;8,1hr0;8,1l30;8,1ljc;4,2tc0;4,2xlc;8,1jo0;8,1hr0;8,1l30;8,1ljc;4,2tc0;4,2q60;8,1gr6;8,1fgu;8,1ix0;8,1igc;4,2tc0;4,2q60;8,1gr6;8,1fgu;8,1ix0;8,1igc;4,2xlc;4,2q60;8,1gf0;8,1iao;8,1jl0;8,1kl0;4,2xlc;4,2q60;8,1gf0;8,1iao;8,1jl0;8,1kl0;2,tc0;2,uc0;2,tc0;1,1eyu;1,1ir0;1,1j4c;2,tc0;2,uc0;2,tc0;1,1eyu;1,1ir0;1,1j4c;2,u3o;2,v3o;2,u3o;1,1eyu;1,1hyo;1,1il0;2,u3o;2,v3o;2,u3o;1,1eyu;1,1hyo;1,1il0;2,kfo;2,lfo;2,kfo;1,1ir0;1,1hyo;1,1mvc;2,kfo;2,lfo;2,kfo;1,1ir0;1,1hyo;1,1mvc;2,dro;2,ero;2,dro;1,1j4c;1,1il0;1,1mvc;2,dro;2,ero;2,dro;1,1j4c;1,1il0;1,1mvc;4,2uo0;4,2xxc;8,1jf0;8,1i60;8,1lf0;8,1ljc;4,2uo0;4,2xxc;8,1jf0;8,1i60;8,1lf0;8,1ljc;4,2uo0;4,2qc0;8,1iac;8,1fx0;8,1jl0;8,1igc;4,2uo0;4,2qc0;8,1iac;8,1fx0;8,1jl0;8,1igc;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;2,nlo;2,mlo;2,n60;1,1g1u;1,1j30;1,1j4c;w,q1u;w,rau;w,q3o;1,1g1u;1,1j30;1,1j4c;2,l3o;2,k3o;2,ko0;1,1g1u;1,1ivo;1,1il0;w,qsu;w,qyu;w,qro;1,1g1u;1,1ivo;1,1il0;2,mlo;2,llo;2,m60;1,1j30;1,1ivo;1,1mvc;2,mlo;2,llo;2,m60;1,1j30;1,1ivo;1,1mvc;3k,dro;3k,ero;3k,dro;1,1j4c;1,1il0;1,1mvc;3k,dro;3k,ero;3k,dro;1,1j4c;1,1il0;1,1mvc;4,cuyo;2,v6o;4,xc0;2,qsu;1s,1blo;1s,1bu0;4,cuyo;4,xc0;2,rau;2,qyu;1s,1c60;1s,1clo;2,v6o;4,xc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,xc0;2,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;2,qsu;2,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;g,1blo;g,1c60;8,1ju0;8,1if0;8,1l30;8,1mvc;g,1bu0;g,1clo;8,1kl0;8,1ju0;8,1lf0;8,1mvc;4,cuyo;2,v6o;4,xc0;2,qsu;1s,1blo;1s,1bu0;2,v1u;2,qo0;2,r00;1s,1b60;1s,1d60;2,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;2,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;2,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;g,1b60;8,1j30;8,1hvo;8,1ix0;8,1ko0;g,1d60;8,1ju0;8,1hjo;8,1jl0;8,1ko0;4,xc0;2,rau;2,qyu;1s,1c60;1s,1clo;2,v1u;2,qo0;2,r00;1s,1b60;1s,1d60;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,1g1u;8,1jao;8,1imu;8,1jo0;8,1gc0;8,1jao;8,1jl0;8,1ju0;8,1g36;8,1imu;8,1jl0;8,1jyc;8,1g4c;8,1jo0;8,1ju0;8,1jyc;2,q3o;2,qro;1s,1cxo;1s,1a3o;2,pyu;2,rau;1s,1bxo;1s,1ao0;2,qc6;2,ql6;1s,1ci0;1s,1bfo;1,1fii;1,1gau;1,1hi0;1,1fii;1,1ir0;1,1j30;1,1gau;1,1ir0;1,1jyc;1,1hi0;1,1j30;1,1jyc;2,lfo;1s,1afo;1s,12xo;2,m1u;1s,19fo;1s,13i0;2,m06;1s,1a00;1s,149o;1,1fii;1,1gau;1,1hi0;1,1hyo;1,1ivo;1,1hyo;1,1ko0;1,1ivo;1,1ko0;1s,139o;1s,1blo;1s,129o;1s,1c60;1s,12u0;1s,1cxo;1,1ir0;1,1j30;1,1hyo;1,1ivo;4,2bc0;4,2bc0;3k,fxo;1s,g60;1s,gxo;1,1jyc;1,1ko0;4,2bc0;3k,w1u;3k,v6o;3k,q1u;3k,qsu;1s,1blo;1s,1bu0;3k,w1u;3k,vro;3k,rau;3k,qyu;1s,1c60;1s,1clo;w,2xxc;w,2qc0;3k,q3o;3k,qro;1s,1cxo;1s,1a3o;w,2rlc;w,2to0;3k,q3o;3k,lfo;1s,1afo;1s,12xo;w,2uxc;w,2w9c;3k,qro;3k,lfo;1s,139o;1s,1blo;w,2vxc;w,2w00;g,1cxo;g,1afo;g,139o;4,v60;w,2x9c;w,2wc0;g,1a3o;g,12xo;g,1blo;4,v60;g,w1u;g,v6o;g,q1u;g,qsu;1s,1blo;1s,1bu0;1s,w1u;1s,v6o;1s,q1u;1s,qsu;g,1blo;g,1bu0;g,w1u;g,vro;g,rau;g,qyu;1s,1c60;1s,1clo;1s,w1u;1s,vro;1s,rau;1s,qyu;g,1c60;g,1clo;w,2xxc;w,2qc0;g,q3o;g,qro;1s,1cxo;1s,1a3o;1s,v6o;1s,vro;w,1gju;w,1jfi;w,1ju0;w,1kl0;w,2rlc;w,2to0;g,q3o;g,lfo;1s,1afo;1s,12xo;1s,q1u;1s,rau;w,1gju;w,1hfi;w,1if0;w,1ju0;w,2uxc;w,2w9c;g,qro;g,lfo;1s,139o;1s,1blo;1s,qsu;1s,qyu;w,1jfi;w,1hfi;w,1l30;w,1lf0;w,2vxc;w,2w00;3k,1cxo;3k,1afo;3k,139o;4,v60;3k,1blo;3k,1c60;w,1ju0;w,1if0;w,1l30;w,1mvc;w,2x9c;w,2wc0;3k,1a3o;3k,12xo;3k,1blo;4,v60;3k,1bu0;3k,1clo;w,1kl0;w,1ju0;w,1lf0;w,1mvc;3k,w1u;3k,v1u;3k,qo0;3k,r00;1s,1b60;1s,1d60;w,2xxc;w,2ou0;3k,pyu;3k,rau;1s,1bxo;1s,1ao0;w,2rlc;w,2rfc;3k,pyu;3k,m1u;1s,19fo;1s,13i0;w,2uxc;w,2pu0;3k,rau;3k,m1u;1s,129o;1s,1c60;w,2vxc;w,2ri0;g,1bxo;g,19fo;g,129o;4,vxo;w,2x9c;w,2ro0;g,1ao0;g,13i0;g,1c60;4,vxo;g,w1u;g,v6o;g,q1u;g,qsu;1s,1blo;1s,1bu0;1s,w1u;1s,v6o;1s,q1u;1s,qsu;g,1blo;g,1bu0;g,w1u;g,v1u;g,qo0;g,r00;1s,1b60;1s,1d60;1s,w1u;1s,v1u;1s,qo0;1s,r00;g,1b60;g,1d60;w,2xxc;w,2ou0;g,pyu;g,rau;1s,1bxo;1s,1ao0;1s,v6o;1s,v1u;w,1gpo;w,1hl0;w,1j30;w,1ju0;w,2rlc;w,2rfc;g,pyu;g,m1u;1s,19fo;1s,13i0;1s,q1u;1s,qo0;w,1gpo;w,1fmo;w,1hvo;w,1hjo;w,2uxc;w,2pu0;g,rau;g,m1u;1s,129o;1s,1c60;1s,qsu;1s,r00;w,1hl0;w,1fmo;w,1ix0;w,1jl0;w,2vxc;w,2ri0;3k,1bxo;3k,19fo;3k,129o;4,vxo;3k,1blo;3k,1b60;w,1j30;w,1hvo;w,1ix0;w,1ko0;w,2x9c;w,2ro0;3k,1ao0;3k,13i0;3k,1c60;4,vxo;3k,1bu0;3k,1d60;w,1ju0;w,1hjo;w,1jl0;w,1ko0;w,2qc0;w,2ou0;3k,qc6;3k,ql6;1s,1ci0;1s,1bfo;w,2to0;w,2rfc;3k,qc6;3k,m06;1s,1a00;1s,149o;w,2w9c;w,2pu0;3k,ql6;3k,m06;1s,12u0;1s,1cxo;w,2w00;w,2ri0;g,1ci0;g,1a00;g,12u0;4,tfo;w,2wc0;w,2ro0;g,1bfo;g,149o;g,1cxo;4,tfo;g,w1u;g,vro;g,rau;g,qyu;1s,1c60;1s,1clo;1s,w1u;1s,vro;1s,rau;1s,qyu;g,1c60;g,1clo;g,w1u;g,v1u;g,qo0;g,r00;1s,1b60;1s,1d60;1s,w1u;1s,v1u;1s,qo0;1s,r00;g,1b60;g,1d60;w,2qc0;w,2ou0;g,qc6;g,ql6;1s,1ci0;1s,1bfo;1s,vro;1s,v1u;w,1g1u;w,1gc0;w,1g36;w,1g4c;w,2to0;w,2rfc;g,qc6;g,m06;1s,1a00;1s,149o;1s,rau;1s,qo0;w,1g1u;w,1jao;w,1imu;w,1jo0;w,2w9c;w,2pu0;g,ql6;g,m06;1s,12u0;1s,1cxo;1s,qyu;1s,r00;w,1gc0;w,1jao;w,1jl0;w,1ju0;w,2w00;w,2ri0;3k,1ci0;3k,1a00;3k,12u0;4,tfo;3k,1c60;3k,1b60;w,1g36;w,1imu;w,1jl0;w,1jyc;w,2wc0;w,2ro0;3k,1bfo;3k,149o;3k,1cxo;4,tfo;3k,1clo;3k,1d60;w,1g4c;w,1jo0;w,1ju0;w,1jyc;3k,q3o;3k,pyu;3k,qc6;9,1fii;9,1gau;9,1hi0;3k,qro;3k,rau;3k,ql6;9,1fii;9,1ir0;9,1j30;g,1cxo;g,1bxo;g,1ci0;9,1gau;9,1ir0;9,1jyc;g,1a3o;g,1ao0;g,1bfo;9,1hi0;9,1j30;9,1jyc;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2xxc;4,2ou0;8,1gpo;8,1hl0;8,1j30;8,1ju0;4,2xxc;4,2ou0;8,1gpo;8,1hl0;8,1j30;8,1ju0;4,2qc0;4,2ou0;8,1g1u;8,1gc0;8,1g36;8,1g4c;4,2qc0;4,2ou0;8,1g1u;8,1gc0;8,1g36;8,1g4c;g,q3o;g,pyu;g,qc6;1,1fii;1,1gau;1,1hi0;1s,q3o;1s,pyu;1s,qc6;1,1fii;1,1gau;1,1hi0;g,qro;g,rau;g,ql6;1,1fii;1,1ir0;1,1j30;1s,qro;1s,rau;1s,ql6;1,1fii;1,1ir0;1,1j30;3k,1cxo;3k,1bxo;3k,1ci0;1,1gau;1,1ir0;1,1jyc;3k,1cxo;3k,1bxo;3k,1ci0;1,1gau;1,1ir0;1,1jyc;3k,1a3o;3k,1ao0;3k,1bfo;1,1hi0;1,1j30;1,1jyc;3k,1a3o;3k,1ao0;3k,1bfo;1,1hi0;1,1j30;1,1jyc;3k,lfo;3k,m1u;3k,m06;9,1fii;9,1hyo;9,1ivo;g,1afo;g,19fo;g,1a00;9,1gau;9,1hyo;9,1ko0;g,12xo;g,13i0;g,149o;9,1hi0;9,1ivo;9,1ko0;4,2rlc;4,2to0;8,1gju;8,1hfi;8,1if0;8,1ju0;4,2rlc;4,2to0;8,1gju;8,1hfi;8,1if0;8,1ju0;4,2rlc;4,2rfc;8,1gpo;8,1fmo;8,1hvo;8,1hjo;4,2rlc;4,2rfc;8,1gpo;8,1fmo;8,1hvo;8,1hjo;4,2to0;4,2rfc;8,1g1u;8,1jao;8,1imu;8,1jo0;4,2to0;4,2rfc;8,1g1u;8,1jao;8,1imu;8,1jo0;g,q3o;g,pyu;g,qc6;1,1fii;1,1gau;1,1hi0;1s,q3o;1s,pyu;1s,qc6;1,1fii;1,1gau;1,1hi0;g,lfo;g,m1u;g,m06;1,1fii;1,1hyo;1,1ivo;1s,lfo;1s,m1u;1s,m06;1,1fii;1,1hyo;1,1ivo;3k,1afo;3k,19fo;3k,1a00;1,1gau;1,1hyo;1,1ko0;3k,1afo;3k,19fo;3k,1a00;1,1gau;1,1hyo;1,1ko0;3k,12xo;3k,13i0;3k,149o;1,1hi0;1,1ivo;1,1ko0;3k,12xo;3k,13i0;3k,149o;1,1hi0;1,1ivo;1,1ko0;g,139o;g,129o;g,12u0;9,1ir0;9,1hyo;9,1mvc;g,1blo;g,1c60;g,1cxo;9,1j30;9,1ivo;9,1mvc;4,2uxc;4,2w9c;8,1jfi;8,1hfi;8,1l30;8,1lf0;4,2uxc;4,2w9c;8,1jfi;8,1hfi;8,1l30;8,1lf0;4,2uxc;4,2pu0;8,1hl0;8,1fmo;8,1ix0;8,1jl0;4,2uxc;4,2pu0;8,1hl0;8,1fmo;8,1ix0;8,1jl0;4,2w9c;4,2pu0;8,1gc0;8,1jao;8,1jl0;8,1ju0;4,2w9c;4,2pu0;8,1gc0;8,1jao;8,1jl0;8,1ju0;g,qro;g,rau;g,ql6;1,1fii;1,1ir0;1,1j30;1s,qro;1s,rau;1s,ql6;1,1fii;1,1ir0;1,1j30;g,lfo;g,m1u;g,m06;1,1fii;1,1hyo;1,1ivo;1s,lfo;1s,m1u;1s,m06;1,1fii;1,1hyo;1,1ivo;3k,139o;3k,129o;3k,12u0;1,1ir0;1,1hyo;1,1mvc;3k,139o;3k,129o;3k,12u0;1,1ir0;1,1hyo;1,1mvc;3k,1blo;3k,1c60;3k,1cxo;1,1j30;1,1ivo;1,1mvc;3k,1blo;3k,1c60;3k,1cxo;1,1j30;1,1ivo;1,1mvc;2,fxo;g,g60;g,gxo;9,1jyc;9,1ko0;9,1mvc;4,2vxc;4,2w00;8,1ju0;8,1if0;8,1l30;8,1mvc;4,2vxc;4,2w00;8,1ju0;8,1if0;8,1l30;8,1mvc;4,2vxc;4,2ri0;8,1j30;8,1hvo;8,1ix0;8,1ko0;4,2vxc;4,2ri0;8,1j30;8,1hvo;8,1ix0;8,1ko0;4,2w00;4,2ri0;8,1g36;8,1imu;8,1jl0;8,1jyc;4,2w00;4,2ri0;8,1g36;8,1imu;8,1jl0;8,1jyc;2,1cxo;2,1bxo;2,1ci0;1,1gau;1,1ir0;1,1jyc;2,1cxo;2,1bxo;2,1ci0;1,1gau;1,1ir0;1,1jyc;2,1afo;2,19fo;2,1a00;1,1gau;1,1hyo;1,1ko0;2,1afo;2,19fo;2,1a00;1,1gau;1,1hyo;1,1ko0;2,139o;2,129o;2,12u0;1,1ir0;1,1hyo;1,1mvc;2,139o;2,129o;2,12u0;1,1ir0;1,1hyo;1,1mvc;2,fxo;3k,g60;3k,gxo;1,1jyc;1,1ko0;1,1mvc;2,fxo;3k,g60;3k,gxo;1,1jyc;1,1ko0;1,1mvc;4,2x9c;4,2wc0;8,1kl0;8,1ju0;8,1lf0;8,1mvc;4,2x9c;4,2wc0;8,1kl0;8,1ju0;8,1lf0;8,1mvc;4,2x9c;4,2ro0;8,1ju0;8,1hjo;8,1jl0;8,1ko0;4,2x9c;4,2ro0;8,1ju0;8,1hjo;8,1jl0;8,1ko0;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;2,1a3o;2,1ao0;2,1bfo;1,1hi0;1,1j30;1,1jyc;2,1a3o;2,1ao0;2,1bfo;1,1hi0;1,1j30;1,1jyc;2,12xo;2,13i0;2,149o;1,1hi0;1,1ivo;1,1ko0;2,12xo;2,13i0;2,149o;1,1hi0;1,1ivo;1,1ko0;2,1blo;2,1c60;2,1cxo;1,1j30;1,1ivo;1,1mvc;2,1blo;2,1c60;2,1cxo;1,1j30;1,1ivo;1,1mvc;3k,fxo;2,g60;2,gxo;1,1jyc;1,1ko0;1,1mvc;3k,fxo;2,g60;2,gxo;1,1jyc;1,1ko0;1,1mvc;4,cuyo;2,zdu;2,13co;1s,tro;1s,1blo;1s,1s60;4,cuyo;2,yf0;2,11au;1s,sro;1s,1c60;1s,1po0;2,zdu;2,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;2,13co;2,11au;8,1g4c;8,1hr0;8,1if0;1s,1r60;g,tro;g,sro;8,1jo0;8,1hr0;8,1l30;8,1ljc;g,1blo;g,1c60;8,1ju0;8,1if0;8,1l30;8,1mvc;g,1s60;g,1po0;8,1jyc;g,1r60;8,1ljc;8,1mvc;4,cuyo;2,zdu;2,13co;1s,tro;1s,1blo;1s,1s60;2,y7u;2,11ro;1s,tro;1s,1b60;1s,1qfo;2,y7u;8,1gyu;8,1gr6;8,1j30;1s,1j9o;2,11ro;8,1gyu;8,1fgu;8,1hvo;1s,1rxo;g,tro;8,1gr6;8,1fgu;8,1ix0;8,1igc;g,1b60;8,1j30;8,1hvo;8,1ix0;8,1ko0;g,1qfo;g,1j9o;g,1rxo;8,1igc;8,1ko0;2,yf0;2,11au;1s,sro;1s,1c60;1s,1po0;2,y7u;2,11ro;1s,tro;1s,1b60;1s,1qfo;8,1f4u;8,1gf0;8,1g36;8,1gyc;8,1f4u;8,1iao;8,1imu;1s,1pfo;8,1gf0;8,1iao;8,1jl0;8,1kl0;8,1g36;8,1imu;8,1jl0;8,1jyc;8,1gyc;g,1pfo;8,1kl0;8,1jyc;2,ygu;1s,tc0;1s,1cxo;1s,1ii0;2,z0o;1s,uc0;1s,1bxo;1s,1j9o;2,y7u;1s,tc0;1s,1ci0;1s,1gro;1,1eyu;1,1gau;1s,1i9o;1,1eyu;1,1ir0;1,1j4c;1,1gau;1,1ir0;1,1jyc;g,1i9o;1,1j4c;1,1jyc;1s,u3o;1s,1afo;1s,1r60;1s,v3o;1s,19fo;1s,1rxo;1s,u3o;1s,1a00;1s,1pfo;1,1eyu;1,1gau;1s,1i9o;1,1hyo;1,1il0;1,1hyo;1,1ko0;1,1il0;1,1ko0;1s,139o;1s,1bu0;1s,129o;1s,1clo;1s,12u0;1s,1a3o;1,1ir0;1,1j4c;1,1hyo;1,1il0;1,1mvc;1,1mvc;1s,v60;1s,vxo;1s,tfo;1,1jyc;1,1ko0;1,1mvc;3k,12su;3k,zdu;3k,13co;1s,tro;1s,1blo;1s,1s60;3k,12su;3k,yf0;3k,11au;1s,sro;1s,1c60;1s,1po0;w,2wc0;w,2ro0;3k,ygu;1s,tc0;1s,1cxo;1s,1ii0;w,2q00;w,2v00;3k,ygu;1s,u3o;1s,1afo;1s,1r60;w,2tc0;w,2xlc;g,tc0;g,u3o;1s,139o;1s,1bu0;w,2vxc;w,2w00;g,1cxo;g,1afo;g,139o;1s,v60;w,2vo0;w,2xo0;g,1ii0;g,1r60;g,1bu0;g,v60;g,12su;g,zdu;g,13co;1s,tro;1s,1blo;1s,1s60;1s,12su;1s,zdu;1s,13co;g,tro;g,1blo;g,1s60;g,12su;g,yf0;g,11au;1s,sro;1s,1c60;1s,1po0;1s,12su;1s,yf0;1s,11au;g,sro;g,1c60;g,1po0;w,2wc0;w,2ro0;g,ygu;1s,tc0;1s,1cxo;1s,1ii0;1s,zdu;1s,yf0;w,1g4c;w,1jo0;w,1ju0;w,1jyc;w,2q00;w,2v00;g,ygu;1s,u3o;1s,1afo;1s,1r60;1s,13co;1s,11au;w,1g4c;w,1hr0;w,1if0;g,1r60;w,2tc0;w,2xlc;3k,tc0;3k,u3o;1s,139o;1s,1bu0;3k,tro;3k,sro;w,1jo0;w,1hr0;w,1l30;w,1ljc;w,2vxc;w,2w00;3k,1cxo;3k,1afo;3k,139o;1s,v60;3k,1blo;3k,1c60;w,1ju0;w,1if0;w,1l30;w,1mvc;w,2vo0;w,2xo0;3k,1ii0;3k,1r60;3k,1bu0;3k,v60;3k,1s60;3k,1po0;w,1jyc;3k,1r60;w,1ljc;w,1mvc;3k,12su;3k,y7u;3k,11ro;1s,tro;1s,1b60;1s,1qfo;w,2wc0;w,2p60;3k,z0o;1s,uc0;1s,1bxo;1s,1j9o;w,2q00;w,2rrc;3k,z0o;1s,v3o;1s,19fo;1s,1rxo;w,2tc0;w,2q60;g,uc0;g,v3o;1s,129o;1s,1clo;w,2vxc;w,2ri0;g,1bxo;g,19fo;g,129o;1s,vxo;w,2vo0;w,2s00;g,1j9o;g,1rxo;g,1clo;g,vxo;g,12su;g,zdu;g,13co;1s,tro;1s,1blo;1s,1s60;1s,12su;1s,zdu;1s,13co;g,tro;g,1blo;g,1s60;g,12su;g,y7u;g,11ro;1s,tro;1s,1b60;1s,1qfo;1s,12su;1s,y7u;1s,11ro;g,tro;g,1b60;g,1qfo;w,2wc0;w,2p60;g,z0o;1s,uc0;1s,1bxo;1s,1j9o;1s,zdu;1s,y7u;w,1gyu;w,1gr6;w,1j30;g,1j9o;w,2q00;w,2rrc;g,z0o;1s,v3o;1s,19fo;1s,1rxo;1s,13co;1s,11ro;w,1gyu;w,1fgu;w,1hvo;g,1rxo;w,2tc0;w,2q60;3k,uc0;3k,v3o;1s,129o;1s,1clo;3k,tro;3k,tro;w,1gr6;w,1fgu;w,1ix0;w,1igc;w,2vxc;w,2ri0;3k,1bxo;3k,19fo;3k,129o;1s,vxo;3k,1blo;3k,1b60;w,1j30;w,1hvo;w,1ix0;w,1ko0;w,2vo0;w,2s00;3k,1j9o;3k,1rxo;3k,1clo;3k,vxo;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;w,1igc;w,1ko0;w,2ro0;w,2p60;3k,y7u;1s,tc0;1s,1ci0;1s,1gro;w,2v00;w,2rrc;3k,y7u;1s,u3o;1s,1a00;1s,1pfo;w,2xlc;w,2q60;g,tc0;g,u3o;1s,12u0;1s,1a3o;w,2w00;w,2ri0;g,1ci0;g,1a00;g,12u0;1s,tfo;w,2xo0;w,2s00;g,1gro;g,1pfo;g,1a3o;g,tfo;g,12su;g,yf0;g,11au;1s,sro;1s,1c60;1s,1po0;1s,12su;1s,yf0;1s,11au;g,sro;g,1c60;g,1po0;g,12su;g,y7u;g,11ro;1s,tro;1s,1b60;1s,1qfo;1s,12su;1s,y7u;1s,11ro;g,tro;g,1b60;g,1qfo;w,2ro0;w,2p60;g,y7u;1s,tc0;1s,1ci0;1s,1gro;1s,yf0;1s,y7u;w,1f4u;w,1gf0;w,1g36;w,1gyc;w,2v00;w,2rrc;g,y7u;1s,u3o;1s,1a00;1s,1pfo;1s,11au;1s,11ro;w,1f4u;w,1iao;w,1imu;g,1pfo;w,2xlc;w,2q60;3k,tc0;3k,u3o;1s,12u0;1s,1a3o;3k,sro;3k,tro;w,1gf0;w,1iao;w,1jl0;w,1kl0;w,2w00;w,2ri0;3k,1ci0;3k,1a00;3k,12u0;1s,tfo;3k,1c60;3k,1b60;w,1g36;w,1imu;w,1jl0;w,1jyc;w,2xo0;w,2s00;3k,1gro;3k,1pfo;3k,1a3o;3k,tfo;3k,1po0;3k,1qfo;w,1gyc;3k,1pfo;w,1kl0;w,1jyc;3k,ygu;3k,z0o;3k,y7u;9,1eyu;9,1gau;1s,1i9o;g,tc0;g,uc0;g,tc0;9,1eyu;9,1ir0;9,1j4c;g,1cxo;g,1bxo;g,1ci0;9,1gau;9,1ir0;9,1jyc;g,1ii0;g,1j9o;g,1gro;g,1i9o;9,1j4c;9,1jyc;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2wc0;4,2p60;8,1gyu;8,1gr6;8,1j30;1s,1j9o;4,2wc0;4,2p60;8,1gyu;8,1gr6;8,1j30;g,1j9o;4,2ro0;4,2p60;8,1f4u;8,1gf0;8,1g36;8,1gyc;4,2ro0;4,2p60;8,1f4u;8,1gf0;8,1g36;8,1gyc;g,ygu;g,z0o;g,y7u;1,1eyu;1,1gau;1s,1i9o;1s,ygu;1s,z0o;1s,y7u;1,1eyu;1,1gau;g,1i9o;3k,tc0;3k,uc0;3k,tc0;1,1eyu;1,1ir0;1,1j4c;3k,tc0;3k,uc0;3k,tc0;1,1eyu;1,1ir0;1,1j4c;3k,1cxo;3k,1bxo;3k,1ci0;1,1gau;1,1ir0;1,1jyc;3k,1cxo;3k,1bxo;3k,1ci0;1,1gau;1,1ir0;1,1jyc;3k,1ii0;3k,1j9o;3k,1gro;3k,1i9o;1,1j4c;1,1jyc;3k,1ii0;3k,1j9o;3k,1gro;3k,1i9o;1,1j4c;1,1jyc;g,u3o;g,v3o;g,u3o;9,1eyu;9,1hyo;9,1il0;g,1afo;g,19fo;g,1a00;9,1gau;9,1hyo;9,1ko0;g,1r60;g,1rxo;g,1pfo;g,1i9o;9,1il0;9,1ko0;4,2q00;4,2v00;8,1g4c;8,1hr0;8,1if0;1s,1r60;4,2q00;4,2v00;8,1g4c;8,1hr0;8,1if0;g,1r60;4,2q00;4,2rrc;8,1gyu;8,1fgu;8,1hvo;1s,1rxo;4,2q00;4,2rrc;8,1gyu;8,1fgu;8,1hvo;g,1rxo;4,2v00;4,2rrc;8,1f4u;8,1iao;8,1imu;1s,1pfo;4,2v00;4,2rrc;8,1f4u;8,1iao;8,1imu;g,1pfo;g,ygu;g,z0o;g,y7u;1,1eyu;1,1gau;1s,1i9o;1s,ygu;1s,z0o;1s,y7u;1,1eyu;1,1gau;g,1i9o;3k,u3o;3k,v3o;3k,u3o;1,1eyu;1,1hyo;1,1il0;3k,u3o;3k,v3o;3k,u3o;1,1eyu;1,1hyo;1,1il0;3k,1afo;3k,19fo;3k,1a00;1,1gau;1,1hyo;1,1ko0;3k,1afo;3k,19fo;3k,1a00;1,1gau;1,1hyo;1,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;1,1il0;1,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;1,1il0;1,1ko0;g,139o;g,129o;g,12u0;9,1ir0;9,1hyo;9,1mvc;g,1bu0;g,1clo;g,1a3o;9,1j4c;9,1il0;9,1mvc;4,2tc0;4,2xlc;8,1jo0;8,1hr0;8,1l30;8,1ljc;4,2tc0;4,2xlc;8,1jo0;8,1hr0;8,1l30;8,1ljc;4,2tc0;4,2q60;8,1gr6;8,1fgu;8,1ix0;8,1igc;4,2tc0;4,2q60;8,1gr6;8,1fgu;8,1ix0;8,1igc;4,2xlc;4,2q60;8,1gf0;8,1iao;8,1jl0;8,1kl0;4,2xlc;4,2q60;8,1gf0;8,1iao;8,1jl0;8,1kl0;2,tc0;2,uc0;2,tc0;1,1eyu;1,1ir0;1,1j4c;2,tc0;2,uc0;2,tc0;1,1eyu;1,1ir0;1,1j4c;2,u3o;2,v3o;2,u3o;1,1eyu;1,1hyo;1,1il0;2,u3o;2,v3o;2,u3o;1,1eyu;1,1hyo;1,1il0;3k,139o;3k,129o;3k,12u0;1,1ir0;1,1hyo;1,1mvc;3k,139o;3k,129o;3k,12u0;1,1ir0;1,1hyo;1,1mvc;3k,1bu0;3k,1clo;3k,1a3o;1,1j4c;1,1il0;1,1mvc;3k,1bu0;3k,1clo;3k,1a3o;1,1j4c;1,1il0;1,1mvc;g,v60;g,vxo;g,tfo;9,1jyc;9,1ko0;9,1mvc;4,2vxc;4,2w00;8,1ju0;8,1if0;8,1l30;8,1mvc;4,2vxc;4,2w00;8,1ju0;8,1if0;8,1l30;8,1mvc;4,2vxc;4,2ri0;8,1j30;8,1hvo;8,1ix0;8,1ko0;4,2vxc;4,2ri0;8,1j30;8,1hvo;8,1ix0;8,1ko0;4,2w00;4,2ri0;8,1g36;8,1imu;8,1jl0;8,1jyc;4,2w00;4,2ri0;8,1g36;8,1imu;8,1jl0;8,1jyc;2,1cxo;2,1bxo;2,1ci0;1,1gau;1,1ir0;1,1jyc;2,1cxo;2,1bxo;2,1ci0;1,1gau;1,1ir0;1,1jyc;2,1afo;2,19fo;2,1a00;1,1gau;1,1hyo;1,1ko0;2,1afo;2,19fo;2,1a00;1,1gau;1,1hyo;1,1ko0;2,139o;2,129o;2,12u0;1,1ir0;1,1hyo;1,1mvc;2,139o;2,129o;2,12u0;1,1ir0;1,1hyo;1,1mvc;3k,v60;3k,vxo;3k,tfo;1,1jyc;1,1ko0;1,1mvc;3k,v60;3k,vxo;3k,tfo;1,1jyc;1,1ko0;1,1mvc;4,2vo0;4,2xo0;8,1jyc;2,1r60;8,1ljc;8,1mvc;4,2vo0;4,2xo0;8,1jyc;2,1r60;8,1ljc;8,1mvc;4,2vo0;4,2s00;2,1j9o;2,1rxo;8,1igc;8,1ko0;4,2vo0;4,2s00;2,1j9o;2,1rxo;8,1igc;8,1ko0;4,2xo0;4,2s00;8,1gyc;2,1pfo;8,1kl0;8,1jyc;4,2xo0;4,2s00;8,1gyc;2,1pfo;8,1kl0;8,1jyc;2,1ii0;2,1j9o;2,1gro;2,1i9o;1,1j4c;1,1jyc;2,1ii0;2,1j9o;2,1gro;2,1i9o;1,1j4c;1,1jyc;2,1r60;2,1rxo;2,1pfo;2,1i9o;1,1il0;1,1ko0;2,1r60;2,1rxo;2,1pfo;2,1i9o;1,1il0;1,1ko0;2,1bu0;2,1clo;2,1a3o;1,1j4c;1,1il0;1,1mvc;2,1bu0;2,1clo;2,1a3o;1,1j4c;1,1il0;1,1mvc;2,v60;2,vxo;2,tfo;1,1jyc;1,1ko0;1,1mvc;2,v60;2,vxo;2,tfo;1,1jyc;1,1ko0;1,1mvc;4,cuyo;2,zpu;2,ypu;2,w1u;1s,1bu0;1s,1s60;4,cuyo;2,ymu;2,ymu;2,v6o;1s,1clo;1s,1po0;2,zpu;2,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;2,ypu;2,ymu;8,1gyc;8,1i60;8,1ju0;1s,1r60;2,w1u;2,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;g,1bu0;g,1clo;8,1kl0;8,1ju0;8,1lf0;8,1mvc;g,1s60;g,1po0;8,1jyc;g,1r60;8,1ljc;8,1mvc;4,cuyo;2,zpu;2,ypu;2,w1u;1s,1bu0;1s,1s60;2,zau;2,y7u;2,vro;1s,1d60;1s,1qfo;2,zau;8,1hi0;8,1iac;8,1ju0;1s,1j9o;2,y7u;8,1hi0;8,1fx0;8,1hjo;1s,1rxo;2,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;g,1d60;8,1ju0;8,1hjo;8,1jl0;8,1ko0;g,1qfo;g,1j9o;g,1rxo;8,1igc;8,1ko0;2,ymu;2,ymu;2,v6o;1s,1clo;1s,1po0;2,zau;2,y7u;2,vro;1s,1d60;1s,1qfo;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,1g1u;8,1jfi;8,1jo0;1s,1pfo;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,1gyc;g,1pfo;8,1kl0;8,1jyc;2,tlo;2,q1u;1s,1a3o;1s,1ii0;2,tuo;2,rau;1s,1ao0;1s,1j9o;2,tfo;2,q3o;1s,1bfo;1s,1gro;1,1g1u;1,1hi0;1s,1i9o;1,1g1u;1,1j30;1,1j4c;1,1hi0;1,1j30;1,1jyc;g,1i9o;1,1j4c;1,1jyc;2,qsu;1s,12xo;1s,1r60;2,qyu;1s,13i0;1s,1rxo;2,qro;1s,149o;1s,1pfo;1,1g1u;1,1hi0;1s,1i9o;1,1ivo;1,1il0;1,1ivo;1,1ko0;1,1il0;1,1ko0;1s,1blo;1s,1bu0;1s,1c60;1s,1clo;1s,1cxo;1s,1a3o;1,1j30;1,1j4c;1,1ivo;1,1il0;1,1mvc;1,1mvc;1s,v60;1s,vxo;1s,tfo;1,1jyc;1,1ko0;1,1mvc;3k,13vu;3k,zpu;3k,ypu;3k,w1u;1s,1bu0;1s,1s60;3k,13vu;3k,ymu;3k,ymu;3k,v6o;1s,1clo;1s,1po0;w,2xo0;w,2s00;3k,tlo;3k,q1u;1s,1a3o;1s,1ii0;w,2rc0;w,2vc0;3k,tlo;3k,qsu;1s,12xo;1s,1r60;w,2uo0;w,2xxc;3k,q1u;3k,qsu;1s,1blo;1s,1bu0;w,2x9c;w,2wc0;g,1a3o;g,12xo;g,1blo;1s,v60;w,2vo0;w,2xo0;g,1ii0;g,1r60;g,1bu0;g,v60;g,13vu;g,zpu;g,ypu;g,w1u;1s,1bu0;1s,1s60;1s,13vu;1s,zpu;1s,ypu;1s,w1u;g,1bu0;g,1s60;g,13vu;g,ymu;g,ymu;g,v6o;1s,1clo;1s,1po0;1s,13vu;1s,ymu;1s,ymu;1s,v6o;g,1clo;g,1po0;w,2xo0;w,2s00;g,tlo;g,q1u;1s,1a3o;1s,1ii0;1s,zpu;1s,ymu;w,1gyc;w,1jf0;w,1kl0;w,1jyc;w,2rc0;w,2vc0;g,tlo;g,qsu;1s,12xo;1s,1r60;1s,ypu;1s,ymu;w,1gyc;w,1i60;w,1ju0;g,1r60;w,2uo0;w,2xxc;g,q1u;g,qsu;1s,1blo;1s,1bu0;1s,w1u;1s,v6o;w,1jf0;w,1i60;w,1lf0;w,1ljc;w,2x9c;w,2wc0;3k,1a3o;3k,12xo;3k,1blo;1s,v60;3k,1bu0;3k,1clo;w,1kl0;w,1ju0;w,1lf0;w,1mvc;w,2vo0;w,2xo0;3k,1ii0;3k,1r60;3k,1bu0;3k,v60;3k,1s60;3k,1po0;w,1jyc;3k,1r60;w,1ljc;w,1mvc;3k,13vu;3k,zau;3k,y7u;3k,vro;1s,1d60;1s,1qfo;w,2xo0;w,2pc0;3k,tuo;3k,rau;1s,1ao0;1s,1j9o;w,2rc0;w,2rxc;3k,tuo;3k,qyu;1s,13i0;1s,1rxo;w,2uo0;w,2qc0;3k,rau;3k,qyu;1s,1c60;1s,1clo;w,2x9c;w,2ro0;g,1ao0;g,13i0;g,1c60;1s,vxo;w,2vo0;w,2s00;g,1j9o;g,1rxo;g,1clo;g,vxo;g,13vu;g,zpu;g,ypu;g,w1u;1s,1bu0;1s,1s60;1s,13vu;1s,zpu;1s,ypu;1s,w1u;g,1bu0;g,1s60;g,13vu;g,zau;g,y7u;g,vro;1s,1d60;1s,1qfo;1s,13vu;1s,zau;1s,y7u;1s,vro;g,1d60;g,1qfo;w,2xo0;w,2pc0;g,tuo;g,rau;1s,1ao0;1s,1j9o;1s,zpu;1s,zau;w,1hi0;w,1iac;w,1ju0;g,1j9o;w,2rc0;w,2rxc;g,tuo;g,qyu;1s,13i0;1s,1rxo;1s,ypu;1s,y7u;w,1hi0;w,1fx0;w,1hjo;g,1rxo;w,2uo0;w,2qc0;g,rau;g,qyu;1s,1c60;1s,1clo;1s,w1u;1s,vro;w,1iac;w,1fx0;w,1jl0;w,1igc;w,2x9c;w,2ro0;3k,1ao0;3k,13i0;3k,1c60;1s,vxo;3k,1bu0;3k,1d60;w,1ju0;w,1hjo;w,1jl0;w,1ko0;w,2vo0;w,2s00;3k,1j9o;3k,1rxo;3k,1clo;3k,vxo;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;w,1igc;w,1ko0;w,2s00;w,2pc0;3k,tfo;3k,q3o;1s,1bfo;1s,1gro;w,2vc0;w,2rxc;3k,tfo;3k,qro;1s,149o;1s,1pfo;w,2xxc;w,2qc0;3k,q3o;3k,qro;1s,1cxo;1s,1a3o;w,2wc0;w,2ro0;g,1bfo;g,149o;g,1cxo;1s,tfo;w,2xo0;w,2s00;g,1gro;g,1pfo;g,1a3o;g,tfo;g,13vu;g,ymu;g,ymu;g,v6o;1s,1clo;1s,1po0;1s,13vu;1s,ymu;1s,ymu;1s,v6o;g,1clo;g,1po0;g,13vu;g,zau;g,y7u;g,vro;1s,1d60;1s,1qfo;1s,13vu;1s,zau;1s,y7u;1s,vro;g,1d60;g,1qfo;w,2s00;w,2pc0;g,tfo;g,q3o;1s,1bfo;1s,1gro;1s,ymu;1s,zau;w,1g1u;w,1gju;w,1g4c;w,1gyc;w,2vc0;w,2rxc;g,tfo;g,qro;1s,149o;1s,1pfo;1s,ymu;1s,y7u;w,1g1u;w,1jfi;w,1jo0;g,1pfo;w,2xxc;w,2qc0;g,q3o;g,qro;1s,1cxo;1s,1a3o;1s,v6o;1s,vro;w,1gju;w,1jfi;w,1ju0;w,1kl0;w,2wc0;w,2ro0;3k,1bfo;3k,149o;3k,1cxo;1s,tfo;3k,1clo;3k,1d60;w,1g4c;w,1jo0;w,1ju0;w,1jyc;w,2xo0;w,2s00;3k,1gro;3k,1pfo;3k,1a3o;3k,tfo;3k,1po0;3k,1qfo;w,1gyc;3k,1pfo;w,1kl0;w,1jyc;3k,tlo;3k,tuo;3k,tfo;9,1g1u;9,1hi0;1s,1i9o;3k,q1u;3k,rau;3k,q3o;9,1g1u;9,1j30;9,1j4c;g,1a3o;g,1ao0;g,1bfo;9,1hi0;9,1j30;9,1jyc;g,1ii0;g,1j9o;g,1gro;g,1i9o;9,1j4c;9,1jyc;4,2xo0;4,2s00;8,1gyc;8,1jf0;8,1kl0;8,1jyc;4,2xo0;4,2s00;8,1gyc;8,1jf0;8,1kl0;8,1jyc;4,2xo0;4,2pc0;8,1hi0;8,1iac;8,1ju0;1s,1j9o;4,2xo0;4,2pc0;8,1hi0;8,1iac;8,1ju0;g,1j9o;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2pc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;g,tlo;g,tuo;g,tfo;1,1g1u;1,1hi0;1s,1i9o;1s,tlo;1s,tuo;1s,tfo;1,1g1u;1,1hi0;g,1i9o;g,q1u;g,rau;g,q3o;1,1g1u;1,1j30;1,1j4c;1s,q1u;1s,rau;1s,q3o;1,1g1u;1,1j30;1,1j4c;3k,1a3o;3k,1ao0;3k,1bfo;1,1hi0;1,1j30;1,1jyc;3k,1a3o;3k,1ao0;3k,1bfo;1,1hi0;1,1j30;1,1jyc;3k,1ii0;3k,1j9o;3k,1gro;3k,1i9o;1,1j4c;1,1jyc;3k,1ii0;3k,1j9o;3k,1gro;3k,1i9o;1,1j4c;1,1jyc;3k,qsu;3k,qyu;3k,qro;9,1g1u;9,1ivo;9,1il0;g,12xo;g,13i0;g,149o;9,1hi0;9,1ivo;9,1ko0;g,1r60;g,1rxo;g,1pfo;g,1i9o;9,1il0;9,1ko0;4,2rc0;4,2vc0;8,1gyc;8,1i60;8,1ju0;1s,1r60;4,2rc0;4,2vc0;8,1gyc;8,1i60;8,1ju0;g,1r60;4,2rc0;4,2rxc;8,1hi0;8,1fx0;8,1hjo;1s,1rxo;4,2rc0;4,2rxc;8,1hi0;8,1fx0;8,1hjo;g,1rxo;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;1s,1pfo;4,2vc0;4,2rxc;8,1g1u;8,1jfi;8,1jo0;g,1pfo;g,tlo;g,tuo;g,tfo;1,1g1u;1,1hi0;1s,1i9o;1s,tlo;1s,tuo;1s,tfo;1,1g1u;1,1hi0;g,1i9o;g,qsu;g,qyu;g,qro;1,1g1u;1,1ivo;1,1il0;1s,qsu;1s,qyu;1s,qro;1,1g1u;1,1ivo;1,1il0;3k,12xo;3k,13i0;3k,149o;1,1hi0;1,1ivo;1,1ko0;3k,12xo;3k,13i0;3k,149o;1,1hi0;1,1ivo;1,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;1,1il0;1,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;1,1il0;1,1ko0;g,1blo;g,1c60;g,1cxo;9,1j30;9,1ivo;9,1mvc;g,1bu0;g,1clo;g,1a3o;9,1j4c;9,1il0;9,1mvc;4,2uo0;4,2xxc;8,1jf0;8,1i60;8,1lf0;8,1ljc;4,2uo0;4,2xxc;8,1jf0;8,1i60;8,1lf0;8,1ljc;4,2uo0;4,2qc0;8,1iac;8,1fx0;8,1jl0;8,1igc;4,2uo0;4,2qc0;8,1iac;8,1fx0;8,1jl0;8,1igc;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2xxc;4,2qc0;8,1gju;8,1jfi;8,1ju0;8,1kl0;g,q1u;g,rau;g,q3o;1,1g1u;1,1j30;1,1j4c;1s,q1u;1s,rau;1s,q3o;1,1g1u;1,1j30;1,1j4c;g,qsu;g,qyu;g,qro;1,1g1u;1,1ivo;1,1il0;1s,qsu;1s,qyu;1s,qro;1,1g1u;1,1ivo;1,1il0;3k,1blo;3k,1c60;3k,1cxo;1,1j30;1,1ivo;1,1mvc;3k,1blo;3k,1c60;3k,1cxo;1,1j30;1,1ivo;1,1mvc;3k,1bu0;3k,1clo;3k,1a3o;1,1j4c;1,1il0;1,1mvc;3k,1bu0;3k,1clo;3k,1a3o;1,1j4c;1,1il0;1,1mvc;g,v60;g,vxo;g,tfo;9,1jyc;9,1ko0;9,1mvc;4,2x9c;4,2wc0;8,1kl0;8,1ju0;8,1lf0;8,1mvc;4,2x9c;4,2wc0;8,1kl0;8,1ju0;8,1lf0;8,1mvc;4,2x9c;4,2ro0;8,1ju0;8,1hjo;8,1jl0;8,1ko0;4,2x9c;4,2ro0;8,1ju0;8,1hjo;8,1jl0;8,1ko0;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2wc0;4,2ro0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;2,1a3o;2,1ao0;2,1bfo;1,1hi0;1,1j30;1,1jyc;2,1a3o;2,1ao0;2,1bfo;1,1hi0;1,1j30;1,1jyc;2,12xo;2,13i0;2,149o;1,1hi0;1,1ivo;1,1ko0;2,12xo;2,13i0;2,149o;1,1hi0;1,1ivo;1,1ko0;2,1blo;2,1c60;2,1cxo;1,1j30;1,1ivo;1,1mvc;2,1blo;2,1c60;2,1cxo;1,1j30;1,1ivo;1,1mvc;3k,v60;3k,vxo;3k,tfo;1,1jyc;1,1ko0;1,1mvc;3k,v60;3k,vxo;3k,tfo;1,1jyc;1,1ko0;1,1mvc;4,2vo0;4,2xo0;8,1jyc;2,1r60;8,1ljc;8,1mvc;4,2vo0;4,2xo0;8,1jyc;2,1r60;8,1ljc;8,1mvc;4,2vo0;4,2s00;2,1j9o;2,1rxo;8,1igc;8,1ko0;4,2vo0;4,2s00;2,1j9o;2,1rxo;8,1igc;8,1ko0;4,2xo0;4,2s00;8,1gyc;2,1pfo;8,1kl0;8,1jyc;4,2xo0;4,2s00;8,1gyc;2,1pfo;8,1kl0;8,1jyc;2,1ii0;2,1j9o;2,1gro;2,1i9o;1,1j4c;1,1jyc;2,1ii0;2,1j9o;2,1gro;2,1i9o;1,1j4c;1,1jyc;2,1r60;2,1rxo;2,1pfo;2,1i9o;1,1il0;1,1ko0;2,1r60;2,1rxo;2,1pfo;2,1i9o;1,1il0;1,1ko0;2,1bu0;2,1clo;2,1a3o;1,1j4c;1,1il0;1,1mvc;2,1bu0;2,1clo;2,1a3o;1,1j4c;1,1il0;1,1mvc;2,v60;2,vxo;2,tfo;1,1jyc;1,1ko0;1,1mvc;2,v60;2,vxo;2,tfo;1,1jyc;1,1ko0;1,1mvc;3l,13vu;3l,12su;3l,w1u;1s,w1u;1s,12su;1s,13vu;3l,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;3l,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;3l,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;g,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;g,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;g,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;h,13vu;h,12su;h,w1u;1s,w1u;1s,12su;1s,13vu;1t,13vu;1t,12su;1t,w1u;g,w1u;g,12su;g,13vu;h,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1t,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;h,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;1t,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;h,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;1t,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;3k,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;3k,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;3k,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;3k,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;3k,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;3k,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;3l,13vu;3l,12su;3l,w1u;1s,w1u;1s,12su;1s,13vu;3l,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;3l,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;3l,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;g,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;g,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;g,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;h,13vu;h,12su;h,w1u;1s,w1u;1s,12su;1s,13vu;1t,13vu;1t,12su;1t,w1u;g,w1u;g,12su;g,13vu;h,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1t,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;h,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;1t,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;h,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;1t,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;3k,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;3k,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;3k,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;3k,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;3k,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;3k,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;3l,13vu;3l,yio;3l,rvu;1s,v6o;1s,zdu;1s,zpu;3l,13vu;3l,y7u;3l,qpu;1s,vro;1s,yf0;1s,ymu;3l,yio;3l,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;3l,rvu;3l,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;g,v6o;g,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;g,zdu;g,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;g,zpu;g,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;h,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;1t,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;h,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;1t,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;h,yio;h,y7u;h,lfo;1s,q3o;1s,ygu;1s,tlo;1t,yio;1t,y7u;1t,lfo;g,q3o;g,ygu;g,tlo;h,rvu;h,qpu;h,lfo;1s,qro;4,tc0;1s,q1u;1t,rvu;1t,qpu;1t,lfo;g,qro;4,tc0;g,q1u;3k,v6o;3k,vro;3k,q3o;3k,qro;4,1cxo;4,1a3o;3k,v6o;3k,vro;3k,q3o;3k,qro;4,1cxo;4,1a3o;3k,zdu;3k,yf0;3k,ygu;4,tc0;4,1cxo;4,1ii0;3k,zdu;3k,yf0;3k,ygu;4,tc0;4,1cxo;4,1ii0;3k,zpu;3k,ymu;3k,tlo;3k,q1u;4,1a3o;4,1ii0;3k,zpu;3k,ymu;3k,tlo;3k,q1u;4,1a3o;4,1ii0;3l,12su;3l,yio;3l,qsu;1s,q1u;1s,13co;1s,ypu;3l,12su;3l,y7u;3l,q7u;1s,rau;1s,11au;1s,ymu;3l,yio;3l,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;3l,qsu;3l,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;g,q1u;g,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;g,13co;g,11au;8,1g4c;8,1hr0;8,1if0;4,1r60;g,ypu;g,ymu;8,1gyc;8,1i60;8,1ju0;4,1r60;h,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;1t,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;h,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;1t,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;h,yio;h,y7u;h,lfo;1s,q3o;1s,ygu;1s,tlo;1t,yio;1t,y7u;1t,lfo;g,q3o;g,ygu;g,tlo;h,qsu;h,q7u;h,lfo;1s,lfo;4,u3o;1s,qsu;1t,qsu;1t,q7u;1t,lfo;g,lfo;4,u3o;g,qsu;3k,q1u;3k,rau;3k,q3o;3k,lfo;4,1afo;4,12xo;3k,q1u;3k,rau;3k,q3o;3k,lfo;4,1afo;4,12xo;3k,13co;3k,11au;3k,ygu;4,u3o;4,1afo;4,1r60;3k,13co;3k,11au;3k,ygu;4,u3o;4,1afo;4,1r60;3k,ypu;3k,ymu;3k,tlo;3k,qsu;4,12xo;4,1r60;3k,ypu;3k,ymu;3k,tlo;3k,qsu;4,12xo;4,1r60;3l,w1u;3l,rvu;3l,qsu;1s,qsu;w,tro;1s,w1u;3l,w1u;3l,qpu;3l,q7u;1s,qyu;w,sro;1s,v6o;3l,rvu;3l,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;3l,qsu;3l,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;g,qsu;g,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;g,rvu;g,qu0;8,1jo0;8,1hr0;8,1l30;8,1ljc;g,w1u;g,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;h,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;1t,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;h,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;1t,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;h,rvu;h,qpu;h,lfo;1s,qro;w,tc0;1s,q1u;1t,rvu;1t,qpu;1t,lfo;g,qro;g,n7u;g,q1u;h,qsu;h,q7u;h,lfo;1s,lfo;w,u3o;1s,qsu;1t,qsu;1t,q7u;1t,lfo;g,lfo;g,q7u;g,qsu;3k,qsu;3k,qyu;3k,qro;3k,lfo;4,139o;4,1blo;3k,qsu;3k,qyu;3k,qro;3k,lfo;4,139o;4,1blo;3k,rvu;3k,qu0;3k,n7u;3k,q7u;4,139o;4,1bu0;3k,rvu;3k,qu0;3k,n7u;3k,q7u;4,139o;4,1bu0;3k,w1u;3k,v6o;3k,q1u;3k,qsu;4,1blo;4,1bu0;3k,w1u;3k,v6o;3k,q1u;3k,qsu;4,1blo;4,1bu0;3l,iio;3l,esu;3l,ico;w,ero;w,1blo;w,1bu0;3l,iio;3l,df0;3l,gyu;w,fro;w,1c60;w,1clo;3l,esu;3l,df0;8,1gju;8,1jfi;8,1ju0;8,1kl0;3l,ico;3l,gyu;8,1gju;8,1hfi;8,1if0;8,1ju0;g,dfo;g,dgu;8,1jfi;8,1hfi;8,1l30;8,1lf0;g,iyu;g,h4u;8,1ju0;8,1if0;8,1l30;8,1mvc;g,j9o;g,iau;8,1kl0;8,1ju0;8,1lf0;8,1mvc;h,iio;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;w,w1u;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;h,iio;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;w,w1u;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;h,esu;h,df0;w,g3o;w,ero;w,1cxo;w,1a3o;w,v6o;w,vro;w,q3o;w,qro;4,exo;g,esu;h,ico;h,gyu;h,e7u;w,fc0;w,1afo;w,12xo;w,q1u;w,rau;w,q3o;w,lfo;g,i1u;g,hvu;3k,dfo;3k,dgu;3k,e7u;w,fo0;w,139o;w,1blo;w,qsu;w,qyu;w,qro;w,lfo;4,kfo;4,mlo;3k,iyu;3k,h4u;4,exo;3k,i1u;4,kfo;4,v60;3k,iyu;3k,h4u;4,exo;3k,i1u;4,kfo;4,v60;3k,j9o;3k,iau;3k,esu;3k,hvu;4,mlo;4,v60;3k,j9o;3k,iau;3k,esu;3k,hvu;4,mlo;4,v60;3l,bro;w,ero;1s,b3o;w,tro;w,1blo;w,1s60;3l,bro;w,dlo;1s,aro;w,sro;w,1c60;w,1po0;3l,alo;3l,aro;8,1g4c;8,1jo0;8,1ju0;8,1jyc;g,b3o;g,aro;8,1g4c;8,1hr0;8,1if0;w,1r60;3l,a7u;3l,aro;8,1jo0;8,1hr0;8,1l30;8,1ljc;g,adu;g,aro;8,1ju0;8,1if0;8,1l30;8,1mvc;g,b3o;g,bro;8,1jyc;8,1jac;8,1ljc;8,1mvc;8,c2o;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;w,12su;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;8,dqo;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;w,12su;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;8,b8o;h,aro;8,au0;w,tc0;w,1cxo;w,1ii0;w,zdu;w,yf0;w,ygu;w,n7u;w,df0;8,b2o;3k,b3o;3k,aro;w,dlo;w,u3o;w,1afo;w,1r60;w,13co;w,11au;w,ygu;w,q7u;w,i1u;4,g9o;h,a7u;h,aro;w,e60;1s,a66;w,139o;w,1bu0;w,rvu;w,qu0;w,n7u;w,q7u;w,ao0;g,a9o;3k,adu;3k,aro;w,exo;4,dxo;w,kfo;w,v60;w,iyu;w,h4u;w,df0;w,i1u;w,ao0;4,flo;3k,b3o;3k,bro;3k,alo;4,g9o;w,dro;w,fxo;3k,b3o;3k,bro;w,amu;4,g9o;3k,a9o;4,flo;3l,aoo;w,exo;w,gxo;w,m9o;w,1bu0;w,1s60;3l,aoo;w,fxo;w,fxo;w,mu0;w,1clo;w,1po0;3l,a9o;3l,aju;8,1gyc;8,1jf0;8,1kl0;8,1jyc;3l,9oo;3l,9mu;8,1gyc;8,1i60;8,1ju0;w,1r60;g,9oo;g,9xo;8,1jf0;8,1i60;8,1lf0;8,1ljc;g,a9o;g,aju;8,1kl0;8,1ju0;8,1lf0;8,1mvc;g,aoo;g,adu;8,1jyc;8,1jac;8,1ljc;8,1mvc;8,deo;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;w,13vu;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;8,e2o;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;w,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;8,beo;h,aju;w,gi0;w,nlo;w,1a3o;w,1ii0;w,zpu;w,ymu;w,tlo;w,q1u;w,esu;8,b2o;h,9oo;h,9mu;w,fi0;w,l3o;w,12xo;w,1r60;w,ypu;w,ymu;w,tlo;w,qsu;w,hvu;8,ceo;3k,9oo;3k,9xo;w,g9o;w,ero;w,1blo;w,1bu0;w,w1u;w,v6o;w,q1u;w,qsu;4,f3o;4,dro;3k,a9o;3k,aju;w,dro;3k,9mu;w,mlo;w,v60;w,j9o;w,iau;w,esu;w,hvu;4,f3o;4,fxo;3k,aoo;3k,adu;3k,amu;w,g9o;4,dro;4,fxo;w,b3o;w,bro;3k,amu;3k,9oo;4,dro;4,fxo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,w1u;1,rvu;1,qsu;4,qsu;w,tro;4,w1u;1,w1u;1,rvu;1,qsu;4,qsu;4,rvu;4,w1u;1,w1u;1,rvu;1,qsu;4,qsu;4,rvu;4,w1u;1,iio;1,esu;1,ico;w,ero;w,1blo;w,1bu0;w,w1u;w,v6o;w,q1u;w,qsu;4,iyu;4,j9o;w,w1u;w,v6o;w,q1u;w,qsu;4,iyu;4,j9o;1,bro;w,ero;2,bo0;w,tro;w,1blo;w,1s60;w,12su;w,zdu;w,13co;w,rvu;w,iyu;2,bo0;w,12su;w,zdu;w,13co;w,rvu;w,iyu;2,bo0;1,aoo;w,exo;w,gxo;w,m9o;w,1bu0;w,1s60;w,13vu;w,zpu;w,ypu;w,w1u;w,j9o;w,b3o;w,13vu;w,zpu;w,ypu;w,w1u;w,j9o;w,b3o;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,w1u;1,qpu;1,q7u;4,qyu;w,sro;4,v6o;1,w1u;1,qpu;1,q7u;4,qyu;4,qu0;4,v6o;1,w1u;1,qpu;1,q7u;4,qyu;4,qu0;4,v6o;1,iio;1,df0;1,gyu;w,fro;w,1c60;w,1clo;w,w1u;w,vro;w,rau;w,qyu;4,h4u;4,iau;w,w1u;w,vro;w,rau;w,qyu;4,h4u;4,iau;1,bro;w,dlo;4,aro;w,sro;w,1c60;w,1po0;w,12su;w,yf0;w,11au;w,qu0;w,h4u;4,bro;w,12su;w,yf0;w,11au;w,qu0;w,h4u;4,bro;1,aoo;w,fxo;w,fxo;w,mu0;w,1clo;w,1po0;w,13vu;w,ymu;w,ymu;w,v6o;w,iau;w,bro;w,13vu;w,ymu;w,ymu;w,v6o;w,iau;w,bro;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,yio;1,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;1,yio;1,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,2s00;8,2pc0;1,lfo;4,q3o;4,ygu;4,tlo;1,rvu;1,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;1,rvu;1,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;8,2vc0;8,2rxc;1,lfo;4,qro;4,n7u;4,q1u;1,esu;1,df0;8,1gju;8,1jfi;8,1ju0;8,1kl0;w,v6o;w,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,2xxc;8,2qc0;w,q3o;w,qro;3k,exo;4,esu;1,alo;1,aro;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,zdu;w,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,2wc0;8,2ro0;w,ygu;w,n7u;w,df0;w,amu;1,a9o;1,aju;8,1gyc;8,1jf0;8,1kl0;8,1jyc;w,zpu;w,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;8,2xo0;8,2s00;w,tlo;w,q1u;w,esu;4,amu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,yio;1,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;1,yio;1,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,2s00;8,2pc0;1,lfo;4,q3o;4,ygu;4,tlo;1,qsu;1,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;1,qsu;1,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;8,2p00;8,2v9c;1,lfo;4,lfo;4,q7u;4,qsu;1,ico;1,gyu;8,1gju;8,1hfi;8,1if0;8,1ju0;w,q1u;w,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;8,2rlc;8,2to0;w,q3o;w,lfo;4,i1u;4,hvu;40,b3o;40,aro;8,1g4c;8,1hr0;8,1if0;w,1r60;w,13co;w,11au;8,1g4c;8,1hr0;8,1if0;8,1jac;8,2q00;8,2v00;w,ygu;w,q7u;w,i1u;3k,g9o;1,9oo;1,9mu;8,1gyc;8,1i60;8,1ju0;w,1r60;w,ypu;w,ymu;8,1gyc;8,1i60;8,1ju0;8,1jac;8,2rc0;8,2vc0;w,tlo;w,qsu;w,hvu;4,9oo;1,w1u;1,rvu;1,qsu;4,qsu;1s,tro;4,w1u;1,w1u;1,rvu;1,qsu;4,qsu;g,tro;4,w1u;1,w1u;1,rvu;1,qsu;4,qsu;3k,tro;4,w1u;1,w1u;1,qpu;1,q7u;4,qyu;1s,sro;4,v6o;1,w1u;1,qpu;1,q7u;4,qyu;g,sro;4,v6o;1,w1u;1,qpu;1,q7u;4,qyu;3k,sro;4,v6o;1,rvu;1,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;1,rvu;1,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;8,2vc0;8,2rxc;1,lfo;4,qro;3k,tc0;4,q1u;1,qsu;1,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;1,qsu;1,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;8,2p00;8,2v9c;1,lfo;4,lfo;3k,u3o;4,qsu;40,dfo;40,dgu;8,1jfi;8,1hfi;8,1l30;8,1lf0;w,qsu;w,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;8,2uxc;8,2w9c;w,qro;w,lfo;3k,kfo;3k,mlo;1,a7u;1,aro;8,1jo0;8,1hr0;8,1l30;8,1ljc;w,rvu;w,qu0;8,1jo0;8,1hr0;8,1l30;8,1ljc;8,2tc0;8,2xlc;w,n7u;w,q7u;w,ao0;4,a9o;40,9oo;40,9xo;8,1jf0;8,1i60;8,1lf0;8,1ljc;w,w1u;w,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;8,2uo0;8,2xxc;w,q1u;w,qsu;3k,f3o;3k,dro;40,w1u;40,v6o;40,q1u;40,qsu;1s,1blo;1s,1bu0;5c,w1u;5c,v6o;5c,q1u;5c,qsu;g,1blo;g,1bu0;28,w1u;28,v6o;28,q1u;28,qsu;3k,1blo;3k,1bu0;40,w1u;40,vro;40,rau;40,qyu;1s,1c60;1s,1clo;5c,w1u;5c,vro;5c,rau;5c,qyu;g,1c60;g,1clo;28,w1u;28,vro;28,rau;28,qyu;3k,1c60;3k,1clo;40,v6o;40,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;5c,v6o;5c,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,2xxc;8,2qc0;28,q3o;28,qro;3k,1cxo;3k,1a3o;40,q1u;40,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;5c,q1u;5c,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;8,2rlc;8,2to0;28,q3o;28,lfo;3k,1afo;3k,12xo;40,qsu;40,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;5c,qsu;5c,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;8,2uxc;8,2w9c;28,qro;28,lfo;3k,139o;3k,1blo;40,adu;40,aro;8,1ju0;8,1if0;8,1l30;8,1mvc;w,iyu;w,h4u;8,1ju0;8,1if0;8,1l30;8,1mvc;8,2vxc;8,2w00;w,df0;w,i1u;w,ao0;3k,flo;40,a9o;40,aju;8,1kl0;8,1ju0;8,1lf0;8,1mvc;w,j9o;w,iau;8,1kl0;8,1ju0;8,1lf0;8,1mvc;8,2x9c;8,2wc0;w,esu;w,hvu;3k,f3o;3k,fxo;40,12su;40,zdu;40,13co;1s,tro;1s,1blo;1s,1s60;5c,12su;5c,zdu;5c,13co;g,tro;g,1blo;g,1s60;28,12su;28,zdu;28,13co;3k,tro;3k,1blo;3k,1s60;40,12su;40,yf0;40,11au;1s,sro;1s,1c60;1s,1po0;5c,12su;5c,yf0;5c,11au;g,sro;g,1c60;g,1po0;28,12su;28,yf0;28,11au;3k,sro;3k,1c60;3k,1po0;40,zdu;40,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;5c,zdu;5c,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,2wc0;8,2ro0;28,ygu;3k,tc0;3k,1cxo;3k,1ii0;40,13co;40,11au;8,1g4c;8,1hr0;8,1if0;1s,1r60;5c,13co;5c,11au;8,1g4c;8,1hr0;8,1if0;g,1r60;8,2q00;8,2v00;28,ygu;3k,u3o;3k,1afo;3k,1r60;40,rvu;40,qu0;8,1jo0;8,1hr0;8,1l30;8,1ljc;5c,rvu;5c,qu0;8,1jo0;8,1hr0;8,1l30;8,1ljc;8,2tc0;8,2xlc;28,n7u;28,q7u;3k,139o;3k,1bu0;40,iyu;40,h4u;8,1ju0;8,1if0;8,1l30;8,1mvc;5c,iyu;5c,h4u;8,1ju0;8,1if0;8,1l30;8,1mvc;8,2vxc;8,2w00;3k,exo;28,i1u;3k,kfo;3k,v60;40,aoo;40,adu;8,1jyc;8,1jac;8,1ljc;8,1mvc;w,b3o;w,bro;8,1jyc;8,1jac;8,1ljc;8,1mvc;8,2vo0;8,2xo0;8,b2o;8,ceo;3k,dro;3k,fxo;40,13vu;40,zpu;40,ypu;40,w1u;1s,1bu0;1s,1s60;5c,13vu;5c,zpu;5c,ypu;5c,w1u;g,1bu0;g,1s60;28,13vu;28,zpu;28,ypu;28,w1u;3k,1bu0;3k,1s60;40,13vu;40,ymu;40,ymu;40,v6o;1s,1clo;1s,1po0;5c,13vu;5c,ymu;5c,ymu;5c,v6o;g,1clo;g,1po0;28,13vu;28,ymu;28,ymu;28,v6o;3k,1clo;3k,1po0;40,zpu;40,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;5c,zpu;5c,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;8,2xo0;8,2s00;28,tlo;28,q1u;3k,1a3o;3k,1ii0;40,ypu;40,ymu;8,1gyc;8,1i60;8,1ju0;1s,1r60;5c,ypu;5c,ymu;8,1gyc;8,1i60;8,1ju0;g,1r60;8,2rc0;8,2vc0;28,tlo;28,qsu;3k,12xo;3k,1r60;40,w1u;40,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;5c,w1u;5c,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;8,2uo0;8,2xxc;28,q1u;28,qsu;3k,1blo;3k,1bu0;40,j9o;40,iau;8,1kl0;8,1ju0;8,1lf0;8,1mvc;5c,j9o;5c,iau;8,1kl0;8,1ju0;8,1lf0;8,1mvc;8,2x9c;8,2wc0;28,esu;28,hvu;3k,mlo;3k,v60;40,b3o;40,bro;8,1jyc;8,1jac;8,1ljc;8,1mvc;5c,b3o;5c,bro;8,1jyc;8,1jac;8,1ljc;8,1mvc;8,2vo0;8,2xo0;8,b2o;3k,g9o;28,a9o;3k,flo;3l,13vu;3l,12su;3l,w1u;1s,w1u;1s,12su;1s,13vu;3l,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;3l,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;3l,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;g,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;g,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;g,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;h,13vu;h,12su;h,w1u;1s,w1u;1s,12su;1s,13vu;1t,13vu;1t,12su;1t,w1u;g,w1u;g,12su;g,13vu;h,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1t,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;h,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1t,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;h,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;1t,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;3k,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;3k,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;3k,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;3k,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;3k,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;3k,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;3l,13vu;3l,yio;3l,rvu;1s,v6o;1s,zdu;1s,zpu;3l,13vu;3l,xsu;3l,qvu;1s,v1u;1s,y7u;1s,zau;3l,yio;3l,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;3l,rvu;3l,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;g,v6o;g,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;g,zdu;g,y7u;8,1gyu;8,1gr6;8,1j30;4,1j9o;g,zpu;g,zau;8,1hi0;8,1iac;8,1ju0;4,1j9o;h,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;1t,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;h,13vu;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;1t,13vu;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;h,yio;h,xsu;h,mio;1s,pyu;1s,z0o;1s,tuo;1t,yio;1t,xsu;1t,mio;g,pyu;g,z0o;g,tuo;h,rvu;h,qvu;h,mio;1s,rau;4,uc0;1s,rau;1t,rvu;1t,qvu;1t,mio;g,rau;4,uc0;g,rau;3k,v6o;3k,v1u;3k,pyu;3k,rau;4,1bxo;4,1ao0;3k,v6o;3k,v1u;3k,pyu;3k,rau;4,1bxo;4,1ao0;3k,zdu;3k,y7u;3k,z0o;4,uc0;4,1bxo;4,1j9o;3k,zdu;3k,y7u;3k,z0o;4,uc0;4,1bxo;4,1j9o;3k,zpu;3k,zau;3k,tuo;3k,rau;4,1ao0;4,1j9o;3k,zpu;3k,zau;3k,tuo;3k,rau;4,1ao0;4,1j9o;3l,12su;3l,yio;3l,qsu;1s,q1u;1s,13co;1s,ypu;3l,12su;3l,xsu;3l,q1u;1s,qo0;1s,11ro;1s,y7u;3l,yio;3l,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;3l,qsu;3l,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;g,q1u;g,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;g,13co;g,11ro;8,1gyu;8,1fgu;8,1hvo;4,1rxo;g,ypu;g,y7u;8,1hi0;8,1fx0;8,1hjo;4,1rxo;h,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;1t,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;h,12su;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;1t,12su;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;h,yio;h,xsu;h,mio;1s,pyu;1s,z0o;1s,tuo;1t,yio;1t,xsu;1t,mio;g,pyu;g,z0o;g,tuo;h,qsu;h,q1u;h,mio;1s,m1u;4,v3o;1s,qyu;1t,qsu;1t,q1u;1t,mio;g,m1u;4,v3o;g,qyu;3k,q1u;3k,qo0;3k,pyu;3k,m1u;4,19fo;4,13i0;3k,q1u;3k,qo0;3k,pyu;3k,m1u;4,19fo;4,13i0;3k,13co;3k,11ro;3k,z0o;4,v3o;4,19fo;4,1rxo;3k,13co;3k,11ro;3k,z0o;4,v3o;4,19fo;4,1rxo;3k,ypu;3k,y7u;3k,tuo;3k,qyu;4,13i0;4,1rxo;3k,ypu;3k,y7u;3k,tuo;3k,qyu;4,13i0;4,1rxo;3l,w1u;3l,rvu;3l,qsu;1s,qsu;w,tro;1s,w1u;3l,w1u;3l,qvu;3l,q1u;1s,r00;w,tro;1s,vro;3l,rvu;3l,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;3l,qsu;3l,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;g,qsu;g,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;g,rvu;g,q7u;8,1gr6;8,1fgu;8,1ix0;8,1igc;g,w1u;g,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;h,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;1t,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;h,w1u;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;1t,w1u;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;h,rvu;h,qvu;h,mio;1s,rau;w,uc0;1s,rau;1t,rvu;1t,qvu;1t,mio;g,rau;g,moo;g,rau;h,qsu;h,q1u;h,mio;1s,m1u;w,v3o;1s,qyu;1t,qsu;1t,q1u;1t,mio;g,m1u;g,qco;g,qyu;3k,qsu;3k,r00;3k,rau;3k,m1u;4,129o;4,1c60;3k,qsu;3k,r00;3k,rau;3k,m1u;4,129o;4,1c60;3k,rvu;3k,q7u;3k,moo;3k,qco;4,129o;4,1clo;3k,rvu;3k,q7u;3k,moo;3k,qco;4,129o;4,1clo;3k,w1u;3k,vro;3k,rau;3k,qyu;4,1c60;4,1clo;3k,w1u;3k,vro;3k,rau;3k,qyu;4,1c60;4,1clo;3l,iio;3l,esu;3l,ico;w,ero;w,1blo;w,1bu0;3l,iio;3l,dvu;3l,hio;w,elo;w,1b60;w,1d60;3l,esu;3l,dvu;8,1gpo;8,1hl0;8,1j30;8,1ju0;3l,ico;3l,hio;8,1gpo;8,1fmo;8,1hvo;8,1hjo;g,dfo;g,eau;8,1hl0;8,1fmo;8,1ix0;8,1jl0;g,iyu;g,hio;8,1j30;8,1hvo;8,1ix0;8,1ko0;g,j9o;g,i3o;8,1ju0;8,1hjo;8,1jl0;8,1ko0;h,iio;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;w,w1u;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;h,iio;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;w,w1u;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;h,esu;h,dvu;w,g9o;w,dlo;w,1bxo;w,1ao0;w,v6o;w,v1u;w,pyu;w,rau;4,f3o;g,f9o;h,ico;h,hio;h,e20;w,e60;w,19fo;w,13i0;w,q1u;w,qo0;w,pyu;w,m1u;g,j6o;g,h9o;3k,dfo;3k,eau;3k,dl6;w,fu0;w,129o;w,1c60;w,qsu;w,r00;w,rau;w,m1u;4,lfo;4,llo;3k,iyu;3k,hio;4,f3o;3k,j6o;4,lfo;4,vxo;3k,iyu;3k,hio;4,f3o;3k,j6o;4,lfo;4,vxo;3k,j9o;3k,i3o;3k,f9o;3k,h9o;4,llo;4,vxo;3k,j9o;3k,i3o;3k,f9o;3k,h9o;4,llo;4,vxo;4,dqo;w,ero;1s,b3o;w,tro;w,1blo;w,1s60;4,dqo;w,dro;1s,aq0;w,tro;w,1b60;w,1qfo;4,b8o;3l,apu;8,1gyu;8,1gr6;8,1j30;w,1j9o;g,b3o;g,aq0;8,1gyu;8,1fgu;8,1hvo;w,1rxo;3l,a7u;3l,af6;8,1gr6;8,1fgu;8,1ix0;8,1igc;g,adu;g,apu;8,1j30;8,1hvo;8,1ix0;8,1ko0;g,b3o;g,bgu;8,1j4c;8,1hi0;8,1igc;8,1ko0;4,dqo;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;w,12su;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;4,dqo;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;w,12su;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;4,b8o;h,apu;1s,c7u;w,uc0;w,1bxo;w,1j9o;w,zdu;w,y7u;w,z0o;w,moo;w,dvu;g,ayu;3k,b3o;8,au0;w,dro;w,v3o;w,19fo;w,1rxo;w,13co;w,11ro;w,z0o;w,qco;w,j6o;4,h9o;h,a7u;h,af6;w,ec0;1s,b96;w,129o;w,1clo;w,rvu;w,q7u;w,moo;w,qco;g,au0;g,aju;3k,adu;3k,apu;w,f3o;4,e3o;w,lfo;w,vxo;w,iyu;w,hio;w,dvu;w,j6o;3k,au0;4,g60;3k,b3o;3k,bgu;3k,ayu;4,h9o;w,ero;4,g60;3k,b3o;3k,bgu;3k,ayu;4,h9o;3k,aju;4,g60;4,e2o;w,exo;w,gxo;w,m9o;w,1bu0;w,1s60;4,e2o;w,ero;w,gxo;w,lu0;w,1d60;w,1qfo;4,beo;4,ai0;8,1hi0;8,1iac;8,1ju0;w,1j9o;3l,9oo;3l,9yu;8,1hi0;8,1fx0;8,1hjo;w,1rxo;g,9oo;g,aoo;8,1iac;8,1fx0;8,1jl0;8,1igc;g,a9o;8,9r0;8,1ju0;8,1hjo;8,1jl0;8,1ko0;g,aoo;g,9vu;8,1j4c;8,1hi0;8,1igc;8,1ko0;4,e2o;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;w,13vu;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;4,e2o;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;w,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;4,beo;4,ai0;w,hi0;w,mlo;w,1ao0;w,1j9o;w,zpu;w,zau;w,tuo;w,rau;w,f9o;w,ayu;h,9oo;8,bu0;w,ec0;w,k3o;w,13i0;w,1rxo;w,ypu;w,y7u;w,tuo;w,qyu;w,h9o;8,awo;3k,9oo;3k,aoo;w,f3o;w,fro;w,1c60;w,1clo;w,w1u;w,vro;w,rau;w,qyu;4,dxo;4,ero;3k,a9o;3k,9pu;w,clo;3k,9du;w,llo;w,vxo;w,j9o;w,i3o;w,f9o;w,h9o;4,dxo;4,exo;3k,aoo;3k,9vu;3k,a7u;w,h9o;4,ero;w,g60;w,b3o;w,bgu;w,ayu;3k,9xo;4,ero;4,exo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;2,cuyo;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,13vu;1,yio;1,rvu;4,v6o;4,zdu;4,zpu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,12su;1,yio;2,xc0;2,xc0;4,13co;4,ypu;1,w1u;1,rvu;1,qsu;4,qsu;w,tro;4,w1u;1,w1u;1,rvu;1,qsu;4,qsu;4,rvu;4,w1u;1,w1u;1,rvu;1,qsu;4,qsu;4,rvu;4,w1u;1,iio;1,esu;1,ico;w,ero;w,1blo;w,1bu0;w,w1u;w,v6o;w,q1u;w,qsu;4,iyu;4,j9o;w,w1u;w,v6o;w,q1u;w,qsu;4,iyu;4,j9o;1s,dqo;w,ero;2,bo0;w,tro;w,1blo;w,1s60;w,12su;w,zdu;w,13co;w,rvu;w,iyu;2,bo0;w,12su;w,zdu;w,13co;w,rvu;w,iyu;2,bo0;1s,e2o;w,exo;w,gxo;w,m9o;w,1bu0;w,1s60;w,13vu;w,zpu;w,ypu;w,w1u;w,j9o;w,b3o;w,13vu;w,zpu;w,ypu;w,w1u;w,j9o;w,b3o;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,w1u;1,qvu;1,q1u;4,r00;w,tro;4,vro;1,w1u;1,qvu;1,q1u;4,r00;4,q7u;4,vro;1,w1u;1,qvu;1,q1u;4,r00;4,q7u;4,vro;1,iio;1,dvu;1,hio;w,elo;w,1b60;w,1d60;w,w1u;w,v1u;w,qo0;w,r00;4,hio;4,i3o;w,w1u;w,v1u;w,qo0;w,r00;4,hio;4,i3o;1s,dqo;w,dro;4,aq0;w,tro;w,1b60;w,1qfo;w,12su;w,y7u;w,11ro;w,q7u;w,hio;4,bgu;w,12su;w,y7u;w,11ro;w,q7u;w,hio;4,bgu;1s,e2o;w,ero;w,gxo;w,lu0;w,1d60;w,1qfo;w,13vu;w,zau;w,y7u;w,vro;w,i3o;w,bgu;w,13vu;w,zau;w,y7u;w,vro;w,i3o;w,bgu;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,yio;1,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1,yio;1,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;8,2s00;8,2p3c;1,mio;4,pyu;4,z0o;4,tuo;1,rvu;1,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;1,rvu;1,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;8,2vc0;8,2ni0;1,mio;4,rau;4,moo;4,rau;1,esu;1,dvu;8,1gpo;8,1hl0;8,1j30;8,1ju0;w,v6o;w,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;8,2xxc;8,2ou0;w,pyu;w,rau;3k,f3o;4,f9o;1s,b8o;1,apu;8,1gyu;8,1gr6;8,1j30;w,1j9o;w,zdu;w,y7u;8,1gyu;8,1gr6;8,1j30;8,1j4c;8,2wc0;8,2p60;w,z0o;w,moo;w,dvu;4,ayu;1s,beo;1s,ai0;8,1hi0;8,1iac;8,1ju0;w,1j9o;w,zpu;w,zau;8,1hi0;8,1iac;8,1ju0;8,1j4c;8,2xo0;8,2pc0;w,tuo;w,rau;w,f9o;w,ayu;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,yio;1,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1,yio;1,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;8,2s00;8,2p3c;1,mio;4,pyu;4,z0o;4,tuo;1,qsu;1,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;1,qsu;1,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;8,2p00;8,2q3c;1,mio;4,m1u;4,qco;4,qyu;1,ico;1,hio;8,1gpo;8,1fmo;8,1hvo;8,1hjo;w,q1u;w,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;8,2rlc;8,2rfc;w,pyu;w,m1u;4,j6o;4,h9o;40,b3o;40,aq0;8,1gyu;8,1fgu;8,1hvo;w,1rxo;w,13co;w,11ro;8,1gyu;8,1fgu;8,1hvo;8,1hi0;8,2q00;8,2rrc;w,z0o;w,qco;w,j6o;3k,h9o;1,9oo;1,9yu;8,1hi0;8,1fx0;8,1hjo;w,1rxo;w,ypu;w,y7u;8,1hi0;8,1fx0;8,1hjo;8,1hi0;8,2rc0;8,2rxc;w,tuo;w,qyu;w,h9o;4,9xo;1,w1u;1,qvu;1,q1u;4,r00;1s,tro;4,vro;1,w1u;1,qvu;1,q1u;4,r00;g,tro;4,vro;1,w1u;1,qvu;1,q1u;4,r00;3k,tro;4,vro;1,rvu;1,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;1,rvu;1,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;8,2vc0;8,2ni0;1,mio;4,rau;3k,uc0;4,rau;1,qsu;1,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;1,qsu;1,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;8,2p00;8,2q3c;1,mio;4,m1u;3k,v3o;4,qyu;40,dfo;40,eau;8,1hl0;8,1fmo;8,1ix0;8,1jl0;w,qsu;w,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;8,2uxc;8,2pu0;w,rau;w,m1u;3k,lfo;3k,llo;1,a7u;1,af6;8,1gr6;8,1fgu;8,1ix0;8,1igc;w,rvu;w,q7u;8,1gr6;8,1fgu;8,1ix0;8,1igc;8,2tc0;8,2q60;w,moo;w,qco;4,au0;4,aju;40,9oo;40,aoo;8,1iac;8,1fx0;8,1jl0;8,1igc;w,w1u;w,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;8,2uo0;8,2qc0;w,rau;w,qyu;3k,dxo;3k,ero;40,w1u;40,v1u;40,qo0;40,r00;1s,1b60;1s,1d60;5c,w1u;5c,v1u;5c,qo0;5c,r00;g,1b60;g,1d60;28,w1u;28,v1u;28,qo0;28,r00;3k,1b60;3k,1d60;40,v6o;40,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;5c,v6o;5c,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;8,2xxc;8,2ou0;28,pyu;28,rau;3k,1bxo;3k,1ao0;40,q1u;40,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;5c,q1u;5c,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;8,2rlc;8,2rfc;28,pyu;28,m1u;3k,19fo;3k,13i0;40,qsu;40,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;5c,qsu;5c,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;8,2uxc;8,2pu0;28,rau;28,m1u;3k,129o;3k,1c60;40,adu;40,apu;8,1j30;8,1hvo;8,1ix0;8,1ko0;w,iyu;w,hio;8,1j30;8,1hvo;8,1ix0;8,1ko0;8,2vxc;8,2ri0;w,dvu;w,j6o;28,au0;3k,g60;40,a9o;8,9r0;8,1ju0;8,1hjo;8,1jl0;8,1ko0;w,j9o;w,i3o;8,1ju0;8,1hjo;8,1jl0;8,1ko0;8,2x9c;8,2ro0;w,f9o;w,h9o;3k,dxo;3k,exo;40,12su;40,y7u;40,11ro;1s,tro;1s,1b60;1s,1qfo;5c,12su;5c,y7u;5c,11ro;g,tro;g,1b60;g,1qfo;28,12su;28,y7u;28,11ro;3k,tro;3k,1b60;3k,1qfo;40,zdu;40,y7u;8,1gyu;8,1gr6;8,1j30;1s,1j9o;5c,zdu;5c,y7u;8,1gyu;8,1gr6;8,1j30;g,1j9o;8,2wc0;8,2p60;28,z0o;3k,uc0;3k,1bxo;3k,1j9o;40,13co;40,11ro;8,1gyu;8,1fgu;8,1hvo;1s,1rxo;5c,13co;5c,11ro;8,1gyu;8,1fgu;8,1hvo;g,1rxo;8,2q00;8,2rrc;28,z0o;3k,v3o;3k,19fo;3k,1rxo;40,rvu;40,q7u;8,1gr6;8,1fgu;8,1ix0;8,1igc;5c,rvu;5c,q7u;8,1gr6;8,1fgu;8,1ix0;8,1igc;8,2tc0;8,2q60;28,moo;28,qco;3k,129o;3k,1clo;40,iyu;40,hio;8,1j30;8,1hvo;8,1ix0;8,1ko0;5c,iyu;5c,hio;8,1j30;8,1hvo;8,1ix0;8,1ko0;8,2vxc;8,2ri0;3k,f3o;28,j6o;3k,lfo;3k,vxo;40,aoo;40,9vu;8,1j4c;8,1hi0;8,1igc;8,1ko0;w,b3o;w,bgu;8,1j4c;8,1hi0;8,1igc;8,1ko0;8,2vo0;8,2s00;w,ayu;8,awo;3k,ero;3k,exo;40,13vu;40,zau;40,y7u;40,vro;1s,1d60;1s,1qfo;5c,13vu;5c,zau;5c,y7u;5c,vro;g,1d60;g,1qfo;28,13vu;28,zau;28,y7u;28,vro;3k,1d60;3k,1qfo;40,zpu;40,zau;8,1hi0;8,1iac;8,1ju0;1s,1j9o;5c,zpu;5c,zau;8,1hi0;8,1iac;8,1ju0;g,1j9o;8,2xo0;8,2pc0;28,tuo;28,rau;3k,1ao0;3k,1j9o;40,ypu;40,y7u;8,1hi0;8,1fx0;8,1hjo;1s,1rxo;5c,ypu;5c,y7u;8,1hi0;8,1fx0;8,1hjo;g,1rxo;8,2rc0;8,2rxc;28,tuo;28,qyu;3k,13i0;3k,1rxo;40,w1u;40,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;5c,w1u;5c,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;8,2uo0;8,2qc0;28,rau;28,qyu;3k,1c60;3k,1clo;40,j9o;40,i3o;8,1ju0;8,1hjo;8,1jl0;8,1ko0;5c,j9o;5c,i3o;8,1ju0;8,1hjo;8,1jl0;8,1ko0;8,2x9c;8,2ro0;28,f9o;28,h9o;3k,llo;3k,vxo;40,b3o;40,bgu;8,1j4c;8,1hi0;8,1igc;8,1ko0;5c,b3o;5c,bgu;8,1j4c;8,1hi0;8,1igc;8,1ko0;8,2vo0;8,2s00;28,ayu;3k,h9o;28,aju;3k,g60;3l,13vu;3l,y7u;3l,qpu;1s,vro;1s,yf0;1s,ymu;3l,13vu;3l,xsu;3l,qvu;1s,v1u;1s,y7u;1s,zau;3l,y7u;3l,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;3l,qpu;3l,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;g,vro;g,v1u;8,1g1u;8,1gc0;8,1g36;8,1g4c;g,yf0;g,y7u;8,1f4u;8,1gf0;8,1g36;8,1gyc;g,ymu;g,zau;8,1g1u;8,1gju;8,1g4c;8,1gyc;h,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;1t,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;h,13vu;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;1t,13vu;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;h,y7u;h,xsu;h,lz0;1s,qc6;1s,y7u;1s,tfo;1t,y7u;1t,xsu;1t,lz0;g,qc6;g,y7u;g,tfo;h,qpu;h,qvu;h,lz0;1s,ql6;4,tc0;1s,q3o;1t,qpu;1t,qvu;1t,lz0;g,ql6;4,tc0;g,q3o;3k,vro;3k,v1u;3k,qc6;3k,ql6;4,1ci0;4,1bfo;3k,vro;3k,v1u;3k,qc6;3k,ql6;4,1ci0;4,1bfo;3k,yf0;3k,y7u;3k,y7u;4,tc0;4,1ci0;4,1gro;3k,yf0;3k,y7u;3k,y7u;4,tc0;4,1ci0;4,1gro;3k,ymu;3k,zau;3k,tfo;3k,q3o;4,1bfo;4,1gro;3k,ymu;3k,zau;3k,tfo;3k,q3o;4,1bfo;4,1gro;3l,12su;3l,y7u;3l,q7u;1s,rau;1s,11au;1s,ymu;3l,12su;3l,xsu;3l,q1u;1s,qo0;1s,11ro;1s,y7u;3l,y7u;3l,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;3l,q7u;3l,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;g,rau;g,qo0;8,1g1u;8,1jao;8,1imu;8,1jo0;g,11au;g,11ro;8,1f4u;8,1iao;8,1imu;4,1pfo;g,ymu;g,y7u;8,1g1u;8,1jfi;8,1jo0;4,1pfo;h,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;1t,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;h,12su;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;1t,12su;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;h,y7u;h,xsu;h,lz0;1s,qc6;1s,y7u;1s,tfo;1t,y7u;1t,xsu;1t,lz0;g,qc6;g,y7u;g,tfo;h,q7u;h,q1u;h,lz0;1s,m06;4,u3o;1s,qro;1t,q7u;1t,q1u;1t,lz0;g,m06;4,u3o;g,qro;3k,rau;3k,qo0;3k,qc6;3k,m06;4,1a00;4,149o;3k,rau;3k,qo0;3k,qc6;3k,m06;4,1a00;4,149o;3k,11au;3k,11ro;3k,y7u;4,u3o;4,1a00;4,1pfo;3k,11au;3k,11ro;3k,y7u;4,u3o;4,1a00;4,1pfo;3k,ymu;3k,y7u;3k,tfo;3k,qro;4,149o;4,1pfo;3k,ymu;3k,y7u;3k,tfo;3k,qro;4,149o;4,1pfo;3l,w1u;3l,qpu;3l,q7u;1s,qyu;w,sro;1s,v6o;3l,w1u;3l,qvu;3l,q1u;1s,r00;w,tro;1s,vro;3l,qpu;3l,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;3l,q7u;3l,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;g,qyu;g,r00;8,1gc0;8,1jao;8,1jl0;8,1ju0;g,qu0;g,q7u;8,1gf0;8,1iao;8,1jl0;8,1kl0;g,v6o;g,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;h,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;1t,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;h,w1u;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;1t,w1u;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;h,qpu;h,qvu;h,lz0;1s,ql6;w,tc0;1s,q3o;1t,qpu;1t,qvu;1t,lz0;g,ql6;g,mvu;g,q3o;h,q7u;h,q1u;h,lz0;1s,m06;w,u3o;1s,qro;1t,q7u;1t,q1u;1t,lz0;g,m06;g,pgu;g,qro;3k,qyu;3k,r00;3k,ql6;3k,m06;4,12u0;4,1cxo;3k,qyu;3k,r00;3k,ql6;3k,m06;4,12u0;4,1cxo;3k,qu0;3k,q7u;3k,mvu;3k,pgu;4,12u0;4,1a3o;3k,qu0;3k,q7u;3k,mvu;3k,pgu;4,12u0;4,1a3o;3k,v6o;3k,vro;3k,q3o;3k,qro;4,1cxo;4,1a3o;3k,v6o;3k,vro;3k,q3o;3k,qro;4,1cxo;4,1a3o;3l,iio;3l,df0;3l,gyu;w,fro;w,1c60;w,1clo;3l,iio;3l,dvu;3l,hio;w,elo;w,1b60;w,1d60;3l,df0;3l,dvu;8,1g1u;8,1gc0;8,1g36;8,1g4c;3l,gyu;3l,hio;8,1g1u;8,1jao;8,1imu;8,1jo0;g,dgu;g,eau;8,1gc0;8,1jao;8,1jl0;8,1ju0;g,h4u;g,hio;8,1g36;8,1imu;8,1jl0;8,1jyc;g,iau;g,i3o;8,1g4c;8,1jo0;8,1ju0;8,1jyc;h,iio;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;w,w1u;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;h,iio;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;w,w1u;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;h,df0;h,dvu;w,f3o;1s,er0;w,1ci0;w,1bfo;w,vro;w,v1u;w,qc6;w,ql6;4,dxo;g,dyu;h,gyu;h,hio;h,epu;w,f60;w,1a00;w,149o;w,rau;w,qo0;w,qc6;w,m06;g,hio;g,gyu;3k,dgu;3k,eau;3k,er0;3k,epu;w,12u0;w,1cxo;w,qyu;w,r00;w,ql6;w,m06;4,kfo;4,m60;3k,h4u;3k,hio;4,dxo;3k,hio;4,kfo;4,tfo;3k,h4u;3k,hio;4,dxo;3k,hio;4,kfo;4,tfo;3k,iau;3k,i3o;3k,dyu;3k,gyu;4,m60;4,tfo;3k,iau;3k,i3o;3k,dyu;3k,gyu;4,m60;4,tfo;4,c2o;w,dlo;1s,aro;w,sro;w,1c60;w,1po0;4,c2o;w,dro;4,au0;w,tro;w,1b60;w,1qfo;3l,aro;3l,apu;8,1f4u;8,1gf0;8,1g36;8,1gyc;g,aro;4,au0;8,1f4u;8,1iao;8,1imu;w,1pfo;3l,aro;3l,af6;8,1gf0;8,1iao;8,1jl0;8,1kl0;g,aro;g,apu;8,1g36;8,1imu;8,1jl0;8,1jyc;g,bro;g,bgu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;8,dqo;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;w,12su;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;4,c2o;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;w,12su;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;h,aro;h,apu;1s,cvu;w,tc0;w,1ci0;w,1gro;w,yf0;w,y7u;w,y7u;w,mvu;w,dau;8,c60;3k,aro;4,au0;3k,cvu;w,u3o;w,1a00;w,1pfo;w,11au;w,11ro;w,y7u;w,pgu;w,hio;4,g9o;h,aro;h,af6;w,d60;1s,ci6;w,12u0;w,1a3o;w,qu0;w,q7u;w,mvu;w,pgu;w,a1u;g,b3o;3k,aro;3k,apu;w,dxo;4,cxo;w,kfo;w,tfo;w,h4u;w,hio;w,dau;w,hio;w,a1u;4,gxo;3k,bro;3k,bgu;3k,bau;4,g9o;w,dro;4,gxo;3k,bro;3k,bgu;3k,bau;4,g9o;3k,b3o;4,gxo;4,deo;w,fxo;w,fxo;w,mu0;w,1clo;w,1po0;4,deo;w,ero;w,gxo;w,lu0;w,1d60;w,1qfo;3l,aju;1s,9yc;8,1g1u;8,1gju;8,1g4c;8,1gyc;3l,9mu;4,bu0;8,1g1u;8,1jfi;8,1jo0;w,1pfo;g,9xo;g,aoo;8,1gju;8,1jfi;8,1ju0;8,1kl0;g,aju;1s,9r0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;g,adu;g,9vu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;8,e2o;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;w,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;4,deo;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;w,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;h,aju;8,ai0;w,gi0;w,n60;w,1bfo;w,1gro;w,ymu;w,zau;w,tfo;w,q3o;w,dyu;8,c60;h,9mu;4,bu0;w,fc0;w,ko0;w,149o;w,1pfo;w,ymu;w,y7u;w,tfo;w,qro;w,gyu;g,9su;3k,9xo;3k,aoo;w,g3o;w,ero;w,1cxo;w,1a3o;w,v6o;w,vro;w,q3o;w,qro;4,exo;4,dro;3k,aju;1s,9r0;w,dlo;3k,9gc;w,m60;w,tfo;w,iau;w,i3o;w,dyu;w,gyu;4,exo;4,fi0;3k,adu;3k,9vu;3k,b60;w,g9o;4,dro;w,gxo;w,bro;w,bgu;w,bau;3k,9su;4,dro;4,fi0;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,13vu;1,y7u;2,xc0;2,xc0;4,yf0;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,12su;1,y7u;1,q7u;4,rau;4,11au;4,ymu;1,w1u;1,qpu;1,q7u;4,qyu;w,sro;4,v6o;1,w1u;1,qpu;1,q7u;4,qyu;4,qu0;4,v6o;1,w1u;1,qpu;1,q7u;4,qyu;4,qu0;4,v6o;1,iio;1,df0;1,gyu;w,fro;w,1c60;w,1clo;w,w1u;w,vro;w,rau;w,qyu;4,h4u;4,iau;w,w1u;w,vro;w,rau;w,qyu;4,h4u;4,iau;1s,c2o;w,dlo;4,aro;w,sro;w,1c60;w,1po0;w,12su;w,yf0;w,11au;w,qu0;w,h4u;4,bro;w,12su;w,yf0;w,11au;w,qu0;w,h4u;4,bro;1s,deo;w,fxo;w,fxo;w,mu0;w,1clo;w,1po0;w,13vu;w,ymu;w,ymu;w,v6o;w,iau;w,bro;w,13vu;w,ymu;w,ymu;w,v6o;w,iau;w,bro;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,13vu;1,xsu;1,qvu;4,v1u;4,y7u;4,zau;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,12su;1,xsu;1,q1u;4,qo0;4,11ro;4,y7u;1,w1u;1,qvu;1,q1u;4,r00;w,tro;4,vro;1,w1u;1,qvu;1,q1u;4,r00;4,q7u;4,vro;1,w1u;1,qvu;1,q1u;4,r00;4,q7u;4,vro;1,iio;1,dvu;1,hio;w,elo;w,1b60;w,1d60;w,w1u;w,v1u;w,qo0;w,r00;4,hio;4,i3o;w,w1u;w,v1u;w,qo0;w,r00;4,hio;4,i3o;1s,c2o;w,dro;1s,au0;w,tro;w,1b60;w,1qfo;w,12su;w,y7u;w,11ro;w,q7u;w,hio;4,bgu;w,12su;w,y7u;w,11ro;w,q7u;w,hio;4,bgu;1s,deo;w,ero;w,gxo;w,lu0;w,1d60;w,1qfo;w,13vu;w,zau;w,y7u;w,vro;w,i3o;w,bgu;w,13vu;w,zau;w,y7u;w,vro;w,i3o;w,bgu;1,y7u;1,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;1,y7u;1,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,2pc0;8,2p3c;1,lz0;4,qc6;4,y7u;4,tfo;1,qpu;1,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;1,qpu;1,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;8,2rxc;8,2ni0;1,lz0;4,ql6;4,mvu;4,q3o;1,df0;1,dvu;8,1g1u;8,1gc0;8,1g36;8,1g4c;w,vro;w,v1u;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,2qc0;8,2ou0;w,qc6;w,ql6;3k,dxo;4,dyu;1,aro;1,apu;8,1f4u;8,1gf0;8,1g36;8,1gyc;w,yf0;w,y7u;8,1f4u;8,1gf0;8,1g36;8,1gyc;8,2ro0;8,2p60;w,y7u;w,mvu;w,dau;4,bau;1,aju;4,9yc;8,1g1u;8,1gju;8,1g4c;8,1gyc;w,ymu;w,zau;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,2s00;8,2pc0;w,tfo;w,q3o;w,dyu;w,bau;1,y7u;1,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;1,y7u;1,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,2pc0;8,2p3c;1,lz0;4,qc6;4,y7u;4,tfo;1,q7u;1,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;1,q7u;1,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;8,2v9c;8,2q3c;1,lz0;4,m06;4,pgu;4,qro;1,gyu;1,hio;8,1g1u;8,1jao;8,1imu;8,1jo0;w,rau;w,qo0;8,1g1u;8,1jao;8,1imu;8,1jo0;8,2to0;8,2rfc;w,qc6;w,m06;4,hio;4,gyu;40,aro;1s,au0;8,1f4u;8,1iao;8,1imu;w,1pfo;w,11au;w,11ro;8,1f4u;8,1iao;8,1imu;8,1jf0;8,2v00;8,2rrc;w,y7u;w,pgu;w,hio;3k,g9o;1,9mu;1s,bu0;8,1g1u;8,1jfi;8,1jo0;w,1pfo;w,ymu;w,y7u;8,1g1u;8,1jfi;8,1jo0;8,1jf0;8,2vc0;8,2rxc;w,tfo;w,qro;w,gyu;4,9su;1,qpu;1,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;1,qpu;1,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;8,2rxc;8,2ni0;1,lz0;4,ql6;3k,tc0;4,q3o;1,q7u;1,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;1,q7u;1,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;8,2v9c;8,2q3c;1,lz0;4,m06;3k,u3o;4,qro;40,dgu;40,eau;8,1gc0;8,1jao;8,1jl0;8,1ju0;w,qyu;w,r00;8,1gc0;8,1jao;8,1jl0;8,1ju0;8,2w9c;8,2pu0;w,ql6;w,m06;3k,kfo;3k,m60;1,aro;1,af6;8,1gf0;8,1iao;8,1jl0;8,1kl0;w,qu0;w,q7u;8,1gf0;8,1iao;8,1jl0;8,1kl0;8,2xlc;8,2q60;w,mvu;w,pgu;w,a1u;4,b3o;40,9xo;40,aoo;8,1gju;8,1jfi;8,1ju0;8,1kl0;w,v6o;w,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,2xxc;8,2qc0;w,q3o;w,qro;3k,exo;3k,dro;40,vro;40,v1u;8,1g1u;8,1gc0;8,1g36;8,1g4c;5c,vro;5c,v1u;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,2qc0;8,2ou0;28,qc6;28,ql6;3k,1ci0;3k,1bfo;40,rau;40,qo0;8,1g1u;8,1jao;8,1imu;8,1jo0;5c,rau;5c,qo0;8,1g1u;8,1jao;8,1imu;8,1jo0;8,2to0;8,2rfc;28,qc6;28,m06;3k,1a00;3k,149o;40,qyu;40,r00;8,1gc0;8,1jao;8,1jl0;8,1ju0;5c,qyu;5c,r00;8,1gc0;8,1jao;8,1jl0;8,1ju0;8,2w9c;8,2pu0;28,ql6;28,m06;3k,12u0;3k,1cxo;40,aro;40,apu;8,1g36;8,1imu;8,1jl0;8,1jyc;w,h4u;w,hio;8,1g36;8,1imu;8,1jl0;8,1jyc;8,2w00;8,2ri0;w,dau;w,hio;w,a1u;3k,gxo;40,aju;4,9r0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,iau;w,i3o;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,2wc0;8,2ro0;w,dyu;w,gyu;3k,exo;3k,fi0;40,yf0;40,y7u;8,1f4u;8,1gf0;8,1g36;8,1gyc;5c,yf0;5c,y7u;8,1f4u;8,1gf0;8,1g36;8,1gyc;8,2ro0;8,2p60;28,y7u;3k,tc0;3k,1ci0;3k,1gro;40,11au;40,11ro;8,1f4u;8,1iao;8,1imu;1s,1pfo;5c,11au;5c,11ro;8,1f4u;8,1iao;8,1imu;g,1pfo;8,2v00;8,2rrc;28,y7u;3k,u3o;3k,1a00;3k,1pfo;40,qu0;40,q7u;8,1gf0;8,1iao;8,1jl0;8,1kl0;5c,qu0;5c,q7u;8,1gf0;8,1iao;8,1jl0;8,1kl0;8,2xlc;8,2q60;28,mvu;28,pgu;3k,12u0;3k,1a3o;40,h4u;40,hio;8,1g36;8,1imu;8,1jl0;8,1jyc;5c,h4u;5c,hio;8,1g36;8,1imu;8,1jl0;8,1jyc;8,2w00;8,2ri0;3k,dxo;28,hio;3k,kfo;3k,tfo;2,e60;2,e60;8,1gyc;8,1jf0;8,1kl0;8,1jyc;2,e60;2,e60;8,1gyc;8,1jf0;8,1kl0;8,1jyc;8,2xo0;8,2s00;2,e60;2,e60;2,e60;3k,fi0;40,ymu;40,zau;8,1g1u;8,1gju;8,1g4c;8,1gyc;5c,ymu;5c,zau;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,2s00;8,2pc0;28,tfo;28,q3o;3k,1bfo;3k,1gro;40,ymu;40,y7u;8,1g1u;8,1jfi;8,1jo0;1s,1pfo;5c,ymu;5c,y7u;8,1g1u;8,1jfi;8,1jo0;g,1pfo;8,2vc0;8,2rxc;28,tfo;28,qro;3k,149o;3k,1pfo;40,v6o;40,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;5c,v6o;5c,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,2xxc;8,2qc0;28,q3o;28,qro;3k,1cxo;3k,1a3o;40,iau;40,i3o;8,1g4c;8,1jo0;8,1ju0;8,1jyc;5c,iau;5c,i3o;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,2wc0;8,2ro0;28,dyu;28,gyu;3k,m60;3k,tfo;2,e60;2,e60;8,1gyc;8,1jf0;8,1kl0;8,1jyc;2,e60;2,e60;8,1gyc;8,1jf0;8,1kl0;8,1jyc;8,2xo0;8,2s00;2,e60;3k,g9o;2,e60;3k,gxo;4,2s00;4,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;4,2s00;4,2p3c;g,1eyu;g,1gpo;g,1gyu;g,1hi0;4,2pc0;4,2p3c;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1g1u;1s,1eyu;1s,1fii;3l,1fii;3l,1eyu;3l,1g1u;1s,1gju;1s,1gpo;1s,1g1u;3l,1fii;3l,1gau;3l,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;3l,1eyu;3l,1gau;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;3l,1g1u;3l,1hi0;4,1i9o;4,2s00;4,2pc0;3k,1g1u;3k,1gju;3k,1g4c;3k,1gyc;4,2s00;4,2pc0;3k,1g1u;3k,1gju;3k,1g4c;3k,1gyc;4,2s00;4,2p3c;3k,1eyu;3k,1gpo;3k,1gyu;3k,1hi0;4,2s00;4,2p3c;3k,1eyu;3k,1gpo;3k,1gyu;3k,1hi0;4,2pc0;4,2p3c;3k,1fii;3k,1g1u;3k,1f4u;3k,1g1u;4,2pc0;4,2p3c;3k,1fii;3k,1g1u;3k,1f4u;3k,1g1u;1s,1g1u;1s,1eyu;1s,1fii;h,1fii;h,1eyu;h,1g1u;g,1g1u;g,1eyu;g,1fii;1t,1fii;1t,1eyu;1t,1g1u;1s,1gju;1s,1gpo;1s,1g1u;h,1fii;h,1gau;h,1hi0;g,1gju;g,1gpo;g,1g1u;1t,1fii;1t,1gau;1t,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;h,1eyu;h,1gau;4,1i9o;g,1g4c;g,1gyu;g,1f4u;1t,1eyu;1t,1gau;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;h,1g1u;h,1hi0;4,1i9o;g,1gyc;g,1hi0;g,1g1u;1t,1g1u;1t,1hi0;4,1i9o;4,2vc0;4,2rxc;g,1g1u;g,1jfi;g,1jo0;g,1jf0;4,2vc0;4,2ni0;g,1eyu;g,1hl0;g,1gr6;g,1iac;4,2rxc;4,2ni0;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1g1u;1s,1eyu;1s,1fii;3l,1fii;3l,1eyu;3l,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;3l,1fii;3l,1ir0;3l,1j30;1s,1jo0;1s,1gr6;1s,1gf0;3l,1eyu;3l,1ir0;3l,1j4c;1s,1jf0;1s,1iac;1s,1gju;3l,1g1u;3l,1j30;3l,1j4c;4,2vc0;4,2rxc;3k,1g1u;3k,1jfi;3k,1jo0;3k,1jf0;4,2vc0;4,2rxc;3k,1g1u;3k,1jfi;3k,1jo0;3k,1jf0;4,2vc0;4,2ni0;3k,1eyu;3k,1hl0;3k,1gr6;3k,1iac;4,2vc0;4,2ni0;3k,1eyu;3k,1hl0;3k,1gr6;3k,1iac;4,2rxc;4,2ni0;3k,1fii;3k,1gc0;3k,1gf0;3k,1gju;4,2rxc;4,2ni0;3k,1fii;3k,1gc0;3k,1gf0;3k,1gju;1s,1g1u;1s,1eyu;1s,1fii;h,1fii;h,1eyu;h,1g1u;g,1g1u;g,1eyu;g,1fii;1t,1fii;1t,1eyu;1t,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;h,1fii;h,1ir0;h,1j30;g,1jfi;g,1hl0;g,1gc0;1t,1fii;1t,1ir0;1t,1j30;1s,1jo0;1s,1gr6;1s,1gf0;h,1eyu;h,1ir0;h,1j4c;g,1jo0;g,1gr6;g,1gf0;1t,1eyu;1t,1ir0;1t,1j4c;1s,1jf0;1s,1iac;1s,1gju;h,1g1u;h,1j30;h,1j4c;g,1jf0;g,1iac;g,1gju;1t,1g1u;1t,1j30;1t,1j4c;4,2xxc;4,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;4,2xxc;4,2ou0;g,1gpo;g,1hl0;g,1j30;g,1ju0;4,2qc0;4,2ou0;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1gju;1s,1gpo;1s,1g1u;3l,1fii;3l,1gau;3l,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;3l,1fii;3l,1ir0;3l,1j30;1s,1ju0;1s,1j30;1s,1g36;3l,1gau;3l,1ir0;3l,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;3l,1hi0;3l,1j30;3l,1jyc;4,2xxc;4,2qc0;3k,1gju;3k,1jfi;3k,1ju0;3k,1kl0;4,2xxc;4,2qc0;3k,1gju;3k,1jfi;3k,1ju0;3k,1kl0;4,2xxc;4,2ou0;3k,1gpo;3k,1hl0;3k,1j30;3k,1ju0;4,2xxc;4,2ou0;3k,1gpo;3k,1hl0;3k,1j30;3k,1ju0;4,2qc0;4,2ou0;3k,1g1u;3k,1gc0;3k,1g36;3k,1g4c;4,2qc0;4,2ou0;3k,1g1u;3k,1gc0;3k,1g36;3k,1g4c;1s,1gju;1s,1gpo;1s,1g1u;h,1fii;h,1gau;h,1hi0;g,1gju;g,1gpo;g,1g1u;1t,1fii;1t,1gau;1t,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;h,1fii;h,1ir0;h,1j30;g,1jfi;g,1hl0;g,1gc0;1t,1fii;1t,1ir0;1t,1j30;1s,1ju0;1s,1j30;1s,1g36;h,1gau;h,1ir0;h,1jyc;g,1ju0;g,1j30;g,1g36;1t,1gau;1t,1ir0;1t,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;h,1hi0;h,1j30;h,1jyc;g,1kl0;g,1ju0;g,1g4c;1t,1hi0;1t,1j30;1t,1jyc;4,2wc0;4,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;4,2wc0;4,2p60;g,1gyu;g,1gr6;g,1j30;w,1j9o;4,2ro0;4,2p60;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;3l,1eyu;3l,1gau;w,1i9o;1s,1jo0;1s,1gr6;1s,1gf0;3l,1eyu;3l,1ir0;3l,1j4c;1s,1ju0;1s,1j30;1s,1g36;3l,1gau;3l,1ir0;3l,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;3l,1gyc;3l,1j4c;3l,1jyc;4,2wc0;4,2ro0;3k,1g4c;3k,1jo0;3k,1ju0;3k,1jyc;4,2wc0;4,2ro0;3k,1g4c;3k,1jo0;3k,1ju0;3k,1jyc;4,2wc0;4,2p60;3k,1gyu;3k,1gr6;3k,1j30;w,1j9o;4,2wc0;4,2p60;3k,1gyu;3k,1gr6;3k,1j30;3k,1j4c;4,2ro0;4,2p60;3k,1f4u;3k,1gf0;3k,1g36;3k,1gyc;4,2ro0;4,2p60;3k,1f4u;3k,1gf0;3k,1g36;3k,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;h,1eyu;h,1gau;w,1i9o;g,1g4c;g,1gyu;g,1f4u;1t,1eyu;1t,1gau;1t,1gyc;1s,1jo0;1s,1gr6;1s,1gf0;h,1eyu;h,1ir0;h,1j4c;g,1jo0;g,1gr6;g,1gf0;1t,1eyu;1t,1ir0;1t,1j4c;1s,1ju0;1s,1j30;1s,1g36;h,1gau;h,1ir0;h,1jyc;g,1ju0;g,1j30;g,1g36;1t,1gau;1t,1ir0;1t,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;h,1gyc;h,1j4c;h,1jyc;g,1jyc;g,1j4c;g,1gyc;1t,1gyc;1t,1j4c;1t,1jyc;4,2xo0;4,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;4,2xo0;4,2pc0;g,1hi0;g,1iac;g,1ju0;w,1j9o;4,2s00;4,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;3l,1g1u;3l,1hi0;w,1i9o;1s,1jf0;1s,1iac;1s,1gju;3l,1g1u;3l,1j30;3l,1j4c;1s,1kl0;1s,1ju0;1s,1g4c;3l,1hi0;3l,1j30;3l,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;3l,1gyc;3l,1j4c;3l,1jyc;4,2xo0;4,2s00;3k,1gyc;3k,1jf0;3k,1kl0;3k,1jyc;4,2xo0;4,2s00;3k,1gyc;3k,1jf0;3k,1kl0;3k,1jyc;4,2xo0;4,2pc0;3k,1hi0;3k,1iac;3k,1ju0;w,1j9o;4,2xo0;4,2pc0;3k,1hi0;3k,1iac;3k,1ju0;3k,1j4c;4,2s00;4,2pc0;3k,1g1u;3k,1gju;3k,1g4c;3k,1gyc;4,2s00;4,2pc0;3k,1g1u;3k,1gju;3k,1g4c;3k,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;h,1g1u;h,1hi0;w,1i9o;g,1gyc;g,1hi0;g,1g1u;1t,1g1u;1t,1hi0;1t,1gyc;1s,1jf0;1s,1iac;1s,1gju;h,1g1u;h,1j30;h,1j4c;g,1jf0;g,1iac;g,1gju;1t,1g1u;1t,1j30;1t,1j4c;1s,1kl0;1s,1ju0;1s,1g4c;h,1hi0;h,1j30;h,1jyc;g,1kl0;g,1ju0;g,1g4c;1t,1hi0;1t,1j30;1t,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;h,1gyc;h,1j4c;h,1jyc;g,1jyc;g,1j4c;g,1gyc;1t,1gyc;1t,1j4c;1t,1jyc;1s,2s00;1s,2pc0;40,1g1u;40,1gju;40,1g4c;40,1gyc;g,2s00;g,2pc0;5c,1g1u;5c,1gju;5c,1g4c;5c,1gyc;3k,2s00;3k,2pc0;28,1g1u;28,1gju;28,1g4c;28,1gyc;1s,2vc0;1s,2rxc;40,1g1u;40,1jfi;40,1jo0;40,1jf0;g,2vc0;g,2rxc;5c,1g1u;5c,1jfi;5c,1jo0;5c,1jf0;3k,2vc0;3k,2rxc;28,1g1u;28,1jfi;28,1jo0;28,1jf0;1s,2xxc;1s,2qc0;40,1gju;40,1jfi;40,1ju0;40,1kl0;g,2xxc;g,2qc0;5c,1gju;5c,1jfi;5c,1ju0;5c,1kl0;3k,2xxc;3k,2qc0;28,1gju;28,1jfi;28,1ju0;28,1kl0;1s,2wc0;1s,2ro0;40,1g4c;40,1jo0;40,1ju0;40,1jyc;g,2wc0;g,2ro0;5c,1g4c;5c,1jo0;5c,1ju0;5c,1jyc;3k,2wc0;3k,2ro0;28,1g4c;28,1jo0;28,1ju0;28,1jyc;1s,2xo0;1s,2s00;40,1gyc;40,1jf0;40,1kl0;40,1jyc;g,2xo0;g,2s00;5c,1gyc;5c,1jf0;5c,1kl0;5c,1jyc;3k,2xo0;3k,2s00;28,1gyc;28,1jf0;28,1kl0;28,1jyc;1s,2s00;1s,2p3c;40,1eyu;40,1gpo;40,1gyu;40,1hi0;g,2s00;g,2p3c;5c,1eyu;5c,1gpo;5c,1gyu;5c,1hi0;3k,2s00;3k,2p3c;28,1eyu;28,1gpo;28,1gyu;28,1hi0;1s,2vc0;1s,2ni0;40,1eyu;40,1hl0;40,1gr6;40,1iac;g,2vc0;g,2ni0;5c,1eyu;5c,1hl0;5c,1gr6;5c,1iac;3k,2vc0;3k,2ni0;28,1eyu;28,1hl0;28,1gr6;28,1iac;1s,2xxc;1s,2ou0;40,1gpo;40,1hl0;40,1j30;40,1ju0;g,2xxc;g,2ou0;5c,1gpo;5c,1hl0;5c,1j30;5c,1ju0;3k,2xxc;3k,2ou0;28,1gpo;28,1hl0;28,1j30;28,1ju0;1s,2wc0;1s,2p60;40,1gyu;40,1gr6;40,1j30;w,1j9o;g,2wc0;g,2p60;5c,1gyu;5c,1gr6;5c,1j30;5c,1j4c;3k,2wc0;3k,2p60;28,1gyu;28,1gr6;28,1j30;28,1j4c;1s,2xo0;1s,2pc0;40,1hi0;40,1iac;40,1ju0;w,1j9o;g,2xo0;g,2pc0;5c,1hi0;5c,1iac;5c,1ju0;5c,1j4c;3k,2xo0;3k,2pc0;28,1hi0;28,1iac;28,1ju0;28,1j4c;1s,2pc0;1s,2p3c;40,1fii;40,1g1u;40,1f4u;40,1g1u;g,2pc0;g,2p3c;5c,1fii;5c,1g1u;5c,1f4u;5c,1g1u;3k,2pc0;3k,2p3c;28,1fii;28,1g1u;28,1f4u;28,1g1u;1s,2rxc;1s,2ni0;40,1fii;40,1gc0;40,1gf0;40,1gju;g,2rxc;g,2ni0;5c,1fii;5c,1gc0;5c,1gf0;5c,1gju;3k,2rxc;3k,2ni0;28,1fii;28,1gc0;28,1gf0;28,1gju;1s,2qc0;1s,2ou0;40,1g1u;40,1gc0;40,1g36;40,1g4c;g,2qc0;g,2ou0;5c,1g1u;5c,1gc0;5c,1g36;5c,1g4c;3k,2qc0;3k,2ou0;28,1g1u;28,1gc0;28,1g36;28,1g4c;1s,2ro0;1s,2p60;40,1f4u;40,1gf0;40,1g36;40,1gyc;g,2ro0;g,2p60;5c,1f4u;5c,1gf0;5c,1g36;5c,1gyc;3k,2ro0;3k,2p60;28,1f4u;28,1gf0;28,1g36;28,1gyc;1s,2s00;1s,2pc0;40,1g1u;40,1gju;40,1g4c;40,1gyc;g,2s00;g,2pc0;5c,1g1u;5c,1gju;5c,1g4c;5c,1gyc;3k,2s00;3k,2pc0;28,1g1u;28,1gju;28,1g4c;28,1gyc;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;w,1i9o;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;1,1gyc;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;1,1gyc;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;w,1i9o;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;1,1gyc;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;1,1gyc;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;1s,1i9o;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;g,1i9o;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;3k,1i9o;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;1s,1i9o;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;g,1i9o;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;3k,1i9o;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,2p00;4,2v9c;g,1g1u;g,1hfi;g,1hr0;g,1i60;4,2p00;4,2q3c;g,1eyu;g,1fmo;g,1fgu;g,1fx0;4,2v9c;4,2q3c;g,1fii;g,1jao;g,1iao;g,1jfi;1s,1g1u;1s,1eyu;1s,1fii;3l,1fii;3l,1eyu;3l,1g1u;1s,1hfi;1s,1fmo;1s,1jao;3l,1fii;3l,1hyo;3l,1ivo;1s,1hr0;1s,1fgu;1s,1iao;3l,1eyu;3l,1hyo;3l,1il0;1s,1i60;1s,1fx0;1s,1jfi;3l,1g1u;3l,1ivo;3l,1il0;4,2p00;4,2v9c;3k,1g1u;3k,1hfi;3k,1hr0;3k,1i60;4,2p00;4,2v9c;3k,1g1u;3k,1hfi;3k,1hr0;3k,1i60;4,2p00;4,2q3c;3k,1eyu;3k,1fmo;3k,1fgu;3k,1fx0;4,2p00;4,2q3c;3k,1eyu;3k,1fmo;3k,1fgu;3k,1fx0;4,2v9c;4,2q3c;3k,1fii;3k,1jao;3k,1iao;3k,1jfi;4,2v9c;4,2q3c;3k,1fii;3k,1jao;3k,1iao;3k,1jfi;1s,1g1u;1s,1eyu;1s,1fii;h,1fii;h,1eyu;h,1g1u;g,1g1u;g,1eyu;g,1fii;1t,1fii;1t,1eyu;1t,1g1u;1s,1hfi;1s,1fmo;1s,1jao;h,1fii;h,1hyo;h,1ivo;g,1hfi;g,1fmo;g,1jao;1t,1fii;1t,1hyo;1t,1ivo;1s,1hr0;1s,1fgu;1s,1iao;h,1eyu;h,1hyo;h,1il0;g,1hr0;g,1fgu;g,1iao;1t,1eyu;1t,1hyo;1t,1il0;1s,1i60;1s,1fx0;1s,1jfi;h,1g1u;h,1ivo;h,1il0;g,1i60;g,1fx0;g,1jfi;1t,1g1u;1t,1ivo;1t,1il0;4,2rlc;4,2to0;g,1gju;g,1hfi;g,1if0;g,1ju0;4,2rlc;4,2rfc;g,1gpo;g,1fmo;g,1hvo;g,1hjo;4,2to0;4,2rfc;g,1g1u;g,1jao;g,1imu;g,1jo0;1s,1gju;1s,1gpo;1s,1g1u;3l,1fii;3l,1gau;3l,1hi0;1s,1hfi;1s,1fmo;1s,1jao;3l,1fii;3l,1hyo;3l,1ivo;1s,1if0;1s,1hvo;1s,1imu;3l,1gau;3l,1hyo;3l,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;3l,1hi0;3l,1ivo;3l,1ko0;4,2rlc;4,2to0;3k,1gju;3k,1hfi;3k,1if0;3k,1ju0;4,2rlc;4,2to0;3k,1gju;3k,1hfi;3k,1if0;3k,1ju0;4,2rlc;4,2rfc;3k,1gpo;3k,1fmo;3k,1hvo;3k,1hjo;4,2rlc;4,2rfc;3k,1gpo;3k,1fmo;3k,1hvo;3k,1hjo;4,2to0;4,2rfc;3k,1g1u;3k,1jao;3k,1imu;3k,1jo0;4,2to0;4,2rfc;3k,1g1u;3k,1jao;3k,1imu;3k,1jo0;1s,1gju;1s,1gpo;1s,1g1u;h,1fii;h,1gau;h,1hi0;g,1gju;g,1gpo;g,1g1u;1t,1fii;1t,1gau;1t,1hi0;1s,1hfi;1s,1fmo;1s,1jao;h,1fii;h,1hyo;h,1ivo;g,1hfi;g,1fmo;g,1jao;1t,1fii;1t,1hyo;1t,1ivo;1s,1if0;1s,1hvo;1s,1imu;h,1gau;h,1hyo;h,1ko0;g,1if0;g,1hvo;g,1imu;1t,1gau;1t,1hyo;1t,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;h,1hi0;h,1ivo;h,1ko0;g,1ju0;g,1hjo;g,1jo0;1t,1hi0;1t,1ivo;1t,1ko0;4,2q00;4,2v00;g,1g4c;g,1hr0;g,1if0;w,1r60;4,2q00;4,2rrc;g,1gyu;g,1fgu;g,1hvo;w,1rxo;4,2v00;4,2rrc;g,1f4u;g,1iao;g,1imu;w,1pfo;1s,1g4c;1s,1gyu;1s,1f4u;3l,1eyu;3l,1gau;w,1i9o;1s,1hr0;1s,1fgu;1s,1iao;3l,1eyu;3l,1hyo;3l,1il0;1s,1if0;1s,1hvo;1s,1imu;3l,1gau;3l,1hyo;3l,1ko0;1s,1jac;1s,1hi0;1s,1jf0;3l,1gyc;3l,1il0;3l,1ko0;4,2q00;4,2v00;3k,1g4c;3k,1hr0;3k,1if0;w,1r60;4,2q00;4,2v00;3k,1g4c;3k,1hr0;3k,1if0;3k,1jac;4,2q00;4,2rrc;3k,1gyu;3k,1fgu;3k,1hvo;w,1rxo;4,2q00;4,2rrc;3k,1gyu;3k,1fgu;3k,1hvo;3k,1hi0;4,2v00;4,2rrc;3k,1f4u;3k,1iao;3k,1imu;w,1pfo;4,2v00;4,2rrc;3k,1f4u;3k,1iao;3k,1imu;3k,1jf0;1s,1g4c;1s,1gyu;1s,1f4u;h,1eyu;h,1gau;w,1i9o;g,1g4c;g,1gyu;g,1f4u;1t,1eyu;1t,1gau;1t,1gyc;1s,1hr0;1s,1fgu;1s,1iao;h,1eyu;h,1hyo;h,1il0;g,1hr0;g,1fgu;g,1iao;1t,1eyu;1t,1hyo;1t,1il0;1s,1if0;1s,1hvo;1s,1imu;h,1gau;h,1hyo;h,1ko0;g,1if0;g,1hvo;g,1imu;1t,1gau;1t,1hyo;1t,1ko0;1s,1jac;1s,1hi0;1s,1jf0;h,1gyc;h,1il0;h,1ko0;g,1jac;g,1hi0;g,1jf0;1t,1gyc;1t,1il0;1t,1ko0;4,2rc0;4,2vc0;g,1gyc;g,1i60;g,1ju0;w,1r60;4,2rc0;4,2rxc;g,1hi0;g,1fx0;g,1hjo;w,1rxo;4,2vc0;4,2rxc;g,1g1u;g,1jfi;g,1jo0;w,1pfo;1s,1gyc;1s,1hi0;1s,1g1u;3l,1g1u;3l,1hi0;w,1i9o;1s,1i60;1s,1fx0;1s,1jfi;3l,1g1u;3l,1ivo;3l,1il0;1s,1ju0;1s,1hjo;1s,1jo0;3l,1hi0;3l,1ivo;3l,1ko0;1s,1jac;1s,1hi0;1s,1jf0;3l,1gyc;3l,1il0;3l,1ko0;4,2rc0;4,2vc0;3k,1gyc;3k,1i60;3k,1ju0;w,1r60;4,2rc0;4,2vc0;3k,1gyc;3k,1i60;3k,1ju0;3k,1jac;4,2rc0;4,2rxc;3k,1hi0;3k,1fx0;3k,1hjo;w,1rxo;4,2rc0;4,2rxc;3k,1hi0;3k,1fx0;3k,1hjo;3k,1hi0;4,2vc0;4,2rxc;3k,1g1u;3k,1jfi;3k,1jo0;w,1pfo;4,2vc0;4,2rxc;3k,1g1u;3k,1jfi;3k,1jo0;3k,1jf0;1s,1gyc;1s,1hi0;1s,1g1u;h,1g1u;h,1hi0;w,1i9o;g,1gyc;g,1hi0;g,1g1u;1t,1g1u;1t,1hi0;1t,1gyc;1s,1i60;1s,1fx0;1s,1jfi;h,1g1u;h,1ivo;h,1il0;g,1i60;g,1fx0;g,1jfi;1t,1g1u;1t,1ivo;1t,1il0;1s,1ju0;1s,1hjo;1s,1jo0;h,1hi0;h,1ivo;h,1ko0;g,1ju0;g,1hjo;g,1jo0;1t,1hi0;1t,1ivo;1t,1ko0;1s,1jac;1s,1hi0;1s,1jf0;h,1gyc;h,1il0;h,1ko0;g,1jac;g,1hi0;g,1jf0;1t,1gyc;1t,1il0;1t,1ko0;1s,2p00;1s,2v9c;40,1g1u;40,1hfi;40,1hr0;40,1i60;g,2p00;g,2v9c;5c,1g1u;5c,1hfi;5c,1hr0;5c,1i60;3k,2p00;3k,2v9c;28,1g1u;28,1hfi;28,1hr0;28,1i60;1s,2rlc;1s,2to0;40,1gju;40,1hfi;40,1if0;40,1ju0;g,2rlc;g,2to0;5c,1gju;5c,1hfi;5c,1if0;5c,1ju0;3k,2rlc;3k,2to0;28,1gju;28,1hfi;28,1if0;28,1ju0;1s,2q00;1s,2v00;40,1g4c;40,1hr0;40,1if0;w,1r60;g,2q00;g,2v00;5c,1g4c;5c,1hr0;5c,1if0;5c,1jac;3k,2q00;3k,2v00;28,1g4c;28,1hr0;28,1if0;28,1jac;1s,2rc0;1s,2vc0;40,1gyc;40,1i60;40,1ju0;w,1r60;g,2rc0;g,2vc0;5c,1gyc;5c,1i60;5c,1ju0;5c,1jac;3k,2rc0;3k,2vc0;28,1gyc;28,1i60;28,1ju0;28,1jac;1s,2p00;1s,2q3c;40,1eyu;40,1fmo;40,1fgu;40,1fx0;g,2p00;g,2q3c;5c,1eyu;5c,1fmo;5c,1fgu;5c,1fx0;3k,2p00;3k,2q3c;28,1eyu;28,1fmo;28,1fgu;28,1fx0;1s,2rlc;1s,2rfc;40,1gpo;40,1fmo;40,1hvo;40,1hjo;g,2rlc;g,2rfc;5c,1gpo;5c,1fmo;5c,1hvo;5c,1hjo;3k,2rlc;3k,2rfc;28,1gpo;28,1fmo;28,1hvo;28,1hjo;1s,2q00;1s,2rrc;40,1gyu;40,1fgu;40,1hvo;w,1rxo;g,2q00;g,2rrc;5c,1gyu;5c,1fgu;5c,1hvo;5c,1hi0;3k,2q00;3k,2rrc;28,1gyu;28,1fgu;28,1hvo;28,1hi0;1s,2rc0;1s,2rxc;40,1hi0;40,1fx0;40,1hjo;w,1rxo;g,2rc0;g,2rxc;5c,1hi0;5c,1fx0;5c,1hjo;5c,1hi0;3k,2rc0;3k,2rxc;28,1hi0;28,1fx0;28,1hjo;28,1hi0;1s,2v9c;1s,2q3c;40,1fii;40,1jao;40,1iao;40,1jfi;g,2v9c;g,2q3c;5c,1fii;5c,1jao;5c,1iao;5c,1jfi;3k,2v9c;3k,2q3c;28,1fii;28,1jao;28,1iao;28,1jfi;1s,2to0;1s,2rfc;40,1g1u;40,1jao;40,1imu;40,1jo0;g,2to0;g,2rfc;5c,1g1u;5c,1jao;5c,1imu;5c,1jo0;3k,2to0;3k,2rfc;28,1g1u;28,1jao;28,1imu;28,1jo0;1s,2v00;1s,2rrc;40,1f4u;40,1iao;40,1imu;w,1pfo;g,2v00;g,2rrc;5c,1f4u;5c,1iao;5c,1imu;5c,1jf0;3k,2v00;3k,2rrc;28,1f4u;28,1iao;28,1imu;28,1jf0;1s,2vc0;1s,2rxc;40,1g1u;40,1jfi;40,1jo0;w,1pfo;g,2vc0;g,2rxc;5c,1g1u;5c,1jfi;5c,1jo0;5c,1jf0;3k,2vc0;3k,2rxc;28,1g1u;28,1jfi;28,1jo0;28,1jf0;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1g1u;4,1eyu;4,1fii;1,1fii;1,1eyu;1,1g1u;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1gju;4,1gpo;4,1g1u;1,1fii;1,1gau;1,1hi0;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;w,1i9o;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;1,1gyc;4,1g4c;4,1gyu;4,1f4u;1,1eyu;1,1gau;1,1gyc;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;w,1i9o;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;1,1gyc;4,1gyc;4,1hi0;4,1g1u;1,1g1u;1,1hi0;1,1gyc;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,2uxc;4,2w9c;g,1jfi;g,1hfi;g,1l30;g,1lf0;4,2uxc;4,2pu0;g,1hl0;g,1fmo;g,1ix0;g,1jl0;4,2w9c;4,2pu0;g,1gc0;g,1jao;g,1jl0;g,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;3l,1fii;3l,1ir0;3l,1j30;1s,1hfi;1s,1fmo;1s,1jao;3l,1fii;3l,1hyo;3l,1ivo;1s,1l30;1s,1ix0;1s,1jl0;3l,1ir0;3l,1hyo;3l,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;3l,1j30;3l,1ivo;3l,1mvc;4,2uxc;4,2w9c;3k,1jfi;3k,1hfi;3k,1l30;3k,1lf0;4,2uxc;4,2w9c;3k,1jfi;3k,1hfi;3k,1l30;3k,1lf0;4,2uxc;4,2pu0;3k,1hl0;3k,1fmo;3k,1ix0;3k,1jl0;4,2uxc;4,2pu0;3k,1hl0;3k,1fmo;3k,1ix0;3k,1jl0;4,2w9c;4,2pu0;3k,1gc0;3k,1jao;3k,1jl0;3k,1ju0;4,2w9c;4,2pu0;3k,1gc0;3k,1jao;3k,1jl0;3k,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;h,1fii;h,1ir0;h,1j30;g,1jfi;g,1hl0;g,1gc0;1t,1fii;1t,1ir0;1t,1j30;1s,1hfi;1s,1fmo;1s,1jao;h,1fii;h,1hyo;h,1ivo;g,1hfi;g,1fmo;g,1jao;1t,1fii;1t,1hyo;1t,1ivo;1s,1l30;1s,1ix0;1s,1jl0;h,1ir0;h,1hyo;h,1mvc;g,1l30;g,1ix0;g,1jl0;1t,1ir0;1t,1hyo;1t,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;h,1j30;h,1ivo;h,1mvc;g,1lf0;g,1jl0;g,1ju0;1t,1j30;1t,1ivo;1t,1mvc;4,2tc0;4,2xlc;g,1jo0;g,1hr0;g,1l30;g,1ljc;4,2tc0;4,2q60;g,1gr6;g,1fgu;g,1ix0;g,1igc;4,2xlc;4,2q60;g,1gf0;g,1iao;g,1jl0;g,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;3l,1eyu;3l,1ir0;3l,1j4c;1s,1hr0;1s,1fgu;1s,1iao;3l,1eyu;3l,1hyo;3l,1il0;1s,1l30;1s,1ix0;1s,1jl0;3l,1ir0;3l,1hyo;3l,1mvc;1s,1ljc;1s,1igc;1s,1kl0;3l,1j4c;3l,1il0;3l,1mvc;4,2tc0;4,2xlc;3k,1jo0;3k,1hr0;3k,1l30;3k,1ljc;4,2tc0;4,2xlc;3k,1jo0;3k,1hr0;3k,1l30;3k,1ljc;4,2tc0;4,2q60;3k,1gr6;3k,1fgu;3k,1ix0;3k,1igc;4,2tc0;4,2q60;3k,1gr6;3k,1fgu;3k,1ix0;3k,1igc;4,2xlc;4,2q60;3k,1gf0;3k,1iao;3k,1jl0;3k,1kl0;4,2xlc;4,2q60;3k,1gf0;3k,1iao;3k,1jl0;3k,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;h,1eyu;h,1ir0;h,1j4c;g,1jo0;g,1gr6;g,1gf0;1t,1eyu;1t,1ir0;1t,1j4c;1s,1hr0;1s,1fgu;1s,1iao;h,1eyu;h,1hyo;h,1il0;g,1hr0;g,1fgu;g,1iao;1t,1eyu;1t,1hyo;1t,1il0;1s,1l30;1s,1ix0;1s,1jl0;h,1ir0;h,1hyo;h,1mvc;g,1l30;g,1ix0;g,1jl0;1t,1ir0;1t,1hyo;1t,1mvc;1s,1ljc;1s,1igc;1s,1kl0;h,1j4c;h,1il0;h,1mvc;g,1ljc;g,1igc;g,1kl0;1t,1j4c;1t,1il0;1t,1mvc;4,2uo0;4,2xxc;g,1jf0;g,1i60;g,1lf0;g,1ljc;4,2uo0;4,2qc0;g,1iac;g,1fx0;g,1jl0;g,1igc;4,2xxc;4,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1jf0;1s,1iac;1s,1gju;3l,1g1u;3l,1j30;3l,1j4c;1s,1i60;1s,1fx0;1s,1jfi;3l,1g1u;3l,1ivo;3l,1il0;1s,1lf0;1s,1jl0;1s,1ju0;3l,1j30;3l,1ivo;3l,1mvc;1s,1ljc;1s,1igc;1s,1kl0;3l,1j4c;3l,1il0;3l,1mvc;4,2uo0;4,2xxc;3k,1jf0;3k,1i60;3k,1lf0;3k,1ljc;4,2uo0;4,2xxc;3k,1jf0;3k,1i60;3k,1lf0;3k,1ljc;4,2uo0;4,2qc0;3k,1iac;3k,1fx0;3k,1jl0;3k,1igc;4,2uo0;4,2qc0;3k,1iac;3k,1fx0;3k,1jl0;3k,1igc;4,2xxc;4,2qc0;3k,1gju;3k,1jfi;3k,1ju0;3k,1kl0;4,2xxc;4,2qc0;3k,1gju;3k,1jfi;3k,1ju0;3k,1kl0;1s,1jf0;1s,1iac;1s,1gju;h,1g1u;h,1j30;h,1j4c;g,1jf0;g,1iac;g,1gju;1t,1g1u;1t,1j30;1t,1j4c;1s,1i60;1s,1fx0;1s,1jfi;h,1g1u;h,1ivo;h,1il0;g,1i60;g,1fx0;g,1jfi;1t,1g1u;1t,1ivo;1t,1il0;1s,1lf0;1s,1jl0;1s,1ju0;h,1j30;h,1ivo;h,1mvc;g,1lf0;g,1jl0;g,1ju0;1t,1j30;1t,1ivo;1t,1mvc;1s,1ljc;1s,1igc;1s,1kl0;h,1j4c;h,1il0;h,1mvc;g,1ljc;g,1igc;g,1kl0;1t,1j4c;1t,1il0;1t,1mvc;1s,2uxc;1s,2w9c;40,1jfi;40,1hfi;40,1l30;40,1lf0;g,2uxc;g,2w9c;5c,1jfi;5c,1hfi;5c,1l30;5c,1lf0;3k,2uxc;3k,2w9c;28,1jfi;28,1hfi;28,1l30;28,1lf0;1s,2tc0;1s,2xlc;40,1jo0;40,1hr0;40,1l30;40,1ljc;g,2tc0;g,2xlc;5c,1jo0;5c,1hr0;5c,1l30;5c,1ljc;3k,2tc0;3k,2xlc;28,1jo0;28,1hr0;28,1l30;28,1ljc;1s,2uo0;1s,2xxc;40,1jf0;40,1i60;40,1lf0;40,1ljc;g,2uo0;g,2xxc;5c,1jf0;5c,1i60;5c,1lf0;5c,1ljc;3k,2uo0;3k,2xxc;28,1jf0;28,1i60;28,1lf0;28,1ljc;1s,2uxc;1s,2pu0;40,1hl0;40,1fmo;40,1ix0;40,1jl0;g,2uxc;g,2pu0;5c,1hl0;5c,1fmo;5c,1ix0;5c,1jl0;3k,2uxc;3k,2pu0;28,1hl0;28,1fmo;28,1ix0;28,1jl0;1s,2tc0;1s,2q60;40,1gr6;40,1fgu;40,1ix0;40,1igc;g,2tc0;g,2q60;5c,1gr6;5c,1fgu;5c,1ix0;5c,1igc;3k,2tc0;3k,2q60;28,1gr6;28,1fgu;28,1ix0;28,1igc;1s,2uo0;1s,2qc0;40,1iac;40,1fx0;40,1jl0;40,1igc;g,2uo0;g,2qc0;5c,1iac;5c,1fx0;5c,1jl0;5c,1igc;3k,2uo0;3k,2qc0;28,1iac;28,1fx0;28,1jl0;28,1igc;1s,2w9c;1s,2pu0;40,1gc0;40,1jao;40,1jl0;40,1ju0;g,2w9c;g,2pu0;5c,1gc0;5c,1jao;5c,1jl0;5c,1ju0;3k,2w9c;3k,2pu0;28,1gc0;28,1jao;28,1jl0;28,1ju0;1s,2xlc;1s,2q60;40,1gf0;40,1iao;40,1jl0;40,1kl0;g,2xlc;g,2q60;5c,1gf0;5c,1iao;5c,1jl0;5c,1kl0;3k,2xlc;3k,2q60;28,1gf0;28,1iao;28,1jl0;28,1kl0;1s,2xxc;1s,2qc0;40,1gju;40,1jfi;40,1ju0;40,1kl0;g,2xxc;g,2qc0;5c,1gju;5c,1jfi;5c,1ju0;5c,1kl0;3k,2xxc;3k,2qc0;28,1gju;28,1jfi;28,1ju0;28,1kl0;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jfi;4,1hl0;4,1gc0;1,1fii;1,1ir0;1,1j30;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jo0;4,1gr6;4,1gf0;1,1eyu;1,1ir0;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1jf0;4,1iac;4,1gju;1,1g1u;1,1j30;1,1j4c;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hfi;4,1fmo;4,1jao;1,1fii;1,1hyo;1,1ivo;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1hr0;4,1fgu;4,1iao;1,1eyu;1,1hyo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1i60;4,1fx0;4,1jfi;1,1g1u;1,1ivo;1,1il0;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;4,2vxc;4,2w00;g,1ju0;g,1if0;g,1l30;g,1mvc;4,2vxc;4,2ri0;g,1j30;g,1hvo;g,1ix0;g,1ko0;4,2w00;4,2ri0;g,1g36;g,1imu;g,1jl0;g,1jyc;1s,1ju0;1s,1j30;1s,1g36;3l,1gau;3l,1ir0;3l,1jyc;1s,1if0;1s,1hvo;1s,1imu;3l,1gau;3l,1hyo;3l,1ko0;1s,1l30;1s,1ix0;1s,1jl0;3l,1ir0;3l,1hyo;3l,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;3l,1jyc;3l,1ko0;3l,1mvc;4,2vxc;4,2w00;3k,1ju0;3k,1if0;3k,1l30;3k,1mvc;4,2vxc;4,2w00;3k,1ju0;3k,1if0;3k,1l30;3k,1mvc;4,2vxc;4,2ri0;3k,1j30;3k,1hvo;3k,1ix0;3k,1ko0;4,2vxc;4,2ri0;3k,1j30;3k,1hvo;3k,1ix0;3k,1ko0;4,2w00;4,2ri0;3k,1g36;3k,1imu;3k,1jl0;3k,1jyc;4,2w00;4,2ri0;3k,1g36;3k,1imu;3k,1jl0;3k,1jyc;1s,1ju0;1s,1j30;1s,1g36;h,1gau;h,1ir0;h,1jyc;g,1ju0;g,1j30;g,1g36;1t,1gau;1t,1ir0;1t,1jyc;1s,1if0;1s,1hvo;1s,1imu;h,1gau;h,1hyo;h,1ko0;g,1if0;g,1hvo;g,1imu;1t,1gau;1t,1hyo;1t,1ko0;1s,1l30;1s,1ix0;1s,1jl0;h,1ir0;h,1hyo;h,1mvc;g,1l30;g,1ix0;g,1jl0;1t,1ir0;1t,1hyo;1t,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;h,1jyc;h,1ko0;h,1mvc;g,1mvc;g,1ko0;g,1jyc;1t,1jyc;1t,1ko0;1t,1mvc;4,2x9c;4,2wc0;g,1kl0;g,1ju0;g,1lf0;g,1mvc;4,2x9c;4,2ro0;g,1ju0;g,1hjo;g,1jl0;g,1ko0;4,2wc0;4,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;3l,1hi0;3l,1j30;3l,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;3l,1hi0;3l,1ivo;3l,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;3l,1j30;3l,1ivo;3l,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;3l,1jyc;3l,1ko0;3l,1mvc;4,2x9c;4,2wc0;3k,1kl0;3k,1ju0;3k,1lf0;3k,1mvc;4,2x9c;4,2wc0;3k,1kl0;3k,1ju0;3k,1lf0;3k,1mvc;4,2x9c;4,2ro0;3k,1ju0;3k,1hjo;3k,1jl0;3k,1ko0;4,2x9c;4,2ro0;3k,1ju0;3k,1hjo;3k,1jl0;3k,1ko0;4,2wc0;4,2ro0;3k,1g4c;3k,1jo0;3k,1ju0;3k,1jyc;4,2wc0;4,2ro0;3k,1g4c;3k,1jo0;3k,1ju0;3k,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;h,1hi0;h,1j30;h,1jyc;g,1kl0;g,1ju0;g,1g4c;1t,1hi0;1t,1j30;1t,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;h,1hi0;h,1ivo;h,1ko0;g,1ju0;g,1hjo;g,1jo0;1t,1hi0;1t,1ivo;1t,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;h,1j30;h,1ivo;h,1mvc;g,1lf0;g,1jl0;g,1ju0;1t,1j30;1t,1ivo;1t,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;h,1jyc;h,1ko0;h,1mvc;g,1mvc;g,1ko0;g,1jyc;1t,1jyc;1t,1ko0;1t,1mvc;1s,2vxc;1s,2w00;40,1ju0;40,1if0;40,1l30;40,1mvc;g,2vxc;g,2w00;5c,1ju0;5c,1if0;5c,1l30;5c,1mvc;3k,2vxc;3k,2w00;28,1ju0;28,1if0;28,1l30;28,1mvc;1s,2x9c;1s,2wc0;40,1kl0;40,1ju0;40,1lf0;40,1mvc;g,2x9c;g,2wc0;5c,1kl0;5c,1ju0;5c,1lf0;5c,1mvc;3k,2x9c;3k,2wc0;28,1kl0;28,1ju0;28,1lf0;28,1mvc;1s,2vxc;1s,2ri0;40,1j30;40,1hvo;40,1ix0;40,1ko0;g,2vxc;g,2ri0;5c,1j30;5c,1hvo;5c,1ix0;5c,1ko0;3k,2vxc;3k,2ri0;28,1j30;28,1hvo;28,1ix0;28,1ko0;1s,2x9c;1s,2ro0;40,1ju0;40,1hjo;40,1jl0;40,1ko0;g,2x9c;g,2ro0;5c,1ju0;5c,1hjo;5c,1jl0;5c,1ko0;3k,2x9c;3k,2ro0;28,1ju0;28,1hjo;28,1jl0;28,1ko0;1s,2w00;1s,2ri0;40,1g36;40,1imu;40,1jl0;40,1jyc;g,2w00;g,2ri0;5c,1g36;5c,1imu;5c,1jl0;5c,1jyc;3k,2w00;3k,2ri0;28,1g36;28,1imu;28,1jl0;28,1jyc;1s,2wc0;1s,2ro0;40,1g4c;40,1jo0;40,1ju0;40,1jyc;g,2wc0;g,2ro0;5c,1g4c;5c,1jo0;5c,1ju0;5c,1jyc;3k,2wc0;3k,2ro0;28,1g4c;28,1jo0;28,1ju0;28,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1ju0;4,1j30;4,1g36;1,1gau;1,1ir0;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1kl0;4,1ju0;4,1g4c;1,1hi0;1,1j30;1,1jyc;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1if0;4,1hvo;4,1imu;1,1gau;1,1hyo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1ju0;4,1hjo;4,1jo0;1,1hi0;1,1ivo;1,1ko0;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1l30;4,1ix0;4,1jl0;1,1ir0;1,1hyo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;4,1lf0;4,1jl0;4,1ju0;1,1j30;1,1ivo;1,1mvc;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;4,2vo0;4,2xo0;g,1jyc;2,1r60;g,1ljc;g,1mvc;4,2vo0;4,2s00;2,1j9o;2,1rxo;g,1igc;g,1ko0;4,2xo0;4,2s00;g,1gyc;2,1pfo;g,1kl0;g,1jyc;1s,1jyc;2,1j9o;1s,1gyc;2,1i9o;3l,1j4c;3l,1jyc;2,1r60;2,1rxo;2,1pfo;2,1i9o;3l,1il0;3l,1ko0;1s,1ljc;1s,1igc;1s,1kl0;3l,1j4c;3l,1il0;3l,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;3l,1jyc;3l,1ko0;3l,1mvc;4,2vo0;4,2xo0;3k,1jyc;2,1r60;3k,1ljc;3k,1mvc;4,2vo0;4,2xo0;3k,1jyc;2,1r60;3k,1ljc;3k,1mvc;4,2vo0;4,2s00;2,1j9o;2,1rxo;3k,1igc;3k,1ko0;4,2vo0;4,2s00;2,1j9o;2,1rxo;3k,1igc;3k,1ko0;4,2xo0;4,2s00;3k,1gyc;2,1pfo;3k,1kl0;3k,1jyc;4,2xo0;4,2s00;3k,1gyc;2,1pfo;3k,1kl0;3k,1jyc;1s,1jyc;2,1j9o;1s,1gyc;2,1i9o;h,1j4c;h,1jyc;g,1jyc;2,1j9o;g,1gyc;2,1i9o;1t,1j4c;1t,1jyc;2,1r60;2,1rxo;2,1pfo;2,1i9o;h,1il0;h,1ko0;2,1r60;2,1rxo;2,1pfo;2,1i9o;1t,1il0;1t,1ko0;1s,1ljc;1s,1igc;1s,1kl0;h,1j4c;h,1il0;h,1mvc;g,1ljc;g,1igc;g,1kl0;1t,1j4c;1t,1il0;1t,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;h,1jyc;h,1ko0;h,1mvc;g,1mvc;g,1ko0;g,1jyc;1t,1jyc;1t,1ko0;1t,1mvc;1s,2vo0;1s,2xo0;40,1jyc;40,1jac;40,1ljc;40,1mvc;g,2vo0;g,2xo0;5c,1jyc;5c,1jac;5c,1ljc;5c,1mvc;3k,2vo0;3k,2xo0;28,1jyc;28,1jac;28,1ljc;28,1mvc;1s,2vo0;1s,2s00;40,1j4c;40,1hi0;40,1igc;40,1ko0;g,2vo0;g,2s00;5c,1j4c;5c,1hi0;5c,1igc;5c,1ko0;3k,2vo0;3k,2s00;28,1j4c;28,1hi0;28,1igc;28,1ko0;1s,2xo0;1s,2s00;40,1gyc;40,1jf0;40,1kl0;40,1jyc;g,2xo0;g,2s00;5c,1gyc;5c,1jf0;5c,1kl0;5c,1jyc;3k,2xo0;3k,2s00;28,1gyc;28,1jf0;28,1kl0;28,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jyc;4,1j4c;4,1gyc;1,1gyc;1,1j4c;1,1jyc;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;4,1jac;4,1hi0;4,1jf0;1,1gyc;1,1il0;1,1ko0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,2bc0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,4mo0;2,13vu;2,12su;2,w1u;1s,w1u;1s,12su;1s,13vu;2,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;2,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;2,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;g,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;g,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;g,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;2,13vu;2,12su;2,w1u;1s,w1u;1s,12su;1s,13vu;2,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;2,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;2,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;g,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;g,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;g,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;2,13vu;2,yio;2,rvu;1s,v6o;1s,zdu;1s,zpu;2,13vu;2,y7u;2,qpu;1s,vro;1s,yf0;1s,ymu;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;2,12su;2,yio;2,qsu;1s,q1u;1s,13co;1s,ypu;2,12su;2,y7u;2,q7u;1s,rau;1s,11au;1s,ymu;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;1,1jac;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;1,1jac;2,w1u;2,rvu;2,qsu;1s,qsu;1s,rvu;1s,w1u;2,w1u;2,qpu;2,q7u;1s,qyu;1s,qu0;1s,v6o;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;4,2bc0;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;4,2bc0;8,w1u;8,v6o;8,q1u;8,qsu;1s,iyu;1s,j9o;8,w1u;8,vro;8,rau;8,qyu;1s,h4u;1s,iau;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;4,4mo0;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;4,4mo0;8,12su;8,zdu;8,13co;8,rvu;8,iyu;1s,b3o;8,12su;8,yf0;8,11au;8,qu0;8,h4u;4,e60;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;1,1jac;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;4,2bc0;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;4,4mo0;w,2vo0;w,2xo0;1,1jyc;1,1jac;4,2bc0;4,4mo0;8,13vu;8,zpu;8,ypu;8,w1u;8,j9o;8,b3o;8,13vu;8,ymu;8,ymu;8,v6o;8,iau;4,e60;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;1,1jac;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;4,2bc0;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;4,4mo0;w,2vo0;w,2xo0;1,1jyc;1,1jac;4,2bc0;4,4mo0;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;w,cuyo;g,yio;g,rvu;1s,v6o;1s,zdu;1s,zpu;1s,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,cuyo;g,yio;g,qsu;1s,q1u;1s,13co;1s,ypu;1s,12su;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;w,cuyo;g,rvu;w,xc0;1s,qsu;4,tro;1s,w1u;1s,w1u;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;w,cuyo;8,v6o;w,xc0;8,qsu;4,1blo;4,1bu0;8,w1u;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;w,cuyo;8,zdu;8,13co;4,tro;4,1blo;4,1s60;8,12su;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;w,cuyo;8,zpu;8,ypu;8,w1u;4,1bu0;4,1s60;8,13vu;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;w,cuyo;g,y7u;g,qpu;1s,vro;1s,yf0;1s,ymu;1s,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;w,cuyo;g,y7u;g,q7u;1s,rau;1s,11au;1s,ymu;1s,12su;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;w,cuyo;w,xc0;g,q7u;1s,qyu;4,sro;1s,v6o;1s,w1u;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;w,cuyo;w,xc0;8,rau;8,qyu;4,1c60;4,1clo;8,w1u;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;w,cuyo;8,yf0;8,11au;4,sro;4,1c60;4,1po0;8,12su;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;w,cuyo;8,ymu;8,ymu;8,v6o;4,1clo;4,1po0;8,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;g,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;1s,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;g,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1s,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;g,yio;g,y7u;1,1g1u;1,1gju;1,1g4c;1,1gyc;1s,yio;1s,y7u;1,1g1u;1,1gju;1,1g4c;1,1gyc;g,rvu;w,xc0;1,1g1u;1,1jfi;1,1jo0;1,1jf0;1s,rvu;1s,qpu;1,1g1u;1,1jfi;1,1jo0;1,1jf0;8,v6o;w,xc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;8,v6o;8,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;8,zdu;8,yf0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;8,zdu;8,yf0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;8,zpu;8,ymu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;8,zpu;8,ymu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;g,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;1s,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;g,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;1s,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;g,yio;g,y7u;1,1g1u;1,1gju;1,1g4c;1,1gyc;1s,yio;1s,y7u;1,1g1u;1,1gju;1,1g4c;1,1gyc;w,xc0;g,q7u;1,1g1u;1,1hfi;1,1hr0;1,1i60;1s,qsu;1s,q7u;1,1g1u;1,1hfi;1,1hr0;1,1i60;w,xc0;8,rau;1,1gju;1,1hfi;1,1if0;1,1ju0;8,q1u;8,rau;1,1gju;1,1hfi;1,1if0;1,1ju0;8,13co;8,11au;1,1g4c;1,1hr0;1,1if0;4,1r60;8,13co;8,11au;1,1g4c;1,1hr0;1,1if0;4,1r60;8,ypu;8,ymu;1,1gyc;1,1i60;1,1ju0;4,1r60;8,ypu;8,ymu;1,1gyc;1,1i60;1,1ju0;4,1r60;g,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;1s,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;g,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;1s,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;g,rvu;g,qpu;1,1g1u;1,1jfi;1,1jo0;1,1jf0;1s,rvu;1s,qpu;1,1g1u;1,1jfi;1,1jo0;1,1jf0;g,qsu;g,q7u;1,1g1u;1,1hfi;1,1hr0;1,1i60;1s,qsu;1s,q7u;1,1g1u;1,1hfi;1,1hr0;1,1i60;8,qsu;8,qyu;1,1jfi;1,1hfi;1,1l30;1,1lf0;8,qsu;8,qyu;1,1jfi;1,1hfi;1,1l30;1,1lf0;8,rvu;8,qu0;1,1jo0;1,1hr0;1,1l30;1,1ljc;8,rvu;8,qu0;1,1jo0;1,1hr0;1,1l30;1,1ljc;8,w1u;8,v6o;1,1jf0;1,1i60;1,1lf0;1,1ljc;8,w1u;8,v6o;1,1jf0;1,1i60;1,1lf0;1,1ljc;2,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;2,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;2,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;2,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;2,v6o;2,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,v6o;2,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,q1u;2,rau;1,1gju;1,1hfi;1,1if0;1,1ju0;2,q1u;2,rau;1,1gju;1,1hfi;1,1if0;1,1ju0;2,qsu;2,qyu;1,1jfi;1,1hfi;1,1l30;1,1lf0;2,qsu;2,qyu;1,1jfi;1,1hfi;1,1l30;1,1lf0;8,iyu;8,h4u;1,1ju0;1,1if0;1,1l30;1,1mvc;8,iyu;8,h4u;1,1ju0;1,1if0;1,1l30;1,1mvc;8,j9o;8,iau;1,1kl0;1,1ju0;1,1lf0;1,1mvc;8,j9o;8,iau;1,1kl0;1,1ju0;1,1lf0;1,1mvc;2,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;2,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;2,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;2,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;2,zdu;2,yf0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,zdu;2,yf0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,13co;2,11au;1,1g4c;1,1hr0;1,1if0;1,1jac;2,13co;2,11au;1,1g4c;1,1hr0;1,1if0;1,1jac;2,rvu;2,qu0;1,1jo0;1,1hr0;1,1l30;1,1ljc;2,rvu;2,qu0;1,1jo0;1,1hr0;1,1l30;1,1ljc;2,iyu;2,h4u;1,1ju0;1,1if0;1,1l30;1,1mvc;2,iyu;2,h4u;1,1ju0;1,1if0;1,1l30;1,1mvc;w,bo0;8,bro;1,1jyc;1,1jac;1,1ljc;1,1mvc;8,b3o;8,bro;1,1jyc;1,1jac;1,1ljc;1,1mvc;2,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;2,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;2,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;2,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;2,zpu;2,ymu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;2,zpu;2,ymu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;2,ypu;2,ymu;1,1gyc;1,1i60;1,1ju0;1,1jac;2,ypu;2,ymu;1,1gyc;1,1i60;1,1ju0;1,1jac;2,w1u;2,v6o;1,1jf0;1,1i60;1,1lf0;1,1ljc;2,w1u;2,v6o;1,1jf0;1,1i60;1,1lf0;1,1ljc;2,j9o;2,iau;1,1kl0;1,1ju0;1,1lf0;1,1mvc;2,j9o;2,iau;1,1kl0;1,1ju0;1,1lf0;1,1mvc;2,b3o;2,bro;1,1jyc;1,1jac;1,1ljc;1,1mvc;2,b3o;2,bro;1,1jyc;1,1jac;1,1ljc;1,1mvc;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;8,aoo;8,9vu;8,a7u;8,9xo;4,ero;4,exo;8,aoo;8,9vu;8,a7u;8,9xo;4,ero;4,exo;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;8,iio;8,i3o;8,hlo;3k,go0;4,tro;4,m9o;8,iio;8,i3o;8,hlo;3k,go0;4,tro;4,m9o;8,w1u;8,v6o;8,q1u;8,qsu;4,1blo;4,1bu0;8,w1u;8,v6o;8,q1u;8,qsu;4,1blo;4,1bu0;8,12su;8,zdu;8,13co;4,tro;4,1blo;4,1s60;8,12su;8,zdu;8,13co;4,tro;4,1blo;4,1s60;8,13vu;8,zpu;8,ypu;8,w1u;4,1bu0;4,1s60;8,13vu;8,zpu;8,ypu;8,w1u;4,1bu0;4,1s60;c,aoo;3k,xc0;c,iio;c,w1u;c,12su;c,13vu;3k,cuyo;3k,xc0;c,i3o;c,v6o;c,zdu;c,zpu;3k,cuyo;c,9vu;c,hlo;c,q1u;c,13co;c,ypu;3k,cuyo;c,a7u;3k,xc0;c,qsu;c,rvu;c,w1u;3k,cuyo;c,9xo;3k,xc0;3k,go0;c,iyu;c,j9o;3k,cuyo;1,6mc;3k,xc0;3k,go0;c,adu;c,b3o;3k,cuyo;1,67c;3k,xc0;3k,go0;c,a9o;3k,bo0;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;8,iio;8,igu;8,i1u;4,fro;4,sro;4,mu0;8,iio;8,igu;8,i1u;4,fro;4,sro;4,mu0;8,w1u;8,vro;8,rau;8,qyu;4,1c60;4,1clo;8,w1u;8,vro;8,rau;8,qyu;4,1c60;4,1clo;8,12su;8,yf0;8,11au;4,sro;4,1c60;4,1po0;8,12su;8,yf0;8,11au;4,sro;4,1c60;4,1po0;8,13vu;8,ymu;8,ymu;8,v6o;4,1clo;4,1po0;8,13vu;8,ymu;8,ymu;8,v6o;4,1clo;4,1po0;3k,xc0;3k,go0;c,iio;c,w1u;c,12su;c,13vu;3k,cuyo;3k,go0;c,igu;c,vro;c,yf0;c,ymu;3k,cuyo;3k,xc0;c,i1u;c,rau;c,11au;c,ymu;3k,cuyo;3k,xc0;3k,go0;c,qyu;c,qu0;c,v6o;3k,cuyo;3k,xc0;3k,go0;c,dgu;c,h4u;c,iau;3k,cuyo;3k,xc0;3k,go0;1,7ho;3k,bo0;c,bro;3k,cuyo;3k,xc0;3k,go0;c,9xo;3k,bo0;c,adu;i,aoo;i,9vu;i,a7u;i,9xo;1s,ero;1s,exo;1u,aoo;1u,9vu;1u,a7u;1u,9xo;g,ero;g,exo;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;8,bgu;8,ayu;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;8,i3o;8,igu;x,1g1u;x,1jfi;x,1jo0;x,1jf0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;8,v6o;8,vro;x,1gju;x,1jfi;x,1ju0;x,1kl0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;8,zdu;8,yf0;x,1g4c;x,1jo0;x,1ju0;x,1jyc;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;8,zpu;8,ymu;x,1gyc;x,1jf0;x,1kl0;x,1jyc;3k,xc0;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;28,aoo;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;28,9vu;3k,xc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;28,a7u;3k,xc0;1,1g1u;1,1jfi;1,1jo0;1,1jf0;28,9xo;3k,xc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,ero;3k,xc0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,exo;3k,xc0;1,1gyc;1,1jf0;1,1kl0;1,1jyc;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;1u,bgu;1u,ayu;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;8,hlo;8,i1u;x,1g1u;x,1hfi;x,1hr0;x,1i60;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;8,q1u;8,rau;x,1gju;x,1hfi;x,1if0;x,1ju0;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;4,1r60;8,13co;8,11au;x,1g4c;x,1hr0;x,1if0;4,1r60;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;4,1r60;8,ypu;8,ymu;x,1gyc;x,1i60;x,1ju0;4,1r60;3k,go0;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;3k,xc0;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;3k,xc0;3k,go0;1,1g1u;1,1gju;1,1g4c;1,1gyc;3k,xc0;3k,go0;1,1g1u;1,1hfi;1,1hr0;1,1i60;3k,xc0;3k,go0;1,1gju;1,1hfi;1,1if0;1,1ju0;3k,xc0;3k,go0;1,1g4c;1,1hr0;1,1if0;1,1jac;3k,xc0;3k,go0;1,1gyc;1,1i60;1,1ju0;1,1jac;i,iio;i,i3o;i,hlo;3k,go0;1s,tro;1s,m9o;1u,iio;1u,i3o;1u,hlo;3k,go0;g,tro;g,m9o;i,iio;i,igu;i,i1u;1s,fro;1s,sro;1s,mu0;1u,iio;1u,igu;1u,i1u;g,fro;g,sro;g,mu0;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;1u,i3o;1u,igu;x,1g1u;x,1jfi;x,1jo0;x,1jf0;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;1u,hlo;1u,i1u;x,1g1u;x,1hfi;x,1hr0;x,1i60;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;8,qsu;8,qyu;x,1jfi;x,1hfi;x,1l30;x,1lf0;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;8,rvu;8,qu0;x,1jo0;x,1hr0;x,1l30;x,1ljc;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;8,w1u;8,v6o;x,1jf0;x,1i60;x,1lf0;x,1ljc;28,iio;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;28,iio;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;28,i3o;28,igu;1,1g1u;1,1jfi;1,1jo0;1,1jf0;28,hlo;28,i1u;1,1g1u;1,1hfi;1,1hr0;1,1i60;3k,go0;2,fro;1,1jfi;1,1hfi;1,1l30;1,1lf0;2,tro;2,sro;1,1jo0;1,1hr0;1,1l30;1,1ljc;2,m9o;2,mu0;1,1jf0;1,1i60;1,1lf0;1,1ljc;i,w1u;i,v6o;i,q1u;i,qsu;1s,1blo;1s,1bu0;1u,w1u;1u,v6o;1u,q1u;1u,qsu;g,1blo;g,1bu0;i,w1u;i,vro;i,rau;i,qyu;1s,1c60;1s,1clo;1u,w1u;1u,vro;1u,rau;1u,qyu;g,1c60;g,1clo;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;1u,v6o;1u,vro;x,1gju;x,1jfi;x,1ju0;x,1kl0;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;1u,q1u;1u,rau;x,1gju;x,1hfi;x,1if0;x,1ju0;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;1u,qsu;1u,qyu;x,1jfi;x,1hfi;x,1l30;x,1lf0;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;8,iyu;8,h4u;x,1ju0;x,1if0;x,1l30;x,1mvc;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;8,j9o;8,iau;x,1kl0;x,1ju0;x,1lf0;x,1mvc;28,w1u;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;28,w1u;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;28,v6o;28,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;28,q1u;28,rau;1,1gju;1,1hfi;1,1if0;1,1ju0;28,qsu;28,qyu;1,1jfi;1,1hfi;1,1l30;1,1lf0;2,1blo;2,1c60;1,1ju0;1,1if0;1,1l30;1,1mvc;2,1bu0;2,1clo;1,1kl0;1,1ju0;1,1lf0;1,1mvc;i,12su;i,zdu;i,13co;1s,tro;1s,1blo;1s,1s60;1u,12su;1u,zdu;1u,13co;g,tro;g,1blo;g,1s60;i,12su;i,yf0;i,11au;1s,sro;1s,1c60;1s,1po0;1u,12su;1u,yf0;1u,11au;g,sro;g,1c60;g,1po0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;1u,zdu;1u,yf0;x,1g4c;x,1jo0;x,1ju0;x,1jyc;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;1s,1r60;1u,13co;1u,11au;x,1g4c;x,1hr0;x,1if0;g,1r60;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;1u,rvu;1u,qu0;x,1jo0;x,1hr0;x,1l30;x,1ljc;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;1u,iyu;1u,h4u;x,1ju0;x,1if0;x,1l30;x,1mvc;w,2vo0;w,2xo0;1,1jyc;1,1jac;1,1ljc;1,1mvc;8,b3o;8,bro;x,1jyc;x,1jac;x,1ljc;x,1mvc;28,12su;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;28,12su;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;28,zdu;28,yf0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;28,13co;28,11au;1,1g4c;1,1hr0;1,1if0;1,1jac;2,tro;2,sro;1,1jo0;1,1hr0;1,1l30;1,1ljc;2,1blo;2,1c60;1,1ju0;1,1if0;1,1l30;1,1mvc;2,1s60;2,1po0;1,1jyc;2,1r60;1,1ljc;1,1mvc;i,13vu;i,zpu;i,ypu;i,w1u;1s,1bu0;1s,1s60;1u,13vu;1u,zpu;1u,ypu;1u,w1u;g,1bu0;g,1s60;i,13vu;i,ymu;i,ymu;i,v6o;1s,1clo;1s,1po0;1u,13vu;1u,ymu;1u,ymu;1u,v6o;g,1clo;g,1po0;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;1u,zpu;1u,ymu;x,1gyc;x,1jf0;x,1kl0;x,1jyc;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;1s,1r60;1u,ypu;1u,ymu;x,1gyc;x,1i60;x,1ju0;g,1r60;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;1u,w1u;1u,v6o;x,1jf0;x,1i60;x,1lf0;x,1ljc;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;1u,j9o;1u,iau;x,1kl0;x,1ju0;x,1lf0;x,1mvc;w,2vo0;w,2xo0;1,1jyc;1,1jac;1,1ljc;1,1mvc;1u,b3o;1u,bro;x,1jyc;x,1jac;x,1ljc;x,1mvc;28,13vu;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;28,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;28,zpu;28,ymu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;28,ypu;28,ymu;1,1gyc;1,1i60;1,1ju0;1,1jac;28,w1u;28,v6o;1,1jf0;1,1i60;1,1lf0;1,1ljc;2,1bu0;2,1clo;1,1kl0;1,1ju0;1,1lf0;1,1mvc;2,1s60;2,1po0;1,1jyc;2,1r60;1,1ljc;1,1mvc;1s,aoo;1s,bro;1s,iio;1s,w1u;1s,12su;1s,13vu;g,aoo;1s,bgu;1s,i3o;1s,v6o;1s,zdu;1s,zpu;g,bro;g,bgu;1s,hlo;1s,q1u;1s,13co;1s,ypu;g,iio;g,i3o;g,hlo;1s,qsu;4,tro;1s,w1u;g,w1u;g,v6o;g,q1u;g,qsu;4,1blo;4,1bu0;g,12su;g,zdu;g,13co;4,tro;4,1blo;4,1s60;g,13vu;g,zpu;g,ypu;g,w1u;4,1bu0;4,1s60;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;g,13vu;g,yio;g,rvu;1s,v6o;1s,zdu;1s,zpu;1s,13vu;1s,yio;1s,rvu;g,v6o;g,zdu;g,zpu;g,12su;g,yio;g,qsu;1s,q1u;1s,13co;1s,ypu;1s,12su;1s,yio;1s,qsu;g,q1u;g,13co;g,ypu;g,w1u;g,rvu;g,qsu;1s,qsu;4,tro;1s,w1u;1s,w1u;1s,rvu;1s,qsu;g,qsu;4,tro;g,w1u;g,iio;g,esu;g,ico;4,ero;4,1blo;4,1bu0;1s,iio;1s,esu;1s,ico;4,ero;4,1blo;4,1bu0;w,dqo;4,ero;1s,b3o;4,tro;4,1blo;4,1s60;1s,bro;4,ero;g,b3o;4,tro;4,1blo;4,1s60;w,e2o;4,exo;4,gxo;4,m9o;4,1bu0;4,1s60;1s,aoo;4,exo;4,gxo;4,m9o;4,1bu0;4,1s60;g,13vu;g,12su;g,w1u;1w,w1u;1w,12su;1w,13vu;1s,13vu;1s,12su;1s,w1u;k,w1u;k,12su;k,13vu;28,13vu;28,12su;28,w1u;4,w1u;4,12su;4,13vu;g,13vu;g,yio;g,rvu;1w,v6o;1w,zdu;1w,zpu;1s,13vu;1s,yio;1s,rvu;k,v6o;k,zdu;k,zpu;28,13vu;28,yio;28,rvu;4,v6o;4,zdu;4,zpu;g,12su;g,yio;g,qsu;1w,q1u;1w,13co;1w,ypu;1s,12su;1s,yio;1s,qsu;k,q1u;k,13co;k,ypu;28,12su;28,yio;28,qsu;4,q1u;4,13co;4,ypu;g,w1u;g,rvu;g,qsu;1w,qsu;1w,rvu;1w,w1u;1s,w1u;1s,rvu;1s,qsu;k,qsu;k,rvu;k,w1u;28,w1u;28,rvu;28,qsu;4,qsu;4,rvu;4,w1u;g,iio;g,esu;g,ico;1w,dfo;1w,iyu;1w,j9o;1s,iio;1s,esu;1s,ico;k,dfo;k,iyu;k,j9o;28,iio;28,esu;28,ico;4,dfo;4,iyu;4,j9o;g,bro;g,alo;1w,b3o;g,a7u;1w,adu;1w,b3o;1s,bro;1s,alo;k,b3o;1s,a7u;k,adu;k,b3o;3k,dqo;3k,b8o;4,b3o;28,a7u;4,adu;4,b3o;g,aoo;g,a9o;g,9oo;1w,9oo;1w,a9o;1w,aoo;1s,aoo;1s,a9o;1s,9oo;k,9oo;k,a9o;k,aoo;3k,e2o;3k,beo;28,9oo;4,9oo;4,a9o;4,aoo;4,aoo;4,bro;4,iio;4,w1u;4,12su;4,13vu;4,aoo;4,bro;4,iio;4,w1u;4,12su;4,13vu;g,aoo;4,bgu;4,i3o;4,v6o;4,zdu;4,zpu;1s,aoo;4,bgu;4,i3o;4,v6o;4,zdu;4,zpu;g,bro;g,bgu;4,hlo;4,q1u;4,13co;4,ypu;1s,bro;1s,bgu;4,hlo;4,q1u;4,13co;4,ypu;g,iio;g,i3o;g,hlo;4,qsu;1s,tro;4,w1u;1s,iio;1s,i3o;1s,hlo;4,qsu;g,tro;4,w1u;g,w1u;g,v6o;g,q1u;g,qsu;1s,1blo;1s,1bu0;1s,w1u;1s,v6o;1s,q1u;1s,qsu;g,1blo;g,1bu0;g,12su;g,zdu;g,13co;1s,tro;1s,1blo;1s,1s60;1s,12su;1s,zdu;1s,13co;g,tro;g,1blo;g,1s60;g,13vu;g,zpu;g,ypu;g,w1u;1s,1bu0;1s,1s60;1s,13vu;1s,zpu;1s,ypu;1s,w1u;g,1bu0;g,1s60;1s,aoo;1s,bro;1s,iio;1s,w1u;1s,12su;1s,13vu;w,e2o;1s,ayu;1s,igu;1s,vro;1s,yf0;1s,ymu;g,bro;g,ayu;1s,i1u;1s,rau;1s,11au;1s,ymu;g,iio;g,igu;g,i1u;1s,qyu;4,sro;1s,v6o;g,w1u;g,vro;g,rau;g,qyu;4,1c60;4,1clo;g,12su;g,yf0;g,11au;4,sro;4,1c60;4,1po0;g,13vu;g,ymu;g,ymu;g,v6o;4,1clo;4,1po0;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;g,13vu;g,y7u;g,qpu;1s,vro;1s,yf0;1s,ymu;1s,y7u;1s,qpu;g,vro;g,yf0;g,ymu;g,12su;g,y7u;g,q7u;1s,rau;1s,11au;1s,ymu;1s,y7u;1s,q7u;g,rau;g,11au;g,ymu;g,w1u;g,qpu;g,q7u;1s,qyu;4,sro;1s,v6o;1s,qpu;1s,q7u;g,qyu;4,sro;g,v6o;g,iio;g,df0;g,gyu;4,fro;4,1c60;4,1clo;1s,df0;1s,gyu;4,fro;4,1c60;4,1clo;w,c2o;4,dlo;1s,aro;4,sro;4,1c60;4,1po0;4,dlo;g,aro;4,sro;4,1c60;4,1po0;w,deo;4,fxo;4,fxo;4,mu0;4,1clo;4,1po0;4,fxo;4,fxo;4,mu0;4,1clo;4,1po0;g,13vu;g,12su;g,w1u;1w,w1u;1w,12su;1w,13vu;1s,13vu;1s,12su;1s,w1u;k,w1u;k,12su;k,13vu;28,13vu;28,12su;28,w1u;4,w1u;4,12su;4,13vu;g,13vu;g,y7u;g,qpu;1w,vro;1w,yf0;1w,ymu;1s,13vu;1s,y7u;1s,qpu;k,vro;k,yf0;k,ymu;28,13vu;28,y7u;28,qpu;4,vro;4,yf0;4,ymu;g,12su;g,y7u;g,q7u;1w,rau;1w,11au;1w,ymu;1s,12su;1s,y7u;1s,q7u;k,rau;k,11au;k,ymu;28,12su;28,y7u;28,q7u;4,rau;4,11au;4,ymu;g,w1u;g,qpu;g,q7u;1w,qyu;1w,qu0;1w,v6o;1s,w1u;1s,qpu;1s,q7u;k,qyu;k,qu0;k,v6o;28,w1u;28,qpu;28,q7u;4,qyu;4,qu0;4,v6o;g,iio;g,df0;g,gyu;1w,dgu;1w,h4u;1w,iau;1s,iio;1s,df0;1s,gyu;k,dgu;k,h4u;k,iau;28,iio;28,df0;28,gyu;4,dgu;4,h4u;4,iau;g,bro;g,aro;1w,aro;g,aro;1w,aro;1w,bro;1s,bro;1s,aro;k,aro;1s,aro;k,aro;k,bro;3k,c2o;28,aro;4,aro;28,aro;4,aro;4,bro;g,aoo;g,aju;g,9mu;1w,9xo;1w,aju;1w,adu;1s,aoo;1s,aju;1s,9mu;k,9xo;k,aju;k,adu;3k,deo;28,aju;28,9mu;4,9xo;4,aju;4,adu;3k,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;3k,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;w,e2o;4,ayu;4,igu;4,vro;4,yf0;4,ymu;4,ayu;4,igu;4,vro;4,yf0;4,ymu;g,bro;g,ayu;4,i1u;4,rau;4,11au;4,ymu;1s,ayu;4,i1u;4,rau;4,11au;4,ymu;g,iio;g,igu;g,i1u;4,qyu;1s,sro;4,v6o;1s,igu;1s,i1u;4,qyu;g,sro;4,v6o;g,w1u;g,vro;g,rau;g,qyu;1s,1c60;1s,1clo;1s,vro;1s,rau;1s,qyu;g,1c60;g,1clo;g,12su;g,yf0;g,11au;1s,sro;1s,1c60;1s,1po0;1s,yf0;1s,11au;g,sro;g,1c60;g,1po0;g,13vu;g,ymu;g,ymu;g,v6o;1s,1clo;1s,1po0;1s,ymu;1s,ymu;1s,v6o;g,1clo;g,1po0;a,aoo;1s,bgu;1s,i3o;1s,v6o;1s,zdu;1s,zpu;w,e2o;1s,ayu;1s,igu;1s,vro;1s,yf0;1s,ymu;w,2s00;w,2pc0;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;w,2vc0;w,2rxc;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;w,2xxc;w,2qc0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;w,2wc0;w,2ro0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;w,2xo0;w,2s00;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;g,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;g,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;x,1g1u;x,1jfi;x,1jo0;x,1jf0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;x,1gju;x,1jfi;x,1ju0;x,1kl0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;x,1g4c;x,1jo0;x,1ju0;x,1jyc;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;x,1gyc;x,1jf0;x,1kl0;x,1jyc;w,cuyo;g,yio;g,rvu;1w,v6o;1w,zdu;1w,zpu;1s,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;28,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,cuyo;g,y7u;g,qpu;1w,vro;1w,yf0;1w,ymu;1s,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;28,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;g,yio;g,y7u;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;1s,yio;1s,y7u;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;3k,2s00;3k,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;g,rvu;g,qpu;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;1s,rvu;1s,qpu;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;3k,2vc0;3k,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;g,esu;g,df0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;1s,esu;1s,df0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;3k,2xxc;3k,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,ero;2,dlo;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;2,ero;2,dlo;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;3k,2wc0;3k,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,exo;2,fxo;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;2,exo;2,fxo;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;3k,2xo0;3k,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;3k,e2o;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;w,e2o;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;x,1g1u;x,1jfi;x,1jo0;x,1jf0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;x,1gju;x,1jfi;x,1ju0;x,1kl0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;x,1g4c;x,1jo0;x,1ju0;x,1jyc;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;x,1gyc;x,1jf0;x,1kl0;x,1jyc;a,bro;a,bgu;1s,hlo;1s,q1u;1s,13co;1s,ypu;a,bro;a,ayu;1s,i1u;1s,rau;1s,11au;1s,ymu;w,2s00;w,2pc0;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;w,2p00;w,2v9c;3l,1g1u;3l,1hfi;3l,1hr0;3l,1i60;w,2rlc;w,2to0;3l,1gju;3l,1hfi;3l,1if0;3l,1ju0;w,2q00;w,2v00;3l,1g4c;3l,1hr0;3l,1if0;4,1r60;w,2rc0;w,2vc0;3l,1gyc;3l,1i60;3l,1ju0;4,1r60;g,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;g,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;x,1hfi;x,1hr0;x,1i60;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;x,1hfi;x,1if0;x,1ju0;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;4,1r60;x,1hr0;x,1if0;4,1r60;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;4,1r60;x,1i60;x,1ju0;4,1r60;w,cuyo;g,yio;g,qsu;1w,q1u;1w,13co;1w,ypu;1s,12su;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;28,12su;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;w,cuyo;g,y7u;g,q7u;1w,rau;1w,11au;1w,ymu;1s,12su;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;28,12su;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;g,yio;g,y7u;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;1s,yio;1s,y7u;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;3k,2s00;3k,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;g,qsu;g,q7u;3l,1g1u;3l,1hfi;3l,1hr0;3l,1i60;1s,qsu;1s,q7u;3l,1g1u;3l,1hfi;3l,1hr0;3l,1i60;3k,2p00;3k,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;g,ico;g,gyu;3l,1gju;3l,1hfi;3l,1if0;3l,1ju0;1s,ico;1s,gyu;3l,1gju;3l,1hfi;3l,1if0;3l,1ju0;3k,2rlc;3k,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;w,bo0;8,aro;3l,1g4c;3l,1hr0;3l,1if0;3l,1jac;8,b3o;8,aro;3l,1g4c;3l,1hr0;3l,1if0;3l,1jac;3k,2q00;3k,2v00;1,1g4c;1,1hr0;1,1if0;1,1jac;2,gxo;2,fxo;3l,1gyc;3l,1i60;3l,1ju0;3l,1jac;2,gxo;2,fxo;3l,1gyc;3l,1i60;3l,1ju0;3l,1jac;3k,2rc0;3k,2vc0;1,1gyc;1,1i60;1,1ju0;1,1jac;8,bro;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;8,bro;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;x,1hfi;x,1hr0;x,1i60;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;x,1hfi;x,1if0;x,1ju0;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;1s,1r60;x,1hr0;x,1if0;g,1r60;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;1s,1r60;x,1i60;x,1ju0;g,1r60;a,iio;a,i3o;a,hlo;1s,qsu;1s,rvu;1s,w1u;a,iio;a,igu;a,i1u;1s,qyu;1s,qu0;1s,v6o;w,2vc0;w,2rxc;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;w,2p00;w,2v9c;3l,1g1u;3l,1hfi;3l,1hr0;3l,1i60;w,2uxc;w,2w9c;3l,1jfi;3l,1hfi;3l,1l30;3l,1lf0;w,2tc0;w,2xlc;3l,1jo0;3l,1hr0;3l,1l30;3l,1ljc;w,2uo0;w,2xxc;3l,1jf0;3l,1i60;3l,1lf0;3l,1ljc;g,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;3k,2uxc;3k,2tc0;3k,2uo0;g,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;3k,2w9c;3k,2xlc;3k,2xxc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;x,1jfi;x,1jo0;x,1jf0;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;x,1hfi;x,1hr0;x,1i60;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;x,1l30;x,1lf0;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;x,1l30;x,1ljc;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;x,1lf0;x,1ljc;w,cuyo;g,rvu;w,xc0;1w,qsu;1w,rvu;1w,w1u;1s,w1u;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;28,w1u;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;w,cuyo;w,xc0;g,q7u;1w,qyu;1w,qu0;1w,v6o;1s,w1u;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;28,w1u;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;g,rvu;w,xc0;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;1s,rvu;1s,qpu;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;3k,2vc0;3k,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;w,xc0;g,q7u;3l,1g1u;3l,1hfi;3l,1hr0;3l,1i60;1s,qsu;1s,q7u;3l,1g1u;3l,1hfi;3l,1hr0;3l,1i60;3k,2p00;3k,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;2,ero;2,fro;3l,1jfi;3l,1hfi;3l,1l30;3l,1lf0;2,ero;2,fro;3l,1jfi;3l,1hfi;3l,1l30;3l,1lf0;3k,2uxc;3k,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;2,tro;2,sro;3l,1jo0;3l,1hr0;3l,1l30;3l,1ljc;2,tro;2,sro;3l,1jo0;3l,1hr0;3l,1l30;3l,1ljc;3k,2tc0;3k,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;2,m9o;2,mu0;3l,1jf0;3l,1i60;3l,1lf0;3l,1ljc;2,m9o;2,mu0;3l,1jf0;3l,1i60;3l,1lf0;3l,1ljc;3k,2uo0;3k,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;8,iio;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;3k,2uxc;3k,2tc0;3k,2uo0;8,iio;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;3k,2w9c;3k,2xlc;3k,2xxc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;x,1jfi;x,1jo0;x,1jf0;w,2p00;w,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;x,1hfi;x,1hr0;x,1i60;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;x,1l30;x,1lf0;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;x,1l30;x,1ljc;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;x,1lf0;x,1ljc;a,w1u;a,v6o;a,q1u;a,qsu;1s,iyu;1s,j9o;a,w1u;a,vro;a,rau;a,qyu;1s,h4u;1s,iau;w,2xxc;w,2qc0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;w,2rlc;w,2to0;3l,1gju;3l,1hfi;3l,1if0;3l,1ju0;w,2uxc;w,2w9c;3l,1jfi;3l,1hfi;3l,1l30;3l,1lf0;w,2vxc;w,2w00;3l,1ju0;3l,1if0;3l,1l30;3l,1mvc;w,2x9c;w,2wc0;3l,1kl0;3l,1ju0;3l,1lf0;3l,1mvc;2,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;3k,2vxc;3k,2x9c;2,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;3k,2w00;3k,2wc0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;x,1ju0;x,1kl0;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;x,1if0;x,1ju0;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;x,1l30;x,1lf0;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;x,1mvc;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;x,1mvc;w,cuyo;8,v6o;w,xc0;8,qsu;1w,iyu;1w,j9o;8,w1u;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;28,iio;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;w,cuyo;w,xc0;8,rau;8,qyu;1w,h4u;1w,iau;8,w1u;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;28,iio;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;8,v6o;w,xc0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;8,v6o;8,vro;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;3k,2xxc;3k,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;w,xc0;8,rau;3l,1gju;3l,1hfi;3l,1if0;3l,1ju0;8,q1u;8,rau;3l,1gju;3l,1hfi;3l,1if0;3l,1ju0;3k,2rlc;3k,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;8,qsu;8,qyu;3l,1jfi;3l,1hfi;3l,1l30;3l,1lf0;8,qsu;8,qyu;3l,1jfi;3l,1hfi;3l,1l30;3l,1lf0;3k,2uxc;3k,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;2,1blo;2,1c60;3l,1ju0;3l,1if0;3l,1l30;3l,1mvc;2,1blo;2,1c60;3l,1ju0;3l,1if0;3l,1l30;3l,1mvc;3k,2vxc;3k,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;2,1bu0;2,1clo;3l,1kl0;3l,1ju0;3l,1lf0;3l,1mvc;2,1bu0;2,1clo;3l,1kl0;3l,1ju0;3l,1lf0;3l,1mvc;3k,2x9c;3k,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;8,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;3k,2vxc;3k,2x9c;8,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;3k,2w00;3k,2wc0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;x,1ju0;x,1kl0;w,2rlc;w,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;x,1if0;x,1ju0;w,2uxc;w,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;x,1l30;x,1lf0;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;x,1mvc;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;x,1mvc;a,12su;a,zdu;a,13co;a,rvu;a,iyu;1s,b3o;a,12su;a,yf0;a,11au;a,qu0;a,h4u;1s,bro;w,2wc0;w,2ro0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;w,2q00;w,2v00;3l,1g4c;3l,1hr0;3l,1if0;3l,1jac;w,2tc0;w,2xlc;3l,1jo0;3l,1hr0;3l,1l30;3l,1ljc;w,2vxc;w,2w00;3l,1ju0;3l,1if0;3l,1l30;3l,1mvc;w,2vo0;w,2xo0;3l,1jyc;3l,1jac;3l,1ljc;3l,1mvc;2,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;3k,2vo0;2,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;3k,2xo0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;x,1jyc;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;1,1jac;x,1jac;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;x,1ljc;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;x,1mvc;w,2vo0;w,2xo0;1,1jyc;8,1r60;1,1ljc;1,1mvc;w,cuyo;8,zdu;8,13co;8,rvu;8,iyu;1w,b3o;8,12su;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;3k,dqo;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;w,cuyo;8,yf0;8,11au;8,qu0;8,h4u;1w,bro;8,12su;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;w,dqo;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;8,zdu;8,yf0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;8,zdu;8,yf0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;3k,2wc0;3k,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;8,13co;8,11au;3l,1g4c;3l,1hr0;3l,1if0;3l,1jac;8,13co;8,11au;3l,1g4c;3l,1hr0;3l,1if0;3l,1jac;3k,2q00;3k,2v00;1,1g4c;1,1hr0;1,1if0;8,1r60;2,tro;2,sro;3l,1jo0;3l,1hr0;3l,1l30;3l,1ljc;2,tro;2,sro;3l,1jo0;3l,1hr0;3l,1l30;3l,1ljc;3k,2tc0;3k,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;2,1blo;2,1c60;3l,1ju0;3l,1if0;3l,1l30;3l,1mvc;2,1blo;2,1c60;3l,1ju0;3l,1if0;3l,1l30;3l,1mvc;3k,2vxc;3k,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;2,1s60;2,1po0;3l,1jyc;2,1r60;3l,1ljc;3l,1mvc;2,1s60;2,1po0;3l,1jyc;2,1r60;3l,1ljc;3l,1mvc;3k,2vo0;3k,2xo0;1,1jyc;2,1r60;1,1ljc;1,1mvc;8,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;3k,2vo0;8,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;3k,2xo0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;x,1jyc;w,2q00;w,2v00;1,1g4c;1,1hr0;1,1if0;1,1jac;x,1jac;w,2tc0;w,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;x,1ljc;w,2vxc;w,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;x,1mvc;w,2vo0;w,2xo0;1,1jyc;2,1r60;1,1ljc;1,1mvc;a,13vu;a,zpu;a,ypu;a,w1u;a,j9o;a,b3o;a,13vu;a,ymu;a,ymu;a,v6o;a,iau;a,bro;w,2xo0;w,2s00;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;w,2rc0;w,2vc0;3l,1gyc;3l,1i60;3l,1ju0;3l,1jac;w,2uo0;w,2xxc;3l,1jf0;3l,1i60;3l,1lf0;3l,1ljc;w,2x9c;w,2wc0;3l,1kl0;3l,1ju0;3l,1lf0;3l,1mvc;w,2vo0;w,2xo0;3l,1jyc;3l,1jac;3l,1ljc;3l,1mvc;2,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;2,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;1,1jac;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;w,2vo0;w,2xo0;1,1jyc;8,1r60;1,1ljc;1,1mvc;w,cuyo;8,zpu;8,ypu;8,w1u;8,j9o;w,bo0;8,13vu;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;3k,e2o;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;w,cuyo;8,ymu;8,ymu;8,v6o;8,iau;8,bro;8,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,e2o;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;8,zpu;8,ymu;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;8,zpu;8,ymu;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;3k,2xo0;3k,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;8,ypu;8,ymu;3l,1gyc;3l,1i60;3l,1ju0;3l,1jac;8,ypu;8,ymu;3l,1gyc;3l,1i60;3l,1ju0;3l,1jac;3k,2rc0;3k,2vc0;1,1gyc;1,1i60;1,1ju0;8,1r60;8,w1u;8,v6o;3l,1jf0;3l,1i60;3l,1lf0;3l,1ljc;8,w1u;8,v6o;3l,1jf0;3l,1i60;3l,1lf0;3l,1ljc;3k,2uo0;3k,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;2,1bu0;2,1clo;3l,1kl0;3l,1ju0;3l,1lf0;3l,1mvc;2,1bu0;2,1clo;3l,1kl0;3l,1ju0;3l,1lf0;3l,1mvc;3k,2x9c;3k,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;2,1s60;2,1po0;3l,1jyc;2,1r60;3l,1ljc;3l,1mvc;2,1s60;2,1po0;3l,1jyc;2,1r60;3l,1ljc;3l,1mvc;3k,2vo0;3k,2xo0;1,1jyc;2,1r60;1,1ljc;1,1mvc;8,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;8,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;w,2rc0;w,2vc0;1,1gyc;1,1i60;1,1ju0;1,1jac;w,2uo0;w,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;w,2x9c;w,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;w,2vo0;w,2xo0;1,1jyc;2,1r60;1,1ljc;1,1mvc;2,13vu;2,12su;2,w1u;1s,w1u;1s,12su;1s,13vu;2,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;2,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;2,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;g,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;g,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;g,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;2,13vu;2,yio;2,rvu;1s,v6o;1s,zdu;1s,zpu;2,13vu;2,xsu;2,qvu;1s,v1u;1s,y7u;1s,zau;w,2s00;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;w,2vc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;w,2xxc;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;w,2wc0;w,2p60;1,1gyu;1,1gr6;1,1j30;1,1j4c;w,2xo0;w,2pc0;1,1hi0;1,1iac;1,1ju0;1,1j4c;2,12su;2,yio;2,qsu;1s,q1u;1s,13co;1s,ypu;2,12su;2,xsu;2,q1u;1s,qo0;1s,11ro;1s,y7u;w,2s00;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;w,2p00;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;w,2rlc;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;w,2q00;w,2rrc;1,1gyu;1,1fgu;1,1hvo;1,1hi0;w,2rc0;w,2rxc;1,1hi0;1,1fx0;1,1hjo;1,1hi0;2,w1u;2,rvu;2,qsu;1s,qsu;1s,rvu;1s,w1u;2,w1u;2,qvu;2,q1u;1s,r00;1s,q7u;1s,vro;w,2vc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;w,2p00;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;w,2uxc;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;w,2tc0;w,2q60;1,1gr6;1,1fgu;1,1ix0;4,2bc0;w,2uo0;w,2qc0;1,1iac;1,1fx0;1,1jl0;4,2bc0;8,w1u;8,v6o;8,q1u;8,qsu;1s,iyu;1s,j9o;8,w1u;8,v1u;8,qo0;8,r00;1s,hio;1s,i3o;w,2xxc;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;w,2rlc;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;w,2uxc;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;w,2vxc;w,2ri0;1,1j30;1,1hvo;1,1ix0;4,4mo0;w,2x9c;w,2ro0;1,1ju0;1,1hjo;1,1jl0;4,4mo0;8,12su;8,zdu;8,13co;8,rvu;8,iyu;1s,b3o;8,12su;8,y7u;8,11ro;8,q7u;8,hio;4,e60;w,2wc0;w,2p60;1,1gyu;1,1gr6;1,1j30;1,1j4c;w,2q00;w,2rrc;1,1gyu;1,1fgu;1,1hvo;1,1hi0;w,2tc0;w,2q60;1,1gr6;1,1fgu;1,1ix0;4,2bc0;w,2vxc;w,2ri0;1,1j30;1,1hvo;1,1ix0;4,4mo0;w,2vo0;w,2s00;1,1j4c;1,1hi0;4,2bc0;4,4mo0;8,13vu;8,zpu;8,ypu;8,w1u;8,j9o;8,b3o;8,13vu;8,zau;8,y7u;8,vro;8,i3o;4,e60;w,2xo0;w,2pc0;1,1hi0;1,1iac;1,1ju0;1,1j4c;w,2rc0;w,2rxc;1,1hi0;1,1fx0;1,1hjo;1,1hi0;w,2uo0;w,2qc0;1,1iac;1,1fx0;1,1jl0;4,2bc0;w,2x9c;w,2ro0;1,1ju0;1,1hjo;1,1jl0;4,4mo0;w,2vo0;w,2s00;1,1j4c;1,1hi0;4,2bc0;4,4mo0;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;w,cuyo;g,yio;g,rvu;1s,v6o;1s,zdu;1s,zpu;1s,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,cuyo;g,yio;g,qsu;1s,q1u;1s,13co;1s,ypu;1s,12su;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;w,cuyo;g,rvu;w,xc0;1s,qsu;4,tro;1s,w1u;1s,w1u;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;w,cuyo;8,v6o;w,xc0;8,qsu;4,1blo;4,1bu0;8,w1u;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;w,cuyo;8,zdu;8,13co;4,tro;4,1blo;4,1s60;8,12su;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;w,cuyo;8,zpu;8,ypu;8,w1u;4,1bu0;4,1s60;8,13vu;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;w,cuyo;g,xsu;g,qvu;1s,v1u;1s,y7u;1s,zau;1s,13vu;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;w,cuyo;g,xsu;g,q1u;1s,qo0;1s,11ro;1s,y7u;1s,12su;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;w,cuyo;g,qvu;g,q1u;1s,r00;4,tro;1s,vro;1s,w1u;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;w,cuyo;8,v1u;8,qo0;8,r00;4,1b60;4,1d60;8,w1u;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;w,cuyo;8,y7u;8,11ro;4,tro;4,1b60;4,1qfo;8,12su;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;w,cuyo;8,zau;8,y7u;8,vro;4,1d60;4,1qfo;8,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;g,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;1s,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;g,yio;g,xsu;1,1eyu;1,1gpo;1,1gyu;1,1hi0;1s,yio;1s,xsu;1,1eyu;1,1gpo;1,1gyu;1,1hi0;g,rvu;g,qvu;1,1eyu;1,1hl0;1,1gr6;1,1iac;1s,rvu;1s,qvu;1,1eyu;1,1hl0;1,1gr6;1,1iac;8,v6o;8,v1u;1,1gpo;1,1hl0;1,1j30;1,1ju0;8,v6o;8,v1u;1,1gpo;1,1hl0;1,1j30;1,1ju0;8,zdu;8,y7u;1,1gyu;1,1gr6;1,1j30;4,1j9o;8,zdu;8,y7u;1,1gyu;1,1gr6;1,1j30;4,1j9o;8,zpu;8,zau;1,1hi0;1,1iac;1,1ju0;4,1j9o;8,zpu;8,zau;1,1hi0;1,1iac;1,1ju0;4,1j9o;g,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;1s,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;g,yio;g,xsu;1,1eyu;1,1gpo;1,1gyu;1,1hi0;1s,yio;1s,xsu;1,1eyu;1,1gpo;1,1gyu;1,1hi0;w,xc0;g,q1u;1,1eyu;1,1fmo;1,1fgu;1,1fx0;1s,qsu;1s,q1u;1,1eyu;1,1fmo;1,1fgu;1,1fx0;w,xc0;8,qo0;1,1gpo;1,1fmo;1,1hvo;1,1hjo;8,q1u;8,qo0;1,1gpo;1,1fmo;1,1hvo;1,1hjo;8,13co;8,11ro;1,1gyu;1,1fgu;1,1hvo;4,1rxo;8,13co;8,11ro;1,1gyu;1,1fgu;1,1hvo;4,1rxo;8,ypu;8,y7u;1,1hi0;1,1fx0;1,1hjo;4,1rxo;8,ypu;8,y7u;1,1hi0;1,1fx0;1,1hjo;4,1rxo;g,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;1s,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;g,rvu;g,qvu;1,1eyu;1,1hl0;1,1gr6;1,1iac;1s,rvu;1s,qvu;1,1eyu;1,1hl0;1,1gr6;1,1iac;g,qsu;g,q1u;1,1eyu;1,1fmo;1,1fgu;1,1fx0;1s,qsu;1s,q1u;1,1eyu;1,1fmo;1,1fgu;1,1fx0;8,qsu;8,r00;1,1hl0;1,1fmo;1,1ix0;1,1jl0;8,qsu;8,r00;1,1hl0;1,1fmo;1,1ix0;1,1jl0;8,rvu;8,q7u;1,1gr6;1,1fgu;1,1ix0;1,1igc;8,rvu;8,q7u;1,1gr6;1,1fgu;1,1ix0;1,1igc;8,w1u;8,vro;1,1iac;1,1fx0;1,1jl0;1,1igc;8,w1u;8,vro;1,1iac;1,1fx0;1,1jl0;1,1igc;2,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;2,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;2,v6o;2,v1u;1,1gpo;1,1hl0;1,1j30;1,1ju0;2,v6o;2,v1u;1,1gpo;1,1hl0;1,1j30;1,1ju0;2,q1u;2,qo0;1,1gpo;1,1fmo;1,1hvo;1,1hjo;2,q1u;2,qo0;1,1gpo;1,1fmo;1,1hvo;1,1hjo;2,qsu;2,r00;1,1hl0;1,1fmo;1,1ix0;1,1jl0;2,qsu;2,r00;1,1hl0;1,1fmo;1,1ix0;1,1jl0;8,iyu;8,hio;1,1j30;1,1hvo;1,1ix0;1,1ko0;8,iyu;8,hio;1,1j30;1,1hvo;1,1ix0;1,1ko0;8,j9o;8,i3o;1,1ju0;1,1hjo;1,1jl0;1,1ko0;8,j9o;8,i3o;1,1ju0;1,1hjo;1,1jl0;1,1ko0;2,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;2,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;2,zdu;2,y7u;1,1gyu;1,1gr6;1,1j30;1,1j4c;2,zdu;2,y7u;1,1gyu;1,1gr6;1,1j30;1,1j4c;2,13co;2,11ro;1,1gyu;1,1fgu;1,1hvo;1,1hi0;2,13co;2,11ro;1,1gyu;1,1fgu;1,1hvo;1,1hi0;2,rvu;2,q7u;1,1gr6;1,1fgu;1,1ix0;1,1igc;2,rvu;2,q7u;1,1gr6;1,1fgu;1,1ix0;1,1igc;2,iyu;2,hio;1,1j30;1,1hvo;1,1ix0;1,1ko0;2,iyu;2,hio;1,1j30;1,1hvo;1,1ix0;1,1ko0;w,bo0;8,bgu;1,1j4c;1,1hi0;1,1igc;1,1ko0;8,b3o;8,bgu;1,1j4c;1,1hi0;1,1igc;1,1ko0;2,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;2,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;2,zpu;2,zau;1,1hi0;1,1iac;1,1ju0;1,1j4c;2,zpu;2,zau;1,1hi0;1,1iac;1,1ju0;1,1j4c;2,ypu;2,y7u;1,1hi0;1,1fx0;1,1hjo;1,1hi0;2,ypu;2,y7u;1,1hi0;1,1fx0;1,1hjo;1,1hi0;2,w1u;2,vro;1,1iac;1,1fx0;1,1jl0;1,1igc;2,w1u;2,vro;1,1iac;1,1fx0;1,1jl0;1,1igc;2,j9o;2,i3o;1,1ju0;1,1hjo;1,1jl0;1,1ko0;2,j9o;2,i3o;1,1ju0;1,1hjo;1,1jl0;1,1ko0;2,b3o;2,bgu;1,1j4c;1,1hi0;1,1igc;1,1ko0;2,b3o;2,bgu;1,1j4c;1,1hi0;1,1igc;1,1ko0;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;3k,cuyo;8,aoo;8,9vu;8,a7u;8,9xo;4,ero;4,exo;8,aoo;8,9vu;8,a7u;8,9xo;4,ero;4,exo;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;8,iio;8,i3o;8,hlo;3k,go0;4,tro;4,m9o;8,iio;8,i3o;8,hlo;3k,go0;4,tro;4,m9o;8,w1u;8,v6o;8,q1u;8,qsu;4,1blo;4,1bu0;8,w1u;8,v6o;8,q1u;8,qsu;4,1blo;4,1bu0;8,12su;8,zdu;8,13co;4,tro;4,1blo;4,1s60;8,12su;8,zdu;8,13co;4,tro;4,1blo;4,1s60;8,13vu;8,zpu;8,ypu;8,w1u;4,1bu0;4,1s60;8,13vu;8,zpu;8,ypu;8,w1u;4,1bu0;4,1s60;c,aoo;3k,xc0;c,iio;c,w1u;c,12su;c,13vu;3k,cuyo;3k,xc0;c,i3o;c,v6o;c,zdu;c,zpu;3k,cuyo;c,9vu;c,hlo;c,q1u;c,13co;c,ypu;3k,cuyo;c,a7u;3k,xc0;c,qsu;c,rvu;c,w1u;3k,cuyo;c,9xo;3k,xc0;3k,go0;c,iyu;c,j9o;3k,cuyo;28,6mc;3k,xc0;3k,go0;c,adu;c,b3o;3k,cuyo;28,67c;3k,xc0;3k,go0;c,a9o;3k,bo0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;8,bro;8,b4u;8,al6;4,f9o;8,aq0;4,gxo;8,bro;8,b4u;8,al6;4,f9o;8,aq0;4,gxo;8,iio;8,i1u;8,i4u;4,elo;4,tro;4,lu0;8,iio;8,i1u;8,i4u;4,elo;4,tro;4,lu0;8,w1u;8,v1u;8,qo0;8,r00;4,1b60;4,1d60;8,w1u;8,v1u;8,qo0;8,r00;4,1b60;4,1d60;8,12su;8,y7u;8,11ro;4,tro;4,1b60;4,1qfo;8,12su;8,y7u;8,11ro;4,tro;4,1b60;4,1qfo;8,13vu;8,zau;8,y7u;8,vro;4,1d60;4,1qfo;8,13vu;8,zau;8,y7u;8,vro;4,1d60;4,1qfo;3k,go0;c,bro;c,iio;c,w1u;c,12su;c,13vu;c,b4u;c,i1u;c,v1u;c,y7u;c,zau;3k,go0;c,i4u;c,qo0;c,11ro;c,y7u;3k,go0;c,al6;c,r00;c,q7u;c,vro;3k,go0;28,8u6;c,eau;c,hio;c,i3o;3k,go0;c,aq0;3k,bo0;c,apu;c,bgu;3k,go0;28,8i6;3k,bo0;1,9r0;c,9vu;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;w,2s00;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;3k,bo0;3k,bo0;x,1eyu;x,1gpo;x,1gyu;x,1hi0;w,2vc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;8,i3o;8,i1u;x,1eyu;x,1hl0;x,1gr6;x,1iac;w,2xxc;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;8,v6o;8,v1u;x,1gpo;x,1hl0;x,1j30;x,1ju0;w,2wc0;w,2p60;1,1gyu;1,1gr6;1,1j30;4,1j9o;8,zdu;8,y7u;x,1gyu;x,1gr6;x,1j30;4,1j9o;w,2xo0;w,2pc0;1,1hi0;1,1iac;1,1ju0;4,1j9o;8,zpu;8,zau;x,1hi0;x,1iac;x,1ju0;4,1j9o;3k,go0;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;3k,go0;1,1eyu;1,1gpo;1,1gyu;1,1hi0;3k,go0;1,1eyu;1,1hl0;1,1gr6;1,1iac;3k,go0;1,1gpo;1,1hl0;1,1j30;1,1ju0;3k,go0;1,1gyu;1,1gr6;1,1j30;1,1j4c;3k,go0;1,1hi0;1,1iac;1,1ju0;1,1j4c;i,bro;i,b4u;i,al6;1s,f9o;i,aq0;1s,gxo;1u,bro;1u,b4u;1u,al6;g,f9o;1u,aq0;g,gxo;w,2s00;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;3k,bo0;3k,bo0;x,1eyu;x,1gpo;x,1gyu;x,1hi0;w,2p00;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;8,hlo;8,i4u;x,1eyu;x,1fmo;x,1fgu;x,1fx0;w,2rlc;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;8,q1u;8,qo0;x,1gpo;x,1fmo;x,1hvo;x,1hjo;w,2q00;w,2rrc;1,1gyu;1,1fgu;1,1hvo;4,1rxo;8,13co;8,11ro;x,1gyu;x,1fgu;x,1hvo;4,1rxo;w,2rc0;w,2rxc;1,1hi0;1,1fx0;1,1hjo;4,1rxo;8,ypu;8,y7u;x,1hi0;x,1fx0;x,1hjo;4,1rxo;28,bro;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;28,b4u;1,1eyu;1,1gpo;1,1gyu;1,1hi0;28,al6;1,1eyu;1,1fmo;1,1fgu;1,1fx0;2,f9o;1,1gpo;1,1fmo;1,1hvo;1,1hjo;28,aq0;1,1gyu;1,1fgu;1,1hvo;1,1hi0;2,gxo;1,1hi0;1,1fx0;1,1hjo;1,1hi0;i,iio;i,i1u;i,i4u;1s,elo;1s,tro;1s,lu0;1u,iio;1u,i1u;1u,i4u;g,elo;g,tro;g,lu0;w,2vc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;1u,i3o;1u,i1u;x,1eyu;x,1hl0;x,1gr6;x,1iac;w,2p00;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;1u,hlo;1u,i4u;x,1eyu;x,1fmo;x,1fgu;x,1fx0;w,2uxc;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;8,qsu;8,r00;x,1hl0;x,1fmo;x,1ix0;x,1jl0;w,2tc0;w,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;8,rvu;8,q7u;x,1gr6;x,1fgu;x,1ix0;x,1igc;w,2uo0;w,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;8,w1u;8,vro;x,1iac;x,1fx0;x,1jl0;x,1igc;28,iio;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;28,i1u;1,1eyu;1,1hl0;1,1gr6;1,1iac;28,i4u;1,1eyu;1,1fmo;1,1fgu;1,1fx0;2,elo;1,1hl0;1,1fmo;1,1ix0;1,1jl0;2,tro;1,1gr6;1,1fgu;1,1ix0;1,1igc;2,lu0;1,1iac;1,1fx0;1,1jl0;1,1igc;i,w1u;i,v1u;i,qo0;i,r00;1s,1b60;1s,1d60;1u,w1u;1u,v1u;1u,qo0;1u,r00;g,1b60;g,1d60;w,2xxc;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;1u,v6o;1u,v1u;x,1gpo;x,1hl0;x,1j30;x,1ju0;w,2rlc;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;1u,q1u;1u,qo0;x,1gpo;x,1fmo;x,1hvo;x,1hjo;w,2uxc;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;1u,qsu;1u,r00;x,1hl0;x,1fmo;x,1ix0;x,1jl0;w,2vxc;w,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;8,iyu;8,hio;x,1j30;x,1hvo;x,1ix0;x,1ko0;w,2x9c;w,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;8,j9o;8,i3o;x,1ju0;x,1hjo;x,1jl0;x,1ko0;28,w1u;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;28,v1u;1,1gpo;1,1hl0;1,1j30;1,1ju0;28,qo0;1,1gpo;1,1fmo;1,1hvo;1,1hjo;28,r00;1,1hl0;1,1fmo;1,1ix0;1,1jl0;2,1b60;1,1j30;1,1hvo;1,1ix0;1,1ko0;2,1d60;1,1ju0;1,1hjo;1,1jl0;1,1ko0;i,12su;i,y7u;i,11ro;1s,tro;1s,1b60;1s,1qfo;1u,12su;1u,y7u;1u,11ro;g,tro;g,1b60;g,1qfo;w,2wc0;w,2p60;1,1gyu;1,1gr6;1,1j30;1s,1j9o;1u,zdu;1u,y7u;x,1gyu;x,1gr6;x,1j30;g,1j9o;w,2q00;w,2rrc;1,1gyu;1,1fgu;1,1hvo;1s,1rxo;1u,13co;1u,11ro;x,1gyu;x,1fgu;x,1hvo;g,1rxo;w,2tc0;w,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;1u,rvu;1u,q7u;x,1gr6;x,1fgu;x,1ix0;x,1igc;w,2vxc;w,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;1u,iyu;1u,hio;x,1j30;x,1hvo;x,1ix0;x,1ko0;w,2vo0;w,2s00;1,1j4c;1,1hi0;1,1igc;1,1ko0;8,b3o;8,bgu;x,1j4c;x,1hi0;x,1igc;x,1ko0;28,12su;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;28,y7u;1,1gyu;1,1gr6;1,1j30;1,1j4c;28,11ro;1,1gyu;1,1fgu;1,1hvo;1,1hi0;2,tro;1,1gr6;1,1fgu;1,1ix0;1,1igc;2,1b60;1,1j30;1,1hvo;1,1ix0;1,1ko0;2,1qfo;2,1j9o;2,1rxo;1,1igc;1,1ko0;i,13vu;i,zau;i,y7u;i,vro;1s,1d60;1s,1qfo;1u,13vu;1u,zau;1u,y7u;1u,vro;g,1d60;g,1qfo;w,2xo0;w,2pc0;1,1hi0;1,1iac;1,1ju0;1s,1j9o;1u,zpu;1u,zau;x,1hi0;x,1iac;x,1ju0;g,1j9o;w,2rc0;w,2rxc;1,1hi0;1,1fx0;1,1hjo;1s,1rxo;1u,ypu;1u,y7u;x,1hi0;x,1fx0;x,1hjo;g,1rxo;w,2uo0;w,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;1u,w1u;1u,vro;x,1iac;x,1fx0;x,1jl0;x,1igc;w,2x9c;w,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;1u,j9o;1u,i3o;x,1ju0;x,1hjo;x,1jl0;x,1ko0;w,2vo0;w,2s00;1,1j4c;1,1hi0;1,1igc;1,1ko0;1u,b3o;1u,bgu;x,1j4c;x,1hi0;x,1igc;x,1ko0;28,13vu;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;28,zau;1,1hi0;1,1iac;1,1ju0;1,1j4c;28,y7u;1,1hi0;1,1fx0;1,1hjo;1,1hi0;28,vro;1,1iac;1,1fx0;1,1jl0;1,1igc;2,1d60;1,1ju0;1,1hjo;1,1jl0;1,1ko0;2,1qfo;2,1j9o;2,1rxo;1,1igc;1,1ko0;1s,aoo;1s,bro;1s,iio;1s,w1u;1s,12su;1s,13vu;g,aoo;1s,bgu;1s,i3o;1s,v6o;1s,zdu;1s,zpu;g,bro;g,bgu;1s,hlo;1s,q1u;1s,13co;1s,ypu;g,iio;g,i3o;g,hlo;1s,qsu;4,tro;1s,w1u;g,w1u;g,v6o;g,q1u;g,qsu;4,1blo;4,1bu0;g,12su;g,zdu;g,13co;4,tro;4,1blo;4,1s60;g,13vu;g,zpu;g,ypu;g,w1u;4,1bu0;4,1s60;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;g,13vu;g,yio;g,rvu;1s,v6o;1s,zdu;1s,zpu;1s,13vu;1s,yio;1s,rvu;g,v6o;g,zdu;g,zpu;g,12su;g,yio;g,qsu;1s,q1u;1s,13co;1s,ypu;1s,12su;1s,yio;1s,qsu;g,q1u;g,13co;g,ypu;g,w1u;g,rvu;g,qsu;1s,qsu;4,tro;1s,w1u;1s,w1u;1s,rvu;1s,qsu;g,qsu;4,tro;g,w1u;g,iio;g,esu;g,ico;4,ero;4,1blo;4,1bu0;1s,iio;1s,esu;1s,ico;4,ero;4,1blo;4,1bu0;g,bro;4,ero;1s,b3o;4,tro;4,1blo;4,1s60;1s,bro;4,ero;g,b3o;4,tro;4,1blo;4,1s60;g,aoo;4,exo;4,gxo;4,m9o;4,1bu0;4,1s60;1s,aoo;4,exo;4,gxo;4,m9o;4,1bu0;4,1s60;g,13vu;g,12su;g,w1u;1w,w1u;1w,12su;1w,13vu;1s,13vu;1s,12su;1s,w1u;k,w1u;k,12su;k,13vu;28,13vu;28,12su;28,w1u;4,w1u;4,12su;4,13vu;g,13vu;g,yio;g,rvu;1w,v6o;1w,zdu;1w,zpu;1s,13vu;1s,yio;1s,rvu;k,v6o;k,zdu;k,zpu;28,13vu;28,yio;28,rvu;4,v6o;4,zdu;4,zpu;g,12su;g,yio;g,qsu;1w,q1u;1w,13co;1w,ypu;1s,12su;1s,yio;1s,qsu;k,q1u;k,13co;k,ypu;28,12su;28,yio;28,qsu;4,q1u;4,13co;4,ypu;g,w1u;g,rvu;g,qsu;1w,qsu;1w,rvu;1w,w1u;1s,w1u;1s,rvu;1s,qsu;k,qsu;k,rvu;k,w1u;28,w1u;28,rvu;28,qsu;4,qsu;4,rvu;4,w1u;g,iio;g,esu;g,ico;1w,dfo;1w,iyu;1w,j9o;1s,iio;1s,esu;1s,ico;k,dfo;k,iyu;k,j9o;28,iio;28,esu;28,ico;4,dfo;4,iyu;4,j9o;g,bro;g,alo;1w,b3o;g,a7u;1w,adu;1w,b3o;1s,bro;1s,alo;k,b3o;1s,a7u;k,adu;k,b3o;8,dqo;8,b8o;4,b3o;28,a7u;4,adu;4,b3o;g,aoo;g,a9o;g,9oo;1w,9oo;1w,a9o;1w,aoo;1s,aoo;1s,a9o;1s,9oo;k,9oo;k,a9o;k,aoo;8,e2o;8,beo;28,9oo;4,9oo;4,a9o;4,aoo;4,aoo;4,bro;4,iio;4,w1u;4,12su;4,13vu;4,aoo;4,bro;4,iio;4,w1u;4,12su;4,13vu;g,aoo;4,bgu;4,i3o;4,v6o;4,zdu;4,zpu;1s,aoo;4,bgu;4,i3o;4,v6o;4,zdu;4,zpu;g,bro;g,bgu;4,hlo;4,q1u;4,13co;4,ypu;1s,bro;1s,bgu;4,hlo;4,q1u;4,13co;4,ypu;g,iio;g,i3o;g,hlo;4,qsu;1s,tro;4,w1u;1s,iio;1s,i3o;1s,hlo;4,qsu;g,tro;4,w1u;g,w1u;g,v6o;g,q1u;g,qsu;1s,1blo;1s,1bu0;1s,w1u;1s,v6o;1s,q1u;1s,qsu;g,1blo;g,1bu0;g,12su;g,zdu;g,13co;1s,tro;1s,1blo;1s,1s60;1s,12su;1s,zdu;1s,13co;g,tro;g,1blo;g,1s60;g,13vu;g,zpu;g,ypu;g,w1u;1s,1bu0;1s,1s60;1s,13vu;1s,zpu;1s,ypu;1s,w1u;g,1bu0;g,1s60;1s,aoo;1s,bro;1s,iio;1s,w1u;1s,12su;1s,13vu;w,e2o;1s,b4u;1s,i1u;1s,v1u;1s,y7u;1s,zau;g,bro;g,b4u;1s,i4u;1s,qo0;1s,11ro;1s,y7u;g,iio;g,i1u;g,i4u;1s,r00;4,tro;1s,vro;g,w1u;g,v1u;g,qo0;g,r00;4,1b60;4,1d60;g,12su;g,y7u;g,11ro;4,tro;4,1b60;4,1qfo;g,13vu;g,zau;g,y7u;g,vro;4,1d60;4,1qfo;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;g,13vu;g,xsu;g,qvu;1s,v1u;1s,y7u;1s,zau;1s,xsu;1s,qvu;g,v1u;g,y7u;g,zau;g,12su;g,xsu;g,q1u;1s,qo0;1s,11ro;1s,y7u;1s,xsu;1s,q1u;g,qo0;g,11ro;g,y7u;g,w1u;g,qvu;g,q1u;1s,r00;4,tro;1s,vro;1s,qvu;1s,q1u;g,r00;4,tro;g,vro;g,iio;g,dvu;g,hio;4,elo;4,1b60;4,1d60;1s,dvu;1s,hio;4,elo;4,1b60;4,1d60;w,c2o;4,dro;w,au0;4,tro;4,1b60;4,1qfo;4,dro;g,aq0;4,tro;4,1b60;4,1qfo;w,deo;4,ero;4,gxo;4,lu0;4,1d60;4,1qfo;4,ero;4,gxo;4,lu0;4,1d60;4,1qfo;g,13vu;g,12su;g,w1u;1w,w1u;1w,12su;1w,13vu;1s,13vu;1s,12su;1s,w1u;k,w1u;k,12su;k,13vu;28,13vu;28,12su;28,w1u;4,w1u;4,12su;4,13vu;g,xsu;g,qvu;1w,v1u;1w,y7u;1w,zau;1s,13vu;1s,xsu;1s,qvu;k,v1u;k,y7u;k,zau;28,xsu;28,qvu;4,v1u;4,y7u;4,zau;g,xsu;g,q1u;1w,qo0;1w,11ro;1w,y7u;1s,12su;1s,xsu;1s,q1u;k,qo0;k,11ro;k,y7u;28,xsu;28,q1u;4,qo0;4,11ro;4,y7u;g,qvu;g,q1u;1w,r00;1w,q7u;1w,vro;1s,w1u;1s,qvu;1s,q1u;k,r00;k,q7u;k,vro;28,qvu;28,q1u;4,r00;4,q7u;4,vro;g,dvu;g,hio;1w,eau;1w,hio;1w,i3o;1s,iio;1s,dvu;1s,hio;k,eau;k,hio;k,i3o;28,dvu;28,hio;4,eau;4,hio;4,i3o;g,apu;1w,aq0;g,af6;1w,apu;1w,bgu;1s,bro;1s,apu;k,aq0;1s,af6;k,apu;k,bgu;28,apu;3k,au0;28,af6;4,apu;4,bgu;3l,9yc;g,9yu;1w,aoo;3l,9r0;1w,9vu;1s,aoo;3l,9yc;1s,9yu;k,aoo;3l,9r0;k,9vu;8,ai0;3k,bu0;4,aoo;1,9r0;4,9vu;3k,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;3k,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;4,b4u;4,i1u;4,v1u;4,y7u;4,zau;4,b4u;4,i1u;4,v1u;4,y7u;4,zau;g,b4u;4,i4u;4,qo0;4,11ro;4,y7u;1s,b4u;4,i4u;4,qo0;4,11ro;4,y7u;g,i1u;g,i4u;4,r00;1s,tro;4,vro;1s,i1u;1s,i4u;4,r00;g,tro;4,vro;g,v1u;g,qo0;g,r00;1s,1b60;1s,1d60;1s,v1u;1s,qo0;1s,r00;g,1b60;g,1d60;g,y7u;g,11ro;1s,tro;1s,1b60;1s,1qfo;1s,y7u;1s,11ro;g,tro;g,1b60;g,1qfo;g,zau;g,y7u;g,vro;1s,1d60;1s,1qfo;1s,zau;1s,y7u;1s,vro;g,1d60;g,1qfo;a,aoo;1s,bgu;1s,i3o;1s,v6o;1s,zdu;1s,zpu;w,e2o;1s,b4u;1s,i1u;1s,v1u;1s,y7u;1s,zau;w,2s00;w,2p3c;3l,1eyu;3l,1gpo;3l,1gyu;3l,1hi0;w,2vc0;w,2ni0;3l,1eyu;3l,1hl0;3l,1gr6;3l,1iac;w,2xxc;w,2ou0;3l,1gpo;3l,1hl0;3l,1j30;3l,1ju0;w,2wc0;w,2p60;3l,1gyu;3l,1gr6;3l,1j30;4,1j9o;w,2xo0;w,2pc0;3l,1hi0;3l,1iac;3l,1ju0;4,1j9o;g,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;g,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;w,2s00;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;x,1eyu;x,1gpo;x,1gyu;x,1hi0;w,2vc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;x,1eyu;x,1hl0;x,1gr6;x,1iac;w,2xxc;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;x,1gpo;x,1hl0;x,1j30;x,1ju0;w,2wc0;w,2p60;1,1gyu;1,1gr6;1,1j30;4,1j9o;x,1gyu;x,1gr6;x,1j30;4,1j9o;w,2xo0;w,2pc0;1,1hi0;1,1iac;1,1ju0;4,1j9o;x,1hi0;x,1iac;x,1ju0;4,1j9o;w,cuyo;g,yio;g,rvu;1w,v6o;1w,zdu;1w,zpu;1s,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;28,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;g,xsu;g,qvu;1w,v1u;1w,y7u;1w,zau;1s,13vu;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;g,xsu;3l,1eyu;3l,1gpo;3l,1gyu;3l,1hi0;1s,yio;1s,xsu;3l,1eyu;3l,1gpo;3l,1gyu;3l,1hi0;3k,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;g,qvu;3l,1eyu;3l,1hl0;3l,1gr6;3l,1iac;1s,rvu;1s,qvu;3l,1eyu;3l,1hl0;3l,1gr6;3l,1iac;3k,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;g,dvu;3l,1gpo;3l,1hl0;3l,1j30;3l,1ju0;1s,esu;1s,dvu;3l,1gpo;3l,1hl0;3l,1j30;3l,1ju0;3k,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;2,dro;3l,1gyu;3l,1gr6;3l,1j30;3l,1j4c;2,ero;2,dro;3l,1gyu;3l,1gr6;3l,1j30;3l,1j4c;3k,2p60;1,1gyu;1,1gr6;1,1j30;1,1j4c;2,ero;3l,1hi0;3l,1iac;3l,1ju0;3l,1j4c;2,exo;2,ero;3l,1hi0;3l,1iac;3l,1ju0;3l,1j4c;3k,2pc0;1,1hi0;1,1iac;1,1ju0;1,1j4c;3k,e2o;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;x,1eyu;x,1gpo;x,1gyu;x,1hi0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;x,1eyu;x,1hl0;x,1gr6;x,1iac;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;x,1gpo;x,1hl0;x,1j30;x,1ju0;w,2p60;1,1gyu;1,1gr6;1,1j30;1s,1j9o;x,1gyu;x,1gr6;x,1j30;g,1j9o;w,2pc0;1,1hi0;1,1iac;1,1ju0;1s,1j9o;x,1hi0;x,1iac;x,1ju0;g,1j9o;a,bro;a,bgu;1s,hlo;1s,q1u;1s,13co;1s,ypu;a,bro;a,b4u;1s,i4u;1s,qo0;1s,11ro;1s,y7u;w,2s00;w,2p3c;3l,1eyu;3l,1gpo;3l,1gyu;3l,1hi0;w,2p00;w,2q3c;3l,1eyu;3l,1fmo;3l,1fgu;3l,1fx0;w,2rlc;w,2rfc;3l,1gpo;3l,1fmo;3l,1hvo;3l,1hjo;w,2q00;w,2rrc;3l,1gyu;3l,1fgu;3l,1hvo;4,1rxo;w,2rc0;w,2rxc;3l,1hi0;3l,1fx0;3l,1hjo;4,1rxo;g,12su;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;g,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;w,2s00;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;x,1eyu;x,1gpo;x,1gyu;x,1hi0;w,2p00;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;x,1fmo;x,1fgu;x,1fx0;w,2rlc;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;x,1fmo;x,1hvo;x,1hjo;w,2q00;w,2rrc;1,1gyu;1,1fgu;1,1hvo;4,1rxo;x,1fgu;x,1hvo;4,1rxo;w,2rc0;w,2rxc;1,1hi0;1,1fx0;1,1hjo;4,1rxo;x,1fx0;x,1hjo;4,1rxo;w,cuyo;g,yio;g,qsu;1w,q1u;1w,13co;1w,ypu;1s,12su;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;28,12su;w,2s00;w,2p00;w,2rlc;w,2q00;w,2rc0;g,xsu;g,q1u;1w,qo0;1w,11ro;1w,y7u;1s,12su;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;g,xsu;3l,1eyu;3l,1gpo;3l,1gyu;3l,1hi0;1s,yio;1s,xsu;3l,1eyu;3l,1gpo;3l,1gyu;3l,1hi0;3k,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;g,q1u;3l,1eyu;3l,1fmo;3l,1fgu;3l,1fx0;1s,qsu;1s,q1u;3l,1eyu;3l,1fmo;3l,1fgu;3l,1fx0;3k,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;g,hio;3l,1gpo;3l,1fmo;3l,1hvo;3l,1hjo;1s,ico;1s,hio;3l,1gpo;3l,1fmo;3l,1hvo;3l,1hjo;3k,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;8,aq0;3l,1gyu;3l,1fgu;3l,1hvo;3l,1hi0;8,b3o;8,aq0;3l,1gyu;3l,1fgu;3l,1hvo;3l,1hi0;3k,2rrc;1,1gyu;1,1fgu;1,1hvo;1,1hi0;2,gxo;3l,1hi0;3l,1fx0;3l,1hjo;3l,1hi0;2,gxo;2,gxo;3l,1hi0;3l,1fx0;3l,1hjo;3l,1hi0;3k,2rxc;1,1hi0;1,1fx0;1,1hjo;1,1hi0;8,bro;3k,2s00;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;3k,2p00;3k,2rlc;3k,2q00;3k,2rc0;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;w,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;x,1eyu;x,1gpo;x,1gyu;x,1hi0;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;x,1fmo;x,1fgu;x,1fx0;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;x,1fmo;x,1hvo;x,1hjo;w,2rrc;1,1gyu;1,1fgu;1,1hvo;1s,1rxo;x,1fgu;x,1hvo;g,1rxo;w,2rxc;1,1hi0;1,1fx0;1,1hjo;1s,1rxo;x,1fx0;x,1hjo;g,1rxo;a,iio;a,i3o;a,hlo;1s,qsu;1s,rvu;1s,w1u;a,iio;a,i1u;a,i4u;1s,r00;1s,q7u;1s,vro;w,2vc0;w,2ni0;3l,1eyu;3l,1hl0;3l,1gr6;3l,1iac;w,2p00;w,2q3c;3l,1eyu;3l,1fmo;3l,1fgu;3l,1fx0;w,2uxc;w,2pu0;3l,1hl0;3l,1fmo;3l,1ix0;3l,1jl0;w,2tc0;w,2q60;3l,1gr6;3l,1fgu;3l,1ix0;3l,1igc;w,2uo0;w,2qc0;3l,1iac;3l,1fx0;3l,1jl0;3l,1igc;g,w1u;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;3k,2uxc;3k,2tc0;3k,2uo0;g,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;3k,2pu0;3k,2q60;3k,2qc0;w,2vc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;x,1hl0;x,1gr6;x,1iac;w,2p00;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;x,1fmo;x,1fgu;x,1fx0;w,2uxc;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;x,1ix0;x,1jl0;w,2tc0;w,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;x,1ix0;x,1igc;w,2uo0;w,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;x,1jl0;x,1igc;w,cuyo;g,rvu;w,xc0;1w,qsu;1w,rvu;1w,w1u;1s,w1u;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;28,w1u;w,2vc0;w,2p00;w,2uxc;w,2tc0;w,2uo0;g,qvu;g,q1u;1w,r00;1w,q7u;1w,vro;1s,w1u;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;g,qvu;3l,1eyu;3l,1hl0;3l,1gr6;3l,1iac;1s,rvu;1s,qvu;3l,1eyu;3l,1hl0;3l,1gr6;3l,1iac;3k,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;g,q1u;3l,1eyu;3l,1fmo;3l,1fgu;3l,1fx0;1s,qsu;1s,q1u;3l,1eyu;3l,1fmo;3l,1fgu;3l,1fx0;3k,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;2,elo;3l,1hl0;3l,1fmo;3l,1ix0;3l,1jl0;2,ero;2,elo;3l,1hl0;3l,1fmo;3l,1ix0;3l,1jl0;3k,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;2,tro;3l,1gr6;3l,1fgu;3l,1ix0;3l,1igc;2,tro;2,tro;3l,1gr6;3l,1fgu;3l,1ix0;3l,1igc;3k,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;2,lu0;3l,1iac;3l,1fx0;3l,1jl0;3l,1igc;2,m9o;2,lu0;3l,1iac;3l,1fx0;3l,1jl0;3l,1igc;3k,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;8,iio;3k,2vc0;3k,2p00;3k,2uxc;3k,2tc0;3k,2uo0;3k,2uxc;3k,2tc0;3k,2uo0;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;3k,2pu0;3k,2q60;3k,2qc0;w,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;x,1hl0;x,1gr6;x,1iac;w,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;x,1fmo;x,1fgu;x,1fx0;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;x,1ix0;x,1jl0;w,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;x,1ix0;x,1igc;w,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;x,1jl0;x,1igc;a,w1u;a,v6o;a,q1u;a,qsu;1s,iyu;1s,j9o;a,w1u;a,v1u;a,qo0;a,r00;1s,hio;1s,i3o;w,2xxc;w,2ou0;3l,1gpo;3l,1hl0;3l,1j30;3l,1ju0;w,2rlc;w,2rfc;3l,1gpo;3l,1fmo;3l,1hvo;3l,1hjo;w,2uxc;w,2pu0;3l,1hl0;3l,1fmo;3l,1ix0;3l,1jl0;w,2vxc;w,2ri0;3l,1j30;3l,1hvo;3l,1ix0;3l,1ko0;w,2x9c;w,2ro0;3l,1ju0;3l,1hjo;3l,1jl0;3l,1ko0;2,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;3k,2vxc;3k,2x9c;2,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;3k,2ri0;3k,2ro0;w,2xxc;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;x,1j30;x,1ju0;w,2rlc;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;x,1hvo;x,1hjo;w,2uxc;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;x,1ix0;x,1jl0;w,2vxc;w,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;x,1ko0;w,2x9c;w,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;x,1ko0;w,cuyo;8,v6o;w,xc0;8,qsu;1w,iyu;1w,j9o;8,w1u;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;28,iio;w,2xxc;w,2rlc;w,2uxc;w,2vxc;w,2x9c;8,v1u;8,qo0;8,r00;1w,hio;1w,i3o;8,w1u;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;8,v1u;3l,1gpo;3l,1hl0;3l,1j30;3l,1ju0;8,v6o;8,v1u;3l,1gpo;3l,1hl0;3l,1j30;3l,1ju0;3k,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;8,qo0;3l,1gpo;3l,1fmo;3l,1hvo;3l,1hjo;8,q1u;8,qo0;3l,1gpo;3l,1fmo;3l,1hvo;3l,1hjo;3k,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;8,r00;3l,1hl0;3l,1fmo;3l,1ix0;3l,1jl0;8,qsu;8,r00;3l,1hl0;3l,1fmo;3l,1ix0;3l,1jl0;3k,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;2,1b60;3l,1j30;3l,1hvo;3l,1ix0;3l,1ko0;2,1blo;2,1b60;3l,1j30;3l,1hvo;3l,1ix0;3l,1ko0;3k,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;2,1d60;3l,1ju0;3l,1hjo;3l,1jl0;3l,1ko0;2,1bu0;2,1d60;3l,1ju0;3l,1hjo;3l,1jl0;3l,1ko0;3k,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;8,w1u;3k,2xxc;3k,2rlc;3k,2uxc;3k,2vxc;3k,2x9c;3k,2vxc;3k,2x9c;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;3k,2ri0;3k,2ro0;w,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;x,1j30;x,1ju0;w,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;x,1hvo;x,1hjo;w,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;x,1ix0;x,1jl0;w,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;x,1ko0;w,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;x,1ko0;a,12su;a,zdu;a,13co;a,rvu;a,iyu;1s,b3o;a,12su;a,y7u;a,11ro;a,q7u;a,hio;1s,bgu;w,2wc0;w,2p60;3l,1gyu;3l,1gr6;3l,1j30;3l,1j4c;w,2q00;w,2rrc;3l,1gyu;3l,1fgu;3l,1hvo;3l,1hi0;w,2tc0;w,2q60;3l,1gr6;3l,1fgu;3l,1ix0;3l,1igc;w,2vxc;w,2ri0;3l,1j30;3l,1hvo;3l,1ix0;3l,1ko0;w,2vo0;w,2s00;3l,1j4c;3l,1hi0;3l,1igc;3l,1ko0;2,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;3k,2vo0;2,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;3k,2s00;w,2wc0;w,2p60;1,1gyu;1,1gr6;1,1j30;1,1j4c;x,1j4c;w,2q00;w,2rrc;1,1gyu;1,1fgu;1,1hvo;1,1hi0;x,1hi0;w,2tc0;w,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;x,1igc;w,2vxc;w,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;x,1ko0;w,2vo0;w,2s00;8,1j9o;8,1rxo;1,1igc;1,1ko0;w,cuyo;8,zdu;8,13co;8,rvu;8,iyu;1w,b3o;8,12su;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;w,c2o;w,2wc0;w,2q00;w,2tc0;w,2vxc;w,2vo0;8,y7u;8,11ro;8,q7u;8,hio;1w,bgu;8,12su;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;8,y7u;3l,1gyu;3l,1gr6;3l,1j30;3l,1j4c;8,zdu;8,y7u;3l,1gyu;3l,1gr6;3l,1j30;3l,1j4c;3k,2p60;1,1gyu;1,1gr6;1,1j30;8,1j9o;8,11ro;3l,1gyu;3l,1fgu;3l,1hvo;3l,1hi0;8,13co;8,11ro;3l,1gyu;3l,1fgu;3l,1hvo;3l,1hi0;3k,2rrc;1,1gyu;1,1fgu;1,1hvo;8,1rxo;2,tro;3l,1gr6;3l,1fgu;3l,1ix0;3l,1igc;2,tro;2,tro;3l,1gr6;3l,1fgu;3l,1ix0;3l,1igc;3k,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;2,1b60;3l,1j30;3l,1hvo;3l,1ix0;3l,1ko0;2,1blo;2,1b60;3l,1j30;3l,1hvo;3l,1ix0;3l,1ko0;3k,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;2,1qfo;2,1j9o;2,1rxo;3l,1igc;3l,1ko0;2,1s60;2,1qfo;2,1j9o;2,1rxo;3l,1igc;3l,1ko0;3k,2s00;2,1j9o;2,1rxo;1,1igc;1,1ko0;8,12su;3k,2wc0;3k,2q00;3k,2tc0;3k,2vxc;3k,2vo0;3k,2vo0;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;3k,2s00;w,2p60;1,1gyu;1,1gr6;1,1j30;1,1j4c;x,1j4c;w,2rrc;1,1gyu;1,1fgu;1,1hvo;1,1hi0;x,1hi0;w,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;x,1igc;w,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;x,1ko0;w,2s00;2,1j9o;2,1rxo;1,1igc;1,1ko0;a,13vu;a,zpu;a,ypu;a,w1u;a,j9o;a,b3o;a,13vu;a,zau;a,y7u;a,vro;a,i3o;a,bgu;w,2xo0;w,2pc0;3l,1hi0;3l,1iac;3l,1ju0;3l,1j4c;w,2rc0;w,2rxc;3l,1hi0;3l,1fx0;3l,1hjo;3l,1hi0;w,2uo0;w,2qc0;3l,1iac;3l,1fx0;3l,1jl0;3l,1igc;w,2x9c;w,2ro0;3l,1ju0;3l,1hjo;3l,1jl0;3l,1ko0;w,2vo0;w,2s00;3l,1j4c;3l,1hi0;3l,1igc;3l,1ko0;2,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;2,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,2xo0;w,2pc0;1,1hi0;1,1iac;1,1ju0;1,1j4c;w,2rc0;w,2rxc;1,1hi0;1,1fx0;1,1hjo;1,1hi0;w,2uo0;w,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;w,2x9c;w,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;w,2vo0;w,2s00;8,1j9o;8,1rxo;1,1igc;1,1ko0;w,cuyo;8,zpu;8,ypu;8,w1u;8,j9o;w,bo0;8,13vu;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;w,deo;w,2xo0;w,2rc0;w,2uo0;w,2x9c;w,2vo0;8,zau;8,y7u;8,vro;8,i3o;8,bgu;8,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;8,zau;3l,1hi0;3l,1iac;3l,1ju0;3l,1j4c;8,zpu;8,zau;3l,1hi0;3l,1iac;3l,1ju0;3l,1j4c;3k,2pc0;1,1hi0;1,1iac;1,1ju0;8,1j9o;8,y7u;3l,1hi0;3l,1fx0;3l,1hjo;3l,1hi0;8,ypu;8,y7u;3l,1hi0;3l,1fx0;3l,1hjo;3l,1hi0;3k,2rxc;1,1hi0;1,1fx0;1,1hjo;8,1rxo;8,vro;3l,1iac;3l,1fx0;3l,1jl0;3l,1igc;8,w1u;8,vro;3l,1iac;3l,1fx0;3l,1jl0;3l,1igc;3k,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;2,1d60;3l,1ju0;3l,1hjo;3l,1jl0;3l,1ko0;2,1bu0;2,1d60;3l,1ju0;3l,1hjo;3l,1jl0;3l,1ko0;3k,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;2,1qfo;2,1j9o;2,1rxo;3l,1igc;3l,1ko0;2,1s60;2,1qfo;2,1j9o;2,1rxo;3l,1igc;3l,1ko0;3k,2s00;2,1j9o;2,1rxo;1,1igc;1,1ko0;8,13vu;3k,2xo0;3k,2rc0;3k,2uo0;3k,2x9c;3k,2vo0;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,2pc0;1,1hi0;1,1iac;1,1ju0;1,1j4c;w,2rxc;1,1hi0;1,1fx0;1,1hjo;1,1hi0;w,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;w,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;w,2s00;2,1j9o;2,1rxo;1,1igc;1,1ko0;2,13vu;2,y7u;2,qpu;1s,vro;1s,yf0;1s,ymu;2,13vu;2,xsu;2,qvu;1s,v1u;1s,y7u;1s,zau;w,2pc0;w,2p3c;1,1fii;1,1g1u;1,1f4u;1,1g1u;w,2rxc;w,2ni0;1,1fii;1,1gc0;1,1gf0;1,1gju;w,2qc0;w,2ou0;1,1g1u;1,1gc0;1,1g36;1,1g4c;w,2ro0;w,2p60;1,1f4u;1,1gf0;1,1g36;1,1gyc;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;2,12su;2,y7u;2,q7u;1s,rau;1s,11au;1s,ymu;2,12su;2,xsu;2,q1u;1s,qo0;1s,11ro;1s,y7u;w,2pc0;w,2p3c;1,1fii;1,1g1u;1,1f4u;1,1g1u;w,2v9c;w,2q3c;1,1fii;1,1jao;1,1iao;1,1jfi;w,2to0;w,2rfc;1,1g1u;1,1jao;1,1imu;1,1jo0;w,2v00;w,2rrc;1,1f4u;1,1iao;1,1imu;1,1jf0;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;2,w1u;2,qpu;2,q7u;1s,qyu;1s,qu0;1s,v6o;2,w1u;2,qvu;2,q1u;1s,r00;1s,q7u;1s,vro;w,2rxc;w,2ni0;1,1fii;1,1gc0;1,1gf0;1,1gju;w,2v9c;w,2q3c;1,1fii;1,1jao;1,1iao;1,1jfi;w,2w9c;w,2pu0;1,1gc0;1,1jao;1,1jl0;1,1ju0;w,2xlc;w,2q60;1,1gf0;1,1iao;1,1jl0;4,2bc0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;4,2bc0;8,w1u;8,vro;8,rau;8,qyu;1s,h4u;1s,iau;8,w1u;8,v1u;8,qo0;8,r00;1s,hio;1s,i3o;w,2qc0;w,2ou0;1,1g1u;1,1gc0;1,1g36;1,1g4c;w,2to0;w,2rfc;1,1g1u;1,1jao;1,1imu;1,1jo0;w,2w9c;w,2pu0;1,1gc0;1,1jao;1,1jl0;1,1ju0;w,2w00;w,2ri0;1,1g36;1,1imu;1,1jl0;4,4mo0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;4,4mo0;8,12su;8,yf0;8,11au;8,qu0;8,h4u;1s,bro;8,12su;8,y7u;8,11ro;8,q7u;8,hio;1s,bgu;w,2ro0;w,2p60;1,1f4u;1,1gf0;1,1g36;1,1gyc;w,2v00;w,2rrc;1,1f4u;1,1iao;1,1imu;1,1jf0;w,2xlc;w,2q60;1,1gf0;1,1iao;1,1jl0;4,2bc0;w,2w00;w,2ri0;1,1g36;1,1imu;1,1jl0;4,4mo0;w,2xo0;w,2s00;1,1gyc;1,1jf0;4,2bc0;4,4mo0;8,13vu;8,ymu;8,ymu;8,v6o;8,iau;8,bro;8,13vu;8,zau;8,y7u;8,vro;8,i3o;8,bgu;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;4,2bc0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;4,4mo0;w,2xo0;w,2s00;1,1gyc;1,1jf0;4,2bc0;4,4mo0;w,cuyo;g,y7u;g,qpu;1s,vro;1s,yf0;1s,ymu;1s,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;w,cuyo;g,y7u;g,q7u;1s,rau;1s,11au;1s,ymu;1s,12su;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;w,cuyo;w,xc0;g,q7u;1s,qyu;4,sro;1s,v6o;1s,w1u;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;w,cuyo;w,xc0;8,rau;8,qyu;4,1c60;4,1clo;8,w1u;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;w,cuyo;8,yf0;8,11au;4,sro;4,1c60;4,1po0;8,12su;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;w,cuyo;8,ymu;8,ymu;8,v6o;4,1clo;4,1po0;8,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,cuyo;g,xsu;g,qvu;1s,v1u;1s,y7u;1s,zau;1s,13vu;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;w,cuyo;g,xsu;g,q1u;1s,qo0;1s,11ro;1s,y7u;1s,12su;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;w,cuyo;g,qvu;g,q1u;1s,r00;4,tro;1s,vro;1s,w1u;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;w,cuyo;8,v1u;8,qo0;8,r00;4,1b60;4,1d60;8,w1u;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;w,cuyo;8,y7u;8,11ro;4,tro;4,1b60;4,1qfo;8,12su;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;w,cuyo;8,zau;8,y7u;8,vro;4,1d60;4,1qfo;8,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;g,y7u;g,xsu;1,1fii;1,1g1u;1,1f4u;1,1g1u;1s,y7u;1s,xsu;1,1fii;1,1g1u;1,1f4u;1,1g1u;w,xc0;g,qvu;1,1fii;1,1gc0;1,1gf0;1,1gju;1s,qpu;1s,qvu;1,1fii;1,1gc0;1,1gf0;1,1gju;w,xc0;8,v1u;1,1g1u;1,1gc0;1,1g36;1,1g4c;8,vro;8,v1u;1,1g1u;1,1gc0;1,1g36;1,1g4c;8,yf0;8,y7u;1,1f4u;1,1gf0;1,1g36;1,1gyc;8,yf0;8,y7u;1,1f4u;1,1gf0;1,1g36;1,1gyc;8,ymu;8,zau;1,1g1u;1,1gju;1,1g4c;1,1gyc;8,ymu;8,zau;1,1g1u;1,1gju;1,1g4c;1,1gyc;g,y7u;g,xsu;1,1fii;1,1g1u;1,1f4u;1,1g1u;1s,y7u;1s,xsu;1,1fii;1,1g1u;1,1f4u;1,1g1u;g,q7u;g,q1u;1,1fii;1,1jao;1,1iao;1,1jfi;1s,q7u;1s,q1u;1,1fii;1,1jao;1,1iao;1,1jfi;8,rau;8,qo0;1,1g1u;1,1jao;1,1imu;1,1jo0;8,rau;8,qo0;1,1g1u;1,1jao;1,1imu;1,1jo0;8,11au;8,11ro;1,1f4u;1,1iao;1,1imu;4,1pfo;8,11au;8,11ro;1,1f4u;1,1iao;1,1imu;4,1pfo;8,ymu;8,y7u;1,1g1u;1,1jfi;1,1jo0;4,1pfo;8,ymu;8,y7u;1,1g1u;1,1jfi;1,1jo0;4,1pfo;g,qpu;g,qvu;1,1fii;1,1gc0;1,1gf0;1,1gju;1s,qpu;1s,qvu;1,1fii;1,1gc0;1,1gf0;1,1gju;g,q7u;g,q1u;1,1fii;1,1jao;1,1iao;1,1jfi;1s,q7u;1s,q1u;1,1fii;1,1jao;1,1iao;1,1jfi;8,qyu;8,r00;1,1gc0;1,1jao;1,1jl0;1,1ju0;8,qyu;8,r00;1,1gc0;1,1jao;1,1jl0;1,1ju0;8,qu0;8,q7u;1,1gf0;1,1iao;1,1jl0;1,1kl0;8,qu0;8,q7u;1,1gf0;1,1iao;1,1jl0;1,1kl0;8,v6o;8,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;8,v6o;8,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,vro;2,v1u;1,1g1u;1,1gc0;1,1g36;1,1g4c;2,vro;2,v1u;1,1g1u;1,1gc0;1,1g36;1,1g4c;2,rau;2,qo0;1,1g1u;1,1jao;1,1imu;1,1jo0;2,rau;2,qo0;1,1g1u;1,1jao;1,1imu;1,1jo0;2,qyu;2,r00;1,1gc0;1,1jao;1,1jl0;1,1ju0;2,qyu;2,r00;1,1gc0;1,1jao;1,1jl0;1,1ju0;8,h4u;8,hio;1,1g36;1,1imu;1,1jl0;1,1jyc;8,h4u;8,hio;1,1g36;1,1imu;1,1jl0;1,1jyc;8,iau;8,i3o;1,1g4c;1,1jo0;1,1ju0;1,1jyc;8,iau;8,i3o;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,yf0;2,y7u;1,1f4u;1,1gf0;1,1g36;1,1gyc;2,yf0;2,y7u;1,1f4u;1,1gf0;1,1g36;1,1gyc;2,11au;2,11ro;1,1f4u;1,1iao;1,1imu;1,1jf0;2,11au;2,11ro;1,1f4u;1,1iao;1,1imu;1,1jf0;2,qu0;2,q7u;1,1gf0;1,1iao;1,1jl0;1,1kl0;2,qu0;2,q7u;1,1gf0;1,1iao;1,1jl0;1,1kl0;2,h4u;2,hio;1,1g36;1,1imu;1,1jl0;1,1jyc;2,h4u;2,hio;1,1g36;1,1imu;1,1jl0;1,1jyc;8,bro;8,bgu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;8,bro;8,bgu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;2,ymu;2,zau;1,1g1u;1,1gju;1,1g4c;1,1gyc;2,ymu;2,zau;1,1g1u;1,1gju;1,1g4c;1,1gyc;2,ymu;2,y7u;1,1g1u;1,1jfi;1,1jo0;1,1jf0;2,ymu;2,y7u;1,1g1u;1,1jfi;1,1jo0;1,1jf0;2,v6o;2,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,v6o;2,vro;1,1gju;1,1jfi;1,1ju0;1,1kl0;2,iau;2,i3o;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,iau;2,i3o;1,1g4c;1,1jo0;1,1ju0;1,1jyc;2,bro;2,bgu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;2,bro;2,bgu;1,1gyc;1,1jf0;1,1kl0;1,1jyc;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,xc0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;8,iio;8,igu;8,i1u;4,fro;4,sro;4,mu0;8,iio;8,igu;8,i1u;4,fro;4,sro;4,mu0;8,w1u;8,vro;8,rau;8,qyu;4,1c60;4,1clo;8,w1u;8,vro;8,rau;8,qyu;4,1c60;4,1clo;8,12su;8,yf0;8,11au;4,sro;4,1c60;4,1po0;8,12su;8,yf0;8,11au;4,sro;4,1c60;4,1po0;8,13vu;8,ymu;8,ymu;8,v6o;4,1clo;4,1po0;8,13vu;8,ymu;8,ymu;8,v6o;4,1clo;4,1po0;3k,xc0;3k,go0;c,iio;c,w1u;c,12su;c,13vu;3k,go0;c,igu;c,vro;c,yf0;c,ymu;3k,xc0;c,i1u;c,rau;c,11au;c,ymu;3k,xc0;3k,go0;c,qyu;c,qu0;c,v6o;3k,xc0;3k,go0;c,dgu;c,h4u;c,iau;3k,xc0;3k,go0;28,7ho;3k,bo0;c,bro;3k,xc0;3k,go0;c,9xo;3k,bo0;c,adu;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;3k,go0;8,bro;8,b4u;8,al6;4,f9o;8,aq0;4,gxo;8,bro;8,b4u;8,al6;4,f9o;8,aq0;4,gxo;8,iio;8,i1u;8,i4u;4,elo;4,tro;4,lu0;8,iio;8,i1u;8,i4u;4,elo;4,tro;4,lu0;8,w1u;8,v1u;8,qo0;8,r00;4,1b60;4,1d60;8,w1u;8,v1u;8,qo0;8,r00;4,1b60;4,1d60;8,12su;8,y7u;8,11ro;4,tro;4,1b60;4,1qfo;8,12su;8,y7u;8,11ro;4,tro;4,1b60;4,1qfo;8,13vu;8,zau;8,y7u;8,vro;4,1d60;4,1qfo;8,13vu;8,zau;8,y7u;8,vro;4,1d60;4,1qfo;3k,go0;c,bro;c,iio;c,w1u;c,12su;c,13vu;c,b4u;c,i1u;c,v1u;c,y7u;c,zau;3k,go0;c,i4u;c,qo0;c,11ro;c,y7u;3k,go0;c,al6;c,r00;c,q7u;c,vro;3k,go0;1,8u6;c,eau;c,hio;c,i3o;3k,go0;c,aq0;3k,bo0;c,apu;c,bgu;3k,go0;1,8i6;3k,bo0;28,9r0;c,9vu;w,2pc0;w,2p3c;1,1fii;1,1g1u;1,1f4u;1,1g1u;8,ayu;8,b4u;x,1fii;x,1g1u;x,1f4u;x,1g1u;w,2rxc;w,2ni0;1,1fii;1,1gc0;1,1gf0;1,1gju;8,igu;8,i1u;x,1fii;x,1gc0;x,1gf0;x,1gju;w,2qc0;w,2ou0;1,1g1u;1,1gc0;1,1g36;1,1g4c;8,vro;8,v1u;x,1g1u;x,1gc0;x,1g36;x,1g4c;w,2ro0;w,2p60;1,1f4u;1,1gf0;1,1g36;1,1gyc;8,yf0;8,y7u;x,1f4u;x,1gf0;x,1g36;x,1gyc;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;8,ymu;8,zau;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;1,1fii;1,1g1u;1,1f4u;1,1g1u;1,1fii;1,1gc0;1,1gf0;1,1gju;1,1g1u;1,1gc0;1,1g36;1,1g4c;1,1f4u;1,1gf0;1,1g36;1,1gyc;1,1g1u;1,1gju;1,1g4c;1,1gyc;w,2pc0;w,2p3c;1,1fii;1,1g1u;1,1f4u;1,1g1u;1u,ayu;1u,b4u;x,1fii;x,1g1u;x,1f4u;x,1g1u;w,2v9c;w,2q3c;1,1fii;1,1jao;1,1iao;1,1jfi;8,i1u;8,i4u;x,1fii;x,1jao;x,1iao;x,1jfi;w,2to0;w,2rfc;1,1g1u;1,1jao;1,1imu;1,1jo0;8,rau;8,qo0;x,1g1u;x,1jao;x,1imu;x,1jo0;w,2v00;w,2rrc;1,1f4u;1,1iao;1,1imu;4,1pfo;8,11au;8,11ro;x,1f4u;x,1iao;x,1imu;4,1pfo;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;4,1pfo;8,ymu;8,y7u;x,1g1u;x,1jfi;x,1jo0;4,1pfo;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;1,1fii;1,1g1u;1,1f4u;1,1g1u;1,1fii;1,1jao;1,1iao;1,1jfi;1,1g1u;1,1jao;1,1imu;1,1jo0;1,1f4u;1,1iao;1,1imu;1,1jf0;1,1g1u;1,1jfi;1,1jo0;1,1jf0;w,2rxc;w,2ni0;1,1fii;1,1gc0;1,1gf0;1,1gju;1u,igu;1u,i1u;x,1fii;x,1gc0;x,1gf0;x,1gju;w,2v9c;w,2q3c;1,1fii;1,1jao;1,1iao;1,1jfi;1u,i1u;1u,i4u;x,1fii;x,1jao;x,1iao;x,1jfi;w,2w9c;w,2pu0;1,1gc0;1,1jao;1,1jl0;1,1ju0;8,qyu;8,r00;x,1gc0;x,1jao;x,1jl0;x,1ju0;w,2xlc;w,2q60;1,1gf0;1,1iao;1,1jl0;1,1kl0;8,qu0;8,q7u;x,1gf0;x,1iao;x,1jl0;x,1kl0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;8,v6o;8,vro;x,1gju;x,1jfi;x,1ju0;x,1kl0;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;1,1fii;1,1gc0;1,1gf0;1,1gju;1,1fii;1,1jao;1,1iao;1,1jfi;1,1gc0;1,1jao;1,1jl0;1,1ju0;1,1gf0;1,1iao;1,1jl0;1,1kl0;1,1gju;1,1jfi;1,1ju0;1,1kl0;w,2qc0;w,2ou0;1,1g1u;1,1gc0;1,1g36;1,1g4c;1u,vro;1u,v1u;x,1g1u;x,1gc0;x,1g36;x,1g4c;w,2to0;w,2rfc;1,1g1u;1,1jao;1,1imu;1,1jo0;1u,rau;1u,qo0;x,1g1u;x,1jao;x,1imu;x,1jo0;w,2w9c;w,2pu0;1,1gc0;1,1jao;1,1jl0;1,1ju0;1u,qyu;1u,r00;x,1gc0;x,1jao;x,1jl0;x,1ju0;w,2w00;w,2ri0;1,1g36;1,1imu;1,1jl0;1,1jyc;8,h4u;8,hio;x,1g36;x,1imu;x,1jl0;x,1jyc;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;8,iau;8,i3o;x,1g4c;x,1jo0;x,1ju0;x,1jyc;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;1,1g1u;1,1gc0;1,1g36;1,1g4c;1,1g1u;1,1jao;1,1imu;1,1jo0;1,1gc0;1,1jao;1,1jl0;1,1ju0;1,1g36;1,1imu;1,1jl0;1,1jyc;1,1g4c;1,1jo0;1,1ju0;1,1jyc;w,2ro0;w,2p60;1,1f4u;1,1gf0;1,1g36;1,1gyc;1u,yf0;1u,y7u;x,1f4u;x,1gf0;x,1g36;x,1gyc;w,2v00;w,2rrc;1,1f4u;1,1iao;1,1imu;1s,1pfo;1u,11au;1u,11ro;x,1f4u;x,1iao;x,1imu;g,1pfo;w,2xlc;w,2q60;1,1gf0;1,1iao;1,1jl0;1,1kl0;1u,qu0;1u,q7u;x,1gf0;x,1iao;x,1jl0;x,1kl0;w,2w00;w,2ri0;1,1g36;1,1imu;1,1jl0;1,1jyc;1u,h4u;1u,hio;x,1g36;x,1imu;x,1jl0;x,1jyc;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;3k,e60;3k,e60;x,1gyc;x,1jf0;x,1kl0;x,1jyc;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;1,1f4u;1,1gf0;1,1g36;1,1gyc;1,1f4u;1,1iao;1,1imu;1,1jf0;1,1gf0;1,1iao;1,1jl0;1,1kl0;1,1g36;1,1imu;1,1jl0;1,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;1u,ymu;1u,zau;x,1g1u;x,1gju;x,1g4c;x,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1s,1pfo;1u,ymu;1u,y7u;x,1g1u;x,1jfi;x,1jo0;g,1pfo;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;1u,v6o;1u,vro;x,1gju;x,1jfi;x,1ju0;x,1kl0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;1u,iau;1u,i3o;x,1g4c;x,1jo0;x,1ju0;x,1jyc;w,2xo0;w,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;3k,e60;3k,e60;x,1gyc;x,1jf0;x,1kl0;x,1jyc;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;1,1g1u;1,1gju;1,1g4c;1,1gyc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;1,1gju;1,1jfi;1,1ju0;1,1kl0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;1s,aoo;1s,bro;1s,iio;1s,w1u;1s,12su;1s,13vu;g,aoo;1s,ayu;1s,igu;1s,vro;1s,yf0;1s,ymu;g,bro;g,ayu;1s,i1u;1s,rau;1s,11au;1s,ymu;g,iio;g,igu;g,i1u;1s,qyu;4,sro;1s,v6o;g,w1u;g,vro;g,rau;g,qyu;4,1c60;4,1clo;g,12su;g,yf0;g,11au;4,sro;4,1c60;4,1po0;g,13vu;g,ymu;g,ymu;g,v6o;4,1clo;4,1po0;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;g,13vu;g,y7u;g,qpu;1s,vro;1s,yf0;1s,ymu;1s,13vu;1s,y7u;1s,qpu;g,vro;g,yf0;g,ymu;g,12su;g,y7u;g,q7u;1s,rau;1s,11au;1s,ymu;1s,12su;1s,y7u;1s,q7u;g,rau;g,11au;g,ymu;g,w1u;g,qpu;g,q7u;1s,qyu;4,sro;1s,v6o;1s,w1u;1s,qpu;1s,q7u;g,qyu;4,sro;g,v6o;g,iio;g,df0;g,gyu;4,fro;4,1c60;4,1clo;1s,iio;1s,df0;1s,gyu;4,fro;4,1c60;4,1clo;g,bro;4,dlo;1s,aro;4,sro;4,1c60;4,1po0;1s,bro;4,dlo;g,aro;4,sro;4,1c60;4,1po0;g,aoo;4,fxo;4,fxo;4,mu0;4,1clo;4,1po0;1s,aoo;4,fxo;4,fxo;4,mu0;4,1clo;4,1po0;g,13vu;g,12su;g,w1u;1w,w1u;1w,12su;1w,13vu;1s,13vu;1s,12su;1s,w1u;k,w1u;k,12su;k,13vu;28,13vu;28,12su;28,w1u;4,w1u;4,12su;4,13vu;g,y7u;g,qpu;1w,vro;1w,yf0;1w,ymu;1s,13vu;1s,y7u;1s,qpu;k,vro;k,yf0;k,ymu;28,y7u;28,qpu;4,vro;4,yf0;4,ymu;g,y7u;g,q7u;1w,rau;1w,11au;1w,ymu;1s,12su;1s,y7u;1s,q7u;k,rau;k,11au;k,ymu;28,y7u;28,q7u;4,rau;4,11au;4,ymu;g,qpu;g,q7u;1w,qyu;1w,qu0;1w,v6o;1s,w1u;1s,qpu;1s,q7u;k,qyu;k,qu0;k,v6o;28,qpu;28,q7u;4,qyu;4,qu0;4,v6o;g,df0;g,gyu;1w,dgu;1w,h4u;1w,iau;1s,iio;1s,df0;1s,gyu;k,dgu;k,h4u;k,iau;28,df0;28,gyu;4,dgu;4,h4u;4,iau;g,aro;1w,aro;g,aro;1w,aro;w,e60;1s,bro;1s,aro;k,aro;1s,aro;k,aro;k,bro;28,aro;4,aro;28,aro;4,aro;4,bro;g,aju;g,9mu;1w,9xo;1w,aju;w,e60;1s,aoo;1s,aju;1s,9mu;k,9xo;k,aju;k,adu;28,aju;28,9mu;4,9xo;4,aju;4,adu;2,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;2,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;4,ayu;4,igu;4,vro;4,yf0;4,ymu;1s,aoo;4,ayu;4,igu;4,vro;4,yf0;4,ymu;g,ayu;4,i1u;4,rau;4,11au;4,ymu;1s,bro;1s,ayu;4,i1u;4,rau;4,11au;4,ymu;g,igu;g,i1u;4,qyu;1s,sro;4,v6o;1s,iio;1s,igu;1s,i1u;4,qyu;g,sro;4,v6o;g,vro;g,rau;g,qyu;1s,1c60;1s,1clo;1s,w1u;1s,vro;1s,rau;1s,qyu;g,1c60;g,1clo;g,yf0;g,11au;1s,sro;1s,1c60;1s,1po0;1s,12su;1s,yf0;1s,11au;g,sro;g,1c60;g,1po0;g,ymu;g,ymu;g,v6o;1s,1clo;1s,1po0;1s,13vu;1s,ymu;1s,ymu;1s,v6o;g,1clo;g,1po0;1s,aoo;1s,bro;1s,iio;1s,w1u;1s,12su;1s,13vu;g,aoo;1s,b4u;1s,i1u;1s,v1u;1s,y7u;1s,zau;g,bro;g,b4u;1s,i4u;1s,qo0;1s,11ro;1s,y7u;g,iio;g,i1u;g,i4u;1s,r00;4,tro;1s,vro;g,w1u;g,v1u;g,qo0;g,r00;4,1b60;4,1d60;g,12su;g,y7u;g,11ro;4,tro;4,1b60;4,1qfo;g,13vu;g,zau;g,y7u;g,vro;4,1d60;4,1qfo;g,13vu;g,12su;g,w1u;1s,w1u;1s,12su;1s,13vu;1s,13vu;1s,12su;1s,w1u;g,w1u;g,12su;g,13vu;g,13vu;g,xsu;g,qvu;1s,v1u;1s,y7u;1s,zau;1s,xsu;1s,qvu;g,v1u;g,y7u;g,zau;g,12su;g,xsu;g,q1u;1s,qo0;1s,11ro;1s,y7u;1s,xsu;1s,q1u;g,qo0;g,11ro;g,y7u;g,w1u;g,qvu;g,q1u;1s,r00;4,tro;1s,vro;1s,qvu;1s,q1u;g,r00;4,tro;g,vro;g,iio;g,dvu;g,hio;4,elo;4,1b60;4,1d60;1s,dvu;1s,hio;4,elo;4,1b60;4,1d60;w,dqo;4,dro;1s,aq0;4,tro;4,1b60;4,1qfo;4,dro;g,aq0;4,tro;4,1b60;4,1qfo;w,e2o;4,ero;4,gxo;4,lu0;4,1d60;4,1qfo;4,ero;4,gxo;4,lu0;4,1d60;4,1qfo;g,13vu;g,12su;g,w1u;1w,w1u;1w,12su;1w,13vu;1s,13vu;1s,12su;1s,w1u;k,w1u;k,12su;k,13vu;28,13vu;28,12su;28,w1u;4,w1u;4,12su;4,13vu;g,xsu;g,qvu;1w,v1u;1w,y7u;1w,zau;1s,13vu;1s,xsu;1s,qvu;k,v1u;k,y7u;k,zau;28,xsu;28,qvu;4,v1u;4,y7u;4,zau;g,xsu;g,q1u;1w,qo0;1w,11ro;1w,y7u;1s,12su;1s,xsu;1s,q1u;k,qo0;k,11ro;k,y7u;28,xsu;28,q1u;4,qo0;4,11ro;4,y7u;g,qvu;g,q1u;1w,r00;1w,q7u;1w,vro;1s,w1u;1s,qvu;1s,q1u;k,r00;k,q7u;k,vro;28,qvu;28,q1u;4,r00;4,q7u;4,vro;g,dvu;g,hio;1w,eau;1w,hio;1w,i3o;1s,iio;1s,dvu;1s,hio;k,eau;k,hio;k,i3o;28,dvu;28,hio;4,eau;4,hio;4,i3o;g,apu;1w,aq0;g,af6;1w,apu;w,e60;1s,bro;1s,apu;k,aq0;1s,af6;k,apu;k,bgu;28,apu;8,au0;28,af6;4,apu;4,bgu;8,9yc;g,9yu;1w,aoo;8,9r0;w,e60;1s,aoo;8,9yc;1s,9yu;k,aoo;8,9r0;k,9vu;3k,ai0;8,bu0;4,aoo;4,9pu;4,9vu;2,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;2,e2o;4,bro;4,iio;4,w1u;4,12su;4,13vu;4,b4u;4,i1u;4,v1u;4,y7u;4,zau;4,b4u;4,i1u;4,v1u;4,y7u;4,zau;g,b4u;4,i4u;4,qo0;4,11ro;4,y7u;1s,b4u;4,i4u;4,qo0;4,11ro;4,y7u;g,i1u;g,i4u;4,r00;1s,tro;4,vro;1s,i1u;1s,i4u;4,r00;g,tro;4,vro;g,v1u;g,qo0;g,r00;1s,1b60;1s,1d60;1s,v1u;1s,qo0;1s,r00;g,1b60;g,1d60;g,y7u;g,11ro;1s,tro;1s,1b60;1s,1qfo;1s,y7u;1s,11ro;g,tro;g,1b60;g,1qfo;g,zau;g,y7u;g,vro;1s,1d60;1s,1qfo;1s,zau;1s,y7u;1s,vro;g,1d60;g,1qfo;4,e2o;1s,ayu;1s,igu;1s,vro;1s,yf0;1s,ymu;4,e2o;1s,b4u;1s,i1u;1s,v1u;1s,y7u;1s,zau;w,2pc0;w,2p3c;3l,1fii;3l,1g1u;3l,1f4u;3l,1g1u;w,2rxc;w,2ni0;3l,1fii;3l,1gc0;3l,1gf0;3l,1gju;w,2qc0;w,2ou0;3l,1g1u;3l,1gc0;3l,1g36;3l,1g4c;w,2ro0;w,2p60;3l,1f4u;3l,1gf0;3l,1g36;3l,1gyc;w,2s00;w,2pc0;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;g,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;g,13vu;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;w,2pc0;w,2p3c;1,1fii;1,1g1u;1,1f4u;1,1g1u;x,1fii;x,1g1u;x,1f4u;x,1g1u;w,2rxc;w,2ni0;1,1fii;1,1gc0;1,1gf0;1,1gju;x,1fii;x,1gc0;x,1gf0;x,1gju;w,2qc0;w,2ou0;1,1g1u;1,1gc0;1,1g36;1,1g4c;x,1g1u;x,1gc0;x,1g36;x,1g4c;w,2ro0;w,2p60;1,1f4u;1,1gf0;1,1g36;1,1gyc;x,1f4u;x,1gf0;x,1g36;x,1gyc;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;x,1g1u;x,1gju;x,1g4c;x,1gyc;g,y7u;g,qpu;1w,vro;1w,yf0;1w,ymu;1s,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;g,xsu;g,qvu;1w,v1u;1w,y7u;1w,zau;1s,13vu;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;w,2p3c;w,2ni0;w,2ou0;w,2p60;w,2pc0;3l,1fii;3l,1g1u;3l,1f4u;3l,1g1u;1s,y7u;1s,xsu;3l,1fii;3l,1g1u;3l,1f4u;3l,1g1u;1,1fii;1,1g1u;1,1f4u;1,1g1u;3l,1fii;3l,1gc0;3l,1gf0;3l,1gju;1s,qpu;1s,qvu;3l,1fii;3l,1gc0;3l,1gf0;3l,1gju;1,1fii;1,1gc0;1,1gf0;1,1gju;3l,1g1u;3l,1gc0;3l,1g36;3l,1g4c;1s,df0;1s,dvu;3l,1g1u;3l,1gc0;3l,1g36;3l,1g4c;1,1g1u;1,1gc0;1,1g36;1,1g4c;3l,1f4u;3l,1gf0;3l,1g36;3l,1gyc;2,dlo;2,dro;3l,1f4u;3l,1gf0;3l,1g36;3l,1gyc;1,1f4u;1,1gf0;1,1g36;1,1gyc;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;2,fxo;2,ero;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;1,1g1u;1,1gju;1,1g4c;1,1gyc;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;3k,2p3c;3k,2ni0;3k,2ou0;3k,2p60;3k,2pc0;1,1fii;1,1g1u;1,1f4u;1,1g1u;x,1fii;x,1g1u;x,1f4u;x,1g1u;1,1fii;1,1gc0;1,1gf0;1,1gju;x,1fii;x,1gc0;x,1gf0;x,1gju;1,1g1u;1,1gc0;1,1g36;1,1g4c;x,1g1u;x,1gc0;x,1g36;x,1g4c;1,1f4u;1,1gf0;1,1g36;1,1gyc;x,1f4u;x,1gf0;x,1g36;x,1gyc;1,1g1u;1,1gju;1,1g4c;1,1gyc;x,1g1u;x,1gju;x,1g4c;x,1gyc;a,bro;a,ayu;1s,i1u;1s,rau;1s,11au;1s,ymu;a,bro;a,b4u;1s,i4u;1s,qo0;1s,11ro;1s,y7u;w,2pc0;w,2p3c;3l,1fii;3l,1g1u;3l,1f4u;3l,1g1u;w,2v9c;w,2q3c;3l,1fii;3l,1jao;3l,1iao;3l,1jfi;w,2to0;w,2rfc;3l,1g1u;3l,1jao;3l,1imu;3l,1jo0;w,2v00;w,2rrc;3l,1f4u;3l,1iao;3l,1imu;4,1pfo;w,2vc0;w,2rxc;3l,1g1u;3l,1jfi;3l,1jo0;4,1pfo;g,12su;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;g,12su;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;w,2pc0;w,2p3c;1,1fii;1,1g1u;1,1f4u;1,1g1u;x,1fii;x,1g1u;x,1f4u;x,1g1u;w,2v9c;w,2q3c;1,1fii;1,1jao;1,1iao;1,1jfi;x,1jao;x,1iao;x,1jfi;w,2to0;w,2rfc;1,1g1u;1,1jao;1,1imu;1,1jo0;x,1jao;x,1imu;x,1jo0;w,2v00;w,2rrc;1,1f4u;1,1iao;1,1imu;4,1pfo;x,1iao;x,1imu;4,1pfo;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;4,1pfo;x,1jfi;x,1jo0;4,1pfo;g,y7u;g,q7u;1w,rau;1w,11au;1w,ymu;1s,12su;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;w,2pc0;w,2v9c;w,2to0;w,2v00;w,2vc0;g,xsu;g,q1u;1w,qo0;1w,11ro;1w,y7u;1s,12su;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;w,2p3c;w,2q3c;w,2rfc;w,2rrc;w,2rxc;3l,1fii;3l,1g1u;3l,1f4u;3l,1g1u;1s,y7u;1s,xsu;3l,1fii;3l,1g1u;3l,1f4u;3l,1g1u;1,1fii;1,1g1u;1,1f4u;1,1g1u;3l,1fii;3l,1jao;3l,1iao;3l,1jfi;1s,q7u;1s,q1u;3l,1fii;3l,1jao;3l,1iao;3l,1jfi;1,1fii;1,1jao;1,1iao;1,1jfi;3l,1g1u;3l,1jao;3l,1imu;3l,1jo0;1s,gyu;1s,hio;3l,1g1u;3l,1jao;3l,1imu;3l,1jo0;1,1g1u;1,1jao;1,1imu;1,1jo0;3l,1f4u;3l,1iao;3l,1imu;3l,1jf0;8,aro;8,aq0;3l,1f4u;3l,1iao;3l,1imu;3l,1jf0;1,1f4u;1,1iao;1,1imu;1,1jf0;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;2,fxo;2,gxo;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;1,1g1u;1,1jfi;1,1jo0;1,1jf0;3k,2pc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;3k,2v9c;3k,2to0;3k,2v00;3k,2vc0;3k,2p3c;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;3k,2q3c;3k,2rfc;3k,2rrc;3k,2rxc;1,1fii;1,1g1u;1,1f4u;1,1g1u;x,1fii;x,1g1u;x,1f4u;x,1g1u;1,1fii;1,1jao;1,1iao;1,1jfi;x,1jao;x,1iao;x,1jfi;1,1g1u;1,1jao;1,1imu;1,1jo0;x,1jao;x,1imu;x,1jo0;1,1f4u;1,1iao;1,1imu;1s,1pfo;x,1iao;x,1imu;g,1pfo;1,1g1u;1,1jfi;1,1jo0;1s,1pfo;x,1jfi;x,1jo0;g,1pfo;a,iio;a,igu;a,i1u;1s,qyu;1s,qu0;1s,v6o;a,iio;a,i1u;a,i4u;1s,r00;1s,q7u;1s,vro;w,2rxc;w,2ni0;3l,1fii;3l,1gc0;3l,1gf0;3l,1gju;w,2v9c;w,2q3c;3l,1fii;3l,1jao;3l,1iao;3l,1jfi;w,2w9c;w,2pu0;3l,1gc0;3l,1jao;3l,1jl0;3l,1ju0;w,2xlc;w,2q60;3l,1gf0;3l,1iao;3l,1jl0;3l,1kl0;w,2xxc;w,2qc0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;g,w1u;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;3k,2w9c;3k,2xlc;3k,2xxc;g,w1u;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;3k,2pu0;3k,2q60;3k,2qc0;w,2rxc;w,2ni0;1,1fii;1,1gc0;1,1gf0;1,1gju;x,1gc0;x,1gf0;x,1gju;w,2v9c;w,2q3c;1,1fii;1,1jao;1,1iao;1,1jfi;x,1jao;x,1iao;x,1jfi;w,2w9c;w,2pu0;1,1gc0;1,1jao;1,1jl0;1,1ju0;x,1jl0;x,1ju0;w,2xlc;w,2q60;1,1gf0;1,1iao;1,1jl0;1,1kl0;x,1jl0;x,1kl0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;x,1ju0;x,1kl0;w,xc0;g,q7u;1w,qyu;1w,qu0;1w,v6o;1s,w1u;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;w,2rxc;w,2v9c;w,2w9c;w,2xlc;w,2xxc;g,qvu;g,q1u;1w,r00;1w,q7u;1w,vro;1s,w1u;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;w,2ni0;w,2q3c;w,2pu0;w,2q60;w,2qc0;3l,1fii;3l,1gc0;3l,1gf0;3l,1gju;1s,qpu;1s,qvu;3l,1fii;3l,1gc0;3l,1gf0;3l,1gju;1,1fii;1,1gc0;1,1gf0;1,1gju;3l,1fii;3l,1jao;3l,1iao;3l,1jfi;1s,q7u;1s,q1u;3l,1fii;3l,1jao;3l,1iao;3l,1jfi;1,1fii;1,1jao;1,1iao;1,1jfi;3l,1gc0;3l,1jao;3l,1jl0;3l,1ju0;2,fro;2,elo;3l,1gc0;3l,1jao;3l,1jl0;3l,1ju0;1,1gc0;1,1jao;1,1jl0;1,1ju0;3l,1gf0;3l,1iao;3l,1jl0;3l,1kl0;2,sro;2,tro;3l,1gf0;3l,1iao;3l,1jl0;3l,1kl0;1,1gf0;1,1iao;1,1jl0;1,1kl0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;2,mu0;2,lu0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;1,1gju;1,1jfi;1,1ju0;1,1kl0;3k,2rxc;3k,2v9c;3k,2w9c;3k,2xlc;3k,2xxc;3k,2w9c;3k,2xlc;3k,2xxc;3k,2ni0;3k,2q3c;3k,2pu0;3k,2q60;3k,2qc0;3k,2pu0;3k,2q60;3k,2qc0;1,1fii;1,1gc0;1,1gf0;1,1gju;x,1gc0;x,1gf0;x,1gju;1,1fii;1,1jao;1,1iao;1,1jfi;x,1jao;x,1iao;x,1jfi;1,1gc0;1,1jao;1,1jl0;1,1ju0;x,1jl0;x,1ju0;1,1gf0;1,1iao;1,1jl0;1,1kl0;x,1jl0;x,1kl0;1,1gju;1,1jfi;1,1ju0;1,1kl0;x,1ju0;x,1kl0;a,w1u;a,vro;a,rau;a,qyu;1s,h4u;1s,iau;a,w1u;a,v1u;a,qo0;a,r00;1s,hio;1s,i3o;w,2qc0;w,2ou0;3l,1g1u;3l,1gc0;3l,1g36;3l,1g4c;w,2to0;w,2rfc;3l,1g1u;3l,1jao;3l,1imu;3l,1jo0;w,2w9c;w,2pu0;3l,1gc0;3l,1jao;3l,1jl0;3l,1ju0;w,2w00;w,2ri0;3l,1g36;3l,1imu;3l,1jl0;3l,1jyc;w,2wc0;w,2ro0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;2,w1u;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;3k,2w00;3k,2wc0;2,w1u;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;3k,2ri0;3k,2ro0;w,2qc0;w,2ou0;1,1g1u;1,1gc0;1,1g36;1,1g4c;x,1g36;x,1g4c;w,2to0;w,2rfc;1,1g1u;1,1jao;1,1imu;1,1jo0;x,1imu;x,1jo0;w,2w9c;w,2pu0;1,1gc0;1,1jao;1,1jl0;1,1ju0;x,1jl0;x,1ju0;w,2w00;w,2ri0;1,1g36;1,1imu;1,1jl0;1,1jyc;x,1jyc;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;x,1jyc;w,xc0;8,rau;8,qyu;1w,h4u;1w,iau;8,w1u;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;w,2qc0;w,2to0;w,2w9c;w,2w00;w,2wc0;8,v1u;8,qo0;8,r00;1w,hio;1w,i3o;8,w1u;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;w,2ou0;w,2rfc;w,2pu0;w,2ri0;w,2ro0;3l,1g1u;3l,1gc0;3l,1g36;3l,1g4c;8,vro;8,v1u;3l,1g1u;3l,1gc0;3l,1g36;3l,1g4c;1,1g1u;1,1gc0;1,1g36;1,1g4c;3l,1g1u;3l,1jao;3l,1imu;3l,1jo0;8,rau;8,qo0;3l,1g1u;3l,1jao;3l,1imu;3l,1jo0;1,1g1u;1,1jao;1,1imu;1,1jo0;3l,1gc0;3l,1jao;3l,1jl0;3l,1ju0;8,qyu;8,r00;3l,1gc0;3l,1jao;3l,1jl0;3l,1ju0;1,1gc0;1,1jao;1,1jl0;1,1ju0;3l,1g36;3l,1imu;3l,1jl0;3l,1jyc;2,1c60;2,1b60;3l,1g36;3l,1imu;3l,1jl0;3l,1jyc;1,1g36;1,1imu;1,1jl0;1,1jyc;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;2,1clo;2,1d60;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;1,1g4c;1,1jo0;1,1ju0;1,1jyc;3k,2qc0;3k,2to0;3k,2w9c;3k,2w00;3k,2wc0;3k,2w00;3k,2wc0;3k,2ou0;3k,2rfc;3k,2pu0;3k,2ri0;3k,2ro0;3k,2ri0;3k,2ro0;1,1g1u;1,1gc0;1,1g36;1,1g4c;x,1g36;x,1g4c;1,1g1u;1,1jao;1,1imu;1,1jo0;x,1imu;x,1jo0;1,1gc0;1,1jao;1,1jl0;1,1ju0;x,1jl0;x,1ju0;1,1g36;1,1imu;1,1jl0;1,1jyc;x,1jyc;1,1g4c;1,1jo0;1,1ju0;1,1jyc;x,1jyc;a,12su;a,yf0;a,11au;a,qu0;a,h4u;1s,bro;a,12su;a,y7u;a,11ro;a,q7u;a,hio;1s,bgu;w,2ro0;w,2p60;3l,1f4u;3l,1gf0;3l,1g36;3l,1gyc;w,2v00;w,2rrc;3l,1f4u;3l,1iao;3l,1imu;3l,1jf0;w,2xlc;w,2q60;3l,1gf0;3l,1iao;3l,1jl0;3l,1kl0;w,2w00;w,2ri0;3l,1g36;3l,1imu;3l,1jl0;3l,1jyc;w,2xo0;w,2s00;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;2,12su;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;3k,2xo0;2,12su;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;3k,2s00;w,2ro0;w,2p60;1,1f4u;1,1gf0;1,1g36;1,1gyc;x,1gyc;w,2v00;w,2rrc;1,1f4u;1,1iao;1,1imu;1,1jf0;x,1jf0;w,2xlc;w,2q60;1,1gf0;1,1iao;1,1jl0;1,1kl0;x,1kl0;w,2w00;w,2ri0;1,1g36;1,1imu;1,1jl0;1,1jyc;x,1jyc;w,2xo0;w,2s00;1,1gyc;8,1pfo;1,1kl0;1,1jyc;8,yf0;8,11au;8,qu0;8,h4u;1w,bro;8,12su;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;w,2ro0;w,2v00;w,2xlc;w,2w00;w,2xo0;8,y7u;8,11ro;8,q7u;8,hio;1w,bgu;8,12su;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;w,2p60;w,2rrc;w,2q60;w,2ri0;w,2s00;3l,1f4u;3l,1gf0;3l,1g36;3l,1gyc;8,yf0;8,y7u;3l,1f4u;3l,1gf0;3l,1g36;3l,1gyc;1,1f4u;1,1gf0;1,1g36;1,1gyc;3l,1f4u;3l,1iao;3l,1imu;3l,1jf0;8,11au;8,11ro;3l,1f4u;3l,1iao;3l,1imu;3l,1jf0;1,1f4u;1,1iao;1,1imu;8,1pfo;3l,1gf0;3l,1iao;3l,1jl0;3l,1kl0;2,sro;2,tro;3l,1gf0;3l,1iao;3l,1jl0;3l,1kl0;1,1gf0;1,1iao;1,1jl0;1,1kl0;3l,1g36;3l,1imu;3l,1jl0;3l,1jyc;2,1c60;2,1b60;3l,1g36;3l,1imu;3l,1jl0;3l,1jyc;1,1g36;1,1imu;1,1jl0;1,1jyc;3l,1gyc;2,1pfo;3l,1kl0;3l,1jyc;2,1po0;2,1qfo;3l,1gyc;2,1pfo;3l,1kl0;3l,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;3k,2ro0;3k,2v00;3k,2xlc;3k,2w00;3k,2xo0;3k,2xo0;3k,2p60;3k,2rrc;3k,2q60;3k,2ri0;3k,2s00;3k,2s00;1,1f4u;1,1gf0;1,1g36;1,1gyc;x,1gyc;1,1f4u;1,1iao;1,1imu;1,1jf0;x,1jf0;1,1gf0;1,1iao;1,1jl0;1,1kl0;x,1kl0;1,1g36;1,1imu;1,1jl0;1,1jyc;x,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;a,13vu;a,ymu;a,ymu;a,v6o;a,iau;a,bro;a,13vu;a,zau;a,y7u;a,vro;a,i3o;a,bgu;w,2s00;w,2pc0;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;w,2vc0;w,2rxc;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;w,2xxc;w,2qc0;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;w,2wc0;w,2ro0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;w,2xo0;w,2s00;3l,1gyc;3l,1jf0;3l,1kl0;3l,1jyc;2,13vu;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;2,13vu;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;w,2s00;w,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;w,2vc0;w,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;w,2xxc;w,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;w,2wc0;w,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;w,2xo0;w,2s00;1,1gyc;8,1pfo;1,1kl0;1,1jyc;8,ymu;8,ymu;8,v6o;8,iau;8,bro;8,13vu;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;w,2s00;w,2vc0;w,2xxc;w,2wc0;w,2xo0;8,zau;8,y7u;8,vro;8,i3o;8,bgu;8,13vu;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;w,2pc0;w,2rxc;w,2qc0;w,2ro0;w,2s00;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;8,ymu;8,zau;3l,1g1u;3l,1gju;3l,1g4c;3l,1gyc;1,1g1u;1,1gju;1,1g4c;1,1gyc;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;8,ymu;8,y7u;3l,1g1u;3l,1jfi;3l,1jo0;3l,1jf0;1,1g1u;1,1jfi;1,1jo0;8,1pfo;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;8,v6o;8,vro;3l,1gju;3l,1jfi;3l,1ju0;3l,1kl0;1,1gju;1,1jfi;1,1ju0;1,1kl0;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;2,1clo;2,1d60;3l,1g4c;3l,1jo0;3l,1ju0;3l,1jyc;1,1g4c;1,1jo0;1,1ju0;1,1jyc;3l,1gyc;2,1pfo;3l,1kl0;3l,1jyc;2,1po0;2,1qfo;3l,1gyc;2,1pfo;3l,1kl0;3l,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;3k,2s00;3k,2vc0;3k,2xxc;3k,2wc0;3k,2xo0;3k,2pc0;3k,2rxc;3k,2qc0;3k,2ro0;3k,2s00;1,1g1u;1,1gju;1,1g4c;1,1gyc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;1,1gju;1,1jfi;1,1ju0;1,1kl0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;2,yio;2,y7u;g,1g1u;g,1gju;g,1g4c;g,1gyc;2,yio;2,xsu;g,1eyu;g,1gpo;g,1gyu;g,1hi0;2,y7u;2,xsu;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1g1u;1s,1eyu;1s,1fii;2,1fii;2,1eyu;2,1g1u;1s,1gju;1s,1gpo;1s,1g1u;2,1fii;2,1gau;2,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;2,1eyu;2,1gau;2,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;2,1g1u;2,1hi0;2,1gyc;2,rvu;2,qpu;g,1g1u;g,1jfi;g,1jo0;g,1jf0;2,rvu;2,qvu;g,1eyu;g,1hl0;g,1gr6;g,1iac;2,qpu;2,qvu;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1g1u;1s,1eyu;1s,1fii;2,1fii;2,1eyu;2,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;2,1fii;2,1ir0;2,1j30;1s,1jo0;1s,1gr6;1s,1gf0;2,1eyu;2,1ir0;4,2bc0;1s,1jf0;1s,1iac;1s,1gju;2,1g1u;2,1j30;4,2bc0;8,v6o;8,vro;g,1gju;g,1jfi;g,1ju0;g,1kl0;8,v6o;8,v1u;g,1gpo;g,1hl0;g,1j30;g,1ju0;8,vro;8,v1u;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1gju;1s,1gpo;1s,1g1u;2,1fii;2,1gau;2,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;2,1fii;2,1ir0;2,1j30;1s,1ju0;1s,1j30;1s,1g36;2,1gau;2,1ir0;4,4mo0;1s,1kl0;1s,1ju0;1s,1g4c;2,1hi0;2,1j30;4,4mo0;8,zdu;8,yf0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;8,zdu;8,y7u;g,1gyu;g,1gr6;g,1j30;g,1j4c;8,yf0;8,y7u;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;2,1eyu;2,1gau;2,1gyc;1s,1jo0;1s,1gr6;1s,1gf0;2,1eyu;2,1ir0;4,2bc0;1s,1ju0;1s,1j30;1s,1g36;2,1gau;2,1ir0;4,4mo0;1s,1jyc;1s,1j4c;1s,1gyc;2,1gyc;4,2bc0;4,4mo0;8,zpu;8,ymu;g,1gyc;g,1jf0;g,1kl0;g,1jyc;8,zpu;8,zau;g,1hi0;g,1iac;g,1ju0;g,1j4c;8,ymu;8,zau;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;2,1g1u;2,1hi0;2,1gyc;1s,1jf0;1s,1iac;1s,1gju;2,1g1u;2,1j30;4,2bc0;1s,1kl0;1s,1ju0;1s,1g4c;2,1hi0;2,1j30;4,4mo0;1s,1jyc;1s,1j4c;1s,1gyc;2,1gyc;4,2bc0;4,4mo0;g,yio;g,y7u;2,1g1u;2,1gju;2,1g4c;2,1gyc;1s,yio;1s,y7u;2,1g1u;2,1gju;2,1g4c;2,1gyc;g,rvu;w,xc0;2,1g1u;2,1jfi;2,1jo0;2,1jf0;1s,rvu;1s,qpu;2,1g1u;2,1jfi;2,1jo0;2,1jf0;8,v6o;w,xc0;2,1gju;2,1jfi;2,1ju0;2,1kl0;8,v6o;8,vro;2,1gju;2,1jfi;2,1ju0;2,1kl0;8,zdu;8,yf0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;8,zdu;8,yf0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;8,zpu;8,ymu;2,1gyc;2,1jf0;2,1kl0;2,1jyc;8,zpu;8,ymu;2,1gyc;2,1jf0;2,1kl0;2,1jyc;g,yio;g,xsu;2,1eyu;2,1gpo;2,1gyu;2,1hi0;1s,yio;1s,xsu;2,1eyu;2,1gpo;2,1gyu;2,1hi0;g,rvu;g,qvu;2,1eyu;2,1hl0;2,1gr6;2,1iac;1s,rvu;1s,qvu;2,1eyu;2,1hl0;2,1gr6;2,1iac;8,v6o;8,v1u;2,1gpo;2,1hl0;2,1j30;2,1ju0;8,v6o;8,v1u;2,1gpo;2,1hl0;2,1j30;2,1ju0;8,zdu;8,y7u;2,1gyu;2,1gr6;2,1j30;4,1j9o;8,zdu;8,y7u;2,1gyu;2,1gr6;2,1j30;4,1j9o;8,zpu;8,zau;2,1hi0;2,1iac;2,1ju0;4,1j9o;8,zpu;8,zau;2,1hi0;2,1iac;2,1ju0;4,1j9o;g,y7u;g,xsu;2,1fii;2,1g1u;2,1f4u;2,1g1u;1s,y7u;1s,xsu;2,1fii;2,1g1u;2,1f4u;2,1g1u;w,xc0;g,qvu;2,1fii;2,1gc0;2,1gf0;2,1gju;1s,qpu;1s,qvu;2,1fii;2,1gc0;2,1gf0;2,1gju;w,xc0;8,v1u;2,1g1u;2,1gc0;2,1g36;2,1g4c;8,vro;8,v1u;2,1g1u;2,1gc0;2,1g36;2,1g4c;8,yf0;8,y7u;2,1f4u;2,1gf0;2,1g36;2,1gyc;8,yf0;8,y7u;2,1f4u;2,1gf0;2,1g36;2,1gyc;8,ymu;8,zau;2,1g1u;2,1gju;2,1g4c;2,1gyc;8,ymu;8,zau;2,1g1u;2,1gju;2,1g4c;2,1gyc;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;g,1g1u;g,1eyu;g,1fii;1s,1fii;1s,1eyu;1s,1g1u;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;g,1gju;g,1gpo;g,1g1u;1s,1fii;1s,1gau;1s,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;4,1i9o;g,1g4c;g,1gyu;g,1f4u;1s,1eyu;1s,1gau;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;4,1i9o;g,1gyc;g,1hi0;g,1g1u;1s,1g1u;1s,1hi0;4,1i9o;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;g,1g1u;g,1eyu;g,1fii;1s,1fii;1s,1eyu;1s,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;g,1jfi;g,1hl0;g,1gc0;1s,1fii;1s,1ir0;1s,1j30;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;g,1jo0;g,1gr6;g,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;g,1jf0;g,1iac;g,1gju;1s,1g1u;1s,1j30;1s,1j4c;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;g,1gju;g,1gpo;g,1g1u;1s,1fii;1s,1gau;1s,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;g,1jfi;g,1hl0;g,1gc0;1s,1fii;1s,1ir0;1s,1j30;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;g,1ju0;g,1j30;g,1g36;1s,1gau;1s,1ir0;1s,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;g,1kl0;g,1ju0;g,1g4c;1s,1hi0;1s,1j30;1s,1jyc;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;g,1gyc;g,1g4c;g,1gyu;g,1f4u;1s,1eyu;1s,1gau;1s,1gyc;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;g,1jo0;g,1gr6;g,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;g,1ju0;g,1j30;g,1g36;1s,1gau;1s,1ir0;1s,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;g,1gyc;g,1j4c;g,1jyc;g,1jyc;g,1j4c;g,1gyc;1s,1gyc;1s,1j4c;1s,1jyc;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;g,1gyc;g,1gyc;g,1hi0;g,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;g,1jf0;g,1iac;g,1gju;1s,1g1u;1s,1j30;1s,1j4c;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;g,1kl0;g,1ju0;g,1g4c;1s,1hi0;1s,1j30;1s,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;g,1gyc;g,1j4c;g,1jyc;g,1jyc;g,1j4c;g,1gyc;1s,1gyc;1s,1j4c;1s,1jyc;1s,2s00;1s,2pc0;i,1g1u;i,1gju;i,1g4c;i,1gyc;g,2s00;g,2pc0;1u,1g1u;1u,1gju;1u,1g4c;1u,1gyc;1s,2vc0;1s,2rxc;i,1g1u;i,1jfi;i,1jo0;i,1jf0;g,2vc0;g,2rxc;1u,1g1u;1u,1jfi;1u,1jo0;1u,1jf0;1s,2xxc;1s,2qc0;i,1gju;i,1jfi;i,1ju0;i,1kl0;g,2xxc;g,2qc0;1u,1gju;1u,1jfi;1u,1ju0;1u,1kl0;1s,2wc0;1s,2ro0;i,1g4c;i,1jo0;i,1ju0;i,1jyc;g,2wc0;g,2ro0;1u,1g4c;1u,1jo0;1u,1ju0;1u,1jyc;1s,2xo0;1s,2s00;i,1gyc;i,1jf0;i,1kl0;i,1jyc;g,2xo0;g,2s00;1u,1gyc;1u,1jf0;1u,1kl0;1u,1jyc;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;28,1g1u;28,1gju;28,1g4c;28,1gyc;28,1g1u;28,1jfi;28,1jo0;28,1jf0;28,1gju;28,1jfi;28,1ju0;28,1kl0;28,1g4c;28,1jo0;28,1ju0;28,1jyc;28,1gyc;28,1jf0;28,1kl0;28,1jyc;1s,2s00;1s,2p3c;i,1eyu;i,1gpo;i,1gyu;i,1hi0;g,2s00;g,2p3c;1u,1eyu;1u,1gpo;1u,1gyu;1u,1hi0;1s,2vc0;1s,2ni0;i,1eyu;i,1hl0;i,1gr6;i,1iac;g,2vc0;g,2ni0;1u,1eyu;1u,1hl0;1u,1gr6;1u,1iac;1s,2xxc;1s,2ou0;i,1gpo;i,1hl0;i,1j30;i,1ju0;g,2xxc;g,2ou0;1u,1gpo;1u,1hl0;1u,1j30;1u,1ju0;1s,2wc0;1s,2p60;i,1gyu;i,1gr6;i,1j30;4,1j9o;g,2wc0;g,2p60;1u,1gyu;1u,1gr6;1u,1j30;4,1j9o;1s,2xo0;1s,2pc0;i,1hi0;i,1iac;i,1ju0;4,1j9o;g,2xo0;g,2pc0;1u,1hi0;1u,1iac;1u,1ju0;4,1j9o;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;28,1eyu;28,1gpo;28,1gyu;28,1hi0;28,1eyu;28,1hl0;28,1gr6;28,1iac;28,1gpo;28,1hl0;28,1j30;28,1ju0;28,1gyu;28,1gr6;28,1j30;28,1j4c;28,1hi0;28,1iac;28,1ju0;28,1j4c;1s,2pc0;1s,2p3c;i,1fii;i,1g1u;i,1f4u;i,1g1u;g,2pc0;g,2p3c;1u,1fii;1u,1g1u;1u,1f4u;1u,1g1u;1s,2rxc;1s,2ni0;i,1fii;i,1gc0;i,1gf0;i,1gju;g,2rxc;g,2ni0;1u,1fii;1u,1gc0;1u,1gf0;1u,1gju;1s,2qc0;1s,2ou0;i,1g1u;i,1gc0;i,1g36;i,1g4c;g,2qc0;g,2ou0;1u,1g1u;1u,1gc0;1u,1g36;1u,1g4c;1s,2ro0;1s,2p60;i,1f4u;i,1gf0;i,1g36;i,1gyc;g,2ro0;g,2p60;1u,1f4u;1u,1gf0;1u,1g36;1u,1gyc;1s,2s00;1s,2pc0;i,1g1u;i,1gju;i,1g4c;i,1gyc;g,2s00;g,2pc0;1u,1g1u;1u,1gju;1u,1g4c;1u,1gyc;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;28,1fii;28,1g1u;28,1f4u;28,1g1u;28,1fii;28,1gc0;28,1gf0;28,1gju;28,1g1u;28,1gc0;28,1g36;28,1g4c;28,1f4u;28,1gf0;28,1g36;28,1gyc;28,1g1u;28,1gju;28,1g4c;28,1gyc;8,ivu;8,hi6;8,j30;1s,fo0;4,uo0;4,lfo;8,ivu;8,hi6;8,j30;g,fo0;4,uo0;4,lfo;8,q3o;8,pyu;8,qc6;8,lz0;4,1aro;4,11ro;8,q3o;8,pyu;8,qc6;8,lz0;4,1aro;4,11ro;8,ygu;8,z0o;8,y7u;4,uo0;4,1aro;4,1i9o;8,ygu;8,z0o;8,y7u;4,uo0;4,1aro;4,1i9o;8,tlo;8,tuo;8,tfo;c,lfo;4,11ro;4,1i9o;8,tlo;8,tuo;8,tfo;c,lfo;4,11ro;4,1i9o;c,ivu;c,q3o;c,ygu;c,tlo;c,hi6;c,pyu;c,z0o;c,tuo;c,j30;c,qc6;c,y7u;c,tfo;c,lz0;c,mio;c,lfo;2,fo0;c,egu;c,d9o;28,dsc;w,dxo;1,930;w,fo0;w,d60;2,gu0;i,ivu;i,hi6;i,j30;4,fo0;1s,uo0;1s,lfo;1u,ivu;1u,hi6;1u,j30;4,fo0;g,uo0;g,lfo;8,qro;8,rau;8,ql6;8,lz0;4,13lo;4,1afo;8,qro;8,rau;8,ql6;8,lz0;4,13lo;4,1afo;8,n7u;8,moo;8,mvu;8,mio;4,13lo;4,12xo;8,n7u;8,moo;8,mvu;8,mio;4,13lo;4,12xo;8,q1u;8,rau;8,q3o;8,lfo;4,1afo;4,12xo;8,q1u;8,rau;8,q3o;8,lfo;4,1afo;4,12xo;28,ivu;c,qro;c,n7u;c,q1u;28,hi6;c,rau;c,moo;c,rau;28,j30;c,ql6;c,mvu;c,q3o;c,lz0;c,mio;c,lfo;28,f96;1,966;2,dxo;2,uo0;2,l00;2,ec0;2,lfo;2,mxo;1,8mc;i,q3o;i,pyu;i,qc6;i,lz0;1s,1aro;1s,11ro;1u,q3o;1u,pyu;1u,qc6;1u,lz0;g,1aro;g,11ro;i,qro;i,rau;i,ql6;i,lz0;1s,13lo;1s,1afo;1u,qro;1u,rau;1u,ql6;1u,lz0;g,13lo;g,1afo;8,df0;8,dvu;8,dau;8,egu;4,l00;4,m9o;8,df0;8,dvu;8,dau;8,egu;4,l00;4,m9o;8,esu;8,f9o;3k,e60;3k,e60;4,mxo;4,m9o;8,esu;8,f9o;3k,e60;3k,e60;4,mxo;4,m9o;28,q3o;28,qro;c,df0;c,esu;28,pyu;28,rau;c,dvu;c,f9o;28,qc6;28,ql6;c,dau;3k,e60;28,lz0;c,egu;3k,e60;28,lz0;28,a06;3k,e60;2,1aro;2,13lo;2,g9o;2,11ro;2,1afo;2,efo;i,ygu;i,z0o;i,y7u;1s,uo0;1s,1aro;1s,1i9o;1u,ygu;1u,z0o;1u,y7u;g,uo0;g,1aro;g,1i9o;i,n7u;i,moo;i,mvu;i,mio;1s,13lo;1s,12xo;1u,n7u;1u,moo;1u,mvu;1u,mio;g,13lo;g,12xo;i,df0;i,dvu;i,dau;i,egu;1s,l00;1s,m9o;1u,df0;1u,dvu;1u,dau;1u,egu;g,l00;g,m9o;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;28,ygu;28,n7u;28,df0;3k,1e00;28,z0o;28,moo;28,dvu;3k,1e00;28,y7u;28,mvu;28,dau;3k,1e00;28,mio;28,egu;3k,1e00;2,uo0;2,l00;3k,1e00;2,1aro;2,13lo;3k,1e00;2,1i9o;2,12xo;2,m9o;i,tlo;i,tuo;i,tfo;2a,lfo;1s,11ro;1s,1i9o;1u,tlo;1u,tuo;1u,tfo;2a,lfo;g,11ro;g,1i9o;i,q1u;i,rau;i,q3o;i,lfo;1s,1afo;1s,12xo;1u,q1u;1u,rau;1u,q3o;1u,lfo;g,1afo;g,12xo;i,esu;i,f9o;3k,e60;3k,e60;1s,mxo;1s,m9o;1u,esu;1u,f9o;3k,e60;3k,e60;g,mxo;g,m9o;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;28,tlo;28,q1u;28,esu;3k,1e00;28,tuo;28,rau;28,f9o;3k,1e00;28,tfo;28,q3o;3k,e60;3k,1e00;28,lfo;3k,e60;3k,1e00;2a,lfo;2,mxo;3k,1e00;2,11ro;2,1afo;3k,1e00;2,1i9o;2,12xo;2,m9o;3l,aoo;1s,bgu;1s,i3o;1s,v6o;1s,zdu;1s,zpu;3l,aoo;1s,ayu;1s,igu;1s,vro;1s,yf0;1s,ymu;g,bgu;g,ayu;a,1g1u;a,1gju;a,1g4c;a,1gyc;g,i3o;g,igu;a,1g1u;a,1jfi;a,1jo0;a,1jf0;g,v6o;g,vro;a,1gju;a,1jfi;a,1ju0;a,1kl0;g,zdu;g,yf0;a,1g4c;a,1jo0;a,1ju0;a,1jyc;g,zpu;g,ymu;a,1gyc;a,1jf0;a,1kl0;a,1jyc;g,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;1s,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;g,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;1s,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;g,yio;g,y7u;2,1g1u;2,1gju;2,1g4c;2,1gyc;1s,yio;1s,y7u;2,1g1u;2,1gju;2,1g4c;2,1gyc;g,rvu;g,qpu;2,1g1u;2,1jfi;2,1jo0;2,1jf0;1s,rvu;1s,qpu;2,1g1u;2,1jfi;2,1jo0;2,1jf0;g,esu;g,df0;2,1gju;2,1jfi;2,1ju0;2,1kl0;1s,esu;1s,df0;2,1gju;2,1jfi;2,1ju0;2,1kl0;3k,ero;3k,dlo;2,1g4c;2,1jo0;2,1ju0;2,1jyc;3k,ero;3k,dlo;2,1g4c;2,1jo0;2,1ju0;2,1jyc;3k,exo;3k,fxo;2,1gyc;2,1jf0;2,1kl0;2,1jyc;3k,exo;3k,fxo;2,1gyc;2,1jf0;2,1kl0;2,1jyc;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1s,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1s,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;8,1g1u;8,1gju;8,1g4c;8,1gyc;1s,yio;1s,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;28,lfo;4,q3o;4,ygu;4,tlo;8,1g1u;8,1jfi;8,1jo0;8,1jf0;1s,rvu;1s,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;28,lfo;4,qro;4,n7u;4,q1u;8,1gju;8,1jfi;8,1ju0;8,1kl0;1s,esu;1s,df0;8,1gju;8,1jfi;8,1ju0;8,1kl0;28,e7u;4,e7u;3k,exo;4,esu;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,ero;w,dlo;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,dlo;w,e60;w,exo;4,alo;8,1gyc;8,1jf0;8,1kl0;8,1jyc;w,exo;w,fxo;8,1gyc;8,1jf0;8,1kl0;8,1jyc;w,fi0;w,g9o;w,dro;4,amu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,e2o;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;x,aoo;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;8,1g1u;8,1gju;8,1g4c;8,1gyc;1s,bgu;1s,ayu;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;1s,i3o;1s,igu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;8,1gju;8,1jfi;8,1ju0;8,1kl0;1s,v6o;1s,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;1s,zdu;1s,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,1gyc;8,1jf0;8,1kl0;8,1jyc;1s,zpu;1s,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;3l,aoo;1s,bgu;1s,i3o;1s,v6o;1s,zdu;1s,zpu;3l,aoo;1s,b4u;1s,i1u;1s,v1u;1s,y7u;1s,zau;g,bgu;g,b4u;a,1eyu;a,1gpo;a,1gyu;a,1hi0;g,i3o;g,i1u;a,1eyu;a,1hl0;a,1gr6;a,1iac;g,v6o;g,v1u;a,1gpo;a,1hl0;a,1j30;a,1ju0;g,zdu;g,y7u;a,1gyu;a,1gr6;a,1j30;4,1j9o;g,zpu;g,zau;a,1hi0;a,1iac;a,1ju0;4,1j9o;g,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;1s,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;g,13vu;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;g,yio;g,xsu;2,1eyu;2,1gpo;2,1gyu;2,1hi0;1s,xsu;2,1eyu;2,1gpo;2,1gyu;2,1hi0;g,rvu;g,qvu;2,1eyu;2,1hl0;2,1gr6;2,1iac;1s,qvu;2,1eyu;2,1hl0;2,1gr6;2,1iac;g,esu;g,dvu;2,1gpo;2,1hl0;2,1j30;2,1ju0;1s,dvu;2,1gpo;2,1hl0;2,1j30;2,1ju0;3k,ero;3k,dro;2,1gyu;2,1gr6;2,1j30;4,1j9o;3k,dro;2,1gyu;2,1gr6;2,1j30;4,1j9o;3k,exo;3k,ero;2,1hi0;2,1iac;2,1ju0;4,1j9o;3k,ero;2,1hi0;2,1iac;2,1ju0;4,1j9o;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;1s,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1s,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1s,yio;1s,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;28,mio;4,pyu;4,z0o;4,tuo;8,1eyu;8,1hl0;8,1gr6;8,1iac;1s,rvu;1s,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;28,mio;4,rau;4,moo;4,rau;8,1gpo;8,1hl0;8,1j30;8,1ju0;1s,esu;1s,dvu;8,1gpo;8,1hl0;8,1j30;8,1ju0;28,e20;4,dl6;3k,f3o;4,f9o;8,1gyu;8,1gr6;8,1j30;8,1j4c;w,ero;w,dro;8,1gyu;8,1gr6;8,1j30;8,1j4c;w,dro;w,ec0;w,f3o;4,ayu;8,1hi0;8,1iac;8,1ju0;8,1j4c;w,exo;w,ero;8,1hi0;8,1iac;8,1ju0;8,1j4c;w,ec0;w,f3o;w,clo;4,a7u;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,e2o;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1s,b4u;8,1eyu;8,1gpo;8,1gyu;8,1hi0;8,1eyu;8,1hl0;8,1gr6;8,1iac;1s,i1u;8,1eyu;8,1hl0;8,1gr6;8,1iac;8,1gpo;8,1hl0;8,1j30;8,1ju0;1s,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;8,1gyu;8,1gr6;8,1j30;1s,1j9o;1s,y7u;8,1gyu;8,1gr6;8,1j30;g,1j9o;8,1hi0;8,1iac;8,1ju0;1s,1j9o;1s,zau;8,1hi0;8,1iac;8,1ju0;g,1j9o;4,e2o;1s,ayu;1s,igu;1s,vro;1s,yf0;1s,ymu;4,e2o;1s,b4u;1s,i1u;1s,v1u;1s,y7u;1s,zau;g,ayu;g,b4u;a,1fii;a,1g1u;a,1f4u;a,1g1u;g,igu;g,i1u;a,1fii;a,1gc0;a,1gf0;a,1gju;g,vro;g,v1u;a,1g1u;a,1gc0;a,1g36;a,1g4c;g,yf0;g,y7u;a,1f4u;a,1gf0;a,1g36;a,1gyc;g,ymu;g,zau;a,1g1u;a,1gju;a,1g4c;a,1gyc;g,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;g,13vu;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;8,2p3c;8,2ni0;8,2ou0;8,2p60;8,2pc0;g,y7u;g,xsu;2,1fii;2,1g1u;2,1f4u;2,1g1u;2,1fii;2,1g1u;2,1f4u;2,1g1u;g,qpu;g,qvu;2,1fii;2,1gc0;2,1gf0;2,1gju;2,1fii;2,1gc0;2,1gf0;2,1gju;g,df0;g,dvu;2,1g1u;2,1gc0;2,1g36;2,1g4c;2,1g1u;2,1gc0;2,1g36;2,1g4c;3k,dlo;3k,dro;2,1f4u;2,1gf0;2,1g36;2,1gyc;2,1f4u;2,1gf0;2,1g36;2,1gyc;3k,fxo;3k,ero;2,1g1u;2,1gju;2,1g4c;2,1gyc;2,1g1u;2,1gju;2,1g4c;2,1gyc;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;1s,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;1s,13vu;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;8,1fii;8,1g1u;8,1f4u;8,1g1u;1s,y7u;1s,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;28,lz0;4,qc6;4,y7u;4,tfo;8,1fii;8,1gc0;8,1gf0;8,1gju;1s,qpu;1s,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;28,lz0;4,ql6;4,mvu;4,q3o;8,1g1u;8,1gc0;8,1g36;8,1g4c;1s,df0;1s,dvu;8,1g1u;8,1gc0;8,1g36;8,1g4c;28,epu;4,er0;3k,dxo;4,dyu;8,1f4u;8,1gf0;8,1g36;8,1gyc;w,dlo;w,dro;8,1f4u;8,1gf0;8,1g36;8,1gyc;4,cvu;w,d60;w,dxo;4,bau;8,1g1u;8,1gju;8,1g4c;8,1gyc;w,fxo;w,ero;8,1g1u;8,1gju;8,1g4c;8,1gyc;w,fc0;w,g3o;w,dlo;4,b60;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;2,2p3c;2,2ni0;2,2ou0;2,2p60;2,2pc0;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,1fii;8,1gc0;8,1gf0;8,1gju;8,1fii;8,1gc0;8,1gf0;8,1gju;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,1f4u;8,1gf0;8,1g36;8,1gyc;8,1f4u;8,1gf0;8,1g36;8,1gyc;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,1g1u;8,1gju;8,1g4c;8,1gyc;4,2s00;4,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;4,2s00;4,2p3c;g,1eyu;g,1gpo;g,1gyu;g,1hi0;4,2pc0;4,2p3c;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1g1u;1s,1eyu;1s,1fii;1s,lz0;4,uo0;1w,lfo;1s,1gju;1s,1gpo;1s,1g1u;g,lz0;4,1aro;4,11ro;1s,1g4c;1s,1gyu;1s,1f4u;4,uo0;4,1aro;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;k,lfo;4,11ro;4,1i9o;4,2s00;4,2pc0;g,lfo;1s,q3o;1s,ygu;1s,tlo;1s,lfo;g,q3o;g,ygu;g,tlo;4,2s00;4,2p3c;g,mio;1s,pyu;1s,z0o;1s,tuo;1s,mio;g,pyu;g,z0o;g,tuo;4,2pc0;4,2p3c;g,lz0;1s,qc6;1s,y7u;1s,tfo;1s,lz0;g,qc6;g,y7u;g,tfo;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;1s,1fii;1s,1eyu;1s,1g1u;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;1s,1fii;1s,1gau;1s,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;4,1i9o;1s,1eyu;1s,1gau;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;4,1i9o;1s,1g1u;1s,1hi0;4,1i9o;g,lfo;1w,q3o;1w,ygu;1w,tlo;1s,yio;1s,y7u;1s,lfo;k,q3o;k,ygu;k,tlo;28,lfo;4,q3o;4,ygu;4,tlo;g,mio;1w,pyu;1w,z0o;1w,tuo;1s,yio;1s,xsu;1s,mio;k,pyu;k,z0o;k,tuo;28,mio;4,pyu;4,z0o;4,tuo;g,lz0;1w,qc6;1w,y7u;1w,tfo;1s,y7u;1s,xsu;1s,lz0;k,qc6;k,y7u;k,tfo;28,lz0;4,qc6;4,y7u;4,tfo;g,1fii;g,1eyu;g,1g1u;k,1g1u;k,1eyu;k,1fii;1s,1fii;1s,1eyu;1s,1g1u;28,1fii;28,1eyu;28,1g1u;g,1fii;g,1gau;g,1hi0;k,1gju;k,1gpo;k,1g1u;1s,1fii;1s,1gau;1s,1hi0;28,1fii;28,1gau;28,1hi0;g,1eyu;g,1gau;g,1gyc;k,1g4c;k,1gyu;k,1f4u;1s,1eyu;1s,1gau;1s,1gyc;28,1eyu;28,1gau;28,1gyc;g,1g1u;g,1hi0;g,1gyc;k,1gyc;k,1hi0;k,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;28,1g1u;28,1hi0;28,1gyc;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;g,1eyu;g,1gpo;g,1gyu;g,1hi0;1s,1eyu;1s,1gpo;1s,1gyu;1s,1hi0;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1fii;1s,1g1u;1s,1f4u;1s,1g1u;4,lz0;1s,uo0;1w,lfo;4,lz0;g,uo0;k,lfo;g,lz0;1s,1aro;1s,11ro;1s,lz0;g,1aro;g,11ro;1s,uo0;1s,1aro;1s,1i9o;g,uo0;g,1aro;g,1i9o;28,lfo;1s,11ro;1s,1i9o;28,lfo;g,11ro;g,1i9o;4,2vc0;4,2rxc;g,1g1u;g,1jfi;g,1jo0;g,1jf0;4,2vc0;4,2ni0;g,1eyu;g,1hl0;g,1gr6;g,1iac;4,2rxc;4,2ni0;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1g1u;1s,1eyu;1s,1fii;1s,lz0;1s,mio;1s,lfo;1s,1jfi;1s,1hl0;1s,1gc0;g,lz0;4,13lo;4,1afo;1s,1jo0;1s,1gr6;1s,1gf0;g,mio;4,13lo;4,12xo;1s,1jf0;1s,1iac;1s,1gju;g,lfo;4,1afo;4,12xo;4,2vc0;4,2rxc;g,lfo;1s,qro;1s,n7u;1s,q1u;g,qro;g,n7u;g,q1u;4,2vc0;4,2ni0;g,mio;1s,rau;1s,moo;1s,rau;g,rau;g,moo;g,rau;4,2rxc;4,2ni0;g,lz0;1s,ql6;1s,mvu;1s,q3o;g,ql6;g,mvu;g,q3o;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;1s,1fii;1s,1eyu;1s,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;1s,1ir0;1s,1j30;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;1s,1ir0;1s,1j4c;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;1s,1j30;1s,1j4c;g,lfo;1w,qro;1w,n7u;1w,q1u;1s,rvu;1s,qpu;1s,lfo;k,qro;k,n7u;k,q1u;28,lfo;4,qro;8,tc0;4,q1u;g,mio;1w,rau;1w,moo;1w,rau;1s,rvu;1s,qvu;1s,mio;k,rau;k,moo;k,rau;28,mio;4,rau;8,uc0;4,rau;g,lz0;1w,ql6;1w,mvu;1w,q3o;1s,qpu;1s,qvu;1s,lz0;k,ql6;k,mvu;k,q3o;28,lz0;4,ql6;8,tc0;4,q3o;g,1fii;g,1eyu;g,1g1u;k,1g1u;k,1eyu;k,1fii;1s,1fii;1s,1eyu;1s,1g1u;28,1fii;28,1eyu;28,1g1u;g,1fii;g,1ir0;g,1j30;k,1jfi;k,1hl0;k,1gc0;1s,1fii;1s,1ir0;1s,1j30;28,1fii;28,1ir0;28,1j30;g,1eyu;g,1ir0;g,1j4c;k,1jo0;k,1gr6;k,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;28,1eyu;28,1ir0;28,1j4c;g,1g1u;g,1j30;g,1j4c;k,1jf0;k,1iac;k,1gju;1s,1g1u;1s,1j30;1s,1j4c;28,1g1u;28,1j30;28,1j4c;g,1g1u;g,1jfi;g,1jo0;g,1jf0;1s,1jfi;1s,1jo0;1s,1jf0;g,1eyu;g,1hl0;g,1gr6;g,1iac;1s,1hl0;1s,1gr6;1s,1iac;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1gc0;1s,1gf0;1s,1gju;4,lz0;4,mio;4,lfo;4,lz0;4,mio;4,lfo;g,lz0;1s,13lo;1s,1afo;g,13lo;g,1afo;2,uo0;1s,13lo;1s,12xo;g,13lo;g,12xo;i,lfo;1s,1afo;1s,12xo;g,1afo;g,12xo;4,2xxc;4,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;4,2xxc;4,2ou0;g,1gpo;g,1hl0;g,1j30;g,1ju0;4,2qc0;4,2ou0;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1gju;1s,1gpo;1s,1g1u;a,lz0;1s,egu;1s,d9o;1s,1jfi;1s,1hl0;1s,1gc0;a,lz0;4,l00;4,mxo;1s,1ju0;1s,1j30;1s,1g36;g,egu;4,l00;4,m9o;1s,1kl0;1s,1ju0;1s,1g4c;g,d9o;4,mxo;4,m9o;4,2xxc;4,2qc0;2,q3o;2,qro;w,exo;1s,esu;g,df0;g,esu;4,2xxc;4,2ou0;2,pyu;2,rau;w,f3o;1s,f9o;g,dvu;g,f9o;4,2qc0;4,2ou0;2,qc6;2,ql6;w,dxo;1s,dyu;g,dau;g,dyu;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;1s,1gau;1s,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;1s,1ir0;1s,1j30;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;1s,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;1s,1jyc;8,q3o;8,qro;1w,df0;1w,esu;8,v6o;8,vro;8,q3o;8,qro;k,df0;k,esu;8,g3o;8,ero;8,1cxo;8,1a3o;8,pyu;8,rau;1w,dvu;1w,f9o;8,v6o;8,v1u;8,pyu;8,rau;k,dvu;k,f9o;8,g9o;8,dlo;8,1bxo;8,1ao0;8,qc6;8,ql6;1w,dau;1w,dyu;8,vro;8,v1u;8,qc6;8,ql6;k,dau;k,dyu;8,f3o;4,er0;8,1ci0;8,1bfo;g,1fii;g,1gau;g,1hi0;k,1gju;k,1gpo;k,1g1u;1s,1fii;1s,1gau;1s,1hi0;28,1fii;28,1gau;28,1hi0;g,1fii;g,1ir0;g,1j30;k,1jfi;k,1hl0;k,1gc0;1s,1fii;1s,1ir0;1s,1j30;28,1fii;28,1ir0;28,1j30;g,1gau;g,1ir0;g,1jyc;k,1ju0;k,1j30;k,1g36;1s,1gau;1s,1ir0;1s,1jyc;28,1gau;28,1ir0;28,1jyc;g,1hi0;g,1j30;g,1jyc;k,1kl0;k,1ju0;k,1g4c;1s,1hi0;1s,1j30;1s,1jyc;28,1hi0;28,1j30;28,1jyc;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1ju0;1s,1kl0;g,1gpo;g,1hl0;g,1j30;g,1ju0;1s,1j30;1s,1ju0;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1g36;1s,1g4c;8,lz0;4,egu;4,d9o;4,egu;4,d9o;8,lz0;1s,l00;1s,mxo;g,l00;g,mxo;2,1aro;2,13lo;1s,m9o;g,m9o;2,11ro;2,1afo;1s,m9o;g,m9o;4,2wc0;4,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;4,2wc0;4,2p60;g,1gyu;g,1gr6;g,1j30;g,1j4c;4,2ro0;4,2p60;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;a,mio;a,egu;4,gu0;1s,1jo0;1s,1gr6;1s,1gf0;a,mio;1s,a06;1s,9mu;1s,1ju0;1s,1j30;1s,1g36;a,egu;g,a06;4,efo;1s,1jyc;1s,1j4c;1s,1gyc;4,gu0;g,9mu;4,efo;4,2wc0;4,2ro0;2,ygu;2,n7u;2,df0;3k,b2o;3k,b2o;4,2wc0;4,2p60;2,z0o;2,moo;2,dvu;1s,ayu;g,ayu;4,2ro0;4,2p60;2,y7u;2,mvu;2,dau;3k,c60;3k,c60;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;g,1gyc;1s,1gyc;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;1s,1j4c;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;1s,1jyc;1s,1jyc;8,1j9o;1s,1gyc;8,1i9o;g,1j4c;g,1jyc;8,ygu;8,n7u;8,df0;8,amu;8,zdu;8,yf0;8,ygu;8,n7u;8,df0;w,b2o;w,au0;8,tc0;8,1cxo;8,1ii0;8,z0o;8,moo;8,dvu;1w,ayu;8,zdu;8,y7u;8,z0o;8,moo;8,dvu;k,ayu;4,c7u;8,uc0;8,1bxo;8,1j9o;8,y7u;8,mvu;8,dau;1w,bau;8,yf0;8,y7u;8,y7u;8,mvu;8,dau;w,c60;4,cvu;8,tc0;8,1ci0;8,1gro;g,1eyu;g,1gau;g,1gyc;k,1g4c;k,1gyu;k,1f4u;1s,1eyu;1s,1gau;1s,1gyc;28,1eyu;28,1gau;8,1i9o;g,1eyu;g,1ir0;g,1j4c;k,1jo0;k,1gr6;k,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;28,1eyu;28,1ir0;28,1j4c;g,1gau;g,1ir0;g,1jyc;k,1ju0;k,1j30;k,1g36;1s,1gau;1s,1ir0;1s,1jyc;28,1gau;28,1ir0;28,1jyc;2,1i9o;g,1j4c;g,1jyc;k,1jyc;2,1j9o;k,1gyc;2,1i9o;1s,1j4c;1s,1jyc;2,1i9o;28,1j4c;28,1jyc;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1jyc;g,1gyu;g,1gr6;g,1j30;g,1j4c;1s,1j4c;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1gyc;8,mio;8,egu;1s,gu0;g,gu0;2,uo0;2,l00;2,ec0;2,ec0;2,1aro;2,13lo;2,g9o;2,g9o;2,1i9o;2,12xo;2,m9o;4,2xo0;4,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;4,2xo0;4,2pc0;g,1hi0;g,1iac;g,1ju0;g,1j4c;4,2s00;4,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;a,lfo;a,d9o;1s,apu;1s,1jf0;1s,1iac;1s,1gju;a,lfo;4,dxo;4,ec0;1s,1kl0;1s,1ju0;1s,1g4c;a,d9o;4,dxo;4,g9o;1s,1jyc;1s,1j4c;1s,1gyc;g,apu;4,ec0;4,g9o;4,2xo0;4,2s00;2,tlo;2,q1u;2,esu;3k,b2o;4,2xo0;4,2pc0;2,tuo;2,rau;2,f9o;2,ayu;4,2s00;4,2pc0;2,tfo;2,q3o;2,dyu;3k,c60;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;g,1gyc;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;1s,1jyc;8,1j9o;1s,1gyc;8,1i9o;g,1j4c;g,1jyc;8,tlo;8,q1u;8,esu;1w,amu;8,zpu;8,ymu;8,tlo;8,q1u;8,esu;w,b2o;8,gi0;8,nlo;8,1a3o;8,1ii0;8,tuo;8,rau;8,f9o;8,ayu;8,zpu;8,zau;8,tuo;8,rau;8,f9o;8,ayu;8,hi0;8,mlo;8,1ao0;8,1j9o;8,tfo;8,q3o;8,dyu;8,bau;8,ymu;8,zau;8,tfo;8,q3o;8,dyu;w,c60;8,gi0;8,n60;8,1bfo;8,1gro;g,1g1u;g,1hi0;g,1gyc;k,1gyc;k,1hi0;k,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;28,1g1u;28,1hi0;8,1i9o;g,1g1u;g,1j30;g,1j4c;k,1jf0;k,1iac;k,1gju;1s,1g1u;1s,1j30;1s,1j4c;28,1g1u;28,1j30;28,1j4c;g,1hi0;g,1j30;g,1jyc;k,1kl0;k,1ju0;k,1g4c;1s,1hi0;1s,1j30;1s,1jyc;28,1hi0;28,1j30;28,1jyc;2,1i9o;g,1j4c;g,1jyc;k,1jyc;2,1j9o;k,1gyc;2,1i9o;1s,1j4c;1s,1jyc;2,1i9o;28,1j4c;28,1jyc;g,1gyc;g,1jf0;g,1kl0;g,1jyc;g,1hi0;g,1iac;g,1ju0;g,1j4c;g,1g1u;g,1gju;g,1g4c;g,1gyc;8,lfo;8,d9o;2,gu0;a,lfo;2,mxo;1s,ec0;2,11ro;2,1afo;1s,g9o;2,1i9o;2,12xo;2,m9o;2,qsu;2,q7u;g,1g1u;g,1hfi;g,1hr0;g,1i60;2,qsu;2,q1u;g,1eyu;g,1fmo;g,1fgu;g,1fx0;2,q7u;2,q1u;g,1fii;g,1jao;g,1iao;g,1jfi;1s,1g1u;1s,1eyu;1s,1fii;2,1fii;2,1eyu;2,1g1u;1s,1hfi;1s,1fmo;1s,1jao;2,1fii;2,1hyo;2,1ivo;1s,1hr0;1s,1fgu;1s,1iao;2,1eyu;2,1hyo;4,2bc0;1s,1i60;1s,1fx0;1s,1jfi;2,1g1u;2,1ivo;4,2bc0;8,q1u;8,rau;g,1gju;g,1hfi;g,1if0;g,1ju0;8,q1u;8,qo0;g,1gpo;g,1fmo;g,1hvo;g,1hjo;8,rau;8,qo0;g,1g1u;g,1jao;g,1imu;g,1jo0;1s,1gju;1s,1gpo;1s,1g1u;2,1fii;2,1gau;2,1hi0;1s,1hfi;1s,1fmo;1s,1jao;2,1fii;2,1hyo;2,1ivo;1s,1if0;1s,1hvo;1s,1imu;2,1gau;2,1hyo;4,4mo0;1s,1ju0;1s,1hjo;1s,1jo0;2,1hi0;2,1ivo;4,4mo0;8,13co;8,11au;g,1g4c;g,1hr0;g,1if0;g,1jac;8,13co;8,11ro;g,1gyu;g,1fgu;g,1hvo;g,1hi0;8,11au;8,11ro;g,1f4u;g,1iao;g,1imu;g,1jf0;1s,1g4c;1s,1gyu;1s,1f4u;2,1eyu;2,1gau;2,1gyc;1s,1hr0;1s,1fgu;1s,1iao;2,1eyu;2,1hyo;4,2bc0;1s,1if0;1s,1hvo;1s,1imu;2,1gau;2,1hyo;4,4mo0;1s,1jac;1s,1hi0;1s,1jf0;2,1gyc;4,2bc0;4,4mo0;8,ypu;8,ymu;g,1gyc;g,1i60;g,1ju0;g,1jac;8,ypu;8,y7u;g,1hi0;g,1fx0;g,1hjo;g,1hi0;8,ymu;8,y7u;g,1g1u;g,1jfi;g,1jo0;g,1jf0;1s,1gyc;1s,1hi0;1s,1g1u;2,1g1u;2,1hi0;2,1gyc;1s,1i60;1s,1fx0;1s,1jfi;2,1g1u;2,1ivo;4,2bc0;1s,1ju0;1s,1hjo;1s,1jo0;2,1hi0;2,1ivo;4,4mo0;1s,1jac;1s,1hi0;1s,1jf0;2,1gyc;4,2bc0;4,4mo0;w,xc0;g,q7u;2,1g1u;2,1hfi;2,1hr0;2,1i60;1s,qsu;1s,q7u;2,1g1u;2,1hfi;2,1hr0;2,1i60;w,xc0;8,rau;2,1gju;2,1hfi;2,1if0;2,1ju0;8,q1u;8,rau;2,1gju;2,1hfi;2,1if0;2,1ju0;8,13co;8,11au;2,1g4c;2,1hr0;2,1if0;4,1r60;8,13co;8,11au;2,1g4c;2,1hr0;2,1if0;4,1r60;8,ypu;8,ymu;2,1gyc;2,1i60;2,1ju0;4,1r60;8,ypu;8,ymu;2,1gyc;2,1i60;2,1ju0;4,1r60;w,xc0;g,q1u;2,1eyu;2,1fmo;2,1fgu;2,1fx0;1s,qsu;1s,q1u;2,1eyu;2,1fmo;2,1fgu;2,1fx0;w,xc0;8,qo0;2,1gpo;2,1fmo;2,1hvo;2,1hjo;8,q1u;8,qo0;2,1gpo;2,1fmo;2,1hvo;2,1hjo;8,13co;8,11ro;2,1gyu;2,1fgu;2,1hvo;4,1rxo;8,13co;8,11ro;2,1gyu;2,1fgu;2,1hvo;4,1rxo;8,ypu;8,y7u;2,1hi0;2,1fx0;2,1hjo;4,1rxo;8,ypu;8,y7u;2,1hi0;2,1fx0;2,1hjo;4,1rxo;g,q7u;g,q1u;2,1fii;2,1jao;2,1iao;2,1jfi;1s,q7u;1s,q1u;2,1fii;2,1jao;2,1iao;2,1jfi;8,rau;8,qo0;2,1g1u;2,1jao;2,1imu;2,1jo0;8,rau;8,qo0;2,1g1u;2,1jao;2,1imu;2,1jo0;8,11au;8,11ro;2,1f4u;2,1iao;2,1imu;4,1pfo;8,11au;8,11ro;2,1f4u;2,1iao;2,1imu;4,1pfo;8,ymu;8,y7u;2,1g1u;2,1jfi;2,1jo0;4,1pfo;8,ymu;8,y7u;2,1g1u;2,1jfi;2,1jo0;4,1pfo;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;g,1g1u;g,1eyu;g,1fii;1s,1fii;1s,1eyu;1s,1g1u;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;g,1gju;g,1gpo;g,1g1u;1s,1fii;1s,1gau;1s,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;4,1i9o;g,1g4c;g,1gyu;g,1f4u;1s,1eyu;1s,1gau;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;4,1i9o;g,1gyc;g,1hi0;g,1g1u;1s,1g1u;1s,1hi0;4,1i9o;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;g,1hfi;g,1fmo;g,1jao;1s,1fii;1s,1hyo;1s,1ivo;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;g,1hr0;g,1fgu;g,1iao;1s,1eyu;1s,1hyo;1s,1il0;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;g,1i60;g,1fx0;g,1jfi;1s,1g1u;1s,1ivo;1s,1il0;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;g,1hfi;g,1fmo;g,1jao;1s,1fii;1s,1hyo;1s,1ivo;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;g,1if0;g,1hvo;g,1imu;1s,1gau;1s,1hyo;1s,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;g,1ju0;g,1hjo;g,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;g,1hr0;g,1fgu;g,1iao;1s,1eyu;1s,1hyo;1s,1il0;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;g,1if0;g,1hvo;g,1imu;1s,1gau;1s,1hyo;1s,1ko0;1s,1jac;1s,1hi0;1s,1jf0;g,1gyc;g,1il0;g,1ko0;g,1jac;g,1hi0;g,1jf0;1s,1gyc;1s,1il0;1s,1ko0;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;g,1i60;g,1fx0;g,1jfi;1s,1g1u;1s,1ivo;1s,1il0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;g,1ju0;g,1hjo;g,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;1s,1jac;1s,1hi0;1s,1jf0;g,1gyc;g,1il0;g,1ko0;g,1jac;g,1hi0;g,1jf0;1s,1gyc;1s,1il0;1s,1ko0;1s,2p00;1s,2v9c;i,1g1u;i,1hfi;i,1hr0;i,1i60;g,2p00;g,2v9c;1u,1g1u;1u,1hfi;1u,1hr0;1u,1i60;1s,2rlc;1s,2to0;i,1gju;i,1hfi;i,1if0;i,1ju0;g,2rlc;g,2to0;1u,1gju;1u,1hfi;1u,1if0;1u,1ju0;1s,2q00;1s,2v00;i,1g4c;i,1hr0;i,1if0;4,1r60;g,2q00;g,2v00;1u,1g4c;1u,1hr0;1u,1if0;4,1r60;1s,2rc0;1s,2vc0;i,1gyc;i,1i60;i,1ju0;4,1r60;g,2rc0;g,2vc0;1u,1gyc;1u,1i60;1u,1ju0;4,1r60;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2v9c;2,2to0;2,2v00;2,2vc0;28,1g1u;28,1gju;28,1g4c;28,1gyc;28,1hfi;28,1hr0;28,1i60;28,1hfi;28,1if0;28,1ju0;28,1hr0;28,1if0;28,1jac;28,1i60;28,1ju0;28,1jac;1s,2p00;1s,2q3c;i,1eyu;i,1fmo;i,1fgu;i,1fx0;g,2p00;g,2q3c;1u,1eyu;1u,1fmo;1u,1fgu;1u,1fx0;1s,2rlc;1s,2rfc;i,1gpo;i,1fmo;i,1hvo;i,1hjo;g,2rlc;g,2rfc;1u,1gpo;1u,1fmo;1u,1hvo;1u,1hjo;1s,2q00;1s,2rrc;i,1gyu;i,1fgu;i,1hvo;4,1rxo;g,2q00;g,2rrc;1u,1gyu;1u,1fgu;1u,1hvo;4,1rxo;1s,2rc0;1s,2rxc;i,1hi0;i,1fx0;i,1hjo;4,1rxo;g,2rc0;g,2rxc;1u,1hi0;1u,1fx0;1u,1hjo;4,1rxo;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2q3c;2,2rfc;2,2rrc;2,2rxc;28,1eyu;28,1gpo;28,1gyu;28,1hi0;28,1fmo;28,1fgu;28,1fx0;28,1fmo;28,1hvo;28,1hjo;28,1fgu;28,1hvo;28,1hi0;28,1fx0;28,1hjo;28,1hi0;1s,2v9c;1s,2q3c;i,1fii;i,1jao;i,1iao;i,1jfi;g,2v9c;g,2q3c;1u,1fii;1u,1jao;1u,1iao;1u,1jfi;1s,2to0;1s,2rfc;i,1g1u;i,1jao;i,1imu;i,1jo0;g,2to0;g,2rfc;1u,1g1u;1u,1jao;1u,1imu;1u,1jo0;1s,2v00;1s,2rrc;i,1f4u;i,1iao;i,1imu;4,1pfo;g,2v00;g,2rrc;1u,1f4u;1u,1iao;1u,1imu;4,1pfo;1s,2vc0;1s,2rxc;i,1g1u;i,1jfi;i,1jo0;4,1pfo;g,2vc0;g,2rxc;1u,1g1u;1u,1jfi;1u,1jo0;4,1pfo;2,2v9c;2,2to0;2,2v00;2,2vc0;2,2q3c;2,2rfc;2,2rrc;2,2rxc;28,1fii;28,1g1u;28,1f4u;28,1g1u;28,1jao;28,1iao;28,1jfi;28,1jao;28,1imu;28,1jo0;28,1iao;28,1imu;28,1jf0;28,1jfi;28,1jo0;28,1jf0;8,ivu;8,hi6;8,j30;w,fo0;4,uo0;4,lfo;8,ivu;8,hi6;8,j30;8,f96;4,uo0;4,lfo;8,q3o;8,pyu;8,qc6;8,lz0;4,1aro;4,11ro;8,q3o;8,pyu;8,qc6;8,lz0;4,1aro;4,11ro;8,ygu;8,z0o;8,y7u;4,uo0;4,1aro;4,1i9o;8,ygu;8,z0o;8,y7u;4,uo0;4,1aro;4,1i9o;8,tlo;8,tuo;8,tfo;c,lfo;4,11ro;4,1i9o;8,tlo;8,tuo;8,tfo;c,lfo;4,11ro;4,1i9o;c,ivu;c,q3o;c,ygu;c,tlo;c,hi6;c,pyu;c,z0o;c,tuo;c,j30;c,qc6;c,y7u;c,tfo;c,lz0;c,mio;c,lfo;w,fo0;c,egu;c,d9o;1,dsc;2,dxo;28,930;2,fo0;2,d60;w,gu0;8,lfo;8,m1u;8,m06;8,lz0;4,113o;4,139o;8,lfo;8,m1u;8,m06;8,lz0;4,113o;4,139o;8,q7u;8,qco;8,pgu;8,mio;4,113o;4,1blo;8,q7u;8,qco;8,pgu;8,mio;4,113o;4,1blo;8,qsu;8,qyu;8,qro;8,lfo;4,139o;4,1blo;8,qsu;8,qyu;8,qro;8,lfo;4,139o;4,1blo;c,lfo;c,q7u;c,qsu;c,m1u;c,qco;c,qyu;c,m06;c,pgu;c,qro;c,lz0;c,mio;c,lfo;w,di0;2,ei0;2,lro;2,f3o;2,kfo;w,f3o;i,lfo;i,m1u;i,m06;i,lz0;1s,113o;1s,139o;1u,lfo;1u,m1u;1u,m06;1u,lz0;g,113o;g,139o;8,i1u;8,j6o;8,hio;8,egu;4,lro;4,uxo;8,i1u;8,j6o;8,hio;8,egu;4,lro;4,uxo;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;28,lfo;c,i1u;3k,1e00;28,m1u;c,j6o;3k,1e00;28,m06;c,hio;3k,1e00;28,lz0;c,egu;3k,1e00;3k,e60;3k,1e00;2,113o;3k,1e00;2,139o;3k,e60;i,q7u;i,qco;i,pgu;i,mio;1s,113o;1s,1blo;1u,q7u;1u,qco;1u,pgu;1u,mio;g,113o;g,1blo;i,i1u;i,j6o;i,hio;i,egu;1s,lro;1s,uxo;1u,i1u;1u,j6o;1u,hio;1u,egu;g,lro;g,uxo;w,ceo;w,awo;i,9su;i,apu;1s,f3o;1s,dro;1u,9oo;1u,9xo;1u,9su;1u,apu;g,f3o;g,dro;28,q7u;28,i1u;w,ceo;28,qco;28,j6o;w,awo;28,pgu;28,hio;28,9su;28,mio;28,egu;28,apu;2,lro;2,f3o;2,113o;2,dro;2,1blo;2,uxo;i,qsu;i,qyu;i,qro;i,lfo;1s,139o;1s,1blo;1u,qsu;1u,qyu;1u,qro;1u,lfo;g,139o;g,1blo;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;w,ceo;w,awo;8,9su;8,apu;4,f3o;4,dro;8,9oo;8,9xo;8,9su;8,apu;4,f3o;4,dro;28,qsu;3k,1e00;w,ceo;28,qyu;3k,1e00;w,awo;28,qro;3k,1e00;c,9su;28,lfo;3k,1e00;c,apu;3k,1e00;1,95o;2,139o;1,9bo;2,1blo;3k,1e00;3l,bro;3l,bgu;1s,hlo;1s,q1u;1s,13co;1s,ypu;3l,bro;3l,ayu;1s,i1u;1s,rau;1s,11au;1s,ymu;3l,bgu;3l,ayu;a,1g1u;a,1gju;a,1g4c;a,1gyc;g,hlo;g,i1u;a,1g1u;a,1hfi;a,1hr0;a,1i60;g,q1u;g,rau;a,1gju;a,1hfi;a,1if0;a,1ju0;g,13co;g,11au;a,1g4c;a,1hr0;a,1if0;4,1r60;g,ypu;g,ymu;a,1gyc;a,1i60;a,1ju0;4,1r60;g,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;1s,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;g,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;1s,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;g,yio;g,y7u;2,1g1u;2,1gju;2,1g4c;2,1gyc;1s,yio;1s,y7u;2,1g1u;2,1gju;2,1g4c;2,1gyc;g,qsu;g,q7u;2,1g1u;2,1hfi;2,1hr0;2,1i60;1s,qsu;1s,q7u;2,1g1u;2,1hfi;2,1hr0;2,1i60;g,ico;g,gyu;2,1gju;2,1hfi;2,1if0;2,1ju0;1s,ico;1s,gyu;2,1gju;2,1hfi;2,1if0;2,1ju0;1,b3o;1,aro;2,1g4c;2,1hr0;2,1if0;4,1r60;x,b3o;x,aro;2,1g4c;2,1hr0;2,1if0;4,1r60;3k,gxo;3k,fxo;2,1gyc;2,1i60;2,1ju0;4,1r60;3k,gxo;3k,fxo;2,1gyc;2,1i60;2,1ju0;4,1r60;2,2p00;2,2rlc;2,2q00;2,2rc0;1s,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2v9c;2,2to0;2,2v00;2,2vc0;1s,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;2,2v9c;2,2to0;2,2v00;2,2vc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;1s,yio;1s,y7u;8,1g1u;8,1gju;8,1g4c;8,1gyc;28,lfo;4,q3o;4,ygu;4,tlo;8,1hfi;8,1hr0;8,1i60;1s,qsu;1s,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;4,lfo;4,q7u;4,qsu;8,1hfi;8,1if0;8,1ju0;1s,ico;1s,gyu;8,1gju;8,1hfi;8,1if0;8,1ju0;w,fo0;4,i1u;4,hvu;8,1hr0;8,1if0;8,1jac;3l,b3o;3l,aro;8,1g4c;8,1hr0;8,1if0;8,1jac;1,a66;3k,dxo;3k,g9o;8,1i60;8,1ju0;8,1jac;w,gxo;w,fxo;8,1gyc;8,1i60;8,1ju0;8,1jac;w,ero;4,9mu;w,g9o;2,2p00;2,2rlc;2,2q00;2,2rc0;x,bro;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2v9c;2,2to0;2,2v00;2,2vc0;x,bro;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;8,1g1u;8,1gju;8,1g4c;8,1gyc;x,bgu;x,ayu;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,1hfi;8,1hr0;8,1i60;1s,hlo;1s,i1u;8,1g1u;8,1hfi;8,1hr0;8,1i60;8,1hfi;8,1if0;8,1ju0;1s,q1u;1s,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;8,1hr0;8,1if0;1s,1r60;1s,13co;1s,11au;8,1g4c;8,1hr0;8,1if0;g,1r60;8,1i60;8,1ju0;1s,1r60;1s,ypu;1s,ymu;8,1gyc;8,1i60;8,1ju0;g,1r60;3l,bro;3l,bgu;1s,hlo;1s,q1u;1s,13co;1s,ypu;3l,bro;3l,b4u;1s,i4u;1s,qo0;1s,11ro;1s,y7u;3l,bgu;3l,b4u;a,1eyu;a,1gpo;a,1gyu;a,1hi0;g,hlo;g,i4u;a,1eyu;a,1fmo;a,1fgu;a,1fx0;g,q1u;g,qo0;a,1gpo;a,1fmo;a,1hvo;a,1hjo;g,13co;g,11ro;a,1gyu;a,1fgu;a,1hvo;4,1rxo;g,ypu;g,y7u;a,1hi0;a,1fx0;a,1hjo;4,1rxo;g,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;1s,12su;8,2s00;8,2p00;8,2rlc;8,2q00;8,2rc0;g,12su;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;g,yio;g,xsu;2,1eyu;2,1gpo;2,1gyu;2,1hi0;1s,xsu;2,1eyu;2,1gpo;2,1gyu;2,1hi0;g,qsu;g,q1u;2,1eyu;2,1fmo;2,1fgu;2,1fx0;1s,q1u;2,1eyu;2,1fmo;2,1fgu;2,1fx0;g,ico;g,hio;2,1gpo;2,1fmo;2,1hvo;2,1hjo;1s,hio;2,1gpo;2,1fmo;2,1hvo;2,1hjo;1,b3o;1,aq0;2,1gyu;2,1fgu;2,1hvo;4,1rxo;x,aq0;2,1gyu;2,1fgu;2,1hvo;4,1rxo;3k,gxo;3k,gxo;2,1hi0;2,1fx0;2,1hjo;4,1rxo;3k,gxo;2,1hi0;2,1fx0;2,1hjo;4,1rxo;2,2p00;2,2rlc;2,2q00;2,2rc0;1s,12su;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1s,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;2,2q3c;2,2rfc;2,2rrc;2,2rxc;8,1eyu;8,1gpo;8,1gyu;8,1hi0;1s,yio;1s,xsu;8,1eyu;8,1gpo;8,1gyu;8,1hi0;28,mio;4,pyu;4,z0o;4,tuo;8,1fmo;8,1fgu;8,1fx0;1s,qsu;1s,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;4,m1u;4,qco;4,qyu;8,1fmo;8,1hvo;8,1hjo;1s,ico;1s,hio;8,1gpo;8,1fmo;8,1hvo;8,1hjo;w,fu0;4,j6o;4,h9o;8,1fgu;8,1hvo;8,1hi0;3l,b3o;3l,aq0;8,1gyu;8,1fgu;8,1hvo;8,1hi0;1,b96;3k,e3o;3k,h9o;8,1fx0;8,1hjo;8,1hi0;w,gxo;w,gxo;8,1hi0;8,1fx0;8,1hjo;8,1hi0;w,fro;4,9du;w,h9o;2,2p00;2,2rlc;2,2q00;2,2rc0;x,bro;2,2s00;2,2p00;2,2rlc;2,2q00;2,2rc0;2,2q3c;2,2rfc;2,2rrc;2,2rxc;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;8,1eyu;8,1gpo;8,1gyu;8,1hi0;x,b4u;8,1eyu;8,1gpo;8,1gyu;8,1hi0;8,1fmo;8,1fgu;8,1fx0;1s,i4u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;8,1fmo;8,1hvo;8,1hjo;1s,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;8,1fgu;8,1hvo;1s,1rxo;1s,11ro;8,1gyu;8,1fgu;8,1hvo;g,1rxo;8,1fx0;8,1hjo;1s,1rxo;1s,y7u;8,1hi0;8,1fx0;8,1hjo;g,1rxo;3l,bro;3l,ayu;1s,i1u;1s,rau;1s,11au;1s,ymu;3l,bro;3l,b4u;1s,i4u;1s,qo0;1s,11ro;1s,y7u;3l,ayu;3l,b4u;a,1fii;a,1g1u;a,1f4u;a,1g1u;g,i1u;g,i4u;a,1fii;a,1jao;a,1iao;a,1jfi;g,rau;g,qo0;a,1g1u;a,1jao;a,1imu;a,1jo0;g,11au;g,11ro;a,1f4u;a,1iao;a,1imu;4,1pfo;g,ymu;g,y7u;a,1g1u;a,1jfi;a,1jo0;4,1pfo;g,12su;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;8,2pc0;8,2v9c;8,2to0;8,2v00;8,2vc0;g,12su;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;8,2p3c;8,2q3c;8,2rfc;8,2rrc;8,2rxc;g,y7u;g,xsu;2,1fii;2,1g1u;2,1f4u;2,1g1u;2,1fii;2,1g1u;2,1f4u;2,1g1u;g,q7u;g,q1u;2,1fii;2,1jao;2,1iao;2,1jfi;2,1fii;2,1jao;2,1iao;2,1jfi;g,gyu;g,hio;2,1g1u;2,1jao;2,1imu;2,1jo0;2,1g1u;2,1jao;2,1imu;2,1jo0;1,aro;w,au0;2,1f4u;2,1iao;2,1imu;4,1pfo;2,1f4u;2,1iao;2,1imu;4,1pfo;3k,fxo;3k,gxo;2,1g1u;2,1jfi;2,1jo0;4,1pfo;2,1g1u;2,1jfi;2,1jo0;4,1pfo;2,2v9c;2,2to0;2,2v00;2,2vc0;1s,12su;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;2,2v9c;2,2to0;2,2v00;2,2vc0;2,2q3c;2,2rfc;2,2rrc;2,2rxc;1s,12su;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;2,2q3c;2,2rfc;2,2rrc;2,2rxc;8,1fii;8,1g1u;8,1f4u;8,1g1u;1s,y7u;1s,xsu;8,1fii;8,1g1u;8,1f4u;8,1g1u;28,lz0;4,qc6;4,y7u;4,tfo;8,1jao;8,1iao;8,1jfi;1s,q7u;1s,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;4,m06;4,pgu;4,qro;8,1jao;8,1imu;8,1jo0;1s,gyu;1s,hio;8,1g1u;8,1jao;8,1imu;8,1jo0;4,epu;4,hio;4,gyu;8,1iao;8,1imu;8,1jf0;3l,aro;3l,aq0;8,1f4u;8,1iao;8,1imu;8,1jf0;1,ci6;3k,cxo;3k,g9o;8,1jfi;8,1jo0;8,1jf0;w,fxo;w,gxo;8,1g1u;8,1jfi;8,1jo0;8,1jf0;w,ero;4,9gc;w,g9o;2,2v9c;2,2to0;2,2v00;2,2vc0;2,2pc0;2,2v9c;2,2to0;2,2v00;2,2vc0;2,2q3c;2,2rfc;2,2rrc;2,2rxc;2,2p3c;2,2q3c;2,2rfc;2,2rrc;2,2rxc;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,1fii;8,1g1u;8,1f4u;8,1g1u;8,1jao;8,1iao;8,1jfi;8,1fii;8,1jao;8,1iao;8,1jfi;8,1jao;8,1imu;8,1jo0;8,1g1u;8,1jao;8,1imu;8,1jo0;8,1iao;8,1imu;1s,1pfo;8,1f4u;8,1iao;8,1imu;g,1pfo;8,1jfi;8,1jo0;1s,1pfo;8,1g1u;8,1jfi;8,1jo0;g,1pfo;4,2s00;4,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;4,2s00;4,2p3c;g,1eyu;g,1gpo;g,1gyu;g,1hi0;4,2pc0;4,2p3c;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1g1u;1s,1eyu;1s,1fii;1s,lz0;4,uo0;1w,lfo;1s,1gju;1s,1gpo;1s,1g1u;g,lz0;4,1aro;4,11ro;1s,1g4c;1s,1gyu;1s,1f4u;4,uo0;4,1aro;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;k,lfo;4,11ro;4,1i9o;4,2s00;4,2pc0;g,lfo;1s,q3o;1s,ygu;1s,tlo;1s,lfo;g,q3o;g,ygu;g,tlo;4,2s00;4,2p3c;g,mio;1s,pyu;1s,z0o;1s,tuo;1s,mio;g,pyu;g,z0o;g,tuo;4,2pc0;4,2p3c;g,lz0;1s,qc6;1s,y7u;1s,tfo;1s,lz0;g,qc6;g,y7u;g,tfo;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;1s,1fii;1s,1eyu;1s,1g1u;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;1s,1fii;1s,1gau;1s,1hi0;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;4,1i9o;1s,1eyu;1s,1gau;4,1i9o;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;4,1i9o;1s,1g1u;1s,1hi0;4,1i9o;g,lfo;1w,q3o;1w,ygu;1w,tlo;1s,yio;1s,y7u;1s,lfo;k,q3o;k,ygu;k,tlo;28,lfo;4,q3o;4,ygu;4,tlo;g,mio;1w,pyu;1w,z0o;1w,tuo;1s,yio;1s,xsu;1s,mio;k,pyu;k,z0o;k,tuo;28,mio;4,pyu;4,z0o;4,tuo;g,lz0;1w,qc6;1w,y7u;1w,tfo;1s,y7u;1s,xsu;1s,lz0;k,qc6;k,y7u;k,tfo;28,lz0;4,qc6;4,y7u;4,tfo;g,1fii;g,1eyu;g,1g1u;k,1g1u;k,1eyu;k,1fii;1s,1fii;1s,1eyu;1s,1g1u;28,1fii;28,1eyu;28,1g1u;g,1fii;g,1gau;g,1hi0;k,1gju;k,1gpo;k,1g1u;1s,1fii;1s,1gau;1s,1hi0;28,1fii;28,1gau;28,1hi0;g,1eyu;g,1gau;g,1gyc;k,1g4c;k,1gyu;k,1f4u;1s,1eyu;1s,1gau;1s,1gyc;28,1eyu;28,1gau;28,1gyc;g,1g1u;g,1hi0;g,1gyc;k,1gyc;k,1hi0;k,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;28,1g1u;28,1hi0;28,1gyc;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;g,1eyu;g,1gpo;g,1gyu;g,1hi0;1s,1eyu;1s,1gpo;1s,1gyu;1s,1hi0;g,1fii;g,1g1u;g,1f4u;g,1g1u;1s,1fii;1s,1g1u;1s,1f4u;1s,1g1u;4,lz0;1s,uo0;1w,lfo;4,lz0;g,uo0;k,lfo;g,lz0;1s,1aro;1s,11ro;1s,lz0;g,1aro;g,11ro;1s,uo0;1s,1aro;1s,1i9o;g,uo0;g,1aro;g,1i9o;28,lfo;1s,11ro;1s,1i9o;28,lfo;g,11ro;g,1i9o;4,2p00;4,2v9c;g,1g1u;g,1hfi;g,1hr0;g,1i60;4,2p00;4,2q3c;g,1eyu;g,1fmo;g,1fgu;g,1fx0;4,2v9c;4,2q3c;g,1fii;g,1jao;g,1iao;g,1jfi;1s,1g1u;1s,1eyu;1s,1fii;1s,lz0;1s,mio;1s,lfo;1s,1hfi;1s,1fmo;1s,1jao;g,lz0;4,113o;4,139o;1s,1hr0;1s,1fgu;1s,1iao;g,mio;4,113o;4,1blo;1s,1i60;1s,1fx0;1s,1jfi;g,lfo;4,139o;4,1blo;4,2p00;4,2v9c;g,lfo;1s,lfo;1s,q7u;1s,qsu;g,lfo;g,q7u;g,qsu;4,2p00;4,2q3c;g,mio;1s,m1u;1s,qco;1s,qyu;g,m1u;g,qco;g,qyu;4,2v9c;4,2q3c;g,lz0;1s,m06;1s,pgu;1s,qro;g,m06;g,pgu;g,qro;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;1s,1fii;1s,1eyu;1s,1g1u;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;1s,1hyo;1s,1ivo;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;1s,1hyo;1s,1il0;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;1s,1ivo;1s,1il0;1w,lfo;1w,q7u;1w,qsu;1s,qsu;1s,q7u;1s,lfo;k,lfo;k,q7u;k,qsu;4,lfo;8,u3o;4,qsu;1w,m1u;1w,qco;1w,qyu;1s,qsu;1s,q1u;1s,mio;k,m1u;k,qco;k,qyu;4,m1u;8,v3o;4,qyu;1w,m06;1w,pgu;1w,qro;1s,q7u;1s,q1u;1s,lz0;k,m06;k,pgu;k,qro;4,m06;8,u3o;4,qro;g,1fii;g,1eyu;g,1g1u;k,1g1u;k,1eyu;k,1fii;1s,1fii;1s,1eyu;1s,1g1u;28,1fii;28,1eyu;28,1g1u;g,1hyo;g,1ivo;k,1hfi;k,1fmo;k,1jao;1s,1fii;1s,1hyo;1s,1ivo;28,1hyo;28,1ivo;g,1hyo;g,1il0;k,1hr0;k,1fgu;k,1iao;1s,1eyu;1s,1hyo;1s,1il0;28,1hyo;28,1il0;g,1ivo;g,1il0;k,1i60;k,1fx0;k,1jfi;1s,1g1u;1s,1ivo;1s,1il0;28,1ivo;28,1il0;g,1hfi;g,1hr0;g,1i60;1s,1hfi;1s,1hr0;1s,1i60;g,1fmo;g,1fgu;g,1fx0;1s,1fmo;1s,1fgu;1s,1fx0;g,1jao;g,1iao;g,1jfi;1s,1jao;1s,1iao;1s,1jfi;4,lz0;4,mio;4,lfo;4,lz0;4,mio;4,lfo;1s,113o;1s,139o;g,113o;g,139o;1s,113o;1s,1blo;g,113o;g,1blo;1s,139o;1s,1blo;g,139o;g,1blo;4,2rlc;4,2to0;g,1gju;g,1hfi;g,1if0;g,1ju0;4,2rlc;4,2rfc;g,1gpo;g,1fmo;g,1hvo;g,1hjo;4,2to0;4,2rfc;g,1g1u;g,1jao;g,1imu;g,1jo0;1s,1gju;1s,1gpo;1s,1g1u;a,lz0;1s,egu;1s,d9o;1s,1hfi;1s,1fmo;1s,1jao;a,lz0;4,lro;4,kfo;1s,1if0;1s,1hvo;1s,1imu;g,egu;4,lro;4,uxo;1s,1ju0;1s,1hjo;1s,1jo0;g,d9o;4,kfo;4,uxo;4,2rlc;4,2to0;2,q3o;2,lfo;1s,i1u;1s,hvu;g,i1u;g,hvu;4,2rlc;4,2rfc;2,pyu;2,m1u;1s,j6o;1s,h9o;g,j6o;g,h9o;4,2to0;4,2rfc;2,qc6;2,m06;1s,hio;1s,gyu;g,hio;g,gyu;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;1s,1gau;1s,1hi0;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;1s,1hyo;1s,1ivo;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;1s,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;1s,1ko0;8,lfo;1w,i1u;1w,hvu;8,q1u;8,rau;8,q3o;8,lfo;k,i1u;k,hvu;8,fc0;8,1afo;8,12xo;8,m1u;1w,j6o;1w,h9o;8,q1u;8,qo0;8,pyu;8,m1u;k,j6o;k,h9o;8,e60;8,19fo;8,13i0;8,m06;1w,hio;1w,gyu;8,rau;8,qo0;8,qc6;8,m06;k,hio;k,gyu;8,f60;8,1a00;8,149o;g,1fii;g,1gau;g,1hi0;k,1gju;k,1gpo;k,1g1u;1s,1fii;1s,1gau;1s,1hi0;28,1fii;28,1gau;28,1hi0;g,1hyo;g,1ivo;k,1hfi;k,1fmo;k,1jao;1s,1fii;1s,1hyo;1s,1ivo;28,1hyo;28,1ivo;g,1hyo;g,1ko0;k,1if0;k,1hvo;k,1imu;1s,1gau;1s,1hyo;1s,1ko0;28,1hyo;28,1ko0;g,1ivo;g,1ko0;k,1ju0;k,1hjo;k,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;28,1ivo;28,1ko0;g,1hfi;g,1if0;g,1ju0;1s,1if0;1s,1ju0;g,1fmo;g,1hvo;g,1hjo;1s,1hvo;1s,1hjo;g,1jao;g,1imu;g,1jo0;1s,1imu;1s,1jo0;8,lz0;4,egu;4,d9o;4,egu;4,d9o;1s,lro;1s,kfo;g,lro;g,kfo;2,113o;1s,uxo;g,uxo;2,139o;1s,uxo;g,uxo;4,2q00;4,2v00;g,1g4c;g,1hr0;g,1if0;g,1jac;4,2q00;4,2rrc;g,1gyu;g,1fgu;g,1hvo;g,1hi0;4,2v00;4,2rrc;g,1f4u;g,1iao;g,1imu;g,1jf0;1s,1g4c;1s,1gyu;1s,1f4u;a,mio;a,egu;w,gu0;1s,1hr0;1s,1fgu;1s,1iao;a,mio;w,di0;w,f3o;1s,1if0;1s,1hvo;1s,1imu;a,egu;a,aju;3l,9bo;1s,1jac;1s,1hi0;1s,1jf0;a,apu;3l,95o;3l,9bo;4,2q00;4,2v00;2,ygu;2,q7u;2,i1u;w,g9o;3k,ceo;4,2q00;4,2rrc;2,z0o;2,qco;2,j6o;w,h9o;3k,awo;4,2v00;4,2rrc;2,y7u;2,pgu;2,hio;w,g9o;2,9su;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;g,1gyc;1s,1gyc;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;1s,1il0;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;1s,1ko0;8,1r60;8,1rxo;8,1pfo;8,1i9o;g,1il0;g,1ko0;8,q7u;8,i1u;8,9oo;8,13co;8,11au;8,ygu;8,q7u;8,i1u;w,ceo;8,u3o;8,1afo;8,1r60;8,qco;8,j6o;8,9xo;8,13co;8,11ro;8,z0o;8,qco;8,j6o;w,awo;8,v3o;8,19fo;8,1rxo;8,pgu;8,hio;8,9su;8,11au;8,11ro;8,y7u;8,pgu;8,hio;8,9su;8,u3o;8,1a00;8,1pfo;g,1eyu;g,1gau;g,1gyc;k,1g4c;k,1gyu;k,1f4u;1s,1eyu;1s,1gau;1s,1gyc;28,1eyu;28,1gau;8,1i9o;g,1hyo;g,1il0;k,1hr0;k,1fgu;k,1iao;1s,1eyu;1s,1hyo;1s,1il0;28,1hyo;28,1il0;g,1hyo;g,1ko0;k,1if0;k,1hvo;k,1imu;1s,1gau;1s,1hyo;1s,1ko0;28,1hyo;28,1ko0;g,1il0;g,1ko0;2,1r60;2,1rxo;2,1pfo;2,1i9o;1s,1il0;1s,1ko0;28,1il0;28,1ko0;g,1hr0;g,1if0;g,1jac;1s,1jac;g,1fgu;g,1hvo;g,1hi0;1s,1hi0;g,1iao;g,1imu;g,1jf0;1s,1jf0;8,mio;8,egu;w,gu0;8,apu;2,lro;y,f3o;2,f3o;2,113o;2,dro;2,dro;2,1blo;2,uxo;4,2rc0;4,2vc0;g,1gyc;g,1i60;g,1ju0;g,1jac;4,2rc0;4,2rxc;g,1hi0;g,1fx0;g,1hjo;g,1hi0;4,2vc0;4,2rxc;g,1g1u;g,1jfi;g,1jo0;g,1jf0;1s,1gyc;1s,1hi0;1s,1g1u;a,lfo;a,d9o;1s,apu;1s,1i60;1s,1fx0;1s,1jfi;a,lfo;4,ei0;4,f3o;1s,1ju0;1s,1hjo;1s,1jo0;a,d9o;4,ei0;4,dro;1s,1jac;1s,1hi0;1s,1jf0;g,apu;4,f3o;4,dro;4,2rc0;4,2vc0;2,tlo;2,qsu;2,hvu;3k,ceo;4,2rc0;4,2rxc;2,tuo;2,qyu;2,h9o;3k,awo;4,2vc0;4,2rxc;2,tfo;2,qro;2,gyu;1s,9su;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;g,1gyc;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;8,1r60;8,1rxo;8,1pfo;8,1i9o;g,1il0;g,1ko0;8,qsu;8,hvu;1w,9oo;8,ypu;8,ymu;8,tlo;8,qsu;8,hvu;w,ceo;8,l3o;8,12xo;8,1r60;8,qyu;8,h9o;1w,9xo;8,ypu;8,y7u;8,tuo;8,qyu;8,h9o;w,awo;8,k3o;8,13i0;8,1rxo;8,qro;8,gyu;1w,9su;8,ymu;8,y7u;8,tfo;8,qro;8,gyu;k,9su;8,ko0;8,149o;8,1pfo;g,1g1u;g,1hi0;g,1gyc;k,1gyc;k,1hi0;k,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;28,1g1u;28,1hi0;8,1i9o;g,1ivo;g,1il0;k,1i60;k,1fx0;k,1jfi;1s,1g1u;1s,1ivo;1s,1il0;28,1ivo;28,1il0;g,1ivo;g,1ko0;k,1ju0;k,1hjo;k,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;28,1ivo;28,1ko0;g,1il0;g,1ko0;2,1r60;2,1rxo;2,1pfo;2,1i9o;1s,1il0;1s,1ko0;28,1il0;28,1ko0;g,1i60;g,1ju0;g,1jac;g,1fx0;g,1hjo;g,1hi0;g,1jfi;g,1jo0;g,1jf0;8,lfo;8,d9o;4,apu;2,kfo;1s,f3o;2,139o;1s,dro;2,1blo;2,uxo;8,qsu;8,qyu;g,1jfi;g,1hfi;g,1l30;g,1lf0;8,qsu;8,r00;g,1hl0;g,1fmo;g,1ix0;g,1jl0;8,qyu;8,r00;g,1gc0;g,1jao;g,1jl0;g,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;2,1fii;2,1ir0;2,1j30;1s,1hfi;1s,1fmo;1s,1jao;2,1fii;2,1hyo;2,1ivo;1s,1l30;1s,1ix0;1s,1jl0;2,1ir0;2,1hyo;4,4mo0;1s,1lf0;1s,1jl0;1s,1ju0;2,1j30;2,1ivo;4,4mo0;3k,tro;3k,sro;g,1jo0;g,1hr0;g,1l30;g,1ljc;3k,tro;3k,tro;g,1gr6;g,1fgu;g,1ix0;g,1igc;3k,sro;3k,tro;g,1gf0;g,1iao;g,1jl0;g,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;2,1eyu;2,1ir0;2,1j4c;1s,1hr0;1s,1fgu;1s,1iao;2,1eyu;2,1hyo;2,1il0;1s,1l30;1s,1ix0;1s,1jl0;2,1ir0;2,1hyo;4,4mo0;1s,1ljc;1s,1igc;1s,1kl0;2,1j4c;2,1il0;4,4mo0;8,w1u;8,v6o;g,1jf0;g,1i60;g,1lf0;g,1ljc;8,w1u;8,vro;g,1iac;g,1fx0;g,1jl0;g,1igc;8,v6o;8,vro;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1jf0;1s,1iac;1s,1gju;2,1g1u;2,1j30;2,1j4c;1s,1i60;1s,1fx0;1s,1jfi;2,1g1u;2,1ivo;2,1il0;1s,1lf0;1s,1jl0;1s,1ju0;2,1j30;2,1ivo;4,4mo0;1s,1ljc;1s,1igc;1s,1kl0;2,1j4c;2,1il0;4,4mo0;8,qsu;8,qyu;2,1jfi;2,1hfi;2,1l30;2,1lf0;8,qsu;8,qyu;2,1jfi;2,1hfi;2,1l30;2,1lf0;3k,tro;3k,sro;2,1jo0;2,1hr0;2,1l30;2,1ljc;3k,tro;3k,sro;2,1jo0;2,1hr0;2,1l30;2,1ljc;8,w1u;8,v6o;2,1jf0;2,1i60;2,1lf0;2,1ljc;8,w1u;8,v6o;2,1jf0;2,1i60;2,1lf0;2,1ljc;8,qsu;8,r00;2,1hl0;2,1fmo;2,1ix0;2,1jl0;8,qsu;8,r00;2,1hl0;2,1fmo;2,1ix0;2,1jl0;3k,tro;3k,tro;2,1gr6;2,1fgu;2,1ix0;2,1igc;3k,tro;3k,tro;2,1gr6;2,1fgu;2,1ix0;2,1igc;8,w1u;8,vro;2,1iac;2,1fx0;2,1jl0;2,1igc;8,w1u;8,vro;2,1iac;2,1fx0;2,1jl0;2,1igc;8,qyu;8,r00;2,1gc0;2,1jao;2,1jl0;2,1ju0;8,qyu;8,r00;2,1gc0;2,1jao;2,1jl0;2,1ju0;3k,sro;3k,tro;2,1gf0;2,1iao;2,1jl0;2,1kl0;3k,sro;3k,tro;2,1gf0;2,1iao;2,1jl0;2,1kl0;8,v6o;8,vro;2,1gju;2,1jfi;2,1ju0;2,1kl0;8,v6o;8,vro;2,1gju;2,1jfi;2,1ju0;2,1kl0;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;g,1jfi;g,1hl0;g,1gc0;1s,1fii;1s,1ir0;1s,1j30;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;g,1jo0;g,1gr6;g,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;g,1jf0;g,1iac;g,1gju;1s,1g1u;1s,1j30;1s,1j4c;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;g,1hfi;g,1fmo;g,1jao;1s,1fii;1s,1hyo;1s,1ivo;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;g,1hr0;g,1fgu;g,1iao;1s,1eyu;1s,1hyo;1s,1il0;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;g,1i60;g,1fx0;g,1jfi;1s,1g1u;1s,1ivo;1s,1il0;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;g,1l30;g,1ix0;g,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;g,1lf0;g,1jl0;g,1ju0;1s,1j30;1s,1ivo;1s,1mvc;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;w,2bc0;g,1l30;g,1ix0;g,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;g,1ljc;g,1igc;g,1kl0;1s,1j4c;1s,1il0;1s,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;w,2bc0;g,1lf0;g,1jl0;g,1ju0;1s,1j30;1s,1ivo;1s,1mvc;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;g,1ljc;g,1igc;g,1kl0;1s,1j4c;1s,1il0;1s,1mvc;1s,2uxc;1s,2w9c;i,1jfi;i,1hfi;i,1l30;i,1lf0;g,2uxc;g,2w9c;1u,1jfi;1u,1hfi;1u,1l30;1u,1lf0;1s,2tc0;1s,2xlc;i,1jo0;i,1hr0;i,1l30;i,1ljc;g,2tc0;g,2xlc;1u,1jo0;1u,1hr0;1u,1l30;1u,1ljc;1s,2uo0;1s,2xxc;i,1jf0;i,1i60;i,1lf0;i,1ljc;g,2uo0;g,2xxc;1u,1jf0;1u,1i60;1u,1lf0;1u,1ljc;2,2uxc;2,2tc0;2,2uo0;2,2w9c;2,2xlc;2,2xxc;28,1jfi;28,1jo0;28,1jf0;28,1hfi;28,1hr0;28,1i60;28,1l30;28,1lf0;28,1l30;28,1ljc;28,1lf0;28,1ljc;1s,2uxc;1s,2pu0;i,1hl0;i,1fmo;i,1ix0;i,1jl0;g,2uxc;g,2pu0;1u,1hl0;1u,1fmo;1u,1ix0;1u,1jl0;1s,2tc0;1s,2q60;i,1gr6;i,1fgu;i,1ix0;i,1igc;g,2tc0;g,2q60;1u,1gr6;1u,1fgu;1u,1ix0;1u,1igc;1s,2uo0;1s,2qc0;i,1iac;i,1fx0;i,1jl0;i,1igc;g,2uo0;g,2qc0;1u,1iac;1u,1fx0;1u,1jl0;1u,1igc;2,2uxc;2,2tc0;2,2uo0;2,2pu0;2,2q60;2,2qc0;28,1hl0;28,1gr6;28,1iac;28,1fmo;28,1fgu;28,1fx0;28,1ix0;28,1jl0;28,1ix0;28,1igc;28,1jl0;28,1igc;1s,2w9c;1s,2pu0;i,1gc0;i,1jao;i,1jl0;i,1ju0;g,2w9c;g,2pu0;1u,1gc0;1u,1jao;1u,1jl0;1u,1ju0;1s,2xlc;1s,2q60;i,1gf0;i,1iao;i,1jl0;i,1kl0;g,2xlc;g,2q60;1u,1gf0;1u,1iao;1u,1jl0;1u,1kl0;1s,2xxc;1s,2qc0;i,1gju;i,1jfi;i,1ju0;i,1kl0;g,2xxc;g,2qc0;1u,1gju;1u,1jfi;1u,1ju0;1u,1kl0;2,2w9c;2,2xlc;2,2xxc;2,2pu0;2,2q60;2,2qc0;28,1gc0;28,1gf0;28,1gju;28,1jao;28,1iao;28,1jfi;28,1jl0;28,1ju0;28,1jl0;28,1kl0;28,1ju0;28,1kl0;8,qro;8,rau;8,ql6;8,lz0;4,13lo;4,1afo;8,qro;8,rau;8,ql6;8,lz0;4,13lo;4,1afo;8,n7u;8,moo;8,mvu;8,mio;4,13lo;4,12xo;8,n7u;8,moo;8,mvu;8,mio;4,13lo;4,12xo;8,q1u;8,rau;8,q3o;8,lfo;4,1afo;4,12xo;8,q1u;8,rau;8,q3o;8,lfo;4,1afo;4,12xo;c,qro;c,n7u;c,q1u;c,rau;c,moo;c,rau;c,ql6;c,mvu;c,q3o;c,lz0;c,mio;c,lfo;28,966;w,dxo;w,l00;w,ec0;w,mxo;28,8mc;8,lfo;8,m1u;8,m06;8,lz0;4,113o;4,139o;8,lfo;8,m1u;8,m06;8,lz0;4,113o;4,139o;8,q7u;8,qco;8,pgu;8,mio;4,113o;4,1blo;8,q7u;8,qco;8,pgu;8,mio;4,113o;4,1blo;8,qsu;8,qyu;8,qro;8,lfo;4,139o;4,1blo;8,qsu;8,qyu;8,qro;8,lfo;4,139o;4,1blo;c,lfo;c,q7u;c,qsu;c,m1u;c,qco;c,qyu;c,m06;c,pgu;c,qro;c,lz0;c,mio;c,lfo;2,di0;w,ei0;w,lro;w,f3o;w,kfo;2,f3o;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;8,adu;8,aro;8,9oo;4,dxo;8,9mu;4,flo;8,adu;8,aro;8,9oo;4,dxo;8,9mu;4,flo;3k,1e00;c,adu;3k,1e00;c,aro;3k,1e00;c,9oo;3k,1e00;w,6ro;3k,1e00;c,9mu;1,74c;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,1e00;3k,2bc0;3k,1e00;3k,2bc0;3k,1e00;3k,2bc0;3k,1e00;3k,2bc0;3k,1e00;3k,2bc0;3k,2bc0;3k,1e00;i,adu;i,aro;i,9oo;1s,dxo;i,9mu;1s,flo;1u,adu;1u,aro;1u,9oo;g,dxo;1u,9mu;g,flo;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;28,adu;3k,2bc0;28,aro;3k,2bc0;28,9oo;3k,2bc0;2,dxo;3k,2bc0;28,9mu;3k,2bc0;3k,2bc0;2,flo;3l,iio;3l,i3o;3l,hlo;1s,qsu;w,tro;1s,w1u;3l,iio;3l,igu;3l,i1u;1s,qyu;w,sro;1s,v6o;3l,i3o;3l,igu;a,1g1u;a,1jfi;a,1jo0;a,1jf0;3l,hlo;3l,i1u;a,1g1u;a,1hfi;a,1hr0;a,1i60;g,qsu;g,qyu;a,1jfi;a,1hfi;a,1l30;a,1lf0;g,rvu;g,qu0;a,1jo0;a,1hr0;a,1l30;a,1ljc;g,w1u;g,v6o;a,1jf0;a,1i60;a,1lf0;a,1ljc;g,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;1s,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;g,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;1s,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;g,rvu;g,qpu;2,1g1u;2,1jfi;2,1jo0;2,1jf0;1s,rvu;1s,qpu;2,1g1u;2,1jfi;2,1jo0;2,1jf0;g,qsu;g,q7u;2,1g1u;2,1hfi;2,1hr0;2,1i60;1s,qsu;1s,q7u;2,1g1u;2,1hfi;2,1hr0;2,1i60;3k,ero;3k,fro;2,1jfi;2,1hfi;2,1l30;2,1lf0;3k,ero;3k,fro;2,1jfi;2,1hfi;2,1l30;2,1lf0;3k,tro;3k,sro;2,1jo0;2,1hr0;2,1l30;2,1ljc;3k,tro;3k,sro;2,1jo0;2,1hr0;2,1l30;2,1ljc;3k,m9o;3k,mu0;2,1jf0;2,1i60;2,1lf0;2,1ljc;3k,m9o;3k,mu0;2,1jf0;2,1i60;2,1lf0;2,1ljc;2,2uxc;2,2tc0;2,2uo0;1s,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;2,2uxc;2,2tc0;2,2uo0;2,2w9c;2,2xlc;2,2xxc;1s,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;2,2w9c;2,2xlc;2,2xxc;8,1jfi;8,1jo0;8,1jf0;1s,rvu;1s,qpu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;4,qro;3k,tc0;4,q1u;8,1hfi;8,1hr0;8,1i60;1s,qsu;1s,q7u;8,1g1u;8,1hfi;8,1hr0;8,1i60;4,lfo;3k,u3o;4,qsu;8,1l30;8,1lf0;w,ero;w,fro;8,1jfi;8,1hfi;8,1l30;8,1lf0;3k,kfo;3k,mlo;8,1l30;w,2bc0;w,tro;w,sro;8,1jo0;8,1hr0;8,1l30;8,1ljc;w,kfo;w,dro;8,1lf0;w,2bc0;w,m9o;w,mu0;8,1jf0;8,1i60;8,1lf0;8,1ljc;w,mlo;3k,dro;2,2uxc;2,2tc0;2,2uo0;x,iio;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;2,2w9c;2,2xlc;2,2xxc;x,iio;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;8,1jfi;8,1jo0;8,1jf0;x,i3o;x,igu;8,1g1u;8,1jfi;8,1jo0;8,1jf0;8,1hfi;8,1hr0;8,1i60;x,hlo;x,i1u;8,1g1u;8,1hfi;8,1hr0;8,1i60;8,1l30;8,1lf0;1s,qsu;1s,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;8,1l30;8,1ljc;3k,tro;3k,sro;8,1jo0;8,1hr0;8,1l30;8,1ljc;8,1lf0;8,1ljc;1s,w1u;1s,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;3l,iio;3l,i3o;3l,hlo;1s,qsu;w,tro;1s,w1u;3l,iio;3l,i1u;3l,i4u;1s,r00;w,tro;1s,vro;3l,i3o;3l,i1u;a,1eyu;a,1hl0;a,1gr6;a,1iac;3l,hlo;3l,i4u;a,1eyu;a,1fmo;a,1fgu;a,1fx0;g,qsu;g,r00;a,1hl0;a,1fmo;a,1ix0;a,1jl0;g,rvu;g,q7u;a,1gr6;a,1fgu;a,1ix0;a,1igc;g,w1u;g,vro;a,1iac;a,1fx0;a,1jl0;a,1igc;g,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;1s,w1u;8,2vc0;8,2p00;8,2uxc;8,2tc0;8,2uo0;g,w1u;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;g,rvu;g,qvu;2,1eyu;2,1hl0;2,1gr6;2,1iac;1s,qvu;2,1eyu;2,1hl0;2,1gr6;2,1iac;g,qsu;g,q1u;2,1eyu;2,1fmo;2,1fgu;2,1fx0;1s,q1u;2,1eyu;2,1fmo;2,1fgu;2,1fx0;3k,ero;3k,elo;2,1hl0;2,1fmo;2,1ix0;2,1jl0;3k,elo;2,1hl0;2,1fmo;2,1ix0;2,1jl0;3k,tro;3k,tro;2,1gr6;2,1fgu;2,1ix0;2,1igc;3k,tro;2,1gr6;2,1fgu;2,1ix0;2,1igc;3k,m9o;3k,lu0;2,1iac;2,1fx0;2,1jl0;2,1igc;3k,lu0;2,1iac;2,1fx0;2,1jl0;2,1igc;2,2uxc;2,2tc0;2,2uo0;1s,w1u;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;2,2uxc;2,2tc0;2,2uo0;2,2pu0;2,2q60;2,2qc0;1s,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;2,2pu0;2,2q60;2,2qc0;8,1hl0;8,1gr6;8,1iac;1s,rvu;1s,qvu;8,1eyu;8,1hl0;8,1gr6;8,1iac;4,rau;3k,uc0;4,rau;8,1fmo;8,1fgu;8,1fx0;1s,qsu;1s,q1u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;4,m1u;3k,v3o;4,qyu;8,1ix0;8,1jl0;w,ero;w,elo;8,1hl0;8,1fmo;8,1ix0;8,1jl0;3k,lfo;3k,llo;8,1ix0;w,2bc0;w,tro;w,tro;8,1gr6;8,1fgu;8,1ix0;8,1igc;w,lfo;w,ero;8,1jl0;w,2bc0;w,m9o;w,lu0;8,1iac;8,1fx0;8,1jl0;8,1igc;w,llo;3k,ero;2,2uxc;2,2tc0;2,2uo0;x,iio;2,2vc0;2,2p00;2,2uxc;2,2tc0;2,2uo0;2,2pu0;2,2q60;2,2qc0;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;8,1hl0;8,1gr6;8,1iac;x,i1u;8,1eyu;8,1hl0;8,1gr6;8,1iac;8,1fmo;8,1fgu;8,1fx0;x,i4u;8,1eyu;8,1fmo;8,1fgu;8,1fx0;8,1ix0;8,1jl0;1s,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;8,1ix0;8,1igc;3k,tro;8,1gr6;8,1fgu;8,1ix0;8,1igc;8,1jl0;8,1igc;1s,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;3l,iio;3l,igu;3l,i1u;1s,qyu;w,sro;1s,v6o;3l,iio;3l,i1u;3l,i4u;1s,r00;w,tro;1s,vro;3l,igu;3l,i1u;a,1fii;a,1gc0;a,1gf0;a,1gju;3l,i1u;3l,i4u;a,1fii;a,1jao;a,1iao;a,1jfi;g,qyu;g,r00;a,1gc0;a,1jao;a,1jl0;a,1ju0;g,qu0;g,q7u;a,1gf0;a,1iao;a,1jl0;a,1kl0;g,v6o;g,vro;a,1gju;a,1jfi;a,1ju0;a,1kl0;g,w1u;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;8,2rxc;8,2v9c;8,2w9c;8,2xlc;8,2xxc;g,w1u;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;8,2ni0;8,2q3c;8,2pu0;8,2q60;8,2qc0;g,qpu;g,qvu;2,1fii;2,1gc0;2,1gf0;2,1gju;2,1fii;2,1gc0;2,1gf0;2,1gju;g,q7u;g,q1u;2,1fii;2,1jao;2,1iao;2,1jfi;2,1fii;2,1jao;2,1iao;2,1jfi;3k,fro;3k,elo;2,1gc0;2,1jao;2,1jl0;2,1ju0;2,1gc0;2,1jao;2,1jl0;2,1ju0;3k,sro;3k,tro;2,1gf0;2,1iao;2,1jl0;2,1kl0;2,1gf0;2,1iao;2,1jl0;2,1kl0;3k,mu0;3k,lu0;2,1gju;2,1jfi;2,1ju0;2,1kl0;2,1gju;2,1jfi;2,1ju0;2,1kl0;2,2w9c;2,2xlc;2,2xxc;1s,w1u;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;2,2w9c;2,2xlc;2,2xxc;2,2pu0;2,2q60;2,2qc0;1s,w1u;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;2,2pu0;2,2q60;2,2qc0;8,1gc0;8,1gf0;8,1gju;1s,qpu;1s,qvu;8,1fii;8,1gc0;8,1gf0;8,1gju;4,ql6;3k,tc0;4,q3o;8,1jao;8,1iao;8,1jfi;1s,q7u;1s,q1u;8,1fii;8,1jao;8,1iao;8,1jfi;4,m06;3k,u3o;4,qro;8,1jl0;8,1ju0;w,fro;w,elo;8,1gc0;8,1jao;8,1jl0;8,1ju0;3k,kfo;3k,m60;8,1jl0;w,2bc0;w,sro;w,tro;8,1gf0;8,1iao;8,1jl0;8,1kl0;w,kfo;w,dro;8,1ju0;w,2bc0;w,mu0;w,lu0;8,1gju;8,1jfi;8,1ju0;8,1kl0;w,m60;3k,dro;2,2w9c;2,2xlc;2,2xxc;2,2rxc;2,2v9c;2,2w9c;2,2xlc;2,2xxc;2,2pu0;2,2q60;2,2qc0;2,2ni0;2,2q3c;2,2pu0;2,2q60;2,2qc0;8,1gc0;8,1gf0;8,1gju;8,1fii;8,1gc0;8,1gf0;8,1gju;8,1jao;8,1iao;8,1jfi;8,1fii;8,1jao;8,1iao;8,1jfi;8,1jl0;8,1ju0;8,1gc0;8,1jao;8,1jl0;8,1ju0;8,1jl0;8,1kl0;8,1gf0;8,1iao;8,1jl0;8,1kl0;8,1ju0;8,1kl0;8,1gju;8,1jfi;8,1ju0;8,1kl0;4,2vc0;4,2rxc;g,1g1u;g,1jfi;g,1jo0;g,1jf0;4,2vc0;4,2ni0;g,1eyu;g,1hl0;g,1gr6;g,1iac;4,2rxc;4,2ni0;g,1fii;g,1gc0;g,1gf0;g,1gju;1s,1g1u;1s,1eyu;1s,1fii;1s,lz0;w,uo0;2o,lfo;1s,1jfi;1s,1hl0;1s,1gc0;g,lz0;4,13lo;4,1afo;1s,1jo0;1s,1gr6;1s,1gf0;g,mio;4,13lo;4,12xo;1s,1jf0;1s,1iac;1s,1gju;g,lfo;4,1afo;4,12xo;4,2vc0;4,2rxc;g,lfo;1s,qro;w,tc0;1s,q1u;1s,lfo;g,qro;g,n7u;g,q1u;4,2vc0;4,2ni0;g,mio;1s,rau;w,uc0;1s,rau;1s,mio;g,rau;g,moo;g,rau;4,2rxc;4,2ni0;g,lz0;1s,ql6;w,tc0;1s,q3o;1s,lz0;g,ql6;g,mvu;g,q3o;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;1s,1fii;1s,1eyu;1s,1g1u;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;1s,1fii;1s,1ir0;1s,1j30;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;1s,1eyu;1s,1ir0;1s,1j4c;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;1s,1g1u;1s,1j30;1s,1j4c;1w,qro;1w,n7u;1w,q1u;1s,rvu;1s,qpu;1s,lfo;k,qro;k,n7u;k,q1u;4,qro;3k,tc0;4,q1u;1w,rau;1w,moo;1w,rau;1s,rvu;1s,qvu;1s,mio;k,rau;k,moo;k,rau;4,rau;3k,uc0;4,rau;1w,ql6;1w,mvu;1w,q3o;1s,qpu;1s,qvu;1s,lz0;k,ql6;k,mvu;k,q3o;4,ql6;3k,tc0;4,q3o;g,1fii;g,1eyu;g,1g1u;k,1g1u;k,1eyu;k,1fii;1s,1fii;1s,1eyu;1s,1g1u;28,1fii;28,1eyu;28,1g1u;g,1ir0;g,1j30;k,1jfi;k,1hl0;k,1gc0;1s,1fii;1s,1ir0;1s,1j30;28,1ir0;28,1j30;g,1ir0;w,2bc0;k,1jo0;k,1gr6;k,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;28,1ir0;28,1j4c;g,1j30;w,2bc0;k,1jf0;k,1iac;k,1gju;1s,1g1u;1s,1j30;1s,1j4c;28,1j30;28,1j4c;g,1jfi;g,1jo0;g,1jf0;1s,1g1u;1s,1jfi;1s,1jo0;1s,1jf0;g,1hl0;g,1gr6;g,1iac;1s,1eyu;1s,1hl0;1s,1gr6;1s,1iac;g,1gc0;g,1gf0;g,1gju;1s,1fii;1s,1gc0;1s,1gf0;1s,1gju;4,lz0;w,uo0;10,lfo;4,lz0;4,mio;4,lfo;1s,13lo;1s,1afo;1s,lz0;g,13lo;g,1afo;1s,13lo;1s,12xo;3k,uo0;g,13lo;g,12xo;1s,1afo;1s,12xo;5c,lfo;g,1afo;g,12xo;4,2p00;4,2v9c;g,1g1u;g,1hfi;g,1hr0;g,1i60;4,2p00;4,2q3c;g,1eyu;g,1fmo;g,1fgu;g,1fx0;4,2v9c;4,2q3c;g,1fii;g,1jao;g,1iao;g,1jfi;1s,1g1u;1s,1eyu;1s,1fii;1s,lz0;w,uo0;2o,lfo;1s,1hfi;1s,1fmo;1s,1jao;g,lz0;4,113o;4,139o;1s,1hr0;1s,1fgu;1s,1iao;g,mio;4,113o;4,1blo;1s,1i60;1s,1fx0;1s,1jfi;g,lfo;4,139o;4,1blo;4,2p00;4,2v9c;g,lfo;1s,lfo;w,u3o;1s,qsu;g,lfo;g,q7u;g,qsu;4,2p00;4,2q3c;g,mio;1s,m1u;w,v3o;1s,qyu;g,m1u;g,qco;g,qyu;4,2v9c;4,2q3c;g,lz0;1s,m06;w,u3o;1s,qro;g,m06;g,pgu;g,qro;1s,1g1u;1s,1eyu;1s,1fii;g,1fii;g,1eyu;g,1g1u;1s,1fii;1s,1eyu;1s,1g1u;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;1s,1hyo;1s,1ivo;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;1s,1hyo;1s,1il0;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;1s,1ivo;1s,1il0;1w,lfo;1w,q7u;1w,qsu;1s,qsu;1s,q7u;1s,lfo;k,lfo;k,q7u;k,qsu;4,lfo;3k,u3o;4,qsu;1w,m1u;1w,qco;1w,qyu;1s,qsu;1s,q1u;1s,mio;k,m1u;k,qco;k,qyu;4,m1u;3k,v3o;4,qyu;1w,m06;1w,pgu;1w,qro;1s,q7u;1s,q1u;1s,lz0;k,m06;k,pgu;k,qro;4,m06;3k,u3o;4,qro;g,1fii;g,1eyu;g,1g1u;k,1g1u;k,1eyu;k,1fii;1s,1fii;1s,1eyu;1s,1g1u;28,1fii;28,1eyu;28,1g1u;g,1hyo;g,1ivo;k,1hfi;k,1fmo;k,1jao;1s,1fii;1s,1hyo;1s,1ivo;28,1hyo;28,1ivo;g,1hyo;w,2bc0;k,1hr0;k,1fgu;k,1iao;1s,1eyu;1s,1hyo;1s,1il0;28,1hyo;28,1il0;g,1ivo;w,2bc0;k,1i60;k,1fx0;k,1jfi;1s,1g1u;1s,1ivo;1s,1il0;28,1ivo;28,1il0;g,1hfi;g,1hr0;g,1i60;1s,1hfi;1s,1hr0;1s,1i60;g,1fmo;g,1fgu;g,1fx0;1s,1fmo;1s,1fgu;1s,1fx0;g,1jao;g,1iao;g,1jfi;1s,1jao;1s,1iao;1s,1jfi;4,lz0;w,uo0;10,lfo;4,lz0;4,mio;4,lfo;1s,113o;1s,139o;g,113o;g,139o;1s,113o;1s,1blo;g,113o;g,1blo;1s,139o;1s,1blo;g,139o;g,1blo;4,2uxc;4,2w9c;g,1jfi;g,1hfi;g,1l30;g,1lf0;4,2uxc;4,2pu0;g,1hl0;g,1fmo;g,1ix0;g,1jl0;4,2w9c;4,2pu0;g,1gc0;g,1jao;g,1jl0;g,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;a,lz0;w,l00;w,mxo;1s,1hfi;1s,1fmo;1s,1jao;a,lz0;w,lro;w,kfo;1s,1l30;1s,1ix0;1s,1jl0;4,ei0;g,aju;4,flo;1s,1lf0;1s,1jl0;1s,1ju0;4,dxo;1s,9no;4,flo;4,2uxc;4,2w9c;2,qro;2,lfo;w,kfo;w,mlo;g,ao0;g,adu;4,2uxc;4,2pu0;2,rau;2,m1u;w,lfo;w,llo;2,au0;g,aro;4,2w9c;4,2pu0;2,ql6;2,m06;w,kfo;w,m60;g,a1u;g,9oo;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;1s,1ir0;1s,1j30;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;1s,1hyo;1s,1ivo;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;1s,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;1s,1mvc;1w,ao0;1w,adu;8,qsu;8,qyu;8,qro;8,lfo;k,ao0;k,adu;8,139o;8,1blo;8,au0;1w,aro;8,qsu;8,r00;8,rau;8,m1u;8,au0;k,aro;8,129o;8,1c60;1w,a1u;1w,9oo;8,qyu;8,r00;8,ql6;8,m06;k,a1u;k,9oo;8,12u0;8,1cxo;g,1ir0;g,1j30;k,1jfi;k,1hl0;k,1gc0;1s,1fii;1s,1ir0;1s,1j30;28,1ir0;28,1j30;g,1hyo;g,1ivo;k,1hfi;k,1fmo;k,1jao;1s,1fii;1s,1hyo;1s,1ivo;28,1hyo;28,1ivo;w,2bc0;k,1l30;k,1ix0;k,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;28,1mvc;w,2bc0;k,1lf0;k,1jl0;k,1ju0;1s,1j30;1s,1ivo;1s,1mvc;28,1mvc;g,1l30;g,1lf0;1s,1l30;1s,1lf0;g,1ix0;g,1jl0;1s,1ix0;1s,1jl0;g,1jl0;g,1ju0;1s,1jl0;1s,1ju0;w,l00;w,mxo;g,ei0;g,dxo;w,lro;w,kfo;2,di0;1s,9no;1s,flo;g,flo;2,fxo;2,fxo;4,2tc0;4,2xlc;g,1jo0;g,1hr0;g,1l30;g,1ljc;4,2tc0;4,2q60;g,1gr6;g,1fgu;g,1ix0;g,1igc;4,2xlc;4,2q60;g,1gf0;g,1iao;g,1jl0;g,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;a,mio;1s,a06;1s,9mu;1s,1hr0;1s,1fgu;1s,1iao;a,mio;4,di0;4,f3o;1s,1l30;1s,1ix0;1s,1jl0;g,a06;4,di0;4,fxo;1s,1ljc;1s,1igc;1s,1kl0;g,9mu;4,f3o;4,fxo;4,2tc0;4,2xlc;2,n7u;2,q7u;2,ao0;1s,a9o;g,a9o;4,2tc0;4,2q60;2,moo;2,qco;1s,au0;1s,aju;g,aju;4,2xlc;4,2q60;2,mvu;2,pgu;2,a1u;1s,b3o;g,b3o;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;1s,1j4c;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;1s,1il0;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;1s,1mvc;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;8,ao0;1w,a9o;8,rvu;8,qu0;8,n7u;8,q7u;8,ao0;k,a9o;8,139o;8,1bu0;1w,au0;1w,aju;8,rvu;8,q7u;8,moo;8,qco;k,au0;k,aju;8,129o;8,1clo;8,a1u;1w,b3o;8,qu0;8,q7u;8,mvu;8,pgu;8,a1u;k,b3o;8,12u0;8,1a3o;g,1ir0;g,1j4c;k,1jo0;k,1gr6;k,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;28,1ir0;28,1j4c;g,1hyo;g,1il0;k,1hr0;k,1fgu;k,1iao;1s,1eyu;1s,1hyo;1s,1il0;28,1hyo;28,1il0;g,1mvc;k,1l30;k,1ix0;k,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;28,1mvc;g,1mvc;k,1ljc;k,1igc;k,1kl0;1s,1j4c;1s,1il0;1s,1mvc;28,1mvc;g,1l30;g,1ljc;1s,1ljc;g,1ix0;g,1igc;1s,1igc;g,1jl0;g,1kl0;1s,1kl0;2,ei0;4,9mu;4,9mu;1s,di0;1s,f3o;g,f3o;1s,fxo;g,fxo;1s,fxo;4,2uo0;4,2xxc;g,1jf0;g,1i60;g,1lf0;g,1ljc;4,2uo0;4,2qc0;g,1iac;g,1fx0;g,1jl0;g,1igc;4,2xxc;4,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1jf0;1s,1iac;1s,1gju;a,lfo;w,dxo;w,ec0;1s,1i60;1s,1fx0;1s,1jfi;a,lfo;w,ei0;w,f3o;1s,1lf0;1s,1jl0;1s,1ju0;1s,9gc;1s,9no;3l,74c;1s,1ljc;1s,1igc;1s,1kl0;a,9mu;1s,95o;3l,74c;4,2uo0;4,2xxc;2,q1u;2,qsu;w,f3o;w,dro;4,2uo0;4,2qc0;2,rau;2,qyu;w,dxo;w,ero;4,2xxc;4,2qc0;2,q3o;2,qro;w,exo;w,dro;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;8,adu;8,a9o;8,w1u;8,v6o;8,q1u;8,qsu;8,adu;8,a9o;8,1blo;8,1bu0;8,aro;8,aju;8,w1u;8,vro;8,rau;8,qyu;8,aro;8,aju;8,1c60;8,1clo;8,9oo;8,b3o;8,v6o;8,vro;8,q3o;8,qro;8,9oo;8,b3o;8,1cxo;8,1a3o;g,1j30;g,1j4c;k,1jf0;k,1iac;k,1gju;1s,1g1u;1s,1j30;1s,1j4c;28,1j30;28,1j4c;g,1ivo;g,1il0;k,1i60;k,1fx0;k,1jfi;1s,1g1u;1s,1ivo;1s,1il0;28,1ivo;28,1il0;g,1mvc;k,1lf0;k,1jl0;k,1ju0;1s,1j30;1s,1ivo;1s,1mvc;28,1mvc;g,1mvc;k,1ljc;k,1igc;k,1kl0;1s,1j4c;1s,1il0;1s,1mvc;28,1mvc;g,1lf0;g,1ljc;g,1jl0;g,1igc;g,1ju0;g,1kl0;y,dxo;w,ec0;w,ei0;y,f3o;2,fxo;2,flo;3k,1blo;3k,1c60;g,1ju0;g,1if0;g,1l30;g,1mvc;3k,1blo;3k,1b60;g,1j30;g,1hvo;g,1ix0;g,1ko0;3k,1c60;3k,1b60;g,1g36;g,1imu;g,1jl0;g,1jyc;1s,1ju0;1s,1j30;1s,1g36;2,1gau;2,1ir0;2,1jyc;1s,1if0;1s,1hvo;1s,1imu;2,1gau;2,1hyo;2,1ko0;1s,1l30;1s,1ix0;1s,1jl0;2,1ir0;2,1hyo;4,2bc0;1s,1mvc;1s,1ko0;1s,1jyc;2,1jyc;2,1ko0;4,2bc0;3k,1bu0;3k,1clo;g,1kl0;g,1ju0;g,1lf0;g,1mvc;3k,1bu0;3k,1d60;g,1ju0;g,1hjo;g,1jl0;g,1ko0;3k,1clo;3k,1d60;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;2,1hi0;2,1j30;2,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;2,1hi0;2,1ivo;2,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;2,1j30;2,1ivo;4,2bc0;1s,1mvc;1s,1ko0;1s,1jyc;2,1jyc;2,1ko0;4,2bc0;3k,1blo;3k,1c60;2,1ju0;2,1if0;2,1l30;2,1mvc;3k,1blo;3k,1c60;2,1ju0;2,1if0;2,1l30;2,1mvc;3k,1bu0;3k,1clo;2,1kl0;2,1ju0;2,1lf0;2,1mvc;3k,1bu0;3k,1clo;2,1kl0;2,1ju0;2,1lf0;2,1mvc;3k,1blo;3k,1b60;2,1j30;2,1hvo;2,1ix0;2,1ko0;3k,1blo;3k,1b60;2,1j30;2,1hvo;2,1ix0;2,1ko0;3k,1bu0;3k,1d60;2,1ju0;2,1hjo;2,1jl0;2,1ko0;3k,1bu0;3k,1d60;2,1ju0;2,1hjo;2,1jl0;2,1ko0;3k,1c60;3k,1b60;2,1g36;2,1imu;2,1jl0;2,1jyc;3k,1c60;3k,1b60;2,1g36;2,1imu;2,1jl0;2,1jyc;3k,1clo;3k,1d60;2,1g4c;2,1jo0;2,1ju0;2,1jyc;3k,1clo;3k,1d60;2,1g4c;2,1jo0;2,1ju0;2,1jyc;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;g,1ju0;g,1j30;g,1g36;1s,1gau;1s,1ir0;1s,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;g,1kl0;g,1ju0;g,1g4c;1s,1hi0;1s,1j30;1s,1jyc;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;g,1if0;g,1hvo;g,1imu;1s,1gau;1s,1hyo;1s,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;g,1ju0;g,1hjo;g,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;g,1l30;g,1ix0;g,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;g,1lf0;g,1jl0;g,1ju0;1s,1j30;1s,1ivo;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;g,1mvc;g,1ko0;g,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;g,1mvc;g,1ko0;g,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;1s,2vxc;1s,2w00;i,1ju0;i,1if0;i,1l30;i,1mvc;g,2vxc;g,2w00;1u,1ju0;1u,1if0;1u,1l30;1u,1mvc;1s,2x9c;1s,2wc0;i,1kl0;i,1ju0;i,1lf0;i,1mvc;g,2x9c;g,2wc0;1u,1kl0;1u,1ju0;1u,1lf0;1u,1mvc;2,2vxc;2,2x9c;2,2w00;2,2wc0;28,1ju0;28,1kl0;28,1if0;28,1ju0;28,1l30;28,1lf0;28,1mvc;28,1mvc;1s,2vxc;1s,2ri0;i,1j30;i,1hvo;i,1ix0;i,1ko0;g,2vxc;g,2ri0;1u,1j30;1u,1hvo;1u,1ix0;1u,1ko0;1s,2x9c;1s,2ro0;i,1ju0;i,1hjo;i,1jl0;i,1ko0;g,2x9c;g,2ro0;1u,1ju0;1u,1hjo;1u,1jl0;1u,1ko0;2,2vxc;2,2x9c;2,2ri0;2,2ro0;28,1j30;28,1ju0;28,1hvo;28,1hjo;28,1ix0;28,1jl0;28,1ko0;28,1ko0;1s,2w00;1s,2ri0;i,1g36;i,1imu;i,1jl0;i,1jyc;g,2w00;g,2ri0;1u,1g36;1u,1imu;1u,1jl0;1u,1jyc;1s,2wc0;1s,2ro0;i,1g4c;i,1jo0;i,1ju0;i,1jyc;g,2wc0;g,2ro0;1u,1g4c;1u,1jo0;1u,1ju0;1u,1jyc;2,2w00;2,2wc0;2,2ri0;2,2ro0;28,1g36;28,1g4c;28,1imu;28,1jo0;28,1jl0;28,1ju0;28,1jyc;28,1jyc;8,df0;8,dvu;8,dau;8,egu;4,l00;4,m9o;8,df0;8,dvu;8,dau;8,egu;4,l00;4,m9o;8,esu;8,f9o;3k,e60;3k,e60;4,mxo;4,m9o;8,esu;8,f9o;3k,e60;3k,e60;4,mxo;4,m9o;c,df0;c,esu;c,dvu;c,f9o;c,dau;3k,e60;c,egu;3k,e60;1,a06;3k,e60;w,g9o;w,efo;8,i1u;8,j6o;8,hio;8,egu;4,lro;4,uxo;8,i1u;8,j6o;8,hio;8,egu;4,lro;4,uxo;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;c,i1u;3k,1e00;c,j6o;3k,1e00;c,hio;3k,1e00;c,egu;3k,1e00;3k,e60;3k,1e00;3k,1e00;3k,e60;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;8,adu;8,aro;8,9oo;4,dxo;8,9mu;4,flo;8,adu;8,aro;8,9oo;4,dxo;8,9mu;4,flo;3k,1e00;c,adu;3k,1e00;c,aro;3k,1e00;c,9oo;3k,1e00;2,6ro;3k,1e00;c,9mu;28,74c;3k,1e00;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3l,w1u;3l,v6o;3l,q1u;3l,qsu;w,1blo;w,1bu0;3l,w1u;3l,vro;3l,rau;3l,qyu;w,1c60;w,1clo;3l,v6o;3l,vro;a,1gju;a,1jfi;a,1ju0;a,1kl0;3l,q1u;3l,rau;a,1gju;a,1hfi;a,1if0;a,1ju0;3l,qsu;3l,qyu;a,1jfi;a,1hfi;a,1l30;a,1lf0;g,iyu;g,h4u;a,1ju0;a,1if0;a,1l30;a,1mvc;g,j9o;g,iau;a,1kl0;a,1ju0;a,1lf0;a,1mvc;1,w1u;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;x,w1u;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;1,w1u;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;x,w1u;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;1,v6o;1,vro;2,1gju;2,1jfi;2,1ju0;2,1kl0;x,v6o;x,vro;2,1gju;2,1jfi;2,1ju0;2,1kl0;1,q1u;1,rau;2,1gju;2,1hfi;2,1if0;2,1ju0;x,q1u;x,rau;2,1gju;2,1hfi;2,1if0;2,1ju0;1,qsu;1,qyu;2,1jfi;2,1hfi;2,1l30;2,1lf0;x,qsu;x,qyu;2,1jfi;2,1hfi;2,1l30;2,1lf0;3k,1blo;3k,1c60;2,1ju0;2,1if0;2,1l30;2,1mvc;3k,1blo;3k,1c60;2,1ju0;2,1if0;2,1l30;2,1mvc;3k,1bu0;3k,1clo;2,1kl0;2,1ju0;2,1lf0;2,1mvc;3k,1bu0;3k,1clo;2,1kl0;2,1ju0;2,1lf0;2,1mvc;2,2vxc;2,2x9c;3l,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;2,2vxc;2,2x9c;2,2w00;2,2wc0;3l,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;2,2w00;2,2wc0;8,1ju0;8,1kl0;3l,v6o;3l,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;3k,1cxo;3k,1a3o;8,1if0;8,1ju0;3l,q1u;3l,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;3k,1afo;3k,12xo;8,1l30;8,1lf0;3l,qsu;3l,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;3k,139o;3k,1blo;w,4mo0;w,1blo;w,1c60;8,1ju0;8,1if0;8,1l30;8,1mvc;w,fxo;w,4mo0;w,1bu0;w,1clo;8,1kl0;8,1ju0;8,1lf0;8,1mvc;3k,fxo;2,2vxc;2,2x9c;x,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;2,2w00;2,2wc0;x,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;8,1ju0;8,1kl0;x,v6o;x,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,1if0;8,1ju0;x,q1u;x,rau;8,1gju;8,1hfi;8,1if0;8,1ju0;8,1l30;8,1lf0;x,qsu;x,qyu;8,1jfi;8,1hfi;8,1l30;8,1lf0;8,1mvc;3k,1blo;3k,1c60;8,1ju0;8,1if0;8,1l30;8,1mvc;8,1mvc;3k,1bu0;3k,1clo;8,1kl0;8,1ju0;8,1lf0;8,1mvc;3l,w1u;3l,v6o;3l,q1u;3l,qsu;w,1blo;w,1bu0;3l,w1u;3l,v1u;3l,qo0;3l,r00;w,1b60;w,1d60;3l,v6o;3l,v1u;a,1gpo;a,1hl0;a,1j30;a,1ju0;3l,q1u;3l,qo0;a,1gpo;a,1fmo;a,1hvo;a,1hjo;3l,qsu;3l,r00;a,1hl0;a,1fmo;a,1ix0;a,1jl0;g,iyu;g,hio;a,1j30;a,1hvo;a,1ix0;a,1ko0;g,j9o;g,i3o;a,1ju0;a,1hjo;a,1jl0;a,1ko0;1,w1u;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;x,w1u;8,2xxc;8,2rlc;8,2uxc;8,2vxc;8,2x9c;1,w1u;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;1,v6o;1,v1u;2,1gpo;2,1hl0;2,1j30;2,1ju0;x,v1u;2,1gpo;2,1hl0;2,1j30;2,1ju0;1,q1u;1,qo0;2,1gpo;2,1fmo;2,1hvo;2,1hjo;x,qo0;2,1gpo;2,1fmo;2,1hvo;2,1hjo;1,qsu;1,r00;2,1hl0;2,1fmo;2,1ix0;2,1jl0;x,r00;2,1hl0;2,1fmo;2,1ix0;2,1jl0;3k,1blo;3k,1b60;2,1j30;2,1hvo;2,1ix0;2,1ko0;3k,1b60;2,1j30;2,1hvo;2,1ix0;2,1ko0;3k,1bu0;3k,1d60;2,1ju0;2,1hjo;2,1jl0;2,1ko0;3k,1d60;2,1ju0;2,1hjo;2,1jl0;2,1ko0;2,2vxc;2,2x9c;3l,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;2,2vxc;2,2x9c;2,2ri0;2,2ro0;3l,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;2,2ri0;2,2ro0;8,1j30;8,1ju0;3l,v6o;3l,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;3k,1bxo;3k,1ao0;8,1hvo;8,1hjo;3l,q1u;3l,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;3k,19fo;3k,13i0;8,1ix0;8,1jl0;3l,qsu;3l,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;3k,129o;3k,1c60;w,4mo0;w,1blo;w,1b60;8,1j30;8,1hvo;8,1ix0;8,1ko0;3k,g60;w,4mo0;w,1bu0;w,1d60;8,1ju0;8,1hjo;8,1jl0;8,1ko0;w,g60;2,2vxc;2,2x9c;x,w1u;2,2xxc;2,2rlc;2,2uxc;2,2vxc;2,2x9c;2,2ri0;2,2ro0;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;8,1j30;8,1ju0;x,v1u;8,1gpo;8,1hl0;8,1j30;8,1ju0;8,1hvo;8,1hjo;x,qo0;8,1gpo;8,1fmo;8,1hvo;8,1hjo;8,1ix0;8,1jl0;x,r00;8,1hl0;8,1fmo;8,1ix0;8,1jl0;8,1ko0;3k,1b60;8,1j30;8,1hvo;8,1ix0;8,1ko0;8,1ko0;3k,1d60;8,1ju0;8,1hjo;8,1jl0;8,1ko0;3l,w1u;3l,vro;3l,rau;3l,qyu;w,1c60;w,1clo;3l,w1u;3l,v1u;3l,qo0;3l,r00;w,1b60;w,1d60;3l,vro;3l,v1u;a,1g1u;a,1gc0;a,1g36;a,1g4c;3l,rau;3l,qo0;a,1g1u;a,1jao;a,1imu;a,1jo0;3l,qyu;3l,r00;a,1gc0;a,1jao;a,1jl0;a,1ju0;g,h4u;g,hio;a,1g36;a,1imu;a,1jl0;a,1jyc;g,iau;g,i3o;a,1g4c;a,1jo0;a,1ju0;a,1jyc;1,w1u;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;8,2qc0;8,2to0;8,2w9c;8,2w00;8,2wc0;1,w1u;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;8,2ou0;8,2rfc;8,2pu0;8,2ri0;8,2ro0;1,vro;1,v1u;2,1g1u;2,1gc0;2,1g36;2,1g4c;2,1g1u;2,1gc0;2,1g36;2,1g4c;1,rau;1,qo0;2,1g1u;2,1jao;2,1imu;2,1jo0;2,1g1u;2,1jao;2,1imu;2,1jo0;1,qyu;1,r00;2,1gc0;2,1jao;2,1jl0;2,1ju0;2,1gc0;2,1jao;2,1jl0;2,1ju0;3k,1c60;3k,1b60;2,1g36;2,1imu;2,1jl0;2,1jyc;2,1g36;2,1imu;2,1jl0;2,1jyc;3k,1clo;3k,1d60;2,1g4c;2,1jo0;2,1ju0;2,1jyc;2,1g4c;2,1jo0;2,1ju0;2,1jyc;2,2w00;2,2wc0;3l,w1u;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;2,2w00;2,2wc0;2,2ri0;2,2ro0;3l,w1u;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;2,2ri0;2,2ro0;8,1g36;8,1g4c;3l,vro;3l,v1u;8,1g1u;8,1gc0;8,1g36;8,1g4c;3k,1ci0;3k,1bfo;8,1imu;8,1jo0;3l,rau;3l,qo0;8,1g1u;8,1jao;8,1imu;8,1jo0;3k,1a00;3k,149o;8,1jl0;8,1ju0;3l,qyu;3l,r00;8,1gc0;8,1jao;8,1jl0;8,1ju0;3k,12u0;3k,1cxo;w,4mo0;w,1c60;w,1b60;8,1g36;8,1imu;8,1jl0;8,1jyc;3k,gxo;w,4mo0;w,1clo;w,1d60;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,gxo;2,2w00;2,2wc0;2,2qc0;2,2to0;2,2w9c;2,2w00;2,2wc0;2,2ri0;2,2ro0;2,2ou0;2,2rfc;2,2pu0;2,2ri0;2,2ro0;8,1g36;8,1g4c;8,1g1u;8,1gc0;8,1g36;8,1g4c;8,1imu;8,1jo0;8,1g1u;8,1jao;8,1imu;8,1jo0;8,1jl0;8,1ju0;8,1gc0;8,1jao;8,1jl0;8,1ju0;8,1jyc;8,1g36;8,1imu;8,1jl0;8,1jyc;8,1jyc;8,1g4c;8,1jo0;8,1ju0;8,1jyc;4,2xxc;4,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;4,2xxc;4,2ou0;g,1gpo;g,1hl0;g,1j30;g,1ju0;4,2qc0;4,2ou0;g,1g1u;g,1gc0;g,1g36;g,1g4c;1s,1gju;1s,1gpo;1s,1g1u;3l,lz0;w,1aro;w,11ro;1s,1jfi;1s,1hl0;1s,1gc0;3l,lz0;w,13lo;w,1afo;1s,1ju0;1s,1j30;1s,1g36;g,egu;4,l00;4,m9o;1s,1kl0;1s,1ju0;1s,1g4c;g,d9o;4,mxo;4,m9o;4,2xxc;4,2qc0;1,q3o;1,qro;w,1cxo;w,1a3o;x,q3o;x,qro;g,df0;g,esu;4,2xxc;4,2ou0;1,pyu;1,rau;w,1bxo;w,1ao0;x,pyu;x,rau;g,dvu;g,f9o;4,2qc0;4,2ou0;1,qc6;1,ql6;w,1ci0;w,1bfo;x,qc6;x,ql6;g,dau;g,dyu;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;1s,1fii;1s,1gau;1s,1hi0;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;1s,1fii;1s,1ir0;1s,1j30;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;1s,1gau;1s,1ir0;1s,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;1s,1hi0;1s,1j30;1s,1jyc;1w,df0;1w,esu;3l,v6o;3l,vro;3l,q3o;3l,qro;k,df0;k,esu;3k,1cxo;3k,1a3o;1w,dvu;1w,f9o;3l,v6o;3l,v1u;3l,pyu;3l,rau;k,dvu;k,f9o;3k,1bxo;3k,1ao0;1w,dau;1w,dyu;3l,vro;3l,v1u;3l,qc6;3l,ql6;k,dau;k,dyu;3k,1ci0;3k,1bfo;g,1gau;g,1hi0;k,1gju;k,1gpo;k,1g1u;1s,1fii;1s,1gau;1s,1hi0;28,1gau;28,1hi0;g,1ir0;g,1j30;k,1jfi;k,1hl0;k,1gc0;1s,1fii;1s,1ir0;1s,1j30;28,1ir0;28,1j30;w,4mo0;k,1ju0;k,1j30;k,1g36;1s,1gau;1s,1ir0;1s,1jyc;28,1jyc;w,4mo0;k,1kl0;k,1ju0;k,1g4c;1s,1hi0;1s,1j30;1s,1jyc;28,1jyc;g,1ju0;g,1kl0;1s,1gju;1s,1jfi;1s,1ju0;1s,1kl0;g,1j30;g,1ju0;1s,1gpo;1s,1hl0;1s,1j30;1s,1ju0;g,1g36;g,1g4c;1s,1g1u;1s,1gc0;1s,1g36;1s,1g4c;w,1aro;w,11ro;x,lz0;4,egu;4,d9o;w,13lo;w,1afo;x,lz0;g,l00;g,mxo;1s,m9o;3k,1aro;3k,13lo;g,m9o;1s,m9o;3k,11ro;3k,1afo;g,m9o;4,2rlc;4,2to0;g,1gju;g,1hfi;g,1if0;g,1ju0;4,2rlc;4,2rfc;g,1gpo;g,1fmo;g,1hvo;g,1hjo;4,2to0;4,2rfc;g,1g1u;g,1jao;g,1imu;g,1jo0;1s,1gju;1s,1gpo;1s,1g1u;3l,lz0;w,1aro;w,11ro;1s,1hfi;1s,1fmo;1s,1jao;3l,lz0;w,113o;w,139o;1s,1if0;1s,1hvo;1s,1imu;g,egu;4,lro;4,uxo;1s,1ju0;1s,1hjo;1s,1jo0;g,d9o;4,kfo;4,uxo;4,2rlc;4,2to0;1,q3o;1,lfo;w,1afo;w,12xo;x,lfo;g,i1u;g,hvu;4,2rlc;4,2rfc;1,pyu;1,m1u;w,19fo;w,13i0;x,m1u;g,j6o;g,h9o;4,2to0;4,2rfc;1,qc6;1,m06;w,1a00;w,149o;x,m06;g,hio;g,gyu;1s,1gju;1s,1gpo;1s,1g1u;g,1fii;g,1gau;g,1hi0;1s,1fii;1s,1gau;1s,1hi0;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;1s,1hyo;1s,1ivo;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;1s,1hyo;1s,1ko0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;1s,1ivo;1s,1ko0;1w,i1u;1w,hvu;3l,q1u;3l,rau;3l,q3o;3l,lfo;k,i1u;k,hvu;3k,1afo;3k,12xo;1w,j6o;1w,h9o;3l,q1u;3l,qo0;3l,pyu;3l,m1u;k,j6o;k,h9o;3k,19fo;3k,13i0;1w,hio;1w,gyu;3l,rau;3l,qo0;3l,qc6;3l,m06;k,hio;k,gyu;3k,1a00;3k,149o;g,1gau;g,1hi0;k,1gju;k,1gpo;k,1g1u;1s,1fii;1s,1gau;1s,1hi0;28,1gau;28,1hi0;g,1hyo;g,1ivo;k,1hfi;k,1fmo;k,1jao;1s,1fii;1s,1hyo;1s,1ivo;28,1hyo;28,1ivo;w,4mo0;k,1if0;k,1hvo;k,1imu;1s,1gau;1s,1hyo;1s,1ko0;28,1ko0;w,4mo0;k,1ju0;k,1hjo;k,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;28,1ko0;g,1if0;g,1ju0;1s,1hfi;1s,1if0;1s,1ju0;g,1hvo;g,1hjo;1s,1fmo;1s,1hvo;1s,1hjo;g,1imu;g,1jo0;1s,1jao;1s,1imu;1s,1jo0;w,1aro;w,11ro;x,lz0;4,egu;4,d9o;w,113o;w,139o;g,lro;g,kfo;1s,uxo;3k,113o;g,uxo;1s,uxo;3k,139o;g,uxo;4,2uxc;4,2w9c;g,1jfi;g,1hfi;g,1l30;g,1lf0;4,2uxc;4,2pu0;g,1hl0;g,1fmo;g,1ix0;g,1jl0;4,2w9c;4,2pu0;g,1gc0;g,1jao;g,1jl0;g,1ju0;1s,1jfi;1s,1hl0;1s,1gc0;3l,lz0;w,13lo;w,1afo;1s,1hfi;1s,1fmo;1s,1jao;3l,lz0;w,113o;w,139o;1s,1l30;1s,1ix0;1s,1jl0;4,ei0;w,di0;w,fxo;1s,1lf0;1s,1jl0;1s,1ju0;4,dxo;1s,9no;4,flo;4,2uxc;4,2w9c;1,qro;1,lfo;w,139o;w,1blo;g,ao0;g,adu;4,2uxc;4,2pu0;1,rau;1,m1u;w,129o;w,1c60;x,au0;g,aro;4,2w9c;4,2pu0;1,ql6;1,m06;w,12u0;w,1cxo;g,a1u;g,9oo;1s,1jfi;1s,1hl0;1s,1gc0;g,1fii;g,1ir0;g,1j30;1s,1ir0;1s,1j30;1s,1hfi;1s,1fmo;1s,1jao;g,1fii;g,1hyo;g,1ivo;1s,1hyo;1s,1ivo;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;1s,1mvc;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;1s,1mvc;1w,ao0;1w,adu;3l,qsu;3l,qyu;3l,qro;3l,lfo;k,ao0;k,adu;3k,139o;3k,1blo;3l,au0;1w,aro;3l,qsu;3l,r00;3l,rau;3l,m1u;3l,au0;k,aro;3k,129o;3k,1c60;1w,a1u;1w,9oo;3l,qyu;3l,r00;3l,ql6;3l,m06;k,a1u;k,9oo;3k,12u0;3k,1cxo;g,1ir0;g,1j30;k,1jfi;k,1hl0;k,1gc0;1s,1fii;1s,1ir0;1s,1j30;28,1ir0;28,1j30;g,1hyo;g,1ivo;k,1hfi;k,1fmo;k,1jao;1s,1fii;1s,1hyo;1s,1ivo;28,1hyo;28,1ivo;w,4mo0;k,1l30;k,1ix0;k,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;28,1mvc;w,4mo0;k,1lf0;k,1jl0;k,1ju0;1s,1j30;1s,1ivo;1s,1mvc;28,1mvc;g,1l30;g,1lf0;1s,1l30;1s,1lf0;g,1ix0;g,1jl0;1s,1ix0;1s,1jl0;g,1jl0;g,1ju0;1s,1jl0;1s,1ju0;w,13lo;w,1afo;g,ei0;g,dxo;w,113o;w,139o;3k,di0;1s,9no;w,fxo;g,flo;3k,fxo;3k,fxo;4,2vxc;4,2w00;g,1ju0;g,1if0;g,1l30;g,1mvc;4,2vxc;4,2ri0;g,1j30;g,1hvo;g,1ix0;g,1ko0;4,2w00;4,2ri0;g,1g36;g,1imu;g,1jl0;g,1jyc;1s,1ju0;1s,1j30;1s,1g36;a,egu;3l,a06;w,efo;1s,1if0;1s,1hvo;1s,1imu;a,egu;a,aju;g,9bo;1s,1l30;1s,1ix0;1s,1jl0;3l,a06;w,di0;w,fxo;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2vxc;4,2w00;2,df0;2,i1u;2,ao0;w,flo;1s,74c;4,2vxc;4,2ri0;2,dvu;2,j6o;1,au0;w,g60;1s,9bo;4,2w00;4,2ri0;2,dau;2,hio;2,a1u;w,gxo;1s,a1c;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;1s,1jyc;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;1s,1ko0;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;w,8c0;8,iyu;8,h4u;8,df0;8,i1u;8,ao0;1s,74c;8,v60;g,9bo;8,iyu;8,hio;8,dvu;8,j6o;3l,au0;1s,9bo;8,vxo;g,a1c;8,h4u;8,hio;8,dau;8,hio;8,a1u;1s,a1c;8,tfo;g,1jyc;k,1ju0;k,1j30;k,1g36;1s,1gau;1s,1ir0;1s,1jyc;28,1jyc;g,1ko0;k,1if0;k,1hvo;k,1imu;1s,1gau;1s,1hyo;1s,1ko0;28,1ko0;g,1mvc;k,1l30;k,1ix0;k,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;28,1mvc;k,1mvc;k,1ko0;k,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;g,1mvc;1s,1mvc;g,1ko0;1s,1ko0;g,1jyc;1s,1jyc;w,efo;1s,a1c;g,9bo;1s,9bo;w,fxo;1s,74c;4,2x9c;4,2wc0;g,1kl0;g,1ju0;g,1lf0;g,1mvc;4,2x9c;4,2ro0;g,1ju0;g,1hjo;g,1jl0;g,1ko0;4,2wc0;4,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;a,d9o;w,dxo;w,g9o;1s,1ju0;1s,1hjo;1s,1jo0;a,d9o;w,ei0;w,dro;1s,1lf0;1s,1jl0;1s,1ju0;1s,9gc;1s,9no;g,74c;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2x9c;4,2wc0;2,esu;2,hvu;w,f3o;w,fxo;4,2x9c;4,2ro0;2,f9o;2,h9o;w,dxo;w,exo;4,2wc0;4,2ro0;2,dyu;2,gyu;w,exo;w,fi0;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;g,74c;8,j9o;8,iau;8,esu;8,hvu;8,adu;1s,74c;8,v60;g,9bo;8,j9o;8,i3o;8,f9o;8,h9o;8,aro;1s,9bo;8,vxo;g,a1c;8,iau;8,i3o;8,dyu;8,gyu;8,9oo;1s,a1c;8,tfo;g,1jyc;k,1kl0;k,1ju0;k,1g4c;1s,1hi0;1s,1j30;1s,1jyc;28,1jyc;g,1ko0;k,1ju0;k,1hjo;k,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;28,1ko0;g,1mvc;k,1lf0;k,1jl0;k,1ju0;1s,1j30;1s,1ivo;1s,1mvc;28,1mvc;k,1mvc;k,1ko0;k,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;g,1mvc;g,1ko0;g,1jyc;w,g9o;w,dro;g,74c;3k,1s60;3k,1po0;g,1jyc;3k,1r60;g,1ljc;g,1mvc;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;g,1igc;g,1ko0;3k,1po0;3k,1qfo;g,1gyc;3k,1pfo;g,1kl0;g,1jyc;1s,1jyc;3k,1j9o;1s,1gyc;3k,1i9o;2,1j4c;2,1jyc;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;2,1il0;2,1ko0;1s,1ljc;1s,1igc;1s,1kl0;2,1j4c;2,1il0;2,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;2,1jyc;2,1ko0;2,1mvc;3k,1s60;3k,1po0;2,1jyc;3k,1r60;2,1ljc;2,1mvc;3k,1s60;3k,1po0;2,1jyc;3k,1r60;2,1ljc;2,1mvc;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;2,1igc;2,1ko0;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;2,1igc;2,1ko0;3k,1po0;3k,1qfo;2,1gyc;3k,1pfo;2,1kl0;2,1jyc;3k,1po0;3k,1qfo;2,1gyc;3k,1pfo;2,1kl0;2,1jyc;1s,1jyc;3k,1j9o;1s,1gyc;3k,1i9o;g,1j4c;g,1jyc;g,1jyc;3k,1j9o;g,1gyc;3k,1i9o;1s,1j4c;1s,1jyc;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;g,1il0;g,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;1s,1il0;1s,1ko0;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;g,1ljc;g,1igc;g,1kl0;1s,1j4c;1s,1il0;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;g,1mvc;g,1ko0;g,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;1s,2vo0;1s,2xo0;i,1jyc;i,1jac;i,1ljc;i,1mvc;g,2vo0;g,2xo0;1u,1jyc;1u,1jac;1u,1ljc;1u,1mvc;2,2vo0;2,2xo0;28,1jyc;28,1jac;28,1ljc;28,1mvc;1s,2vo0;1s,2s00;i,1j4c;i,1hi0;i,1igc;i,1ko0;g,2vo0;g,2s00;1u,1j4c;1u,1hi0;1u,1igc;1u,1ko0;2,2vo0;2,2s00;28,1j4c;28,1hi0;28,1igc;28,1ko0;1s,2xo0;1s,2s00;i,1gyc;i,1jf0;i,1kl0;i,1jyc;g,2xo0;g,2s00;1u,1gyc;1u,1jf0;1u,1kl0;1u,1jyc;2,2xo0;2,2s00;28,1gyc;28,1jf0;28,1kl0;28,1jyc;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;3k,1e00;1s,ceo;1s,awo;1,9su;1,apu;w,f3o;w,dro;g,ceo;g,awo;x,9su;x,apu;1u,95o;1u,9bo;2,ceo;2,awo;1,9su;1,apu;w,f3o;w,dro;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,2bc0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3k,4mo0;3l,12su;3l,zdu;3l,13co;w,tro;w,1blo;w,1s60;3l,12su;3l,yf0;3l,11au;w,sro;w,1c60;w,1po0;3l,zdu;3l,yf0;a,1g4c;a,1jo0;a,1ju0;a,1jyc;3l,13co;3l,11au;a,1g4c;a,1hr0;a,1if0;w,1r60;3l,rvu;3l,qu0;a,1jo0;a,1hr0;a,1l30;a,1ljc;3l,iyu;3l,h4u;a,1ju0;a,1if0;a,1l30;a,1mvc;g,b3o;g,bro;a,1jyc;a,1jac;a,1ljc;a,1mvc;1,12su;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;x,12su;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;1,12su;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;x,12su;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;1,zdu;1,yf0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;x,zdu;x,yf0;2,1g4c;2,1jo0;2,1ju0;2,1jyc;1,13co;1,11au;2,1g4c;2,1hr0;2,1if0;w,1r60;x,13co;x,11au;2,1g4c;2,1hr0;2,1if0;2,1jac;3k,tro;3k,sro;2,1jo0;2,1hr0;2,1l30;2,1ljc;3k,tro;3k,sro;2,1jo0;2,1hr0;2,1l30;2,1ljc;3k,1blo;3k,1c60;2,1ju0;2,1if0;2,1l30;2,1mvc;3k,1blo;3k,1c60;2,1ju0;2,1if0;2,1l30;2,1mvc;3k,1s60;3k,1po0;2,1jyc;3k,1r60;2,1ljc;2,1mvc;3k,1s60;3k,1po0;2,1jyc;3k,1r60;2,1ljc;2,1mvc;2,2vo0;3l,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;2,2vo0;2,2xo0;3l,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;2,2xo0;8,1jyc;3l,zdu;3l,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;3k,1ii0;8,1jac;3l,13co;3l,11au;8,1g4c;8,1hr0;8,1if0;8,1jac;3k,1r60;w,2bc0;w,tro;w,sro;8,1jo0;8,1hr0;8,1l30;8,1ljc;3k,1bu0;w,4mo0;w,1blo;w,1c60;8,1ju0;8,1if0;8,1l30;8,1mvc;3k,v60;w,1s60;w,1po0;8,1jyc;w,1r60;8,1ljc;8,1mvc;2,2vo0;x,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;2,2xo0;x,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;8,1jyc;x,zdu;x,yf0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,1r60;x,13co;x,11au;8,1g4c;8,1hr0;8,1if0;8,1jac;8,1ljc;3k,tro;3k,sro;8,1jo0;8,1hr0;8,1l30;8,1ljc;8,1mvc;3k,1blo;3k,1c60;8,1ju0;8,1if0;8,1l30;8,1mvc;3k,1s60;3k,1po0;8,1jyc;3k,1r60;8,1ljc;8,1mvc;3l,12su;3l,zdu;3l,13co;w,tro;w,1blo;w,1s60;3l,12su;3l,y7u;3l,11ro;w,tro;w,1b60;w,1qfo;3l,zdu;3l,y7u;a,1gyu;a,1gr6;a,1j30;w,1j9o;3l,13co;3l,11ro;a,1gyu;a,1fgu;a,1hvo;w,1rxo;3l,rvu;3l,q7u;a,1gr6;a,1fgu;a,1ix0;a,1igc;3l,iyu;3l,hio;a,1j30;a,1hvo;a,1ix0;a,1ko0;g,b3o;g,bgu;a,1j4c;a,1hi0;a,1igc;a,1ko0;1,12su;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;x,12su;8,2wc0;8,2q00;8,2tc0;8,2vxc;8,2vo0;1,12su;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;1,zdu;1,y7u;2,1gyu;2,1gr6;2,1j30;w,1j9o;x,y7u;2,1gyu;2,1gr6;2,1j30;2,1j4c;1,13co;1,11ro;2,1gyu;2,1fgu;2,1hvo;w,1rxo;x,11ro;2,1gyu;2,1fgu;2,1hvo;2,1hi0;3k,tro;3k,tro;2,1gr6;2,1fgu;2,1ix0;2,1igc;3k,tro;2,1gr6;2,1fgu;2,1ix0;2,1igc;3k,1blo;3k,1b60;2,1j30;2,1hvo;2,1ix0;2,1ko0;3k,1b60;2,1j30;2,1hvo;2,1ix0;2,1ko0;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;2,1igc;2,1ko0;3k,1qfo;3k,1j9o;3k,1rxo;2,1igc;2,1ko0;2,2vo0;3l,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;2,2vo0;2,2s00;3l,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;2,2s00;8,1j4c;3l,zdu;3l,y7u;8,1gyu;8,1gr6;8,1j30;8,1j4c;3k,1j9o;8,1hi0;3l,13co;3l,11ro;8,1gyu;8,1fgu;8,1hvo;8,1hi0;3k,1rxo;w,2bc0;w,tro;w,tro;8,1gr6;8,1fgu;8,1ix0;8,1igc;3k,1clo;w,4mo0;w,1blo;w,1b60;8,1j30;8,1hvo;8,1ix0;8,1ko0;3k,vxo;w,1s60;w,1qfo;w,1j9o;w,1rxo;8,1igc;8,1ko0;2,2vo0;x,12su;2,2wc0;2,2q00;2,2tc0;2,2vxc;2,2vo0;2,2s00;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;w,1j9o;x,y7u;8,1gyu;8,1gr6;8,1j30;8,1j4c;w,1rxo;x,11ro;8,1gyu;8,1fgu;8,1hvo;8,1hi0;8,1igc;3k,tro;8,1gr6;8,1fgu;8,1ix0;8,1igc;8,1ko0;3k,1b60;8,1j30;8,1hvo;8,1ix0;8,1ko0;3k,1qfo;3k,1j9o;3k,1rxo;8,1igc;8,1ko0;3l,12su;3l,yf0;3l,11au;w,sro;w,1c60;w,1po0;3l,12su;3l,y7u;3l,11ro;w,tro;w,1b60;w,1qfo;3l,yf0;3l,y7u;a,1f4u;a,1gf0;a,1g36;a,1gyc;3l,11au;3l,11ro;a,1f4u;a,1iao;a,1imu;w,1pfo;3l,qu0;3l,q7u;a,1gf0;a,1iao;a,1jl0;a,1kl0;3l,h4u;3l,hio;a,1g36;a,1imu;a,1jl0;a,1jyc;g,bro;g,bgu;a,1gyc;a,1jf0;a,1kl0;a,1jyc;1,12su;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;8,2ro0;8,2v00;8,2xlc;8,2w00;8,2xo0;1,12su;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;8,2p60;8,2rrc;8,2q60;8,2ri0;8,2s00;1,yf0;1,y7u;2,1f4u;2,1gf0;2,1g36;2,1gyc;2,1f4u;2,1gf0;2,1g36;2,1gyc;1,11au;1,11ro;2,1f4u;2,1iao;2,1imu;w,1pfo;2,1f4u;2,1iao;2,1imu;2,1jf0;3k,sro;3k,tro;2,1gf0;2,1iao;2,1jl0;2,1kl0;2,1gf0;2,1iao;2,1jl0;2,1kl0;3k,1c60;3k,1b60;2,1g36;2,1imu;2,1jl0;2,1jyc;2,1g36;2,1imu;2,1jl0;2,1jyc;3k,1po0;3k,1qfo;2,1gyc;3k,1pfo;2,1kl0;2,1jyc;2,1gyc;3k,1pfo;2,1kl0;2,1jyc;2,2xo0;3l,12su;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;2,2xo0;2,2s00;3l,12su;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;2,2s00;8,1gyc;3l,yf0;3l,y7u;8,1f4u;8,1gf0;8,1g36;8,1gyc;3k,1gro;8,1jf0;3l,11au;3l,11ro;8,1f4u;8,1iao;8,1imu;8,1jf0;3k,1pfo;w,2bc0;w,sro;w,tro;8,1gf0;8,1iao;8,1jl0;8,1kl0;3k,1a3o;w,4mo0;w,1c60;w,1b60;8,1g36;8,1imu;8,1jl0;8,1jyc;3k,tfo;w,1po0;w,1qfo;8,1gyc;w,1pfo;8,1kl0;8,1jyc;2,2xo0;2,2ro0;2,2v00;2,2xlc;2,2w00;2,2xo0;2,2s00;2,2p60;2,2rrc;2,2q60;2,2ri0;2,2s00;8,1gyc;8,1f4u;8,1gf0;8,1g36;8,1gyc;w,1pfo;8,1f4u;8,1iao;8,1imu;8,1jf0;8,1kl0;8,1gf0;8,1iao;8,1jl0;8,1kl0;8,1jyc;8,1g36;8,1imu;8,1jl0;8,1jyc;8,1gyc;3k,1pfo;8,1kl0;8,1jyc;4,2wc0;4,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;4,2wc0;4,2p60;g,1gyu;g,1gr6;g,1j30;w,1j9o;4,2ro0;4,2p60;g,1f4u;g,1gf0;g,1g36;g,1gyc;1s,1g4c;1s,1gyu;1s,1f4u;w,uo0;w,1aro;w,1i9o;1s,1jo0;1s,1gr6;1s,1gf0;3l,mio;w,13lo;w,12xo;1s,1ju0;1s,1j30;1s,1g36;3l,egu;w,l00;w,m9o;1s,1jyc;1s,1j4c;1s,1gyc;4,gu0;w,ec0;w,g9o;4,2wc0;4,2ro0;1,ygu;w,tc0;w,1cxo;w,1ii0;x,ygu;x,n7u;x,df0;8,b2o;4,2wc0;4,2p60;1,z0o;w,uc0;w,1bxo;w,1j9o;x,z0o;x,moo;x,dvu;g,ayu;4,2ro0;4,2p60;1,y7u;w,tc0;w,1ci0;w,1gro;x,y7u;x,mvu;x,dau;8,c60;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;w,1i9o;1s,1eyu;1s,1gau;1s,1gyc;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;1s,1eyu;1s,1ir0;1s,1j4c;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;1s,1gau;1s,1ir0;1s,1jyc;1s,1jyc;3k,1j9o;1s,1gyc;3k,1i9o;g,1j4c;g,1jyc;3k,1i9o;1s,1j4c;1s,1jyc;2,b2o;3l,zdu;3l,yf0;3l,ygu;3l,n7u;3l,df0;2,b2o;3k,1ii0;1w,ayu;3l,zdu;3l,y7u;3l,z0o;3l,moo;3l,dvu;k,ayu;3k,1j9o;w,e60;3l,yf0;3l,y7u;3l,y7u;3l,mvu;3l,dau;2,c60;3k,1gro;g,1gyc;k,1g4c;k,1gyu;k,1f4u;1s,1eyu;1s,1gau;1s,1gyc;3k,1i9o;w,2bc0;k,1jo0;k,1gr6;k,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;28,1j4c;w,4mo0;k,1ju0;k,1j30;k,1g36;1s,1gau;1s,1ir0;1s,1jyc;28,1jyc;k,1jyc;w,1j9o;k,1gyc;w,1i9o;1s,1j4c;1s,1jyc;g,1jyc;1s,1g4c;1s,1jo0;1s,1ju0;1s,1jyc;w,1j9o;1s,1gyu;1s,1gr6;1s,1j30;1s,1j4c;g,1gyc;1s,1f4u;1s,1gf0;1s,1g36;1s,1gyc;w,1i9o;x,mio;x,egu;g,gu0;w,12xo;3k,uo0;3k,l00;3k,ec0;w,m9o;3k,1aro;3k,13lo;3k,g9o;3k,1i9o;3k,12xo;3k,m9o;4,2q00;4,2v00;g,1g4c;g,1hr0;g,1if0;w,1r60;4,2q00;4,2rrc;g,1gyu;g,1fgu;g,1hvo;w,1rxo;4,2v00;4,2rrc;g,1f4u;g,1iao;g,1imu;w,1pfo;1s,1g4c;1s,1gyu;1s,1f4u;w,uo0;w,1aro;w,1i9o;1s,1hr0;1s,1fgu;1s,1iao;3l,mio;w,113o;w,1blo;1s,1if0;1s,1hvo;1s,1imu;3l,egu;w,lro;w,uxo;1s,1jac;1s,1hi0;1s,1jf0;3l,apu;w,f3o;w,dro;4,2q00;4,2v00;1,ygu;w,u3o;w,1afo;w,1r60;x,q7u;x,i1u;8,ceo;4,2q00;4,2rrc;1,z0o;w,v3o;w,19fo;w,1rxo;x,qco;x,j6o;8,awo;4,2v00;4,2rrc;1,y7u;w,u3o;w,1a00;w,1pfo;x,pgu;x,hio;x,9su;1s,1g4c;1s,1gyu;1s,1f4u;g,1eyu;g,1gau;w,1i9o;1s,1eyu;1s,1gau;1s,1gyc;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;1s,1hyo;1s,1il0;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;1s,1hyo;1s,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;g,1il0;g,1ko0;1s,1il0;1s,1ko0;2,ceo;3l,13co;3l,11au;3l,ygu;3l,q7u;3l,i1u;2,ceo;3k,1r60;2,awo;3l,13co;3l,11ro;3l,z0o;3l,qco;3l,j6o;2,awo;3k,1rxo;w,e60;3l,11au;3l,11ro;3l,y7u;3l,pgu;3l,hio;3l,9su;3k,1pfo;g,1gyc;k,1g4c;k,1gyu;k,1f4u;1s,1eyu;1s,1gau;1s,1gyc;3k,1i9o;w,2bc0;k,1hr0;k,1fgu;k,1iao;1s,1eyu;1s,1hyo;1s,1il0;28,1il0;w,4mo0;k,1if0;k,1hvo;k,1imu;1s,1gau;1s,1hyo;1s,1ko0;28,1ko0;w,1r60;w,1rxo;w,1pfo;w,1i9o;1s,1il0;1s,1ko0;w,1r60;1s,1hr0;1s,1if0;1s,1jac;w,1rxo;1s,1fgu;1s,1hvo;1s,1hi0;w,1pfo;1s,1iao;1s,1imu;1s,1jf0;w,1i9o;x,mio;x,egu;x,apu;w,1blo;3k,lro;3k,f3o;w,uxo;3k,113o;3k,dro;3k,1blo;3k,uxo;4,2tc0;4,2xlc;g,1jo0;g,1hr0;g,1l30;g,1ljc;4,2tc0;4,2q60;g,1gr6;g,1fgu;g,1ix0;g,1igc;4,2xlc;4,2q60;g,1gf0;g,1iao;g,1jl0;g,1kl0;1s,1jo0;1s,1gr6;1s,1gf0;3l,mio;w,13lo;w,12xo;1s,1hr0;1s,1fgu;1s,1iao;3l,mio;w,113o;w,1blo;1s,1l30;1s,1ix0;1s,1jl0;w,ei0;4,di0;4,fxo;1s,1ljc;1s,1igc;1s,1kl0;g,9mu;4,f3o;4,fxo;4,2tc0;4,2xlc;1,n7u;1,q7u;w,139o;w,1bu0;x,ao0;g,a9o;4,2tc0;4,2q60;1,moo;1,qco;w,129o;w,1clo;g,au0;g,aju;4,2xlc;4,2q60;1,mvu;1,pgu;w,12u0;w,1a3o;x,a1u;g,b3o;1s,1jo0;1s,1gr6;1s,1gf0;g,1eyu;g,1ir0;g,1j4c;1s,1ir0;1s,1j4c;1s,1hr0;1s,1fgu;1s,1iao;g,1eyu;g,1hyo;g,1il0;1s,1hyo;1s,1il0;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;1s,1mvc;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;1s,1mvc;1w,a9o;3l,rvu;3l,qu0;3l,n7u;3l,q7u;3l,ao0;k,a9o;3k,1bu0;1w,aju;3l,rvu;3l,q7u;3l,moo;3l,qco;k,au0;k,aju;3k,1clo;w,e60;3l,qu0;3l,q7u;3l,mvu;3l,pgu;3l,a1u;k,b3o;3k,1a3o;g,1j4c;k,1jo0;k,1gr6;k,1gf0;1s,1eyu;1s,1ir0;1s,1j4c;28,1j4c;g,1il0;k,1hr0;k,1fgu;k,1iao;1s,1eyu;1s,1hyo;1s,1il0;28,1il0;w,4mo0;k,1l30;k,1ix0;k,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;28,1mvc;k,1ljc;k,1igc;k,1kl0;1s,1j4c;1s,1il0;1s,1mvc;g,1ljc;1s,1l30;1s,1ljc;g,1igc;1s,1ix0;1s,1igc;g,1kl0;1s,1jl0;1s,1kl0;w,12xo;3k,ei0;4,9mu;w,1blo;g,di0;g,f3o;1s,fxo;g,fxo;g,fxo;4,2vxc;4,2w00;g,1ju0;g,1if0;g,1l30;g,1mvc;4,2vxc;4,2ri0;g,1j30;g,1hvo;g,1ix0;g,1ko0;4,2w00;4,2ri0;g,1g36;g,1imu;g,1jl0;g,1jyc;1s,1ju0;1s,1j30;1s,1g36;3l,egu;w,l00;w,m9o;1s,1if0;1s,1hvo;1s,1imu;3l,egu;w,lro;w,uxo;1s,1l30;1s,1ix0;1s,1jl0;w,ei0;3l,aju;w,flo;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2vxc;4,2w00;w,exo;1,i1u;w,kfo;w,v60;1s,74c;4,2vxc;4,2ri0;w,f3o;1,j6o;w,lfo;w,vxo;1s,9bo;4,2w00;4,2ri0;w,dxo;1,hio;w,kfo;w,tfo;1s,a1c;1s,1ju0;1s,1j30;1s,1g36;g,1gau;g,1ir0;g,1jyc;1s,1jyc;1s,1if0;1s,1hvo;1s,1imu;g,1gau;g,1hyo;g,1ko0;1s,1ko0;1s,1l30;1s,1ix0;1s,1jl0;g,1ir0;g,1hyo;g,1mvc;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;g,74c;3l,iyu;3l,h4u;3l,df0;3l,i1u;3l,ao0;1s,74c;3k,v60;g,9bo;3l,iyu;3l,hio;3l,dvu;3l,j6o;8,au0;1s,9bo;3k,vxo;w,e60;3l,h4u;3l,hio;3l,dau;3l,hio;3l,a1u;1s,a1c;3k,tfo;g,1jyc;k,1ju0;k,1j30;k,1g36;1s,1gau;1s,1ir0;1s,1jyc;28,1jyc;g,1ko0;k,1if0;k,1hvo;k,1imu;1s,1gau;1s,1hyo;1s,1ko0;28,1ko0;w,2bc0;k,1l30;k,1ix0;k,1jl0;1s,1ir0;1s,1hyo;1s,1mvc;28,1mvc;k,1mvc;k,1ko0;k,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;g,1mvc;1s,1mvc;g,1ko0;1s,1ko0;g,1jyc;1s,1jyc;w,m9o;1s,a1c;w,uxo;1s,9bo;w,flo;1s,74c;4,2vo0;4,2xo0;g,1jyc;g,1jac;g,1ljc;g,1mvc;4,2vo0;4,2s00;g,1j4c;g,1hi0;g,1igc;g,1ko0;4,2xo0;4,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;3l,apu;w,ec0;w,g9o;1s,1jac;1s,1hi0;1s,1jf0;3l,apu;w,f3o;w,dro;1s,1ljc;1s,1igc;1s,1kl0;a,9mu;1s,95o;g,74c;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2vo0;4,2xo0;4,b2o;4,ceo;w,dro;w,fxo;4,2vo0;4,2s00;2,ayu;4,awo;w,ero;w,exo;4,2xo0;4,2s00;4,c60;1,9su;w,dro;w,fi0;1s,1jyc;1s,1j4c;1s,1gyc;g,1gyc;g,1j4c;g,1jyc;1s,1jac;1s,1hi0;1s,1jf0;g,1gyc;g,1il0;g,1ko0;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;8,b3o;8,bro;3l,amu;3l,9oo;8,a9o;1s,74c;8,b3o;8,bgu;8,ayu;3l,9xo;8,aju;1s,9bo;8,bro;8,bgu;8,bau;3l,9su;8,b3o;1s,a1c;k,1jyc;k,1j4c;k,1gyc;1s,1gyc;1s,1j4c;1s,1jyc;k,1jac;k,1hi0;k,1jf0;1s,1gyc;1s,1il0;1s,1ko0;k,1ljc;k,1igc;k,1kl0;1s,1j4c;1s,1il0;1s,1mvc;k,1mvc;k,1ko0;k,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;3l,13vu;3l,zpu;3l,ypu;3l,w1u;w,1bu0;w,1s60;3l,13vu;3l,ymu;3l,ymu;3l,v6o;w,1clo;w,1po0;3l,zpu;3l,ymu;a,1gyc;a,1jf0;a,1kl0;a,1jyc;3l,ypu;3l,ymu;a,1gyc;a,1i60;a,1ju0;w,1r60;3l,w1u;3l,v6o;a,1jf0;a,1i60;a,1lf0;a,1ljc;3l,j9o;3l,iau;a,1kl0;a,1ju0;a,1lf0;a,1mvc;3l,b3o;3l,bro;a,1jyc;a,1jac;a,1ljc;a,1mvc;1,13vu;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;x,13vu;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;1,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;x,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;1,zpu;1,ymu;2,1gyc;2,1jf0;2,1kl0;2,1jyc;x,zpu;x,ymu;2,1gyc;2,1jf0;2,1kl0;2,1jyc;1,ypu;1,ymu;2,1gyc;2,1i60;2,1ju0;w,1r60;x,ypu;x,ymu;2,1gyc;2,1i60;2,1ju0;2,1jac;1,w1u;1,v6o;2,1jf0;2,1i60;2,1lf0;2,1ljc;x,w1u;x,v6o;2,1jf0;2,1i60;2,1lf0;2,1ljc;3k,1bu0;3k,1clo;2,1kl0;2,1ju0;2,1lf0;2,1mvc;3k,1bu0;3k,1clo;2,1kl0;2,1ju0;2,1lf0;2,1mvc;3k,1s60;3k,1po0;2,1jyc;3k,1r60;2,1ljc;2,1mvc;3k,1s60;3k,1po0;2,1jyc;3k,1r60;2,1ljc;2,1mvc;3l,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;3l,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;3l,zpu;3l,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;3l,ypu;3l,ymu;8,1gyc;8,1i60;8,1ju0;8,1jac;3l,w1u;3l,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;w,1bu0;w,1clo;8,1kl0;8,1ju0;8,1lf0;8,1mvc;w,1s60;w,1po0;8,1jyc;w,1r60;8,1ljc;8,1mvc;x,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;x,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;x,zpu;x,ymu;8,1gyc;8,1jf0;8,1kl0;8,1jyc;x,ypu;x,ymu;8,1gyc;8,1i60;8,1ju0;8,1jac;x,w1u;x,v6o;8,1jf0;8,1i60;8,1lf0;8,1ljc;3k,1bu0;3k,1clo;8,1kl0;8,1ju0;8,1lf0;8,1mvc;3k,1s60;3k,1po0;8,1jyc;3k,1r60;8,1ljc;8,1mvc;3l,13vu;3l,zpu;3l,ypu;3l,w1u;w,1bu0;w,1s60;3l,13vu;3l,zau;3l,y7u;3l,vro;w,1d60;w,1qfo;3l,zpu;3l,zau;a,1hi0;a,1iac;a,1ju0;w,1j9o;3l,ypu;3l,y7u;a,1hi0;a,1fx0;a,1hjo;w,1rxo;3l,w1u;3l,vro;a,1iac;a,1fx0;a,1jl0;a,1igc;3l,j9o;3l,i3o;a,1ju0;a,1hjo;a,1jl0;a,1ko0;3l,b3o;3l,bgu;a,1j4c;a,1hi0;a,1igc;a,1ko0;1,13vu;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;x,13vu;8,2xo0;8,2rc0;8,2uo0;8,2x9c;8,2vo0;1,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;1,zpu;1,zau;2,1hi0;2,1iac;2,1ju0;w,1j9o;x,zau;2,1hi0;2,1iac;2,1ju0;2,1j4c;1,ypu;1,y7u;2,1hi0;2,1fx0;2,1hjo;w,1rxo;x,y7u;2,1hi0;2,1fx0;2,1hjo;2,1hi0;1,w1u;1,vro;2,1iac;2,1fx0;2,1jl0;2,1igc;x,vro;2,1iac;2,1fx0;2,1jl0;2,1igc;3k,1bu0;3k,1d60;2,1ju0;2,1hjo;2,1jl0;2,1ko0;3k,1d60;2,1ju0;2,1hjo;2,1jl0;2,1ko0;3k,1s60;3k,1qfo;3k,1j9o;3k,1rxo;2,1igc;2,1ko0;3k,1qfo;3k,1j9o;3k,1rxo;2,1igc;2,1ko0;3l,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;3l,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;3l,zpu;3l,zau;8,1hi0;8,1iac;8,1ju0;8,1j4c;3l,ypu;3l,y7u;8,1hi0;8,1fx0;8,1hjo;8,1hi0;3l,w1u;3l,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;w,1bu0;w,1d60;8,1ju0;8,1hjo;8,1jl0;8,1ko0;w,1s60;w,1qfo;w,1j9o;w,1rxo;8,1igc;8,1ko0;x,13vu;2,2xo0;2,2rc0;2,2uo0;2,2x9c;2,2vo0;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;x,zau;8,1hi0;8,1iac;8,1ju0;8,1j4c;x,y7u;8,1hi0;8,1fx0;8,1hjo;8,1hi0;x,vro;8,1iac;8,1fx0;8,1jl0;8,1igc;3k,1d60;8,1ju0;8,1hjo;8,1jl0;8,1ko0;3k,1qfo;3k,1j9o;3k,1rxo;8,1igc;8,1ko0;3l,13vu;3l,ymu;3l,ymu;3l,v6o;w,1clo;w,1po0;3l,13vu;3l,zau;3l,y7u;3l,vro;w,1d60;w,1qfo;3l,ymu;3l,zau;a,1g1u;a,1gju;a,1g4c;a,1gyc;3l,ymu;3l,y7u;a,1g1u;a,1jfi;a,1jo0;w,1pfo;3l,v6o;3l,vro;a,1gju;a,1jfi;a,1ju0;a,1kl0;3l,iau;3l,i3o;a,1g4c;a,1jo0;a,1ju0;a,1jyc;3l,bro;3l,bgu;a,1gyc;a,1jf0;a,1kl0;a,1jyc;1,13vu;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;8,2s00;8,2vc0;8,2xxc;8,2wc0;8,2xo0;1,13vu;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;8,2pc0;8,2rxc;8,2qc0;8,2ro0;8,2s00;1,ymu;1,zau;2,1g1u;2,1gju;2,1g4c;2,1gyc;2,1g1u;2,1gju;2,1g4c;2,1gyc;1,ymu;1,y7u;2,1g1u;2,1jfi;2,1jo0;w,1pfo;2,1g1u;2,1jfi;2,1jo0;2,1jf0;1,v6o;1,vro;2,1gju;2,1jfi;2,1ju0;2,1kl0;2,1gju;2,1jfi;2,1ju0;2,1kl0;3k,1clo;3k,1d60;2,1g4c;2,1jo0;2,1ju0;2,1jyc;2,1g4c;2,1jo0;2,1ju0;2,1jyc;3k,1po0;3k,1qfo;2,1gyc;3k,1pfo;2,1kl0;2,1jyc;2,1gyc;3k,1pfo;2,1kl0;2,1jyc;3l,13vu;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;3l,13vu;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;3l,ymu;3l,zau;8,1g1u;8,1gju;8,1g4c;8,1gyc;3l,ymu;3l,y7u;8,1g1u;8,1jfi;8,1jo0;8,1jf0;3l,v6o;3l,vro;8,1gju;8,1jfi;8,1ju0;8,1kl0;w,1clo;w,1d60;8,1g4c;8,1jo0;8,1ju0;8,1jyc;w,1po0;w,1qfo;8,1gyc;w,1pfo;8,1kl0;8,1jyc;2,2s00;2,2vc0;2,2xxc;2,2wc0;2,2xo0;2,2pc0;2,2rxc;2,2qc0;2,2ro0;2,2s00;8,1g1u;8,1gju;8,1g4c;8,1gyc;8,1g1u;8,1jfi;8,1jo0;8,1jf0;8,1gju;8,1jfi;8,1ju0;8,1kl0;8,1g4c;8,1jo0;8,1ju0;8,1jyc;8,1gyc;3k,1pfo;8,1kl0;8,1jyc;4,2xo0;4,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;4,2xo0;4,2pc0;g,1hi0;g,1iac;g,1ju0;w,1j9o;4,2s00;4,2pc0;g,1g1u;g,1gju;g,1g4c;g,1gyc;1s,1gyc;1s,1hi0;1s,1g1u;4h,lfo;w,11ro;w,1i9o;1s,1jf0;1s,1iac;1s,1gju;3l,lfo;w,1afo;w,12xo;1s,1kl0;1s,1ju0;1s,1g4c;3l,d9o;w,mxo;w,m9o;1s,1jyc;1s,1j4c;1s,1gyc;w,gu0;4,ec0;4,g9o;4,2xo0;4,2s00;1,tlo;1,q1u;w,1a3o;w,1ii0;x,tlo;x,q1u;x,esu;8,b2o;4,2xo0;4,2pc0;1,tuo;1,rau;w,1ao0;w,1j9o;x,tuo;x,rau;x,f9o;x,ayu;4,2s00;4,2pc0;1,tfo;1,q3o;w,1bfo;w,1gro;x,tfo;x,q3o;x,dyu;8,c60;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;w,1i9o;1s,1g1u;1s,1hi0;1s,1gyc;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;1s,1g1u;1s,1j30;1s,1j4c;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;1s,1hi0;1s,1j30;1s,1jyc;1s,1jyc;3k,1j9o;1s,1gyc;3k,1i9o;g,1j4c;g,1jyc;3k,1i9o;1s,1j4c;1s,1jyc;3l,zpu;3l,ymu;3l,tlo;3l,q1u;3l,esu;2,b2o;3l,zpu;3l,zau;3l,tuo;3l,rau;3l,f9o;3l,ayu;3l,ymu;3l,zau;3l,tfo;3l,q3o;3l,dyu;2,c60;k,1gyc;k,1hi0;k,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;k,1jf0;k,1iac;k,1gju;1s,1g1u;1s,1j30;1s,1j4c;k,1kl0;k,1ju0;k,1g4c;1s,1hi0;1s,1j30;1s,1jyc;k,1jyc;w,1j9o;k,1gyc;w,1i9o;1s,1j4c;1s,1jyc;1s,1gyc;1s,1jf0;1s,1kl0;1s,1jyc;1s,1hi0;1s,1iac;1s,1ju0;1s,1j4c;1s,1g1u;1s,1gju;1s,1g4c;1s,1gyc;x,lfo;x,d9o;3k,gu0;4h,lfo;3k,mxo;g,ec0;3k,11ro;3k,1afo;g,g9o;3k,1i9o;3k,12xo;3k,m9o;4,2rc0;4,2vc0;g,1gyc;g,1i60;g,1ju0;w,1r60;4,2rc0;4,2rxc;g,1hi0;g,1fx0;g,1hjo;w,1rxo;4,2vc0;4,2rxc;g,1g1u;g,1jfi;g,1jo0;w,1pfo;1s,1gyc;1s,1hi0;1s,1g1u;4h,lfo;w,11ro;w,1i9o;1s,1i60;1s,1fx0;1s,1jfi;3l,lfo;w,139o;w,1blo;1s,1ju0;1s,1hjo;1s,1jo0;3l,d9o;w,kfo;w,uxo;1s,1jac;1s,1hi0;1s,1jf0;g,apu;4,f3o;4,dro;4,2rc0;4,2vc0;1,tlo;1,qsu;w,12xo;w,1r60;x,qsu;x,hvu;8,ceo;4,2rc0;4,2rxc;1,tuo;1,qyu;w,13i0;w,1rxo;x,qyu;x,h9o;8,awo;4,2vc0;4,2rxc;1,tfo;1,qro;w,149o;w,1pfo;x,qro;x,gyu;g,9su;1s,1gyc;1s,1hi0;1s,1g1u;g,1g1u;g,1hi0;w,1i9o;1s,1g1u;1s,1hi0;1s,1gyc;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;1s,1ivo;1s,1il0;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;1s,1ivo;1s,1ko0;3k,1r60;3k,1rxo;3k,1pfo;3k,1i9o;g,1il0;g,1ko0;1s,1il0;1s,1ko0;3l,ypu;3l,ymu;3l,tlo;3l,qsu;3l,hvu;2,ceo;3l,ypu;3l,y7u;3l,tuo;3l,qyu;3l,h9o;2,awo;3l,ymu;3l,y7u;3l,tfo;3l,qro;3l,gyu;k,9su;k,1gyc;k,1hi0;k,1g1u;1s,1g1u;1s,1hi0;1s,1gyc;k,1i60;k,1fx0;k,1jfi;1s,1g1u;1s,1ivo;1s,1il0;k,1ju0;k,1hjo;k,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;w,1r60;w,1rxo;w,1pfo;w,1i9o;1s,1il0;1s,1ko0;1s,1i60;1s,1ju0;1s,1jac;1s,1fx0;1s,1hjo;1s,1hi0;1s,1jfi;1s,1jo0;1s,1jf0;x,lfo;x,d9o;4,apu;3k,kfo;g,f3o;3k,139o;g,dro;3k,1blo;3k,uxo;4,2uo0;4,2xxc;g,1jf0;g,1i60;g,1lf0;g,1ljc;4,2uo0;4,2qc0;g,1iac;g,1fx0;g,1jl0;g,1igc;4,2xxc;4,2qc0;g,1gju;g,1jfi;g,1ju0;g,1kl0;1s,1jf0;1s,1iac;1s,1gju;3l,lfo;w,1afo;w,12xo;1s,1i60;1s,1fx0;1s,1jfi;3l,lfo;w,139o;w,1blo;1s,1lf0;1s,1jl0;1s,1ju0;w,dxo;1s,9no;w,flo;1s,1ljc;1s,1igc;1s,1kl0;3l,9mu;w,f3o;w,fxo;4,2uo0;4,2xxc;1,q1u;1,qsu;w,1blo;w,1bu0;x,adu;x,a9o;4,2uo0;4,2qc0;1,rau;1,qyu;w,1c60;w,1clo;x,aro;x,aju;4,2xxc;4,2qc0;1,q3o;1,qro;w,1cxo;w,1a3o;x,9oo;x,b3o;1s,1jf0;1s,1iac;1s,1gju;g,1g1u;g,1j30;g,1j4c;1s,1j30;1s,1j4c;1s,1i60;1s,1fx0;1s,1jfi;g,1g1u;g,1ivo;g,1il0;1s,1ivo;1s,1il0;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;1s,1mvc;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;1s,1mvc;3l,w1u;3l,v6o;3l,q1u;3l,qsu;3l,adu;3l,a9o;3l,w1u;3l,vro;3l,rau;3l,qyu;3l,aro;3l,aju;3l,v6o;3l,vro;3l,q3o;3l,qro;3l,9oo;3l,b3o;k,1jf0;k,1iac;k,1gju;1s,1g1u;1s,1j30;1s,1j4c;k,1i60;k,1fx0;k,1jfi;1s,1g1u;1s,1ivo;1s,1il0;k,1lf0;k,1jl0;k,1ju0;1s,1j30;1s,1ivo;1s,1mvc;k,1ljc;k,1igc;k,1kl0;1s,1j4c;1s,1il0;1s,1mvc;1s,1lf0;1s,1ljc;1s,1jl0;1s,1igc;1s,1ju0;1s,1kl0;3k,dxo;x,9mu;1s,9no;3k,f3o;3k,fxo;3k,flo;4,2x9c;4,2wc0;g,1kl0;g,1ju0;g,1lf0;g,1mvc;4,2x9c;4,2ro0;g,1ju0;g,1hjo;g,1jl0;g,1ko0;4,2wc0;4,2ro0;g,1g4c;g,1jo0;g,1ju0;g,1jyc;1s,1kl0;1s,1ju0;1s,1g4c;3l,d9o;w,mxo;w,m9o;1s,1ju0;1s,1hjo;1s,1jo0;3l,d9o;w,kfo;w,uxo;1s,1lf0;1s,1jl0;1s,1ju0;w,dxo;1s,9no;w,flo;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2x9c;4,2wc0;1,esu;1,hvu;w,mlo;w,v60;1s,74c;4,2x9c;4,2ro0;1,f9o;1,h9o;w,llo;w,vxo;1s,9bo;4,2wc0;4,2ro0;1,dyu;1,gyu;w,m60;w,tfo;1s,a1c;1s,1kl0;1s,1ju0;1s,1g4c;g,1hi0;g,1j30;g,1jyc;1s,1jyc;1s,1ju0;1s,1hjo;1s,1jo0;g,1hi0;g,1ivo;g,1ko0;1s,1ko0;1s,1lf0;1s,1jl0;1s,1ju0;g,1j30;g,1ivo;g,1mvc;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;3l,j9o;3l,iau;3l,esu;3l,hvu;3l,adu;1s,74c;3l,j9o;3l,i3o;3l,f9o;3l,h9o;3l,aro;1s,9bo;3l,iau;3l,i3o;3l,dyu;3l,gyu;3l,9oo;1s,a1c;k,1kl0;k,1ju0;k,1g4c;1s,1hi0;1s,1j30;1s,1jyc;k,1ju0;k,1hjo;k,1jo0;1s,1hi0;1s,1ivo;1s,1ko0;k,1lf0;k,1jl0;k,1ju0;1s,1j30;1s,1ivo;1s,1mvc;k,1mvc;k,1ko0;k,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2vo0;4,2xo0;g,1jyc;g,1jac;g,1ljc;g,1mvc;4,2vo0;4,2s00;g,1j4c;g,1hi0;g,1igc;g,1ko0;4,2xo0;4,2s00;g,1gyc;g,1jf0;g,1kl0;g,1jyc;1s,1jyc;1s,1j4c;1s,1gyc;w,gu0;3l,9mu;w,efo;1s,1jac;1s,1hi0;1s,1jf0;a,apu;g,95o;g,9bo;1s,1ljc;1s,1igc;1s,1kl0;3l,9mu;w,f3o;w,fxo;1s,1mvc;1s,1ko0;1s,1jyc;1s,a1c;1s,9bo;1s,74c;4,2vo0;4,2xo0;4,b2o;w,g9o;1,a9o;w,flo;4,2vo0;4,2s00;1,ayu;w,h9o;1,aju;w,g60;4,2xo0;4,2s00;4,c60;w,g9o;1,b3o;w,gxo;1s,1jyc;1s,1j4c;1s,1gyc;g,1gyc;g,1j4c;g,1jyc;1s,1jac;1s,1hi0;1s,1jf0;g,1gyc;g,1il0;g,1ko0;1s,1ljc;1s,1igc;1s,1kl0;g,1j4c;g,1il0;g,1mvc;1s,1mvc;1s,1ko0;1s,1jyc;g,1jyc;g,1ko0;g,1mvc;3l,b3o;3l,bro;8,amu;8,9oo;3l,a9o;1s,74c;3l,b3o;3l,bgu;3l,ayu;8,9xo;3l,aju;1s,9bo;3l,bro;3l,bgu;3l,bau;8,9su;3l,b3o;1s,a1c;k,1jyc;k,1j4c;k,1gyc;1s,1gyc;1s,1j4c;1s,1jyc;k,1jac;k,1hi0;k,1jf0;1s,1gyc;1s,1il0;1s,1ko0;k,1ljc;k,1igc;k,1kl0;1s,1j4c;1s,1il0;1s,1mvc;k,1mvc;k,1ko0;k,1jyc;1s,1jyc;1s,1ko0;1s,1mvc;5c,13vu;5c,12su;5c,w1u;4,w1u;4,12su;4,13vu;5c,13vu;5c,yio;5c,rvu;4,v6o;4,zdu;4,zpu;5c,12su;5c,yio;5c,qsu;4,q1u;4,13co;4,ypu;5c,w1u;5c,rvu;5c,qsu;4,qsu;4,rvu;4,w1u;w,w1u;w,v6o;w,q1u;w,qsu;4,iyu;4,j9o;w,12su;w,zdu;w,13co;w,rvu;w,iyu;4,b3o;w,13vu;w,zpu;w,ypu;w,w1u;w,j9o;w,b3o;5c,13vu;5c,y7u;5c,qpu;4,vro;4,yf0;4,ymu;5c,12su;5c,y7u;5c,q7u;4,rau;4,11au;4,ymu;5c,w1u;5c,qpu;5c,q7u;4,qyu;4,qu0;4,v6o;w,w1u;w,vro;w,rau;w,qyu;4,h4u;4,iau;w,12su;w,yf0;w,11au;w,qu0;w,h4u;4,bro;w,13vu;w,ymu;w,ymu;w,v6o;w,iau;w,bro;g,2s00;g,2pc0;1,1g1u;1,1gju;1,1g4c;1,1gyc;g,2vc0;g,2rxc;1,1g1u;1,1jfi;1,1jo0;1,1jf0;g,2xxc;g,2qc0;1,1gju;1,1jfi;1,1ju0;1,1kl0;g,2wc0;g,2ro0;1,1g4c;1,1jo0;1,1ju0;1,1jyc;g,2xo0;g,2s00;1,1gyc;1,1jf0;1,1kl0;1,1jyc;g,2p00;g,2v9c;1,1g1u;1,1hfi;1,1hr0;1,1i60;g,2rlc;g,2to0;1,1gju;1,1hfi;1,1if0;1,1ju0;g,2q00;g,2v00;1,1g4c;1,1hr0;1,1if0;1,1jac;g,2rc0;g,2vc0;1,1gyc;1,1i60;1,1ju0;1,1jac;g,2uxc;g,2w9c;1,1jfi;1,1hfi;1,1l30;1,1lf0;g,2tc0;g,2xlc;1,1jo0;1,1hr0;1,1l30;1,1ljc;g,2uo0;g,2xxc;1,1jf0;1,1i60;1,1lf0;1,1ljc;g,2vxc;g,2w00;1,1ju0;1,1if0;1,1l30;1,1mvc;g,2x9c;g,2wc0;1,1kl0;1,1ju0;1,1lf0;1,1mvc;g,2vo0;g,2xo0;1,1jyc;2,1r60;1,1ljc;1,1mvc;5c,xsu;5c,qvu;4,v1u;4,y7u;4,zau;5c,xsu;5c,q1u;4,qo0;4,11ro;4,y7u;5c,qvu;5c,q1u;4,r00;4,q7u;4,vro;w,v1u;w,qo0;w,r00;4,hio;4,i3o;w,y7u;w,11ro;w,q7u;w,hio;4,bgu;w,zau;w,y7u;w,vro;w,i3o;w,bgu;g,2p3c;1,1eyu;1,1gpo;1,1gyu;1,1hi0;g,2ni0;1,1eyu;1,1hl0;1,1gr6;1,1iac;g,2ou0;1,1gpo;1,1hl0;1,1j30;1,1ju0;g,2p60;1,1gyu;1,1gr6;1,1j30;1,1j4c;g,2pc0;1,1hi0;1,1iac;1,1ju0;1,1j4c;g,2q3c;1,1eyu;1,1fmo;1,1fgu;1,1fx0;g,2rfc;1,1gpo;1,1fmo;1,1hvo;1,1hjo;g,2rrc;1,1gyu;1,1fgu;1,1hvo;1,1hi0;g,2rxc;1,1hi0;1,1fx0;1,1hjo;1,1hi0;g,2pu0;1,1hl0;1,1fmo;1,1ix0;1,1jl0;g,2q60;1,1gr6;1,1fgu;1,1ix0;1,1igc;g,2qc0;1,1iac;1,1fx0;1,1jl0;1,1igc;g,2ri0;1,1j30;1,1hvo;1,1ix0;1,1ko0;g,2ro0;1,1ju0;1,1hjo;1,1jl0;1,1ko0;g,2s00;2,1j9o;2,1rxo;1,1igc;1,1ko0;1,1fii;1,1g1u;1,1f4u;1,1g1u;1,1fii;1,1gc0;1,1gf0;1,1gju;1,1g1u;1,1gc0;1,1g36;1,1g4c;1,1f4u;1,1gf0;1,1g36;1,1gyc;1,1g1u;1,1gju;1,1g4c;1,1gyc;1,1fii;1,1jao;1,1iao;1,1jfi;1,1g1u;1,1jao;1,1imu;1,1jo0;1,1f4u;1,1iao;1,1imu;1,1jf0;1,1g1u;1,1jfi;1,1jo0;1,1jf0;1,1gc0;1,1jao;1,1jl0;1,1ju0;1,1gf0;1,1iao;1,1jl0;1,1kl0;1,1gju;1,1jfi;1,1ju0;1,1kl0;1,1g36;1,1imu;1,1jl0;1,1jyc;1,1g4c;1,1jo0;1,1ju0;1,1jyc;1,1gyc;2,1pfo;1,1kl0;1,1jyc;5c,1fii;5c,1eyu;5c,1g1u;5c,1fii;5c,1gau;5c,1hi0;5c,1eyu;5c,1gau;5c,1gyc;5c,1g1u;5c,1hi0;5c,1gyc;5c,1fii;5c,1ir0;5c,1j30;5c,1eyu;5c,1ir0;5c,1j4c;5c,1g1u;5c,1j30;5c,1j4c;5c,1gau;5c,1ir0;5c,1jyc;5c,1hi0;5c,1j30;5c,1jyc;2,1i9o;5c,1j4c;5c,1jyc;5c,1hyo;5c,1ivo;5c,1hyo;5c,1il0;5c,1ivo;5c,1il0;5c,1hyo;5c,1ko0;5c,1ivo;5c,1ko0;5c,1il0;5c,1ko0;5c,1mvc;5c,1mvc;5c,1mvc;i,13vu;i,12su;i,w1u;i,iio;8,dqo;8,e2o;i,13vu;1,2s00;1,2vc0;1,2xxc;1,2wc0;1,2xo0;i,12su;1,2s00;1,2p00;1,2rlc;1,2q00;1,2rc0;i,w1u;1,2vc0;1,2p00;1,2uxc;1,2tc0;1,2uo0;i,iio;1,2xxc;1,2rlc;1,2uxc;1,2vxc;1,2x9c;1s,dqo;1,2wc0;1,2q00;1,2tc0;1,2vxc;1,2vo0;1s,e2o;1,2xo0;1,2rc0;1,2uo0;1,2x9c;1,2vo0;i,13vu;1,2pc0;1,2rxc;1,2qc0;1,2ro0;1,2s00;i,12su;1,2pc0;1,2v9c;1,2to0;1,2v00;1,2vc0;i,w1u;1,2rxc;1,2v9c;1,2w9c;1,2xlc;1,2xxc;i,iio;1,2qc0;1,2to0;1,2w9c;1,2w00;1,2wc0;1,dqo;1,2ro0;1,2v00;1,2xlc;1,2w00;1,2xo0;1,e2o;1,2s00;1,2vc0;1,2xxc;1,2wc0;1,2xo0;1s,2s00;1s,2pc0;i,lfo;4,g3o;w,dlo;4,gi0;1s,2vc0;1s,2rxc;i,lfo;4,ero;4,tc0;4,nlo;1s,2xxc;1s,2qc0;4,g3o;4,ero;4,1cxo;4,1a3o;1s,2wc0;1s,2ro0;3k,dlo;4,tc0;4,1cxo;4,1ii0;1s,2xo0;1s,2s00;4,gi0;4,nlo;4,1a3o;4,1ii0;1s,2p00;1s,2v9c;i,lfo;w,fo0;4,u3o;4,l3o;1s,2rlc;1s,2to0;3k,g3o;3k,fo0;4,1afo;4,12xo;1s,2q00;1s,2v00;4,dlo;4,u3o;4,1afo;4,1r60;1s,2rc0;1s,2vc0;3k,gi0;4,l3o;4,12xo;4,1r60;1s,2uxc;1s,2w9c;3k,ero;4,fo0;4,139o;4,1blo;1s,2tc0;1s,2xlc;3k,tc0;3k,u3o;4,139o;4,1bu0;1s,2uo0;1s,2xxc;3k,nlo;3k,l3o;4,1blo;4,1bu0;1s,2vxc;1s,2w00;3k,1cxo;3k,1afo;3k,139o;4,v60;1s,2x9c;1s,2wc0;3k,1a3o;3k,12xo;3k,1blo;4,v60;1s,2vo0;1s,2xo0;3k,1ii0;3k,1r60;3k,1bu0;3k,v60;1,2p3c;1,2ni0;1,2ou0;1,2p60;1,2pc0;1,2p3c;1,2q3c;1,2rfc;1,2rrc;1,2rxc;1,2ni0;1,2q3c;1,2pu0;1,2q60;1,2qc0;1,2ou0;1,2rfc;1,2pu0;1,2ri0;1,2ro0;1,2p60;1,2rrc;1,2q60;1,2ri0;1,2s00;1,2pc0;1,2rxc;1,2qc0;1,2ro0;1,2s00;1s,2p3c;i,mio;4,g9o;w,dro;4,hi0;1s,2ni0;i,mio;4,dlo;4,uc0;4,mlo;1s,2ou0;4,g9o;4,dlo;4,1bxo;4,1ao0;1s,2p60;3k,dro;4,uc0;4,1bxo;4,1j9o;1s,2pc0;4,hi0;4,mlo;4,1ao0;4,1j9o;1s,2q3c;i,mio;w,fu0;4,v3o;4,k3o;1s,2rfc;3k,g9o;3k,fu0;4,19fo;4,13i0;1s,2rrc;4,dro;4,v3o;4,19fo;4,1rxo;1s,2rxc;3k,hi0;4,k3o;4,13i0;4,1rxo;1s,2pu0;3k,dlo;4,fu0;4,129o;4,1c60;1s,2q60;3k,uc0;3k,v3o;4,129o;4,1clo;1s,2qc0;3k,mlo;3k,k3o;4,1c60;4,1clo;1s,2ri0;3k,1bxo;3k,19fo;3k,129o;4,vxo;1s,2ro0;3k,1ao0;3k,13i0;3k,1c60;4,vxo;1s,2s00;3k,1j9o;3k,1rxo;3k,1clo;3k,vxo;i,lz0;4,f3o;w,clo;4,gi0;i,lz0;4,elo;4,tc0;4,n60;4,f3o;4,elo;4,1ci0;4,1bfo;3k,clo;4,tc0;4,1ci0;4,1gro;4,gi0;4,n60;4,1bfo;4,1gro;i,lz0;4,f60;4,u3o;4,ko0;3k,f3o;4,f60;4,1a00;4,149o;4,clo;4,u3o;4,1a00;4,1pfo;3k,gi0;4,ko0;4,149o;4,1pfo;3k,elo;3k,f60;4,12u0;4,1cxo;3k,tc0;3k,u3o;4,12u0;4,1a3o;3k,n60;3k,ko0;4,1cxo;4,1a3o;3k,1ci0;3k,1a00;3k,12u0;4,tfo;3k,1bfo;3k,149o;3k,1cxo;4,tfo;3k,1gro;3k,1pfo;3k,1a3o;3k,tfo;i,1fii;i,1eyu;i,1g1u;i,1fii;i,1gau;i,1hi0;i,1eyu;i,1gau;4,1i9o;i,1g1u;i,1hi0;4,1i9o;i,1fii;i,1ir0;i,1j30;i,1eyu;i,1ir0;i,1j4c;i,1g1u;i,1j30;i,1j4c;i,1gau;i,1ir0;i,1jyc;i,1hi0;i,1j30;i,1jyc;3k,1i9o;i,1j4c;i,1jyc;i,1hyo;i,1ivo;i,1hyo;i,1il0;i,1ivo;i,1il0;i,1hyo;i,1ko0;i,1ivo;i,1ko0;i,1il0;i,1ko0;i,1mvc;i,1mvc;i,1mvc'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = STRATEGY_TABLE_DATA;
+}
@@ -0,0 +1,159 @@
+/**
+ * Reference Glyphs for Mini Cactpot Calculator
+ * Bitmaps of the digits 1-9 as drawn on revealed ticket cells, used by TicketReader.
+ * "#" is ink and "." is background. Every glyph is 10 columns by 14 rows.
+ * These are hand-drawn approximations of the in-game font; run captureGlyphs.js on labelled
+ * screenshots in fixtures/tickets to replace them with glyphs captured from real tickets.
+ */
+
+const TICKET_GLYPHS = {
+  1: [
+    '...###....',
+    '..####....',
+    '.#####....',
+    '##.###....',
+    '...###....',
+    '...###....',
+    '...###....',
+    '...###....',
+    '...###....',
+    '...###....',
+    '...###....',
+    '...###....',
+    '.#######..',
+    '.#######..'
+  ],
+  2: [
+    '..######..',
+    '.########.',
+    '###....###',
+    '.......###',
+    '.......###',
+    '......###.',
+    '.....###..',
+    '....###...',
+    '...###....',
+    '..###.....',
+    '.###......',
+    '###.......',
+    '##########',
+    '##########'
+  ],
+  3: [
+    '.#######..',
+    '#########.',
+    '##.....###',
+    '.......###',
+    '.......###',
+    '....#####.',
+    '....#####.',
+    '.......###',
+    '.......###',
+    '.......###',
+    '.......###',
+    '##.....###',
+    '#########.',
+    '.#######..'
+  ],
+  4: [
+    '......###.',
+    '.....####.',
+    '....#####.',
+    '...###.##.',
+    '..###..##.',
+    '.###...##.',
+    '###....##.',
+    '##########',
+    '##########',
+    '.......##.',
+    '.......##.',
+    '.......##.',
+    '.......##.',
+    '.......##.'
+  ],
+  5: [
+    '#########.',
+    '#########.',
+    '##........',
+    '##........',
+    '##........',
+    '########..',
+    '#########.',
+    '.......###',
+    '.......###',
+    '.......###',
+    '.......###',
+    '##.....###',
+    '#########.',
+    '.#######..'
+  ],
+  6: [
+    '..######..',
+    '.########.',
+    '###.....#.',
+    '##........',
+    '##........',
+    '##.#####..',
+    '#########.',
+    '###....###',
+    '##......##',
+    '##......##',
+    '##......##',
+    '###....###',
+    '.########.',
+    '..######..'
+  ],
+  7: [
+    '##########',
+    '##########',
+    '.......###',
+    '......###.',
+    '......##..',
+    '.....###..',
+    '.....##...',
+    '....###...',
+    '....##....',
+    '...###....',
+    '...##.....',
+    '..###.....',
+    '..##......',
+    '..##......'
+  ],
+  8: [
+    '..######..',
+    '.########.',
+    '###....###',
+    '##......##',
+    '###....###',
+    '.########.',
+    '.########.',
+    '###....###',
+    '##......##',
+    '##......##',
+    '##......##',
+    '###....###',
+    '.########.',
+    '..######..'
+  ],
+  9: [
+    '..######..',
+    '.########.',
+    '###....###',
+    '##......##',
+    '##......##',
+    '##......##',
+    '###....###',
+    '.#########',
+    '..#####.##',
+    '........##',
+    '........##',
+    '.#.....###',
+    '.########.',
+    '..######..'
+  ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TICKET_GLYPHS;
+}
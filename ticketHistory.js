@@ -0,0 +1,156 @@
+/**
+ * Ticket History Module for Mini Cactpot Calculator
+ * Records played tickets in localStorage to compare actual and expected MGP
+ */
+
+// Board notation helpers (loaded as a global script in the browser)
+const HistoryBoardNotation = (typeof module !== 'undefined' && module.exports)
+  ? require('./boardNotation.js')
+  : BoardNotation;
+
+/**
+ * Ticket history class backed by a Storage object (localStorage by default)
+ */
+class TicketHistory {
+  /**
+   * @param {Storage} [storage] - Where entries are kept (localStorage if omitted)
+   * @param {string} [storageKey] - Key the entries are stored under
+   */
+  constructor(storage = null, storageKey = 'miniCactpot.ticketHistory') {
+    this.storage = storage;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Gets the backing storage
+   * localStorage is only touched on use, since some browsers throw when it is unavailable
+   * @returns {Storage} The storage object
+   */
+  getStorage() {
+    return this.storage || window.localStorage;
+  }
+
+  /**
+   * Gets every recorded ticket, oldest first
+   * @returns {Array} Array of history entries
+   */
+  getEntries() {
+    try {
+      const entries = JSON.parse(this.getStorage().getItem(this.storageKey));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error('Failed to read ticket history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Records a finished ticket
+   * @param {Object} ticket - The ticket to record
+   * @param {Array} ticket.board - Final board (array of 9 values)
+   * @param {number} ticket.line - Index of the chosen line (0-7)
+   * @param {string} ticket.lineName - Display name of the chosen line
+   * @param {number} ticket.expectedValue - Expected MGP of the chosen line
+   * @param {number} ticket.payout - MGP actually paid
+   * @param {string} [ticket.objective] - Objective id the suggestion was made for
+   * @param {string} [ticket.payoutTable] - Name of the payout table used
+   * @returns {Object} The stored entry
+   * @throws {Error} If the payout or expected value is not a non-negative number
+   */
+  record(ticket) {
+    [['payout', ticket.payout], ['expected value', ticket.expectedValue]].forEach(([name, value]) => {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`Ticket ${name} must be a non-negative number`);
+      }
+    });
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      board: HistoryBoardNotation.serialize(ticket.board),
+      line: ticket.line,
+      lineName: ticket.lineName,
+      expectedValue: ticket.expectedValue,
+      payout: ticket.payout,
+      objective: ticket.objective || 'ev',
+      payoutTable: ticket.payoutTable || 'standard'
+    };
+
+    const entries = this.getEntries();
+    entries.push(entry);
+    this.save(entries);
+    return entry;
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.getStorage().removeItem(this.storageKey);
+  }
+
+  /**
+   * Writes entries to storage
+   * @param {Array} entries - Array of history entries
+   */
+  save(entries) {
+    this.getStorage().setItem(this.storageKey, JSON.stringify(entries));
+  }
+
+  /**
+   * Sums up the history
+   * @returns {Object} Object containing count, totalActual, totalExpected and difference
+   */
+  getSummary() {
+    const entries = this.getEntries();
+    const totalActual = entries.reduce((sum, entry) => sum + entry.payout, 0);
+    const totalExpected = entries.reduce((sum, entry) => sum + entry.expectedValue, 0);
+    return {
+      count: entries.length,
+      totalActual,
+      totalExpected,
+      difference: totalActual - totalExpected
+    };
+  }
+
+  /**
+   * Gets running totals after each ticket
+   * @returns {Array} Array of objects containing timestamp, actual and expected cumulative MGP
+   */
+  getCumulative() {
+    let actual = 0;
+    let expected = 0;
+    return this.getEntries().map(entry => {
+      actual += entry.payout;
+      expected += entry.expectedValue;
+      return { timestamp: entry.timestamp, actual, expected };
+    });
+  }
+
+  /**
+   * Exports the history as CSV
+   * @returns {string} CSV text with a header row
+   */
+  exportCSV() {
+    const columns = ['timestamp', 'board', 'line', 'lineName', 'expectedValue', 'payout', 'objective', 'payoutTable'];
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = this.getEntries().map(entry => columns.map(column => escape(entry[column])).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Exports the history as JSON
+   * @returns {string} Pretty-printed JSON array of entries
+   */
+  exportJSON() {
+    return JSON.stringify(this.getEntries(), null, 2);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TicketHistory;
+}
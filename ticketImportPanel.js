@@ -0,0 +1,209 @@
+/**
+ * Ticket Import Panel Module for Mini Cactpot Calculator
+ * Takes a pasted, dropped or chosen screenshot, reads the ticket with TicketReader
+ * and asks for confirmation when the read is uncertain
+ */
+
+/**
+ * Screenshot import panel class
+ */
+class TicketImportPanel {
+  /**
+   * @param {Function} onBoard - Called with the board (array of 9 values) once it is read or confirmed
+   * @param {Function} onError - Called with a message when the screenshot cannot be read
+   */
+  constructor(onBoard, onError) {
+    this.onBoard = onBoard;
+    this.onError = onError;
+    // Screenshots are scaled down to this width before reading to keep it quick
+    this.maxImageWidth = 1600;
+    this.initializeElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.readButton = document.getElementById('read-screenshot-btn');
+    this.fileInput = document.getElementById('screenshot-file');
+    this.confirmDiv = document.getElementById('read-confirm');
+    this.confirmText = document.getElementById('read-confirm-text');
+    this.confirmGrid = document.getElementById('read-confirm-grid');
+    this.useButton = document.getElementById('read-confirm-use');
+    this.cancelButton = document.getElementById('read-confirm-cancel');
+
+    this.confirmInputs = [];
+    for (let i = 0; i < 9; i++) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.inputMode = 'numeric';
+      input.maxLength = 1;
+      input.dataset.i18nAriaLabel = 'cell.label';
+      input.dataset.i18nParams = JSON.stringify({ row: Math.floor(i / 3) + 1, column: (i % 3) + 1 });
+      this.confirmGrid.appendChild(input);
+      this.confirmInputs.push(input);
+    }
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.readButton.addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      this.readFile(file);
+    });
+
+    // Screenshots can be pasted or dropped anywhere on the page
+    document.addEventListener('paste', (e) => this.handlePaste(e));
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+        e.preventDefault();
+      }
+    });
+    document.addEventListener('drop', (e) => this.handleDrop(e));
+
+    this.useButton.addEventListener('click', () => this.confirmRead());
+    this.cancelButton.addEventListener('click', () => this.closeConfirmation());
+  }
+
+  /**
+   * Read an image from the clipboard; text pastes are left alone
+   * @param {ClipboardEvent} event - The paste event
+   */
+  handlePaste(event) {
+    const items = event.clipboardData ? Array.from(event.clipboardData.items) : [];
+    const image = items.find(item => item.kind === 'file' && item.type.startsWith('image/'));
+    if (!image) {
+      return;
+    }
+
+    event.preventDefault();
+    this.readFile(image.getAsFile());
+  }
+
+  /**
+   * Read an image dropped onto the page
+   * @param {DragEvent} event - The drop event
+   */
+  handleDrop(event) {
+    const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+    if (files.length === 0) {
+      return;
+    }
+
+    event.preventDefault();
+    this.readFile(files[0]);
+  }
+
+  /**
+   * Read a ticket from an image file
+   * @param {File} file - The screenshot
+   * @returns {Promise} Resolves once the board is applied, shown for confirmation or rejected
+   */
+  readFile(file) {
+    if (!file) {
+      return Promise.resolve();
+    }
+    this.closeConfirmation();
+    if (!file.type.startsWith('image/')) {
+      this.onError(I18n.t('read.onlyImages'));
+      return Promise.resolve();
+    }
+
+    return this.loadImageData(file)
+      .then(imageData => {
+        const result = TicketReader.read(imageData);
+        if (result.lowConfidence) {
+          this.showConfirmation(result);
+        } else {
+          this.onBoard(result.board);
+        }
+      })
+      .catch(error => {
+        console.error('Failed to read screenshot:', error);
+        this.onError(error.message);
+      });
+  }
+
+  /**
+   * Decode an image file into pixels, scaled down if it is very large
+   * @param {File} file - The image file
+   * @returns {Promise<ImageData>} The decoded pixels
+   */
+  loadImageData(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        const scale = Math.min(1, this.maxImageWidth / image.naturalWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.naturalWidth * scale);
+        canvas.height = Math.round(image.naturalHeight * scale);
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(I18n.t('read.openFailed')));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Show the read numbers for checking, with uncertain cells highlighted
+   * @param {Object} result - Result from TicketReader.read
+   */
+  showConfirmation(result) {
+    result.cells.forEach((cell, index) => {
+      const input = this.confirmInputs[index];
+      input.value = cell.value === null ? '' : String(cell.value);
+      if (cell.lowConfidence) {
+        input.classList.add('uncertain');
+      } else {
+        input.classList.remove('uncertain');
+      }
+    });
+
+    const uncertainCount = result.cells.filter(cell => cell.lowConfidence).length;
+    this.confirmText.textContent = uncertainCount === 1
+      ? I18n.t('read.uncertainOne')
+      : I18n.t('read.uncertainMany', { count: uncertainCount });
+    this.confirmDiv.hidden = false;
+
+    const firstUncertain = this.confirmInputs.find(input => input.classList.contains('uncertain'));
+    if (firstUncertain) {
+      firstUncertain.focus();
+    }
+  }
+
+  /**
+   * Use the numbers as confirmed or corrected
+   */
+  confirmRead() {
+    const board = this.confirmInputs.map(input => {
+      const value = parseInt(input.value, 10);
+      return value >= 1 && value <= 9 ? value : null;
+    });
+    this.closeConfirmation();
+    this.onBoard(board);
+  }
+
+  /**
+   * Hide the confirmation without changing the board
+   */
+  closeConfirmation() {
+    this.confirmDiv.hidden = true;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TicketImportPanel;
+}
@@ -0,0 +1,420 @@
+/**
+ * Ticket Reader Module for Mini Cactpot Calculator
+ * Reads the revealed numbers from a screenshot of the Mini Cactpot window, entirely locally
+ *
+ * Works on ImageData-like objects ({ width, height, data } with RGBA bytes): finds the gold
+ * cactpot nodes, fits the 3x3 grid to them, then matches the digit on each revealed node
+ * against the reference glyphs.
+ */
+
+// Reference glyphs (loaded as a global script in the browser)
+const ReaderGlyphs = (typeof module !== 'undefined' && module.exports)
+  ? require('./ticketGlyphs.js')
+  : TICKET_GLYPHS;
+
+// Message translations (loaded as a global script in the browser)
+const ReaderI18n = (typeof module !== 'undefined' && module.exports)
+  ? require('./i18n.js')
+  : I18n;
+
+const GLYPH_WIDTH = 10;
+const GLYPH_HEIGHT = 14;
+
+// A digit read below this match score, or this close to the runner-up, needs confirmation
+const READER_MIN_CONFIDENCE = 0.7;
+const READER_MIN_MARGIN = 0.08;
+
+// Normalized reference glyphs, built on first use
+let normalizedGlyphs = null;
+
+/**
+ * Ticket reader utility class
+ */
+class TicketReader {
+  /**
+   * Reads a ticket from an image
+   * @param {ImageData} imageData - The screenshot
+   * @returns {Object} Object containing board (9 values, null for hidden cells), cells (per-cell
+   *   state, value, confidence, lowConfidence and duplicate), grid (bounds in pixels) and
+   *   lowConfidence
+   * @throws {Error} If no 3x3 grid of cactpot nodes is found
+   */
+  static read(imageData) {
+    const grid = this.locateGrid(this.findNodeCandidates(imageData));
+    if (!grid) {
+      throw new Error(ReaderI18n.t('read.noGrid'));
+    }
+
+    const cells = grid.nodes.map((node, index) => this.readCell(imageData, node, index));
+    this.flagDuplicates(cells);
+
+    return {
+      board: cells.map(cell => cell.value),
+      cells,
+      grid: grid.bounds,
+      lowConfidence: cells.some(cell => cell.lowConfidence)
+    };
+  }
+
+  /**
+   * Checks whether a pixel has the gold of a cactpot node's fill or rim
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {boolean} True if the pixel is node gold
+   */
+  static isGold(r, g, b) {
+    if (r < 120 || r < g || g < b) {
+      return false;
+    }
+    // Saturated, and yellow rather than orange or red
+    return (r - b) / r >= 0.35 && (g - b) >= (r - b) * 0.45;
+  }
+
+  /**
+   * Finds roughly round gold blobs that could be cactpot nodes
+   * @param {ImageData} imageData - The screenshot
+   * @returns {Array} Array of candidates containing x, y, width, height, cx, cy and size
+   */
+  static findNodeCandidates(imageData) {
+    const { width, height, data } = imageData;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      mask[i] = this.isGold(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) ? 1 : 0;
+    }
+
+    // Label connected gold regions with a flood fill
+    const candidates = [];
+    const stack = [];
+    for (let start = 0; start < mask.length; start++) {
+      if (mask[start] !== 1) {
+        continue;
+      }
+
+      let minX = width;
+      let minY = height;
+      let maxX = -1;
+      let maxY = -1;
+      let count = 0;
+      mask[start] = 2;
+      stack.push(start);
+      while (stack.length > 0) {
+        const pixel = stack.pop();
+        const x = pixel % width;
+        const y = (pixel - x) / width;
+        count++;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+
+        if (x > 0 && mask[pixel - 1] === 1) { mask[pixel - 1] = 2; stack.push(pixel - 1); }
+        if (x < width - 1 && mask[pixel + 1] === 1) { mask[pixel + 1] = 2; stack.push(pixel + 1); }
+        if (y > 0 && mask[pixel - width] === 1) { mask[pixel - width] = 2; stack.push(pixel - width); }
+        if (y < height - 1 && mask[pixel + width] === 1) { mask[pixel + width] = 2; stack.push(pixel + width); }
+      }
+
+      const blobWidth = maxX - minX + 1;
+      const blobHeight = maxY - minY + 1;
+      const aspect = blobWidth / blobHeight;
+      // Hidden nodes are filled discs; revealed nodes leave only their gold rim
+      if (blobWidth >= 8 && blobHeight >= 8 && aspect >= 0.75 && aspect <= 1.33 &&
+        count / (blobWidth * blobHeight) >= 0.15) {
+        candidates.push({
+          x: minX,
+          y: minY,
+          width: blobWidth,
+          height: blobHeight,
+          cx: minX + blobWidth / 2,
+          cy: minY + blobHeight / 2,
+          size: (blobWidth + blobHeight) / 2
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => b.size - a.size).slice(0, 200);
+  }
+
+  /**
+   * Fits a 3x3 grid of evenly spaced, equally sized nodes to the candidates
+   * @param {Array} candidates - Candidates from findNodeCandidates, largest first
+   * @returns {Object|null} Object containing nodes (9, row by row) and bounds, or null if no grid fits
+   */
+  static locateGrid(candidates) {
+    const similar = (a, b) => b.size >= a.size * 0.8 && b.size <= a.size * 1.25;
+    const findNear = (x, y, reference) => candidates.find(candidate =>
+      similar(reference, candidate) &&
+      Math.abs(candidate.cx - x) <= reference.size * 0.35 &&
+      Math.abs(candidate.cy - y) <= reference.size * 0.35);
+
+    for (const anchor of candidates) {
+      // Nearest similar nodes to the right of and below the anchor give the grid spacing
+      const spacing = axis => {
+        const [along, across] = axis === 'x' ? ['cx', 'cy'] : ['cy', 'cx'];
+        const distances = candidates
+          .filter(candidate => similar(anchor, candidate) &&
+            Math.abs(candidate[across] - anchor[across]) <= anchor.size * 0.35)
+          .map(candidate => candidate[along] - anchor[along])
+          .filter(distance => distance >= anchor.size * 0.9 && distance <= anchor.size * 3);
+        return distances.length > 0 ? Math.min(...distances) : null;
+      };
+
+      const stepX = spacing('x');
+      const stepY = spacing('y');
+      if (stepX === null || stepY === null) {
+        continue;
+      }
+
+      const nodes = [];
+      for (let row = 0; row < 3 && nodes.length === row * 3; row++) {
+        for (let column = 0; column < 3; column++) {
+          const node = findNear(anchor.cx + column * stepX, anchor.cy + row * stepY, anchor);
+          if (!node) {
+            break;
+          }
+          nodes.push(node);
+        }
+      }
+
+      if (nodes.length === 9) {
+        const x = Math.min(...nodes.map(node => node.x));
+        const y = Math.min(...nodes.map(node => node.y));
+        return {
+          nodes,
+          bounds: {
+            x,
+            y,
+            width: Math.max(...nodes.map(node => node.x + node.width)) - x,
+            height: Math.max(...nodes.map(node => node.y + node.height)) - y
+          }
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reads one node: hidden, or revealed with the best matching digit
+   * @param {ImageData} imageData - The screenshot
+   * @param {Object} node - Node from locateGrid
+   * @param {number} index - Cell index (0-8)
+   * @returns {Object} Object containing index, state, value, confidence, candidates, lowConfidence
+   *   and glyph (the digit resampled to the glyph size, before blurring)
+   */
+  static readCell(imageData, node, index) {
+    const { width, data } = imageData;
+    const radius = Math.min(node.width, node.height) / 2;
+    // Stay inside the gold rim of revealed nodes
+    const innerRadius = radius * 0.78;
+    const x0 = Math.max(0, Math.floor(node.cx - innerRadius));
+    const x1 = Math.min(imageData.width - 1, Math.ceil(node.cx + innerRadius));
+    const y0 = Math.max(0, Math.floor(node.cy - innerRadius));
+    const y1 = Math.min(imageData.height - 1, Math.ceil(node.cy + innerRadius));
+
+    const pixels = [];
+    let gold = 0;
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        if ((x - node.cx) ** 2 + (y - node.cy) ** 2 > innerRadius ** 2) {
+          continue;
+        }
+        const i = (y * width + x) * 4;
+        if (this.isGold(data[i], data[i + 1], data[i + 2])) {
+          gold++;
+        }
+        pixels.push({ x, y, luminance: 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] });
+      }
+    }
+
+    // Hidden nodes are gold all the way through
+    if (pixels.length === 0 || gold / pixels.length >= 0.4) {
+      return { index, state: 'hidden', value: null, confidence: 1, candidates: [], lowConfidence: false, glyph: null };
+    }
+
+    // Scale ink between the pale face and the darkest pixels; the face is shaded
+    // darker toward the bottom, so a fixed cut-off would pick up its lower edge
+    const sorted = pixels.map(pixel => pixel.luminance).sort((a, b) => a - b);
+    const face = sorted[Math.floor(sorted.length * 0.8)];
+    const darkest = sorted[Math.floor(sorted.length * 0.02)];
+    if (face - darkest < 40) {
+      return { index, state: 'revealed', value: null, confidence: 0, candidates: [], lowConfidence: true, glyph: null };
+    }
+
+    const ink = new Map();
+    let bounds = null;
+    pixels.forEach(pixel => {
+      const value = Math.min(1, Math.max(0, (face - pixel.luminance) / (face - darkest)));
+      ink.set(pixel.y * width + pixel.x, value);
+      if (value > 0.5) {
+        bounds = bounds || { minX: pixel.x, maxX: pixel.x, minY: pixel.y, maxY: pixel.y };
+        bounds.minX = Math.min(bounds.minX, pixel.x);
+        bounds.maxX = Math.max(bounds.maxX, pixel.x);
+        bounds.minY = Math.min(bounds.minY, pixel.y);
+        bounds.maxY = Math.max(bounds.maxY, pixel.y);
+      }
+    });
+
+    if (!bounds || bounds.maxY - bounds.minY < radius * 0.3) {
+      return { index, state: 'revealed', value: null, confidence: 0, candidates: [], lowConfidence: true, glyph: null };
+    }
+
+    const glyph = this.resampleGlyph((x, y) => ((ink.get(y * width + x) || 0) > 0.5 ? 1 : 0), bounds);
+    const sample = this.blurGlyph(glyph);
+    const candidates = Object.entries(this.getReferenceGlyphs())
+      .map(([digit, reference]) => ({ digit: parseInt(digit, 10), score: this.correlate(sample, reference) }))
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = candidates;
+    return {
+      index,
+      state: 'revealed',
+      value: best.digit,
+      confidence: Math.max(0, best.score),
+      candidates,
+      lowConfidence: best.score < READER_MIN_CONFIDENCE || best.score - runnerUp.score < READER_MIN_MARGIN,
+      glyph
+    };
+  }
+
+  /**
+   * Resamples a digit to the glyph size and blurs it, ready for correlate
+   * @param {Function} inkAt - Function (x, y) returning ink coverage 0-1 at a source pixel
+   * @param {Object} bounds - Digit bounds containing minX, maxX, minY and maxY (inclusive)
+   * @returns {Float32Array} GLYPH_WIDTH x GLYPH_HEIGHT ink values, row by row
+   */
+  static normalizeGlyph(inkAt, bounds) {
+    return this.blurGlyph(this.resampleGlyph(inkAt, bounds));
+  }
+
+  /**
+   * Resamples a digit to the glyph size, keeping its aspect ratio and centering it
+   * @param {Function} inkAt - Function (x, y) returning ink coverage 0-1 at a source pixel
+   * @param {Object} bounds - Digit bounds containing minX, maxX, minY and maxY (inclusive)
+   * @returns {Float32Array} GLYPH_WIDTH x GLYPH_HEIGHT ink values, row by row
+   */
+  static resampleGlyph(inkAt, bounds) {
+    const sourceWidth = bounds.maxX - bounds.minX + 1;
+    const sourceHeight = bounds.maxY - bounds.minY + 1;
+    const scale = Math.max(sourceWidth / GLYPH_WIDTH, sourceHeight / GLYPH_HEIGHT);
+    const offsetX = (GLYPH_WIDTH - sourceWidth / scale) / 2;
+    const offsetY = (GLYPH_HEIGHT - sourceHeight / scale) / 2;
+
+    // Average a 3x3 grid of samples over each glyph cell
+    const glyph = new Float32Array(GLYPH_WIDTH * GLYPH_HEIGHT);
+    for (let gy = 0; gy < GLYPH_HEIGHT; gy++) {
+      for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+        let total = 0;
+        for (let sy = 0; sy < 3; sy++) {
+          for (let sx = 0; sx < 3; sx++) {
+            const x = Math.floor(bounds.minX + (gx - offsetX + (sx + 0.5) / 3) * scale);
+            const y = Math.floor(bounds.minY + (gy - offsetY + (sy + 0.5) / 3) * scale);
+            if (x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY) {
+              total += inkAt(x, y);
+            }
+          }
+        }
+        glyph[gy * GLYPH_WIDTH + gx] = total / 9;
+      }
+    }
+    return glyph;
+  }
+
+  /**
+   * Softens a glyph with a 3x3 box blur so small differences in stroke width and position
+   * between fonts and scales matter less
+   * @param {Float32Array} glyph - GLYPH_WIDTH x GLYPH_HEIGHT ink values
+   * @returns {Float32Array} The blurred glyph
+   */
+  static blurGlyph(glyph) {
+    const blurred = new Float32Array(glyph.length);
+    for (let gy = 0; gy < GLYPH_HEIGHT; gy++) {
+      for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+        let total = 0;
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const x = gx + dx;
+            const y = gy + dy;
+            if (x >= 0 && x < GLYPH_WIDTH && y >= 0 && y < GLYPH_HEIGHT) {
+              total += glyph[y * GLYPH_WIDTH + x];
+              count++;
+            }
+          }
+        }
+        blurred[gy * GLYPH_WIDTH + gx] = total / count;
+      }
+    }
+    return blurred;
+  }
+
+  /**
+   * Gets the reference glyphs, normalized the same way as read digits
+   * @returns {Object} Map of digit to Float32Array glyph
+   */
+  static getReferenceGlyphs() {
+    if (normalizedGlyphs === null) {
+      normalizedGlyphs = {};
+      Object.entries(ReaderGlyphs).forEach(([digit, rows]) => {
+        const inkAt = (x, y) => (rows[y][x] === '#' ? 1 : 0);
+        const columns = rows.map(row => row.split('').map((cell, x) => (cell === '#' ? x : -1)).filter(x => x !== -1));
+        const inkRows = columns.map((row, y) => (row.length > 0 ? y : -1)).filter(y => y !== -1);
+        const allColumns = [].concat(...columns);
+        normalizedGlyphs[digit] = this.normalizeGlyph(inkAt, {
+          minX: Math.min(...allColumns),
+          maxX: Math.max(...allColumns),
+          minY: inkRows[0],
+          maxY: inkRows[inkRows.length - 1]
+        });
+      });
+    }
+    return normalizedGlyphs;
+  }
+
+  /**
+   * Pearson correlation between two glyphs
+   * @param {Float32Array} a - First glyph
+   * @param {Float32Array} b - Second glyph
+   * @returns {number} Correlation from -1 to 1 (0 if either glyph is blank)
+   */
+  static correlate(a, b) {
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let product = 0;
+    let squaresA = 0;
+    let squaresB = 0;
+    for (let i = 0; i < a.length; i++) {
+      product += (a[i] - meanA) * (b[i] - meanB);
+      squaresA += (a[i] - meanA) ** 2;
+      squaresB += (b[i] - meanB) ** 2;
+    }
+    return squaresA === 0 || squaresB === 0 ? 0 : product / Math.sqrt(squaresA * squaresB);
+  }
+
+  /**
+   * Flags digits read on more than one cell, since a ticket never repeats a number
+   * Every cell sharing a digit keeps its read and is marked for confirmation, so a misread
+   * shows up instead of being replaced by a guess
+   * @param {Array} cells - Cells from readCell, updated in place
+   */
+  static flagDuplicates(cells) {
+    const counts = new Map();
+    cells.forEach(cell => {
+      if (cell.value !== null) {
+        counts.set(cell.value, (counts.get(cell.value) || 0) + 1);
+      }
+    });
+    cells.forEach(cell => {
+      cell.duplicate = cell.value !== null && counts.get(cell.value) > 1;
+      if (cell.duplicate) {
+        cell.lowConfidence = true;
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TicketReader;
+}
@@ -0,0 +1,38 @@
+/**
+ * Checks for the ticket reader, using the labelled images in fixtures/tickets
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TicketReader = require('./ticketReader.js');
+const { loadFixtures, check } = require('./captureGlyphs.js');
+
+test('every labelled image reads as its board', () => {
+  assert.strictEqual(check(), true);
+});
+
+test('the grid is found and hidden cells stay empty', () => {
+  loadFixtures().forEach(fixture => {
+    const result = TicketReader.read(fixture.imageData);
+    assert.ok(result.grid.width > 0 && result.grid.height > 0, fixture.file);
+    result.cells.forEach((cell, index) => {
+      assert.strictEqual(cell.value === null, fixture.board[index] === null, `${fixture.file} cell ${index + 1}`);
+      assert.strictEqual(cell.duplicate, false, `${fixture.file} cell ${index + 1}`);
+    });
+  });
+});
+
+test('an image without a grid is rejected', () => {
+  const imageData = { width: 60, height: 40, data: new Uint8ClampedArray(60 * 40 * 4).fill(40) };
+  assert.throws(() => TicketReader.read(imageData), /No Mini Cactpot grid was found/);
+});
+
+test('digits read twice are flagged rather than changed', () => {
+  const cells = [5, null, 5, 3, null, null, null, null, 9]
+    .map(value => ({ value, lowConfidence: false }));
+  TicketReader.flagDuplicates(cells);
+  assert.deepStrictEqual(cells.map(cell => cell.value), [5, null, 5, 3, null, null, null, null, 9]);
+  assert.deepStrictEqual(cells.filter(cell => cell.duplicate).map(cell => cell.lowConfidence), [true, true]);
+  assert.strictEqual(cells[3].duplicate, false);
+});
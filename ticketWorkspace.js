@@ -0,0 +1,126 @@
+/**
+ * Ticket Workspace Module for Mini Cactpot Calculator
+ * Keeps the tickets open side by side, each with its own label and board, in localStorage
+ */
+
+// Board notation helpers (loaded as a global script in the browser)
+const WorkspaceBoardNotation = (typeof module !== 'undefined' && module.exports)
+  ? require('./boardNotation.js')
+  : BoardNotation;
+
+/**
+ * Ticket workspace class
+ * The tickets are kept in memory and mirrored to a Storage object (localStorage by default),
+ * so the workspace still works for the session where storage is blocked
+ */
+class TicketWorkspace {
+  /**
+   * @param {Storage} [storage] - Where the tickets are kept (localStorage if omitted)
+   * @param {string} [storageKey] - Key the tickets are stored under
+   */
+  constructor(storage = null, storageKey = 'miniCactpot.workspace') {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.tickets = null;
+  }
+
+  /**
+   * Gets the backing storage
+   * localStorage is only touched on use, since some browsers throw when it is unavailable
+   * @returns {Storage} The storage object
+   */
+  getStorage() {
+    return this.storage || window.localStorage;
+  }
+
+  /**
+   * Gets the in-memory tickets, reading them from storage the first time
+   * @returns {Array} The workspace's own array of tickets
+   */
+  load() {
+    if (this.tickets === null) {
+      try {
+        const stored = JSON.parse(this.getStorage().getItem(this.storageKey));
+        this.tickets = Array.isArray(stored) ? stored : [];
+      } catch (error) {
+        console.error('Failed to read ticket workspace:', error);
+        this.tickets = [];
+      }
+    }
+    return this.tickets;
+  }
+
+  /**
+   * Gets every open ticket, in the order they were added
+   * @returns {Array} Array of objects containing id, label and board (board notation)
+   */
+  getTickets() {
+    return this.load().map(ticket => ({ ...ticket }));
+  }
+
+  /**
+   * Opens a new ticket with an empty board
+   * @param {string} [label] - Label for the ticket, e.g. a character name
+   * @returns {Object} The stored ticket
+   */
+  addTicket(label = '') {
+    const tickets = this.load();
+    const ticket = {
+      id: tickets.reduce((highest, existing) => Math.max(highest, existing.id), 0) + 1,
+      label: String(label),
+      board: WorkspaceBoardNotation.serialize(new Array(9).fill(null))
+    };
+    tickets.push(ticket);
+    this.save();
+    return { ...ticket };
+  }
+
+  /**
+   * Changes a ticket's label or board
+   * @param {number} id - Id of the ticket
+   * @param {Object} changes - Object containing label and/or board (array of 9 values)
+   * @returns {Object} The updated ticket
+   * @throws {Error} If there is no ticket with that id
+   */
+  updateTicket(id, changes) {
+    const ticket = this.load().find(existing => existing.id === id);
+    if (!ticket) {
+      throw new Error(`No ticket with id ${id}`);
+    }
+
+    if (changes.label !== undefined) {
+      ticket.label = String(changes.label);
+    }
+    if (changes.board !== undefined) {
+      ticket.board = WorkspaceBoardNotation.serialize(changes.board);
+    }
+    this.save();
+    return { ...ticket };
+  }
+
+  /**
+   * Closes a ticket
+   * @param {number} id - Id of the ticket
+   */
+  removeTicket(id) {
+    this.tickets = this.load().filter(ticket => ticket.id !== id);
+    this.save();
+  }
+
+  /**
+   * Mirrors the tickets to storage
+   * A failed write (storage full or unavailable) is logged; the tickets stay open in memory
+   */
+  save() {
+    try {
+      this.getStorage().setItem(this.storageKey, JSON.stringify(this.tickets));
+    } catch (error) {
+      console.error('Failed to save ticket workspace:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TicketWorkspace;
+}
@@ -0,0 +1,57 @@
+/**
+ * Checks for the ticket workspace
+ * Run with: node --test (Node 18 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TicketWorkspace = require('./ticketWorkspace.js');
+
+/**
+ * Creates an in-memory Storage stand-in
+ * @returns {Object} Object with getItem and setItem
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+test('tickets are stored, updated and removed', () => {
+  const storage = memoryStorage();
+  const workspace = new TicketWorkspace(storage);
+  const first = workspace.addTicket('Alice');
+  const second = workspace.addTicket('Bob');
+  assert.deepStrictEqual([first.id, second.id], [1, 2]);
+  assert.strictEqual(first.board, '.........');
+
+  workspace.updateTicket(2, { board: [1, null, null, null, 5, null, null, null, 9] });
+  workspace.removeTicket(1);
+  assert.deepStrictEqual(new TicketWorkspace(storage).getTickets(), [{ id: 2, label: 'Bob', board: '1...5...9' }]);
+  assert.throws(() => workspace.updateTicket(1, { label: 'Carol' }), /No ticket with id 1/);
+});
+
+test('ids stay unique and tickets stay open when storage is blocked', t => {
+  t.mock.method(console, 'error', () => {});
+  const blocked = {
+    getItem: () => { throw new Error('SecurityError'); },
+    setItem: () => { throw new Error('SecurityError'); }
+  };
+  const workspace = new TicketWorkspace(blocked);
+  const first = workspace.addTicket('Alice');
+  const second = workspace.addTicket('Bob');
+  assert.notStrictEqual(first.id, second.id);
+
+  workspace.updateTicket(second.id, { label: 'Carol' });
+  workspace.removeTicket(first.id);
+  assert.deepStrictEqual(workspace.getTickets(), [{ id: second.id, label: 'Carol', board: '.........' }]);
+});
+
+test('changing a returned ticket does not change the workspace', () => {
+  const workspace = new TicketWorkspace(memoryStorage());
+  workspace.addTicket('Alice').label = 'Mallory';
+  workspace.getTickets()[0].label = 'Mallory';
+  assert.strictEqual(workspace.getTickets()[0].label, 'Alice');
+});
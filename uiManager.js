@@ -3,6 +3,13 @@
  * Handles all DOM manipulation and user interface interactions
  */
 
+// Line index (as used by calculateBestOptions) of each arrow
+const ARROW_LINE_INDICES = {
+  'row-1': 0, 'row-2': 1, 'row-3': 2,
+  'column-1': 3, 'column-2': 4, 'column-3': 5,
+  'diag-left': 6, 'diag-right': 7
+};
+
 /**
  * UI Manager class to handle all UI-related operations
  */
@@ -10,8 +17,45 @@ class UIManager {
   constructor() {
     this.minimumInputs = 4;
     this.maxInputs = 4;
+    this.objective = createObjective('ev');
+    this.payoutTable = PayoutTables.getDefaultTable();
+    this.calculation = null;
+    this.selectedLine = null;
+    this.ticketHistory = new TicketHistory();
+    this.historyPanel = new HistoryPanel(this.ticketHistory);
+    this.ticketImport = new TicketImportPanel(
+      board => this.applyImportedBoard(board),
+      message => this.displayError(message)
+    );
+    this.offlineSupport = new OfflineSupport();
+    this.revealPreview = new RevealPreviewPanel();
+    this.previewIndex = null;
+    this.longPressTimer = null;
+    this.longPressShown = false;
+    this.editHistory = new EditHistory();
+    this.guidedMode = false;
+    // The practice and review panels share its worker through channels, so editing the board
+    // cancels only the grid's own calculations
+    this.solverClient = new SolverClient();
+    this.practiceMode = false;
+    this.practiceBackup = null;
+    this.practicePanel = new PracticePanel(
+      new PracticeSession(),
+      this.solverClient.createChannel(),
+      () => this.payoutTable,
+      (board, lines) => this.showPracticeBoard(board, lines)
+    );
+    this.reviewPanel = new ReviewPanel(this.solverClient.createChannel(), () => this.payoutTable);
+    this.workspacePanel = new WorkspacePanel(new TicketWorkspace(), () => this.payoutTable);
+    this.suggestion = null;
+    this.focusAfterCalculation = false;
+    this.calculatingTimer = null;
     this.initializeElements();
     this.setupEventListeners();
+    this.translatePage();
+    this.updateCellLabels();
+    this.updateArrowLabels();
+    this.restoreBoardFromHash();
   }
 
   /**
@@ -19,10 +63,41 @@ class UIManager {
    */
   initializeElements() {
     this.resetButton = document.getElementById("reset-btn");
+    this.copyLinkButton = document.getElementById("copy-link-btn");
+    this.undoButton = document.getElementById("undo-btn");
+    this.redoButton = document.getElementById("redo-btn");
     this.bestOptionsDiv = document.getElementById("best-options");
     this.expectedValueDiv = document.getElementById("expected-value");
     this.expectedValueText = document.getElementById("expected-value-text");
+    this.distributionDiv = document.getElementById("line-distribution");
+    this.calculatingDiv = document.getElementById("calculating");
+    this.resultDiv = document.getElementById("result");
+    this.objectiveText = document.getElementById("objective-text");
+    this.explanationDetails = document.getElementById("explanation");
+    this.explanationList = document.getElementById("explanation-list");
+    this.objectiveSelect = document.getElementById("objective-select");
+    this.thresholdInput = document.getElementById("objective-threshold");
+    this.payoutSelect = document.getElementById("payout-select");
+    this.payoutLoadButton = document.getElementById("payout-load-btn");
+    this.payoutFileInput = document.getElementById("payout-file");
+    this.populatePayoutTables();
     this.mgpImage = document.getElementById("mgp-image");
+    this.lineChoiceDiv = document.getElementById("line-choice");
+    this.lineChoiceText = document.getElementById("line-choice-text");
+    this.actualPayoutInput = document.getElementById("actual-payout");
+    this.payoutValuesList = document.getElementById("payout-values");
+    this.recordButton = document.getElementById("record-btn");
+    this.languageSelect = document.getElementById("language-select");
+    this.populateLanguages();
+    this.guidedModeCheckbox = document.getElementById("guided-mode");
+    this.guidedOverrideCheckbox = document.getElementById("guided-override");
+    this.guidedOverrideLabel = document.getElementById("guided-override-label");
+    this.guidedPhaseDiv = document.getElementById("guided-phase");
+    this.practiceModeCheckbox = document.getElementById("practice-mode");
+    this.phaseIndicator = document.getElementById("phase-indicator");
+    this.phaseText = document.getElementById("phase-text");
+    this.announcer = document.getElementById("announcer");
+    this.announceTimer = null;
     this.inputs = [];
     
     // Get all number inputs
@@ -50,14 +125,209 @@ class UIManager {
     // Reset button
     this.resetButton.addEventListener("click", () => this.handleReset());
 
+    // Undo and redo board edits
+    this.undoButton.addEventListener("click", () => this.undo());
+    this.redoButton.addEventListener("click", () => this.redo());
+    document.addEventListener('keydown', (e) => this.handleUndoShortcut(e));
+
+    // Shareable board links
+    this.copyLinkButton.addEventListener("click", () => this.copyBoardLink());
+    window.addEventListener('hashchange', () => this.restoreBoardFromHash());
+
+    // Interface language
+    this.languageSelect.addEventListener('change', () => this.handleLanguageChange());
+    I18n.addChangeListener(() => this.applyLanguage());
+
+    // Objective mode switch
+    this.objectiveSelect.addEventListener('change', () => this.handleObjectiveChange());
+    this.thresholdInput.addEventListener('change', () => this.handleObjectiveChange());
+
+    // Payout table selector
+    this.payoutSelect.addEventListener('change', () => this.handlePayoutTableChange());
+    this.payoutLoadButton.addEventListener('click', () => this.payoutFileInput.click());
+    this.payoutFileInput.addEventListener('change', (e) => this.handlePayoutFile(e));
+
+    // Guided mode for playing a ticket phase by phase
+    this.guidedModeCheckbox.addEventListener('change', () => this.handleGuidedModeChange());
+    this.guidedOverrideCheckbox.addEventListener('change', () => this.manageInputStates());
+
+    // Practice mode plays simulated tickets on the grid
+    this.practiceModeCheckbox.addEventListener('change', () => this.handlePracticeModeChange());
+
+    // Choosing a line and recording its payout
+    Object.entries(this.arrows).forEach(([arrowId, arrow]) => {
+      arrow.addEventListener('click', () => this.selectLine(arrowId));
+      arrow.addEventListener('keydown', (e) => this.handleArrowKeydown(e, arrowId));
+    });
+    this.recordButton.addEventListener('click', () => this.recordTicket());
+
     // Input event listeners
-    this.inputs.forEach(input => {
+    this.inputs.forEach((input, index) => {
       input.addEventListener('input', (e) => this.toggleBackgroundImage(e));
       input.addEventListener('input', (e) => this.validateInput(e));
-      input.addEventListener('keydown', (e) => this.preventInvalidInput(e));
+      input.addEventListener('keydown', (e) => this.handleGridKeydown(e, index));
+      input.addEventListener('beforeinput', (e) => this.handleGridBeforeInput(e, index));
+      input.addEventListener('input', () => {
+        // Typing a number moves on once the new suggestions are in
+        this.focusAfterCalculation = input.value !== '';
+      });
       input.addEventListener('input', () => this.checkNumberInputs());
+      input.addEventListener('input', () => this.syncUrlHash());
+      input.addEventListener('input', () => this.recordEdit());
+      input.addEventListener('input', () => this.completeGuidedMove());
       input.addEventListener('click', (e) => this.setCursorToEnd(e));
+      input.addEventListener('click', () => {
+        if (this.practiceMode) {
+          this.practicePanel.handleCellClick(index);
+        }
+      });
+
+      // Hovering or long-pressing an empty cell previews what it could reveal
+      // Listen on the cell so disabled inputs can still be previewed
+      const cell = input.parentElement;
+      cell.addEventListener('pointerenter', (e) => {
+        if (e.pointerType === 'mouse') {
+          this.showRevealPreview(index);
+        }
+      });
+      cell.addEventListener('pointerleave', (e) => {
+        if (e.pointerType === 'mouse') {
+          this.hideRevealPreview();
+        }
+      });
+      cell.addEventListener('touchstart', () => this.startLongPress(index), { passive: true });
+      cell.addEventListener('touchmove', () => clearTimeout(this.longPressTimer), { passive: true });
+      cell.addEventListener('touchend', (e) => this.endLongPress(e));
+    });
+
+    // Touching anywhere else closes a long-press preview
+    document.addEventListener('touchstart', (e) => {
+      if (this.previewIndex !== null && !this.inputs[this.previewIndex].parentElement.contains(e.target)) {
+        this.hideRevealPreview();
+      }
+    }, { passive: true });
+  }
+
+  /**
+   * Fill the language selector; the first option follows the browser
+   */
+  populateLanguages() {
+    this.languageSelect.innerHTML = '';
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = I18n.t('language.auto');
+    this.languageSelect.appendChild(automatic);
+
+    I18n.getLanguages().forEach(language => {
+      const option = document.createElement('option');
+      option.value = language.code;
+      option.textContent = language.name;
+      option.lang = language.code;
+      this.languageSelect.appendChild(option);
     });
+    this.languageSelect.value = I18n.getPreference() || '';
+  }
+
+  /**
+   * Switch to the selected language and remember the choice
+   */
+  handleLanguageChange() {
+    I18n.setPreference(this.languageSelect.value || null);
+  }
+
+  /**
+   * Translate the page's fixed text into the active language
+   */
+  translatePage() {
+    document.documentElement.lang = I18n.getLanguage();
+    I18n.translatePage(document);
+  }
+
+  /**
+   * Redraw everything in the newly chosen language
+   */
+  applyLanguage() {
+    this.translatePage();
+    this.populateLanguages();
+    this.historyPanel.render();
+    this.setBoardState(this.getBoardState());
+  }
+
+  /**
+   * Rebuild the objective from the mode switch and recalculate
+   */
+  handleObjectiveChange() {
+    const id = this.objectiveSelect.value;
+    const threshold = parseInt(this.thresholdInput.value, 10);
+    this.thresholdInput.hidden = id !== 'threshold';
+    try {
+      this.objective = createObjective(id, isNaN(threshold)
+        ? { payoutTable: this.payoutTable }
+        : { threshold, payoutTable: this.payoutTable });
+    } catch (error) {
+      this.displayError(I18n.t('error.threshold'));
+      return;
+    }
+
+    // Show the target actually used once it is clamped to the payouts
+    if (this.objective.threshold !== undefined && !isNaN(threshold)) {
+      this.thresholdInput.value = this.objective.threshold;
+    }
+    // Drop an earlier threshold error; recalculating shows any board error again
+    document.getElementById('error-text').textContent = '';
+    this.checkNumberInputs();
+  }
+
+  /**
+   * Fill the payout selector with every registered table
+   */
+  populatePayoutTables() {
+    this.payoutSelect.innerHTML = '';
+    PayoutTables.listTables().forEach(table => {
+      const option = document.createElement('option');
+      option.value = table.name;
+      option.textContent = table.label;
+      this.payoutSelect.appendChild(option);
+    });
+    this.payoutSelect.value = this.payoutTable.name;
+  }
+
+  /**
+   * Switch to the selected payout table and recalculate
+   */
+  handlePayoutTableChange() {
+    this.payoutTable = PayoutTables.getTable(this.payoutSelect.value) || PayoutTables.getDefaultTable();
+    this.workspacePanel.setPayoutTable(this.payoutTable);
+    // Rebuilds the objective, whose threshold is clamped to the new table, and recalculates
+    this.handleObjectiveChange();
+  }
+
+  /**
+   * Load payout tables from a JSON file and switch to the first one
+   * @param {Event} event - The file input change event
+   */
+  handlePayoutFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const tables = PayoutTables.loadTables(reader.result);
+        this.populatePayoutTables();
+        if (tables.length > 0) {
+          this.payoutSelect.value = tables[0].name;
+        }
+        this.handlePayoutTableChange();
+      } catch (error) {
+        console.error('Error loading payout tables:', error);
+        this.displayError(error.message);
+      }
+    };
+    reader.readAsText(file);
   }
 
   /**
@@ -76,6 +346,68 @@ class UIManager {
     this.manageInputStates();
   }
 
+  /**
+   * Handle Ctrl+Z (undo) and Ctrl+Y or Ctrl+Shift+Z (redo)
+   * @param {Event} event - The keydown event
+   */
+  handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || this.practiceMode) {
+      return;
+    }
+
+    // Leave text undo alone in form fields outside the grid
+    const target = event.target;
+    if (target && /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName) && !this.inputs.includes(target)) {
+      return;
+    }
+
+    if (event.keyCode === 90 && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if (event.keyCode === 89 || (event.keyCode === 90 && event.shiftKey)) {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  /**
+   * Record the current board as a step in the edit history
+   */
+  recordEdit() {
+    this.editHistory.push(this.getBoardState());
+    this.updateUndoButtons();
+  }
+
+  /**
+   * Go back to the previous board, with its suggestions, errors and results
+   */
+  undo() {
+    const board = this.editHistory.undo();
+    if (board) {
+      this.setBoardState(board);
+    }
+    this.updateUndoButtons();
+  }
+
+  /**
+   * Go forward to the next undone board
+   */
+  redo() {
+    const board = this.editHistory.redo();
+    if (board) {
+      this.setBoardState(board);
+    }
+    this.updateUndoButtons();
+  }
+
+  /**
+   * Enable the undo and redo buttons only when there is a step to take, and not while practicing
+   */
+  updateUndoButtons() {
+    this.undoButton.disabled = this.practiceMode || !this.editHistory.canUndo();
+    this.redoButton.disabled = this.practiceMode || !this.editHistory.canRedo();
+  }
+
   /**
    * Set cursor position to the end of the input text when clicked
    * @param {Event} event - The click event
@@ -94,20 +426,107 @@ class UIManager {
    * @param {Event} event - The keydown event
    */
   preventInvalidInput(event) {
-    // Allow backspace, delete, tab, escape, enter, and arrow keys
-    if ([8, 9, 27, 13, 46, 37, 38, 39, 40].indexOf(event.keyCode) !== -1 ||
-      // Allow Ctrl+A, Ctrl+C, Ctrl+V, Ctrl+X
-      (event.keyCode === 65 && event.ctrlKey === true) ||
-      (event.keyCode === 67 && event.ctrlKey === true) ||
-      (event.keyCode === 86 && event.ctrlKey === true) ||
-      (event.keyCode === 88 && event.ctrlKey === true)) {
+    if (!Validation.isAllowedKey(event)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handle a key press in a grid input: arrow keys move between cells, other keys are filtered
+   * @param {Event} event - The keydown event
+   * @param {number} index - Index of the input (0-8)
+   */
+  handleGridKeydown(event, index) {
+    // Practice cells are scratched with Enter or Space instead of typed into
+    if (this.practiceMode && (event.keyCode === 13 || event.keyCode === 32)) {
+      event.preventDefault();
+      this.practicePanel.handleCellClick(index);
       return;
     }
 
-    // Allow only digits 1-9
-    if ((event.shiftKey || (event.keyCode < 49 || event.keyCode > 57))) {
+    // Left, up, right and down arrow keys as [row, column] steps
+    const steps = { 37: [0, -1], 38: [-1, 0], 39: [0, 1], 40: [1, 0] };
+    const step = steps[event.keyCode];
+
+    if (!step || event.ctrlKey || event.altKey || event.metaKey || event.shiftKey) {
+      this.preventInvalidInput(event);
+      return;
+    }
+
+    event.preventDefault();
+    this.moveFocus(index, step[0], step[1]);
+  }
+
+  /**
+   * Keep revealed cells filled in guided mode, since the real ticket cannot be unscratched
+   * Every way of clearing a cell (keys, soft keyboards, Cut, Delete, dragging the number out)
+   * arrives as a delete input, while typing over a number is still allowed
+   * @param {InputEvent} event - The beforeinput event
+   * @param {number} index - Index of the input (0-8)
+   */
+  handleGridBeforeInput(event, index) {
+    if (this.guidedMode && event.inputType.startsWith('delete') && this.inputs[index].value !== '') {
       event.preventDefault();
+      this.phaseText.textContent = I18n.t('guided.keepRevealed');
+    }
+  }
+
+  /**
+   * Move focus from a cell in the given direction, skipping disabled cells
+   * @param {number} index - Index of the starting input (0-8)
+   * @param {number} rowStep - Rows to move per step (-1, 0 or 1)
+   * @param {number} columnStep - Columns to move per step (-1, 0 or 1)
+   */
+  moveFocus(index, rowStep, columnStep) {
+    let row = Math.floor(index / 3) + rowStep;
+    let column = (index % 3) + columnStep;
+
+    while (row >= 0 && row < 3 && column >= 0 && column < 3) {
+      const input = this.inputs[row * 3 + column];
+      if (!input.disabled) {
+        input.focus();
+        return;
+      }
+      row += rowStep;
+      column += columnStep;
+    }
+  }
+
+  /**
+   * After a number is typed, move focus to the next suggested cell,
+   * or to the best line once the board is complete
+   */
+  focusNextSuggestion() {
+    if (!this.focusAfterCalculation) {
+      return;
+    }
+    this.focusAfterCalculation = false;
+
+    const suggestedInput = this.inputs.find(candidate =>
+      candidate.classList.contains('suggested') && !candidate.disabled);
+    if (suggestedInput) {
+      suggestedInput.focus();
+      return;
+    }
+
+    const suggestedArrow = Object.values(this.arrows).find(arrow => arrow.classList.contains('suggested'));
+    if (this.calculation && suggestedArrow) {
+      suggestedArrow.focus();
+    }
+  }
+
+  /**
+   * Select a line from the keyboard with Enter or Space on its arrow
+   * @param {Event} event - The keydown event
+   * @param {string} arrowId - Key of the line's arrow in this.arrows
+   */
+  handleArrowKeydown(event, arrowId) {
+    if (event.keyCode !== 13 && event.keyCode !== 32) {
+      return;
     }
+
+    event.preventDefault();
+    this.selectLine(arrowId);
   }
 
   /**
@@ -150,10 +569,155 @@ class UIManager {
     this.manageInputStates();
   }
 
+  /**
+   * Turn guided mode on or off
+   */
+  handleGuidedModeChange() {
+    this.guidedMode = this.guidedModeCheckbox.checked;
+    this.guidedOverrideCheckbox.checked = false;
+    this.manageInputStates();
+  }
+
+  /**
+   * Turn practice mode on or off
+   * The board being worked on is put aside while practicing and restored afterwards
+   */
+  handlePracticeModeChange() {
+    const active = this.practiceModeCheckbox.checked;
+    this.guidedModeCheckbox.disabled = active;
+
+    if (active) {
+      this.practiceBackup = this.getBoardState();
+      this.clearResults();
+      this.practiceMode = true;
+      this.updateUndoButtons();
+      this.practicePanel.start();
+      return;
+    }
+
+    this.practiceMode = false;
+    this.updateUndoButtons();
+    this.practicePanel.stop();
+    this.inputs.forEach(input => {
+      input.readOnly = false;
+    });
+    Object.values(this.arrows).forEach(arrow => arrow.classList.remove('selectable'));
+    this.clearLineChoice();
+    this.clearArrowSuggestions();
+    this.setBoardState(this.practiceBackup);
+  }
+
+  /**
+   * Paint a practice ticket on the grid
+   * @param {Array} board - The ticket as the player sees it
+   * @param {Object} lines - Line highlights
+   * @param {boolean} lines.selectable - Whether a line can be picked now
+   * @param {?number} lines.chosenLine - Index of the picked line, once the ticket is finished
+   * @param {Array} lines.bestLines - Indices of the best lines, once the ticket is finished
+   */
+  showPracticeBoard(board, lines) {
+    this.inputs.forEach((input, index) => {
+      const value = board[index];
+      input.value = value === null ? '' : String(value);
+      input.readOnly = true;
+      input.disabled = false;
+      input.classList.remove('disabled', 'suggested');
+      if (value === null) {
+        input.classList.remove('filled');
+      } else {
+        input.classList.add('filled');
+      }
+    });
+
+    Object.entries(this.arrows).forEach(([arrowId, arrow]) => {
+      const lineIndex = ARROW_LINE_INDICES[arrowId];
+      const toggle = (className, on) => (on ? arrow.classList.add(className) : arrow.classList.remove(className));
+      toggle('selectable', lines.selectable);
+      toggle('selected', lineIndex === lines.chosenLine);
+      toggle('suggested', lines.bestLines.includes(lineIndex));
+    });
+
+    this.updateCellLabels();
+    this.updateArrowLabels();
+  }
+
+  /**
+   * Finish a guided move: an override only applies to the scratch it was chosen for
+   */
+  completeGuidedMove() {
+    if (!this.guidedMode) {
+      return;
+    }
+    this.guidedOverrideCheckbox.checked = false;
+    this.manageInputStates();
+  }
+
+  /**
+   * Show the current phase and its instruction while guided mode is on
+   */
+  renderPhaseIndicator() {
+    this.guidedPhaseDiv.hidden = !this.guidedMode;
+    if (!this.guidedMode) {
+      this.guidedOverrideLabel.hidden = true;
+      return;
+    }
+
+    const phase = GuidedFlow.getPhase(this.getBoardState());
+    this.phaseIndicator.innerHTML = '';
+    GuidedFlow.getPhases().forEach((step, index) => {
+      const item = document.createElement('li');
+      item.textContent = step.label;
+      if (index < phase.index) {
+        item.classList.add('done');
+      } else if (index === phase.index) {
+        item.classList.add('current');
+      }
+      this.phaseIndicator.appendChild(item);
+    });
+    this.phaseText.textContent = phase.instruction;
+    this.guidedOverrideLabel.hidden = !phase.id.startsWith('scratch');
+  }
+
+  /**
+   * Enable only the cells the current guided phase allows. Filled cells stay enabled so a wrong
+   * number can be typed over; clearing them is blocked in handleGridBeforeInput
+   */
+  applyGuidedInputStates() {
+    const board = this.getBoardState();
+    let allowedCells = [];
+    if (Validation.validateBoard(board).isValid) {
+      const phase = GuidedFlow.getPhase(board);
+      // Suggestions arrive from the solver asynchronously; no scratch is allowed until they do
+      const suggestion = this.suggestion;
+      const suggestedCells = phase.id.startsWith('scratch') && suggestion &&
+        suggestion.board.every((value, index) => value === board[index])
+        ? suggestion.bestCells
+        : [];
+      allowedCells = GuidedFlow.getAllowedCells(board, suggestedCells, this.guidedOverrideCheckbox.checked);
+    }
+
+    this.inputs.forEach((input, index) => {
+      const enabled = input.value.trim() !== '' || allowedCells.includes(index);
+      input.disabled = !enabled;
+      if (enabled) {
+        input.classList.remove('disabled');
+      } else {
+        input.classList.add('disabled');
+      }
+    });
+  }
+
   /**
    * Manage input states (enabled/disabled) based on filled field count
    */
   manageInputStates() {
+    this.renderPhaseIndicator();
+    this.updateCellLabels();
+    if (this.guidedMode) {
+      this.applyGuidedInputStates();
+      return;
+    }
+
     // Count filled fields
     let filledCount = 0;
     const allInputs = this.inputs;
@@ -185,6 +749,18 @@ class UIManager {
    * Check if enough inputs are filled to trigger calculation
    */
   checkNumberInputs() {
+    // Practice tickets are graded by the practice panel, never solved on screen
+    if (this.practiceMode) {
+      return;
+    }
+
+    // Any change to the board invalidates the previous calculation, line choice and solver requests
+    this.calculation = null;
+    this.clearLineChoice();
+    this.solverClient.cancelAll();
+    this.hideRevealPreview();
+    this.clearExplanation();
+
     let counter = 0;
     const filledValues = [];
     
@@ -198,7 +774,7 @@ class UIManager {
     // Check for duplicate numbers
     const duplicates = this.findDuplicates(filledValues);
     if (duplicates.length > 0) {
-      this.displayError(`Duplicate numbers: ${duplicates.join(', ')}<br>Please remove duplicates.`);
+      this.displayError(I18n.t('error.duplicates', { numbers: I18n.formatList(duplicates) }));
       return;
     }
     
@@ -238,22 +814,192 @@ class UIManager {
    * Handle the calculation process
    */
   handleCalculate() {
+    // Get current board state
+    const board = this.getBoardState();
+
+    // Calculate best options using game logic
+    this.solve('calculateBestOptions', board, this.objective, this.payoutTable)
+      .then(result => {
+        // Payout spread of the (first) best line
+        const distributionRequest = result.bestOptions.length > 0
+          ? this.solve('calculateLineDistribution', board, result.bestOptions[0], this.payoutTable)
+          : Promise.resolve(null);
+
+        return distributionRequest.then(distribution => {
+          // Display results
+          this.displayResults(result, distribution);
+          this.calculation = { board, result };
+          this.explainRecommendation(board);
+
+          // Clear suggestions when we have 4+ numbers (final decision state)
+          this.clearCellSuggestions();
+          this.focusNextSuggestion();
+        });
+      })
+      .catch(error => this.handleSolverError(error));
+  }
+
+  /**
+   * Run a game logic calculation through the solver, showing the calculating state meanwhile
+   * @param {string} method - Name of the gameLogic function
+   * @param {...*} args - Arguments for the function
+   * @returns {Promise} Resolves with the function's result
+   */
+  solve(method, ...args) {
+    this.setCalculating(true);
+    const settle = () => {
+      if (!this.solverClient.hasPending()) {
+        this.setCalculating(false);
+      }
+    };
+
+    return this.solverClient.request(method, ...args).then(
+      result => {
+        settle();
+        return result;
+      },
+      error => {
+        settle();
+        throw error;
+      });
+  }
+
+  /**
+   * Report a failed calculation; cancelled requests were superseded and are ignored
+   * @param {Error} error - Error the request was rejected with
+   */
+  handleSolverError(error) {
+    if (SolverClient.isCancelled(error)) {
+      return;
+    }
+    console.error('Error during calculation:', error);
+    this.displayError(I18n.t('error.calculation'));
+  }
+
+  /**
+   * Show or hide the calculating state
+   * Quick calculations finish before it appears, so results don't flicker
+   * @param {boolean} active - Whether a calculation is running
+   */
+  setCalculating(active) {
+    clearTimeout(this.calculatingTimer);
+    this.calculatingTimer = null;
+
+    if (active) {
+      this.calculatingTimer = setTimeout(() => {
+        this.calculatingDiv.hidden = false;
+        this.resultDiv.classList.add('calculating');
+      }, 150);
+    } else {
+      this.calculatingDiv.hidden = true;
+      this.resultDiv.classList.remove('calculating');
+    }
+  }
+
+  /**
+   * Choose a line after calculating, ready to record its payout
+   * @param {string} arrowId - Key of the line's arrow in this.arrows
+   */
+  selectLine(arrowId) {
+    if (this.practiceMode) {
+      this.practicePanel.handleLineClick(ARROW_LINE_INDICES[arrowId]);
+      return;
+    }
+    if (!this.calculation) {
+      return;
+    }
+
+    const option = this.calculation.result.rankedOptions.find(candidate =>
+      this.mapBestOptionsToArrows([candidate.cells])[0] === arrowId);
+    if (!option) {
+      return;
+    }
+
+    this.selectedLine = option;
+    Object.entries(this.arrows).forEach(([id, arrow]) => {
+      if (id === arrowId) {
+        arrow.classList.add('selected');
+      } else {
+        arrow.classList.remove('selected');
+      }
+    });
+
+    // Offer the payouts of the active table as suggestions
+    this.payoutValuesList.innerHTML = '';
+    Array.from(new Set(Object.values(this.payoutTable.payouts)))
+      .sort((a, b) => a - b)
+      .forEach(payout => {
+        const item = document.createElement('option');
+        item.value = payout;
+        this.payoutValuesList.appendChild(item);
+      });
+
+    // A line whose three numbers are already revealed has a known payout
+    const lineValues = option.cells.map(cellIndex => this.calculation.board[cellIndex]);
+    this.actualPayoutInput.value = lineValues.every(value => value !== null)
+      ? gilValue(lineValues.reduce((sum, value) => sum + value, 0), this.payoutTable)
+      : '';
+
+    this.lineChoiceText.textContent = I18n.t('lineChoice.expected', {
+      line: I18n.getLineName(option.index),
+      mgp: I18n.formatMgp(option.ev)
+    });
+    this.recordButton.disabled = false;
+    this.lineChoiceDiv.hidden = false;
+    this.updateArrowLabels();
+  }
+
+  /**
+   * Record the chosen line and the payout it actually gave in the ticket history
+   */
+  recordTicket() {
+    const option = this.selectedLine;
+    if (!option || !this.calculation) {
+      return;
+    }
+
+    const payout = parseInt(this.actualPayoutInput.value, 10);
+    if (isNaN(payout) || payout < 0) {
+      this.lineChoiceText.textContent = I18n.t('lineChoice.enterPayout', { line: I18n.getLineName(option.index) });
+      return;
+    }
+
     try {
-      // Get current board state
-      const board = this.getBoardState();
-      
-      // Calculate best options using game logic
-      const result = calculateBestOptions(board);
-      
-      // Display results
-      this.displayResults(result);
-      
-      // Clear suggestions when we have 4+ numbers (final decision state)
-      this.clearCellSuggestions();
+      this.ticketHistory.record({
+        board: this.calculation.board,
+        line: option.index,
+        lineName: option.name,
+        expectedValue: option.ev,
+        payout,
+        objective: this.objective.id,
+        payoutTable: this.payoutTable.name
+      });
     } catch (error) {
-      console.error('Error during calculation:', error);
-      this.displayError('An error occurred during calculation. Please try again.');
+      console.error('Failed to record ticket:', error);
+      this.lineChoiceText.textContent = I18n.t('lineChoice.saveFailed');
+      return;
     }
+
+    this.historyPanel.render();
+    this.lineChoiceText.textContent = I18n.t('lineChoice.recorded', {
+      line: I18n.getLineName(option.index),
+      mgp: I18n.formatMgp(payout)
+    });
+    this.recordButton.disabled = true;
+  }
+
+  /**
+   * Clear the chosen line and hide the record form
+   */
+  clearLineChoice() {
+    this.selectedLine = null;
+    Object.values(this.arrows).forEach(arrow => {
+      if (arrow) {
+        arrow.classList.remove('selected');
+      }
+    });
+    this.lineChoiceDiv.hidden = true;
+    this.updateArrowLabels();
   }
 
   /**
@@ -269,6 +1015,117 @@ class UIManager {
     return board;
   }
 
+  /**
+   * Fill the inputs from a board and recalculate
+   * @param {Array} board - Array of 9 values representing the board state
+   */
+  setBoardState(board) {
+    // The practice ticket owns the grid until practice mode is turned off
+    if (this.practiceMode) {
+      return;
+    }
+
+    this.focusAfterCalculation = false;
+    if (board.every(value => value === null)) {
+      this.handleReset();
+      return;
+    }
+
+    this.inputs.forEach((input, index) => {
+      const value = board[index];
+      input.value = value === null ? '' : String(value);
+      if (value === null) {
+        input.classList.remove('filled');
+      } else {
+        input.classList.add('filled');
+      }
+    });
+
+    // Rebuild everything shown for this board rather than keeping the previous state's output
+    this.clearResults();
+    this.manageInputStates();
+    this.checkNumberInputs();
+    this.syncUrlHash();
+    this.recordEdit();
+  }
+
+  /**
+   * Restore the board stored in the URL hash, if there is one
+   */
+  restoreBoardFromHash() {
+    if (window.location.hash === '' || window.location.hash === '#') {
+      return;
+    }
+
+    const board = BoardNotation.fromHash(window.location.hash);
+    if (board === null) {
+      this.displayError(I18n.t('error.invalidLink'));
+      return;
+    }
+
+    const filledCount = board.filter(value => value !== null).length;
+    if (filledCount > this.maxInputs) {
+      this.displayError(I18n.t('error.linkTooMany', { count: filledCount, max: this.maxInputs }));
+      return;
+    }
+
+    this.setBoardState(board);
+  }
+
+  /**
+   * Fill the board read from a screenshot, if it fits the input limit
+   * @param {Array} board - Array of 9 values representing the board state
+   */
+  applyImportedBoard(board) {
+    const filledCount = board.filter(value => value !== null).length;
+    if (filledCount === 0) {
+      this.displayError(I18n.t('error.screenshotEmpty'));
+      return;
+    }
+    if (filledCount > this.maxInputs) {
+      this.displayError(I18n.t('error.screenshotTooMany', { count: filledCount, max: this.maxInputs }));
+      return;
+    }
+
+    this.setBoardState(board);
+  }
+
+  /**
+   * Keep the URL hash in step with the board so the page link can be shared
+   */
+  syncUrlHash() {
+    const hash = BoardNotation.toHash(this.getBoardState());
+    if (window.location.hash === hash || (hash === '' && window.location.hash === '#')) {
+      return;
+    }
+
+    try {
+      window.history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+    } catch (error) {
+      // Some browsers refuse replaceState on file:// pages; replacing the hash still works there
+      window.location.replace(hash || '#');
+    }
+  }
+
+  /**
+   * Copy a link to the current board to the clipboard
+   */
+  copyBoardLink() {
+    this.syncUrlHash();
+    if (!navigator.clipboard) {
+      return;
+    }
+
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => {
+        this.copyLinkButton.textContent = I18n.t('button.copied');
+        setTimeout(() => {
+          this.copyLinkButton.textContent = I18n.t('button.copyLink');
+        }, 1500);
+      })
+      .catch(error => console.error('Failed to copy link:', error));
+  }
+
   /**
    * Map best options to arrow IDs
    * @param {Array} bestOptions - Array of best option arrays
@@ -304,12 +1161,23 @@ class UIManager {
   /**
    * Display calculation results
    * @param {Object} result - Result object from calculateBestOptions
+   * @param {Object} [distribution] - Payout distribution of the best line
    */
-  displayResults(result) {
-    const formattedOptions = formatBestOptions(result.bestOptions, result.optionNames);
-    this.bestOptionsDiv.textContent = `Best Options: ${formattedOptions}`;
-    this.expectedValueText.textContent = `Expected Value: ${result.maxEV.toFixed(0)} `;
+  displayResults(result, distribution) {
+    const formattedOptions = result.bestOptions.length > 0
+      ? formatBestOptions(result.bestOptions, I18n.getLineNames(), I18n.t('list.separator'))
+      : I18n.t('result.noOptions');
+    this.bestOptionsDiv.textContent = I18n.t('result.bestOptions', { lines: formattedOptions });
+    this.expectedValueText.textContent = `${I18n.t('result.expectedValue', { value: I18n.formatNumber(result.maxEV) })} `;
     this.mgpImage.style.display = 'inline';
+    this.displayDistribution(distribution);
+    const objectiveLabel = I18n.getObjectiveLabel(result.objective);
+    this.objectiveText.textContent = result.objective.id === 'ev'
+      ? I18n.t('result.objective', { label: objectiveLabel })
+      : I18n.t('result.objectiveScore', {
+        label: objectiveLabel,
+        score: I18n.formatObjectiveScore(result.maxScore, result.objective)
+      });
     
     // Clear any error messages when showing valid results
     const errorTextDiv = document.getElementById('error-text');
@@ -319,6 +1187,75 @@ class UIManager {
     
     // Highlight suggested arrows
     this.highlightSuggestedArrows(result.bestOptions);
+
+    // Show every line's EV on its arrow
+    this.displayLineEVs(result.rankedOptions, result.objective);
+
+    this.announce(I18n.t('announce.result', { lines: formattedOptions, mgp: I18n.formatMgp(result.maxEV) }));
+  }
+
+  /**
+   * Show the spread of outcomes for the best line
+   * @param {Object} [distribution] - Result object from calculateLineDistribution
+   */
+  displayDistribution(distribution) {
+    if (!distribution) {
+      this.distributionDiv.textContent = '';
+      return;
+    }
+
+    this.distributionDiv.textContent = [
+      I18n.t('distribution.standardDeviation', { value: I18n.formatNumber(distribution.standardDeviation) }),
+      I18n.t('distribution.jackpot', { chance: I18n.formatPercent(distribution.jackpotChance) }),
+      I18n.t('distribution.low', {
+        mgp: I18n.formatMgp(distribution.lowestPayout),
+        chance: I18n.formatPercent(distribution.lowPayoutChance)
+      })
+    ].join(' · ');
+  }
+
+  /**
+   * Show each line's expected value (or objective score) on its arrow cell
+   * @param {Array} rankedOptions - Ranked line list from calculateBestOptions
+   * @param {Object} objective - Objective the lines were ranked by
+   */
+  displayLineEVs(rankedOptions, objective) {
+    this.clearLineEVs();
+
+    rankedOptions.forEach(option => {
+      const [arrowId] = this.mapBestOptionsToArrows([option.cells]);
+      const arrow = this.arrows[arrowId];
+      if (!arrow) {
+        return;
+      }
+
+      arrow.classList.add('selectable');
+
+      const label = document.createElement('span');
+      label.className = 'arrow-ev';
+      label.textContent = I18n.formatObjectiveScore(option.score, objective);
+      arrow.appendChild(label);
+      const line = I18n.getLineName(option.index);
+      const mgp = I18n.formatMgp(option.ev);
+      arrow.title = option.gap > 0
+        ? I18n.t('arrow.belowBest', { line, mgp, gap: I18n.formatObjectiveScore(option.gap, objective) })
+        : I18n.t('arrow.best', { line, mgp });
+    });
+    this.updateArrowLabels();
+  }
+
+  /**
+   * Clear the expected values shown on the arrow cells
+   */
+  clearLineEVs() {
+    Object.values(this.arrows).forEach(arrow => {
+      if (arrow) {
+        arrow.textContent = '';
+        arrow.removeAttribute('title');
+        arrow.classList.remove('selectable');
+      }
+    });
+    this.updateArrowLabels();
   }
 
   /**
@@ -339,6 +1276,7 @@ class UIManager {
         arrow.classList.add('suggested');
       }
     });
+    this.updateArrowLabels();
   }
 
   /**
@@ -350,6 +1288,7 @@ class UIManager {
         arrow.classList.remove('suggested');
       }
     });
+    this.updateArrowLabels();
   }
 
   /**
@@ -363,20 +1302,59 @@ class UIManager {
     this.clearCellSuggestions();
     
     // Get cell suggestions
-    const suggestionResult = findBestCellsToReveal(board);
-    console.log('Suggestion result:', suggestionResult);
-    
-    // Apply suggested class to best cells
-    suggestionResult.bestCells.forEach(cellIndex => {
-      const input = this.inputs[cellIndex];
-      console.log(`Processing cell ${cellIndex}, input:`, input, 'value:', input ? input.value : 'null');
-      if (input && input.value === '') {
-        input.classList.add('suggested');
-        console.log(`Added suggested class to cell ${cellIndex}`);
-      }
-    });
-    
-    console.log('updateCellSuggestions completed');
+    this.solve('findBestCellsToReveal', board, this.objective, this.payoutTable)
+      .then(suggestionResult => {
+        console.log('Suggestion result:', suggestionResult);
+        this.suggestion = { board, bestCells: suggestionResult.bestCells };
+
+        // Apply suggested class to best cells
+        suggestionResult.bestCells.forEach(cellIndex => {
+          const input = this.inputs[cellIndex];
+          console.log(`Processing cell ${cellIndex}, input:`, input, 'value:', input ? input.value : 'null');
+          if (input && input.value === '') {
+            input.classList.add('suggested');
+            console.log(`Added suggested class to cell ${cellIndex}`);
+          }
+        });
+
+        // Guided mode unlocks the suggested cells now that they are known
+        if (this.guidedMode) {
+          this.manageInputStates();
+        }
+        this.updateCellLabels();
+        this.announceSuggestions(suggestionResult.bestCells);
+        this.explainRecommendation(board);
+        this.focusNextSuggestion();
+
+        console.log('updateCellSuggestions completed');
+      })
+      .catch(error => this.handleSolverError(error));
+  }
+
+  /**
+   * Explain the current recommendation in words, under the results
+   * @param {Array} board - Board the recommendation was made for
+   */
+  explainRecommendation(board) {
+    this.solve('describeRecommendation', board, this.objective, this.payoutTable)
+      .then(description => {
+        this.explanationList.innerHTML = '';
+        Explanation.describe(description).forEach(sentence => {
+          const item = document.createElement('li');
+          item.textContent = sentence;
+          this.explanationList.appendChild(item);
+        });
+        this.explanationDetails.hidden = this.explanationList.children.length === 0;
+      })
+      .catch(error => this.handleSolverError(error));
+  }
+
+  /**
+   * Clear the explanation; the panel stays open or closed as the user left it
+   */
+  clearExplanation() {
+    this.explanationList.innerHTML = '';
+    this.explanationDetails.hidden = true;
   }
 
   /**
@@ -390,6 +1368,7 @@ class UIManager {
         input.classList.remove('suggested');
       }
     });
+    this.updateCellLabels();
   }
 
   /**
@@ -397,52 +1376,208 @@ class UIManager {
    * @param {string} message - Error message to display
    */
   displayError(message) {
+    this.focusAfterCalculation = false;
     // Clear the best options and expected value
     this.bestOptionsDiv.textContent = '';
     this.expectedValueText.textContent = '';
     this.mgpImage.style.display = 'none';
+    this.distributionDiv.textContent = '';
+    this.objectiveText.textContent = '';
+    this.clearExplanation();
+    this.calculation = null;
+    this.clearLineChoice();
     
     // Clear cell suggestions
     this.clearCellSuggestions();
     
     // Clear arrow suggestions
     this.clearArrowSuggestions();
+    this.clearLineEVs();
     
     // Show error message only in the error-text div
     const errorTextDiv = document.getElementById('error-text');
     if (errorTextDiv) {
-      errorTextDiv.innerHTML = message;
+      errorTextDiv.textContent = message;
+      this.announce(message.replace(/\n/g, ' '));
     }
   }
 
   /**
-   * Handle reset button click
+   * Describe each cell to screen readers: its position, number or emptiness, and whether it is suggested
    */
-  handleReset() {
-    this.inputs.forEach(input => {
-      input.value = '';
-      input.disabled = false;
-      input.classList.remove('disabled');
-      input.classList.remove('filled');
+  updateCellLabels() {
+    this.inputs.forEach((input, index) => {
+      const position = { row: Math.floor(index / 3) + 1, column: (index % 3) + 1 };
+      let label;
+      if (input.value !== '') {
+        label = I18n.t('aria.cellValue', { ...position, value: input.value });
+      } else if (input.classList.contains('suggested')) {
+        label = I18n.t('aria.cellSuggested', position);
+      } else {
+        label = I18n.t('aria.cellEmpty', position);
+      }
+      input.setAttribute('aria-label', label);
     });
-    
+  }
+
+  /**
+   * Describe each arrow to screen readers: its line, its EV once calculated,
+   * and whether it is recommended or selected
+   */
+  updateArrowLabels() {
+    Object.entries(this.arrows).forEach(([arrowId, arrow]) => {
+      let label = arrow.title || I18n.getLineName(ARROW_LINE_INDICES[arrowId]);
+      if (arrow.classList.contains('suggested')) {
+        label = I18n.t('aria.lineRecommended', { label });
+      }
+      if (arrow.classList.contains('selected')) {
+        label = I18n.t('aria.lineSelected', { label });
+      }
+      arrow.setAttribute('aria-label', label);
+    });
+  }
+
+  /**
+   * Announce the suggested cells to screen readers
+   * @param {Array} bestCells - Indices of the suggested cells
+   */
+  announceSuggestions(bestCells) {
+    if (bestCells.length === 0) {
+      return;
+    }
+
+    const cells = bestCells
+      .map(index => I18n.t('cell.label', { row: Math.floor(index / 3) + 1, column: (index % 3) + 1 }))
+      .join(I18n.t('announce.separator'));
+    this.announce(I18n.t('announce.suggestions', { cells }));
+  }
+
+  /**
+   * Read a message out through the live region
+   * The region is emptied first so a repeated message is announced again
+   * @param {string} message - Message to announce
+   */
+  announce(message) {
+    clearTimeout(this.announceTimer);
+    this.announcer.textContent = '';
+    this.announceTimer = setTimeout(() => {
+      this.announcer.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * Preview every number an empty cell could reveal, beside the cell
+   * Only offered while the calculator is still suggesting cells to scratch
+   * @param {number} index - Cell index (0-8)
+   */
+  showRevealPreview(index) {
+    const board = this.getBoardState();
+    const validation = Validation.validateBoard(board);
+    if (this.practiceMode || board[index] !== null || !validation.isValid ||
+      validation.filledCount >= this.minimumInputs) {
+      return;
+    }
+
+    this.previewIndex = index;
+    this.solverClient.request('previewReveal', board, index, this.objective, this.payoutTable)
+      .then(preview => {
+        // The pointer may have moved on while the preview was calculated
+        if (this.previewIndex === index) {
+          this.revealPreview.show(this.inputs[index], preview);
+        }
+      })
+      .catch(error => {
+        if (!SolverClient.isCancelled(error)) {
+          console.error('Error during reveal preview:', error);
+        }
+      });
+  }
+
+  /**
+   * Hide the reveal preview
+   */
+  hideRevealPreview() {
+    clearTimeout(this.longPressTimer);
+    this.previewIndex = null;
+    this.revealPreview.hide();
+  }
+
+  /**
+   * Start timing a touch on a cell; holding it opens the reveal preview
+   * @param {number} index - Cell index (0-8)
+   */
+  startLongPress(index) {
+    clearTimeout(this.longPressTimer);
+    this.longPressShown = false;
+    this.longPressTimer = setTimeout(() => {
+      this.longPressShown = true;
+      this.showRevealPreview(index);
+    }, 500);
+  }
+
+  /**
+   * Finish a touch on a cell
+   * A long press keeps its preview open and doesn't also focus the cell
+   * @param {TouchEvent} event - The touchend event
+   */
+  endLongPress(event) {
+    clearTimeout(this.longPressTimer);
+    if (this.longPressShown) {
+      event.preventDefault();
+      this.longPressShown = false;
+    }
+  }
+
+  /**
+   * Clear results, suggestions and errors so they can be rebuilt for a new board
+   */
+  clearResults() {
+    this.solverClient.cancelAll();
+    this.hideRevealPreview();
+    clearTimeout(this.announceTimer);
     this.bestOptionsDiv.textContent = '';
     this.expectedValueText.textContent = '';
     this.mgpImage.style.display = 'none';
+    this.distributionDiv.textContent = '';
+    this.objectiveText.textContent = '';
+    this.clearExplanation();
+    this.calculation = null;
+    this.clearLineChoice();
     
     // Clear cell suggestions
     this.clearCellSuggestions();
     
     // Clear arrow suggestions
     this.clearArrowSuggestions();
+    this.clearLineEVs();
     
     // Clear error text as well
     const errorTextDiv = document.getElementById('error-text');
     if (errorTextDiv) {
       errorTextDiv.textContent = '';
     }
+  }
+
+  /**
+   * Handle reset button click
+   */
+  handleReset() {
+    if (this.practiceMode) {
+      this.practicePanel.start();
+      return;
+    }
+
+    this.inputs.forEach(input => {
+      input.value = '';
+      input.disabled = false;
+      input.classList.remove('disabled');
+      input.classList.remove('filled');
+    });
     
+    this.clearResults();
     this.manageInputStates();
+    this.syncUrlHash();
+    this.recordEdit();
   }
 
   /**
@@ -461,6 +1596,11 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Initialize the application when the DOM is loaded
 window.addEventListener("DOMContentLoaded", () => {
+  // Pages that only embed <mini-cactpot> have no calculator markup to manage
+  if (!document.getElementById("num-1-entry")) {
+    return;
+  }
+
   try {
     // Initialize the UI manager
     const uiManager = new UIManager();
@@ -473,7 +1613,7 @@ window.addEventListener("DOMContentLoaded", () => {
     console.error('Failed to initialize application:', error);
     // Fallback error display
     const errorDiv = document.createElement('div');
-    errorDiv.textContent = 'Failed to initialize calculator. Please refresh the page.';
+    errorDiv.textContent = I18n.t('error.init');
     errorDiv.style.color = 'red';
     errorDiv.style.textAlign = 'center';
     errorDiv.style.margin = '20px';
@@ -3,6 +3,14 @@
  * Contains all input validation and sanitization logic
  */
 
+// Message translations (loaded as a global script in the browser)
+const ValidationI18n = (typeof module !== 'undefined' && module.exports)
+  ? require('./i18n.js')
+  : I18n;
+
+// Numbers a ticket can show: the starting number and three scratched cells
+const MAX_REVEALED_NUMBERS = 4;
+
 /**
  * Validation utility class
  */
@@ -91,7 +99,7 @@ class Validation {
       if (value !== null) {
         // Check if value is valid
         if (!this.isValidNumber(value)) {
-          errors.push(`Position ${index + 1} has invalid value: ${value}`);
+          errors.push(ValidationI18n.t('validation.invalidValue', { position: index + 1, value }));
         } else {
           // Check for duplicates
           if (filledValues.includes(value)) {
@@ -105,7 +113,7 @@ class Validation {
 
     // Add duplicate errors
     if (duplicates.length > 0) {
-      errors.push(`Duplicate values found: ${duplicates.join(', ')}`);
+      errors.push(ValidationI18n.t('validation.duplicates', { values: duplicates.join(', ') }));
     }
 
     return {
@@ -116,6 +124,27 @@ class Validation {
     };
   }
 
+  /**
+   * Validates a finished ticket and the order its numbers were revealed in
+   * @param {Array} numbers - Array of 9 values (null for empty cells)
+   * @param {Array} revealedNumbers - The starting number, then the three scratched numbers
+   * @returns {Object} Validation result with isValid and errors
+   */
+  static validateFinishedTicket(numbers, revealedNumbers) {
+    const errors = [...this.validateBoard(numbers).errors];
+    if (errors.length === 0 && numbers.some(value => value === null)) {
+      errors.push(ValidationI18n.t('validation.ticketIncomplete'));
+    }
+    if (revealedNumbers.length !== 4 || new Set(revealedNumbers).size !== 4) {
+      errors.push(ValidationI18n.t('validation.revealOrder'));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
   /**
    * Checks if the board has enough inputs for calculation
    * @param {Array} board - Array of 9 values representing the board
@@ -141,9 +170,10 @@ class Validation {
   /**
    * Validates input constraints for the Mini Cactpot game
    * @param {Array} board - Array of 9 values representing the board
+   * @param {number} [minimumRequired=4] - Minimum number of revealed numbers
    * @returns {Object} Validation result with specific game constraints
    */
-  static validateGameConstraints(board) {
+  static validateGameConstraints(board, minimumRequired = 4) {
     const validation = this.validateBoard(board);
     
     if (!validation.isValid) {
@@ -153,14 +183,14 @@ class Validation {
     // Additional game-specific validations
     const gameErrors = [];
 
-    // Check if we have at least 4 inputs (minimum for meaningful calculation)
-    if (validation.filledCount < 4) {
-      gameErrors.push('At least 4 numbers are required for calculation');
+    // Check if we have enough inputs for the calculation asked for
+    if (validation.filledCount < minimumRequired) {
+      gameErrors.push(ValidationI18n.t('validation.tooFew', { count: minimumRequired }));
     }
 
-    // Check if we have too many inputs (shouldn't happen in normal gameplay)
-    if (validation.filledCount > 9) {
-      gameErrors.push('Too many inputs provided');
+    // A real ticket never shows more than the starting number and three scratches
+    if (validation.filledCount > MAX_REVEALED_NUMBERS) {
+      gameErrors.push(ValidationI18n.t('validation.tooMany', { max: MAX_REVEALED_NUMBERS }));
     }
 
     return {
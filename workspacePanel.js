@@ -0,0 +1,187 @@
+/**
+ * Workspace Panel Module for Mini Cactpot Calculator
+ * Shows the workspace's tickets side by side, each as its own <mini-cactpot> calculator with a
+ * label, and adds up their expected MGP
+ */
+
+/**
+ * Ticket workspace panel class
+ */
+class WorkspacePanel {
+  /**
+   * @param {TicketWorkspace} workspace - The tickets to show
+   * @param {Function} getPayoutTable - Returns the payout table the tickets pay out by
+   */
+  constructor(workspace, getPayoutTable) {
+    this.workspace = workspace;
+    this.getPayoutTable = getPayoutTable;
+    this.cards = new Map();
+    this.initializeElements();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.ticketsDiv = document.getElementById('workspace-tickets');
+    this.emptyDiv = document.getElementById('workspace-empty');
+    this.totalDiv = document.getElementById('workspace-total');
+    this.addButton = document.getElementById('workspace-add-btn');
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    this.addButton.addEventListener('click', () => this.handleAdd());
+    I18n.addChangeListener(() => this.renderTotals());
+  }
+
+  /**
+   * Build a card for every stored ticket
+   */
+  render() {
+    this.ticketsDiv.innerHTML = '';
+    this.cards.clear();
+    this.workspace.getTickets().forEach(ticket => this.addCard(ticket));
+    this.renderTotals();
+  }
+
+  /**
+   * Build the card for a ticket: its label, calculator, expected MGP and Remove button
+   * @param {Object} ticket - Ticket from the workspace
+   * @returns {Object} Object containing the card, labelInput and calculator elements
+   */
+  addCard(ticket) {
+    const card = document.createElement('div');
+    card.className = 'workspace-ticket';
+
+    const header = document.createElement('div');
+    header.className = 'settings-row';
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'workspace-label';
+    labelInput.maxLength = 40;
+    labelInput.value = ticket.label;
+    labelInput.dataset.i18nPlaceholder = 'workspace.labelPlaceholder';
+    labelInput.dataset.i18nAriaLabel = 'workspace.label';
+    const removeButton = document.createElement('button');
+    removeButton.className = 'small-btn';
+    removeButton.dataset.i18n = 'workspace.remove';
+    header.append(labelInput, removeButton);
+
+    // A custom element of its own keeps each ticket's board, suggestions and solver separate
+    const calculator = document.createElement('mini-cactpot');
+    calculator.setAttribute('board', ticket.board);
+    calculator.payoutTable = this.getPayoutTable();
+
+    const expectedDiv = document.createElement('div');
+    expectedDiv.className = 'workspace-expected';
+
+    card.append(header, calculator, expectedDiv);
+    this.ticketsDiv.appendChild(card);
+    I18n.translatePage(card);
+
+    const entry = { card, labelInput, calculator, expectedDiv };
+    this.cards.set(ticket.id, entry);
+
+    labelInput.addEventListener('change', () => this.saveTicket(ticket.id, { label: labelInput.value.trim() }));
+    removeButton.addEventListener('click', () => this.handleRemove(ticket.id));
+    calculator.addEventListener('board-change', () => this.saveTicket(ticket.id, { board: calculator.board }));
+    ['suggestion-change', 'result-change'].forEach(type => {
+      calculator.addEventListener(type, () => this.renderTotals());
+    });
+    return entry;
+  }
+
+  /**
+   * Open a new ticket and put the cursor in its label
+   */
+  handleAdd() {
+    const ticket = this.workspace.addTicket();
+    this.addCard(ticket).labelInput.focus();
+    this.renderTotals();
+  }
+
+  /**
+   * Close a ticket and drop its card, which also stops its solver
+   * @param {number} id - Id of the ticket
+   */
+  handleRemove(id) {
+    this.workspace.removeTicket(id);
+    this.cards.get(id).card.remove();
+    this.cards.delete(id);
+    this.renderTotals();
+  }
+
+  /**
+   * Store a ticket's new label or board
+   * @param {number} id - Id of the ticket
+   * @param {Object} changes - Changes for TicketWorkspace.updateTicket
+   */
+  saveTicket(id, changes) {
+    try {
+      this.workspace.updateTicket(id, changes);
+    } catch (error) {
+      console.error('Failed to save workspace ticket:', error);
+    }
+  }
+
+  /**
+   * Recalculate every ticket with a new payout table
+   * @param {Object} payoutTable - Payout table from PayoutTables
+   */
+  setPayoutTable(payoutTable) {
+    this.cards.forEach(({ calculator }) => {
+      calculator.payoutTable = payoutTable;
+    });
+  }
+
+  /**
+   * Expected MGP of a ticket played from here: the best line once 4 numbers are in, otherwise
+   * the best cell to scratch next
+   * @param {MiniCactpotElement} calculator - The ticket's calculator
+   * @returns {number|null} Expected MGP, or null before the starting number is entered
+   */
+  getExpectedMgp(calculator) {
+    if (calculator.result) {
+      return calculator.result.maxEV;
+    }
+    return calculator.suggestion ? calculator.suggestion.maxEV : null;
+  }
+
+  /**
+   * Show each ticket's expected MGP and the combined expected MGP of all open tickets
+   */
+  renderTotals() {
+    let total = 0;
+    let counted = 0;
+    this.cards.forEach(({ calculator, expectedDiv }) => {
+      const expected = this.getExpectedMgp(calculator);
+      if (expected === null) {
+        expectedDiv.textContent = I18n.t('workspace.waiting');
+        return;
+      }
+      expectedDiv.textContent = I18n.t('result.expectedValue', { value: I18n.formatMgp(expected) });
+      total += expected;
+      counted++;
+    });
+
+    this.emptyDiv.hidden = this.cards.size > 0;
+    this.totalDiv.hidden = this.cards.size === 0;
+    this.totalDiv.textContent = counted === 0
+      ? I18n.t('workspace.totalNone')
+      : I18n.t('workspace.total', {
+        mgp: I18n.formatMgp(total),
+        counted: I18n.formatNumber(counted),
+        count: I18n.formatNumber(this.cards.size)
+      });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkspacePanel;
+}